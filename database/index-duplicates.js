@@ -0,0 +1,38 @@
+/**
+ * Duplicate Index Builder
+ * Backfills MinHash signatures and LSH buckets for all stored articles
+ */
+
+import pool, { testConnection } from '../src/database/pool.js';
+import minHashIndex from '../src/services/analytics/minHashIndex.js';
+
+async function buildIndex() {
+  console.log('🔎 Building near-duplicate index...\n');
+
+  try {
+    await testConnection();
+
+    const result = await minHashIndex.rebuild();
+    const stats = minHashIndex.getStats();
+
+    console.log('\n✅ Index built');
+    console.log(`   - Indexed: ${result.indexed}`);
+    console.log(`   - Skipped (no text): ${result.skipped}`);
+    console.log(`   - Failed: ${result.failed}`);
+    console.log(`   - Bands x rows: ${stats.config.bands} x ${stats.rowsPerBand}`);
+    console.log(`   - Candidate threshold (Jaccard): ~${stats.candidateThreshold}\n`);
+
+    if (result.failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n❌ Index build failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run builder
+buildIndex();
@@ -0,0 +1,57 @@
+/**
+ * Embedding Index Builder
+ * Re-embeds every article into the configured vector store (semantic search, related articles)
+ *
+ * Usage: npm run db:index-embeddings [-- --recreate]
+ *   --recreate  Drop the collection first (needed after changing provider, model or dimensions)
+ */
+
+import pool, { testConnection } from '../src/database/pool.js';
+import config from '../src/config/index.js';
+import embeddingService from '../src/services/embeddings/embeddingService.js';
+
+async function buildIndex() {
+  const recreate = process.argv.includes('--recreate');
+
+  if (!config.embeddings.enabled) {
+    console.log('ℹ️  Embeddings are disabled (EMBEDDINGS_ENABLED=false): nothing to index\n');
+    await pool.end();
+    return;
+  }
+
+  if (config.vectorDb.type === 'memory') {
+    console.log('ℹ️  The memory vector store lives in the API process: nothing to index\n');
+    await pool.end();
+    return;
+  }
+
+  console.log(
+    `🧭 Embedding articles (${config.embeddings.provider} -> ${config.vectorDb.type})...\n`
+  );
+
+  try {
+    await testConnection();
+
+    const result = await embeddingService.reindex({ recreate });
+    const { provider, store } = embeddingService.getStats();
+
+    console.log('\n✅ Embeddings built');
+    console.log(`   - Model: ${provider.model} (${provider.dimensions || '?'} dimensions)`);
+    console.log(`   - Store: ${store.name}${recreate ? ' (recreated)' : ''}`);
+    console.log(`   - Embedded: ${result.embedded}`);
+    console.log(`   - Failed: ${result.failed}\n`);
+
+    if (result.failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n❌ Embedding failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run builder
+buildIndex();
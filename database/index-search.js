@@ -0,0 +1,48 @@
+/**
+ * Search Index Builder
+ * Rebuilds the article search index (Elasticsearch/OpenSearch provider) from the database
+ *
+ * Usage: npm run db:index-search [-- --recreate]
+ *   --recreate  Drop the index first (removes stale documents, applies mapping changes)
+ */
+
+import pool, { testConnection } from '../src/database/pool.js';
+import searchService from '../src/services/search/searchService.js';
+
+async function buildIndex() {
+  const recreate = process.argv.includes('--recreate');
+  const { provider } = searchService.getStats();
+
+  console.log(`🔎 Building search index (${provider.name})...\n`);
+
+  try {
+    await testConnection();
+
+    const result = await searchService.reindex({ recreate });
+
+    if (result.skipped) {
+      console.log(
+        `\nℹ️  The ${provider.name} provider searches the database directly: nothing to index\n`
+      );
+      return;
+    }
+
+    console.log('\n✅ Index built');
+    console.log(`   - Index: ${provider.index}${recreate ? ' (recreated)' : ''}`);
+    console.log(`   - Indexed: ${result.indexed}`);
+    console.log(`   - Failed: ${result.failed}\n`);
+
+    if (result.failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n❌ Index build failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run builder
+buildIndex();
@@ -0,0 +1,73 @@
+-- DigitalTide Database Schema - Workflow Runs
+-- Version: 002
+-- Description: Persist workflow runs and link each step to an agent_tasks row so runs can be resumed
+
+-- ============================================================================
+-- ENUMS
+-- ============================================================================
+
+-- Workflow steps whose condition or join was not met
+ALTER TYPE task_status ADD VALUE IF NOT EXISTS 'skipped';
+
+-- Workflow run status
+CREATE TYPE workflow_status AS ENUM ('running', 'completed', 'failed', 'cancelled');
+
+-- ============================================================================
+-- WORKFLOW_RUNS TABLE
+-- ============================================================================
+
+CREATE TABLE workflow_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100),
+    status workflow_status DEFAULT 'running' NOT NULL,
+    input JSONB DEFAULT '{}',
+    outputs JSONB DEFAULT '{}',
+    step_order JSONB DEFAULT '[]',
+    failed_step VARCHAR(100),
+    error_message TEXT,
+    resume_count INTEGER DEFAULT 0,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE,
+    duration_ms INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_workflow_runs_name ON workflow_runs(name);
+CREATE INDEX idx_workflow_runs_status ON workflow_runs(status);
+CREATE INDEX idx_workflow_runs_created_at ON workflow_runs(created_at DESC);
+
+-- ============================================================================
+-- AGENT_TASKS: WORKFLOW STEP COLUMNS
+-- ============================================================================
+
+ALTER TABLE agent_tasks
+    ADD COLUMN workflow_run_id UUID REFERENCES workflow_runs(id) ON DELETE CASCADE,
+    ADD COLUMN step_id VARCHAR(100),
+    ADD COLUMN step_output VARCHAR(100),
+    ADD COLUMN duration_ms INTEGER;
+
+CREATE INDEX idx_agent_tasks_workflow_run_id ON agent_tasks(workflow_run_id);
+CREATE UNIQUE INDEX idx_agent_tasks_workflow_step ON agent_tasks(workflow_run_id, step_id)
+    WHERE workflow_run_id IS NOT NULL;
+
+-- ============================================================================
+-- TRIGGERS
+-- ============================================================================
+
+CREATE TRIGGER update_workflow_runs_updated_at BEFORE UPDATE ON workflow_runs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON TABLE workflow_runs IS 'Agent workflow runs with their input and named step outputs';
+COMMENT ON COLUMN agent_tasks.workflow_run_id IS 'Workflow run this task belongs to (NULL for standalone tasks)';
+COMMENT ON COLUMN agent_tasks.step_id IS 'Workflow step id within the run';
+
+-- ============================================================================
+-- COMPLETION
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, name) VALUES ('002', 'workflow_runs');
@@ -0,0 +1,52 @@
+-- DigitalTide Database Schema - Editorial Review
+-- Version: 003
+-- Description: Audit trail of editorial review decisions and article status transitions
+
+-- ============================================================================
+-- ENUMS
+-- ============================================================================
+
+-- Editorial review actions
+CREATE TYPE review_action AS ENUM (
+    'submitted',
+    'scored',
+    'approved',
+    'rejected',
+    'rewrite_requested',
+    'rewrite_completed',
+    'rewrite_failed',
+    'status_changed'
+);
+
+-- ============================================================================
+-- ARTICLE_REVIEW_EVENTS TABLE
+-- ============================================================================
+
+CREATE TABLE article_review_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    article_id UUID REFERENCES articles(id) ON DELETE CASCADE NOT NULL,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    action review_action NOT NULL,
+    from_status article_status,
+    to_status article_status,
+    comment TEXT,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_article_review_events_article_id ON article_review_events(article_id, created_at DESC);
+CREATE INDEX idx_article_review_events_actor_id ON article_review_events(actor_id);
+CREATE INDEX idx_article_review_events_action ON article_review_events(action);
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON TABLE article_review_events IS 'Who moved an article between statuses, and editorial review decisions';
+COMMENT ON COLUMN article_review_events.actor_id IS 'User who performed the action (NULL for agents)';
+
+-- ============================================================================
+-- COMPLETION
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, name) VALUES ('003', 'editorial_review');
@@ -0,0 +1,75 @@
+-- DigitalTide Database Schema - Article Revisions
+-- Version: 004
+-- Description: Immutable revision history for article content changes
+
+-- ============================================================================
+-- ARTICLE_REVISIONS TABLE
+-- ============================================================================
+
+CREATE TABLE article_revisions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    article_id UUID REFERENCES articles(id) ON DELETE CASCADE NOT NULL,
+    revision_number INTEGER NOT NULL,
+    title VARCHAR(500) NOT NULL,
+    slug VARCHAR(500) NOT NULL,
+    summary TEXT,
+    content TEXT NOT NULL,
+    featured_image_url TEXT,
+    category_id UUID,
+    metadata JSONB DEFAULT '{}',
+    word_count INTEGER,
+    author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    agent_name VARCHAR(100),
+    change_type VARCHAR(50) NOT NULL,
+    change_summary TEXT,
+    restored_from INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (article_id, revision_number)
+);
+
+CREATE INDEX idx_article_revisions_article_id ON article_revisions(article_id, revision_number DESC);
+CREATE INDEX idx_article_revisions_author_id ON article_revisions(author_id);
+
+-- ============================================================================
+-- TRIGGERS
+-- ============================================================================
+
+-- Revisions are append-only
+CREATE OR REPLACE FUNCTION prevent_article_revision_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'article_revisions rows are immutable';
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER prevent_article_revisions_update BEFORE UPDATE ON article_revisions
+    FOR EACH ROW EXECUTE FUNCTION prevent_article_revision_update();
+
+-- ============================================================================
+-- BACKFILL
+-- ============================================================================
+
+-- Existing articles start their history at revision 1
+INSERT INTO article_revisions (
+    article_id, revision_number, title, slug, summary, content, featured_image_url,
+    category_id, metadata, word_count, author_id, agent_name, change_type, change_summary, created_at
+)
+SELECT id, 1, title, slug, summary, content, featured_image_url,
+       category_id, metadata, word_count, author_id, agent_created, 'create',
+       'Initial revision', COALESCE(updated_at, created_at)
+FROM articles;
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON TABLE article_revisions IS 'Immutable snapshots of article content, one per change';
+COMMENT ON COLUMN article_revisions.author_id IS 'User who made the change (NULL when made by an agent)';
+COMMENT ON COLUMN article_revisions.agent_name IS 'Agent that made the change, if any';
+COMMENT ON COLUMN article_revisions.restored_from IS 'Revision number restored by a rollback';
+
+-- ============================================================================
+-- COMPLETION
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, name) VALUES ('004', 'article_revisions');
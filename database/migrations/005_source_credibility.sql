@@ -0,0 +1,83 @@
+-- DigitalTide Database Schema - Source Credibility
+-- Version: 005
+-- Description: Persisted credibility evaluations, article quality signals, manual tier overrides and the source blocklist
+
+-- ============================================================================
+-- SOURCE_CREDIBILITY TABLE
+-- ============================================================================
+
+CREATE TABLE source_credibility (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    domain VARCHAR(255) NOT NULL UNIQUE,
+    name VARCHAR(255),
+    tier VARCHAR(20) NOT NULL DEFAULT 'unknown',
+    score DECIMAL(3,2),
+    confidence DECIMAL(3,2),
+    factors JSONB DEFAULT '{}',
+    articles_tracked INTEGER DEFAULT 0,
+    override_tier VARCHAR(20) CHECK (override_tier IN ('1', '2', '3', 'unknown', 'blocked')),
+    override_score DECIMAL(3,2) CHECK (override_score BETWEEN 0 AND 1),
+    override_reason TEXT,
+    overridden_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    overridden_at TIMESTAMP WITH TIME ZONE,
+    last_evaluated_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_source_credibility_tier ON source_credibility(tier);
+CREATE INDEX idx_source_credibility_score ON source_credibility(score DESC);
+
+CREATE TRIGGER update_source_credibility_updated_at BEFORE UPDATE ON source_credibility
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- SOURCE_QUALITY_SIGNALS TABLE
+-- ============================================================================
+
+CREATE TABLE source_quality_signals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    domain VARCHAR(255) NOT NULL,
+    article_url TEXT,
+    quality DECIMAL(3,2) NOT NULL,
+    success BOOLEAN DEFAULT TRUE,
+    recorded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_source_quality_signals_domain ON source_quality_signals(domain, recorded_at DESC);
+CREATE INDEX idx_source_quality_signals_recorded_at ON source_quality_signals(recorded_at);
+
+-- ============================================================================
+-- SOURCE_BLOCKLIST TABLE
+-- ============================================================================
+
+CREATE TABLE source_blocklist (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    domain VARCHAR(255) NOT NULL UNIQUE,
+    reason TEXT,
+    added_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Seed with the built-in blocklist
+INSERT INTO source_blocklist (domain, reason) VALUES
+    ('theonion.com', 'Satirical'),
+    ('clickhole.com', 'Satirical'),
+    ('infowars.com', 'Known misinformation'),
+    ('naturalnews.com', 'Known misinformation');
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON TABLE source_credibility IS 'Latest credibility evaluation per source domain, recomputed on a schedule';
+COMMENT ON COLUMN source_credibility.override_tier IS 'Admin tier override; replaces the built-in tier classification';
+COMMENT ON COLUMN source_credibility.override_score IS 'Admin score override; pins the final credibility score';
+COMMENT ON TABLE source_quality_signals IS 'Per-article quality signals used for historical credibility performance';
+COMMENT ON TABLE source_blocklist IS 'Domains that always score 0 credibility';
+
+-- ============================================================================
+-- COMPLETION
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, name) VALUES ('005', 'source_credibility');
@@ -0,0 +1,46 @@
+-- DigitalTide Database Schema - Near-Duplicate Index
+-- Version: 006
+-- Description: MinHash signatures and LSH band buckets for archive-wide near-duplicate detection
+
+-- ============================================================================
+-- ARTICLE_SIGNATURES TABLE
+-- ============================================================================
+
+CREATE TABLE article_signatures (
+    article_id UUID PRIMARY KEY REFERENCES articles(id) ON DELETE CASCADE,
+    signature INTEGER[] NOT NULL,
+    num_hashes SMALLINT NOT NULL,
+    shingle_size SMALLINT NOT NULL,
+    shingle_count INTEGER NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TRIGGER update_article_signatures_updated_at BEFORE UPDATE ON article_signatures
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- ARTICLE_LSH_BUCKETS TABLE
+-- ============================================================================
+
+CREATE TABLE article_lsh_buckets (
+    band SMALLINT NOT NULL,
+    bucket INTEGER NOT NULL,
+    article_id UUID NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+    PRIMARY KEY (band, bucket, article_id)
+);
+
+CREATE INDEX idx_article_lsh_buckets_article_id ON article_lsh_buckets(article_id);
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON TABLE article_signatures IS 'MinHash signature of each article title and content';
+COMMENT ON TABLE article_lsh_buckets IS 'LSH band buckets; articles sharing a bucket are near-duplicate candidates';
+
+-- ============================================================================
+-- COMPLETION
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, name) VALUES ('006', 'article_minhash');
@@ -0,0 +1,101 @@
+-- DigitalTide Database Schema - Story Clustering
+-- Version: 007
+-- Description: Stories grouping coverage of the same event across sources, with timelines
+
+-- ============================================================================
+-- ENUMS
+-- ============================================================================
+
+-- Story lifecycle
+CREATE TYPE story_status AS ENUM (
+    'developing',
+    'dormant',
+    'archived'
+);
+
+-- Story timeline events
+CREATE TYPE story_event_type AS ENUM (
+    'created',
+    'article_added',
+    'status_changed',
+    'synthesized'
+);
+
+-- ============================================================================
+-- STORIES TABLE
+-- ============================================================================
+
+CREATE TABLE stories (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    title VARCHAR(500) NOT NULL,
+    summary TEXT,
+    status story_status DEFAULT 'developing' NOT NULL,
+    keywords TEXT[] DEFAULT '{}' NOT NULL,
+    category VARCHAR(100),
+    article_count INTEGER DEFAULT 0 NOT NULL,
+    source_count INTEGER DEFAULT 0 NOT NULL,
+    first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    last_article_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    synthesized_article_id UUID REFERENCES articles(id) ON DELETE SET NULL,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_stories_status_last_article ON stories(status, last_article_at DESC);
+CREATE INDEX idx_stories_keywords ON stories USING GIN(keywords);
+
+CREATE TRIGGER update_stories_updated_at BEFORE UPDATE ON stories
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- STORY_ARTICLES TABLE
+-- ============================================================================
+
+CREATE TABLE story_articles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    story_id UUID REFERENCES stories(id) ON DELETE CASCADE NOT NULL,
+    url TEXT NOT NULL,
+    title VARCHAR(500) NOT NULL,
+    summary TEXT,
+    source_name VARCHAR(255),
+    published_at TIMESTAMP WITH TIME ZONE,
+    similarity DECIMAL(3,2),
+    linked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(story_id, url)
+);
+
+CREATE INDEX idx_story_articles_story_id ON story_articles(story_id, published_at DESC);
+CREATE INDEX idx_story_articles_url ON story_articles(url);
+
+-- ============================================================================
+-- STORY_EVENTS TABLE
+-- ============================================================================
+
+CREATE TABLE story_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    story_id UUID REFERENCES stories(id) ON DELETE CASCADE NOT NULL,
+    event_type story_event_type NOT NULL,
+    description TEXT,
+    metadata JSONB DEFAULT '{}',
+    occurred_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_story_events_story_id ON story_events(story_id, occurred_at);
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON TABLE stories IS 'Coverage of the same event across sources, maintained by story clustering';
+COMMENT ON TABLE story_articles IS 'Crawled articles linked to a story';
+COMMENT ON TABLE story_events IS 'Story timeline: creation, new coverage, status changes and synthesis';
+COMMENT ON COLUMN story_articles.similarity IS 'Similarity to the story when linked (NULL for the founding articles)';
+COMMENT ON COLUMN stories.synthesized_article_id IS 'Latest article the Writer synthesized from the story';
+
+-- ============================================================================
+-- COMPLETION
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, name) VALUES ('007', 'stories');
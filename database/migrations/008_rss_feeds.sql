@@ -0,0 +1,68 @@
+-- DigitalTide Database Schema - RSS Feed Management
+-- Version: 008
+-- Description: Feed URL, category mapping and crawl health on sources; default RSS feeds
+
+-- ============================================================================
+-- SOURCES: FEED COLUMNS
+-- ============================================================================
+
+ALTER TABLE sources
+    ADD COLUMN feed_url TEXT,
+    ADD COLUMN category VARCHAR(100) DEFAULT 'general' NOT NULL,
+    ADD COLUMN consecutive_failures INTEGER DEFAULT 0 NOT NULL,
+    ADD COLUMN last_success_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN last_error TEXT,
+    ADD COLUMN last_error_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN disabled_reason TEXT,
+    ADD COLUMN disabled_at TIMESTAMP WITH TIME ZONE;
+
+CREATE UNIQUE INDEX idx_sources_feed_url ON sources(feed_url) WHERE feed_url IS NOT NULL;
+CREATE INDEX idx_sources_feed_due ON sources(is_active, last_crawled) WHERE feed_url IS NOT NULL;
+
+-- ============================================================================
+-- DEFAULT FEEDS
+-- ============================================================================
+
+-- Attach feed URLs to existing sources by domain, and add the feeds that have no source yet
+WITH default_feeds (name, domain, feed_url, category, credibility) AS (
+    VALUES
+        ('BBC News', 'bbc.com', 'http://feeds.bbci.co.uk/news/rss.xml', 'general', 0.95),
+        ('Reuters', 'reuters.com', 'https://www.reutersagency.com/feed/?taxonomy=best-topics&post_type=best', 'general', 0.98),
+        ('TechCrunch', 'techcrunch.com', 'https://techcrunch.com/feed/', 'technology', 0.85),
+        ('Ars Technica', 'arstechnica.com', 'http://feeds.arstechnica.com/arstechnica/index', 'technology', 0.90),
+        ('The Verge', 'theverge.com', 'https://www.theverge.com/rss/index.xml', 'technology', 0.85),
+        ('Hacker News', 'news.ycombinator.com', 'https://news.ycombinator.com/rss', 'technology', 0.80),
+        ('CNBC', 'cnbc.com', 'https://www.cnbc.com/id/100003114/device/rss/rss.html', 'business', 0.90),
+        ('Financial Times', 'ft.com', 'https://www.ft.com/?format=rss', 'business', 0.95),
+        ('NPR', 'npr.org', 'https://feeds.npr.org/1001/rss.xml', 'general', 0.92),
+        ('The Guardian', 'theguardian.com', 'https://www.theguardian.com/world/rss', 'general', 0.90),
+        ('Science Daily', 'sciencedaily.com', 'https://www.sciencedaily.com/rss/all.xml', 'science', 0.93),
+        ('Wired', 'wired.com', 'https://www.wired.com/feed/rss', 'technology', 0.87)
+),
+attached AS (
+    UPDATE sources s
+    SET feed_url = f.feed_url, category = f.category
+    FROM default_feeds f
+    WHERE s.domain = f.domain AND s.feed_url IS NULL
+    RETURNING s.id
+)
+INSERT INTO sources (name, url, domain, source_type, credibility_score, feed_url, category, crawl_frequency)
+SELECT f.name, 'https://' || f.domain, f.domain, 'rss_feed', f.credibility, f.feed_url, f.category, 3600
+FROM default_feeds f
+WHERE NOT EXISTS (SELECT 1 FROM sources s WHERE s.domain = f.domain);
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON COLUMN sources.feed_url IS 'RSS/Atom feed URL; sources without one are not polled';
+COMMENT ON COLUMN sources.category IS 'Category assigned to articles crawled from the feed';
+COMMENT ON COLUMN sources.crawl_frequency IS 'Feed poll interval in seconds';
+COMMENT ON COLUMN sources.consecutive_failures IS 'Failed polls since the last success; the feed is disabled at the configured limit';
+COMMENT ON COLUMN sources.disabled_reason IS 'Why the feed was disabled (set when auto-disabled after repeated failures)';
+
+-- ============================================================================
+-- COMPLETION
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, name) VALUES ('008', 'rss_feeds');
@@ -0,0 +1,40 @@
+-- DigitalTide Database Schema - Conditional Feed Fetching
+-- Version: 009
+-- Description: HTTP validators and adaptive poll scheduling for RSS feeds
+
+-- ============================================================================
+-- SOURCES: CONDITIONAL FETCH AND ADAPTIVE POLLING
+-- ============================================================================
+
+ALTER TABLE sources
+    ADD COLUMN etag TEXT,
+    ADD COLUMN last_modified TEXT,
+    ADD COLUMN content_hash VARCHAR(64),
+    ADD COLUMN not_modified_count INTEGER DEFAULT 0 NOT NULL,
+    ADD COLUMN adaptive_polling BOOLEAN DEFAULT TRUE NOT NULL,
+    ADD COLUMN poll_interval INTEGER,
+    ADD COLUMN avg_item_gap INTEGER,
+    ADD COLUMN last_item_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN next_poll_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX idx_sources_next_poll_at ON sources(next_poll_at) WHERE feed_url IS NOT NULL AND is_active = true;
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON COLUMN sources.etag IS 'ETag of the last feed response, sent as If-None-Match';
+COMMENT ON COLUMN sources.last_modified IS 'Last-Modified of the last feed response, sent as If-Modified-Since';
+COMMENT ON COLUMN sources.content_hash IS 'SHA-256 of the last feed body; an identical body is not re-parsed';
+COMMENT ON COLUMN sources.not_modified_count IS 'Polls skipped because the feed was unchanged (304 or identical body)';
+COMMENT ON COLUMN sources.adaptive_polling IS 'Adapt the poll interval to the feed''s publishing rate; when false crawl_frequency is used';
+COMMENT ON COLUMN sources.poll_interval IS 'Current adaptive poll interval in seconds';
+COMMENT ON COLUMN sources.avg_item_gap IS 'Estimated seconds between new items in the feed';
+COMMENT ON COLUMN sources.last_item_at IS 'Publication time of the newest item seen';
+COMMENT ON COLUMN sources.next_poll_at IS 'When the feed is next due for a poll';
+
+-- ============================================================================
+-- COMPLETION
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, name) VALUES ('009', 'feed_conditional_fetch');
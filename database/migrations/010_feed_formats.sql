@@ -0,0 +1,23 @@
+-- DigitalTide Database Schema - Feed Formats
+-- Version: 010
+-- Description: Per-source feed format (RSS, Atom, JSON Feed or Google News sitemap)
+
+-- ============================================================================
+-- SOURCES: FEED FORMAT
+-- ============================================================================
+
+ALTER TABLE sources
+    ADD COLUMN feed_format VARCHAR(20) DEFAULT 'auto' NOT NULL
+        CHECK (feed_format IN ('auto', 'rss', 'atom', 'jsonfeed', 'sitemap'));
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON COLUMN sources.feed_format IS 'Parser for feed_url: rss, atom, jsonfeed, sitemap (news sitemap) or auto to detect from the response';
+
+-- ============================================================================
+-- COMPLETION
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, name) VALUES ('010', 'feed_formats');
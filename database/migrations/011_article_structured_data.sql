@@ -0,0 +1,35 @@
+-- DigitalTide Database Schema - Article Structured Data
+-- Version: 011
+-- Description: schema.org JSON-LD (NewsArticle, BreadcrumbList, Organization) generated per article
+
+-- ============================================================================
+-- ARTICLE_STRUCTURED_DATA TABLE
+-- ============================================================================
+
+-- Kept out of the articles table so regenerating it does not touch articles.updated_at
+CREATE TABLE article_structured_data (
+    article_id UUID PRIMARY KEY REFERENCES articles(id) ON DELETE CASCADE,
+    json_ld JSONB NOT NULL,
+    errors JSONB DEFAULT '[]' NOT NULL,
+    warnings JSONB DEFAULT '[]' NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TRIGGER update_article_structured_data_updated_at BEFORE UPDATE ON article_structured_data
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON TABLE article_structured_data IS 'JSON-LD for each published article, embedded as-is by the frontend';
+COMMENT ON COLUMN article_structured_data.json_ld IS 'JSON-LD document: @graph of NewsArticle, BreadcrumbList and Organization';
+COMMENT ON COLUMN article_structured_data.errors IS 'Missing or invalid fields Google requires for article rich results; empty when valid';
+COMMENT ON COLUMN article_structured_data.warnings IS 'Recommended fields that are missing';
+
+-- ============================================================================
+-- COMPLETION
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, name) VALUES ('011', 'article_structured_data');
@@ -0,0 +1,29 @@
+-- DigitalTide Database Schema - Article Search Vector
+-- Version: 012
+-- Description: Stored full-text search vector for articles (search endpoints, internal linking)
+
+-- ============================================================================
+-- ARTICLES: SEARCH VECTOR
+-- ============================================================================
+
+-- Title matches rank above summary matches, which rank above body matches
+ALTER TABLE articles
+    ADD COLUMN search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(summary, '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(content, '')), 'C')
+    ) STORED;
+
+CREATE INDEX idx_articles_search_vector ON articles USING gin(search_vector);
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON COLUMN articles.search_vector IS 'Weighted full-text vector of title (A), summary (B) and content (C), maintained by PostgreSQL';
+
+-- ============================================================================
+-- COMPLETION
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, name) VALUES ('012', 'article_search_vector');
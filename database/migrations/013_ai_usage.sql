@@ -0,0 +1,46 @@
+-- DigitalTide Database Schema - AI Usage
+-- Version: 013
+-- Description: Token usage and cost of every AI provider call, attributed to agent, workflow run and article
+
+-- ============================================================================
+-- AI_USAGE TABLE
+-- ============================================================================
+
+CREATE TABLE ai_usage (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(100) NOT NULL,
+    operation VARCHAR(100) NOT NULL,
+    agent_name VARCHAR(100),
+    workflow_run_id UUID,
+    article_id UUID REFERENCES articles(id) ON DELETE SET NULL,
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+    fallback_used BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Budget checks sum today's and this month's spend, overall and per agent
+CREATE INDEX idx_ai_usage_created_at ON ai_usage(created_at DESC);
+CREATE INDEX idx_ai_usage_agent_created_at ON ai_usage(agent_name, created_at DESC);
+CREATE INDEX idx_ai_usage_article ON ai_usage(article_id) WHERE article_id IS NOT NULL;
+CREATE INDEX idx_ai_usage_workflow_run ON ai_usage(workflow_run_id) WHERE workflow_run_id IS NOT NULL;
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON TABLE ai_usage IS 'One row per AI provider call made through unifiedAIService';
+COMMENT ON COLUMN ai_usage.operation IS 'unifiedAIService method, e.g. generate, generateArticle, rewriteArticle';
+COMMENT ON COLUMN ai_usage.agent_name IS 'Agent running the task that made the call (NULL outside agents)';
+COMMENT ON COLUMN ai_usage.workflow_run_id IS 'Workflow run of the task (no foreign key: runs without a store are not persisted)';
+COMMENT ON COLUMN ai_usage.article_id IS 'Article the call was made for; workflow calls are linked once the article is created';
+COMMENT ON COLUMN ai_usage.cost_usd IS 'Estimated cost from the configured per-model price table (AI_MODEL_PRICES)';
+COMMENT ON COLUMN ai_usage.fallback_used IS 'The call was answered by a provider other than the preferred one';
+
+-- ============================================================================
+-- COMPLETION
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, name) VALUES ('013', 'ai_usage');
@@ -0,0 +1,28 @@
+-- DigitalTide Database Schema - Workflow Run Ownership
+-- Version: 014
+-- Description: Record which process executes a workflow run and when it last reported progress,
+-- so only runs abandoned by a stopped process are resumed
+
+-- ============================================================================
+-- WORKFLOW_RUNS: OWNERSHIP AND HEARTBEAT
+-- ============================================================================
+
+ALTER TABLE workflow_runs
+    ADD COLUMN locked_by VARCHAR(255),
+    ADD COLUMN heartbeat_at TIMESTAMP WITH TIME ZONE;
+
+-- Runs that were running before this migration have no owner and count as abandoned
+CREATE INDEX idx_workflow_runs_heartbeat_at ON workflow_runs(heartbeat_at) WHERE status = 'running';
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON COLUMN workflow_runs.locked_by IS 'Process executing the run (host:pid:instance)';
+COMMENT ON COLUMN workflow_runs.heartbeat_at IS 'Last heartbeat of the owning process; a running run with an old heartbeat was abandoned';
+
+-- ============================================================================
+-- COMPLETION
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, name) VALUES ('014', 'workflow_run_ownership');
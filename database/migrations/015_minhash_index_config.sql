@@ -0,0 +1,40 @@
+-- DigitalTide Database Schema - Near-Duplicate Index Configuration
+-- Version: 015
+-- Description: Store the LSH band/row configuration with each bucket, so buckets built with
+-- different settings are never mixed, and index articles by title and summary (the fields
+-- crawled items have) instead of title and full content
+
+-- ============================================================================
+-- CLEAR THE INDEX
+-- ============================================================================
+
+-- Existing signatures cover the full content, so they cannot be compared with crawled items.
+-- Rebuild the index after migrating: npm run db:index-duplicates
+DELETE FROM article_lsh_buckets;
+DELETE FROM article_signatures;
+
+-- ============================================================================
+-- ARTICLE_LSH_BUCKETS: BAND CONFIGURATION
+-- ============================================================================
+
+ALTER TABLE article_lsh_buckets
+    ADD COLUMN num_bands SMALLINT NOT NULL,
+    ADD COLUMN rows_per_band SMALLINT NOT NULL;
+
+ALTER TABLE article_lsh_buckets DROP CONSTRAINT article_lsh_buckets_pkey;
+ALTER TABLE article_lsh_buckets
+    ADD PRIMARY KEY (num_bands, rows_per_band, band, bucket, article_id);
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON TABLE article_signatures IS 'MinHash signature of each article title and summary (or opening words)';
+COMMENT ON COLUMN article_lsh_buckets.num_bands IS 'LSH bands of the index configuration that produced the bucket';
+COMMENT ON COLUMN article_lsh_buckets.rows_per_band IS 'Signature rows per band of that configuration';
+
+-- ============================================================================
+-- COMPLETION
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, name) VALUES ('015', 'minhash_index_config');
@@ -0,0 +1,48 @@
+-- DigitalTide Database Schema - One Story per Article URL
+-- Version: 016
+-- Description: Make story_articles.url unique across stories, so overlapping news-fetch and
+-- feed-poll runs cannot link the same article to two stories
+
+-- ============================================================================
+-- REMOVE DUPLICATE LINKS
+-- ============================================================================
+
+-- Keep each URL in the story it was linked to first
+DELETE FROM story_articles sa
+USING story_articles earlier
+WHERE sa.url = earlier.url
+  AND (sa.linked_at, sa.id) > (earlier.linked_at, earlier.id);
+
+-- Recount the stories that lost articles
+UPDATE stories s
+SET article_count = agg.article_count,
+    source_count = agg.source_count
+FROM (
+    SELECT st.id,
+           COUNT(sa.id) AS article_count,
+           COUNT(DISTINCT LOWER(sa.source_name)) AS source_count
+    FROM stories st
+    LEFT JOIN story_articles sa ON sa.story_id = st.id
+    GROUP BY st.id
+) agg
+WHERE s.id = agg.id
+  AND (s.article_count != agg.article_count OR s.source_count != agg.source_count);
+
+-- ============================================================================
+-- STORY_ARTICLES: UNIQUE URL
+-- ============================================================================
+
+DROP INDEX idx_story_articles_url;
+CREATE UNIQUE INDEX idx_story_articles_url ON story_articles(url);
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON COLUMN story_articles.url IS 'Article URL; an article belongs to at most one story';
+
+-- ============================================================================
+-- COMPLETION
+-- ============================================================================
+
+INSERT INTO schema_migrations (version, name) VALUES ('016', 'story_articles_unique_url');
@@ -1,7 +1,10 @@
 -- Seed Data: News Sources
 -- Pre-populate trusted news sources for crawling
 
-INSERT INTO sources (name, url, domain, source_type, credibility_score, is_active, crawl_frequency) VALUES
+-- Sources whose domain already exists (e.g. feeds added by migration 008) are skipped
+INSERT INTO sources (name, url, domain, source_type, credibility_score, is_active, crawl_frequency)
+SELECT v.name, v.url, v.domain, v.source_type::source_type, v.credibility_score, v.is_active, v.crawl_frequency
+FROM (VALUES
 ('BBC News', 'https://www.bbc.com/news', 'bbc.com', 'rss_feed', 0.95, true, 1800),
 ('Reuters', 'https://www.reuters.com', 'reuters.com', 'rss_feed', 0.95, true, 1800),
 ('Associated Press', 'https://apnews.com', 'apnews.com', 'rss_feed', 0.93, true, 1800),
@@ -17,7 +20,8 @@ INSERT INTO sources (name, url, domain, source_type, credibility_score, is_activ
 ('Scientific American', 'https://www.scientificamerican.com', 'scientificamerican.com', 'rss_feed', 0.92, true, 7200),
 ('Nature', 'https://www.nature.com', 'nature.com', 'rss_feed', 0.95, true, 14400),
 ('The Verge', 'https://www.theverge.com', 'theverge.com', 'rss_feed', 0.82, true, 7200)
-ON CONFLICT DO NOTHING;
+) AS v(name, url, domain, source_type, credibility_score, is_active, crawl_frequency)
+WHERE NOT EXISTS (SELECT 1 FROM sources s WHERE s.domain = v.domain);
 
 -- Sample API configuration for sources (JSON format)
 -- Note: Actual API keys should be stored in environment variables
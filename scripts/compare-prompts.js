@@ -0,0 +1,115 @@
+/**
+ * Prompt A/B Comparison
+ * Writes a sample of articles with two versions of a prompt template and
+ * compares their QualityControl scores
+ *
+ * Usage: npm run prompts:compare -- <template> <versionA> <versionB> [options]
+ *   --samples N      Recent published articles to use (default: 5)
+ *   --topics FILE    JSON array of samples ({ title, summary, content, keywords }) instead
+ *   --review         Also compare QualityControl's AI review rating (one more call per draft)
+ *   --output FILE    Write the full report as JSON
+ *   --list           List templates and versions
+ *
+ * Offline: AI_PROVIDER=mock npm run prompts:compare -- article.generate v1 v2 --topics topics.json
+ */
+
+import fs from 'fs/promises';
+import pool from '../src/database/pool.js';
+import promptRegistry from '../src/services/ai/promptRegistry.js';
+import promptEvaluationService from '../src/services/ai/promptEvaluationService.js';
+import writerRunner from '../src/services/editorial/writerRunner.js';
+
+const option = name => {
+  const index = process.argv.indexOf(name);
+  return index > -1 ? process.argv[index + 1] : undefined;
+};
+
+function listTemplates() {
+  console.log('\n📝 Prompt templates\n');
+  promptRegistry.list().forEach(template => {
+    console.log(`${template.name} (in use: ${template.current}) - ${template.description}`);
+    template.versions.forEach(({ version, notes, providers }) => {
+      const variants = providers.length > 0 ? ` [variants: ${providers.join(', ')}]` : '';
+      console.log(`   ${version}: ${notes || ''}${variants}`);
+    });
+  });
+  console.log(`\nEvaluable: ${promptEvaluationService.getEvaluableTemplates().join(', ')}\n`);
+}
+
+function printReport(report) {
+  const [versionA, versionB] = report.versions;
+  const format = value => (value === null ? '-' : String(value));
+
+  console.log(`\n📊 ${report.template}: ${versionA} vs ${versionB}\n`);
+  console.log(`   ${'Metric'.padEnd(20)}${versionA.padEnd(12)}${versionB}`);
+  [
+    ['Evaluated', 'evaluated'],
+    ['Failed', 'failed'],
+    ['Mean quality score', 'meanQualityScore'],
+    ['Mean review rating', 'meanReviewRating'],
+    ['Approved', 'approved'],
+    ['Mean issues', 'meanIssues'],
+    ['Mean word count', 'meanWordCount'],
+    ['Tokens used', 'tokensUsed'],
+  ].forEach(([label, key]) => {
+    const a = format(report.summary[versionA][key]);
+    const b = format(report.summary[versionB][key]);
+    console.log(`   ${label.padEnd(20)}${a.padEnd(12)}${b}`);
+  });
+
+  const { comparison } = report;
+  console.log(
+    `\n   Head to head (${comparison.paired} samples): ${versionA} ${comparison.wins[versionA]}, ` +
+      `${versionB} ${comparison.wins[versionB]}, ties ${comparison.ties}`
+  );
+  console.log(
+    `   Mean score difference (${versionB} - ${versionA}): ${format(comparison.meanScoreDifference)}`
+  );
+  console.log(`   Leader: ${comparison.leader || 'none'}\n`);
+}
+
+async function comparePrompts() {
+  if (process.argv.includes('--list')) {
+    listTemplates();
+    return;
+  }
+
+  const [template, versionA, versionB] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  if (!template || !versionA || !versionB) {
+    console.error('Usage: npm run prompts:compare -- <template> <versionA> <versionB> [options]');
+    console.error('       npm run prompts:compare -- --list');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const topicsFile = option('--topics');
+    const samples = topicsFile ? JSON.parse(await fs.readFile(topicsFile, 'utf8')) : undefined;
+
+    const report = await promptEvaluationService.compare({
+      template,
+      versions: [versionA, versionB],
+      samples,
+      sampleSize: parseInt(option('--samples'), 10) || 5,
+      includeReview: process.argv.includes('--review'),
+    });
+
+    printReport(report);
+
+    const output = option('--output');
+    if (output) {
+      await fs.writeFile(output, `${JSON.stringify(report, null, 2)}\n`);
+      console.log(`✅ Report written to ${output}\n`);
+    }
+  } catch (error) {
+    console.error('\n❌ Comparison failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await promptEvaluationService.cleanup();
+    await writerRunner.stop();
+    await pool.end();
+  }
+}
+
+// Run comparison
+comparePrompts();
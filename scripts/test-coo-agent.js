@@ -1,6 +1,8 @@
 ﻿/**
  * Test script for COO Agent
  * Tests natural language business query interface and Phase 3.1 functionality
+ *
+ * Offline (no API keys): AI_PROVIDER=mock node scripts/test-coo-agent.js
  */
 
 import COOAgent from '../src/agents/specialized/COOAgent.js';
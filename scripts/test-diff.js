@@ -0,0 +1,236 @@
+/**
+ * Revision Diff Test Suite
+ *
+ * Tests the word-level diff used for article revisions (no database):
+ * tokenizing, minimal edit scripts, reconstruction of both texts, and the
+ * approximate diff returned when the edit distance exceeds maxEdits.
+ */
+
+import { diffWords, tokenizeWords } from '../src/utils/diff.js';
+
+// ANSI color codes for output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+// Test result tracking
+const results = {
+  passed: 0,
+  failed: 0,
+  total: 0,
+};
+
+// Helper functions
+function logSuccess(message) {
+  console.log(`${colors.green}✓${colors.reset} ${message}`);
+}
+
+function logError(message) {
+  console.log(`${colors.red}✗${colors.reset} ${message}`);
+}
+
+function logSection(message) {
+  console.log(`\n${colors.bright}${colors.blue}━━━ ${message} ━━━${colors.reset}`);
+}
+
+function assert(condition, message) {
+  results.total++;
+  if (condition) {
+    results.passed++;
+    logSuccess(message);
+    return true;
+  }
+  results.failed++;
+  logError(message);
+  return false;
+}
+
+/**
+ * Rebuild the old and new texts from a diff
+ */
+function rebuild(diff) {
+  const join = type =>
+    diff.changes
+      .filter(change => change.type !== type)
+      .map(change => change.value)
+      .join('');
+  return { oldText: join('added'), newText: join('removed') };
+}
+
+/**
+ * Length of the longest common subsequence (reference for the minimal edit count)
+ */
+function lcsLength(a, b) {
+  let previous = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    const current = new Array(b.length + 1).fill(0);
+    for (let j = 1; j <= b.length; j++) {
+      current[j] =
+        a[i - 1] === b[j - 1] ? previous[j - 1] + 1 : Math.max(previous[j], current[j - 1]);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Deterministic pseudo-random generator (so failures are reproducible)
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 48271) % 2147483647;
+    return state / 2147483647;
+  };
+}
+
+/**
+ * Test 1: Tokenizing
+ */
+function testTokenize() {
+  logSection('Test 1: Tokenizing');
+
+  const text = '  Leading space,\nnew line  and  gaps ';
+  assert(tokenizeWords(text).join('') === text, 'Joining the tokens gives back the text');
+  assert(tokenizeWords('a b')[0] === 'a ', 'Trailing whitespace stays with its word');
+  assert(tokenizeWords('').length === 0 && tokenizeWords(null).length === 0, 'Empty text');
+}
+
+/**
+ * Test 2: Simple edits
+ */
+function testSimpleEdits() {
+  logSection('Test 2: Simple Edits');
+
+  const replaced = diffWords('the quick brown fox', 'the slow brown fox');
+  assert(
+    replaced.stats.added === 1 && replaced.stats.removed === 1 && replaced.stats.unchanged === 3,
+    'One replaced word'
+  );
+  assert(
+    replaced.changes.map(change => change.type).join(',') === 'equal,removed,added,equal',
+    'Adjacent tokens of the same type are merged'
+  );
+
+  const inserted = diffWords('one three', 'one two three');
+  assert(inserted.stats.added === 1 && inserted.stats.removed === 0, 'Inserted word');
+
+  const created = diffWords('', 'brand new text');
+  assert(created.stats.added === 3 && created.changes.length === 1, 'Diff from empty text');
+
+  const same = diffWords('no change here', 'no change here');
+  assert(same.stats.added + same.stats.removed === 0, 'Identical texts have no edits');
+  assert(same.approximate === false, 'Exact diffs are not approximate');
+}
+
+/**
+ * Test 3: Minimal edit scripts
+ */
+function testMinimal() {
+  logSection('Test 3: Minimal Edit Scripts (randomised)');
+
+  const random = createRandom(42);
+  const words = () =>
+    Array.from({ length: Math.floor(random() * 30) }, () => 'abcdef'[Math.floor(random() * 6)]);
+
+  let rebuilt = 0;
+  let minimal = 0;
+  const cases = 500;
+
+  for (let i = 0; i < cases; i++) {
+    const oldText = words().join(' ');
+    const newText = words().join(' ');
+    const diff = diffWords(oldText, newText);
+    const texts = rebuild(diff);
+    const a = tokenizeWords(oldText);
+    const b = tokenizeWords(newText);
+
+    if (texts.oldText === oldText && texts.newText === newText) rebuilt++;
+    if (diff.stats.added + diff.stats.removed === a.length + b.length - 2 * lcsLength(a, b)) {
+      minimal++;
+    }
+  }
+
+  assert(rebuilt === cases, `Both texts rebuild from the diff (${rebuilt}/${cases})`);
+  assert(minimal === cases, `Edit scripts are minimal (${minimal}/${cases})`);
+}
+
+/**
+ * Test 4: Edit distance limit
+ */
+function testLimits() {
+  logSection('Test 4: Edit Distance Limit');
+
+  const random = createRandom(7);
+  const words = count =>
+    Array.from({ length: count }, () => `w${Math.floor(random() * 1e6)}`).join(' ');
+
+  const base = words(20000).split(' ');
+  const edited = base.slice();
+  for (let i = 0; i < 100; i++) {
+    edited[Math.floor(random() * edited.length)] = `edit${i}`;
+  }
+
+  let start = Date.now();
+  const small = diffWords(base.join(' '), edited.join(' '), { maxEdits: 2000 });
+  assert(
+    !small.approximate && small.stats.added <= 100 && small.stats.added === small.stats.removed,
+    `Long texts with few edits are diffed exactly (${Date.now() - start}ms)`
+  );
+
+  start = Date.now();
+  const oldText = `Same start. ${words(20000)} Same end.`;
+  const newText = `Same start. ${words(20000)} Same end.`;
+  const large = diffWords(oldText, newText, { maxEdits: 2000 });
+  const elapsed = Date.now() - start;
+  assert(large.approximate, 'Diffs over maxEdits are approximate');
+  assert(elapsed < 2000, `Unrelated long texts stop at the limit (${elapsed}ms)`);
+  assert(
+    large.changes[0].type === 'equal' &&
+      large.changes[large.changes.length - 1].type === 'equal' &&
+      large.changes.length === 4,
+    'Approximate diffs keep the common start and end and replace the rest'
+  );
+
+  const texts = rebuild(large);
+  assert(
+    texts.oldText === oldText && texts.newText === newText,
+    'Both texts rebuild from an approximate diff'
+  );
+}
+
+/**
+ * Run all tests
+ */
+function runAllTests() {
+  console.log(`\n${colors.bright}${colors.cyan}Revision Diff Test Suite${colors.reset}`);
+
+  const startTime = Date.now();
+
+  try {
+    testTokenize();
+    testSimpleEdits();
+    testMinimal();
+    testLimits();
+  } catch (error) {
+    logError(`Test suite error: ${error.message}`);
+    console.error(error);
+    results.failed++;
+  }
+
+  console.log(`\n${colors.bright}Test Summary${colors.reset}`);
+  console.log(`Total Tests: ${results.total}`);
+  console.log(`${colors.green}Passed: ${results.passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${results.failed}${colors.reset}`);
+  console.log(`Duration: ${Date.now() - startTime}ms`);
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
@@ -0,0 +1,260 @@
+/**
+ * Embeddings Test Suite
+ *
+ * Tests semantic similarity without API keys or a vector database: the local
+ * hashing embedding provider, the in-memory vector store, and similar/related
+ * article lookups through the embedding service backed by both.
+ */
+
+import { EmbeddingService } from '../src/services/embeddings/embeddingService.js';
+import HashingEmbeddingProvider from '../src/services/embeddings/providers/HashingEmbeddingProvider.js';
+import MemoryVectorStore, {
+  cosineSimilarity,
+} from '../src/services/embeddings/stores/MemoryVectorStore.js';
+
+// ANSI color codes for output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+// Test result tracking
+const results = {
+  passed: 0,
+  failed: 0,
+  total: 0,
+};
+
+// Helper functions
+function logSuccess(message) {
+  console.log(`${colors.green}✓${colors.reset} ${message}`);
+}
+
+function logError(message) {
+  console.log(`${colors.red}✗${colors.reset} ${message}`);
+}
+
+function logSection(message) {
+  console.log(`\n${colors.bright}${colors.blue}━━━ ${message} ━━━${colors.reset}`);
+}
+
+function assert(condition, message) {
+  results.total++;
+  if (condition) {
+    results.passed++;
+    logSuccess(message);
+    return true;
+  }
+  results.failed++;
+  logError(message);
+  return false;
+}
+
+// Sample articles: two on transit, two on vaccines, one on football
+const ARTICLES = [
+  {
+    id: '00000000-0000-4000-8000-000000000001',
+    title: 'City council approves downtown light rail line',
+    summary: 'The council voted to fund a light rail line from downtown to the airport.',
+    content:
+      'Construction of the light rail line starts next year. Transit officials expect trains to run every ten minutes.',
+  },
+  {
+    id: '00000000-0000-4000-8000-000000000002',
+    title: 'Light rail construction to close downtown streets',
+    summary: 'Downtown streets will close in stages while the light rail line is built.',
+    content: 'Transit officials said the airport light rail line will open in 2030.',
+  },
+  {
+    id: '00000000-0000-4000-8000-000000000003',
+    title: 'New vaccine trial shows strong immune response',
+    summary: 'Researchers reported a strong immune response in the vaccine trial.',
+    content: 'The phase two vaccine trial enrolled 400 volunteers across six hospitals.',
+  },
+  {
+    id: '00000000-0000-4000-8000-000000000004',
+    title: 'Hospitals prepare for vaccine rollout',
+    summary: 'Hospitals are training staff ahead of the vaccine rollout.',
+    content: 'Health officials expect the vaccine trial results to speed up approval.',
+  },
+  {
+    id: '00000000-0000-4000-8000-000000000005',
+    title: 'Home side wins the football derby in extra time',
+    summary: 'A late goal settled the football derby after extra time.',
+    content: 'The striker scored twice as the home side came back from a goal down.',
+  },
+];
+
+const [TRANSIT, TRANSIT_RELATED, VACCINE, VACCINE_RELATED] = ARTICLES.map(article => article.id);
+
+/**
+ * Test 1: Hashing embedding provider
+ */
+async function testHashingProvider() {
+  logSection('Test 1: Hashing Embedding Provider');
+
+  const provider = new HashingEmbeddingProvider();
+  const [vector, again, empty] = await provider.embed([
+    'Light rail line approved',
+    'Light rail line approved',
+    '',
+  ]);
+
+  assert(
+    provider.dimensions === 384 && vector.length === 384,
+    'Default vectors have 384 dimensions'
+  );
+  assert(
+    Math.abs(Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) - 1) < 1e-9,
+    'Vectors are L2-normalized'
+  );
+  assert(vector.join() === again.join(), 'Identical text gives an identical vector');
+  assert(
+    vector.some(value => value > 0) && vector.some(value => value < 0),
+    'Buckets get both signs'
+  );
+  assert(
+    empty.every(value => value === 0),
+    'Text without words gives a zero vector'
+  );
+
+  const custom = new HashingEmbeddingProvider({ dimensions: 64 });
+  const [small] = await custom.embed(['Light rail line approved']);
+  assert(
+    small.length === 64 && custom.getInfo().model === 'hashing-64',
+    'Dimensions are configurable'
+  );
+
+  const [base, related, unrelated] = await provider.embed([
+    ARTICLES[0].title,
+    ARTICLES[1].title,
+    ARTICLES[4].title,
+  ]);
+  const relatedScore = cosineSimilarity(base, related);
+  const unrelatedScore = cosineSimilarity(base, unrelated);
+  assert(
+    relatedScore > unrelatedScore,
+    `Shared vocabulary scores higher (${relatedScore.toFixed(2)} vs ${unrelatedScore.toFixed(2)})`
+  );
+}
+
+/**
+ * Test 2: Memory vector store
+ */
+async function testMemoryStore() {
+  logSection('Test 2: Memory Vector Store');
+
+  const store = new MemoryVectorStore();
+
+  assert((await store.ensureCollection(3)) === true, 'Collection is created');
+  assert((await store.ensureCollection(3)) === false, 'Existing collection is kept');
+
+  await store.upsert([
+    { id: 'a', vector: [1, 0, 0] },
+    { id: 'b', vector: [0.8, 0.6, 0] },
+    { id: 'c', vector: [0, 0, 1] },
+  ]);
+
+  const hits = await store.query([1, 0, 0], { limit: 2 });
+  assert(
+    hits.map(hit => hit.id).join(',') === 'a,b' && Math.abs(hits[0].score - 1) < 1e-9,
+    'Query returns the closest vectors first, up to the limit'
+  );
+
+  assert((await store.getVector('c')).join() === '0,0,1', 'Stored vectors can be read back');
+
+  await store.delete(['a']);
+  assert(
+    (await store.getVector('a')) === null && (await store.query([1, 0, 0]))[0].id === 'b',
+    'Deleted vectors no longer match'
+  );
+
+  await store.deleteCollection();
+  assert(store.getInfo().vectors === 0, 'Deleting the collection clears all vectors');
+}
+
+/**
+ * Test 3: Similar and related articles
+ */
+async function testSimilarArticles() {
+  logSection('Test 3: Similar and Related Articles');
+
+  const service = new EmbeddingService({ enabled: true, provider: 'hashing', store: 'memory' });
+
+  const vectors = await service.storeArticles(ARTICLES);
+  assert(
+    vectors.length === ARTICLES.length && service.store.getInfo().vectors === ARTICLES.length,
+    `Articles are embedded into the memory store (${ARTICLES.length})`
+  );
+
+  const transitHits = await service.searchSimilar('downtown light rail to the airport', {
+    limit: 2,
+  });
+  assert(
+    transitHits.every(hit => [TRANSIT, TRANSIT_RELATED].includes(hit.id)),
+    'Text search finds the transit articles'
+  );
+
+  const vaccineHits = await service.searchSimilar('vaccine trial immune response', { limit: 1 });
+  assert(vaccineHits[0].id === VACCINE, 'Text search ranks the closest article first');
+
+  const related = await service.findSimilar(TRANSIT, { limit: 3 });
+  assert(
+    related.length === 3 && related.every(hit => hit.id !== TRANSIT),
+    'Related articles exclude the article itself'
+  );
+  assert(related[0].id === TRANSIT_RELATED, 'The article on the same story is most related');
+
+  const vaccineRelated = await service.findSimilar(VACCINE, { limit: 1 });
+  assert(vaccineRelated[0].id === VACCINE_RELATED, 'Related lookup works for other topics');
+
+  await service.removeArticle(TRANSIT_RELATED);
+  const afterRemoval = await service.findSimilar(TRANSIT, { limit: 4 });
+  assert(
+    afterRemoval.every(hit => hit.id !== TRANSIT_RELATED),
+    'Removed articles are no longer related'
+  );
+
+  const stats = service.getStats();
+  assert(
+    stats.embedded === ARTICLES.length && stats.removed === 1 && stats.queries === 5,
+    'Statistics count embeddings, removals and queries'
+  );
+
+  const disabled = new EmbeddingService({ enabled: false, store: 'memory' });
+  assert((await disabled.embedArticle(TRANSIT)) === null, 'Disabled service skips embedding');
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log(`\n${colors.bright}${colors.cyan}Embeddings Test Suite${colors.reset}`);
+
+  const startTime = Date.now();
+
+  try {
+    await testHashingProvider();
+    await testMemoryStore();
+    await testSimilarArticles();
+  } catch (error) {
+    logError(`Test suite error: ${error.message}`);
+    console.error(error);
+    results.failed++;
+  }
+
+  console.log(`\n${colors.bright}Test Summary${colors.reset}`);
+  console.log(`Total Tests: ${results.total}`);
+  console.log(`${colors.green}Passed: ${results.passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${results.failed}${colors.reset}`);
+  console.log(`Duration: ${Date.now() - startTime}ms`);
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
@@ -0,0 +1,214 @@
+/**
+ * Fixture News Sources Test Suite
+ *
+ * Runs news aggregation with NEWS_SOURCE_MODE=fixture: only the local fixture
+ * adapter is enabled, so no API keys, network access or cache are needed.
+ * Tests source selection, the standard article format, category and keyword
+ * filtering, deduplication and source reputation tracking.
+ */
+
+// Fixture mode must be set before config is loaded
+process.env.NEWS_SOURCE_MODE = 'fixture';
+
+const { default: sourceRegistry } = await import('../src/services/news/sourceRegistry.js');
+const { default: newsAggregator } = await import('../src/services/news/newsAggregator.js');
+
+// ANSI color codes for output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+// Test result tracking
+const results = {
+  passed: 0,
+  failed: 0,
+  total: 0,
+};
+
+// Helper functions
+function logSuccess(message) {
+  console.log(`${colors.green}✓${colors.reset} ${message}`);
+}
+
+function logError(message) {
+  console.log(`${colors.red}✗${colors.reset} ${message}`);
+}
+
+function logSection(message) {
+  console.log(`\n${colors.bright}${colors.blue}━━━ ${message} ━━━${colors.reset}`);
+}
+
+function assert(condition, message) {
+  results.total++;
+  if (condition) {
+    results.passed++;
+    logSuccess(message);
+    return true;
+  }
+  results.failed++;
+  logError(message);
+  return false;
+}
+
+/**
+ * Aggregate from the fixture sources without touching the cache
+ */
+function aggregate(options = {}) {
+  return newsAggregator.aggregateFromMultipleSources({ useCache: false, limit: 50, ...options });
+}
+
+/**
+ * Test 1: Source selection
+ */
+async function testSourceSelection() {
+  logSection('Test 1: Fixture Source Selection');
+
+  assert(sourceRegistry.mode === 'fixture', 'Registry runs in fixture mode');
+  assert(
+    sourceRegistry.names({ enabledOnly: true }).join(',') === 'fixture',
+    'Only the fixture adapter is enabled'
+  );
+  assert(
+    ['serpapi', 'mediastack', 'rss'].every(name => !sourceRegistry.isEnabled(name)),
+    'Live API and RSS sources are disabled'
+  );
+  assert(
+    await sourceRegistry.get('fixture').healthCheck(),
+    'Fixture adapter reports healthy (fixture files load)'
+  );
+}
+
+/**
+ * Test 2: Aggregation and article format
+ */
+async function testAggregation() {
+  logSection('Test 2: Aggregation and Article Format');
+
+  const aggregated = await aggregate();
+  const { articles, metadata } = aggregated;
+
+  assert(articles.length > 0, `Aggregation returns fixture articles (${articles.length})`);
+  assert(metadata.errors.length === 0, 'No source errors');
+  assert(
+    Object.keys(metadata.sources).join(',') === 'fixture' &&
+      metadata.sources.fixture.status === 'success',
+    'Articles come from the fixture source only'
+  );
+  assert(
+    articles.every(
+      article =>
+        article.title &&
+        article.url &&
+        article.publishedAt &&
+        article.source?.name &&
+        typeof article.source.credibility === 'number' &&
+        article.metadata?.provider === 'fixture' &&
+        /^[a-f0-9]{32}$/.test(article.fingerprint)
+    ),
+    'Articles use the standard normalized format'
+  );
+  assert(
+    articles.every(
+      (article, i) =>
+        i === 0 || new Date(articles[i - 1].publishedAt) >= new Date(article.publishedAt)
+    ),
+    'Articles are sorted newest first'
+  );
+  assert(
+    articles.every(article => Date.now() - new Date(article.publishedAt) < 24 * 60 * 60 * 1000),
+    'Relative fixture timestamps are recent'
+  );
+  assert(metadata.fromCache === false, 'Results are not served from the cache');
+}
+
+/**
+ * Test 3: Filtering
+ */
+async function testFiltering() {
+  logSection('Test 3: Category, Keyword and Credibility Filters');
+
+  const technology = await aggregate({ category: 'technology' });
+  assert(
+    technology.articles.length > 0 &&
+      technology.articles.every(article => article.category === 'technology'),
+    `Category filter (${technology.articles.length} technology articles)`
+  );
+
+  const keyword = await aggregate({ query: 'query planner' });
+  assert(
+    keyword.articles.length > 0 &&
+      keyword.articles.every(article =>
+        `${article.title} ${article.description}`.toLowerCase().match(/query|planner/)
+      ),
+    `Keyword filter (${keyword.articles.length} matching articles)`
+  );
+
+  const none = await aggregate({ query: 'zzzz-no-such-topic' });
+  assert(none.articles.length === 0, 'Unmatched keywords return no articles');
+
+  const credible = await aggregate({ minCredibility: 0.99 });
+  assert(
+    credible.articles.every(article => article.source.credibility >= 0.99),
+    'Credibility filter drops less credible sources'
+  );
+
+  const limited = await aggregate({ limit: 2 });
+  assert(limited.articles.length <= 2, 'Limit caps the number of articles');
+}
+
+/**
+ * Test 4: Deduplication and reputation
+ */
+async function testDeduplicationAndReputation() {
+  logSection('Test 4: Deduplication and Reputation');
+
+  const { articles } = await aggregate();
+  const duplicated = newsAggregator.deduplicateArticles([...articles, ...articles]);
+  assert(duplicated.length === articles.length, 'Repeated articles are removed');
+  assert(
+    new Set(articles.map(article => article.fingerprint)).size === articles.length,
+    'Fixture articles have unique fingerprints'
+  );
+
+  const reputation = newsAggregator.getReputation('fixture');
+  assert(
+    reputation.totalRequests > 0 && reputation.successRate === 1,
+    `Fixture source reputation is tracked (${reputation.totalRequests} successful requests)`
+  );
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log(`\n${colors.bright}${colors.cyan}Fixture News Sources Test Suite${colors.reset}`);
+
+  const startTime = Date.now();
+
+  try {
+    await testSourceSelection();
+    await testAggregation();
+    await testFiltering();
+    await testDeduplicationAndReputation();
+  } catch (error) {
+    logError(`Test suite error: ${error.message}`);
+    console.error(error);
+    results.failed++;
+  }
+
+  console.log(`\n${colors.bright}Test Summary${colors.reset}`);
+  console.log(`Total Tests: ${results.total}`);
+  console.log(`${colors.green}Passed: ${results.passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${results.failed}${colors.reset}`);
+  console.log(`Duration: ${Date.now() - startTime}ms`);
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
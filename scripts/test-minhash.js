@@ -0,0 +1,249 @@
+/**
+ * MinHash Test Suite
+ *
+ * Tests the near-duplicate index building blocks without a database:
+ * 32-bit hashing, shingling, MinHash signatures and Jaccard estimates, LSH
+ * banding, and the text the archive index signs for stored and crawled articles.
+ */
+
+import { hashString, mix32, generateSeeds, toInt32 } from '../src/utils/hash32.js';
+import {
+  shingle,
+  computeSignature,
+  estimateJaccard,
+  bandBuckets,
+  lshThreshold,
+} from '../src/utils/minhash.js';
+import { MinHashIndex } from '../src/services/analytics/minHashIndex.js';
+
+// ANSI color codes for output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+// Test result tracking
+const results = {
+  passed: 0,
+  failed: 0,
+  total: 0,
+};
+
+// Helper functions
+function logSuccess(message) {
+  console.log(`${colors.green}✓${colors.reset} ${message}`);
+}
+
+function logError(message) {
+  console.log(`${colors.red}✗${colors.reset} ${message}`);
+}
+
+function logSection(message) {
+  console.log(`\n${colors.bright}${colors.blue}━━━ ${message} ━━━${colors.reset}`);
+}
+
+function assert(condition, message) {
+  results.total++;
+  if (condition) {
+    results.passed++;
+    logSuccess(message);
+    return true;
+  }
+  results.failed++;
+  logError(message);
+  return false;
+}
+
+/**
+ * Exact Jaccard similarity of two shingle sets
+ */
+function jaccard(a, b) {
+  const intersection = [...a].filter(value => b.has(value)).length;
+  return intersection / (a.size + b.size - intersection);
+}
+
+/**
+ * Text of `count` numbered words, e.g. "w0 w1 w2"
+ */
+function words(count, offset = 0) {
+  return Array.from({ length: count }, (_, i) => `w${i + offset}`).join(' ');
+}
+
+/**
+ * Test 1: Hashing
+ */
+function testHashing() {
+  logSection('Test 1: 32-bit Hashing');
+
+  assert(hashString('') === 0x811c9dc5, 'FNV-1a offset basis for the empty string');
+  assert(hashString('a') === 0xe40c292c, 'FNV-1a of "a" matches the reference value');
+  const hello = hashString('hello');
+  assert(
+    hashString('hello') === hello && hashString('Hello') !== hello,
+    'Hashes are deterministic and case-sensitive'
+  );
+
+  const mixed = mix32(12345, 678);
+  assert(mixed >= 0 && mixed <= 0xffffffff && mixed === mix32(12345, 678), 'mix32 is unsigned');
+  assert(mix32(12345, 678) !== mix32(12345, 679), 'Different seeds give different hashes');
+
+  const seeds = generateSeeds(8, 42);
+  assert(
+    seeds.length === 8 && new Set(seeds).size === 8 && generateSeeds(8, 42)[7] === seeds[7],
+    'Seed generator is deterministic and distinct'
+  );
+  assert(toInt32(0xffffffff) === -1 && toInt32(5) === 5, 'toInt32 wraps to signed');
+}
+
+/**
+ * Test 2: Shingling
+ */
+function testShingling() {
+  logSection('Test 2: Shingling');
+
+  assert(shingle('One two three four', 3).size === 2, 'Three-word shingles of four words');
+  assert(
+    [...shingle('Hello, World! Again.', 3)][0] === [...shingle('hello world again', 3)][0],
+    'Case and punctuation are ignored'
+  );
+  assert(shingle('just two', 3).size === 1, 'Short texts give one shingle');
+  assert(shingle('', 3).size === 0 && shingle(null, 3).size === 0, 'Empty text has no shingles');
+}
+
+/**
+ * Test 3: Signatures and Jaccard estimates
+ */
+function testSignatures() {
+  logSection('Test 3: Signatures and Jaccard Estimates');
+
+  const a = shingle(words(300));
+  const signature = computeSignature(a, { numHashes: 128, seed: 42 });
+
+  assert(signature.length === 128, 'Signature has numHashes values');
+  assert(
+    signature.every(value => Number.isInteger(value) && value >= -(2 ** 31) && value < 2 ** 31),
+    'Signature values fit a Postgres INTEGER'
+  );
+  assert(
+    computeSignature(a, { numHashes: 128, seed: 42 }).join() === signature.join(),
+    'Signatures are deterministic'
+  );
+  assert(computeSignature(new Set()) === null, 'No shingles, no signature');
+  assert(estimateJaccard(signature, signature) === 1, 'Identical sets estimate 1.0');
+
+  const errors = [100, 200, 280].map(overlap => {
+    const b = shingle(words(300, 300 - overlap));
+    const estimate = estimateJaccard(signature, computeSignature(b, { numHashes: 128, seed: 42 }));
+    return Math.abs(estimate - jaccard(a, b));
+  });
+  assert(
+    errors.every(error => error < 0.12),
+    `Estimates are close to exact Jaccard (max error ${Math.max(...errors).toFixed(3)})`
+  );
+
+  const unrelated = computeSignature(shingle(words(300, 10000)), { numHashes: 128, seed: 42 });
+  assert(estimateJaccard(signature, unrelated) < 0.05, 'Unrelated texts estimate near 0');
+}
+
+/**
+ * Test 4: LSH banding
+ */
+function testBanding() {
+  logSection('Test 4: LSH Banding');
+
+  const signature = computeSignature(shingle(words(100)), { numHashes: 128, seed: 42 });
+  const buckets = bandBuckets(signature, 32);
+
+  assert(buckets.length === 32, 'One bucket per band');
+  assert(
+    buckets.every(bucket => Number.isInteger(bucket)),
+    'Bucket keys are integers'
+  );
+
+  let threw = false;
+  try {
+    bandBuckets(signature, 30);
+  } catch (error) {
+    threw = true;
+  }
+  assert(threw, 'Bands must divide the signature length');
+
+  const near = computeSignature(shingle(`${words(100)} extra`), { numHashes: 128, seed: 42 });
+  const shared = bandBuckets(near, 32).filter((bucket, band) => bucket === buckets[band]).length;
+  assert(shared > 0, `Near-duplicates share buckets (${shared}/32 bands)`);
+
+  const threshold = lshThreshold(32, 4);
+  assert(threshold > 0.4 && threshold < 0.45, `32 bands x 4 rows: ~${threshold.toFixed(2)}`);
+}
+
+/**
+ * Test 5: Archive index text
+ */
+function testIndexText() {
+  logSection('Test 5: Archive Index Text');
+
+  const index = new MinHashIndex();
+  const title = 'City council approves downtown transit plan';
+  const summary = 'The council voted to fund a light rail line from downtown to the airport.';
+
+  const stored = { title, summary, content: `${summary} ${words(2000)}` };
+  const crawled = { title, description: summary, url: 'https://example.com/transit' };
+
+  assert(
+    index.getText(stored) === index.getText(crawled),
+    'Stored summary and crawled description give the same text'
+  );
+  assert(
+    estimateJaccard(index.computeEntry(stored).signature, index.computeEntry(crawled).signature) ===
+      1,
+    'A long stored article matches its crawled snippet'
+  );
+
+  const lead = index.getText({ title, content: words(500) }).split(' ');
+  assert(
+    lead.length === title.split(' ').length + 60,
+    'Without a summary the opening words are used'
+  );
+
+  assert(index.getRowsPerBand() === 4, 'Rows per band come from the configuration');
+  assert(
+    index.computeEntry({ title: '', content: '' }) === null,
+    'Articles without text are skipped'
+  );
+}
+
+/**
+ * Run all tests
+ */
+function runAllTests() {
+  console.log(`\n${colors.bright}${colors.cyan}MinHash Test Suite${colors.reset}`);
+
+  const startTime = Date.now();
+
+  try {
+    testHashing();
+    testShingling();
+    testSignatures();
+    testBanding();
+    testIndexText();
+  } catch (error) {
+    logError(`Test suite error: ${error.message}`);
+    console.error(error);
+    results.failed++;
+  }
+
+  console.log(`\n${colors.bright}Test Summary${colors.reset}`);
+  console.log(`Total Tests: ${results.total}`);
+  console.log(`${colors.green}Passed: ${results.passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${results.failed}${colors.reset}`);
+  console.log(`Duration: ${Date.now() - startTime}ms`);
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
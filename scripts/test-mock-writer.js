@@ -0,0 +1,205 @@
+/**
+ * Mock Writer Test Suite
+ *
+ * Runs the Writer agent with AI_PROVIDER=mock: every generation is answered by
+ * the deterministic offline provider, so no API keys or network access are
+ * needed. Tests provider selection, article writing and streaming, headline
+ * generation, task dispatch and reproducibility.
+ */
+
+// The mock provider must be selected before config is loaded
+process.env.AI_PROVIDER = 'mock';
+
+const { default: WriterAgent } = await import('../src/agents/specialized/WriterAgent.js');
+const { default: unifiedAIService } = await import('../src/services/ai/unifiedAIService.js');
+
+// ANSI color codes for output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+// Test result tracking
+const results = {
+  passed: 0,
+  failed: 0,
+  total: 0,
+};
+
+// Helper functions
+function logSuccess(message) {
+  console.log(`${colors.green}✓${colors.reset} ${message}`);
+}
+
+function logError(message) {
+  console.log(`${colors.red}✗${colors.reset} ${message}`);
+}
+
+function logSection(message) {
+  console.log(`\n${colors.bright}${colors.blue}━━━ ${message} ━━━${colors.reset}`);
+}
+
+function assert(condition, message) {
+  results.total++;
+  if (condition) {
+    results.passed++;
+    logSuccess(message);
+    return true;
+  }
+  results.failed++;
+  logError(message);
+  return false;
+}
+
+const ARTICLE_PARAMS = {
+  topic: 'The Future of Quantum Computing',
+  style: 'professional',
+  length: 'medium',
+  keywords: ['quantum', 'computing'],
+};
+
+const SOURCE_TEXT =
+  'The city council approved the downtown light rail line on Monday. ' +
+  'Construction starts next year and the line should open in 2030.';
+
+/**
+ * Test 1: Provider selection
+ */
+async function testProviderSelection(agent) {
+  logSection('Test 1: Mock Provider Selection');
+
+  const started = await agent.start();
+  const stats = unifiedAIService.getStats();
+
+  assert(started && agent.status === 'idle', 'Writer agent starts');
+  assert(stats.preferredProvider === 'mock', 'Mock is the preferred provider');
+  assert(stats.providerStatus.mock === true, 'Mock provider is available without API keys');
+}
+
+/**
+ * Test 2: Article writing
+ */
+async function testWriting(agent) {
+  logSection('Test 2: Article Writing');
+
+  let streamed = '';
+  const article = await agent.writeArticle({
+    ...ARTICLE_PARAMS,
+    onToken: token => {
+      streamed += token;
+    },
+  });
+
+  assert(
+    article.headline === ARTICLE_PARAMS.topic && article.content && article.excerpt,
+    'Article has a headline, content and excerpt'
+  );
+  assert(
+    article.metadata.provider === 'mock' && article.metadata.fallbackUsed === false,
+    'Article is generated by the mock provider'
+  );
+  assert(article.metadata.wordCount > 0, `Word count is reported (${article.metadata.wordCount})`);
+  assert(streamed === article.content, 'Streamed tokens add up to the article content');
+
+  const again = await agent.writeArticle(ARTICLE_PARAMS);
+  assert(again.content === article.content, 'The same request gives the same article');
+}
+
+/**
+ * Test 3: Headlines and other tasks
+ */
+async function testTasks(agent) {
+  logSection('Test 3: Headlines and Writing Tasks');
+
+  const headlines = await agent.generateHeadlines({ topic: ARTICLE_PARAMS.topic, count: 3 });
+  assert(headlines.headlines.length === 3, 'Requested number of headlines is generated');
+  assert(
+    headlines.headlines.every(headline => typeof headline.score === 'number') &&
+      headlines.recommended === headlines.headlines[0],
+    'Headlines are scored and the best is recommended'
+  );
+
+  const rewritten = await agent.execute({
+    type: 'rewrite',
+    params: {
+      originalContent: SOURCE_TEXT,
+      originalTitle: 'Light rail approved',
+      newStyle: 'casual',
+    },
+  });
+  assert(rewritten.content && rewritten.headline, 'Rewrite tasks return content and a headline');
+
+  const summary = await agent.execute({
+    type: 'summarize',
+    params: { content: SOURCE_TEXT, title: 'Light rail approved' },
+  });
+  assert(
+    typeof summary.summary === 'string' && summary.summary,
+    'Summarize tasks return a summary'
+  );
+
+  let rejected = false;
+  try {
+    await agent.execute({ type: 'no-such-task' });
+  } catch (error) {
+    rejected = /Unknown task type/.test(error.message);
+  }
+  assert(rejected, 'Unknown task types are rejected');
+}
+
+/**
+ * Test 4: Offline usage
+ */
+function testUsage() {
+  logSection('Test 4: Offline Usage');
+
+  const { usage, providers } = unifiedAIService.getStats();
+
+  assert(
+    usage.totalRequests > 0 && usage.providerUsage.mock === usage.totalRequests,
+    `Every request went to the mock provider (${usage.totalRequests})`
+  );
+  assert(
+    usage.failedRequests === 0 && usage.fallbacksUsed === 0,
+    'No failed requests or provider fallbacks'
+  );
+  assert(providers.mock.recorded === 0, 'Nothing is recorded in replay mode');
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log(`\n${colors.bright}${colors.cyan}Mock Writer Test Suite${colors.reset}`);
+
+  const startTime = Date.now();
+  const agent = new WriterAgent();
+
+  try {
+    await testProviderSelection(agent);
+    await testWriting(agent);
+    await testTasks(agent);
+    testUsage();
+  } catch (error) {
+    logError(`Test suite error: ${error.message}`);
+    console.error(error);
+    results.failed++;
+  } finally {
+    await agent.stop().catch(() => {});
+  }
+
+  console.log(`\n${colors.bright}Test Summary${colors.reset}`);
+  console.log(`Total Tests: ${results.total}`);
+  console.log(`${colors.green}Passed: ${results.passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${results.failed}${colors.reset}`);
+  console.log(`Duration: ${Date.now() - startTime}ms`);
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
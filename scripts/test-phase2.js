@@ -142,7 +142,7 @@ class Phase2Tester {
 
   async testSerpAPIFetch() {
     await this.test('SerpAPI News Fetch', async () => {
-      const result = await newsService.clients.serpapi.fetchNews({
+      const result = await newsService.fetchFromSource('serpapi', {
         query: 'technology',
         limit: 5,
       });
@@ -163,21 +163,20 @@ class Phase2Tester {
 
   async testMediaStackFetch() {
     await this.test('MediaStack News Fetch', async () => {
-      const result = await newsService.clients.mediastack.fetchNews({
+      const result = await newsService.fetchFromSource('mediastack', {
         query: 'business',
         limit: 5,
       });
 
-      this.assert(result.articles, 'MediaStack should return articles');
-      this.assert(Array.isArray(result.articles), 'Should return articles array');
-      this.assert(result.articles.length > 0, 'Should return at least 1 article');
+      this.assert(Array.isArray(result), 'MediaStack should return an array of articles');
+      this.assert(result.length > 0, 'Should return at least 1 article');
 
       // Validate article structure
-      const article = result.articles[0];
+      const article = result[0];
       this.assert(article.title, 'Article should have title');
       this.assert(article.url, 'Article should have URL');
 
-      this.log(`Fetched ${result.articles.length} articles from MediaStack`, 'info');
+      this.log(`Fetched ${result.length} articles from MediaStack`, 'info');
     });
   }
 
@@ -247,7 +246,7 @@ class Phase2Tester {
   async testCategoryFetch() {
     await this.test('Category-Based Fetch', async () => {
       const categories = ['technology', 'business', 'science'];
-      
+
       for (const category of categories) {
         const result = await newsService.fetchByCategory(category, 5);
         this.assert(result.success, `Should fetch ${category} news`);
@@ -273,7 +272,8 @@ class Phase2Tester {
       const summary = await claudeService.generateSummary(
         {
           title: 'Breaking News: Major Technology Advancement',
-          content: 'Researchers have made a significant breakthrough in quantum computing technology. The new method allows for more stable qubits and could accelerate the development of practical quantum computers. This advancement represents years of research and collaboration.'
+          content:
+            'Researchers have made a significant breakthrough in quantum computing technology. The new method allows for more stable qubits and could accelerate the development of practical quantum computers. This advancement represents years of research and collaboration.',
         },
         100
       );
@@ -290,12 +290,16 @@ class Phase2Tester {
     await this.test('Claude Sentiment Analysis', async () => {
       const result = await claudeService.analyzeSentiment({
         title: 'Positive News Article',
-        content: 'This is an exciting development that will benefit everyone. The future looks bright with these innovations.'
+        content:
+          'This is an exciting development that will benefit everyone. The future looks bright with these innovations.',
       });
 
       this.assert(result.sentiment, 'Should return sentiment');
       this.assert(result.score !== undefined, 'Should return score');
-      this.assert(['positive', 'negative', 'neutral'].includes(result.sentiment), 'Sentiment should be valid');
+      this.assert(
+        ['positive', 'negative', 'neutral'].includes(result.sentiment),
+        'Sentiment should be valid'
+      );
       this.assert(result.score >= -1 && result.score <= 1, 'Score should be between -1 and 1');
 
       this.log(`Sentiment: ${result.sentiment} (${result.score})`, 'info');
@@ -307,7 +311,8 @@ class Phase2Tester {
       const keyPoints = await claudeService.extractKeyPoints(
         {
           title: 'Economic Report',
-          content: 'The economy showed strong growth last quarter. Unemployment dropped to record lows. Inflation remained stable. Consumer confidence increased significantly.'
+          content:
+            'The economy showed strong growth last quarter. Unemployment dropped to record lows. Inflation remained stable. Consumer confidence increased significantly.',
         },
         5
       );
@@ -323,9 +328,10 @@ class Phase2Tester {
   async testClaudeCategorization() {
     await this.test('Claude Article Categorization', async () => {
       const result = await claudeService.categorizeArticle(
-        { 
-          title: 'New Programming Language Released', 
-          content: 'Developers announced a new programming language designed for machine learning applications.' 
+        {
+          title: 'New Programming Language Released',
+          content:
+            'Developers announced a new programming language designed for machine learning applications.',
         },
         ['Technology', 'Business', 'Science', 'Politics']
       );
@@ -342,9 +348,10 @@ class Phase2Tester {
   async testClaudeTagGeneration() {
     await this.test('Claude Tag Generation', async () => {
       const tags = await claudeService.generateTags(
-        { 
-          title: 'AI Breakthrough in Healthcare', 
-          content: 'Artificial intelligence is revolutionizing medical diagnosis with new machine learning algorithms.' 
+        {
+          title: 'AI Breakthrough in Healthcare',
+          content:
+            'Artificial intelligence is revolutionizing medical diagnosis with new machine learning algorithms.',
         },
         8
       );
@@ -467,7 +474,7 @@ class Phase2Tester {
         this.assert(stat.monthlyLimit !== undefined, `${source} should have monthly limit`);
         this.assert(stat.used !== undefined, `${source} should track usage`);
         this.assert(stat.remaining !== undefined, `${source} should show remaining`);
-        
+
         this.log(
           `${source}: ${stat.used}/${stat.monthlyLimit} used (${stat.remaining} remaining)`,
           'info'
@@ -490,8 +497,8 @@ class Phase2Tester {
     if (this.results.failed > 0) {
       console.log('Failed Tests:');
       this.results.tests
-        .filter((t) => t.status === 'FAILED')
-        .forEach((test) => {
+        .filter(t => t.status === 'FAILED')
+        .forEach(test => {
           console.log(`  ❌ ${test.name}: ${test.error}`);
         });
       console.log('');
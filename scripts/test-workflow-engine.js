@@ -0,0 +1,379 @@
+/**
+ * Workflow Engine Test Suite
+ *
+ * Tests the DAG workflow engine with stub agents (no database or AI calls):
+ * validation and cycle detection, parallel branches and joins, conditional
+ * steps, retries, timeouts, tolerated failures and named outputs.
+ */
+
+import WorkflowEngine from '../src/agents/workflow/WorkflowEngine.js';
+import WorkflowError from '../src/agents/workflow/WorkflowError.js';
+
+// ANSI color codes for output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+// Test result tracking
+const results = {
+  passed: 0,
+  failed: 0,
+  total: 0,
+};
+
+// Helper functions
+function logSuccess(message) {
+  console.log(`${colors.green}✓${colors.reset} ${message}`);
+}
+
+function logError(message) {
+  console.log(`${colors.red}✗${colors.reset} ${message}`);
+}
+
+function logSection(message) {
+  console.log(`\n${colors.bright}${colors.blue}━━━ ${message} ━━━${colors.reset}`);
+}
+
+function assert(condition, message) {
+  results.total++;
+  if (condition) {
+    results.passed++;
+    logSuccess(message);
+    return true;
+  }
+  results.failed++;
+  logError(message);
+  return false;
+}
+
+/**
+ * Engine whose agents are plain functions: agents[name](task) => result
+ * Every call is recorded in engine.calls as { agentName, task, startedAt }.
+ */
+function createEngine(agents, defaults = {}) {
+  const calls = [];
+  const engine = new WorkflowEngine({
+    executeTask: async (agentName, task) => {
+      calls.push({ agentName, task, startedAt: Date.now() });
+      return { success: true, result: await agents[agentName](task) };
+    },
+    defaults: { retry: { attempts: 1, backoff: { type: 'fixed', delay: 0 } }, ...defaults },
+  });
+  engine.logger = { info() {}, warn() {}, error() {} };
+  engine.calls = calls;
+  return engine;
+}
+
+const delay = ms =>
+  new Promise(resolve => {
+    setTimeout(resolve, ms);
+  });
+
+async function expectError(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Test 1: Validation
+ */
+async function testValidation() {
+  logSection('Test 1: Definition Validation');
+
+  const engine = createEngine({ a: () => 1 });
+
+  const ordered = engine.validate({
+    steps: [
+      { id: 'c', agentName: 'a', dependsOn: ['a', 'b'] },
+      { id: 'b', agentName: 'a', dependsOn: ['a'] },
+      { id: 'a', agentName: 'a' },
+    ],
+  });
+  assert(
+    ordered.map(step => step.id).join(',') === 'a,b,c',
+    'Steps are returned in topological order'
+  );
+
+  const cycle = await expectError(
+    engine.execute({
+      steps: [
+        { id: 'a', agentName: 'a', dependsOn: ['b'] },
+        { id: 'b', agentName: 'a', dependsOn: ['a'] },
+      ],
+    })
+  );
+  assert(
+    cycle instanceof WorkflowError && /cycle/.test(cycle.message),
+    'Cycles are rejected with a WorkflowError'
+  );
+
+  const unknown = await expectError(
+    engine.execute({ steps: [{ id: 'a', agentName: 'a', dependsOn: ['missing'] }] })
+  );
+  assert(/unknown step/.test(unknown?.message), 'Unknown dependencies are rejected');
+
+  const duplicate = await expectError(
+    engine.execute({
+      steps: [
+        { id: 'a', agentName: 'a' },
+        { id: 'a', agentName: 'a' },
+      ],
+    })
+  );
+  assert(/Duplicate workflow step id/.test(duplicate?.message), 'Duplicate step ids are rejected');
+  assert(engine.calls.length === 0, 'Invalid workflows run no steps');
+}
+
+/**
+ * Test 2: Parallel branches, joins and outputs
+ */
+async function testParallelBranches() {
+  logSection('Test 2: Parallel Branches and Joins');
+
+  const engine = createEngine({
+    research: async () => {
+      await delay(50);
+      return { facts: ['f1'] };
+    },
+    seo: async () => {
+      await delay(50);
+      return { keywords: ['k1'] };
+    },
+    writer: task => ({ content: `${task.facts.length} facts, ${task.keywords.length} keywords` }),
+  });
+
+  const result = await engine.execute(
+    {
+      name: 'parallel',
+      steps: [
+        { id: 'research', agentName: 'research', output: 'research' },
+        { id: 'seo', agentName: 'seo', output: 'seo' },
+        {
+          id: 'write',
+          agentName: 'writer',
+          dependsOn: ['research', 'seo'],
+          inputs: { facts: 'outputs.research.facts', keywords: 'outputs.seo.keywords' },
+          output: 'draft',
+        },
+      ],
+    },
+    { topic: 'test' }
+  );
+
+  const [research, seo] = engine.calls;
+  assert(result.success && result.status === 'completed', 'Workflow completes');
+  assert(
+    Math.abs(research.startedAt - seo.startedAt) < 40,
+    'Independent steps on different agents start in parallel'
+  );
+  assert(
+    result.outputs.draft?.content === '1 facts, 1 keywords',
+    'Fan-in step receives mapped outputs of both branches'
+  );
+  assert(result.finalResult === result.outputs.draft, 'Final result is the last completed step');
+}
+
+/**
+ * Test 3: Conditions and skipping
+ */
+async function testSkipping() {
+  logSection('Test 3: Conditional Steps and Skipping');
+
+  const engine = createEngine({
+    qc: () => ({ recommendation: 'reject' }),
+    publisher: () => ({ published: true }),
+    notify: () => ({ notified: true }),
+    report: () => ({ reported: true }),
+  });
+
+  const result = await engine.execute({
+    steps: [
+      { id: 'qc', agentName: 'qc', output: 'qc' },
+      {
+        id: 'publish',
+        agentName: 'publisher',
+        dependsOn: ['qc'],
+        when: { path: 'outputs.qc.recommendation', equals: 'approve' },
+      },
+      { id: 'notify', agentName: 'notify', dependsOn: ['publish'] },
+      { id: 'report', agentName: 'report', dependsOn: ['publish'], join: 'settled' },
+    ],
+  });
+
+  const status = id => result.steps.find(step => step.id === id).status;
+  assert(status('publish') === 'skipped', 'Step whose condition is not met is skipped');
+  assert(status('notify') === 'skipped', "Dependents of a skipped step are skipped ('all' join)");
+  assert(status('report') === 'completed', "'settled' join runs after a skipped dependency");
+  assert(
+    !engine.calls.some(call => call.agentName === 'publisher'),
+    'Skipped steps never reach their agent'
+  );
+}
+
+/**
+ * Test 4: Retries, timeouts and failures
+ */
+async function testRetries() {
+  logSection('Test 4: Retries, Timeouts and Failures');
+
+  let attempts = 0;
+  const engine = createEngine({
+    flaky: () => {
+      attempts++;
+      if (attempts < 3) throw new Error(`attempt ${attempts} failed`);
+      return { ok: true };
+    },
+    broken: () => {
+      throw new Error('always fails');
+    },
+    slow: () => delay(200),
+    after: () => ({ ran: true }),
+  });
+
+  const retried = await engine.execute({
+    steps: [{ id: 'flaky', agentName: 'flaky', retry: { attempts: 3 } }],
+  });
+  assert(
+    retried.success && retried.steps[0].attempts === 3,
+    'Failing step is retried until it succeeds'
+  );
+
+  const failed = await expectError(
+    engine.execute({
+      steps: [
+        { id: 'broken', agentName: 'broken', retry: { attempts: 2 } },
+        { id: 'after', agentName: 'after', dependsOn: ['broken'] },
+      ],
+    })
+  );
+  assert(
+    failed instanceof WorkflowError && failed.stepId === 'broken',
+    'Exhausted retries fail the workflow at that step'
+  );
+  assert(failed?.run?.steps[0].attempts === 2, 'Failed step records every attempt');
+  assert(failed?.run?.steps[1].status === 'pending', 'Dependents of a failed step are not started');
+
+  const timedOut = await expectError(
+    engine.execute({ steps: [{ id: 'slow', agentName: 'slow', timeout: 20 }] })
+  );
+  assert(/timed out/.test(timedOut?.message), 'Step exceeding its timeout fails');
+
+  const tolerated = await engine.execute({
+    steps: [
+      { id: 'broken', agentName: 'broken', onError: 'continue' },
+      { id: 'after', agentName: 'after', dependsOn: ['broken'], join: 'settled' },
+    ],
+  });
+  assert(
+    tolerated.success && tolerated.steps[1].status === 'completed',
+    "onError: 'continue' lets the workflow carry on"
+  );
+
+  assert(
+    engine.getRetryDelay({ type: 'exponential', delay: 100 }, 3) === 400,
+    'Exponential backoff'
+  );
+  assert(engine.getRetryDelay({ type: 'fixed', delay: 100 }, 3) === 100, 'Fixed backoff');
+}
+
+/**
+ * Test 5: Agent serialisation and linear workflows
+ */
+async function testSharedAgents() {
+  logSection('Test 5: Shared Agents and Linear Workflows');
+
+  let active = 0;
+  let maxActive = 0;
+  const engine = createEngine({
+    writer: async task => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await delay(20);
+      active--;
+      return { part: task.part, previous: task.previousResult || null };
+    },
+  });
+
+  await engine.execute({
+    steps: [
+      { id: 'a', agentName: 'writer', task: { part: 1 } },
+      { id: 'b', agentName: 'writer', task: { part: 2 } },
+    ],
+  });
+  assert(maxActive === 1, 'Parallel steps on the same agent run one at a time');
+
+  const queued = await engine.execute({
+    steps: [
+      { id: 'a', agentName: 'writer', task: { part: 1 }, timeout: 30 },
+      { id: 'b', agentName: 'writer', task: { part: 2 }, timeout: 30 },
+      { id: 'c', agentName: 'writer', task: { part: 3 }, timeout: 30 },
+    ],
+  });
+  assert(queued.success, 'Time spent waiting for a shared agent does not count toward the timeout');
+
+  const released = [];
+  const stuckEngine = createEngine({ stuck: () => delay(200) });
+  stuckEngine.releaseAgent = agentName => released.push(agentName);
+  await expectError(
+    stuckEngine.execute({
+      steps: [{ id: 'stuck', agentName: 'stuck', timeout: 20, retry: { attempts: 2 } }],
+    })
+  );
+  const [first, retry] = stuckEngine.calls;
+  assert(
+    released.join() === 'stuck,stuck' && retry && retry.startedAt - first.startedAt < 100,
+    'A timed-out task releases its agent, so the retry does not wait for it'
+  );
+
+  const linear = await engine.execute(
+    WorkflowEngine.fromLinearSteps([
+      { agentName: 'writer', task: { part: 1 } },
+      { agentName: 'writer', task: { part: 2 }, usesPreviousResult: true },
+    ])
+  );
+  assert(
+    linear.finalResult.previous?.part === 1,
+    'Linear steps run in order and pass the previous result'
+  );
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log(`\n${colors.bright}${colors.cyan}Workflow Engine Test Suite${colors.reset}`);
+
+  const startTime = Date.now();
+
+  try {
+    await testValidation();
+    await testParallelBranches();
+    await testSkipping();
+    await testRetries();
+    await testSharedAgents();
+  } catch (error) {
+    logError(`Test suite error: ${error.message}`);
+    console.error(error);
+    results.failed++;
+  }
+
+  console.log(`\n${colors.bright}Test Summary${colors.reset}`);
+  console.log(`Total Tests: ${results.total}`);
+  console.log(`${colors.green}Passed: ${results.passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${results.failed}${colors.reset}`);
+  console.log(`Duration: ${Date.now() - startTime}ms`);
+
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
@@ -12,6 +12,8 @@
  * - P2 Task 7: Readability optimization
  * - P2 Task 8: Content length optimization
  * - P3 Task 9: Writing personality profiles
+ *
+ * Offline (no API keys): AI_PROVIDER=mock node scripts/test-writer-agent.js
  */
 
 import WriterAgent from '../src/agents/specialized/WriterAgent.js';
@@ -5,12 +5,16 @@
  */
 
 import EventEmitter from 'events';
-import ContentCuratorAgent from '../specialized/ContentCuratorAgent.js';
-import ResearchAgent from '../specialized/ResearchAgent.js';
-import WriterAgent from '../specialized/WriterAgent.js';
-import QualityControlAgent from '../specialized/QualityControlAgent.js';
-import SEOAgent from '../specialized/SEOAgent.js';
-import PublisherAgent from '../specialized/PublisherAgent.js';
+import ContentCuratorAgent from './specialized/ContentCuratorAgent.js';
+import CrawlerAgent from './specialized/CrawlerAgent.js';
+import ResearchAgent from './specialized/ResearchAgent.js';
+import WriterAgent from './specialized/WriterAgent.js';
+import QualityControlAgent from './specialized/QualityControlAgent.js';
+import SEOAgent from './specialized/SEOAgent.js';
+import PublisherAgent from './specialized/PublisherAgent.js';
+import WorkflowEngine from './workflow/WorkflowEngine.js';
+import workflowStore from './workflow/WorkflowStore.js';
+import { createArticlePipeline } from './workflow/pipelines.js';
 
 class AgentOrchestrator extends EventEmitter {
   constructor(config = {}) {
@@ -27,6 +31,19 @@ class AgentOrchestrator extends EventEmitter {
       activeAgents: 0,
     };
     this.logger = console;
+
+    this.workflowEngine = new WorkflowEngine({
+      executeTask: (agentName, task) => this.executeTask(agentName, task),
+      releaseAgent: agentName => this.releaseAgent(agentName),
+      defaults: config.workflow,
+      // Runs are kept in memory unless persistence to Postgres is enabled
+      store: config.persistWorkflows ? workflowStore : null,
+    });
+    this.workflows = new Map();
+    this.resumeTimer = null;
+    this.resumingWorkflows = false;
+    this.registerWorkflow(createArticlePipeline(config.articlePipeline));
+    this.setupWorkflowListeners();
   }
 
   /**
@@ -41,6 +58,7 @@ class AgentOrchestrator extends EventEmitter {
         'contentCurator',
         new ContentCuratorAgent(this.config.contentCurator)
       );
+      await this.registerAgent('crawler', new CrawlerAgent(this.config.crawler));
       await this.registerAgent('research', new ResearchAgent(this.config.research));
       await this.registerAgent('writer', new WriterAgent(this.config.writer));
       await this.registerAgent(
@@ -58,6 +76,10 @@ class AgentOrchestrator extends EventEmitter {
         this.setupAgentListeners(name, agent);
       }
 
+      if (this.workflowEngine.store && this.config.resumeInterruptedWorkflows !== false) {
+        this.startResumingWorkflows();
+      }
+
       return true;
     } catch (error) {
       this.logger.error('[Orchestrator] Initialization failed:', error.message);
@@ -123,6 +145,25 @@ class AgentOrchestrator extends EventEmitter {
     });
   }
 
+  /**
+   * Forward workflow engine events to orchestrator listeners
+   */
+  setupWorkflowListeners() {
+    [
+      'workflowStarted',
+      'workflowResumed',
+      'workflowCompleted',
+      'workflowFailed',
+      'workflowStepStarted',
+      'workflowStepCompleted',
+      'workflowStepFailed',
+      'workflowStepSkipped',
+      'workflowStepRetrying',
+    ].forEach(event => {
+      this.workflowEngine.on(event, payload => this.emit(event, payload));
+    });
+  }
+
   /**
    * Get an agent by name
    * @param {string} name - Agent name
@@ -156,6 +197,21 @@ class AgentOrchestrator extends EventEmitter {
     }
   }
 
+  /**
+   * Release an agent whose task timed out
+   * The task keeps running in the background; the agent is marked idle so it
+   * accepts the retry or the next queued task instead of rejecting it as busy.
+   * @param {string} agentName - Agent name
+   */
+  releaseAgent(agentName) {
+    const agent = this.getAgent(agentName);
+
+    if (agent?.status === 'running') {
+      this.logger.warn(`[Orchestrator] Agent ${agentName} timed out, releasing it for new tasks`);
+      agent.status = 'idle';
+    }
+  }
+
   /**
    * Add task to queue
    * @param {string} agentName - Agent to execute the task
@@ -211,42 +267,175 @@ class AgentOrchestrator extends EventEmitter {
   }
 
   /**
-   * Execute a workflow (sequence of tasks across multiple agents)
-   * @param {Array} workflow - Array of workflow steps
+   * Register a named workflow definition
+   * Registered workflows can be executed by name and are used to resume
+   * interrupted runs after a restart.
+   * @param {Object} definition - Workflow definition with a name
+   */
+  registerWorkflow(definition) {
+    if (!definition?.name) {
+      throw new Error('Registered workflows must have a name');
+    }
+
+    this.workflowEngine.validate(definition);
+    this.workflows.set(definition.name, definition);
+  }
+
+  /**
+   * Resolve a workflow argument to a definition
+   * @param {string|Object|Array} workflow - Registered name, definition or linear steps
+   * @returns {Object} Workflow definition
+   */
+  resolveWorkflow(workflow) {
+    if (typeof workflow === 'string') {
+      const definition = this.workflows.get(workflow);
+      if (!definition) {
+        throw new Error(`Workflow not found: ${workflow}`);
+      }
+      return definition;
+    }
+
+    return Array.isArray(workflow) ? WorkflowEngine.fromLinearSteps(workflow) : workflow;
+  }
+
+  /**
+   * Execute a workflow
+   * Accepts a registered workflow name, a DAG definition ({ name, steps, defaults }) or,
+   * for backward compatibility, a linear array of { agentName, task, usesPreviousResult } steps.
+   * See workflow/WorkflowEngine.js for the step options (dependsOn, join, when,
+   * inputs, output, retry, timeout, onError).
+   * @param {string|Object|Array} workflow - Workflow name, definition or array of workflow steps
+   * @param {Object} [input] - Workflow input, available to steps as `input`
    * @returns {Promise<Object>} Workflow result
    */
-  async executeWorkflow(workflow) {
-    this.logger.info(`[Orchestrator] Executing workflow with ${workflow.length} steps`);
+  async executeWorkflow(workflow, input = {}) {
+    const definition = this.resolveWorkflow(workflow);
 
-    const results = [];
-    let previousResult = null;
+    const label = definition.name ? `workflow "${definition.name}"` : 'workflow';
+    this.logger.info(
+      `[Orchestrator] Executing ${label} with ${definition.steps?.length || 0} steps`
+    );
 
-    for (let i = 0; i < workflow.length; i++) {
-      const step = workflow[i];
-      const { agentName, task, usesPreviousResult } = step;
+    const result = await this.workflowEngine.execute(definition, input);
+
+    this.logger.info('[Orchestrator] Workflow completed successfully');
 
-      this.logger.info(`[Orchestrator] Workflow step ${i + 1}/${workflow.length}: ${agentName}`);
+    return result;
+  }
 
-      // Inject previous result if needed
-      const taskData = usesPreviousResult && previousResult ? { ...task, previousResult } : task;
+  /**
+   * Resume a failed or interrupted workflow run from its last completed steps
+   * @param {string} runId - Workflow run ID
+   * @param {string|Object|Array} [workflow] - Workflow to resume with; defaults to the
+   *   registered workflow matching the run's name
+   * @returns {Promise<Object>} Workflow result
+   */
+  async resumeWorkflow(runId, workflow = null) {
+    const { store } = this.workflowEngine;
+
+    if (!store) {
+      throw new Error('Workflow persistence is disabled');
+    }
+
+    let definition;
+    if (workflow) {
+      definition = this.resolveWorkflow(workflow);
+    } else {
+      const run = await store.getRun(runId);
+      if (!run) {
+        throw new Error(`Workflow run not found: ${runId}`);
+      }
+      definition = this.resolveWorkflow(run.name);
+    }
+
+    this.logger.info(`[Orchestrator] Resuming workflow run ${runId}`);
+
+    return this.workflowEngine.resume(definition, runId);
+  }
+
+  /**
+   * Resume every run abandoned by a stopped process
+   * Only running runs whose owner has not sent a heartbeat within the stale cutoff
+   * are picked up; runs still executing elsewhere are left alone. Runs whose
+   * workflow is not registered are skipped. Each run is claimed and then continues
+   * in the background, so a long run does not hold up claiming the others.
+   * @returns {Promise<Array>} Per-run outcome ({ runId, name, success, error, completion }),
+   *   where success means the run was claimed and completion settles when it finishes
+   */
+  async resumeInterruptedWorkflows() {
+    const { store } = this.workflowEngine;
+
+    if (!store) {
+      return [];
+    }
+
+    const runs = await store.listAbandonedRuns();
+    const outcomes = [];
+
+    for (const run of runs) {
+      const definition = this.workflows.get(run.name);
+
+      if (!definition) {
+        this.logger.warn(
+          `[Orchestrator] Cannot resume run ${run.id}: workflow "${run.name}" is not registered`
+        );
+        continue;
+      }
 
       try {
-        const result = await this.executeTask(agentName, taskData);
-        results.push({ step: i + 1, agentName, result });
-        previousResult = result.result;
+        const claimed = await this.workflowEngine.claimForResume(definition, run.id);
+        this.logger.info(`[Orchestrator] Resuming workflow run ${run.id}`);
+
+        const completion = this.workflowEngine
+          .runWorkflow(definition, claimed.ordered, claimed.run)
+          .catch(error => {
+            this.logger.error(`[Orchestrator] Resumed run ${run.id} failed:`, error.message);
+          });
+        outcomes.push({ runId: run.id, name: run.name, success: true, completion });
       } catch (error) {
-        this.logger.error(`[Orchestrator] Workflow failed at step ${i + 1}:`, error.message);
-        throw new Error(`Workflow failed at step ${i + 1} (${agentName}): ${error.message}`);
+        this.logger.error(`[Orchestrator] Failed to resume run ${run.id}:`, error.message);
+        outcomes.push({ runId: run.id, name: run.name, success: false, error: error.message });
       }
     }
 
-    this.logger.info('[Orchestrator] Workflow completed successfully');
+    return outcomes;
+  }
 
-    return {
-      success: true,
-      steps: results,
-      finalResult: previousResult,
+  /**
+   * Resume abandoned runs now and whenever a heartbeat could have gone stale
+   * A run interrupted by a restart still has a recent heartbeat at startup, so it is
+   * picked up by a later sweep once the stale cutoff has passed.
+   */
+  startResumingWorkflows() {
+    const sweep = async () => {
+      if (this.resumingWorkflows) return;
+
+      this.resumingWorkflows = true;
+      try {
+        const outcomes = await this.resumeInterruptedWorkflows();
+        if (outcomes.length > 0) {
+          this.logger.info(`[Orchestrator] Resumed ${outcomes.length} interrupted workflow run(s)`);
+        }
+      } catch (error) {
+        this.logger.error('[Orchestrator] Failed to resume interrupted workflows:', error.message);
+      } finally {
+        this.resumingWorkflows = false;
+      }
     };
+
+    sweep();
+    this.resumeTimer = setInterval(sweep, this.workflowEngine.store.config.staleAfter);
+    this.resumeTimer.unref();
+  }
+
+  /**
+   * List persisted workflow runs
+   * @param {Object} [filters] - { status, name, limit, offset }
+   * @returns {Promise<Array>} Workflow runs
+   */
+  async listWorkflowRuns(filters = {}) {
+    const { store } = this.workflowEngine;
+    return store ? store.listRuns(filters) : [];
   }
 
   /**
@@ -334,6 +523,11 @@ class AgentOrchestrator extends EventEmitter {
     this.taskQueue = [];
     this.isProcessing = false;
 
+    if (this.resumeTimer) {
+      clearInterval(this.resumeTimer);
+      this.resumeTimer = null;
+    }
+
     // Stop all agents
     for (const [name, agent] of this.agents) {
       try {
@@ -5,6 +5,7 @@
  */
 
 import EventEmitter from 'events';
+import { runWithUsageContext } from '../../services/ai/usageContext.js';
 
 class Agent extends EventEmitter {
   constructor(name, config = {}) {
@@ -138,8 +139,11 @@ class Agent extends EventEmitter {
     try {
       this.logger.info(`[${this.name}] Executing task: ${task.id || 'unknown'}`);
 
-      // Execute the task (implemented by subclass)
-      const result = await this.execute(task);
+      // Execute the task (implemented by subclass), attributing its AI usage to this agent
+      const result = await runWithUsageContext(
+        { agent: this.name, articleId: task.articleId ?? task.params?.articleId },
+        () => this.execute(task)
+      );
 
       const duration = Date.now() - startTime;
 
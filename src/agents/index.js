@@ -8,6 +8,7 @@ export { default as Agent } from './base/Agent.js';
 
 // Specialized agents
 export { default as ContentCuratorAgent } from './specialized/ContentCuratorAgent.js';
+export { default as CrawlerAgent } from './specialized/CrawlerAgent.js';
 export { default as ResearchAgent } from './specialized/ResearchAgent.js';
 export { default as WriterAgent } from './specialized/WriterAgent.js';
 export { default as QualityControlAgent } from './specialized/QualityControlAgent.js';
@@ -17,6 +18,12 @@ export { default as PublisherAgent } from './specialized/PublisherAgent.js';
 // Orchestrator
 export { default as AgentOrchestrator, getOrchestrator } from './AgentOrchestrator.js';
 
+// Workflows
+export { default as WorkflowEngine } from './workflow/WorkflowEngine.js';
+export { default as WorkflowError } from './workflow/WorkflowError.js';
+export { default as workflowStore, WorkflowStore } from './workflow/WorkflowStore.js';
+export { createArticlePipeline } from './workflow/pipelines.js';
+
 /**
  * Factory function to create and initialize orchestrator with all agents
  * @param {Object} config - Configuration for all agents
@@ -24,7 +31,9 @@ export { default as AgentOrchestrator, getOrchestrator } from './AgentOrchestrat
  */
 export async function createAgentSystem(config = {}) {
   const { getOrchestrator } = await import('./AgentOrchestrator.js');
+  const { default: eventStream } = await import('../services/events/eventStream.js');
   const orchestrator = getOrchestrator(config);
   await orchestrator.initialize();
+  eventStream.attachOrchestrator(orchestrator);
   return orchestrator;
 }
@@ -4,8 +4,28 @@
  * Handles natural language queries, strategic planning, and agent coordination
  */
 
+import Joi from 'joi';
 import Agent from '../base/Agent.js';
-import claudeService from '../../services/ai/claudeService.js';
+import unifiedAIService from '../../services/ai/unifiedAIService.js';
+
+const QUERY_INTENTS = [
+  'performance_inquiry',
+  'strategic_planning',
+  'agent_management',
+  'crisis_response',
+  'reporting',
+  'general',
+];
+
+// Reply to the query understanding prompt
+const QUERY_SCHEMA = Joi.object({
+  intent: Joi.string()
+    .valid(...QUERY_INTENTS)
+    .required(),
+  entities: Joi.object().default({}),
+  urgency: Joi.string().valid('low', 'medium', 'high', 'critical').default('medium'),
+  summary: Joi.string().allow('').required(),
+});
 
 class COOAgent extends Agent {
   constructor(config = {}) {
@@ -31,10 +51,12 @@ class COOAgent extends Agent {
   async initialize() {
     this.logger.info('[COO] Initializing Chief Operations Officer Agent...');
 
-    // Check if Claude AI is available
-    const hasClaudeAPI = claudeService && claudeService.client;
-    if (!hasClaudeAPI) {
-      this.logger.warn('[COO] Claude AI not configured - NLP features limited');
+    // Check if an AI provider is available
+    if (!unifiedAIService.isAvailable()) {
+      await unifiedAIService.initialize();
+    }
+    if (!unifiedAIService.isAvailable()) {
+      this.logger.warn('[COO] No AI provider configured - NLP features limited');
     }
 
     this.initialized = true;
@@ -107,14 +129,13 @@ class COOAgent extends Agent {
   }
 
   async understandQuery(query) {
-    // Check if Claude AI is available
-    const hasClaudeAPI = claudeService && claudeService.client;
-    if (!hasClaudeAPI) {
+    // Check if an AI provider is available
+    if (!unifiedAIService.isAvailable()) {
       return this.fallbackQueryParsing(query);
     }
 
     const prompt = `Analyze this CEO query and extract:
-1. Intent (performance_inquiry, strategic_planning, agent_management, crisis_response, reporting, general)
+1. Intent (${QUERY_INTENTS.join(', ')})
 2. Key entities
 3. Urgency level
 
@@ -122,25 +143,24 @@ Query: "${query}"
 
 Respond in JSON:
 {
-  "intent": "type",
+  "intent": "${QUERY_INTENTS.join('|')}",
   "entities": {},
-  "urgency": "level",
+  "urgency": "low|medium|high|critical",
   "summary": "brief understanding"
 }`;
 
     try {
-      const response = await claudeService.client.messages.create({
-        model: claudeService.model,
-        max_tokens: 1000,
+      const { data } = await unifiedAIService.generateStructured({
+        prompt,
+        schema: QUERY_SCHEMA,
+        name: 'coo.query',
+        maxTokens: 1000,
         temperature: 0.3,
-        messages: [{ role: 'user', content: prompt }],
       });
 
-      const { text } = response.content[0];
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      return jsonMatch ? JSON.parse(jsonMatch[0]) : this.fallbackQueryParsing(query);
+      return data;
     } catch (error) {
-      this.logger.warn('[COO] AI parsing failed, using fallback');
+      this.logger.warn(`[COO] AI parsing failed, using fallback: ${error.message}`);
       return this.fallbackQueryParsing(query);
     }
   }
@@ -6,7 +6,8 @@
 
 import Agent from '../base/Agent.js';
 import newsService from '../../services/news/newsService.js';
-import db from '../../database/index.js';
+import credibilityService from '../../services/analytics/credibilityService.js';
+import * as db from '../../database/queries.js';
 
 class ContentCuratorAgent extends Agent {
   constructor(config = {}) {
@@ -135,6 +136,11 @@ class ContentCuratorAgent extends Agent {
       curationScore: this.calculateCurationScore(article),
     }));
 
+    // Feed curation scores into source credibility history
+    credibilityService.recordSignals(scoredArticles).catch(error => {
+      this.logger.warn('[ContentCurator] Failed to record quality signals:', error.message);
+    });
+
     // Filter by quality score
     const qualified = scoredArticles.filter(article => article.curationScore >= minQualityScore);
 
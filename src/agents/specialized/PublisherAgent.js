@@ -5,8 +5,17 @@
  */
 
 import Agent from '../base/Agent.js';
-import db from '../../database/index.js';
+import * as db from '../../database/queries.js';
 import mcpClient from '../../services/mcp/mcpClient.js';
+import revisionService from '../../services/editorial/revisionService.js';
+import minHashIndex from '../../services/analytics/minHashIndex.js';
+import syndicationService from '../../services/syndication/syndicationService.js';
+import sitemapService from '../../services/syndication/sitemapService.js';
+import structuredDataService from '../../services/editorial/structuredDataService.js';
+import internalLinkingService from '../../services/editorial/internalLinkingService.js';
+import searchService from '../../services/search/searchService.js';
+import embeddingService from '../../services/embeddings/embeddingService.js';
+import aiUsageService from '../../services/ai/aiUsageService.js';
 
 class PublisherAgent extends Agent {
   constructor(config = {}) {
@@ -98,18 +107,27 @@ class PublisherAgent extends Agent {
     let finalStatus = status;
     if (this.autoPublish && !this.requireApproval) {
       finalStatus = 'published';
+    } else if (this.requireApproval && status === 'published') {
+      // Send to the editorial review queue instead of publishing directly
+      finalStatus = 'pending_review';
     } else if (publishAt) {
       finalStatus = 'scheduled';
     }
 
+    // Link to related published articles (articles going to review are linked on approval)
+    let content = articleData.content;
+    if (finalStatus === 'published') {
+      content = await this.addInternalLinks({ title: articleData.title, content, tags });
+    }
+
     // Insert article into database
     const insertQuery = `
       INSERT INTO articles (
         title, slug, excerpt, content, 
         author_id, category_id, status,
         featured_image_url, seo_title, seo_description,
-        published_at, quality_score
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        published_at, quality_score, metadata
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
       RETURNING id, title, slug, status, created_at
     `;
 
@@ -117,7 +135,7 @@ class PublisherAgent extends Agent {
       articleData.title,
       slug,
       articleData.excerpt || articleData.content.substring(0, 200),
-      articleData.content,
+      content,
       authorId || 1, // Default to system user
       categoryId || null,
       finalStatus,
@@ -126,17 +144,28 @@ class PublisherAgent extends Agent {
       articleData.seoDescription || articleData.excerpt,
       publishAt || (finalStatus === 'published' ? new Date() : null),
       articleData.qualityScore || 0.8,
+      JSON.stringify(articleData.metadata || {}),
     ];
 
     try {
       const result = await db.query(insertQuery, values);
       const article = result.rows[0];
 
+      await revisionService.recordCurrent(article.id, {
+        agentName: 'publisher',
+        changeType: 'create',
+      });
+      await this.indexForDuplicates(article.id);
+
       // Add tags if provided
       if (tags.length > 0) {
         await this.addTagsToArticle(article.id, tags);
       }
 
+      this.syncSearchIndex(article.id);
+      this.refreshEmbedding(article.id);
+      this.assignAIUsage(article.id);
+
       // Backup to filesystem (via MCP in Phase 3)
       if (finalStatus === 'published') {
         await this.backupArticleToFilesystem(article);
@@ -147,6 +176,15 @@ class PublisherAgent extends Agent {
         await this.commitToGit(article);
       }
 
+      // Refresh outbound feeds and ping WebSub hubs
+      if (finalStatus === 'published') {
+        syndicationService.notifyPublished(article.id).catch(error => {
+          this.logger.warn('[Publisher] Failed to refresh feeds:', error.message);
+        });
+        this.refreshSitemaps(article.id);
+        this.refreshStructuredData(article.id);
+      }
+
       return {
         success: true,
         article: {
@@ -198,6 +236,7 @@ class PublisherAgent extends Agent {
       }
 
       const article = result.rows[0];
+      this.syncSearchIndex(article.id);
 
       return {
         success: true,
@@ -255,6 +294,8 @@ class PublisherAgent extends Agent {
     `;
 
     try {
+      // Status before the update, to link articles that this update publishes
+      const previous = await db.query('SELECT status FROM articles WHERE id = $1', [articleId]);
       const result = await db.query(updateQuery, values);
 
       if (result.rows.length === 0) {
@@ -263,11 +304,31 @@ class PublisherAgent extends Agent {
 
       const article = result.rows[0];
 
+      await revisionService.recordCurrent(article.id, { agentName: 'publisher' });
+      if (article.status === 'published' && previous.rows[0]?.status !== 'published') {
+        await internalLinkingService.autoLinkArticle(article.id);
+      }
+      if (updates.title !== undefined || updates.content !== undefined) {
+        await this.indexForDuplicates(article.id);
+      }
+      this.syncSearchIndex(article.id);
+      if (['title', 'excerpt', 'content'].some(field => updates[field] !== undefined)) {
+        this.refreshEmbedding(article.id);
+      }
+
       // Create new version in git if published
       if (article.status === 'published') {
         await this.commitToGit({ ...article, action: 'update' });
       }
 
+      // A status change can add or remove the article; any other edit only touches its page
+      if (article.status === 'published' || updates.status !== undefined) {
+        this.refreshSitemaps(article.id, { membershipChanged: updates.status !== undefined });
+      }
+      if (article.status === 'published') {
+        this.refreshStructuredData(article.id);
+      }
+
       return {
         success: true,
         article: {
@@ -317,6 +378,9 @@ class PublisherAgent extends Agent {
       // Backup before archiving
       await this.backupArticleToFilesystem({ ...article, reason });
 
+      this.refreshSitemaps(article.id);
+      this.syncSearchIndex(article.id);
+
       return {
         success: true,
         article: {
@@ -452,6 +516,99 @@ ${article.content}
 `;
   }
 
+  /**
+   * Index an article's current content for archive-wide duplicate detection
+   * Failures are logged only; the index can be rebuilt with `npm run db:index-duplicates`.
+   * @param {string} articleId - Article ID
+   */
+  async indexForDuplicates(articleId) {
+    try {
+      await minHashIndex.indexArticleById(articleId);
+    } catch (error) {
+      this.logger.warn(
+        `[Publisher] Duplicate index update failed for ${articleId}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Drop the cached sitemaps an article change affects (runs in the background)
+   * @param {string} articleId - Article ID
+   * @param {Object} [options] - sitemapService.refreshArticle options
+   */
+  refreshSitemaps(articleId, options = {}) {
+    sitemapService.refreshArticle(articleId, options).catch(error => {
+      this.logger.warn(`[Publisher] Sitemap refresh failed for ${articleId}:`, error.message);
+    });
+  }
+
+  /**
+   * Bring an article's search index document up to date (runs in the background)
+   * @param {string} articleId - Article ID
+   */
+  syncSearchIndex(articleId) {
+    searchService.syncArticle(articleId).catch(error => {
+      this.logger.warn(`[Publisher] Search index update failed for ${articleId}:`, error.message);
+    });
+  }
+
+  /**
+   * Re-embed an article for semantic search after its content changed (runs in the background)
+   * @param {string} articleId - Article ID
+   */
+  refreshEmbedding(articleId) {
+    embeddingService.embedArticle(articleId).catch(error => {
+      this.logger.warn(`[Publisher] Embedding failed for ${articleId}:`, error.message);
+    });
+  }
+
+  /**
+   * Attribute the workflow run's earlier AI calls (research, writing, review) to the new article
+   * @param {string} articleId - Article ID
+   */
+  assignAIUsage(articleId) {
+    aiUsageService.assignArticle(articleId).catch(error => {
+      this.logger.warn(`[Publisher] AI usage attribution failed for ${articleId}:`, error.message);
+    });
+  }
+
+  /**
+   * Insert links to related published articles, up to the configured budget
+   * Linking is best-effort: the content is returned unchanged on failure.
+   * @param {Object} draft - { title, content, tags }
+   * @returns {Promise<string>} Content with links
+   */
+  async addInternalLinks(draft) {
+    if (!internalLinkingService.config.autoInsert) {
+      return draft.content;
+    }
+
+    try {
+      const { content, links } = await internalLinkingService.linkContent(draft);
+      if (links.length > 0) {
+        this.logger.info(`[Publisher] Added ${links.length} internal links`);
+      }
+      return content;
+    } catch (error) {
+      this.logger.warn('[Publisher] Internal linking failed:', error.message);
+      return draft.content;
+    }
+  }
+
+  /**
+   * Regenerate a published article's JSON-LD structured data (runs in the background)
+   * @param {string} articleId - Article ID
+   */
+  refreshStructuredData(articleId) {
+    structuredDataService.refreshArticle(articleId).catch(error => {
+      this.logger.warn(
+        `[Publisher] Structured data generation failed for ${articleId}:`,
+        error.message
+      );
+    });
+  }
+
   /**
    * Generate URL-friendly slug
    * @param {string} text - Text to convert to slug
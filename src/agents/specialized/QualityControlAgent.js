@@ -4,8 +4,46 @@
  * Performs fact-checking, plagiarism detection, and quality scoring
  */
 
+import Joi from 'joi';
 import Agent from '../base/Agent.js';
-import claudeService from '../../services/ai/claudeService.js';
+import unifiedAIService from '../../services/ai/unifiedAIService.js';
+import { StructuredOutputError } from '../../services/ai/structuredOutput.js';
+
+const stringList = Joi.array().items(Joi.string());
+
+// Replies of the review prompts (validated and repaired by generateStructured)
+const REVIEW_SCHEMA = Joi.object({
+  overallRating: Joi.number().min(1).max(10).required(),
+  strengths: stringList.default([]),
+  weaknesses: stringList.default([]),
+  suggestions: stringList.default([]),
+  tone: Joi.string().allow('').default(''),
+  targetAudience: Joi.string().allow('').default(''),
+  readability: Joi.string().valid('easy', 'medium', 'difficult').insensitive().required(),
+  recommendation: Joi.string().valid('approve', 'revise', 'reject').insensitive().required(),
+});
+
+const FACT_CHECK_SCHEMA = Joi.object({
+  overallConfidence: Joi.number().min(0).max(100).required(),
+  verifiedClaims: stringList.default([]),
+  unverifiedClaims: stringList.default([]),
+  potentialIssues: stringList.default([]),
+  requiresMoreSources: Joi.boolean().required(),
+  recommendation: Joi.string().valid('approve', 'review', 'reject').insensitive().required(),
+  reasoning: Joi.string().allow('').default(''),
+});
+
+const GRAMMAR_SCHEMA = Joi.object({
+  issues: Joi.array()
+    .items(
+      Joi.object({
+        type: Joi.string().default('warning'),
+        field: Joi.string().default('content'),
+        message: Joi.string().required(),
+      })
+    )
+    .required(),
+});
 
 class QualityControlAgent extends Agent {
   constructor(config = {}) {
@@ -23,9 +61,12 @@ class QualityControlAgent extends Agent {
   async initialize() {
     this.logger.info('[QualityControl] Initializing...');
 
-    // Verify Claude service availability for quality checks
-    if (!claudeService) {
-      throw new Error('Claude AI service not available');
+    // AI providers (Gemini, Claude, OpenAI-compatible or mock) for reviews and fact checks
+    if (!unifiedAIService.isAvailable()) {
+      await unifiedAIService.initialize();
+    }
+    if (!unifiedAIService.isAvailable()) {
+      this.logger.warn('[QualityControl] No AI provider available - AI review disabled');
     }
 
     this.logger.info('[QualityControl] Initialization complete');
@@ -221,41 +262,21 @@ Provide your review in JSON format:
 }`;
 
     try {
-      const response = await claudeService.client.messages.create({
-        model: claudeService.model,
-        max_tokens: 2048,
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
+      const response = await unifiedAIService.generateStructured({
+        prompt,
+        schema: REVIEW_SCHEMA,
+        name: 'qc.review',
+        maxTokens: 2048,
       });
 
-      const reviewText = response.content[0].text;
-      let review;
-
-      try {
-        review = JSON.parse(reviewText);
-      } catch (e) {
-        review = {
-          overallRating: 7,
-          strengths: ['Content provided'],
-          weaknesses: [],
-          suggestions: [reviewText.substring(0, 200)],
-          tone: 'unknown',
-          targetAudience: 'general',
-          readability: 'medium',
-          recommendation: 'revise',
-        };
-      }
-
-      review.metadata = {
-        model: claudeService.model,
-        tokensUsed: response.usage.input_tokens + response.usage.output_tokens,
+      return {
+        ...response.data,
+        metadata: {
+          model: response.model,
+          provider: response.provider,
+          tokensUsed: response.usage.totalTokens,
+        },
       };
-
-      return review;
     } catch (error) {
       throw new Error(`Content review failed: ${error.message}`);
     }
@@ -297,24 +318,25 @@ Provide your fact-check in JSON format:
 }`;
 
     try {
-      const response = await claudeService.client.messages.create({
-        model: claudeService.model,
-        max_tokens: 2048,
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
+      const response = await unifiedAIService.generateStructured({
+        prompt,
+        schema: FACT_CHECK_SCHEMA,
+        name: 'qc.factCheck',
+        maxTokens: 2048,
       });
 
-      const checkText = response.content[0].text;
-      let factCheck;
-
-      try {
-        factCheck = JSON.parse(checkText);
-      } catch (e) {
-        factCheck = {
+      return {
+        ...response.data,
+        metadata: {
+          model: response.model,
+          provider: response.provider,
+          tokensUsed: response.usage.totalTokens,
+        },
+      };
+    } catch (error) {
+      // An unreadable fact-check is inconclusive, not a failure: send the article to review
+      if (error instanceof StructuredOutputError) {
+        return {
           overallConfidence: 50,
           verifiedClaims: [],
           unverifiedClaims: [],
@@ -322,16 +344,9 @@ Provide your fact-check in JSON format:
           requiresMoreSources: true,
           recommendation: 'review',
           reasoning: 'Automated check inconclusive',
+          metadata: { attempts: error.attempts },
         };
       }
-
-      factCheck.metadata = {
-        model: claudeService.model,
-        tokensUsed: response.usage.input_tokens + response.usage.output_tokens,
-      };
-
-      return factCheck;
-    } catch (error) {
       throw new Error(`Fact-checking failed: ${error.message}`);
     }
   }
@@ -357,14 +372,14 @@ Provide results in JSON format:
 }`;
 
     try {
-      const response = await claudeService.client.messages.create({
-        model: claudeService.model,
-        max_tokens: 1024,
-        messages: [{ role: 'user', content: prompt }],
+      const { data } = await unifiedAIService.generateStructured({
+        prompt,
+        schema: GRAMMAR_SCHEMA,
+        name: 'qc.grammar',
+        maxTokens: 1024,
       });
 
-      const result = JSON.parse(response.content[0].text);
-      return result;
+      return data;
     } catch (error) {
       return { issues: [] };
     }
@@ -1,12 +1,38 @@
 /**
  * Research Agent
  * Conducts research and fact verification using web search and content fetching
- * Uses MCP brave-search for web research and MCP fetch for gathering source material
+ * Uses MCP brave-search for web research and the article extractor for source full text
  */
 
+import Joi from 'joi';
 import Agent from '../base/Agent.js';
-import claudeService from '../../services/ai/claudeService.js';
+import unifiedAIService from '../../services/ai/unifiedAIService.js';
 import mcpClient from '../../services/mcp/mcpClient.js';
+import articleExtractor from '../../services/news/articleExtractor.js';
+
+const stringList = Joi.array().items(Joi.string());
+
+// Replies of the analysis prompts (validated and repaired by generateStructured)
+const ANALYSIS_SCHEMA = Joi.object({
+  summary: Joi.string().required(),
+  keyFindings: stringList.min(1).required(),
+  consensus: Joi.string().allow('').default(''),
+  contradictions: stringList.default([]),
+  gaps: stringList.default([]),
+  reliability: Joi.string().valid('high', 'medium', 'low').insensitive().required(),
+  recommendations: stringList.default([]),
+});
+
+const CLAIMS_SCHEMA = Joi.object({
+  claims: stringList.required(),
+});
+
+const ASSESSMENT_SCHEMA = Joi.object({
+  confidence: Joi.number().min(0).max(1).required(),
+  verdict: Joi.string().valid('likely_true', 'uncertain', 'likely_false').required(),
+  reasoning: Joi.string().allow('').default(''),
+  needsVerification: Joi.boolean().default(true),
+});
 
 class ResearchAgent extends Agent {
   constructor(config = {}) {
@@ -22,9 +48,12 @@ class ResearchAgent extends Agent {
   async initialize() {
     this.logger.info('[Research] Initializing...');
 
-    // Verify Claude service availability
-    if (!claudeService) {
-      throw new Error('Claude AI service not available');
+    // AI providers (Gemini, Claude, OpenAI-compatible or mock) for analysis and claim checks
+    if (!unifiedAIService.isAvailable()) {
+      await unifiedAIService.initialize();
+    }
+    if (!unifiedAIService.isAvailable()) {
+      this.logger.warn('[Research] No AI provider available - analysis and verification disabled');
     }
 
     // Initialize MCP client if not already connected
@@ -184,7 +213,7 @@ class ResearchAgent extends Agent {
       .filter(source => source.quality >= this.minSourceQuality)
       .slice(0, maxSources);
 
-    // Fetch content from each source (using MCP fetch in Phase 3)
+    // Fetch the full text of each source
     const sourcesWithContent = await Promise.all(
       qualifiedSources.map(async source => {
         try {
@@ -246,46 +275,27 @@ Provide your analysis in JSON format:
   "consensus": "What sources agree on",
   "contradictions": ["Any contradicting information"],
   "gaps": ["Information gaps or missing perspectives"],
-  "reliability": "overall|high|medium|low",
+  "reliability": "high|medium|low",
   "recommendations": ["recommendation 1", "recommendation 2"]
 }`;
 
     try {
-      const response = await claudeService.client.messages.create({
-        model: claudeService.model,
-        max_tokens: 2048,
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
+      const response = await unifiedAIService.generateStructured({
+        prompt,
+        schema: ANALYSIS_SCHEMA,
+        name: 'research.analysis',
+        maxTokens: 2048,
       });
 
-      const analysisText = response.content[0].text;
-      let analysis;
-
-      try {
-        analysis = JSON.parse(analysisText);
-      } catch (e) {
-        analysis = {
-          summary: analysisText.substring(0, 500),
-          keyFindings: ['Analysis complete'],
-          consensus: 'Unable to parse detailed analysis',
-          contradictions: [],
-          gaps: [],
-          reliability: 'medium',
-          recommendations: ['Review sources manually'],
-        };
-      }
-
-      analysis.metadata = {
-        model: claudeService.model,
-        tokensUsed: response.usage.input_tokens + response.usage.output_tokens,
-        sourcesAnalyzed: sources.length,
+      return {
+        ...response.data,
+        metadata: {
+          model: response.model,
+          provider: response.provider,
+          tokensUsed: response.usage.totalTokens,
+          sourcesAnalyzed: sources.length,
+        },
       };
-
-      return analysis;
     } catch (error) {
       throw new Error(`Source analysis failed: ${error.message}`);
     }
@@ -307,14 +317,14 @@ Return claims as JSON array:
 }`;
 
     try {
-      const response = await claudeService.client.messages.create({
-        model: claudeService.model,
-        max_tokens: 1024,
-        messages: [{ role: 'user', content: prompt }],
+      const { data } = await unifiedAIService.generateStructured({
+        prompt,
+        schema: CLAIMS_SCHEMA,
+        name: 'research.claims',
+        maxTokens: 1024,
       });
 
-      const result = JSON.parse(response.content[0].text);
-      return result.claims || [];
+      return data.claims;
     } catch (error) {
       this.logger.error('[Research] Failed to extract claims:', error.message);
       return [];
@@ -347,16 +357,16 @@ Provide assessment in JSON format:
 }`;
 
     try {
-      const response = await claudeService.client.messages.create({
-        model: claudeService.model,
-        max_tokens: 512,
-        messages: [{ role: 'user', content: prompt }],
+      const { data } = await unifiedAIService.generateStructured({
+        prompt,
+        schema: ASSESSMENT_SCHEMA,
+        name: 'research.claim',
+        maxTokens: 512,
       });
 
-      const assessment = JSON.parse(response.content[0].text);
       return {
         claim,
-        ...assessment,
+        ...data,
       };
     } catch (error) {
       return {
@@ -370,18 +380,14 @@ Provide assessment in JSON format:
   }
 
   /**
-   * Fetch content from a URL
+   * Fetch the article text of a URL
    * @param {string} url - URL to fetch
-   * @returns {Promise<string>} Fetched content
+   * @returns {Promise<string>} Article body text
    */
   async fetchSourceContent(url) {
-    // In Phase 3, this will use MCP fetch server
-    // const content = await mcpClient.fetch.get(url);
-
-    this.logger.warn('[Research] MCP fetch not yet integrated - returning placeholder');
-
-    // Mock implementation
-    return `Content from ${url}\n\nThis is placeholder content. Phase 3 will implement actual fetching via MCP.`;
+    // Respects robots.txt and per-domain rate limits; failures fall back to the snippet
+    const article = await articleExtractor.fetchArticle(url);
+    return article.content;
   }
 
   /**
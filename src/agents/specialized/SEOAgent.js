@@ -4,8 +4,90 @@
  * Handles keyword analysis, meta tag generation, and search optimization
  */
 
+import Joi from 'joi';
 import Agent from '../base/Agent.js';
-import claudeService from '../../services/ai/claudeService.js';
+import unifiedAIService from '../../services/ai/unifiedAIService.js';
+
+// Google truncates NewsArticle headlines longer than this
+const HEADLINE_MAX_LENGTH = 110;
+
+// Anchor phrases taken from a related article's title, longest first
+const ANCHOR_MAX_WORDS = 4;
+const ANCHOR_MIN_WORDS = 2;
+
+const stringList = Joi.array().items(Joi.string());
+
+// Replies of the meta tag and keyword prompts (validated and repaired by generateStructured)
+const META_TAGS_SCHEMA = Joi.object({
+  metaTitle: Joi.string().max(60).required(),
+  metaDescription: Joi.string().max(160).required(),
+  metaKeywords: stringList.default([]),
+  ogTitle: Joi.string().required(),
+  ogDescription: Joi.string().required(),
+  twitterTitle: Joi.string().required(),
+  twitterDescription: Joi.string().required(),
+  focusKeyword: Joi.string().required(),
+});
+
+const KEYWORDS_SCHEMA = Joi.object({
+  keywords: stringList.min(1).required(),
+  longTailKeywords: stringList.default([]),
+  relatedTopics: stringList.default([]),
+});
+
+// Spans of content that must not receive a link: headings, existing links, HTML tags, code
+const PROTECTED_PATTERN = new RegExp(
+  [
+    '^#{1,6}\\s.*$',
+    '<h[1-6]\\b[\\s\\S]*?<\\/h[1-6]>',
+    '\\[[^\\]]*\\]\\([^)]*\\)',
+    '<a\\b[\\s\\S]*?<\\/a>',
+    '<[^>]+>',
+    '`[^`]*`',
+  ].join('|'),
+  'gim'
+);
+
+const STOP_WORDS = new Set([
+  'the',
+  'a',
+  'an',
+  'and',
+  'or',
+  'but',
+  'in',
+  'on',
+  'at',
+  'to',
+  'for',
+  'of',
+  'with',
+  'by',
+  'from',
+  'as',
+  'is',
+  'was',
+  'are',
+  'were',
+  'be',
+  'been',
+  'have',
+  'has',
+  'had',
+  'do',
+  'does',
+  'did',
+  'will',
+  'would',
+  'could',
+  'should',
+  'may',
+  'might',
+  'must',
+  'can',
+  'this',
+  'that',
+]);
 
 class SEOAgent extends Agent {
   constructor(config = {}) {
@@ -13,6 +95,8 @@ class SEOAgent extends Agent {
 
     this.targetKeywordDensity = config.targetKeywordDensity || 0.02; // 2%
     this.maxKeywords = config.maxKeywords || 5;
+    // Publisher for structured data: { name, url, logo, sameAs }
+    this.site = config.site || null;
   }
 
   /**
@@ -21,9 +105,12 @@ class SEOAgent extends Agent {
   async initialize() {
     this.logger.info('[SEO] Initializing...');
 
-    // Verify Claude service availability for keyword generation
-    if (!claudeService) {
-      throw new Error('Claude AI service not available');
+    // AI providers (Gemini, Claude, OpenAI-compatible or mock) for meta tags and keywords
+    if (!unifiedAIService.isAvailable()) {
+      await unifiedAIService.initialize();
+    }
+    if (!unifiedAIService.isAvailable()) {
+      this.logger.warn('[SEO] No AI provider available - using rule-based meta tags and keywords');
     }
 
     this.logger.info('[SEO] Initialization complete');
@@ -32,7 +119,8 @@ class SEOAgent extends Agent {
   /**
    * Execute SEO optimization task
    * @param {Object} task - SEO task
-   * @param {string} task.type - Task type: 'optimize', 'analyze', 'generateMeta'
+   * @param {string} task.type - Task type: 'optimize', 'analyze', 'generateMeta',
+   *   'suggestKeywords', 'generateSlug', 'generateStructuredData', 'suggestInternalLinks'
    * @param {Object} task.params - Task parameters
    * @returns {Promise<Object>} SEO optimization result
    */
@@ -55,6 +143,12 @@ class SEOAgent extends Agent {
       case 'generateSlug':
         return await this.generateSlug(params);
 
+      case 'generateStructuredData':
+        return this.generateStructuredData(params);
+
+      case 'suggestInternalLinks':
+        return this.suggestInternalLinks(params);
+
       default:
         throw new Error(`Unknown task type: ${type}`);
     }
@@ -137,11 +231,34 @@ class SEOAgent extends Agent {
 
   /**
    * Generate meta tags for content
+   * With a canonical `url` (and the article fields generateStructuredData takes)
+   * the result also carries the article's JSON-LD structured data.
    * @param {Object} params - Meta tag parameters
    * @returns {Promise<Object>} Generated meta tags
    */
   async generateMetaTags(params) {
-    const { title, content, excerpt, keywords = [], category } = params;
+    const metaTags = await this.generateBasicMetaTags(params);
+
+    if (params.url) {
+      const { jsonLd, validation } = this.generateStructuredData({
+        ...params,
+        category: typeof params.category === 'string' ? { name: params.category } : params.category,
+      });
+      metaTags.structuredData = jsonLd;
+      metaTags.structuredDataValidation = validation;
+    }
+
+    return metaTags;
+  }
+
+  /**
+   * Generate title, description, Open Graph and Twitter meta tags
+   * @param {Object} params - Meta tag parameters
+   * @returns {Promise<Object>} Generated meta tags
+   */
+  async generateBasicMetaTags(params) {
+    const { title, content, excerpt, keywords = [] } = params;
+    const category = typeof params.category === 'string' ? params.category : params.category?.name;
 
     this.logger.info('[SEO] Generating meta tags');
 
@@ -167,39 +284,16 @@ Generate meta tags in JSON format:
 }`;
 
     try {
-      const response = await claudeService.client.messages.create({
-        model: claudeService.model,
-        max_tokens: 1024,
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
+      const { data } = await unifiedAIService.generateStructured({
+        prompt,
+        schema: META_TAGS_SCHEMA,
+        name: 'seo.metaTags',
+        maxTokens: 1024,
       });
 
-      const metaText = response.content[0].text;
-      let metaTags;
-
-      try {
-        metaTags = JSON.parse(metaText);
-      } catch (e) {
-        // Fallback to basic meta tags
-        metaTags = {
-          metaTitle: title.substring(0, 60),
-          metaDescription: excerpt ? excerpt.substring(0, 160) : content.substring(0, 160),
-          metaKeywords: keywords.slice(0, 5),
-          ogTitle: title,
-          ogDescription: excerpt || content.substring(0, 200),
-          twitterTitle: title,
-          twitterDescription: excerpt || content.substring(0, 200),
-          focusKeyword: keywords[0] || 'news',
-        };
-      }
-
-      return metaTags;
+      return data;
     } catch (error) {
-      // Return basic meta tags on error
+      // Return basic meta tags when the AI fails or never returns valid tags
       return {
         metaTitle: title.substring(0, 60),
         metaDescription: excerpt ? excerpt.substring(0, 160) : content.substring(0, 160),
@@ -213,6 +307,380 @@ Generate meta tags in JSON format:
     }
   }
 
+  /**
+   * Generate schema.org JSON-LD for an article
+   * Builds NewsArticle, BreadcrumbList and Organization nodes in one @graph and
+   * validates them against the fields Google needs for article rich results.
+   * Everything comes from the article record; no AI call is made.
+   * @param {Object} params - Article fields
+   * @param {string} params.title - Headline
+   * @param {string} params.url - Canonical article URL
+   * @param {string} [params.excerpt] - Description
+   * @param {Array<string>} [params.images] - Image URLs (featured image first)
+   * @param {string|Date} [params.publishedAt] - Publication date
+   * @param {string|Date} [params.modifiedAt] - Last modification date
+   * @param {Object} [params.author] - { name, url }; the publisher is the author when omitted
+   * @param {Object} [params.category] - { name, url }
+   * @param {Array<string>} [params.tags] - Tag names
+   * @param {number} [params.wordCount] - Word count
+   * @param {string} [params.language] - Language code
+   * @param {Object} [params.site] - Publisher { name, url, logo, sameAs } (default: config.site)
+   * @returns {Object} { jsonLd, validation: { valid, errors, warnings } }
+   */
+  generateStructuredData(params) {
+    const {
+      title,
+      url,
+      excerpt,
+      images = [],
+      publishedAt,
+      modifiedAt,
+      author,
+      category,
+      tags = [],
+      wordCount,
+      language,
+      site = this.site || {},
+    } = params;
+
+    const siteUrl = site.url ? site.url.replace(/\/$/, '') : null;
+    const organizationId = siteUrl ? `${siteUrl}/#organization` : undefined;
+    const headline = this.truncateHeadline(title);
+    const toIsoDate = value => (value ? new Date(value).toISOString() : undefined);
+
+    const organization = {
+      '@type': 'Organization',
+      '@id': organizationId,
+      name: site.name,
+      url: siteUrl || undefined,
+      logo: site.logo ? { '@type': 'ImageObject', url: site.logo } : undefined,
+      sameAs: site.sameAs && site.sameAs.length > 0 ? site.sameAs : undefined,
+    };
+
+    const crumbs = [
+      siteUrl ? { name: site.name || 'Home', item: siteUrl } : null,
+      category && category.name && category.url
+        ? { name: category.name, item: category.url }
+        : null,
+      { name: headline, item: url },
+    ].filter(Boolean);
+
+    const breadcrumbs = {
+      '@type': 'BreadcrumbList',
+      '@id': `${url}#breadcrumb`,
+      itemListElement: crumbs.map((crumb, index) => ({
+        '@type': 'ListItem',
+        position: index + 1,
+        name: crumb.name,
+        item: crumb.item || undefined,
+      })),
+    };
+
+    const article = {
+      '@type': 'NewsArticle',
+      '@id': `${url}#article`,
+      mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+      headline,
+      description: excerpt || undefined,
+      image: [...new Set(images.filter(Boolean))],
+      datePublished: toIsoDate(publishedAt),
+      dateModified: toIsoDate(modifiedAt || publishedAt),
+      author:
+        author && author.name
+          ? [{ '@type': 'Person', name: author.name, url: author.url || undefined }]
+          : [{ '@type': 'Organization', name: site.name, url: siteUrl || undefined }],
+      publisher: organizationId ? { '@id': organizationId } : organization,
+      articleSection: category?.name || undefined,
+      keywords: tags.length > 0 ? tags.join(', ') : undefined,
+      wordCount: wordCount || undefined,
+      inLanguage: language || undefined,
+      isAccessibleForFree: true,
+      breadcrumb: { '@id': breadcrumbs['@id'] },
+    };
+
+    // Round-trip through JSON to drop undefined properties
+    const jsonLd = JSON.parse(
+      JSON.stringify({
+        '@context': 'https://schema.org',
+        '@graph': [article, breadcrumbs, organization],
+      })
+    );
+
+    const validation = this.validateStructuredData(jsonLd);
+    if (title && headline !== title) {
+      validation.warnings.push(`headline truncated to ${HEADLINE_MAX_LENGTH} characters`);
+    }
+
+    return { jsonLd, validation };
+  }
+
+  /**
+   * Validate structured data against the fields Google requires
+   * Errors keep the article out of rich results; warnings are recommended fields.
+   * @param {Object} jsonLd - JSON-LD document from generateStructuredData
+   * @returns {Object} { valid, errors, warnings }
+   */
+  validateStructuredData(jsonLd) {
+    const errors = [];
+    const warnings = [];
+    const nodes = jsonLd['@graph'] || [];
+    const byType = type => nodes.find(node => node['@type'] === type);
+
+    const isAbsoluteUrl = value => {
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+      } catch {
+        return false;
+      }
+    };
+    const isDate = value => Boolean(value) && !Number.isNaN(new Date(value).getTime());
+
+    const article = byType('NewsArticle');
+    if (!article) {
+      errors.push('NewsArticle: missing');
+    } else {
+      if (!article.headline) errors.push('NewsArticle: headline is required');
+      if (!isAbsoluteUrl(article.mainEntityOfPage?.['@id'])) {
+        errors.push('NewsArticle: mainEntityOfPage must be an absolute URL');
+      }
+      if (!article.image || article.image.length === 0) {
+        errors.push('NewsArticle: image is required');
+      } else if (!article.image.every(isAbsoluteUrl)) {
+        errors.push('NewsArticle: image URLs must be absolute');
+      }
+      if (!isDate(article.datePublished)) {
+        errors.push('NewsArticle: datePublished is required');
+      }
+      if (
+        isDate(article.datePublished) &&
+        isDate(article.dateModified) &&
+        new Date(article.dateModified) < new Date(article.datePublished)
+      ) {
+        errors.push('NewsArticle: dateModified is before datePublished');
+      }
+      if (!article.author || !article.author.every(author => author.name)) {
+        errors.push('NewsArticle: author.name is required');
+      }
+      if (!article.description) warnings.push('NewsArticle: description is recommended');
+    }
+
+    const organization = byType('Organization');
+    if (!organization || !organization.name) {
+      errors.push('Organization: name is required');
+    } else {
+      if (!isAbsoluteUrl(organization.url)) {
+        errors.push('Organization: url must be an absolute URL');
+      }
+      if (!organization.logo) warnings.push('Organization: logo is recommended');
+    }
+
+    const breadcrumbs = byType('BreadcrumbList');
+    if (!breadcrumbs || breadcrumbs.itemListElement.length < 2) {
+      warnings.push('BreadcrumbList: needs at least two items');
+    } else {
+      breadcrumbs.itemListElement.forEach(item => {
+        if (!item.name) errors.push(`BreadcrumbList: item ${item.position} needs a name`);
+        // Only the last crumb (the page itself) may omit its URL
+        if (item.position < breadcrumbs.itemListElement.length && !isAbsoluteUrl(item.item)) {
+          errors.push(`BreadcrumbList: item ${item.position} needs an absolute URL`);
+        }
+      });
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  /**
+   * Shorten a headline to Google's limit at a word boundary
+   * @param {string} title - Title
+   * @returns {string} Headline
+   */
+  truncateHeadline(title) {
+    if (!title || title.length <= HEADLINE_MAX_LENGTH) return title;
+
+    const cut = title.substring(0, HEADLINE_MAX_LENGTH - 1);
+    const boundary = cut.lastIndexOf(' ');
+    return `${(boundary > HEADLINE_MAX_LENGTH / 2 ? cut.substring(0, boundary) : cut).trim()}…`;
+  }
+
+  /**
+   * Suggest internal links from a draft to related published articles
+   * For each related article, looks for a phrase from its title or tags in the
+   * draft's body paragraphs (never in headings or existing links) and proposes
+   * it as anchor text. At most one link per target and per paragraph.
+   * @param {Object} params - Linking parameters
+   * @param {string} params.content - Draft content (Markdown or HTML)
+   * @param {Array<Object>} params.candidates - Related articles, most relevant first:
+   *   [{ id, title, url, tags, score }]
+   * @param {number} [params.maxLinks=5] - Maximum suggestions
+   * @returns {Object} { suggestions: [{ articleId, url, title, anchorText, paragraphIndex,
+   *   offset, length, context, score }] } sorted by position in the content
+   */
+  suggestInternalLinks(params) {
+    const { content = '', candidates = [], maxLinks = 5 } = params;
+
+    this.logger.info(`[SEO] Suggesting internal links from ${candidates.length} related articles`);
+
+    const protectedRanges = [...content.matchAll(PROTECTED_PATTERN)].map(match => [
+      match.index,
+      match.index + match[0].length,
+    ]);
+
+    // Paragraphs with their offsets
+    const paragraphs = [];
+    const separator = /\n\s*\n/g;
+    let start = 0;
+    const pushParagraph = end => {
+      if (content.slice(start, end).trim()) {
+        paragraphs.push({ index: paragraphs.length, start, end });
+      }
+    };
+    for (const match of content.matchAll(separator)) {
+      pushParagraph(match.index);
+      start = match.index + match[0].length;
+    }
+    pushParagraph(content.length);
+
+    const isFree = (from, to) =>
+      !protectedRanges.some(([rangeStart, rangeEnd]) => from < rangeEnd && to > rangeStart);
+
+    const usedParagraphs = new Set();
+    const suggestions = [];
+
+    for (const candidate of candidates) {
+      if (suggestions.length >= maxLinks) break;
+      if (!candidate.url || content.includes(candidate.url)) continue;
+
+      const placement = this.findAnchor(content, paragraphs, candidate, {
+        isFree,
+        usedParagraphs,
+        usedAnchors: new Set(suggestions.map(suggestion => suggestion.anchorText.toLowerCase())),
+      });
+
+      if (placement) {
+        usedParagraphs.add(placement.paragraph.index);
+        suggestions.push({
+          articleId: candidate.id,
+          url: candidate.url,
+          title: candidate.title,
+          anchorText: placement.anchorText,
+          paragraphIndex: placement.paragraph.index,
+          offset: placement.offset,
+          length: placement.anchorText.length,
+          context: content
+            .slice(
+              Math.max(placement.paragraph.start, placement.offset - 60),
+              Math.min(placement.paragraph.end, placement.offset + placement.anchorText.length + 60)
+            )
+            .replace(/\s+/g, ' ')
+            .trim(),
+          score: candidate.score ?? null,
+        });
+      }
+    }
+
+    return { suggestions: suggestions.sort((a, b) => a.offset - b.offset) };
+  }
+
+  /**
+   * Find where to link a related article: the longest title phrase or tag that
+   * occurs in an unused paragraph, outside existing links and markup
+   * @param {string} content - Draft content
+   * @param {Array<Object>} paragraphs - [{ index, start, end }]
+   * @param {Object} candidate - { title, tags }
+   * @param {Object} state - { isFree, usedParagraphs, usedAnchors }
+   * @returns {Object|null} { anchorText, offset, paragraph }
+   */
+  findAnchor(content, paragraphs, candidate, state) {
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    for (const phrase of this.anchorPhrases(candidate)) {
+      const pattern = new RegExp(`\\b${escape(phrase).replace(/\s+/g, '\\s+')}\\b`, 'gi');
+
+      for (const paragraph of paragraphs) {
+        if (state.usedParagraphs.has(paragraph.index)) continue;
+
+        const text = content.slice(paragraph.start, paragraph.end);
+
+        for (const match of text.matchAll(pattern)) {
+          const offset = paragraph.start + match.index;
+          if (
+            state.isFree(offset, offset + match[0].length) &&
+            !state.usedAnchors.has(match[0].toLowerCase())
+          ) {
+            return { anchorText: match[0], offset, paragraph };
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Anchor text candidates for a related article, best first: its full title,
+   * title phrases of ANCHOR_MAX_WORDS down to ANCHOR_MIN_WORDS words that do not
+   * start or end with a stop word, then its tags
+   * @param {Object} candidate - { title, tags }
+   * @returns {Array<string>} Phrases
+   */
+  anchorPhrases(candidate) {
+    const words = (candidate.title || '').split(/\s+/).map(word => word.replace(/^\W+|\W+$/g, ''));
+    const phrases = [words.filter(Boolean).join(' ')];
+
+    for (
+      let size = Math.min(ANCHOR_MAX_WORDS, words.length - 1);
+      size >= ANCHOR_MIN_WORDS;
+      size--
+    ) {
+      for (let i = 0; i + size <= words.length; i++) {
+        const slice = words.slice(i, i + size);
+        const [first, last] = [slice[0].toLowerCase(), slice[slice.length - 1].toLowerCase()];
+
+        if (
+          slice.every(Boolean) &&
+          !STOP_WORDS.has(first) &&
+          !STOP_WORDS.has(last) &&
+          slice.some(word => word.length > 3)
+        ) {
+          phrases.push(slice.join(' '));
+        }
+      }
+    }
+
+    (candidate.tags || []).forEach(tag => {
+      if (tag && tag.length > 3) phrases.push(tag);
+    });
+
+    return [...new Set(phrases.filter(Boolean))];
+  }
+
+  /**
+   * Insert suggested links into content
+   * Markdown links for Markdown/plain content, <a> tags when the content is HTML.
+   * @param {string} content - Content
+   * @param {Array<Object>} suggestions - suggestInternalLinks suggestions
+   * @returns {string} Content with links
+   */
+  insertInternalLinks(content, suggestions) {
+    const isHtml = /<\/?(p|div|a|h[1-6]|ul|ol|li|blockquote)\b/i.test(content);
+
+    return [...suggestions]
+      .sort((a, b) => b.offset - a.offset)
+      .reduce((result, suggestion) => {
+        const anchor = result.slice(suggestion.offset, suggestion.offset + suggestion.length);
+        const link = isHtml
+          ? `<a href="${suggestion.url.replace(/"/g, '&quot;')}">${anchor}</a>`
+          : `[${anchor}](${suggestion.url})`;
+
+        return (
+          result.slice(0, suggestion.offset) +
+          link +
+          result.slice(suggestion.offset + suggestion.length)
+        );
+      }, content);
+  }
+
   /**
    * Suggest keywords for content
    * @param {Object} params - Keyword suggestion parameters
@@ -239,32 +707,14 @@ Provide keywords in JSON format:
 }`;
 
     try {
-      const response = await claudeService.client.messages.create({
-        model: claudeService.model,
-        max_tokens: 512,
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
+      const { data } = await unifiedAIService.generateStructured({
+        prompt,
+        schema: KEYWORDS_SCHEMA,
+        name: 'seo.keywords',
+        maxTokens: 512,
       });
 
-      const keywordText = response.content[0].text;
-      let suggestions;
-
-      try {
-        suggestions = JSON.parse(keywordText);
-      } catch (e) {
-        // Extract keywords from content if parsing fails
-        suggestions = {
-          keywords: this.extractTopWords(content, 5),
-          longTailKeywords: [],
-          relatedTopics: [],
-        };
-      }
-
-      return suggestions;
+      return data;
     } catch (error) {
       // Fallback to simple extraction
       return {
@@ -539,51 +989,10 @@ Provide keywords in JSON format:
    * Extract top words from content
    */
   extractTopWords(content, limit = 5) {
-    const stopWords = new Set([
-      'the',
-      'a',
-      'an',
-      'and',
-      'or',
-      'but',
-      'in',
-      'on',
-      'at',
-      'to',
-      'for',
-      'of',
-      'with',
-      'by',
-      'from',
-      'as',
-      'is',
-      'was',
-      'are',
-      'were',
-      'be',
-      'been',
-      'have',
-      'has',
-      'had',
-      'do',
-      'does',
-      'did',
-      'will',
-      'would',
-      'could',
-      'should',
-      'may',
-      'might',
-      'must',
-      'can',
-      'this',
-      'that',
-    ]);
-
     const words = content
       .toLowerCase()
       .split(/\W+/)
-      .filter(word => word.length > 4 && !stopWords.has(word));
+      .filter(word => word.length > 4 && !STOP_WORDS.has(word));
 
     const frequency = {};
     words.forEach(word => {
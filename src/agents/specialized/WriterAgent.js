@@ -12,10 +12,45 @@
  * - Readability optimization
  * - Content length optimization
  * - Writing personality profiles
+ * - Story synthesis (one article from multi-source coverage of an event)
+ *
+ * Prompts come from the prompt registry (services/ai/promptRegistry); results
+ * list the prompt versions used in metadata.prompts.
  */
 
+import Joi from 'joi';
 import Agent from '../base/Agent.js';
 import unifiedAIService from '../../services/ai/unifiedAIService.js';
+import promptRegistry from '../../services/ai/promptRegistry.js';
+
+// Replies of the JSON writing prompts (validated and repaired by generateStructured)
+const EXPANSION_SCHEMA = Joi.object({
+  content: Joi.string().required(),
+  newSection: Joi.string().required(),
+  integrationPoints: Joi.string().allow('').default(''),
+});
+
+const LENGTH_SUGGESTIONS_SCHEMA = Joi.object({
+  suggestions: Joi.array()
+    .items(Joi.object({ section: Joi.string(), action: Joi.string().required() }))
+    .default([]),
+  priority: Joi.string().allow('').default(''),
+  estimatedImpact: Joi.string().allow('').default(''),
+});
+
+const TEMPLATE_ARTICLE_SCHEMA = Joi.object({
+  headline: Joi.string().required(),
+  excerpt: Joi.string().required(),
+  sections: Joi.array()
+    .items(Joi.object({ heading: Joi.string().allow(''), content: Joi.string().required() }))
+    .default([]),
+  fullContent: Joi.string().required(),
+  metadata: Joi.object({
+    estimatedReadTime: Joi.number(),
+    wordCount: Joi.number(),
+    suggestedTags: Joi.array().items(Joi.string()),
+  }).default({}),
+});
 
 class WriterAgent extends Agent {
   constructor(config = {}) {
@@ -309,6 +344,9 @@ class WriterAgent extends Agent {
       case 'summarize':
         return await this.summarizeArticle(params);
 
+      case 'synthesize':
+        return await this.synthesizeStory(params);
+
       default:
         throw new Error(`Unknown task type: ${type}`);
     }
@@ -317,6 +355,7 @@ class WriterAgent extends Agent {
   /**
    * Write a new article from scratch
    * @param {Object} params - Writing parameters
+   * @param {Function} [params.onToken] - Receives the article text as it is generated
    * @returns {Promise<Object>} Generated article
    */
   async writeArticle(params) {
@@ -327,6 +366,7 @@ class WriterAgent extends Agent {
       length = this.defaultLength,
       keywords = [],
       targetAudience = 'general',
+      onToken = null,
     } = params;
 
     if (!topic) {
@@ -335,43 +375,12 @@ class WriterAgent extends Agent {
 
     this.logger.info(`[Writer] Writing article on "${topic}" (${style}, ${length})`);
 
-    const lengthGuide = this.lengths[length] || this.lengths.medium;
-    const styleGuide = this.styles[style] || this.styles.professional;
-
     // Build context from sources
     const sourceContext =
       sources.length > 0
         ? `\n\nReference Sources:\n${sources.map((s, i) => `${i + 1}. ${s.title} - ${s.content?.substring(0, 200)}...`).join('\n')}`
         : '';
 
-    const prompt = `You are a professional journalist writing for DigitalTide, a high-quality news platform.
-
-Write a comprehensive article on the following topic:
-${topic}
-
-Writing Requirements:
-- Style: ${styleGuide.tone}
-- Structure: ${styleGuide.structure}
-- Length: ${lengthGuide.min}-${lengthGuide.max} words (${lengthGuide.description})
-- Target Audience: ${targetAudience}
-${keywords.length > 0 ? `- Include these keywords naturally: ${keywords.join(', ')}` : ''}
-${sourceContext}
-
-Article Structure:
-1. Compelling headline (60-80 characters)
-2. Engaging introduction (2-3 paragraphs)
-3. Main content (well-organized sections)
-4. Conclusion (summary and insights)
-
-Provide the article in the following JSON format:
-{
-  "headline": "Article headline",
-  "excerpt": "Brief 2-3 sentence summary",
-  "content": "Full article content with proper paragraphs",
-  "suggestedTags": ["tag1", "tag2", "tag3"],
-  "estimatedReadTime": number_in_minutes
-}`;
-
     try {
       // Use unified AI service (automatically uses Gemini, Claude, or OpenAI)
       const result = await unifiedAIService.generateArticle({
@@ -381,6 +390,7 @@ Provide the article in the following JSON format:
         length,
         keywords,
         targetAudience,
+        onToken,
       });
 
       // Structure the response
@@ -401,6 +411,7 @@ Provide the article in the following JSON format:
         style,
         length,
         wordCount: result.metadata.wordCount,
+        prompts: [result.metadata.prompt],
       };
 
       this.stats.articlesGenerated++;
@@ -423,6 +434,7 @@ Provide the article in the following JSON format:
       newStyle = this.defaultStyle,
       newAngle = null,
       preserveFacts = true,
+      instructions = null,
     } = params;
 
     if (!originalContent) {
@@ -431,25 +443,6 @@ Provide the article in the following JSON format:
 
     this.logger.info(`[Writer] Rewriting article "${originalTitle}" (${newStyle})`);
 
-    const styleGuide = this.styles[newStyle] || this.styles.professional;
-
-    const prompt = `Rewrite the following article with a ${styleGuide.tone} tone and ${styleGuide.structure}.
-
-Original Title: ${originalTitle}
-Original Content:
-${originalContent}
-
-${newAngle ? `New Angle: ${newAngle}` : ''}
-${preserveFacts ? 'IMPORTANT: Preserve all factual information from the original article.' : ''}
-
-Provide the rewritten article in JSON format:
-{
-  "headline": "New headline",
-  "excerpt": "New excerpt",
-  "content": "Rewritten content",
-  "changes": "Brief description of key changes made"
-}`;
-
     try {
       // Use unified AI service for rewriting
       const result = await unifiedAIService.rewriteArticle({
@@ -457,6 +450,7 @@ Provide the rewritten article in JSON format:
         targetStyle: newStyle,
         targetAngle: newAngle,
         preserveFactsOnly: !preserveFacts,
+        instructions,
       });
 
       const article = {
@@ -471,8 +465,10 @@ Provide the rewritten article in JSON format:
         tokensUsed: result.tokensUsed,
         provider: result.provider || 'unknown',
         style: newStyle,
+        instructions,
         originalLength: result.originalLength,
         newLength: result.newLength,
+        prompts: [result.prompt],
       };
 
       this.stats.contentRewritten += 1;
@@ -486,10 +482,20 @@ Provide the rewritten article in JSON format:
   /**
    * Expand article with additional content
    * @param {Object} params - Expansion parameters
+   * @param {Function} [params.onToken] - Receives the raw JSON reply as it is generated
+   * @param {Function} [params.onRepair] - Called when an invalid reply is re-requested
+   *   (text streamed so far should be discarded)
    * @returns {Promise<Object>} Expanded article
    */
   async expandArticle(params) {
-    const { originalContent, originalTitle, expansionTopic, targetLength = 'long' } = params;
+    const {
+      originalContent,
+      originalTitle,
+      expansionTopic,
+      targetLength = 'long',
+      onToken = null,
+      onRepair = null,
+    } = params;
 
     if (!originalContent || !expansionTopic) {
       throw new Error('Original content and expansion topic are required');
@@ -499,54 +505,35 @@ Provide the rewritten article in JSON format:
 
     const lengthGuide = this.lengths[targetLength] || this.lengths.long;
 
-    const prompt = `Expand the following article by adding a new section on: ${expansionTopic}
-
-Original Article:
-Title: ${originalTitle}
-Content:
-${originalContent}
-
-Requirements:
-- Add ${lengthGuide.min}-${lengthGuide.max} words of new content
-- Maintain the same style and tone as the original
-- Integrate the new section smoothly
-- Preserve all original content
-
-Provide the expanded article in JSON format:
-{
-  "content": "Full expanded content including original and new sections",
-  "newSection": "Just the new content added",
-  "integrationPoints": "Where and how new content was integrated"
-}`;
+    const prompt = promptRegistry.render('article.expand', {
+      originalTitle,
+      originalContent,
+      expansionTopic,
+      minWords: lengthGuide.min,
+      maxWords: lengthGuide.max,
+    });
 
     try {
       // Use unified AI service to expand article
-      const result = await unifiedAIService.generateArticle({
-        topic: originalTitle,
-        context: prompt,
-        style: 'professional',
-        length: targetLength,
+      const result = await unifiedAIService.generateStructured({
+        prompt: prompt.text,
+        schema: EXPANSION_SCHEMA,
+        name: prompt.name,
+        maxTokens: 8192,
+        temperature: 0.7,
+        onToken,
+        onRepair,
       });
 
-      const { content } = result;
-      let article;
-
-      try {
-        article = JSON.parse(content);
-      } catch (e) {
-        article = {
-          content,
-          newSection: content,
-          integrationPoints: 'Appended to original content',
-        };
-      }
+      const article = result.data;
 
       article.metadata = {
-        model: result.metadata?.model || 'unknown',
-        tokensUsed: result.metadata?.tokensUsed || 0,
+        model: result.model || 'unknown',
+        tokensUsed: result.usage.totalTokens,
         provider: result.provider || 'unknown',
         originalWordCount: originalContent.split(/\s+/).length,
         newWordCount: article.content.split(/\s+/).length,
+        prompts: [prompt.id],
       };
 
       return article;
@@ -569,11 +556,13 @@ Provide the expanded article in JSON format:
 
     this.logger.info(`[Writer] Summarizing article "${title}"`);
 
+    const prompt = promptRegistry.render('article.summarize', { content, maxLength });
+
     try {
       // Use unified AI service to generate summary
       const result = await unifiedAIService.generateArticle({
         topic: `Summary of: ${title}`,
-        context: `Summarize the following article in no more than ${maxLength} words:\n\n${content}`,
+        context: prompt.text,
         style: 'professional',
         length: 'short',
       });
@@ -588,6 +577,7 @@ Provide the expanded article in JSON format:
           model: result.metadata?.model || 'unknown',
           tokensUsed: result.metadata?.tokensUsed || 0,
           provider: result.provider || 'unknown',
+          prompts: [prompt.id, result.metadata?.prompt].filter(Boolean),
         },
       };
     } catch (error) {
@@ -595,6 +585,56 @@ Provide the expanded article in JSON format:
     }
   }
 
+  /**
+   * Synthesize one article from several sources' coverage of the same story
+   * @param {Object} params - Synthesis parameters
+   * @param {string} params.title - Story title
+   * @param {Array} params.articles - Coverage ({ title, summary, sourceName, url })
+   * @param {Array<string>} params.keywords - Story keywords (optional)
+   * @param {string} params.style - Writing style (optional)
+   * @param {string} params.length - short, medium or long (optional)
+   * @returns {Promise<Object>} Generated article, with the sources used in metadata.sources
+   */
+  async synthesizeStory(params) {
+    const {
+      title,
+      articles = [],
+      keywords = [],
+      style = this.defaultStyle,
+      length = this.defaultLength,
+    } = params;
+
+    if (!title || articles.length === 0) {
+      throw new Error('Story title and articles are required for synthesis');
+    }
+
+    this.logger.info(`[Writer] Synthesizing story "${title}" from ${articles.length} sources`);
+
+    const sources = articles.map(article => ({
+      title: article.sourceName ? `${article.title} (${article.sourceName})` : article.title,
+      content: article.summary || '',
+    }));
+
+    const article = await this.writeArticle({
+      topic:
+        `${title} - synthesize the reporting of ${articles.length} sources into one ` +
+        'original article, noting where they differ',
+      sources,
+      keywords,
+      style,
+      length,
+    });
+
+    article.headline = title;
+    article.metadata.sources = articles.map(({ title: sourceTitle, sourceName, url }) => ({
+      title: sourceTitle,
+      sourceName,
+      url,
+    }));
+
+    return article;
+  }
+
   /**
    * P1 TASK 3: Generate and optimize headlines
    * Creates multiple headline options and scores them
@@ -666,6 +706,7 @@ Provide the expanded article in JSON format:
         metadata: {
           count: headlineTexts.length,
           provider: result.provider,
+          prompts: [result.prompt].filter(Boolean),
         },
       };
     } catch (error) {
@@ -767,7 +808,9 @@ Provide the expanded article in JSON format:
         ...analysis,
         targetStyle,
         targetPersonality,
-        metadata: {},
+        metadata: {
+          prompts: [analysis.prompt],
+        },
       };
     } catch (error) {
       throw new Error(`Failed to check consistency: ${error.message}`);
@@ -804,6 +847,7 @@ Provide the expanded article in JSON format:
         ...suggestions,
         metadata: {
           generatedAt: new Date().toISOString(),
+          prompts: [suggestions.prompt],
         },
       };
     } catch (error) {
@@ -855,7 +899,9 @@ Provide the expanded article in JSON format:
             passiveVoice: currentMetrics.passiveVoicePercent - newMetrics.passiveVoicePercent,
           },
         },
-        metadata: {},
+        metadata: {
+          prompts: [result.prompt],
+        },
       };
     } catch (error) {
       throw new Error(`Failed to optimize readability: ${error.message}`);
@@ -997,55 +1043,33 @@ Provide the expanded article in JSON format:
 
     // If action needed, provide suggestions
     if (recommendation.action !== 'none') {
-      const prompt = `The following article is ${recommendation.assessment.replace('_', ' ')} for its content type (${contentType}).
-
-Current length: ${currentWordCount} words
-Target length: ${recommendation.targetWordCount} words
-Action needed: ${recommendation.action}
-
-Content:
-${content}
-
-Provide specific suggestions in JSON format:
-{
-  "suggestions": [
-    {"section": "which part", "action": "what to do", "reasoning": "why"},
-    ...
-  ],
-  "priority": "which suggestions are most important",
-  "estimatedImpact": "how this improves the article"
-}`;
+      const prompt = promptRegistry.render('article.lengthSuggestions', {
+        content,
+        contentType,
+        assessment: recommendation.assessment.replace('_', ' '),
+        action: recommendation.action,
+        currentWordCount,
+        targetWordCount: recommendation.targetWordCount,
+      });
 
       try {
         // Use unified AI service for length optimization suggestions
-        const result = await unifiedAIService.generateArticle({
-          topic: 'Content Length Optimization',
-          context: prompt,
-          style: 'professional',
-          length: 'short',
+        const result = await unifiedAIService.generateStructured({
+          prompt: prompt.text,
+          schema: LENGTH_SUGGESTIONS_SCHEMA,
+          name: prompt.name,
+          maxTokens: 2000,
+          temperature: 0.7,
         });
 
-        // Parse AI response
-        let aiSuggestions;
-        try {
-          aiSuggestions =
-            typeof result.content === 'string' ? JSON.parse(result.content) : result.content;
-        } catch {
-          // If parsing fails, provide basic structure
-          aiSuggestions = {
-            suggestions: [],
-            priority: 'Unable to parse AI response',
-            estimatedImpact: result.content.substring(0, 200),
-          };
-        }
-
-        recommendation.suggestions = aiSuggestions.suggestions || [];
-        recommendation.priority = aiSuggestions.priority;
-        recommendation.estimatedImpact = aiSuggestions.estimatedImpact;
+        recommendation.suggestions = result.data.suggestions;
+        recommendation.priority = result.data.priority;
+        recommendation.estimatedImpact = result.data.estimatedImpact;
         recommendation.metadata = {
-          model: result.metadata?.model || 'unknown',
-          tokensUsed: result.metadata?.tokensUsed || 0,
+          model: result.model || 'unknown',
+          tokensUsed: result.usage.totalTokens,
           provider: result.provider || 'unknown',
+          prompts: [prompt.id],
         };
       } catch (error) {
         this.logger.warn('[Writer] Could not generate AI suggestions:', error.message);
@@ -1078,81 +1102,39 @@ Provide specific suggestions in JSON format:
 
     const styleGuide = this.styles[style];
 
-    const prompt = `Write a ${template.name} article following this exact structure:
-
-Template Structure: ${template.structure.join(' → ')}
-
-Guidelines:
-${Object.entries(template.guidelines)
-  .map(([key, value]) => `- ${key}: ${value}`)
-  .join('\n')}
-
-Writing Style:
-- Tone: ${styleGuide.tone}
-- Voice: ${styleGuide.voice}
-- Structure: ${styleGuide.structure}
-
-Topic: ${topic}
-
-${data.sources ? `Sources:\n${data.sources.map((s, i) => `${i + 1}. ${s.title}`).join('\n')}` : ''}
-${data.keyPoints ? `Key Points:\n${data.keyPoints.map((p, i) => `${i + 1}. ${p}`).join('\n')}` : ''}
-${data.context ? `Context:\n${data.context}` : ''}
-
-Provide the complete article in JSON format:
-{
-  "headline": "article headline",
-  "excerpt": "2-3 sentence summary",
-  "sections": [
-    {
-      "heading": "section title",
-      "content": "section content"
-    },
-    ...
-  ],
-  "fullContent": "complete article text with all sections",
-  "metadata": {
-    "template": "${templateType}",
-    "estimatedReadTime": number_in_minutes,
-    "wordCount": number,
-    "suggestedTags": ["tag1", "tag2"]
-  }
-}`;
+    const prompt = promptRegistry.render('article.fromTemplate', {
+      topic,
+      templateType,
+      templateName: template.name,
+      structure: template.structure.join(' → '),
+      guidelines: Object.entries(template.guidelines)
+        .map(([key, value]) => `- ${key}: ${value}`)
+        .join('\n'),
+      tone: styleGuide.tone,
+      voice: styleGuide.voice,
+      styleStructure: styleGuide.structure,
+      sources: data.sources ? data.sources.map((s, i) => `${i + 1}. ${s.title}`).join('\n') : '',
+      keyPoints: data.keyPoints ? data.keyPoints.map((p, i) => `${i + 1}. ${p}`).join('\n') : '',
+      context: data.context || '',
+    });
 
     try {
       // Use unified AI service to generate article from template
-      const result = await unifiedAIService.generateArticle({
-        topic,
-        context: prompt,
-        style,
-        length: 'long',
+      const result = await unifiedAIService.generateStructured({
+        prompt: prompt.text,
+        schema: TEMPLATE_ARTICLE_SCHEMA,
+        name: prompt.name,
+        maxTokens: 8192,
+        temperature: 0.7,
       });
 
-      // Parse the JSON response if it's a string
-      let article;
-      if (typeof result.content === 'string') {
-        try {
-          article = JSON.parse(result.content);
-        } catch {
-          // If parsing fails, create article structure from content
-          article = {
-            headline: topic,
-            excerpt: result.content.substring(0, 200),
-            fullContent: result.content,
-            sections: [],
-          };
-        }
-      } else {
-        article = result.content;
-      }
+      const article = result.data;
 
       article.templateUsed = templateType;
       article.templateName = template.name;
 
-      // Ensure metadata exists and has wordCount
-      if (!article.metadata) {
-        article.metadata = {};
-      }
-      if (!article.metadata.wordCount && article.fullContent) {
+      // Fill in counts the model left out
+      if (!article.metadata.wordCount) {
         article.metadata.wordCount = article.fullContent.split(/\s+/).length;
       }
       if (!article.metadata.estimatedReadTime && article.metadata.wordCount) {
@@ -1160,9 +1142,10 @@ Provide the complete article in JSON format:
       }
 
       article.apiMetadata = {
-        model: result.metadata?.model || 'unknown',
-        tokensUsed: result.metadata?.tokensUsed || 0,
+        model: result.model || 'unknown',
+        tokensUsed: result.usage.totalTokens,
         provider: result.provider || 'unknown',
+        prompts: [prompt.id],
       };
 
       this.stats.articlesGenerated++;
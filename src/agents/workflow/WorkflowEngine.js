@@ -0,0 +1,762 @@
+/**
+ * Workflow Engine
+ * Executes agent workflows defined as directed acyclic graphs (DAGs)
+ * Supports parallel branches, fan-in joins, conditional steps,
+ * per-step retry/timeout policies and named outputs
+ */
+
+import EventEmitter from 'events';
+import { randomUUID } from 'crypto';
+import { runWithUsageContext } from '../../services/ai/usageContext.js';
+import WorkflowError from './WorkflowError.js';
+
+/**
+ * Step status values
+ */
+export const STEP_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+};
+
+/**
+ * Read a value from an object using a dotted path (e.g. "outputs.draft.content" or "articles.0.title")
+ * @param {Object} source - Object to read from
+ * @param {string} path - Dotted path
+ * @returns {*} Value or undefined
+ */
+export function getPath(source, path) {
+  if (!path) return source;
+
+  return path
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean)
+    .reduce(
+      (value, key) => (value === null || value === undefined ? undefined : value[key]),
+      source
+    );
+}
+
+/**
+ * Write a value into an object using a dotted path, creating intermediate objects
+ * @param {Object} target - Object to write into
+ * @param {string} path - Dotted path
+ * @param {*} value - Value to set
+ */
+function setPath(target, path, value) {
+  const keys = path.split('.').filter(Boolean);
+  let cursor = target;
+
+  keys.slice(0, -1).forEach(key => {
+    if (cursor[key] === null || typeof cursor[key] !== 'object') {
+      cursor[key] = {};
+    }
+    cursor = cursor[key];
+  });
+
+  cursor[keys[keys.length - 1]] = value;
+}
+
+const sleep = ms =>
+  new Promise(resolve => {
+    setTimeout(resolve, ms);
+  });
+
+class WorkflowEngine extends EventEmitter {
+  /**
+   * @param {Object} options - Engine options
+   * @param {Function} options.executeTask - async (agentName, task) => agent run result
+   * @param {Function} [options.releaseAgent] - (agentName) => void, called when a task times out
+   *   so the agent accepts new work while the abandoned task finishes in the background
+   * @param {Object} [options.defaults] - Default step policies ({ retry, timeout })
+   * @param {Object} [options.store] - Persistence store (see WorkflowStore); runs are kept in memory only when omitted
+   */
+  constructor(options = {}) {
+    super();
+
+    if (typeof options.executeTask !== 'function') {
+      throw new TypeError('WorkflowEngine requires an executeTask function');
+    }
+
+    this.executeTask = options.executeTask;
+    this.releaseAgent = options.releaseAgent || null;
+    this.defaults = {
+      retry: { attempts: 1, backoff: { type: 'exponential', delay: 2000 } },
+      timeout: null,
+      ...options.defaults,
+    };
+    this.store = options.store || null;
+    this.agentLocks = new Map();
+    this.logger = console;
+  }
+
+  /**
+   * Convert a legacy linear workflow (array of steps) into a DAG definition
+   * Each step depends on the previous one, so behaviour matches the old sequential runner
+   * @param {Array} steps - Array of { agentName, task, usesPreviousResult }
+   * @returns {Object} Workflow definition
+   */
+  static fromLinearSteps(steps) {
+    return {
+      steps: steps.map((step, i) => ({
+        ...step,
+        id: step.id || String(i + 1),
+        dependsOn: i > 0 ? [steps[i - 1].id || String(i)] : [],
+      })),
+    };
+  }
+
+  /**
+   * Validate a workflow definition and return its steps in topological order
+   * @param {Object} definition - Workflow definition
+   * @returns {Array<Object>} Steps sorted topologically
+   * @throws {WorkflowError} If the definition is invalid or contains a cycle
+   */
+  validate(definition) {
+    if (!definition || !Array.isArray(definition.steps) || definition.steps.length === 0) {
+      throw new WorkflowError('Workflow definition must contain at least one step');
+    }
+
+    const steps = new Map();
+    const outputNames = new Set();
+
+    for (const step of definition.steps) {
+      if (!step.id) {
+        throw new WorkflowError('Every workflow step must have an id');
+      }
+      if (steps.has(step.id)) {
+        throw new WorkflowError(`Duplicate workflow step id: ${step.id}`, { stepId: step.id });
+      }
+      if (!step.agentName) {
+        throw new WorkflowError(`Step ${step.id} is missing agentName`, { stepId: step.id });
+      }
+      if (step.output) {
+        if (outputNames.has(step.output)) {
+          throw new WorkflowError(`Duplicate workflow output name: ${step.output}`, {
+            stepId: step.id,
+          });
+        }
+        outputNames.add(step.output);
+      }
+      steps.set(step.id, step);
+    }
+
+    for (const step of steps.values()) {
+      for (const dependency of step.dependsOn || []) {
+        if (!steps.has(dependency)) {
+          throw new WorkflowError(`Step ${step.id} depends on unknown step: ${dependency}`, {
+            stepId: step.id,
+          });
+        }
+      }
+    }
+
+    // Kahn's algorithm - anything left over is part of a cycle
+    const inDegree = new Map();
+    steps.forEach((step, id) => inDegree.set(id, (step.dependsOn || []).length));
+
+    const ready = [...inDegree.entries()].filter(([, degree]) => degree === 0).map(([id]) => id);
+    const ordered = [];
+
+    while (ready.length > 0) {
+      const id = ready.shift();
+      ordered.push(steps.get(id));
+
+      for (const step of steps.values()) {
+        if ((step.dependsOn || []).includes(id)) {
+          inDegree.set(step.id, inDegree.get(step.id) - 1);
+          if (inDegree.get(step.id) === 0) {
+            ready.push(step.id);
+          }
+        }
+      }
+    }
+
+    if (ordered.length !== steps.size) {
+      const cyclic = [...inDegree.entries()].filter(([, degree]) => degree > 0).map(([id]) => id);
+      throw new WorkflowError(`Workflow contains a cycle involving: ${cyclic.join(', ')}`);
+    }
+
+    return ordered;
+  }
+
+  /**
+   * Execute a workflow definition
+   * @param {Object} definition - Workflow definition
+   * @param {string} [definition.name] - Workflow name
+   * @param {Array<Object>} definition.steps - Workflow steps
+   * @param {Object} [definition.defaults] - Default { retry, timeout } for every step
+   * @param {Object} [input] - Workflow input, available to steps as `input`
+   * @param {Object} [options] - Run options
+   * @param {string} [options.runId] - Run identifier (UUID)
+   * @returns {Promise<Object>} Workflow run result
+   */
+  async execute(definition, input = {}, options = {}) {
+    const ordered = this.validate(definition);
+    const run = this.createRunState(
+      definition,
+      ordered,
+      options.runId || this.generateRunId(),
+      input
+    );
+
+    if (this.store) {
+      await this.store.createRun(run);
+    }
+
+    this.logger.info(
+      `[Workflow] Starting ${definition.name || 'workflow'} (${run.runId}) with ${ordered.length} steps`
+    );
+    this.emit('workflowStarted', { runId: run.runId, name: run.name, steps: run.order });
+
+    return this.runWorkflow(definition, ordered, run);
+  }
+
+  /**
+   * Resume a persisted run from its last completed steps
+   * Completed steps keep their results and named outputs; failed, interrupted,
+   * skipped and pending steps are run again.
+   * @param {Object} definition - Workflow definition the run was started with
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object>} Workflow run result
+   * @throws {WorkflowError} If the run completed or is still running in another process
+   */
+  async resume(definition, runId) {
+    const { ordered, run } = await this.claimForResume(definition, runId);
+    return this.runWorkflow(definition, ordered, run);
+  }
+
+  /**
+   * Load a persisted run and claim it for this process without running it
+   * Pass the returned state to runWorkflow() to continue the run.
+   * @param {Object} definition - Workflow definition the run was started with
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object>} { ordered, run } - steps in topological order and restored run state
+   * @throws {WorkflowError} If the run completed or is still running in another process
+   */
+  async claimForResume(definition, runId) {
+    if (!this.store) {
+      throw new WorkflowError('Resuming a workflow requires a persistence store');
+    }
+
+    const ordered = this.validate(definition);
+    const persisted = await this.store.loadRun(runId);
+
+    if (!persisted) {
+      throw new WorkflowError(`Workflow run not found: ${runId}`);
+    }
+    if (persisted.run.status === 'completed') {
+      throw new WorkflowError(`Workflow run ${runId} has already completed`);
+    }
+
+    const run = this.createRunState(definition, ordered, runId, persisted.run.input || {});
+    const stepsById = new Map(ordered.map(step => [step.id, step]));
+    let restored = 0;
+
+    persisted.steps.forEach(saved => {
+      const step = stepsById.get(saved.id);
+
+      if (step && saved.status === STEP_STATUS.COMPLETED) {
+        Object.assign(run.steps[saved.id], {
+          status: STEP_STATUS.COMPLETED,
+          attempts: saved.attempts,
+          result: saved.result,
+          startedAt: saved.startedAt,
+          completedAt: saved.completedAt,
+          duration: saved.duration,
+        });
+        if (step.output) {
+          run.outputs[step.output] = saved.result;
+        }
+        restored++;
+      }
+    });
+
+    if (!(await this.store.claimRun(runId))) {
+      throw new WorkflowError(`Workflow run ${runId} is still running in another process`);
+    }
+
+    this.logger.info(
+      `[Workflow] Resuming ${definition.name || 'workflow'} (${runId}): ` +
+        `${restored}/${ordered.length} steps already completed`
+    );
+    this.emit('workflowResumed', { runId, name: run.name, restoredSteps: restored });
+
+    return { ordered, run };
+  }
+
+  /**
+   * Build the initial in-memory state for a run
+   * @param {Object} definition - Workflow definition
+   * @param {Array<Object>} ordered - Steps in topological order
+   * @param {string} runId - Run ID
+   * @param {Object} input - Workflow input
+   * @returns {Object} Run state
+   */
+  createRunState(definition, ordered, runId, input) {
+    const run = {
+      runId,
+      name: definition.name || null,
+      status: 'running',
+      input,
+      outputs: {},
+      steps: {},
+      order: ordered.map(step => step.id),
+      toleratedFailures: new Set(),
+    };
+
+    ordered.forEach((step, i) => {
+      run.steps[step.id] = {
+        id: step.id,
+        step: i + 1,
+        agentName: step.agentName,
+        status: STEP_STATUS.PENDING,
+        attempts: 0,
+        result: null,
+        error: null,
+        startedAt: null,
+        completedAt: null,
+        duration: null,
+      };
+    });
+
+    return run;
+  }
+
+  /**
+   * Schedule and run every outstanding step of a run until it completes or fails
+   * @param {Object} definition - Workflow definition
+   * @param {Array<Object>} ordered - Steps in topological order
+   * @param {Object} run - Run state
+   * @returns {Promise<Object>} Workflow run result
+   */
+  async runWorkflow(definition, ordered, run) {
+    const { runId } = run;
+    const startedAt = Date.now();
+    const running = new Map();
+    let failure = null;
+
+    const stepDefaults = { ...this.defaults, ...definition.defaults };
+
+    const isSettled = id =>
+      [STEP_STATUS.COMPLETED, STEP_STATUS.FAILED, STEP_STATUS.SKIPPED].includes(
+        run.steps[id].status
+      );
+
+    // Starts every step whose dependencies have settled; returns how many were skipped,
+    // since skipping a step can unblock its dependents in the same pass
+    const scheduleReadySteps = () => {
+      let skipped = 0;
+
+      for (const step of ordered) {
+        const state = run.steps[step.id];
+        const dependencies = step.dependsOn || [];
+
+        if (state.status === STEP_STATUS.PENDING && dependencies.every(isSettled)) {
+          const skipReason = this.getSkipReason(step, run);
+
+          if (skipReason) {
+            state.status = STEP_STATUS.SKIPPED;
+            state.error = skipReason;
+            skipped++;
+            this.logger.info(`[Workflow] Skipping step ${step.id}: ${skipReason}`);
+            this.emit('workflowStepSkipped', { runId, stepId: step.id, reason: skipReason });
+            this.persistStep(run, step, state);
+          } else {
+            state.status = STEP_STATUS.RUNNING;
+            const promise = this.runStep(step, run, stepDefaults).then(() => {
+              running.delete(step.id);
+            });
+            running.set(step.id, promise);
+          }
+        }
+      }
+
+      return skipped;
+    };
+
+    const drainSchedule = () => {
+      while (!failure && scheduleReadySteps() > 0);
+    };
+
+    drainSchedule();
+
+    while (running.size > 0) {
+      await Promise.race(running.values());
+
+      if (!failure) {
+        const failed = Object.values(run.steps).find(
+          s => s.status === STEP_STATUS.FAILED && !run.toleratedFailures.has(s.id)
+        );
+        if (failed) {
+          failure = failed;
+        }
+      }
+
+      drainSchedule();
+    }
+
+    run.duration = Date.now() - startedAt;
+
+    if (failure) {
+      const label = definition.name ? `Workflow "${definition.name}"` : 'Workflow';
+      const message = `${label} failed at step ${failure.id} (${failure.agentName}): ${failure.error}`;
+
+      run.status = 'failed';
+      run.failedStep = failure.id;
+      run.error = message;
+      await this.persistRun(run);
+
+      this.logger.error(`[Workflow] ${message}`);
+      this.emit('workflowFailed', { runId, name: run.name, stepId: failure.id, error: message });
+
+      throw new WorkflowError(message, {
+        stepId: failure.id,
+        agentName: failure.agentName,
+        run: this.formatRun(run, definition),
+      });
+    }
+
+    run.status = 'completed';
+    await this.persistRun(run);
+    const result = this.formatRun(run, definition);
+
+    this.logger.info(`[Workflow] ${definition.name || 'Workflow'} (${runId}) completed`);
+    this.emit('workflowCompleted', { runId, name: run.name, duration: run.duration, result });
+
+    return result;
+  }
+
+  /**
+   * Persist a step's state; persistence errors are logged so they never abort a run
+   * @param {Object} run - Run state
+   * @param {Object} step - Step definition
+   * @param {Object} state - Step state
+   * @param {Object} [task] - Task handed to the agent
+   * @returns {Promise<void>}
+   */
+  async persistStep(run, step, state, task = null) {
+    if (!this.store) return;
+
+    try {
+      await this.store.saveStep(run.runId, state, { task, output: step.output || null });
+    } catch (error) {
+      this.logger.error(`[Workflow] Failed to persist step ${step.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Persist the final state of a run
+   * @param {Object} run - Run state
+   * @returns {Promise<void>}
+   */
+  async persistRun(run) {
+    if (!this.store) return;
+
+    try {
+      await this.store.finishRun(run);
+    } catch (error) {
+      this.logger.error(`[Workflow] Failed to persist run ${run.runId}:`, error.message);
+    }
+  }
+
+  /**
+   * Decide whether a ready step should be skipped
+   * Join modes: 'all' (default) needs every dependency completed, 'any' needs at least one,
+   * 'settled' only needs dependencies to have finished (completed, skipped or tolerated failure)
+   * @param {Object} step - Step definition
+   * @param {Object} run - Run state
+   * @returns {string|null} Skip reason or null if the step should run
+   */
+  getSkipReason(step, run) {
+    const dependencies = step.dependsOn || [];
+    const completed = dependencies.filter(id => run.steps[id].status === STEP_STATUS.COMPLETED);
+    const join = step.join || 'all';
+
+    if (join === 'all' && completed.length !== dependencies.length) {
+      return 'Not all dependencies completed';
+    }
+    if (join === 'any' && dependencies.length > 0 && completed.length === 0) {
+      return 'No dependency completed';
+    }
+
+    if (step.when !== undefined && !this.evaluateCondition(step.when, this.getContext(run))) {
+      return 'Condition not met';
+    }
+
+    return null;
+  }
+
+  /**
+   * Evaluate a step condition
+   * Accepts a function (context => boolean) or a declarative object:
+   * { path: 'outputs.qc.recommendation', equals: 'approve' } (also notEquals, in, exists)
+   * @param {Function|Object|boolean} condition - Condition
+   * @param {Object} context - Workflow context
+   * @returns {boolean} Whether the condition holds
+   */
+  evaluateCondition(condition, context) {
+    if (typeof condition === 'function') {
+      return Boolean(condition(context));
+    }
+    if (typeof condition === 'boolean') {
+      return condition;
+    }
+
+    const value = getPath(context, condition.path);
+
+    if ('equals' in condition) return value === condition.equals;
+    if ('notEquals' in condition) return value !== condition.notEquals;
+    if ('in' in condition) return condition.in.includes(value);
+    if ('exists' in condition) return (value !== undefined && value !== null) === condition.exists;
+
+    return Boolean(value);
+  }
+
+  /**
+   * Build the context visible to conditions and input mappings
+   * @param {Object} run - Run state
+   * @returns {Object} Context ({ input, outputs, steps })
+   */
+  getContext(run) {
+    const steps = {};
+    Object.values(run.steps).forEach(state => {
+      steps[state.id] = { status: state.status, result: state.result };
+    });
+
+    return { runId: run.runId, input: run.input, outputs: run.outputs, steps };
+  }
+
+  /**
+   * Build the concrete task for a step from its definition and the current context
+   * @param {Object} step - Step definition
+   * @param {Object} run - Run state
+   * @returns {Object} Task to hand to the agent
+   */
+  buildTask(step, run) {
+    const context = this.getContext(run);
+    const baseTask = typeof step.task === 'function' ? step.task(context) : step.task || {};
+    const task = JSON.parse(JSON.stringify(baseTask));
+
+    Object.entries(step.inputs || {}).forEach(([target, sourcePath]) => {
+      const value = getPath(context, sourcePath);
+      if (value !== undefined) {
+        setPath(task, target, value);
+      }
+    });
+
+    if (step.usesPreviousResult) {
+      const dependencies = step.dependsOn || [];
+      if (dependencies.length === 1) {
+        const previousResult = run.steps[dependencies[0]].result;
+        if (previousResult) task.previousResult = previousResult;
+      } else if (dependencies.length > 1) {
+        task.previousResult = Object.fromEntries(
+          dependencies.map(id => [id, run.steps[id].result])
+        );
+      }
+    }
+
+    return task;
+  }
+
+  /**
+   * Run a single step with retry and timeout policies
+   * @param {Object} step - Step definition
+   * @param {Object} run - Run state
+   * @param {Object} defaults - Default policies
+   */
+  async runStep(step, run, defaults) {
+    const state = run.steps[step.id];
+    const retry = { ...defaults.retry, ...step.retry };
+    const timeout = step.timeout !== undefined ? step.timeout : defaults.timeout;
+    const maxAttempts = Math.max(1, retry.attempts || 1);
+
+    state.startedAt = new Date().toISOString();
+    const started = Date.now();
+
+    this.emit('workflowStepStarted', {
+      runId: run.runId,
+      stepId: step.id,
+      agentName: step.agentName,
+    });
+
+    while (state.attempts < maxAttempts) {
+      state.attempts++;
+
+      try {
+        const task = this.buildTask(step, run);
+        await this.persistStep(run, step, state, task);
+        const response = await runWithUsageContext({ workflowRunId: run.runId }, () =>
+          this.runOnAgent(
+            step.agentName,
+            task,
+            timeout,
+            `Step ${step.id} timed out after ${timeout}ms`
+          )
+        );
+
+        state.result = response && 'result' in response ? response.result : response;
+        state.status = STEP_STATUS.COMPLETED;
+        state.error = null;
+        break;
+      } catch (error) {
+        state.error = error.message;
+
+        if (state.attempts < maxAttempts) {
+          const delay = this.getRetryDelay(retry.backoff, state.attempts);
+          this.logger.warn(
+            `[Workflow] Step ${step.id} attempt ${state.attempts}/${maxAttempts} failed, ` +
+              `retrying in ${delay}ms: ${error.message}`
+          );
+          this.emit('workflowStepRetrying', {
+            runId: run.runId,
+            stepId: step.id,
+            attempt: state.attempts,
+            delay,
+            error: error.message,
+          });
+          await sleep(delay);
+        } else {
+          state.status = STEP_STATUS.FAILED;
+          if (step.onError === 'continue') {
+            run.toleratedFailures.add(step.id);
+          }
+        }
+      }
+    }
+
+    state.completedAt = new Date().toISOString();
+    state.duration = Date.now() - started;
+    await this.persistStep(run, step, state);
+
+    if (state.status === STEP_STATUS.COMPLETED) {
+      if (step.output) {
+        run.outputs[step.output] = state.result;
+      }
+      this.emit('workflowStepCompleted', {
+        runId: run.runId,
+        stepId: step.id,
+        agentName: step.agentName,
+        result: state.result,
+        duration: state.duration,
+      });
+    } else {
+      this.logger.error(`[Workflow] Step ${step.id} failed: ${state.error}`);
+      this.emit('workflowStepFailed', {
+        runId: run.runId,
+        stepId: step.id,
+        agentName: step.agentName,
+        error: state.error,
+        attempts: state.attempts,
+      });
+    }
+  }
+
+  /**
+   * Run a task on an agent, serialising tasks for the same agent
+   * Agents reject work while busy, so parallel branches sharing an agent wait their turn.
+   * The timeout starts once the task leaves the queue; a timed-out task is not cancelled,
+   * but its agent is released so the tasks queued behind it can start.
+   * @param {string} agentName - Agent name
+   * @param {Object} task - Task data
+   * @param {number|null} [timeout] - Timeout in milliseconds (null = no timeout)
+   * @param {string} [message] - Timeout error message
+   * @returns {Promise<Object>} Agent run result
+   */
+  runOnAgent(agentName, task, timeout = null, message = `Task on ${agentName} timed out`) {
+    const previous = this.agentLocks.get(agentName) || Promise.resolve();
+    const current = previous.then(() =>
+      this.withTimeout(this.executeTask(agentName, task), timeout, message, () => {
+        if (this.releaseAgent) {
+          this.releaseAgent(agentName);
+        }
+      })
+    );
+    const lock = current.catch(() => {});
+
+    this.agentLocks.set(agentName, lock);
+    lock.then(() => {
+      if (this.agentLocks.get(agentName) === lock) {
+        this.agentLocks.delete(agentName);
+      }
+    });
+
+    return current;
+  }
+
+  /**
+   * Race a promise against a timeout
+   * @param {Promise} promise - Promise to race
+   * @param {number|null} timeout - Timeout in milliseconds (null = no timeout)
+   * @param {string} message - Timeout error message
+   * @param {Function} [onTimeout] - Called when the timeout fires
+   * @returns {Promise<*>} Promise result
+   */
+  withTimeout(promise, timeout, message, onTimeout = null) {
+    if (!timeout) {
+      return promise;
+    }
+
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        if (onTimeout) {
+          onTimeout();
+        }
+        reject(new Error(message));
+      }, timeout);
+    });
+
+    return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Calculate retry delay (mirrors Bull's backoff options)
+   * @param {Object} backoff - { type: 'fixed'|'exponential', delay }
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(backoff = {}, attempt = 1) {
+    const delay = backoff.delay || 0;
+    return backoff.type === 'fixed' ? delay : delay * 2 ** (attempt - 1);
+  }
+
+  /**
+   * Format run state into the public result shape
+   * @param {Object} run - Run state
+   * @param {Object} definition - Workflow definition
+   * @returns {Object} Workflow result
+   */
+  formatRun(run, definition) {
+    const steps = run.order.map(id => ({ ...run.steps[id] }));
+
+    const finalStepId =
+      definition.finalStep ||
+      [...run.order].reverse().find(id => run.steps[id].status === STEP_STATUS.COMPLETED);
+
+    return {
+      success: run.status === 'completed',
+      runId: run.runId,
+      name: run.name,
+      status: run.status,
+      duration: run.duration,
+      steps,
+      outputs: run.outputs,
+      finalResult: finalStepId ? run.steps[finalStepId].result : null,
+    };
+  }
+
+  /**
+   * Generate unique run ID
+   * @returns {string} Run ID
+   */
+  generateRunId() {
+    return randomUUID();
+  }
+}
+
+export default WorkflowEngine;
@@ -0,0 +1,17 @@
+/**
+ * Workflow Error
+ * Raised when a workflow definition is invalid or a run fails
+ */
+
+class WorkflowError extends Error {
+  constructor(message, { stepId = null, agentName = null, run = null, cause = null } = {}) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.stepId = stepId;
+    this.agentName = agentName;
+    this.run = run;
+    this.cause = cause;
+  }
+}
+
+export default WorkflowError;
@@ -0,0 +1,326 @@
+/**
+ * Workflow Store
+ * Persists workflow runs to `workflow_runs` and each step to `agent_tasks`
+ * so runs survive restarts and can be resumed from the last completed step
+ *
+ * Each run is owned by the process executing it (locked_by), which refreshes
+ * heartbeat_at while the run is in progress. A running run whose heartbeat is
+ * older than config.agents.workflows.staleAfter was abandoned by a stopped
+ * process; only such runs (or finished ones) can be claimed for resuming.
+ */
+
+import os from 'os';
+import { randomUUID } from 'crypto';
+import config from '../../config/index.js';
+import { query } from '../../database/queries.js';
+
+// Engine step status -> agent_tasks.status (task_status enum)
+const STEP_STATUS_TO_TASK_STATUS = {
+  pending: 'pending',
+  running: 'processing',
+  completed: 'completed',
+  failed: 'failed',
+  skipped: 'skipped',
+};
+
+// agent_tasks.status -> engine step status
+const TASK_STATUS_TO_STEP_STATUS = {
+  pending: 'pending',
+  processing: 'running',
+  completed: 'completed',
+  failed: 'failed',
+  skipped: 'skipped',
+  cancelled: 'failed',
+};
+
+export class WorkflowStore {
+  /**
+   * @param {Object} [options] - Store options (defaults from config.agents.workflows)
+   * @param {number} [options.heartbeatInterval] - Heartbeat interval in ms
+   * @param {number} [options.staleAfter] - Age in ms after which a running run's heartbeat is stale
+   */
+  constructor(options = {}) {
+    this.config = {
+      heartbeatInterval: config.agents.workflows.heartbeatInterval,
+      staleAfter: config.agents.workflows.staleAfter,
+      ...options,
+    };
+    this.ownerId = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+    this.activeRuns = new Set(); // Runs owned by this process that are in progress
+    this.heartbeatTimer = null;
+    this.logger = console;
+  }
+
+  /**
+   * Create a workflow run record owned by this process
+   * @param {Object} run - Run state from the workflow engine
+   * @returns {Promise<Object>} Inserted row
+   */
+  async createRun(run) {
+    const result = await query(
+      `INSERT INTO workflow_runs (id, name, status, input, step_order, locked_by, heartbeat_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       RETURNING *`,
+      [
+        run.runId,
+        run.name,
+        'running',
+        JSON.stringify(run.input || {}),
+        JSON.stringify(run.order),
+        this.ownerId,
+      ]
+    );
+
+    this.trackRun(run.runId);
+    return result.rows[0];
+  }
+
+  /**
+   * Take ownership of a persisted run and mark it as running again before it is resumed
+   * Fails while another process owns the run and its heartbeat is fresh.
+   * @param {string} runId - Run ID
+   * @returns {Promise<boolean>} Whether the run was claimed
+   */
+  async claimRun(runId) {
+    const result = await query(
+      `UPDATE workflow_runs
+       SET status = 'running', failed_step = NULL, error_message = NULL,
+           completed_at = NULL, resume_count = resume_count + 1,
+           locked_by = $2, heartbeat_at = NOW()
+       WHERE id = $1
+         AND (
+           status <> 'running'
+           OR locked_by IS NULL
+           OR heartbeat_at IS NULL
+           OR heartbeat_at < NOW() - make_interval(secs => $3)
+         )
+       RETURNING id`,
+      [runId, this.ownerId, this.config.staleAfter / 1000]
+    );
+
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    this.trackRun(runId);
+    return true;
+  }
+
+  /**
+   * List running runs whose owner stopped sending heartbeats
+   * @param {number} [limit] - Maximum rows (default: 100)
+   * @returns {Promise<Array>} Run rows (id, name, locked_by, heartbeat_at), oldest first
+   */
+  async listAbandonedRuns(limit = 100) {
+    const result = await query(
+      `SELECT id, name, locked_by, heartbeat_at
+       FROM workflow_runs
+       WHERE status = 'running'
+         AND (heartbeat_at IS NULL OR heartbeat_at < NOW() - make_interval(secs => $1))
+       ORDER BY created_at ASC
+       LIMIT $2`,
+      [this.config.staleAfter / 1000, limit]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Update a run record after it finishes
+   * Skipped if another process has since claimed the run.
+   * @param {Object} run - Run state from the workflow engine
+   * @returns {Promise<void>}
+   */
+  async finishRun(run) {
+    this.untrackRun(run.runId);
+
+    await query(
+      `UPDATE workflow_runs
+       SET status = $2, outputs = $3, failed_step = $4, error_message = $5,
+           completed_at = NOW(), duration_ms = $6
+       WHERE id = $1 AND (locked_by IS NULL OR locked_by = $7)`,
+      [
+        run.runId,
+        run.status,
+        JSON.stringify(run.outputs || {}),
+        run.failedStep || null,
+        run.error || null,
+        run.duration || null,
+        this.ownerId,
+      ]
+    );
+  }
+
+  /**
+   * Insert or update the agent_tasks row for a workflow step
+   * @param {string} runId - Run ID
+   * @param {Object} state - Step state from the workflow engine
+   * @param {Object} [details] - Additional details
+   * @param {Object} [details.task] - Task handed to the agent
+   * @param {string} [details.output] - Named output of the step
+   * @returns {Promise<void>}
+   */
+  async saveStep(runId, state, { task = null, output = null } = {}) {
+    await query(
+      `INSERT INTO agent_tasks (
+         workflow_run_id, step_id, step_output, agent_name, task_type, payload, status,
+         result, error_message, retry_count, started_at, completed_at, duration_ms
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       ON CONFLICT (workflow_run_id, step_id) WHERE workflow_run_id IS NOT NULL
+       DO UPDATE SET
+         payload = CASE WHEN $6::jsonb = '{}'::jsonb THEN agent_tasks.payload ELSE EXCLUDED.payload END,
+         task_type = EXCLUDED.task_type,
+         status = EXCLUDED.status,
+         result = EXCLUDED.result,
+         error_message = EXCLUDED.error_message,
+         retry_count = EXCLUDED.retry_count,
+         started_at = EXCLUDED.started_at,
+         completed_at = EXCLUDED.completed_at,
+         duration_ms = EXCLUDED.duration_ms`,
+      [
+        runId,
+        state.id,
+        output,
+        state.agentName,
+        task?.type || 'workflow_step',
+        JSON.stringify(task || {}),
+        STEP_STATUS_TO_TASK_STATUS[state.status] || 'pending',
+        state.result === null || state.result === undefined ? null : JSON.stringify(state.result),
+        state.error,
+        Math.max(0, state.attempts - 1),
+        state.startedAt,
+        state.completedAt,
+        state.duration,
+      ]
+    );
+  }
+
+  /**
+   * Get a run record without its steps
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object|null>} Run row or null if not found
+   */
+  async getRun(runId) {
+    const result = await query('SELECT * FROM workflow_runs WHERE id = $1', [runId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Load a run and its steps
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object|null>} { run, steps } or null if not found
+   */
+  async loadRun(runId) {
+    const run = await this.getRun(runId);
+
+    if (!run) {
+      return null;
+    }
+
+    const stepsResult = await query(
+      'SELECT * FROM agent_tasks WHERE workflow_run_id = $1 ORDER BY created_at ASC',
+      [runId]
+    );
+
+    return {
+      run,
+      steps: stepsResult.rows.map(row => ({
+        id: row.step_id,
+        agentName: row.agent_name,
+        output: row.step_output,
+        status: TASK_STATUS_TO_STEP_STATUS[row.status] || 'pending',
+        attempts: row.retry_count + 1,
+        task: row.payload,
+        result: row.result,
+        error: row.error_message,
+        startedAt: row.started_at,
+        completedAt: row.completed_at,
+        duration: row.duration_ms,
+      })),
+    };
+  }
+
+  /**
+   * List workflow runs
+   * @param {Object} options - Filter options
+   * @param {string} [options.status] - Filter by status
+   * @param {string} [options.name] - Filter by workflow name
+   * @param {number} [options.limit] - Maximum rows (default: 50)
+   * @param {number} [options.offset] - Offset (default: 0)
+   * @returns {Promise<Array>} Run rows
+   */
+  async listRuns({ status, name, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (name) {
+      params.push(name);
+      conditions.push(`name = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await query(
+      `SELECT id, name, status, failed_step, error_message, resume_count,
+              started_at, completed_at, duration_ms
+       FROM workflow_runs
+       ${whereClause}
+       ORDER BY created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Start sending heartbeats for a run owned by this process
+   * @param {string} runId - Run ID
+   */
+  trackRun(runId) {
+    this.activeRuns.add(runId);
+
+    if (!this.heartbeatTimer) {
+      this.heartbeatTimer = setInterval(() => this.heartbeat(), this.config.heartbeatInterval);
+      this.heartbeatTimer.unref();
+    }
+  }
+
+  /**
+   * Stop sending heartbeats for a run
+   * @param {string} runId - Run ID
+   */
+  untrackRun(runId) {
+    this.activeRuns.delete(runId);
+
+    if (this.activeRuns.size === 0 && this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * Refresh the heartbeat of every run in progress in this process
+   * @returns {Promise<void>}
+   */
+  async heartbeat() {
+    if (this.activeRuns.size === 0) return;
+
+    try {
+      await query(
+        `UPDATE workflow_runs SET heartbeat_at = NOW()
+         WHERE id = ANY($1) AND locked_by = $2 AND status = 'running'`,
+        [[...this.activeRuns], this.ownerId]
+      );
+    } catch (error) {
+      this.logger.error('[WorkflowStore] Heartbeat failed:', error.message);
+    }
+  }
+}
+
+// Export singleton instance
+const workflowStore = new WorkflowStore();
+export default workflowStore;
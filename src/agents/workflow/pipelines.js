@@ -0,0 +1,133 @@
+/**
+ * Workflow Pipelines
+ * Declarative workflow definitions for the standard content pipelines
+ */
+
+/**
+ * Build the full article pipeline:
+ * Crawler → Research → Writer → (QualityControl ∥ SEO) → Publisher
+ *
+ * Publisher only runs when QualityControl recommends "approve".
+ * Pass `input.topic` to skip topic selection from the crawler's trending results.
+ *
+ * @param {Object} options - Pipeline options
+ * @param {string} [options.style] - Writer style
+ * @param {string} [options.length] - Writer length
+ * @param {string} [options.publishStatus] - Status used by the publisher (default: draft)
+ * @param {Object} [options.crawl] - Crawler discovery options
+ * @param {Object} [options.defaults] - Default step policies ({ retry, timeout })
+ * @returns {Object} Workflow definition
+ */
+export function createArticlePipeline(options = {}) {
+  const {
+    style = 'professional',
+    length = 'medium',
+    publishStatus = 'draft',
+    crawl = {},
+    defaults = {
+      retry: { attempts: 2, backoff: { type: 'exponential', delay: 2000 } },
+      timeout: 300000,
+    },
+  } = options;
+
+  return {
+    name: 'article-pipeline',
+    defaults,
+    finalStep: 'publish',
+    steps: [
+      {
+        id: 'crawl',
+        agentName: 'crawler',
+        task: { type: 'discover', options: crawl },
+        output: 'discovery',
+        when: ({ input }) => !input.topic,
+      },
+      {
+        id: 'research',
+        agentName: 'research',
+        dependsOn: ['crawl'],
+        // Crawl is skipped when a topic is supplied, so run once it has settled either way
+        join: 'settled',
+        task: ({ input, outputs }) => ({
+          type: 'gather',
+          params: {
+            topic:
+              input.topic ||
+              outputs.discovery?.trending?.[0]?.keyword ||
+              outputs.discovery?.articles?.[0]?.title,
+          },
+        }),
+        output: 'research',
+      },
+      {
+        id: 'write',
+        agentName: 'writer',
+        dependsOn: ['research'],
+        task: { type: 'write', params: { style, length } },
+        inputs: {
+          'params.topic': 'outputs.research.topic',
+          'params.sources': 'outputs.research.sources',
+          'params.keywords': 'input.keywords',
+        },
+        output: 'draft',
+        retry: { attempts: 3, backoff: { type: 'exponential', delay: 5000 } },
+      },
+      {
+        id: 'qualityControl',
+        agentName: 'qualityControl',
+        dependsOn: ['write'],
+        task: { type: 'validate', params: {} },
+        inputs: {
+          'params.title': 'outputs.draft.headline',
+          'params.content': 'outputs.draft.content',
+          'params.excerpt': 'outputs.draft.excerpt',
+        },
+        output: 'qc',
+      },
+      {
+        id: 'seo',
+        agentName: 'seo',
+        dependsOn: ['write'],
+        task: { type: 'optimize', params: {} },
+        inputs: {
+          'params.title': 'outputs.draft.headline',
+          'params.content': 'outputs.draft.content',
+          'params.excerpt': 'outputs.draft.excerpt',
+          'params.keywords': 'outputs.draft.suggestedTags',
+          'params.category': 'input.category',
+        },
+        output: 'seo',
+      },
+      {
+        id: 'publish',
+        agentName: 'publisher',
+        dependsOn: ['qualityControl', 'seo'],
+        when: { path: 'outputs.qc.recommendation', equals: 'approve' },
+        task: ({ input, outputs }) => ({
+          type: 'publish',
+          params: {
+            articleData: {
+              title: outputs.draft.headline,
+              content: outputs.draft.content,
+              excerpt: outputs.draft.excerpt,
+              slug: outputs.seo.slug,
+              seoTitle: outputs.seo.metaTags?.metaTitle,
+              seoDescription: outputs.seo.metaTags?.metaDescription,
+              qualityScore: outputs.qc.qualityScore,
+              metadata: { prompts: outputs.draft.metadata?.prompts || [] },
+            },
+            authorId: input.authorId,
+            categoryId: input.categoryId,
+            tags: outputs.seo.suggestedKeywords || outputs.draft.suggestedTags || [],
+            status: publishStatus,
+          },
+        }),
+        output: 'published',
+      },
+    ],
+  };
+}
+
+export default {
+  createArticlePipeline,
+};
@@ -3,6 +3,20 @@ import dotenv from 'dotenv';
 // Load environment variables
 dotenv.config();
 
+/**
+ * Parse a list of named number pairs, e.g. "gpt-4o:2.5/10,llama3:0/0"
+ * @param {string} [value] - Comma-separated name:first/second entries
+ * @returns {Object} { name: [first, second] } (malformed entries are skipped)
+ */
+const parseNumberPairs = value =>
+  Object.fromEntries(
+    (value || '')
+      .split(',')
+      .map(entry => entry.trim().match(/^(.+):([\d.]+)\/([\d.]+)$/))
+      .filter(Boolean)
+      .map(([, name, first, second]) => [name.trim(), [parseFloat(first), parseFloat(second)]])
+  );
+
 const config = {
   // Application
   app: {
@@ -43,6 +57,26 @@ const config = {
     password: process.env.REDIS_PASSWORD || null,
   },
 
+  // Agent task queue (Bull, on Redis)
+  queue: {
+    // Move jobs that exhausted their attempts to the dead-letter queue
+    deadLetterEnabled: process.env.QUEUE_DEAD_LETTER_ENABLED !== 'false',
+    // Max jobs per queue scanned when browsing failed or dead-letter jobs
+    inspectLimit: parseInt(process.env.QUEUE_INSPECT_LIMIT, 10) || 1000,
+  },
+
+  // Real-time event stream (SSE)
+  events: {
+    // Events kept in memory for Last-Event-ID replay
+    replayBufferSize: parseInt(process.env.EVENTS_REPLAY_BUFFER_SIZE, 10) || 1000,
+    heartbeatInterval: parseInt(process.env.EVENTS_HEARTBEAT_INTERVAL, 10) || 25000,
+    maxConnectionsPerUser: parseInt(process.env.EVENTS_MAX_CONNECTIONS_PER_USER, 10) || 5,
+    // Lifetime of single-use stream tickets (ms)
+    ticketTtl: parseInt(process.env.EVENTS_TICKET_TTL, 10) || 30000,
+    // Discovered articles published within this window are flagged as breaking
+    breakingWindowMinutes: parseInt(process.env.EVENTS_BREAKING_WINDOW_MINUTES, 10) || 60,
+  },
+
   // JWT
   jwt: {
     secret: process.env.JWT_SECRET || 'development-secret-key',
@@ -56,19 +90,62 @@ const config = {
     url: process.env.ELASTICSEARCH_URL || 'http://localhost:9200',
     username: process.env.ELASTICSEARCH_USERNAME || 'elastic',
     password: process.env.ELASTICSEARCH_PASSWORD || 'changeme',
+    // Article index (Elasticsearch 7+/8 or OpenSearch)
+    index: process.env.ELASTICSEARCH_INDEX || 'digitaltide-articles',
+    requestTimeout: parseInt(process.env.ELASTICSEARCH_REQUEST_TIMEOUT, 10) || 5000,
+  },
+
+  // Article search (GET /search)
+  search: {
+    // postgres (full-text on articles.search_vector) or elasticsearch
+    provider: process.env.SEARCH_PROVIDER || 'postgres',
+    // Answer from PostgreSQL when the Elasticsearch cluster fails
+    fallbackToPostgres: process.env.SEARCH_FALLBACK_TO_POSTGRES !== 'false',
+    // Values returned per facet (categories, tags, sources)
+    facetSize: parseInt(process.env.SEARCH_FACET_SIZE, 10) || 10,
+    // Articles per bulk request when rebuilding the index
+    reindexBatchSize: parseInt(process.env.SEARCH_REINDEX_BATCH_SIZE, 10) || 500,
+    // Hybrid ranking (mode=semantic, related articles): weight of vector similarity
+    // against the normalized text score (0 = text only, 1 = vectors only)
+    semanticWeight: parseFloat(process.env.SEARCH_SEMANTIC_WEIGHT) || 0.5,
+    // Text matches and nearest neighbours each considered for hybrid ranking
+    semanticCandidates: parseInt(process.env.SEARCH_SEMANTIC_CANDIDATES, 10) || 100,
   },
 
   // Vector Database
   vectorDb: {
+    // qdrant, pinecone or memory (in-process, not persisted: development and tests)
     type: process.env.VECTOR_DB_TYPE || 'qdrant',
     qdrant: {
       url: process.env.QDRANT_URL || 'http://localhost:6333',
       apiKey: process.env.QDRANT_API_KEY || null,
+      collection: process.env.QDRANT_COLLECTION || 'digitaltide-articles',
     },
     pinecone: {
       apiKey: process.env.PINECONE_API_KEY || null,
       environment: process.env.PINECONE_ENVIRONMENT || null,
+      // Data plane URL of an existing index (its dimension must match the embeddings)
+      indexHost: process.env.PINECONE_INDEX_HOST || null,
+      namespace: process.env.PINECONE_NAMESPACE || 'articles',
     },
+    requestTimeout: parseInt(process.env.VECTOR_DB_REQUEST_TIMEOUT, 10) || 5000,
+  },
+
+  // Article embeddings (semantic search, related articles)
+  embeddings: {
+    enabled: process.env.EMBEDDINGS_ENABLED !== 'false',
+    // hashing (local and deterministic, no API calls), openai (or any OpenAI-compatible API) or gemini
+    provider: process.env.EMBEDDINGS_PROVIDER || 'hashing',
+    // Default: text-embedding-3-small (openai), text-embedding-004 (gemini)
+    model: process.env.EMBEDDINGS_MODEL,
+    // Vector size (hashing default 384; openai text-embedding-3 models can be shortened)
+    dimensions: parseInt(process.env.EMBEDDINGS_DIMENSIONS, 10) || null,
+    // OpenAI-compatible endpoint (default: api.openai.com)
+    baseUrl: process.env.EMBEDDINGS_BASE_URL,
+    // Article text sent to the embedder (title, summary, then content)
+    maxInputChars: parseInt(process.env.EMBEDDINGS_MAX_INPUT_CHARS, 10) || 8000,
+    // Articles per embedding request when rebuilding the vector store
+    batchSize: parseInt(process.env.EMBEDDINGS_BATCH_SIZE, 10) || 32,
   },
 
   // AI Services
@@ -85,15 +162,85 @@ const config = {
       apiKey: process.env.ANTHROPIC_API_KEY,
       model: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20241022',
     },
-    // Alternative AI provider (paid)
+    // Alternative AI provider (paid), or any OpenAI-compatible server (llama.cpp, Ollama, vLLM)
     openai: {
       apiKey: process.env.OPENAI_API_KEY,
       model: process.env.OPENAI_MODEL || 'gpt-4o',
       temperature: parseFloat(process.env.OPENAI_TEMPERATURE) || 0.7,
       maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS, 10) || 2000,
+      // Chat completions endpoint (default: api.openai.com); local servers need no API key
+      baseUrl: process.env.OPENAI_BASE_URL,
+      requestTimeout: parseInt(process.env.OPENAI_REQUEST_TIMEOUT, 10) || 120000,
+    },
+    // Deterministic offline provider (AI_PROVIDER=mock) for development and CI
+    mock: {
+      // replay: recorded responses, else canned ones; record: call recordProvider and save replies
+      mode: process.env.AI_MOCK_MODE || 'replay',
+      // Recorded responses (default: src/services/ai/fixtures/mock-responses.json)
+      fixturesPath: process.env.AI_MOCK_FIXTURES_PATH,
+      recordProvider: process.env.AI_MOCK_RECORD_PROVIDER || 'openai',
+      // Fail on prompts with no recorded response instead of answering with a canned one
+      strict: process.env.AI_MOCK_STRICT === 'true',
     },
-    // AI provider preference (gemini, anthropic, openai)
+    // AI provider preference (gemini, anthropic, openai, mock)
     preferredProvider: process.env.AI_PROVIDER || 'gemini',
+    // Providers tried after the preferred one, in order
+    fallbackOrder: (process.env.AI_FALLBACK_ORDER || 'gemini,anthropic,openai')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean),
+    // Token usage and cost accounting (ai_usage table, ai_* Prometheus metrics)
+    usage: {
+      enabled: process.env.AI_USAGE_TRACKING !== 'false',
+      // USD per million input/output tokens; models match exactly, then by longest prefix.
+      // Override or extend with AI_MODEL_PRICES=model:input/output,...
+      prices: {
+        'gemini-2.5-flash-lite': { input: 0.1, output: 0.4 },
+        'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+        'gemini-2.5-pro': { input: 1.25, output: 10 },
+        'claude-3-5-sonnet': { input: 3, output: 15 },
+        'claude-3-5-haiku': { input: 0.8, output: 4 },
+        'claude-3-opus': { input: 15, output: 75 },
+        'gpt-4o-mini': { input: 0.15, output: 0.6 },
+        'gpt-4o': { input: 2.5, output: 10 },
+        mock: { input: 0, output: 0 },
+        ...Object.fromEntries(
+          Object.entries(parseNumberPairs(process.env.AI_MODEL_PRICES)).map(
+            ([model, [input, output]]) => [model, { input, output }]
+          )
+        ),
+      },
+      // Spend limits in USD (0 = unlimited); per agent with AI_AGENT_BUDGETS=Writer:daily/monthly,...
+      budgets: {
+        daily: parseFloat(process.env.AI_BUDGET_DAILY_USD) || 0,
+        monthly: parseFloat(process.env.AI_BUDGET_MONTHLY_USD) || 0,
+        agents: Object.fromEntries(
+          Object.entries(parseNumberPairs(process.env.AI_AGENT_BUDGETS)).map(
+            ([agent, [daily, monthly]]) => [agent, { daily, monthly }]
+          )
+        ),
+        // Share of a budget after which the cheapest providers are tried first
+        downgradeAt: parseFloat(process.env.AI_BUDGET_DOWNGRADE_AT) || 0.8,
+      },
+      // Seconds between re-reading spend totals from the database (shared across processes)
+      refreshInterval: parseInt(process.env.AI_USAGE_REFRESH_INTERVAL, 10) || 60,
+    },
+    // JSON replies (structuredOutput): calls per task, including re-prompts with validation errors
+    structuredOutput: {
+      maxAttempts: parseInt(process.env.AI_STRUCTURED_MAX_ATTEMPTS, 10) || 3,
+    },
+    // Prompt template registry (src/services/ai/prompts)
+    prompts: {
+      // Pin template versions, e.g. PROMPT_VERSIONS=article.generate:v2,headlines.generate:v1
+      // (templates not listed use the version marked active in their definition)
+      versions: Object.fromEntries(
+        (process.env.PROMPT_VERSIONS || '')
+          .split(',')
+          .map(entry => entry.trim().split(':'))
+          .filter(([name, version]) => name && version)
+          .map(([name, version]) => [name.trim(), version.trim()])
+      ),
+    },
   },
 
   // News APIs
@@ -116,6 +263,100 @@ const config = {
     mediaStackApiKey: process.env.MEDIASTACK_API_KEY,
     cacheTTL: parseInt(process.env.NEWS_CACHE_TTL, 10) || 300, // 5 minutes default
     defaultLimit: parseInt(process.env.NEWS_DEFAULT_LIMIT, 10) || 20,
+    // live: API and RSS sources, fixture: local fixtures only (offline), mixed: both
+    sourceMode: process.env.NEWS_SOURCE_MODE || 'live',
+    fixturesPath: process.env.NEWS_FIXTURES_PATH,
+    // RSS feeds (sources table): failed polls in a row before a feed is disabled
+    feedMaxFailures: parseInt(process.env.FEED_MAX_CONSECUTIVE_FAILURES, 10) || 5,
+    // Poll interval in seconds for feeds added without one
+    feedPollInterval: parseInt(process.env.FEED_POLL_INTERVAL, 10) || 3600,
+    // Bounds in seconds for adaptive feed poll intervals (and failure backoff)
+    feedMinPollInterval: parseInt(process.env.FEED_MIN_POLL_INTERVAL, 10) || 300,
+    feedMaxPollInterval: parseInt(process.env.FEED_MAX_POLL_INTERVAL, 10) || 21600,
+  },
+
+  // Full-text extraction of article pages
+  extraction: {
+    enabled: process.env.EXTRACTION_ENABLED !== 'false',
+    userAgent: process.env.EXTRACTION_USER_AGENT || 'DigitalTide/1.0 (News Aggregator)',
+    // Token matched against robots.txt User-agent groups
+    robotsAgentToken: process.env.EXTRACTION_ROBOTS_AGENT || 'DigitalTide',
+    respectRobots: process.env.EXTRACTION_RESPECT_ROBOTS !== 'false',
+    robotsCacheTTL: parseInt(process.env.EXTRACTION_ROBOTS_CACHE_TTL, 10) || 86400,
+    timeout: parseInt(process.env.EXTRACTION_TIMEOUT, 10) || 15000,
+    maxContentLength: parseInt(process.env.EXTRACTION_MAX_CONTENT_LENGTH, 10) || 5 * 1024 * 1024,
+    // Minimum ms between requests to one domain (robots.txt Crawl-delay can raise it)
+    domainInterval: parseInt(process.env.EXTRACTION_DOMAIN_INTERVAL, 10) || 2000,
+    // Longest ms to queue for a domain slot before giving up on a page
+    maxDomainWait: parseInt(process.env.EXTRACTION_MAX_DOMAIN_WAIT, 10) || 30000,
+    // Pages extracted per ingestion run, and in parallel
+    maxArticlesPerRun: parseInt(process.env.EXTRACTION_MAX_ARTICLES_PER_RUN, 10) || 50,
+    concurrency: parseInt(process.env.EXTRACTION_CONCURRENCY, 10) || 4,
+  },
+
+  // Outbound RSS/Atom/JSON feeds and WebSub
+  syndication: {
+    title: process.env.SYNDICATION_TITLE || 'DigitalTide',
+    description: process.env.SYNDICATION_DESCRIPTION || 'AI-curated news from DigitalTide',
+    language: process.env.SYNDICATION_LANGUAGE || 'en',
+    // Article links point at the site (default: FRONTEND_URL), feed URLs at the API (default: APP_URL)
+    siteUrl: process.env.SYNDICATION_SITE_URL,
+    feedBaseUrl: process.env.SYNDICATION_FEED_BASE_URL,
+    itemLimit: parseInt(process.env.SYNDICATION_ITEM_LIMIT, 10) || 50,
+    cacheTTL: parseInt(process.env.SYNDICATION_CACHE_TTL, 10) || 300,
+    fullContent: process.env.SYNDICATION_FULL_CONTENT !== 'false',
+    websubEnabled: process.env.WEBSUB_ENABLED !== 'false',
+    websubHubs: (process.env.WEBSUB_HUBS || 'https://pubsubhubbub.appspot.com/')
+      .split(',')
+      .map(hub => hub.trim())
+      .filter(Boolean),
+  },
+
+  // Sitemaps (/sitemap.xml index, article sitemaps, Google News sitemap)
+  sitemap: {
+    // Sitemap URLs (default: SYNDICATION_FEED_BASE_URL, then APP_URL)
+    baseUrl: process.env.SITEMAP_BASE_URL,
+    // sitemaps.org allows at most 50,000 URLs per sitemap
+    urlsPerSitemap: Math.min(parseInt(process.env.SITEMAP_URLS_PER_SITEMAP, 10) || 50000, 50000),
+    // Google News only reads articles from the last 2 days, at most 1,000 URLs
+    newsWindowHours: parseInt(process.env.SITEMAP_NEWS_WINDOW_HOURS, 10) || 48,
+    newsMaxUrls: Math.min(parseInt(process.env.SITEMAP_NEWS_MAX_URLS, 10) || 1000, 1000),
+    publicationName: process.env.SITEMAP_PUBLICATION_NAME,
+    // Article sitemaps are invalidated on publish, so they can be cached long
+    cacheTTL: parseInt(process.env.SITEMAP_CACHE_TTL, 10) || 86400,
+    newsCacheTTL: parseInt(process.env.SITEMAP_NEWS_CACHE_TTL, 10) || 300,
+  },
+
+  // JSON-LD structured data stored with published articles
+  structuredData: {
+    enabled: process.env.STRUCTURED_DATA_ENABLED !== 'false',
+    // Publisher Organization (name default: SYNDICATION_TITLE)
+    organizationName: process.env.ORGANIZATION_NAME,
+    organizationLogoUrl: process.env.ORGANIZATION_LOGO_URL,
+    organizationSameAs: (process.env.ORGANIZATION_SAME_AS || '')
+      .split(',')
+      .map(url => url.trim())
+      .filter(Boolean),
+  },
+
+  // Internal links from new articles to related published articles
+  internalLinking: {
+    // Insert links automatically when an article is published
+    autoInsert: process.env.INTERNAL_LINKING_AUTO_INSERT !== 'false',
+    maxAutoLinks: parseInt(process.env.INTERNAL_LINKING_MAX_AUTO_LINKS, 10) || 3,
+    maxSuggestions: parseInt(process.env.INTERNAL_LINKING_MAX_SUGGESTIONS, 10) || 10,
+    // Related articles considered per draft
+    candidateLimit: parseInt(process.env.INTERNAL_LINKING_CANDIDATE_LIMIT, 10) || 25,
+    // Relevance added per tag shared with the draft (full-text rank is usually 0-1)
+    tagWeight: parseFloat(process.env.INTERNAL_LINKING_TAG_WEIGHT) || 0.2,
+  },
+
+  // Article revision history
+  revisions: {
+    // Words (old + new, all diffed fields) above which a diff request is rejected
+    maxDiffWords: parseInt(process.env.REVISION_DIFF_MAX_WORDS, 10) || 50000,
+    // Changed words above which a diff is approximate (common start and end, rest replaced)
+    maxDiffEdits: parseInt(process.env.REVISION_DIFF_MAX_EDITS, 10) || 2000,
   },
 
   // Image Generation
@@ -225,6 +466,12 @@ const config = {
       taskTimeout: parseInt(process.env.AGENT_TASK_TIMEOUT, 10) || 300000,
       retryAttempts: parseInt(process.env.AGENT_RETRY_ATTEMPTS, 10) || 3,
     },
+    workflows: {
+      // Running workflows refresh their heartbeat this often (ms)
+      heartbeatInterval: parseInt(process.env.WORKFLOW_HEARTBEAT_INTERVAL, 10) || 30000,
+      // A running workflow without a heartbeat for this long (ms) was abandoned and can be resumed
+      staleAfter: parseInt(process.env.WORKFLOW_STALE_AFTER, 10) || 120000,
+    },
   },
 
   // Feature Flags
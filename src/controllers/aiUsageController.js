@@ -0,0 +1,45 @@
+/**
+ * AI Usage Controller
+ * Admin endpoints for AI token usage, cost and budgets
+ */
+
+import { asyncHandler } from '../middleware/errorHandler.js';
+import aiUsageService from '../services/ai/aiUsageService.js';
+
+/**
+ * Usage and cost, grouped by agent, provider, model, article, workflow run or day
+ * GET /api/v1/admin/ai-usage
+ */
+export const getUsage = asyncHandler(async (req, res) => {
+  const { groupBy = 'agent', from, to, agent, articleId, workflowRunId } = req.query;
+
+  const { groups, totals } = await aiUsageService.getUsage({
+    groupBy,
+    from,
+    to,
+    agent,
+    articleId,
+    workflowRunId,
+  });
+
+  res.json({
+    success: true,
+    data: groups,
+    totals,
+    groupBy,
+  });
+});
+
+/**
+ * Spend against the configured daily and monthly budgets
+ * GET /api/v1/admin/ai-usage/budgets
+ */
+export const getBudgets = asyncHandler(async (req, res) => {
+  const budgets = await aiUsageService.getBudgets();
+
+  res.json({
+    success: true,
+    data: budgets,
+    downgradeAt: aiUsageService.config.budgets.downgradeAt,
+  });
+});
@@ -4,7 +4,67 @@
  */
 
 import { ApiError, asyncHandler } from '../middleware/errorHandler.js';
-import { findById, insert, update, softDelete, query } from '../database/queries.js';
+import { findById, insert, update, softDelete, query, transaction } from '../database/queries.js';
+import reviewQueueService from '../services/editorial/reviewQueueService.js';
+import revisionService from '../services/editorial/revisionService.js';
+import minHashIndex from '../services/analytics/minHashIndex.js';
+import syndicationService from '../services/syndication/syndicationService.js';
+import sitemapService from '../services/syndication/sitemapService.js';
+import structuredDataService from '../services/editorial/structuredDataService.js';
+import internalLinkingService from '../services/editorial/internalLinkingService.js';
+import searchService from '../services/search/searchService.js';
+import embeddingService from '../services/embeddings/embeddingService.js';
+
+/**
+ * Refresh outbound feeds and sitemaps after a published article changes (never fails the request)
+ * @param {string} articleId - Article ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.published=false] - The article was just published (pings WebSub hubs)
+ * @param {boolean} [options.membershipChanged=true] - The article entered or left the published set
+ */
+const refreshSyndication = (articleId, { published = false, membershipChanged = true } = {}) => {
+  const refresh = published
+    ? syndicationService.notifyPublished(articleId)
+    : syndicationService.invalidate();
+
+  refresh.catch(error => {
+    console.warn('[Articles] Failed to refresh feeds:', error.message);
+  });
+
+  sitemapService.refreshArticle(articleId, { membershipChanged }).catch(error => {
+    console.warn('[Articles] Failed to refresh sitemaps:', error.message);
+  });
+};
+
+/**
+ * Regenerate a published article's JSON-LD structured data (never fails the request)
+ * @param {string} articleId - Article ID
+ */
+const refreshStructuredData = articleId => {
+  structuredDataService.refreshArticle(articleId).catch(error => {
+    console.warn('[Articles] Failed to generate structured data:', error.message);
+  });
+};
+
+/**
+ * Bring an article's search index document up to date (never fails the request)
+ * @param {string} articleId - Article ID
+ */
+const syncSearchIndex = articleId => {
+  searchService.syncArticle(articleId).catch(error => {
+    console.warn('[Articles] Failed to update search index:', error.message);
+  });
+};
+
+/**
+ * Re-embed an article after its content changed (never fails the request)
+ * @param {string} articleId - Article ID
+ */
+const refreshEmbedding = articleId => {
+  embeddingService.embedArticle(articleId).catch(error => {
+    console.warn('[Articles] Failed to embed article:', error.message);
+  });
+};
 
 /**
  * Get all articles with pagination and filtering
@@ -143,7 +203,8 @@ export const getArticle = asyncHandler(async (req, res) => {
           DISTINCT jsonb_build_object('id', s.id, 'name', s.name, 'url', asrc.source_url)
         ) FILTER (WHERE s.id IS NOT NULL),
         '[]'
-      ) as sources
+      ) as sources,
+      (SELECT sd.json_ld FROM article_structured_data sd WHERE sd.article_id = a.id) as structured_data
     FROM articles a
     LEFT JOIN categories c ON a.category_id = c.id
     LEFT JOIN users u ON a.author_id = u.id
@@ -184,6 +245,46 @@ export const getArticle = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get published articles related to an article (by ID or slug), ranked by
+ * embedding similarity blended with full-text and shared-tag matches
+ * GET /api/v1/articles/:id/related
+ */
+export const getRelatedArticles = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { limit = 5 } = req.query;
+
+  const isUUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id);
+  const result = await query(
+    `SELECT id, status, author_id FROM articles
+     WHERE ${isUUID ? 'id' : 'slug'} = $1 AND deleted_at IS NULL`,
+    [id]
+  );
+  const article = result.rows[0];
+
+  // Unpublished articles are only visible to their author and admins
+  if (
+    !article ||
+    (article.status !== 'published' &&
+      (!req.user ||
+        (req.user.role !== 'admin' &&
+          req.user.role !== 'super_admin' &&
+          req.user.id !== article.author_id)))
+  ) {
+    throw new ApiError(404, 'Article not found');
+  }
+
+  const related = await searchService.findRelated(article.id, { limit: parseInt(limit) });
+
+  res.json({
+    success: true,
+    data: {
+      articleId: article.id,
+      articles: related || [],
+    },
+  });
+});
+
 /**
  * Create new article
  * POST /api/v1/articles
@@ -212,30 +313,79 @@ export const createArticle = asyncHandler(async (req, res) => {
   const wordCount = content.split(/\s+/).length;
   const readingTime = Math.ceil(wordCount / 200); // Average reading speed: 200 words/min
 
-  // Create article
-  const article = await insert('articles', {
-    title,
-    slug,
-    content,
-    summary: summary || null,
-    featured_image_url: featuredImageUrl || null,
-    category_id: categoryId || null,
-    author_id: req.user.id,
-    status,
-    metadata: metadata || {},
-    word_count: wordCount,
-    reading_time: readingTime,
-    published_at: status === 'published' ? new Date() : null,
-  });
+  // Create article, its tags and its first revision together
+  const article = await transaction(async client => {
+    const created = await insert(
+      'articles',
+      {
+        title,
+        slug,
+        content,
+        summary: summary || null,
+        featured_image_url: featuredImageUrl || null,
+        category_id: categoryId || null,
+        author_id: req.user.id,
+        status,
+        metadata: metadata || {},
+        word_count: wordCount,
+        reading_time: readingTime,
+        published_at: status === 'published' ? new Date() : null,
+      },
+      client
+    );
 
-  // Add tags if provided
-  if (tags && tags.length > 0) {
-    for (const tagId of tags) {
-      await insert('article_tags', {
-        article_id: article.id,
-        tag_id: tagId,
-      });
+    // Add tags if provided
+    if (tags && tags.length > 0) {
+      for (const tagId of tags) {
+        await insert(
+          'article_tags',
+          {
+            article_id: created.id,
+            tag_id: tagId,
+          },
+          client
+        );
+      }
     }
+
+    await revisionService.createRevision(
+      created,
+      {
+        authorId: req.user.id,
+        changeType: 'create',
+      },
+      client
+    );
+
+    return created;
+  });
+
+  // Index for archive-wide near-duplicate detection (rebuildable, so failures only log)
+  minHashIndex.indexArticle(article).catch(error => {
+    console.warn('[Articles] Failed to index article for duplicate detection:', error.message);
+  });
+
+  // Record the initial status in the editorial audit trail
+  if (status !== 'draft') {
+    await reviewQueueService.recordEvent({
+      articleId: article.id,
+      action: status === 'pending_review' ? 'submitted' : 'status_changed',
+      actorId: req.user.id,
+      toStatus: status,
+    });
+  }
+
+  // Link the new article into the archive before feeds and structured data pick up its content
+  if (status === 'published') {
+    await internalLinkingService.autoLinkArticle(article.id);
+  }
+
+  syncSearchIndex(article.id);
+  refreshEmbedding(article.id);
+
+  if (status === 'published') {
+    refreshSyndication(article.id, { published: true });
+    refreshStructuredData(article.id);
   }
 
   res.status(201).json({
@@ -304,8 +454,29 @@ export const updateArticle = asyncHandler(async (req, res) => {
     }
   }
 
-  // Update article
-  const article = await update('articles', id, updateData);
+  // Update article and snapshot content changes together (status-only updates create no revision)
+  const article = await transaction(async client => {
+    const updated = await update('articles', id, updateData, client);
+    await revisionService.createRevision(updated, { authorId: req.user.id }, client);
+    return updated;
+  });
+
+  if (title !== undefined || content !== undefined) {
+    minHashIndex.indexArticle(article).catch(error => {
+      console.warn('[Articles] Failed to index article for duplicate detection:', error.message);
+    });
+  }
+
+  // Record status transitions in the editorial audit trail
+  if (status !== undefined && status !== existingArticle.status) {
+    await reviewQueueService.recordEvent({
+      articleId: id,
+      action: status === 'pending_review' ? 'submitted' : 'status_changed',
+      actorId: req.user.id,
+      fromStatus: existingArticle.status,
+      toStatus: status,
+    });
+  }
 
   // Update tags if provided
   if (tags !== undefined) {
@@ -323,6 +494,28 @@ export const updateArticle = asyncHandler(async (req, res) => {
     }
   }
 
+  // Link a newly published article into the archive (after its tags are saved)
+  if (article.status === 'published' && existingArticle.status !== 'published') {
+    await internalLinkingService.autoLinkArticle(id);
+  }
+
+  syncSearchIndex(id);
+
+  if (title !== undefined || summary !== undefined || content !== undefined) {
+    refreshEmbedding(id);
+  }
+
+  if (article.status === 'published' || existingArticle.status === 'published') {
+    refreshSyndication(id, {
+      published: article.status === 'published' && existingArticle.status !== 'published',
+      membershipChanged: article.status !== existingArticle.status,
+    });
+  }
+
+  if (article.status === 'published') {
+    refreshStructuredData(id);
+  }
+
   res.json({
     success: true,
     message: 'Article updated successfully',
@@ -353,6 +546,17 @@ export const deleteArticle = asyncHandler(async (req, res) => {
   }
 
   await softDelete('articles', id);
+  syncSearchIndex(id);
+  minHashIndex.removeArticle(id).catch(error => {
+    console.warn('[Articles] Failed to remove article from duplicate index:', error.message);
+  });
+  embeddingService.removeArticle(id).catch(error => {
+    console.warn('[Articles] Failed to remove article embedding:', error.message);
+  });
+
+  if (article.status === 'published') {
+    refreshSyndication(id);
+  }
 
   res.json({
     success: true,
@@ -363,6 +567,7 @@ export const deleteArticle = asyncHandler(async (req, res) => {
 export default {
   getArticles,
   getArticle,
+  getRelatedArticles,
   createArticle,
   updateArticle,
   deleteArticle,
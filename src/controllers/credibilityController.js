@@ -0,0 +1,176 @@
+/**
+ * Credibility Controller
+ * Admin endpoints to inspect and override source credibility
+ */
+
+import { ApiError, asyncHandler } from '../middleware/errorHandler.js';
+import credibilityService from '../services/analytics/credibilityService.js';
+
+/**
+ * List persisted source evaluations
+ * GET /api/v1/admin/credibility/sources
+ */
+export const getSources = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, tier, search, overridden } = req.query;
+
+  const { sources, total } = await credibilityService.listEvaluations({
+    tier,
+    search,
+    overridden,
+    page,
+    limit,
+  });
+
+  res.json({
+    success: true,
+    data: sources,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  });
+});
+
+/**
+ * Get a domain's evaluation, blocklist entry and quality signals
+ * GET /api/v1/admin/credibility/sources/:domain
+ */
+export const getSource = asyncHandler(async (req, res) => {
+  const details = await credibilityService.getDomainDetails(req.params.domain);
+
+  if (!details.evaluation && !details.blocked && details.signals.count === 0) {
+    throw new ApiError(404, 'No credibility data for this domain');
+  }
+
+  res.json({
+    success: true,
+    data: details,
+  });
+});
+
+/**
+ * Re-evaluate a single domain now
+ * POST /api/v1/admin/credibility/sources/:domain/recompute
+ */
+export const recomputeSource = asyncHandler(async (req, res) => {
+  const evaluation = await credibilityService.evaluateDomain(req.params.domain);
+
+  res.json({
+    success: true,
+    data: evaluation,
+  });
+});
+
+/**
+ * Override a domain's tier and/or score
+ * PUT /api/v1/admin/credibility/sources/:domain/override
+ */
+export const setOverride = asyncHandler(async (req, res) => {
+  const { tier, score, reason } = req.body;
+
+  const evaluation = await credibilityService.setOverride(
+    req.params.domain,
+    { tier, score, reason },
+    req.user.id
+  );
+
+  res.json({
+    success: true,
+    message: 'Credibility override applied',
+    data: evaluation,
+  });
+});
+
+/**
+ * Remove a domain's override
+ * DELETE /api/v1/admin/credibility/sources/:domain/override
+ */
+export const clearOverride = asyncHandler(async (req, res) => {
+  const evaluation = await credibilityService.clearOverride(req.params.domain);
+
+  if (!evaluation) {
+    throw new ApiError(404, 'No override for this domain');
+  }
+
+  res.json({
+    success: true,
+    message: 'Credibility override removed',
+    data: evaluation,
+  });
+});
+
+/**
+ * Recompute credibility for all known domains (runs in the background)
+ * POST /api/v1/admin/credibility/recompute
+ */
+export const recomputeAll = asyncHandler(async (req, res) => {
+  credibilityService.recomputeAll().catch(error => {
+    console.error('[Credibility] Recompute failed:', error);
+  });
+
+  res.status(202).json({
+    success: true,
+    message: 'Credibility recompute started',
+  });
+});
+
+/**
+ * List blocklisted domains
+ * GET /api/v1/admin/credibility/blocklist
+ */
+export const getBlocklist = asyncHandler(async (req, res) => {
+  const blocklist = await credibilityService.listBlocklist();
+
+  res.json({
+    success: true,
+    data: blocklist,
+  });
+});
+
+/**
+ * Add a domain to the blocklist
+ * POST /api/v1/admin/credibility/blocklist
+ */
+export const addToBlocklist = asyncHandler(async (req, res) => {
+  const { domain, reason } = req.body;
+
+  const evaluation = await credibilityService.blockDomain(domain, reason, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: `${evaluation.domain} added to blocklist`,
+    data: evaluation,
+  });
+});
+
+/**
+ * Remove a domain from the blocklist
+ * DELETE /api/v1/admin/credibility/blocklist/:domain
+ */
+export const removeFromBlocklist = asyncHandler(async (req, res) => {
+  const evaluation = await credibilityService.unblockDomain(req.params.domain);
+
+  if (!evaluation) {
+    throw new ApiError(404, 'Domain is not on the blocklist');
+  }
+
+  res.json({
+    success: true,
+    message: `${evaluation.domain} removed from blocklist`,
+    data: evaluation,
+  });
+});
+
+export default {
+  getSources,
+  getSource,
+  recomputeSource,
+  setOverride,
+  clearOverride,
+  recomputeAll,
+  getBlocklist,
+  addToBlocklist,
+  removeFromBlocklist,
+};
@@ -0,0 +1,91 @@
+/**
+ * Drafts Controller
+ * Writer agent drafts streamed to the client (Server-Sent Events) as they are generated
+ *
+ * Events: ready, token ({ text }), retry ({ attempt, errors }: discard the text
+ * streamed so far), then draft ({ article, stats }) or error ({ message, code }).
+ * The stream closes after draft or error.
+ */
+
+import { ApiError, asyncHandler } from '../middleware/errorHandler.js';
+import draftService from '../services/editorial/draftService.js';
+import { openEventStream } from '../utils/sse.js';
+import config from '../config/index.js';
+
+/**
+ * Stream a draft generation: tokens while it runs, then the saved draft or the error
+ * Generation continues if the client disconnects, so the draft is still saved.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} details - Sent with the ready event
+ * @param {Function} run - (callbacks: { onToken, onRepair }) => Promise<{ article, stats }>
+ */
+const streamDraft = async (req, res, details, run) => {
+  const stream = openEventStream(req, res, {
+    heartbeatInterval: config.events.heartbeatInterval,
+  });
+
+  stream.send({ event: 'ready', data: details });
+
+  try {
+    const { article, stats } = await run({
+      onToken: text => stream.send({ event: 'token', data: { text } }),
+      onRepair: ({ attempt, details: errors }) =>
+        stream.send({ event: 'retry', data: { attempt, errors } }),
+    });
+
+    stream.send({ event: 'draft', data: { article, stats } });
+  } catch (error) {
+    console.error('[Drafts] Streamed generation failed:', error.message);
+    stream.send({
+      event: 'error',
+      data: { message: error.message, code: error.code || 'GENERATION_FAILED' },
+    });
+  } finally {
+    stream.close();
+  }
+};
+
+/**
+ * Write a new draft article, streaming its text
+ * POST /api/v1/drafts/stream
+ */
+export const streamNewDraft = asyncHandler(async (req, res) => {
+  const { topic } = req.body;
+
+  await streamDraft(req, res, { topic }, ({ onToken }) =>
+    draftService.writeDraft(req.body, { authorId: req.user.id, onToken })
+  );
+});
+
+/**
+ * Expand a draft article, streaming the Writer's reply
+ * POST /api/v1/drafts/:id/expand/stream
+ */
+export const streamExpandDraft = asyncHandler(async (req, res) => {
+  const article = await draftService.getArticle(req.params.id);
+
+  if (!article) {
+    throw new ApiError(404, 'Article not found');
+  }
+
+  if (article.status !== 'draft') {
+    throw new ApiError(409, `Article is ${article.status}; only drafts can be expanded`);
+  }
+
+  const { expansionTopic, length } = req.body;
+
+  await streamDraft(req, res, { articleId: article.id, expansionTopic }, callbacks =>
+    draftService.expandDraft(article, {
+      expansionTopic,
+      length,
+      actorId: req.user.id,
+      ...callbacks,
+    })
+  );
+});
+
+export default {
+  streamNewDraft,
+  streamExpandDraft,
+};
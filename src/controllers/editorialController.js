@@ -0,0 +1,290 @@
+/**
+ * Editorial Controller
+ * Handles the human review queue for articles in the pending_review status
+ */
+
+import { ApiError, asyncHandler } from '../middleware/errorHandler.js';
+import reviewQueueService from '../services/editorial/reviewQueueService.js';
+import internalLinkingService from '../services/editorial/internalLinkingService.js';
+import searchService from '../services/search/searchService.js';
+
+const isEditor = user => user.role === 'admin' || user.role === 'super_admin';
+
+/**
+ * Load an article for a review action, checking its current status
+ * @param {string} id - Article ID
+ * @param {Array<string>} [expectedStatuses] - Statuses the action is allowed from
+ * @returns {Promise<Object>} Article
+ */
+const loadArticle = async (id, expectedStatuses = null) => {
+  const article = await reviewQueueService.getArticle(id);
+
+  if (!article) {
+    throw new ApiError(404, 'Article not found');
+  }
+
+  if (expectedStatuses && !expectedStatuses.includes(article.status)) {
+    throw new ApiError(
+      409,
+      `Article is ${article.status}; this action requires status ${expectedStatuses.join(' or ')}`
+    );
+  }
+
+  return article;
+};
+
+/**
+ * Apply a review transition
+ * Fails with 409 if another reviewer changed the article's status since it was loaded.
+ * @param {Object} article - Article as loaded for the action
+ * @param {string} toStatus - New status
+ * @param {Object} options - Transition options (see reviewQueueService.transition)
+ * @returns {Promise<Object>} { article, event }
+ */
+const applyTransition = async (article, toStatus, options) => {
+  const result = await reviewQueueService.transition(article, toStatus, options);
+
+  if (!result) {
+    throw new ApiError(409, 'Article status changed while this action was in progress');
+  }
+
+  return result;
+};
+
+/**
+ * Get articles awaiting review
+ * GET /api/v1/editorial/queue
+ */
+export const getQueue = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const { articles, total } = await reviewQueueService.getQueue(req.query);
+
+  res.json({
+    success: true,
+    data: articles,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  });
+});
+
+/**
+ * Get an article with its review details and history
+ * GET /api/v1/editorial/articles/:id
+ */
+export const getReview = asyncHandler(async (req, res) => {
+  const article = await loadArticle(req.params.id);
+
+  if (!isEditor(req.user) && req.user.id !== article.author_id) {
+    throw new ApiError(403, 'You do not have permission to view this review');
+  }
+
+  const history = await reviewQueueService.getHistory(article.id);
+  const { metadata, ...rest } = article;
+
+  res.json({
+    success: true,
+    data: {
+      article: rest,
+      review: metadata?.review || null,
+      history,
+    },
+  });
+});
+
+/**
+ * Submit a draft for review
+ * POST /api/v1/editorial/articles/:id/submit
+ */
+export const submitForReview = asyncHandler(async (req, res) => {
+  const article = await loadArticle(req.params.id, ['draft']);
+
+  if (!isEditor(req.user) && req.user.id !== article.author_id) {
+    throw new ApiError(403, 'You do not have permission to submit this article');
+  }
+
+  const result = await applyTransition(article, 'pending_review', {
+    action: 'submitted',
+    actorId: req.user.id,
+    comment: req.body.comment,
+  });
+
+  res.json({
+    success: true,
+    message: 'Article submitted for review',
+    data: result,
+  });
+});
+
+/**
+ * Run QualityControl and SEO scoring on an article
+ * POST /api/v1/editorial/articles/:id/score
+ */
+export const scoreArticle = asyncHandler(async (req, res) => {
+  const article = await loadArticle(req.params.id);
+
+  const review = await reviewQueueService.scoreArticle(article, { actorId: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Article scored successfully',
+    data: review,
+  });
+});
+
+/**
+ * Approve an article, optionally publishing it straight away
+ * POST /api/v1/editorial/articles/:id/approve
+ */
+export const approveArticle = asyncHandler(async (req, res) => {
+  const { comment, publish = false } = req.body;
+  const article = await loadArticle(req.params.id, ['pending_review']);
+
+  const result = await applyTransition(article, publish ? 'published' : 'approved', {
+    action: 'approved',
+    actorId: req.user.id,
+    comment,
+  });
+
+  res.json({
+    success: true,
+    message: publish ? 'Article approved and published' : 'Article approved',
+    data: result,
+  });
+});
+
+/**
+ * Reject an article back to draft
+ * POST /api/v1/editorial/articles/:id/reject
+ */
+export const rejectArticle = asyncHandler(async (req, res) => {
+  const article = await loadArticle(req.params.id, ['pending_review']);
+
+  const result = await applyTransition(article, 'draft', {
+    action: 'rejected',
+    actorId: req.user.id,
+    comment: req.body.comment,
+  });
+
+  res.json({
+    success: true,
+    message: 'Article rejected',
+    data: result,
+  });
+});
+
+/**
+ * Request a Writer rewrite with reviewer notes
+ * The article leaves the queue while the Writer agent works and returns to
+ * pending_review, re-scored, once the rewrite completes.
+ * POST /api/v1/editorial/articles/:id/rewrite
+ */
+export const requestRewrite = asyncHandler(async (req, res) => {
+  const { notes, style } = req.body;
+  const article = await loadArticle(req.params.id, ['pending_review']);
+
+  const result = await applyTransition(article, 'draft', {
+    action: 'rewrite_requested',
+    actorId: req.user.id,
+    comment: notes,
+    metadata: { style: style || null },
+  });
+
+  // Rewrites take a while; the outcome is recorded in the review history
+  reviewQueueService.rewriteArticle(article, { notes, style });
+
+  res.status(202).json({
+    success: true,
+    message: 'Rewrite requested; the article returns to the review queue when it completes',
+    data: result,
+  });
+});
+
+/**
+ * Get the review history of an article
+ * GET /api/v1/editorial/articles/:id/history
+ */
+export const getHistory = asyncHandler(async (req, res) => {
+  const article = await loadArticle(req.params.id);
+
+  if (!isEditor(req.user) && req.user.id !== article.author_id) {
+    throw new ApiError(403, 'You do not have permission to view this review');
+  }
+
+  const history = await reviewQueueService.getHistory(article.id);
+
+  res.json({
+    success: true,
+    data: history,
+  });
+});
+
+/**
+ * Suggest internal links from an article to related published articles
+ * GET /api/v1/editorial/articles/:id/internal-links
+ */
+export const getInternalLinks = asyncHandler(async (req, res) => {
+  const article = await loadArticle(req.params.id);
+
+  if (!isEditor(req.user) && req.user.id !== article.author_id) {
+    throw new ApiError(403, 'You do not have permission to view this article');
+  }
+
+  const result = await internalLinkingService.suggestForArticle(article.id, {
+    maxLinks: req.query.limit,
+  });
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Insert internal links into an article
+ * Links the suggested articles (or only articleIds) up to maxLinks links in total.
+ * POST /api/v1/editorial/articles/:id/internal-links
+ */
+export const insertInternalLinks = asyncHandler(async (req, res) => {
+  const { articleIds, maxLinks } = req.body;
+  const article = await loadArticle(req.params.id);
+
+  const result = await internalLinkingService.linkArticle(article.id, {
+    actorId: req.user.id,
+    articleIds,
+    maxLinks,
+  });
+
+  if (result.links.length > 0) {
+    searchService.syncArticle(article.id).catch(error => {
+      console.warn('[Editorial] Failed to update search index:', error.message);
+    });
+
+    if (article.status === 'published') {
+      reviewQueueService.refreshSyndication(article.id, false);
+    }
+  }
+
+  res.json({
+    success: true,
+    message: `Inserted ${result.links.length} internal links`,
+    data: result,
+  });
+});
+
+export default {
+  getQueue,
+  getReview,
+  submitForReview,
+  scoreArticle,
+  approveArticle,
+  rejectArticle,
+  requestRewrite,
+  getHistory,
+  getInternalLinks,
+  insertInternalLinks,
+};
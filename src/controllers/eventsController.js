@@ -0,0 +1,109 @@
+/**
+ * Events Controller
+ * Real-time event stream (Server-Sent Events) for the newsroom dashboard
+ */
+
+import { ApiError, asyncHandler } from '../middleware/errorHandler.js';
+import eventStream from '../services/events/eventStream.js';
+import { openEventStream, getLastEventId } from '../utils/sse.js';
+import config from '../config/index.js';
+
+// Reconnection delay advertised to clients
+const RECONNECT_DELAY = 5000;
+
+/**
+ * Send a stored event as an SSE frame
+ * @param {Object} stream - Open event stream
+ * @param {Object} event - Event from the event stream
+ */
+const sendEvent = (stream, event) => {
+  stream.send({
+    id: event.id,
+    event: event.type,
+    data: {
+      channels: event.channels,
+      data: event.data,
+      timestamp: event.timestamp,
+    },
+  });
+};
+
+/**
+ * Subscribe to the event stream
+ * GET /api/v1/events?channels=news:technology,agents
+ */
+export const streamEvents = asyncHandler(async (req, res) => {
+  const channels = [...new Set(req.query.channels)];
+
+  const invalid = channels.filter(channel => !eventStream.isValidChannel(channel));
+  if (invalid.length > 0) {
+    throw new ApiError(400, `Unknown channels: ${invalid.join(', ')}`);
+  }
+
+  const forbidden = channels.filter(channel => !eventStream.canSubscribe(channel, req.user.role));
+  if (forbidden.length > 0) {
+    throw new ApiError(403, `Insufficient permissions for channels: ${forbidden.join(', ')}`);
+  }
+
+  if (eventStream.countSubscriptions(req.user.id) >= config.events.maxConnectionsPerUser) {
+    throw new ApiError(429, 'Too many open event streams');
+  }
+
+  const stream = openEventStream(req, res, {
+    heartbeatInterval: config.events.heartbeatInterval,
+    retry: RECONNECT_DELAY,
+  });
+
+  stream.send({ event: 'ready', data: { channels } });
+
+  // Replay what a reconnecting client missed before streaming live events
+  const lastEventId = getLastEventId(req);
+  if (lastEventId) {
+    const { events, complete } = eventStream.replay(lastEventId, channels);
+    events.forEach(event => sendEvent(stream, event));
+
+    if (!complete) {
+      // Older events were dropped from the buffer; clients should resync over REST
+      stream.send({ event: 'replay.incomplete', data: { lastEventId } });
+    }
+  }
+
+  const unsubscribe = eventStream.subscribe(channels, event => sendEvent(stream, event), {
+    userId: req.user.id,
+    close: () => stream.close(),
+  });
+  stream.onClose(unsubscribe);
+});
+
+/**
+ * Issue a single-use ticket for opening an event stream
+ * POST /api/v1/events/ticket
+ */
+export const createTicket = asyncHandler(async (req, res) => {
+  res.status(201).json({
+    success: true,
+    data: eventStream.issueTicket(req.user.id),
+  });
+});
+
+/**
+ * List channels available to the current user
+ * GET /api/v1/events/channels
+ */
+export const getChannels = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: eventStream.getChannels(req.user.role),
+  });
+});
+
+/**
+ * Get event stream statistics
+ * GET /api/v1/events/stats
+ */
+export const getStats = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: eventStream.getStats(),
+  });
+});
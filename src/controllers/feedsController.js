@@ -0,0 +1,159 @@
+/**
+ * Feeds Controller
+ * Admin endpoints to manage the feeds (RSS, Atom, JSON Feed, news sitemaps)
+ * stored in the sources table
+ */
+
+import { ApiError, asyncHandler } from '../middleware/errorHandler.js';
+import feedService from '../services/news/feedService.js';
+
+/**
+ * Load a feed or fail with 404
+ * @param {string} id - Source ID
+ * @returns {Promise<Object>} sources row
+ */
+const loadFeed = async id => {
+  const feed = await feedService.getFeed(id);
+
+  if (!feed) {
+    throw new ApiError(404, 'Feed not found');
+  }
+
+  return feed;
+};
+
+/**
+ * Fail with 409 if another source already uses the feed URL
+ * @param {string} feedUrl - Feed URL
+ * @param {string} [id] - Source being updated
+ */
+const assertFeedUrlAvailable = async (feedUrl, id = null) => {
+  const existing = await feedService.findByFeedUrl(feedUrl);
+
+  if (existing && existing.id !== id) {
+    throw new ApiError(409, 'A feed with this URL already exists');
+  }
+};
+
+/**
+ * List feeds
+ * GET /api/v1/admin/feeds
+ */
+export const getFeeds = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, category, status, search, sortBy, order } = req.query;
+
+  const { feeds, total } = await feedService.listFeeds({
+    category,
+    status,
+    search,
+    sortBy,
+    order,
+    page,
+    limit,
+  });
+
+  res.json({
+    success: true,
+    data: feeds,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  });
+});
+
+/**
+ * Get a feed
+ * GET /api/v1/admin/feeds/:id
+ */
+export const getFeed = asyncHandler(async (req, res) => {
+  const feed = await loadFeed(req.params.id);
+
+  res.json({
+    success: true,
+    data: feed,
+  });
+});
+
+/**
+ * Add a feed
+ * POST /api/v1/admin/feeds
+ */
+export const createFeed = asyncHandler(async (req, res) => {
+  await assertFeedUrlAvailable(req.body.feedUrl);
+
+  const feed = await feedService.createFeed(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Feed created successfully',
+    data: feed,
+  });
+});
+
+/**
+ * Update a feed (including enable/disable)
+ * PUT /api/v1/admin/feeds/:id
+ */
+export const updateFeed = asyncHandler(async (req, res) => {
+  await loadFeed(req.params.id);
+
+  if (req.body.feedUrl) {
+    await assertFeedUrlAvailable(req.body.feedUrl, req.params.id);
+  }
+
+  const feed = await feedService.updateFeed(req.params.id, req.body);
+
+  res.json({
+    success: true,
+    message: 'Feed updated successfully',
+    data: feed,
+  });
+});
+
+/**
+ * Remove a feed
+ * DELETE /api/v1/admin/feeds/:id
+ */
+export const deleteFeed = asyncHandler(async (req, res) => {
+  const result = await feedService.deleteFeed(req.params.id);
+
+  if (!result) {
+    throw new ApiError(404, 'Feed not found');
+  }
+
+  res.json({
+    success: true,
+    message: result.deleted
+      ? 'Feed deleted successfully'
+      : 'Feed removed; the source is kept because articles cite it',
+  });
+});
+
+/**
+ * Poll a feed now and record the result
+ * POST /api/v1/admin/feeds/:id/poll
+ */
+export const pollFeed = asyncHandler(async (req, res) => {
+  const result = await feedService.pollFeed(req.params.id);
+
+  if (!result) {
+    throw new ApiError(404, 'Feed not found');
+  }
+
+  const feed = await feedService.getFeed(req.params.id);
+
+  res.json({
+    success: true,
+    data: {
+      success: result.success,
+      error: result.error || null,
+      notModified: Boolean(result.notModified),
+      totalArticles: result.totalArticles || 0,
+      articles: result.articles.slice(0, 10),
+      feed,
+    },
+  });
+});
@@ -485,7 +485,8 @@ export const getStorageStats = async (req, res, next) => {
 /**
  * Manually trigger a background job
  * POST /api/v1/news/jobs/trigger
- * Body: { jobName: 'news-fetch' | 'cache-cleanup' | 'quota-reset' }
+ * Body: { jobName: 'news-fetch' | 'feed-poll' | 'cache-cleanup' | 'quota-reset' |
+ *   'credibility-recompute' | 'story-lifecycle' }
  */
 export const triggerJob = async (req, res, next) => {
   try {
@@ -498,7 +499,14 @@ export const triggerJob = async (req, res, next) => {
       });
     }
 
-    const validJobs = ['news-fetch', 'cache-cleanup', 'quota-reset'];
+    const validJobs = [
+      'news-fetch',
+      'feed-poll',
+      'cache-cleanup',
+      'quota-reset',
+      'credibility-recompute',
+      'story-lifecycle',
+    ];
     if (!validJobs.includes(jobName)) {
       return res.status(400).json({
         success: false,
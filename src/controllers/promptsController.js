@@ -0,0 +1,33 @@
+/**
+ * Prompts Controller
+ * Admin endpoints to inspect the prompt template registry
+ */
+
+import { ApiError, asyncHandler } from '../middleware/errorHandler.js';
+import promptRegistry from '../services/ai/promptRegistry.js';
+
+/**
+ * List prompt templates with their versions and the version in use
+ * GET /api/v1/admin/prompts
+ */
+export const getPrompts = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: promptRegistry.list(),
+  });
+});
+
+/**
+ * Get a prompt template with the text of every version
+ * GET /api/v1/admin/prompts/:name
+ */
+export const getPrompt = asyncHandler(async (req, res) => {
+  if (!promptRegistry.templates.has(req.params.name)) {
+    throw new ApiError(404, 'Prompt template not found');
+  }
+
+  res.json({
+    success: true,
+    data: promptRegistry.describe(req.params.name),
+  });
+});
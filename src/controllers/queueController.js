@@ -0,0 +1,216 @@
+/**
+ * Queue Controller
+ * Admin endpoints for failed and dead-letter agent tasks
+ */
+
+import { ApiError, asyncHandler } from '../middleware/errorHandler.js';
+import TaskQueueService, { getTaskQueue } from '../services/queue/taskQueue.js';
+
+const CONNECT_TIMEOUT = 5000;
+
+/**
+ * Get the task queue, failing fast with 503 when Redis is unreachable
+ * (Bull queues commands while reconnecting instead of rejecting them)
+ * @returns {Promise<TaskQueueService>} Initialized task queue
+ */
+const loadQueue = async () => {
+  const taskQueue = getTaskQueue();
+  let timer;
+
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('Redis did not respond')), CONNECT_TIMEOUT);
+  });
+
+  try {
+    await Promise.race([
+      taskQueue.initialize().then(() => taskQueue.deadLetterQueue.client.ping()),
+      timeout,
+    ]);
+  } catch (error) {
+    throw new ApiError(503, `Task queue unavailable: ${error.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  return taskQueue;
+};
+
+/**
+ * Run a bulk selection, turning selection errors into 400s
+ * @param {Function} action - async () => result
+ * @returns {Promise<Object>} Bulk result
+ */
+const runSelection = async action => {
+  try {
+    return await action();
+  } catch (error) {
+    if (error.message.startsWith('Select jobs') || error.message.startsWith('Invalid priority')) {
+      throw new ApiError(400, error.message);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Paginated list response
+ * truncated is set when the queue holds more jobs than QUEUE_INSPECT_LIMIT and a
+ * filtered total only covers the jobs that were scanned.
+ */
+const sendPage = (res, { jobs, total, truncated }, { page = 1, limit = 20 }) => {
+  res.json({
+    success: true,
+    data: jobs,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit),
+      truncated,
+    },
+  });
+};
+
+/**
+ * Queue counts, including the dead-letter queue
+ * GET /api/v1/admin/queues
+ */
+export const getOverview = asyncHandler(async (req, res) => {
+  const taskQueue = await loadQueue();
+  const stats = await taskQueue.getStats();
+
+  res.json({
+    success: true,
+    data: {
+      ...stats,
+      deadLetterEnabled: taskQueue.deadLetterEnabled,
+      errorClasses: Object.values(TaskQueueService.ERROR_CLASS),
+    },
+  });
+});
+
+/**
+ * Browse failed jobs
+ * GET /api/v1/admin/queues/failed
+ */
+export const getFailedJobs = asyncHandler(async (req, res) => {
+  const taskQueue = await loadQueue();
+  const result = await taskQueue.listFailedJobs(req.query);
+
+  sendPage(res, result, req.query);
+});
+
+/**
+ * Browse the dead-letter queue
+ * GET /api/v1/admin/queues/dead-letter
+ */
+export const getDeadLetterJobs = asyncHandler(async (req, res) => {
+  const taskQueue = await loadQueue();
+  const result = await taskQueue.listDeadLetterJobs(req.query);
+
+  sendPage(res, result, req.query);
+});
+
+/**
+ * Inspect a job and its payload
+ * GET /api/v1/admin/queues/jobs/:jobId
+ */
+export const getJob = asyncHandler(async (req, res) => {
+  const taskQueue = await loadQueue();
+  const job = await taskQueue.getJobDetails(req.params.jobId);
+
+  if (!job) {
+    throw new ApiError(404, 'Job not found');
+  }
+
+  res.json({
+    success: true,
+    data: job,
+  });
+});
+
+/**
+ * Retry failed jobs
+ * POST /api/v1/admin/queues/failed/retry
+ */
+export const retryFailedJobs = asyncHandler(async (req, res) => {
+  const taskQueue = await loadQueue();
+  const result = await runSelection(() => taskQueue.retryFailedJobs(req.body));
+
+  res.json({
+    success: true,
+    message: `${result.processed} of ${result.matched} jobs retried`,
+    data: result,
+  });
+});
+
+/**
+ * Discard failed jobs
+ * POST /api/v1/admin/queues/failed/discard
+ */
+export const discardFailedJobs = asyncHandler(async (req, res) => {
+  const taskQueue = await loadQueue();
+  const result = await runSelection(() => taskQueue.discardFailedJobs(req.body));
+
+  res.json({
+    success: true,
+    message: `${result.processed} of ${result.matched} jobs discarded`,
+    data: result,
+  });
+});
+
+/**
+ * Move failed jobs to the dead-letter queue
+ * POST /api/v1/admin/queues/failed/dead-letter
+ */
+export const deadLetterFailedJobs = asyncHandler(async (req, res) => {
+  const taskQueue = await loadQueue();
+  const result = await runSelection(() => taskQueue.deadLetterFailedJobs(req.body));
+
+  res.json({
+    success: true,
+    message: `${result.processed} of ${result.matched} jobs moved to the dead-letter queue`,
+    data: result,
+  });
+});
+
+/**
+ * Replay dead-letter jobs into their original queues
+ * POST /api/v1/admin/queues/dead-letter/replay
+ */
+export const replayDeadLetterJobs = asyncHandler(async (req, res) => {
+  const taskQueue = await loadQueue();
+  const result = await runSelection(() => taskQueue.replayDeadLetterJobs(req.body));
+
+  res.json({
+    success: true,
+    message: `${result.processed} of ${result.matched} jobs replayed`,
+    data: result,
+  });
+});
+
+/**
+ * Discard dead-letter jobs
+ * POST /api/v1/admin/queues/dead-letter/discard
+ */
+export const discardDeadLetterJobs = asyncHandler(async (req, res) => {
+  const taskQueue = await loadQueue();
+  const result = await runSelection(() => taskQueue.discardDeadLetterJobs(req.body));
+
+  res.json({
+    success: true,
+    message: `${result.processed} of ${result.matched} jobs discarded`,
+    data: result,
+  });
+});
+
+export default {
+  getOverview,
+  getFailedJobs,
+  getDeadLetterJobs,
+  getJob,
+  retryFailedJobs,
+  discardFailedJobs,
+  deadLetterFailedJobs,
+  replayDeadLetterJobs,
+  discardDeadLetterJobs,
+};
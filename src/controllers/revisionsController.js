@@ -0,0 +1,141 @@
+/**
+ * Revisions Controller
+ * Handles article revision history, diffs and rollback
+ */
+
+import { ApiError, asyncHandler } from '../middleware/errorHandler.js';
+import { findById } from '../database/queries.js';
+import revisionService from '../services/editorial/revisionService.js';
+import minHashIndex from '../services/analytics/minHashIndex.js';
+import searchService from '../services/search/searchService.js';
+import embeddingService from '../services/embeddings/embeddingService.js';
+
+/**
+ * Load an article and check the user may see its history
+ * @param {string} id - Article ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Article
+ */
+const loadArticle = async (id, user) => {
+  const article = await findById('articles', id);
+
+  if (!article) {
+    throw new ApiError(404, 'Article not found');
+  }
+
+  if (user.role !== 'admin' && user.role !== 'super_admin' && user.id !== article.author_id) {
+    throw new ApiError(403, 'You do not have permission to access this article history');
+  }
+
+  return article;
+};
+
+/**
+ * List revisions of an article
+ * GET /api/v1/articles/:id/revisions
+ */
+export const getRevisions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const article = await loadArticle(req.params.id, req.user);
+
+  const { revisions, total } = await revisionService.listRevisions(article.id, { page, limit });
+
+  res.json({
+    success: true,
+    data: revisions,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  });
+});
+
+/**
+ * Get a single revision with its content
+ * GET /api/v1/articles/:id/revisions/:revision
+ */
+export const getRevision = asyncHandler(async (req, res) => {
+  const article = await loadArticle(req.params.id, req.user);
+
+  const revision = await revisionService.getRevision(article.id, req.params.revision);
+
+  if (!revision) {
+    throw new ApiError(404, 'Revision not found');
+  }
+
+  res.json({
+    success: true,
+    data: revision,
+  });
+});
+
+/**
+ * Word-level diff between two revisions
+ * GET /api/v1/articles/:id/revisions/diff?from=1&to=2
+ */
+export const diffRevisions = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+  const article = await loadArticle(req.params.id, req.user);
+
+  const diff = await revisionService.diffRevisions(article.id, from, to);
+
+  if (!diff) {
+    throw new ApiError(404, 'Revision not found');
+  }
+
+  if (diff.tooLarge) {
+    throw new ApiError(
+      413,
+      `Revisions are too long to diff (${diff.words} words, limit ${diff.maxWords})`
+    );
+  }
+
+  res.json({
+    success: true,
+    data: diff,
+  });
+});
+
+/**
+ * Roll an article back to a previous revision
+ * POST /api/v1/articles/:id/revisions/:revision/rollback
+ */
+export const rollbackRevision = asyncHandler(async (req, res) => {
+  const article = await loadArticle(req.params.id, req.user);
+
+  const result = await revisionService.rollback(article.id, req.params.revision, {
+    authorId: req.user.id,
+    reason: req.body.reason,
+  });
+
+  if (!result) {
+    throw new ApiError(404, 'Revision not found');
+  }
+
+  minHashIndex.indexArticle(result.article).catch(error => {
+    console.warn('[Revisions] Failed to re-index article for duplicate detection:', error.message);
+  });
+  searchService.syncArticle(article.id).catch(error => {
+    console.warn('[Revisions] Failed to update search index:', error.message);
+  });
+  embeddingService.embedArticle(article.id).catch(error => {
+    console.warn('[Revisions] Failed to re-embed article:', error.message);
+  });
+
+  res.json({
+    success: true,
+    message: result.slugConflict
+      ? `Article rolled back to revision ${req.params.revision} (slug kept: the old slug is in use)`
+      : `Article rolled back to revision ${req.params.revision}`,
+    data: result,
+  });
+});
+
+export default {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  rollbackRevision,
+};
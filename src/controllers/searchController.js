@@ -1,8 +1,10 @@
 import { query } from '../database/queries.js';
 import { ApiError, asyncHandler } from '../middleware/errorHandler.js';
+import searchService from '../services/search/searchService.js';
 
 /**
- * @desc    Search articles with advanced filtering
+ * @desc    Search articles with advanced filtering, facet counts and highlighted matches
+ *          (mode=semantic also ranks by embedding similarity, without facets)
  * @route   GET /api/v1/search
  * @access  Public
  */
@@ -21,175 +23,45 @@ export const searchArticles = asyncHandler(async (req, res) => {
     sort = 'relevance', // relevance, date, popularity
     min_reading_time,
     max_reading_time,
+    facets = true,
+    highlight = true,
+    mode = 'keyword', // keyword, semantic
   } = req.query;
 
   if (!q || q.trim().length === 0) {
     throw new ApiError(400, 'Search query is required');
   }
 
-  const offset = (page - 1) * limit;
   const searchQuery = q.trim();
 
-  // Build WHERE conditions
-  const conditions = ['a.deleted_at IS NULL'];
-  const params = [];
-  let paramIndex = 1;
-
-  // Full-text search condition
-  conditions.push(`a.search_vector @@ plainto_tsquery('english', $${paramIndex})`);
-  params.push(searchQuery);
-  paramIndex++;
-
-  // Status filter
-  if (status) {
-    conditions.push(`a.status = $${paramIndex}`);
-    params.push(status);
-    paramIndex++;
-  }
-
-  // Category filter
-  if (category_id) {
-    conditions.push(`a.category_id = $${paramIndex}`);
-    params.push(category_id);
-    paramIndex++;
-  }
-
-  // Tag filter
-  if (tag_id) {
-    conditions.push(`EXISTS (
-      SELECT 1 FROM article_tags at 
-      WHERE at.article_id = a.id AND at.tag_id = $${paramIndex}
-    )`);
-    params.push(tag_id);
-    paramIndex++;
-  }
-
-  // Author filter
-  if (author_id) {
-    conditions.push(`a.author_id = $${paramIndex}`);
-    params.push(author_id);
-    paramIndex++;
-  }
-
-  // Source filter
-  if (source_id) {
-    conditions.push(`EXISTS (
-      SELECT 1 FROM article_sources asrc 
-      WHERE asrc.article_id = a.id AND asrc.source_id = $${paramIndex}
-    )`);
-    params.push(source_id);
-    paramIndex++;
-  }
-
-  // Date range filters
-  if (from_date) {
-    conditions.push(`a.published_at >= $${paramIndex}`);
-    params.push(from_date);
-    paramIndex++;
-  }
-
-  if (to_date) {
-    conditions.push(`a.published_at <= $${paramIndex}`);
-    params.push(to_date);
-    paramIndex++;
-  }
-
-  // Reading time filters
-  if (min_reading_time) {
-    conditions.push(`a.reading_time >= $${paramIndex}`);
-    params.push(min_reading_time);
-    paramIndex++;
-  }
-
-  if (max_reading_time) {
-    conditions.push(`a.reading_time <= $${paramIndex}`);
-    params.push(max_reading_time);
-    paramIndex++;
-  }
-
-  // Determine sort order
-  let orderByClause;
-  switch (sort) {
-    case 'date':
-      orderByClause = 'a.published_at DESC';
-      break;
-    case 'popularity':
-      orderByClause = 'a.views_count DESC, a.published_at DESC';
-      break;
-    case 'relevance':
-    default:
-      orderByClause =
-        "ts_rank(a.search_vector, plainto_tsquery('english', $1)) DESC, a.published_at DESC";
-      break;
-  }
-
-  // Main search query
-  const searchQuerySQL = `
-    SELECT 
-      a.id,
-      a.title,
-      a.slug,
-      a.summary,
-      a.featured_image,
-      a.published_at,
-      a.reading_time,
-      a.views_count,
-      a.status,
-      u.id as author_id,
-      u.username as author_username,
-      u.display_name as author_display_name,
-      ${sort === 'relevance' ? "ts_rank(a.search_vector, plainto_tsquery('english', $1)) as relevance_score," : ''}
-      ts_headline('english', a.content, plainto_tsquery('english', $1), 
-        'MaxWords=50, MinWords=20, ShortWord=3, HighlightAll=FALSE, MaxFragments=2, FragmentDelimiter=" ... "'
-      ) as excerpt,
-      COALESCE(
-        json_agg(DISTINCT jsonb_build_object(
-          'id', c.id,
-          'name', c.name,
-          'slug', c.slug
-        )) FILTER (WHERE c.id IS NOT NULL), 
-        '[]'
-      ) as categories,
-      COALESCE(
-        json_agg(DISTINCT jsonb_build_object(
-          'id', t.id,
-          'name', t.name,
-          'slug', t.slug
-        )) FILTER (WHERE t.id IS NOT NULL), 
-        '[]'
-      ) as tags
-    FROM articles a
-    INNER JOIN users u ON a.author_id = u.id
-    LEFT JOIN categories c ON a.category_id = c.id
-    LEFT JOIN article_tags at ON a.id = at.article_id
-    LEFT JOIN tags t ON at.tag_id = t.id
-    WHERE ${conditions.join(' AND ')}
-    GROUP BY a.id, u.id, u.username, u.display_name
-    ORDER BY ${orderByClause}
-    LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
-  `;
-
-  params.push(limit, offset);
-
-  // Count query
-  const countQuerySQL = `
-    SELECT COUNT(DISTINCT a.id) as total
-    FROM articles a
-    WHERE ${conditions.join(' AND ')}
-  `;
-
-  const [articlesResult, countResult] = await Promise.all([
-    query(searchQuerySQL, params),
-    query(countQuerySQL, params.slice(0, paramIndex - 1)),
-  ]);
-
-  const total = parseInt(countResult.rows[0].total);
+  const params = {
+    query: searchQuery,
+    page: parseInt(page),
+    limit: parseInt(limit),
+    status,
+    categoryId: category_id,
+    tagId: tag_id,
+    authorId: author_id,
+    sourceId: source_id,
+    fromDate: from_date,
+    toDate: to_date,
+    sort,
+    minReadingTime: min_reading_time,
+    maxReadingTime: max_reading_time,
+    facets,
+    highlight,
+  };
+  const result =
+    mode === 'semantic'
+      ? await searchService.semanticSearch(params)
+      : await searchService.search(params);
 
   res.json({
     success: true,
     data: {
       query: searchQuery,
-      articles: articlesResult.rows,
+      articles: result.articles,
+      facets: result.facets,
       filters: {
         status,
         category_id,
@@ -205,9 +77,11 @@ export const searchArticles = asyncHandler(async (req, res) => {
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit),
+        total: result.total,
+        pages: Math.ceil(result.total / limit),
       },
+      provider: result.provider,
+      mode,
     },
   });
 });
@@ -327,26 +201,25 @@ export const searchAll = asyncHandler(async (req, res) => {
   const searchQuery = q.trim();
 
   // Search articles
-  const articlesPromise = query(
-    `
-    SELECT 
-      'article' as type,
-      id,
-      title as name,
-      slug,
-      summary as description,
-      published_at,
-      ts_rank(search_vector, plainto_tsquery('english', $1)) as relevance
-    FROM articles
-    WHERE 
-      search_vector @@ plainto_tsquery('english', $1)
-      AND status = 'published'
-      AND deleted_at IS NULL
-    ORDER BY relevance DESC, published_at DESC
-    LIMIT $2
-    `,
-    [searchQuery, limit]
-  );
+  const articlesPromise = searchService
+    .search({
+      query: searchQuery,
+      limit: parseInt(limit),
+      status: 'published',
+      facets: false,
+      highlight: false,
+    })
+    .then(result => ({
+      rows: result.articles.map(article => ({
+        type: 'article',
+        id: article.id,
+        name: article.title,
+        slug: article.slug,
+        description: article.summary,
+        published_at: article.published_at,
+        relevance: article.relevance_score,
+      })),
+    }));
 
   // Search categories
   const categoriesPromise = query(
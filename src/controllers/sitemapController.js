@@ -0,0 +1,54 @@
+/**
+ * Sitemap Controller
+ * Public sitemap index, article sitemaps and Google News sitemap
+ */
+
+import config from '../config/index.js';
+import { ApiError, asyncHandler } from '../middleware/errorHandler.js';
+import sitemapService from '../services/syndication/sitemapService.js';
+
+/**
+ * Send a sitemap with caching headers
+ * Sitemaps are dropped from the server cache whenever an article changes, so
+ * clients keep them only briefly and revalidate with the ETag.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} name - 'index', 'news' or 'articles-N'
+ */
+const sendSitemap = async (req, res, name) => {
+  const sitemap = await sitemapService.getSitemap(name);
+
+  if (!sitemap) {
+    throw new ApiError(404, 'Sitemap not found');
+  }
+
+  res.set({
+    'Content-Type': sitemap.contentType,
+    'Cache-Control': `public, max-age=${config.sitemap.newsCacheTTL}`,
+    ETag: sitemap.etag,
+    'Last-Modified': sitemap.lastModified,
+  });
+
+  if (req.fresh) {
+    res.status(304).end();
+    return;
+  }
+
+  res.send(sitemap.body);
+};
+
+/**
+ * Sitemap index
+ * GET /sitemap.xml
+ */
+export const getSitemapIndex = asyncHandler(async (req, res) => {
+  await sendSitemap(req, res, 'index');
+});
+
+/**
+ * Article or news sitemap
+ * GET /sitemaps/articles-:page.xml, /sitemaps/news.xml
+ */
+export const getSitemap = asyncHandler(async (req, res) => {
+  await sendSitemap(req, res, req.params.file.replace(/\.xml$/, ''));
+});
@@ -0,0 +1,127 @@
+/**
+ * Stories Controller
+ * Stories group coverage of the same event across sources
+ */
+
+import { ApiError, asyncHandler } from '../middleware/errorHandler.js';
+import storyService from '../services/analytics/storyService.js';
+
+/**
+ * Load a story or fail with 404
+ * @param {string} id - Story ID
+ * @returns {Promise<Object>} Story row
+ */
+const loadStory = async id => {
+  const story = await storyService.getStory(id);
+
+  if (!story) {
+    throw new ApiError(404, 'Story not found');
+  }
+
+  return story;
+};
+
+/**
+ * List stories
+ * GET /api/v1/stories
+ */
+export const getStories = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, search, minSources, sortBy, order } = req.query;
+
+  const { stories, total } = await storyService.listStories({
+    status,
+    search,
+    minSources,
+    sortBy,
+    order,
+    page,
+    limit,
+  });
+
+  res.json({
+    success: true,
+    data: stories,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  });
+});
+
+/**
+ * Get a story with its articles
+ * GET /api/v1/stories/:id
+ */
+export const getStory = asyncHandler(async (req, res) => {
+  const story = await loadStory(req.params.id);
+  const articles = await storyService.getArticles(story.id);
+
+  res.json({
+    success: true,
+    data: { ...story, articles },
+  });
+});
+
+/**
+ * Get a story's timeline
+ * GET /api/v1/stories/:id/timeline
+ */
+export const getTimeline = asyncHandler(async (req, res) => {
+  const story = await loadStory(req.params.id);
+  const timeline = await storyService.getTimeline(story.id);
+
+  res.json({
+    success: true,
+    data: timeline,
+  });
+});
+
+/**
+ * Edit a story's title, summary or status
+ * PUT /api/v1/stories/:id
+ */
+export const updateStory = asyncHandler(async (req, res) => {
+  const story = await loadStory(req.params.id);
+  const { title, summary, status } = req.body;
+
+  const updated = await storyService.updateStory(story, { title, summary, status }, req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Story updated successfully',
+    data: updated,
+  });
+});
+
+/**
+ * Have the Writer agent synthesize a draft article from the story's coverage
+ * The draft is linked from the story (synthesized_article_id) and its timeline when ready.
+ * POST /api/v1/stories/:id/synthesize
+ */
+export const synthesizeStory = asyncHandler(async (req, res) => {
+  const story = await loadStory(req.params.id);
+  const { style, length } = req.body;
+
+  if (story.article_count === 0) {
+    throw new ApiError(400, 'Story has no articles to synthesize');
+  }
+
+  // Writing takes a while; the outcome is recorded in the story timeline
+  storyService.synthesize(story, { authorId: req.user.id, style, length });
+
+  res.status(202).json({
+    success: true,
+    message: 'Synthesis started; the draft article is linked from the story when it completes',
+    data: { storyId: story.id },
+  });
+});
+
+export default {
+  getStories,
+  getStory,
+  getTimeline,
+  updateStory,
+  synthesizeStory,
+};
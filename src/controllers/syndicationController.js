@@ -0,0 +1,70 @@
+/**
+ * Syndication Controller
+ * Public RSS, Atom and JSON feeds of published articles
+ */
+
+import config from '../config/index.js';
+import { ApiError, asyncHandler } from '../middleware/errorHandler.js';
+import syndicationService from '../services/syndication/syndicationService.js';
+import { FORMATS } from '../services/syndication/feedRenderers.js';
+
+// Route file name -> format (rss.xml -> rss, ...)
+const FILE_FORMATS = Object.fromEntries(
+  Object.entries(FORMATS).map(([format, { file }]) => [file, format])
+);
+
+/**
+ * Send a feed with caching headers and WebSub discovery links
+ * Answers 304 when the client's If-None-Match / If-Modified-Since is still fresh.
+ * @param {Object} req - Express request (params.file is the feed file name)
+ * @param {Object} res - Express response
+ * @param {Object} [scope] - { type: 'category'|'tag', slug }
+ */
+const sendFeed = async (req, res, scope = null) => {
+  const feed = await syndicationService.getFeed(FILE_FORMATS[req.params.file], scope);
+
+  if (!feed) {
+    throw new ApiError(404, scope.type === 'category' ? 'Category not found' : 'Tag not found');
+  }
+
+  const links = [`<${feed.selfUrl}>; rel="self"`, ...feed.hubs.map(hub => `<${hub}>; rel="hub"`)];
+
+  res.set({
+    'Content-Type': feed.contentType,
+    'Cache-Control': `public, max-age=${config.syndication.cacheTTL}`,
+    ETag: feed.etag,
+    'Last-Modified': feed.lastModified,
+    Link: links.join(', '),
+  });
+
+  if (req.fresh) {
+    res.status(304).end();
+    return;
+  }
+
+  res.send(feed.body);
+};
+
+/**
+ * Site-wide feed
+ * GET /feeds/rss.xml, /feeds/atom.xml, /feeds/feed.json
+ */
+export const getFeed = asyncHandler(async (req, res) => {
+  await sendFeed(req, res);
+});
+
+/**
+ * Category feed
+ * GET /feeds/category/:slug/(rss.xml|atom.xml|feed.json)
+ */
+export const getCategoryFeed = asyncHandler(async (req, res) => {
+  await sendFeed(req, res, { type: 'category', slug: req.params.slug });
+});
+
+/**
+ * Tag feed
+ * GET /feeds/tag/:slug/(rss.xml|atom.xml|feed.json)
+ */
+export const getTagFeed = asyncHandler(async (req, res) => {
+  await sendFeed(req, res, { type: 'tag', slug: req.params.slug });
+});
@@ -91,9 +91,10 @@ export async function findAll(table, options = {}) {
  * Generic insert
  * @param {string} table - Table name
  * @param {Object} data - Data to insert
+ * @param {Object} [client] - Transaction client
  * @returns {Promise<Object>} Inserted record
  */
-export async function insert(table, data) {
+export async function insert(table, data, client = null) {
   validateTableName(table);
   const keys = Object.keys(data);
   const values = Object.values(data);
@@ -105,7 +106,7 @@ export async function insert(table, data) {
     RETURNING *
   `;
 
-  const result = await poolQuery(queryText, values);
+  const result = await (client ? client.query(queryText, values) : poolQuery(queryText, values));
   return result.rows[0];
 }
 
@@ -114,9 +115,10 @@ export async function insert(table, data) {
  * @param {string} table - Table name
  * @param {string} id - Record ID
  * @param {Object} data - Data to update
+ * @param {Object} [client] - Transaction client
  * @returns {Promise<Object>} Updated record
  */
-export async function update(table, id, data) {
+export async function update(table, id, data, client = null) {
   validateTableName(table);
   const keys = Object.keys(data);
   const values = Object.values(data);
@@ -129,7 +131,8 @@ export async function update(table, id, data) {
     RETURNING *
   `;
 
-  const result = await poolQuery(queryText, [id, ...values]);
+  const params = [id, ...values];
+  const result = await (client ? client.query(queryText, params) : poolQuery(queryText, params));
   return result.rows[0];
 }
 
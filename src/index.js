@@ -14,7 +14,9 @@ import {
 import { metricsMiddleware, metricsEndpoint } from './middleware/metrics.js';
 import redisCache from './services/cache/redisCache.js';
 import jobScheduler from './services/jobs/jobScheduler.js';
+import credibilityService from './services/analytics/credibilityService.js';
 import mcpClient from './services/mcp/mcpClient.js';
+import eventStream from './services/events/eventStream.js';
 
 // Import routes
 import authRoutes from './routes/authRoutes.js';
@@ -23,6 +25,17 @@ import categoriesRoutes from './routes/categoriesRoutes.js';
 import tagsRoutes from './routes/tagsRoutes.js';
 import searchRoutes from './routes/searchRoutes.js';
 import newsRoutes from './routes/newsRoutes.js';
+import editorialRoutes from './routes/editorialRoutes.js';
+import credibilityRoutes from './routes/credibilityRoutes.js';
+import storiesRoutes from './routes/storiesRoutes.js';
+import queueRoutes from './routes/queueRoutes.js';
+import eventsRoutes from './routes/eventsRoutes.js';
+import draftsRoutes from './routes/draftsRoutes.js';
+import syndicationRoutes from './routes/syndicationRoutes.js';
+import sitemapRoutes from './routes/sitemapRoutes.js';
+import feedsRoutes from './routes/feedsRoutes.js';
+import aiUsageRoutes from './routes/aiUsageRoutes.js';
+import promptsRoutes from './routes/promptsRoutes.js';
 
 const app = express();
 
@@ -95,9 +108,14 @@ app.get(`/api/${config.app.apiVersion}`, (req, res) => {
       articles: {
         list: `GET /api/${config.app.apiVersion}/articles`,
         get: `GET /api/${config.app.apiVersion}/articles/:id`,
+        related: `GET /api/${config.app.apiVersion}/articles/:id/related`,
         create: `POST /api/${config.app.apiVersion}/articles`,
         update: `PUT /api/${config.app.apiVersion}/articles/:id`,
         delete: `DELETE /api/${config.app.apiVersion}/articles/:id`,
+        revisions: `GET /api/${config.app.apiVersion}/articles/:id/revisions`,
+        revision: `GET /api/${config.app.apiVersion}/articles/:id/revisions/:revision`,
+        diff: `GET /api/${config.app.apiVersion}/articles/:id/revisions/diff?from=&to=`,
+        rollback: `POST /api/${config.app.apiVersion}/articles/:id/revisions/:revision/rollback`,
       },
       categories: {
         list: `GET /api/${config.app.apiVersion}/categories`,
@@ -116,7 +134,7 @@ app.get(`/api/${config.app.apiVersion}`, (req, res) => {
         delete: `DELETE /api/${config.app.apiVersion}/tags/:id`,
       },
       search: {
-        articles: `GET /api/${config.app.apiVersion}/search`,
+        articles: `GET /api/${config.app.apiVersion}/search?mode=keyword|semantic`,
         suggestions: `GET /api/${config.app.apiVersion}/search/suggestions`,
         trending: `GET /api/${config.app.apiVersion}/search/trending`,
         all: `GET /api/${config.app.apiVersion}/search/all`,
@@ -135,6 +153,84 @@ app.get(`/api/${config.app.apiVersion}`, (req, res) => {
         categorize: `POST /api/${config.app.apiVersion}/news/categorize`,
         tags: `POST /api/${config.app.apiVersion}/news/tags`,
       },
+      editorial: {
+        queue: `GET /api/${config.app.apiVersion}/editorial/queue`,
+        review: `GET /api/${config.app.apiVersion}/editorial/articles/:id`,
+        history: `GET /api/${config.app.apiVersion}/editorial/articles/:id/history`,
+        submit: `POST /api/${config.app.apiVersion}/editorial/articles/:id/submit`,
+        score: `POST /api/${config.app.apiVersion}/editorial/articles/:id/score`,
+        approve: `POST /api/${config.app.apiVersion}/editorial/articles/:id/approve`,
+        reject: `POST /api/${config.app.apiVersion}/editorial/articles/:id/reject`,
+        rewrite: `POST /api/${config.app.apiVersion}/editorial/articles/:id/rewrite`,
+        internalLinks: `GET /api/${config.app.apiVersion}/editorial/articles/:id/internal-links`,
+        insertInternalLinks: `POST /api/${config.app.apiVersion}/editorial/articles/:id/internal-links`,
+      },
+      credibility: {
+        sources: `GET /api/${config.app.apiVersion}/admin/credibility/sources`,
+        source: `GET /api/${config.app.apiVersion}/admin/credibility/sources/:domain`,
+        recomputeSource: `POST /api/${config.app.apiVersion}/admin/credibility/sources/:domain/recompute`,
+        setOverride: `PUT /api/${config.app.apiVersion}/admin/credibility/sources/:domain/override`,
+        clearOverride: `DELETE /api/${config.app.apiVersion}/admin/credibility/sources/:domain/override`,
+        recompute: `POST /api/${config.app.apiVersion}/admin/credibility/recompute`,
+        blocklist: `GET /api/${config.app.apiVersion}/admin/credibility/blocklist`,
+        block: `POST /api/${config.app.apiVersion}/admin/credibility/blocklist`,
+        unblock: `DELETE /api/${config.app.apiVersion}/admin/credibility/blocklist/:domain`,
+      },
+      stories: {
+        list: `GET /api/${config.app.apiVersion}/stories`,
+        get: `GET /api/${config.app.apiVersion}/stories/:id`,
+        timeline: `GET /api/${config.app.apiVersion}/stories/:id/timeline`,
+        update: `PUT /api/${config.app.apiVersion}/stories/:id`,
+        synthesize: `POST /api/${config.app.apiVersion}/stories/:id/synthesize`,
+      },
+      drafts: {
+        write: `POST /api/${config.app.apiVersion}/drafts/stream (SSE)`,
+        expand: `POST /api/${config.app.apiVersion}/drafts/:id/expand/stream (SSE)`,
+      },
+      queues: {
+        overview: `GET /api/${config.app.apiVersion}/admin/queues`,
+        failed: `GET /api/${config.app.apiVersion}/admin/queues/failed`,
+        deadLetter: `GET /api/${config.app.apiVersion}/admin/queues/dead-letter`,
+        job: `GET /api/${config.app.apiVersion}/admin/queues/jobs/:jobId`,
+        retry: `POST /api/${config.app.apiVersion}/admin/queues/failed/retry`,
+        discard: `POST /api/${config.app.apiVersion}/admin/queues/failed/discard`,
+        moveToDeadLetter: `POST /api/${config.app.apiVersion}/admin/queues/failed/dead-letter`,
+        replay: `POST /api/${config.app.apiVersion}/admin/queues/dead-letter/replay`,
+        discardDeadLetter: `POST /api/${config.app.apiVersion}/admin/queues/dead-letter/discard`,
+      },
+      feeds: {
+        list: `GET /api/${config.app.apiVersion}/admin/feeds`,
+        get: `GET /api/${config.app.apiVersion}/admin/feeds/:id`,
+        create: `POST /api/${config.app.apiVersion}/admin/feeds`,
+        update: `PUT /api/${config.app.apiVersion}/admin/feeds/:id`,
+        delete: `DELETE /api/${config.app.apiVersion}/admin/feeds/:id`,
+        poll: `POST /api/${config.app.apiVersion}/admin/feeds/:id/poll`,
+      },
+      aiUsage: {
+        usage: `GET /api/${config.app.apiVersion}/admin/ai-usage?groupBy=agent|provider|model|article|workflow|day`,
+        budgets: `GET /api/${config.app.apiVersion}/admin/ai-usage/budgets`,
+      },
+      prompts: {
+        list: `GET /api/${config.app.apiVersion}/admin/prompts`,
+        get: `GET /api/${config.app.apiVersion}/admin/prompts/:name`,
+      },
+      events: {
+        stream: `GET /api/${config.app.apiVersion}/events?channels=news,agents`,
+        channels: `GET /api/${config.app.apiVersion}/events/channels`,
+        stats: `GET /api/${config.app.apiVersion}/events/stats`,
+      },
+      syndication: {
+        rss: 'GET /feeds/rss.xml',
+        atom: 'GET /feeds/atom.xml',
+        json: 'GET /feeds/feed.json',
+        category: 'GET /feeds/category/:slug/(rss.xml|atom.xml|feed.json)',
+        tag: 'GET /feeds/tag/:slug/(rss.xml|atom.xml|feed.json)',
+      },
+      sitemaps: {
+        index: 'GET /sitemap.xml',
+        articles: 'GET /sitemaps/articles-:page.xml',
+        news: 'GET /sitemaps/news.xml',
+      },
     },
   });
 });
@@ -146,6 +242,21 @@ app.use(`/api/${config.app.apiVersion}/categories`, categoriesRoutes);
 app.use(`/api/${config.app.apiVersion}/tags`, tagsRoutes);
 app.use(`/api/${config.app.apiVersion}/search`, searchRoutes);
 app.use(`/api/${config.app.apiVersion}/news`, newsRoutes);
+app.use(`/api/${config.app.apiVersion}/editorial`, editorialRoutes);
+app.use(`/api/${config.app.apiVersion}/admin/credibility`, credibilityRoutes);
+app.use(`/api/${config.app.apiVersion}/stories`, storiesRoutes);
+app.use(`/api/${config.app.apiVersion}/drafts`, draftsRoutes);
+app.use(`/api/${config.app.apiVersion}/admin/queues`, queueRoutes);
+app.use(`/api/${config.app.apiVersion}/admin/feeds`, feedsRoutes);
+app.use(`/api/${config.app.apiVersion}/admin/ai-usage`, aiUsageRoutes);
+app.use(`/api/${config.app.apiVersion}/admin/prompts`, promptsRoutes);
+app.use(`/api/${config.app.apiVersion}/events`, eventsRoutes);
+
+// Public syndication feeds
+app.use('/feeds', syndicationRoutes);
+
+// Public sitemaps
+app.use('/', sitemapRoutes);
 
 // 404 handler
 app.use(notFound);
@@ -168,6 +279,9 @@ await mcpClient.connect().catch(error => {
   console.log('⚠️  Server will continue without MCP capabilities');
 });
 
+// Load the persisted source blocklist and credibility overrides before the first crawl
+await credibilityService.initialize();
+
 // Start job scheduler
 jobScheduler.start();
 
@@ -222,6 +336,7 @@ process.on('SIGTERM', async () => {
     console.log('✅ HTTP server closed');
   });
   jobScheduler.stop();
+  eventStream.closeAll();
   await mcpClient.disconnect();
   await redisCache.disconnect();
   process.exit(0);
@@ -233,6 +348,7 @@ process.on('SIGINT', async () => {
     console.log('✅ HTTP server closed');
   });
   jobScheduler.stop();
+  eventStream.closeAll();
   await mcpClient.disconnect();
   await redisCache.disconnect();
   process.exit(0);
@@ -7,6 +7,7 @@ import jwt from 'jsonwebtoken';
 import { ApiError } from './errorHandler.js';
 import config from '../config/index.js';
 import { findById } from '../database/queries.js';
+import eventStream from '../services/events/eventStream.js';
 
 /**
  * Verify JWT access token
@@ -57,6 +58,55 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate event streams
+ * Browser EventSource cannot set headers, so clients may pass a single-use
+ * ?ticket= from POST /events/ticket instead (the Authorization header takes
+ * precedence). Access tokens are never accepted in the URL, where they would
+ * end up in request logs.
+ */
+export const authenticateStream = async (req, res, next) => {
+  const { ticket } = req.query;
+  delete req.query.ticket;
+
+  if (req.headers.authorization) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    if (typeof ticket !== 'string' || !ticket) {
+      throw new ApiError(401, 'Access token or stream ticket is required');
+    }
+
+    const userId = eventStream.redeemTicket(ticket);
+    if (!userId) {
+      throw new ApiError(401, 'Invalid or expired stream ticket');
+    }
+
+    const user = await findById('users', userId);
+
+    if (!user) {
+      throw new ApiError(401, 'User not found');
+    }
+
+    if (!user.is_active) {
+      throw new ApiError(401, 'Account is deactivated');
+    }
+
+    req.user = {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      firstName: user.first_name,
+      lastName: user.last_name,
+    };
+
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
 /**
  * Check if user has required role
  */
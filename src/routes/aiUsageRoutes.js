@@ -0,0 +1,54 @@
+/**
+ * AI Usage Routes
+ * Admin endpoints for AI token usage, cost and budgets
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import * as aiUsageController from '../controllers/aiUsageController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import { apiLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+/**
+ * Validation schemas
+ */
+const usageSchema = Joi.object({
+  query: Joi.object({
+    groupBy: Joi.string()
+      .valid('agent', 'provider', 'model', 'article', 'workflow', 'day')
+      .default('agent'),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().greater(Joi.ref('from')).optional(),
+    agent: Joi.string().max(100).optional(),
+    articleId: Joi.string().uuid().optional(),
+    workflowRunId: Joi.string().uuid().optional(),
+  }),
+});
+
+/**
+ * Routes
+ */
+
+// GET /api/v1/admin/ai-usage - Usage and cost (group by agent, provider, model, article, workflow, day)
+router.get(
+  '/',
+  apiLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(usageSchema),
+  aiUsageController.getUsage
+);
+
+// GET /api/v1/admin/ai-usage/budgets - Spend against daily and monthly budgets
+router.get(
+  '/budgets',
+  apiLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  aiUsageController.getBudgets
+);
+
+export default router;
@@ -6,6 +6,7 @@
 import express from 'express';
 import Joi from 'joi';
 import * as articlesController from '../controllers/articlesController.js';
+import * as revisionsController from '../controllers/revisionsController.js';
 import { authenticate, authorize, optionalAuth } from '../middleware/auth.js';
 import { validate, schemas } from '../middleware/validation.js';
 import { apiLimiter, createLimiter } from '../middleware/rateLimiter.js';
@@ -79,6 +80,46 @@ const articleIdSchema = Joi.object({
   }),
 });
 
+const relatedArticlesSchema = Joi.object({
+  params: articleIdSchema.extract('params'),
+  query: Joi.object({
+    limit: Joi.number().integer().min(1).max(20).default(5),
+  }),
+});
+
+const getRevisionsSchema = Joi.object({
+  params: schemas.id,
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+});
+
+const revisionSchema = Joi.object({
+  params: Joi.object({
+    id: Joi.string().uuid().required(),
+    revision: Joi.number().integer().min(1).required(),
+  }),
+});
+
+const diffRevisionsSchema = Joi.object({
+  params: schemas.id,
+  query: Joi.object({
+    from: Joi.number().integer().min(1).required(),
+    to: Joi.number().integer().min(1).required(),
+  }),
+});
+
+const rollbackSchema = Joi.object({
+  params: Joi.object({
+    id: Joi.string().uuid().required(),
+    revision: Joi.number().integer().min(1).required(),
+  }),
+  body: Joi.object({
+    reason: Joi.string().max(1000).optional(),
+  }),
+});
+
 /**
  * Routes
  */
@@ -101,6 +142,15 @@ router.get(
   articlesController.getArticle
 );
 
+// GET /api/v1/articles/:id/related - Related published articles (public with optional auth)
+router.get(
+  '/:id/related',
+  apiLimiter,
+  optionalAuth,
+  validate(relatedArticlesSchema),
+  articlesController.getRelatedArticles
+);
+
 // POST /api/v1/articles - Create article (requires authentication)
 router.post(
   '/',
@@ -128,4 +178,40 @@ router.delete(
   articlesController.deleteArticle
 );
 
+// GET /api/v1/articles/:id/revisions - List revisions (author or admin)
+router.get(
+  '/:id/revisions',
+  apiLimiter,
+  authenticate,
+  validate(getRevisionsSchema),
+  revisionsController.getRevisions
+);
+
+// GET /api/v1/articles/:id/revisions/diff - Word-level diff between two revisions
+router.get(
+  '/:id/revisions/diff',
+  apiLimiter,
+  authenticate,
+  validate(diffRevisionsSchema),
+  revisionsController.diffRevisions
+);
+
+// GET /api/v1/articles/:id/revisions/:revision - Get a single revision
+router.get(
+  '/:id/revisions/:revision',
+  apiLimiter,
+  authenticate,
+  validate(revisionSchema),
+  revisionsController.getRevision
+);
+
+// POST /api/v1/articles/:id/revisions/:revision/rollback - Restore a previous revision
+router.post(
+  '/:id/revisions/:revision/rollback',
+  createLimiter,
+  authenticate,
+  validate(rollbackSchema),
+  revisionsController.rollbackRevision
+);
+
 export default router;
@@ -0,0 +1,146 @@
+/**
+ * Credibility Routes
+ * Admin endpoints for source credibility, tier overrides and the blocklist
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import * as credibilityController from '../controllers/credibilityController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import { apiLimiter, createLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+/**
+ * Validation schemas
+ */
+const domain = Joi.string().hostname().lowercase();
+
+const getSourcesSchema = Joi.object({
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    tier: Joi.string().valid('1', '2', '3', 'unknown', 'blocked').optional(),
+    search: Joi.string().max(255).optional(),
+    overridden: Joi.boolean().optional(),
+  }),
+});
+
+const domainSchema = Joi.object({
+  params: Joi.object({
+    domain: domain.required(),
+  }),
+});
+
+const overrideSchema = Joi.object({
+  params: Joi.object({
+    domain: domain.required(),
+  }),
+  body: Joi.object({
+    tier: Joi.string().valid('1', '2', '3', 'unknown', 'blocked').optional(),
+    score: Joi.number().min(0).max(1).precision(2).optional(),
+    reason: Joi.string().min(1).max(1000).required(),
+  }).or('tier', 'score'),
+});
+
+const blockSchema = Joi.object({
+  body: Joi.object({
+    domain: domain.required(),
+    reason: Joi.string().max(1000).optional(),
+  }),
+});
+
+/**
+ * Routes
+ */
+
+// GET /api/v1/admin/credibility/sources - List source evaluations
+router.get(
+  '/sources',
+  apiLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(getSourcesSchema),
+  credibilityController.getSources
+);
+
+// GET /api/v1/admin/credibility/sources/:domain - Domain details and quality signals
+router.get(
+  '/sources/:domain',
+  apiLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(domainSchema),
+  credibilityController.getSource
+);
+
+// POST /api/v1/admin/credibility/sources/:domain/recompute - Re-evaluate one domain
+router.post(
+  '/sources/:domain/recompute',
+  createLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(domainSchema),
+  credibilityController.recomputeSource
+);
+
+// PUT /api/v1/admin/credibility/sources/:domain/override - Override tier and/or score
+router.put(
+  '/sources/:domain/override',
+  createLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(overrideSchema),
+  credibilityController.setOverride
+);
+
+// DELETE /api/v1/admin/credibility/sources/:domain/override - Remove override
+router.delete(
+  '/sources/:domain/override',
+  apiLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(domainSchema),
+  credibilityController.clearOverride
+);
+
+// POST /api/v1/admin/credibility/recompute - Recompute all domains in the background
+router.post(
+  '/recompute',
+  createLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  credibilityController.recomputeAll
+);
+
+// GET /api/v1/admin/credibility/blocklist - List blocked domains
+router.get(
+  '/blocklist',
+  apiLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  credibilityController.getBlocklist
+);
+
+// POST /api/v1/admin/credibility/blocklist - Block a domain
+router.post(
+  '/blocklist',
+  createLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(blockSchema),
+  credibilityController.addToBlocklist
+);
+
+// DELETE /api/v1/admin/credibility/blocklist/:domain - Unblock a domain
+router.delete(
+  '/blocklist/:domain',
+  apiLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(domainSchema),
+  credibilityController.removeFromBlocklist
+);
+
+export default router;
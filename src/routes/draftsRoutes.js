@@ -0,0 +1,75 @@
+/**
+ * Drafts Routes
+ * Writer agent drafts streamed as they are generated (Server-Sent Events)
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import * as draftsController from '../controllers/draftsController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { createLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+/**
+ * Validation schemas
+ */
+const style = Joi.string()
+  .valid('professional', 'casual', 'technical', 'editorial', 'narrative')
+  .optional();
+const length = Joi.string().valid('short', 'medium', 'long').optional();
+
+const writeDraftSchema = Joi.object({
+  body: Joi.object({
+    topic: Joi.string().min(3).max(500).required(),
+    sources: Joi.array()
+      .items(
+        Joi.object({
+          title: Joi.string().max(500).required(),
+          content: Joi.string().max(20000).allow('').optional(),
+        })
+      )
+      .max(20)
+      .default([]),
+    keywords: Joi.array().items(Joi.string().max(100)).max(20).default([]),
+    style,
+    length,
+    targetAudience: Joi.string().max(100).optional(),
+    categoryId: Joi.string().uuid().optional(),
+  }),
+});
+
+const expandDraftSchema = Joi.object({
+  params: schemas.id,
+  body: Joi.object({
+    expansionTopic: Joi.string().min(3).max(500).required(),
+    length,
+  }),
+});
+
+/**
+ * Routes
+ */
+
+// POST /api/v1/drafts/stream - Writer drafts a new article, streaming its text (editors only)
+router.post(
+  '/stream',
+  createLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(writeDraftSchema),
+  draftsController.streamNewDraft
+);
+
+// POST /api/v1/drafts/:id/expand/stream - Writer expands a draft, streaming its reply (editors only)
+router.post(
+  '/:id/expand/stream',
+  createLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(expandDraftSchema),
+  draftsController.streamExpandDraft
+);
+
+export default router;
@@ -0,0 +1,182 @@
+/**
+ * Editorial Routes
+ * Review queue for articles awaiting human approval
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import * as editorialController from '../controllers/editorialController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { apiLimiter, createLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+/**
+ * Validation schemas
+ */
+const getQueueSchema = Joi.object({
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    category: Joi.string().uuid().optional(),
+    minQualityScore: Joi.number().min(0).max(1).optional(),
+    sortBy: Joi.string()
+      .valid('submitted_at', 'quality_score', 'seo_score', 'created_at')
+      .default('submitted_at'),
+    order: Joi.string().valid('asc', 'desc', 'ASC', 'DESC').default('asc'),
+  }),
+});
+
+const articleIdSchema = Joi.object({
+  params: schemas.id,
+});
+
+const commentSchema = Joi.object({
+  params: schemas.id,
+  body: Joi.object({
+    comment: Joi.string().max(5000).optional(),
+  }),
+});
+
+const approveSchema = Joi.object({
+  params: schemas.id,
+  body: Joi.object({
+    comment: Joi.string().max(5000).optional(),
+    publish: Joi.boolean().default(false),
+  }),
+});
+
+const rejectSchema = Joi.object({
+  params: schemas.id,
+  body: Joi.object({
+    comment: Joi.string().min(1).max(5000).required(),
+  }),
+});
+
+const rewriteSchema = Joi.object({
+  params: schemas.id,
+  body: Joi.object({
+    notes: Joi.string().min(1).max(5000).required(),
+    style: Joi.string()
+      .valid('professional', 'casual', 'technical', 'editorial', 'narrative')
+      .optional(),
+  }),
+});
+
+const internalLinksSchema = Joi.object({
+  params: schemas.id,
+  query: Joi.object({
+    limit: Joi.number().integer().min(1).max(50).default(10),
+  }),
+});
+
+const insertLinksSchema = Joi.object({
+  params: schemas.id,
+  body: Joi.object({
+    articleIds: Joi.array().items(Joi.string().uuid()).min(1).max(50).optional(),
+    maxLinks: Joi.number().integer().min(1).max(20).default(3),
+  }),
+});
+
+/**
+ * Routes
+ */
+
+// GET /api/v1/editorial/queue - Articles awaiting review (editors only)
+router.get(
+  '/queue',
+  apiLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(getQueueSchema),
+  editorialController.getQueue
+);
+
+// GET /api/v1/editorial/articles/:id - Article review details (editors and the author)
+router.get(
+  '/articles/:id',
+  apiLimiter,
+  authenticate,
+  validate(articleIdSchema),
+  editorialController.getReview
+);
+
+// GET /api/v1/editorial/articles/:id/history - Status audit trail (editors and the author)
+router.get(
+  '/articles/:id/history',
+  apiLimiter,
+  authenticate,
+  validate(articleIdSchema),
+  editorialController.getHistory
+);
+
+// POST /api/v1/editorial/articles/:id/submit - Submit a draft for review (editors and the author)
+router.post(
+  '/articles/:id/submit',
+  createLimiter,
+  authenticate,
+  validate(commentSchema),
+  editorialController.submitForReview
+);
+
+// POST /api/v1/editorial/articles/:id/score - Run QualityControl and SEO scoring (editors only)
+router.post(
+  '/articles/:id/score',
+  createLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(articleIdSchema),
+  editorialController.scoreArticle
+);
+
+// POST /api/v1/editorial/articles/:id/approve - Approve (and optionally publish) an article
+router.post(
+  '/articles/:id/approve',
+  createLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(approveSchema),
+  editorialController.approveArticle
+);
+
+// POST /api/v1/editorial/articles/:id/reject - Reject an article back to draft
+router.post(
+  '/articles/:id/reject',
+  createLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(rejectSchema),
+  editorialController.rejectArticle
+);
+
+// POST /api/v1/editorial/articles/:id/rewrite - Request a Writer rewrite with reviewer notes
+router.post(
+  '/articles/:id/rewrite',
+  createLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(rewriteSchema),
+  editorialController.requestRewrite
+);
+
+// GET /api/v1/editorial/articles/:id/internal-links - Suggested links to related articles
+router.get(
+  '/articles/:id/internal-links',
+  apiLimiter,
+  authenticate,
+  validate(internalLinksSchema),
+  editorialController.getInternalLinks
+);
+
+// POST /api/v1/editorial/articles/:id/internal-links - Insert links to related articles
+router.post(
+  '/articles/:id/internal-links',
+  createLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(insertLinksSchema),
+  editorialController.insertInternalLinks
+);
+
+export default router;
@@ -0,0 +1,69 @@
+/**
+ * Events Routes
+ * Real-time event stream (Server-Sent Events) with channel subscriptions
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import * as eventsController from '../controllers/eventsController.js';
+import { authenticate, authenticateStream, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import { apiLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+/**
+ * Validation schemas
+ */
+const streamSchema = Joi.object({
+  query: Joi.object({
+    // Comma-separated channel list, e.g. news:technology,agents
+    channels: Joi.array().items(Joi.string().max(100)).min(1).max(20).single().default(['news']),
+    lastEventId: Joi.string().max(50).optional(),
+  }),
+});
+
+/**
+ * Split comma-separated channels before validation
+ */
+const parseChannels = (req, res, next) => {
+  if (typeof req.query.channels === 'string') {
+    req.query.channels = req.query.channels
+      .split(',')
+      .map(channel => channel.trim())
+      .filter(Boolean);
+  }
+  next();
+};
+
+/**
+ * Routes
+ */
+
+// GET /api/v1/events - Event stream (text/event-stream); supports Last-Event-ID replay
+// Authenticates with the Authorization header or a ?ticket= from POST /events/ticket
+router.get(
+  '/',
+  apiLimiter,
+  authenticateStream,
+  parseChannels,
+  validate(streamSchema),
+  eventsController.streamEvents
+);
+
+// POST /api/v1/events/ticket - Single-use ticket for opening a stream with EventSource
+router.post('/ticket', apiLimiter, authenticate, eventsController.createTicket);
+
+// GET /api/v1/events/channels - Channels the current user can subscribe to
+router.get('/channels', apiLimiter, authenticate, eventsController.getChannels);
+
+// GET /api/v1/events/stats - Subscribers and buffered events (admin only)
+router.get(
+  '/stats',
+  apiLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  eventsController.getStats
+);
+
+export default router;
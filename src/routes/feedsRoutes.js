@@ -0,0 +1,148 @@
+/**
+ * Feeds Routes
+ * Admin endpoints for feeds (RSS, Atom, JSON Feed, news sitemaps): CRUD,
+ * enable/disable and on-demand polls
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import * as feedsController from '../controllers/feedsController.js';
+import { FEED_FORMATS } from '../services/news/rssService.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { apiLimiter, createLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+/**
+ * Validation schemas
+ */
+const feedUrl = Joi.string()
+  .uri({ scheme: ['http', 'https'] })
+  .max(2000);
+const format = Joi.string().valid(...FEED_FORMATS);
+const category = Joi.string()
+  .lowercase()
+  .pattern(/^[a-z0-9-]+$/)
+  .max(100);
+const pollInterval = Joi.number().integer().min(300).max(604800); // 5 minutes to 1 week
+
+const getFeedsSchema = Joi.object({
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    category: category.optional(),
+    status: Joi.string().valid('active', 'disabled', 'failing').optional(),
+    search: Joi.string().max(255).optional(),
+    sortBy: Joi.string()
+      .valid(
+        'name',
+        'last_crawled',
+        'consecutive_failures',
+        'success_rate',
+        'next_poll_at',
+        'created_at'
+      )
+      .default('name'),
+    order: Joi.string().valid('asc', 'desc', 'ASC', 'DESC').default('asc'),
+  }),
+});
+
+const feedIdSchema = Joi.object({
+  params: schemas.id,
+});
+
+const createFeedSchema = Joi.object({
+  body: Joi.object({
+    name: Joi.string().min(1).max(255).required(),
+    feedUrl: feedUrl.required(),
+    format: format.optional(),
+    url: feedUrl.optional(),
+    category: category.optional(),
+    pollInterval: pollInterval.optional(),
+    adaptivePolling: Joi.boolean().optional(),
+    credibility: Joi.number().min(0).max(1).precision(2).optional(),
+    isActive: Joi.boolean().optional(),
+  }),
+});
+
+const updateFeedSchema = Joi.object({
+  params: schemas.id,
+  body: Joi.object({
+    name: Joi.string().min(1).max(255).optional(),
+    feedUrl: feedUrl.optional(),
+    format: format.optional(),
+    url: feedUrl.optional(),
+    category: category.optional(),
+    pollInterval: pollInterval.optional(),
+    adaptivePolling: Joi.boolean().optional(),
+    credibility: Joi.number().min(0).max(1).precision(2).optional(),
+    isActive: Joi.boolean().optional(),
+  }).min(1),
+});
+
+/**
+ * Routes
+ */
+
+// GET /api/v1/admin/feeds - List feeds with crawl health
+router.get(
+  '/',
+  apiLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(getFeedsSchema),
+  feedsController.getFeeds
+);
+
+// GET /api/v1/admin/feeds/:id - Feed details
+router.get(
+  '/:id',
+  apiLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(feedIdSchema),
+  feedsController.getFeed
+);
+
+// POST /api/v1/admin/feeds - Add a feed
+router.post(
+  '/',
+  createLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(createFeedSchema),
+  feedsController.createFeed
+);
+
+// PUT /api/v1/admin/feeds/:id - Update a feed; isActive: true re-enables and clears failures
+router.put(
+  '/:id',
+  apiLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(updateFeedSchema),
+  feedsController.updateFeed
+);
+
+// DELETE /api/v1/admin/feeds/:id - Remove a feed
+router.delete(
+  '/:id',
+  apiLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(feedIdSchema),
+  feedsController.deleteFeed
+);
+
+// POST /api/v1/admin/feeds/:id/poll - Poll a feed now (also works for disabled feeds)
+router.post(
+  '/:id/poll',
+  createLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(feedIdSchema),
+  feedsController.pollFeed
+);
+
+export default router;
@@ -135,7 +135,8 @@ router.get('/storage/stats', apiLimiter, newsController.getStorageStats);
 /**
  * POST /api/v1/news/jobs/trigger
  * Manually trigger a background job
- * Body: { jobName: 'news-fetch' | 'cache-cleanup' | 'quota-reset' }
+ * Body: { jobName: 'news-fetch' | 'feed-poll' | 'cache-cleanup' | 'quota-reset' |
+ *   'credibility-recompute' | 'story-lifecycle' }
  * Requires authentication
  */
 router.post('/jobs/trigger', apiLimiter, authenticate, newsController.triggerJob);
@@ -0,0 +1,50 @@
+/**
+ * Prompts Routes
+ * Admin endpoints to inspect the prompt template registry
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import * as promptsController from '../controllers/promptsController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import { apiLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+/**
+ * Validation schemas
+ */
+const promptSchema = Joi.object({
+  params: Joi.object({
+    name: Joi.string()
+      .pattern(/^[\w.-]+$/)
+      .max(100)
+      .required(),
+  }),
+});
+
+/**
+ * Routes
+ */
+
+// GET /api/v1/admin/prompts - Templates, versions and the version in use
+router.get(
+  '/',
+  apiLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  promptsController.getPrompts
+);
+
+// GET /api/v1/admin/prompts/:name - Template with the text of every version
+router.get(
+  '/:name',
+  apiLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(promptSchema),
+  promptsController.getPrompt
+);
+
+export default router;
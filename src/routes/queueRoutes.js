@@ -0,0 +1,143 @@
+/**
+ * Queue Routes
+ * Admin endpoints to browse, replay and discard failed agent tasks
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import * as queueController from '../controllers/queueController.js';
+import TaskQueueService from '../services/queue/taskQueue.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import { apiLimiter, createLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+/**
+ * Validation schemas
+ */
+const priority = Joi.string().valid('critical', 'high', 'medium', 'low');
+const errorClass = Joi.string().valid(...Object.values(TaskQueueService.ERROR_CLASS));
+const agent = Joi.string().max(100);
+
+const listSchema = Joi.object({
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    priority: priority.optional(),
+    agent: agent.optional(),
+    errorClass: errorClass.optional(),
+  }),
+});
+
+const jobSchema = Joi.object({
+  params: Joi.object({
+    jobId: Joi.string().max(255).required(),
+  }),
+});
+
+// Bulk actions select jobs by ID and/or filters; `all: true` selects everything
+const selectionSchema = Joi.object({
+  body: Joi.object({
+    jobIds: Joi.array().items(Joi.string().max(255)).min(1).max(1000).optional(),
+    priority: priority.optional(),
+    agent: agent.optional(),
+    errorClass: errorClass.optional(),
+    all: Joi.boolean().valid(true).optional(),
+  }).or('jobIds', 'priority', 'agent', 'errorClass', 'all'),
+});
+
+/**
+ * Routes
+ */
+
+// GET /api/v1/admin/queues - Queue and dead-letter counts
+router.get(
+  '/',
+  apiLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  queueController.getOverview
+);
+
+// GET /api/v1/admin/queues/failed - Failed jobs (filter by priority, agent, error class)
+router.get(
+  '/failed',
+  apiLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(listSchema),
+  queueController.getFailedJobs
+);
+
+// GET /api/v1/admin/queues/dead-letter - Dead-letter jobs
+router.get(
+  '/dead-letter',
+  apiLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(listSchema),
+  queueController.getDeadLetterJobs
+);
+
+// GET /api/v1/admin/queues/jobs/:jobId - Job details and payload
+router.get(
+  '/jobs/:jobId',
+  apiLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(jobSchema),
+  queueController.getJob
+);
+
+// POST /api/v1/admin/queues/failed/retry - Retry failed jobs
+router.post(
+  '/failed/retry',
+  createLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(selectionSchema),
+  queueController.retryFailedJobs
+);
+
+// POST /api/v1/admin/queues/failed/discard - Discard failed jobs
+router.post(
+  '/failed/discard',
+  createLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(selectionSchema),
+  queueController.discardFailedJobs
+);
+
+// POST /api/v1/admin/queues/failed/dead-letter - Move failed jobs to the dead-letter queue
+router.post(
+  '/failed/dead-letter',
+  createLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(selectionSchema),
+  queueController.deadLetterFailedJobs
+);
+
+// POST /api/v1/admin/queues/dead-letter/replay - Replay dead-letter jobs
+router.post(
+  '/dead-letter/replay',
+  createLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(selectionSchema),
+  queueController.replayDeadLetterJobs
+);
+
+// POST /api/v1/admin/queues/dead-letter/discard - Discard dead-letter jobs
+router.post(
+  '/dead-letter/discard',
+  createLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(selectionSchema),
+  queueController.discardDeadLetterJobs
+);
+
+export default router;
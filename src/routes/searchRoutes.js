@@ -18,15 +18,18 @@ const searchArticlesSchema = Joi.object({
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(20),
     status: Joi.string().valid('draft', 'published', 'archived').default('published'),
-    category_id: Joi.number().integer().positive(),
-    tag_id: Joi.number().integer().positive(),
-    author_id: Joi.number().integer().positive(),
-    source_id: Joi.number().integer().positive(),
+    category_id: Joi.string().uuid(),
+    tag_id: Joi.string().uuid(),
+    author_id: Joi.string().uuid(),
+    source_id: Joi.string().uuid(),
     from_date: Joi.date().iso(),
     to_date: Joi.date().iso().greater(Joi.ref('from_date')),
     sort: Joi.string().valid('relevance', 'date', 'popularity').default('relevance'),
     min_reading_time: Joi.number().integer().min(0),
     max_reading_time: Joi.number().integer().positive().greater(Joi.ref('min_reading_time')),
+    facets: Joi.boolean().default(true),
+    highlight: Joi.boolean().default(true),
+    mode: Joi.string().valid('keyword', 'semantic').default('keyword'),
   }),
 });
 
@@ -0,0 +1,35 @@
+/**
+ * Sitemap Routes
+ * Public sitemap index, article sitemaps and Google News sitemap
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import * as sitemapController from '../controllers/sitemapController.js';
+import { validate } from '../middleware/validation.js';
+import { apiLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+/**
+ * Validation schemas
+ */
+const sitemapSchema = Joi.object({
+  params: Joi.object({
+    file: Joi.string()
+      .pattern(/^(?:news|articles-\d{1,6})\.xml$/)
+      .required(),
+  }),
+});
+
+/**
+ * Routes
+ */
+
+// GET /sitemap.xml - Sitemap index
+router.get('/sitemap.xml', apiLimiter, sitemapController.getSitemapIndex);
+
+// GET /sitemaps/articles-N.xml | news.xml - Article sitemap page or Google News sitemap
+router.get('/sitemaps/:file', apiLimiter, validate(sitemapSchema), sitemapController.getSitemap);
+
+export default router;
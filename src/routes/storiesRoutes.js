@@ -0,0 +1,88 @@
+/**
+ * Stories Routes
+ * Coverage of the same event across sources, with timelines and synthesis
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import * as storiesController from '../controllers/storiesController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+import { apiLimiter, createLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+/**
+ * Validation schemas
+ */
+const getStoriesSchema = Joi.object({
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string().valid('developing', 'dormant', 'archived').optional(),
+    search: Joi.string().max(255).optional(),
+    minSources: Joi.number().integer().min(1).optional(),
+    sortBy: Joi.string()
+      .valid('last_article_at', 'first_seen_at', 'article_count', 'source_count')
+      .default('last_article_at'),
+    order: Joi.string().valid('asc', 'desc', 'ASC', 'DESC').default('desc'),
+  }),
+});
+
+const storyIdSchema = Joi.object({
+  params: schemas.id,
+});
+
+const updateStorySchema = Joi.object({
+  params: schemas.id,
+  body: Joi.object({
+    title: Joi.string().min(1).max(500).optional(),
+    summary: Joi.string().max(5000).optional(),
+    status: Joi.string().valid('developing', 'dormant', 'archived').optional(),
+  }).min(1),
+});
+
+const synthesizeSchema = Joi.object({
+  params: schemas.id,
+  body: Joi.object({
+    style: Joi.string()
+      .valid('professional', 'casual', 'technical', 'editorial', 'narrative')
+      .optional(),
+    length: Joi.string().valid('short', 'medium', 'long').optional(),
+  }),
+});
+
+/**
+ * Routes
+ */
+
+// GET /api/v1/stories - List stories
+router.get('/', apiLimiter, validate(getStoriesSchema), storiesController.getStories);
+
+// GET /api/v1/stories/:id - Story with its articles
+router.get('/:id', apiLimiter, validate(storyIdSchema), storiesController.getStory);
+
+// GET /api/v1/stories/:id/timeline - Story timeline
+router.get('/:id/timeline', apiLimiter, validate(storyIdSchema), storiesController.getTimeline);
+
+// PUT /api/v1/stories/:id - Edit title, summary or status (editors only)
+router.put(
+  '/:id',
+  apiLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(updateStorySchema),
+  storiesController.updateStory
+);
+
+// POST /api/v1/stories/:id/synthesize - Writer drafts one article from the story (editors only)
+router.post(
+  '/:id/synthesize',
+  createLimiter,
+  authenticate,
+  authorize('admin', 'super_admin'),
+  validate(synthesizeSchema),
+  storiesController.synthesizeStory
+);
+
+export default router;
@@ -0,0 +1,57 @@
+/**
+ * Syndication Routes
+ * Public RSS, Atom and JSON feeds, site-wide and per category or tag
+ */
+
+import express from 'express';
+import Joi from 'joi';
+import * as syndicationController from '../controllers/syndicationController.js';
+import { validate } from '../middleware/validation.js';
+import { apiLimiter } from '../middleware/rateLimiter.js';
+import { FORMATS } from '../services/syndication/feedRenderers.js';
+
+const router = express.Router();
+
+/**
+ * Validation schemas
+ */
+const file = Joi.string()
+  .valid(...Object.values(FORMATS).map(format => format.file))
+  .required();
+const slug = Joi.string()
+  .max(100)
+  .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+  .required();
+
+const feedSchema = Joi.object({
+  params: Joi.object({ file }),
+});
+
+const scopedFeedSchema = Joi.object({
+  params: Joi.object({ slug, file }),
+});
+
+/**
+ * Routes
+ */
+
+// GET /feeds/rss.xml | atom.xml | feed.json - Latest published articles
+router.get('/:file', apiLimiter, validate(feedSchema), syndicationController.getFeed);
+
+// GET /feeds/category/:slug/rss.xml | atom.xml | feed.json - Articles in a category
+router.get(
+  '/category/:slug/:file',
+  apiLimiter,
+  validate(scopedFeedSchema),
+  syndicationController.getCategoryFeed
+);
+
+// GET /feeds/tag/:slug/rss.xml | atom.xml | feed.json - Articles with a tag
+router.get(
+  '/tag/:slug/:file',
+  apiLimiter,
+  validate(scopedFeedSchema),
+  syndicationController.getTagFeed
+);
+
+export default router;
@@ -0,0 +1,18 @@
+/**
+ * AI Budget Exceeded Error
+ * Raised when a budget leaves no provider cheap enough to answer (HTTP 429)
+ */
+
+class AIBudgetExceededError extends Error {
+  constructor(message, { scope, period, spend, limit }) {
+    super(message);
+    this.name = 'AIBudgetExceededError';
+    this.statusCode = 429;
+    this.scope = scope;
+    this.period = period;
+    this.spend = spend;
+    this.limit = limit;
+  }
+}
+
+export default AIBudgetExceededError;
@@ -0,0 +1,422 @@
+/**
+ * AI Usage Service
+ *
+ * Token and cost accounting for calls made through unifiedAIService. Every
+ * provider call is priced from the per-model price table (AI_MODEL_PRICES),
+ * attributed to the agent, workflow run and article in the current usage
+ * context (see usageContext), stored in ai_usage and exported as ai_*
+ * Prometheus metrics.
+ *
+ * Budgets (daily and monthly, overall and per agent) are checked before each
+ * call: past AI_BUDGET_DOWNGRADE_AT of a budget the cheapest providers are
+ * tried first, and past the budget only free providers may answer. Spend
+ * totals are re-read from the database every AI_USAGE_REFRESH_INTERVAL
+ * seconds so processes share budgets; calls in between are added locally.
+ *
+ * @module services/ai/aiUsageService
+ */
+
+import config from '../../config/index.js';
+import { query } from '../../database/queries.js';
+import metricsService from '../monitoring/metricsService.js';
+import { getUsageContext } from './usageContext.js';
+
+// Groupings for usage reports: SQL expression per group_by value
+const USAGE_GROUPS = {
+  agent: "COALESCE(u.agent_name, 'none')",
+  provider: 'u.provider',
+  model: 'u.model',
+  article: 'u.article_id::text',
+  workflow: 'u.workflow_run_id::text',
+  day: "to_char(u.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD')",
+};
+
+class AIUsageService {
+  /**
+   * @param {Object} [options] - Service options (defaults from config.ai.usage)
+   */
+  constructor(options = {}) {
+    this.config = {
+      ...config.ai.usage,
+      ...options,
+    };
+
+    // Spend in the current day and month: { day, month, loadedAt, daily, monthly }
+    // where daily/monthly are { total, agents: { name: usd } }
+    this.spend = null;
+    this.spendLoading = null;
+    this.unpricedModels = new Set();
+
+    this.stats = {
+      recorded: 0,
+      costUsd: 0,
+      persistFailures: 0,
+      downgraded: 0,
+      refused: 0,
+    };
+
+    this.logger = console;
+  }
+
+  /**
+   * Price of a model: exact match, then the longest configured prefix
+   * (so "gpt-4o-2024-08-06" uses the "gpt-4o" price)
+   * @param {string} model - Model name
+   * @returns {Object|null} { input, output } in USD per million tokens, or null if unknown
+   */
+  getPrice(model) {
+    const { prices } = this.config;
+    if (prices[model]) return prices[model];
+
+    const prefix = Object.keys(prices)
+      .filter(name => model?.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? prices[prefix] : null;
+  }
+
+  /**
+   * Cost of a call
+   * @param {string} model - Model name
+   * @param {Object} usage - { inputTokens, outputTokens }
+   * @returns {number} USD (0 for models without a price, with a warning once per model)
+   */
+  calculateCost(model, { inputTokens = 0, outputTokens = 0 }) {
+    const price = this.getPrice(model);
+
+    if (!price) {
+      if (!this.unpricedModels.has(model)) {
+        this.unpricedModels.add(model);
+        this.logger.warn(
+          `[AIUsage] No price for model ${model}, counting it as free (set AI_MODEL_PRICES)`
+        );
+      }
+      return 0;
+    }
+
+    const cost = (inputTokens * price.input + outputTokens * price.output) / 1e6;
+    return Math.round(cost * 1e6) / 1e6;
+  }
+
+  /**
+   * Current budget periods (UTC)
+   * @returns {Object} { day: 'YYYY-MM-DD', month: 'YYYY-MM' }
+   */
+  getPeriods() {
+    const day = new Date().toISOString().slice(0, 10);
+    return { day, month: day.slice(0, 7) };
+  }
+
+  /**
+   * Spend in the current day and month, re-read from the database when stale
+   * When the database is unreachable, spend recorded by this process is used.
+   * @returns {Promise<Object>} { daily, monthly } with { total, agents }
+   */
+  async getSpend() {
+    const periods = this.getPeriods();
+    const stale =
+      !this.spend ||
+      this.spend.day !== periods.day ||
+      Date.now() - this.spend.loadedAt > this.config.refreshInterval * 1000;
+
+    if (stale && !this.spendLoading) {
+      this.spendLoading = this.loadSpend(periods).finally(() => {
+        this.spendLoading = null;
+      });
+    }
+
+    if (this.spendLoading && (!this.spend?.loadedAt || this.spend.day !== periods.day)) {
+      await this.spendLoading;
+    }
+
+    return this.spend;
+  }
+
+  /**
+   * Read this month's spend, overall and per agent
+   * @param {Object} periods - getPeriods() result
+   * @returns {Promise<void>}
+   */
+  async loadSpend(periods) {
+    const empty = () => ({ total: 0, agents: {} });
+    const spend = { ...periods, loadedAt: Date.now(), daily: empty(), monthly: empty() };
+
+    try {
+      const result = await query(
+        `SELECT agent_name,
+                SUM(cost_usd) FILTER (WHERE created_at >= $1::date) AS daily,
+                SUM(cost_usd) AS monthly
+         FROM ai_usage
+         WHERE created_at >= $2::date
+         GROUP BY agent_name`,
+        [periods.day, `${periods.month}-01`]
+      );
+
+      result.rows.forEach(row => {
+        const daily = parseFloat(row.daily) || 0;
+        const monthly = parseFloat(row.monthly) || 0;
+
+        spend.daily.total += daily;
+        spend.monthly.total += monthly;
+        if (row.agent_name) {
+          spend.daily.agents[row.agent_name] = daily;
+          spend.monthly.agents[row.agent_name] = monthly;
+        }
+      });
+    } catch (error) {
+      this.logger.warn('[AIUsage] Failed to load spend, using this process only:', error.message);
+
+      // Keep what this process has counted, unless the period rolled over
+      const previous = this.spend;
+      if (previous?.day === periods.day) spend.daily = previous.daily;
+      if (previous?.month === periods.month) spend.monthly = previous.monthly;
+    }
+
+    this.spend = spend;
+  }
+
+  /**
+   * Add a call's cost to the cached spend
+   * @param {string} [agent] - Agent name
+   * @param {number} cost - USD
+   */
+  addSpend(agent, cost) {
+    if (!this.spend) {
+      // Counted locally until the first load (loadedAt 0 keeps it stale)
+      const empty = () => ({ total: 0, agents: {} });
+      this.spend = { ...this.getPeriods(), loadedAt: 0, daily: empty(), monthly: empty() };
+    }
+
+    ['daily', 'monthly'].forEach(period => {
+      const totals = this.spend[period];
+      totals.total += cost;
+      if (agent) totals.agents[agent] = (totals.agents[agent] || 0) + cost;
+    });
+  }
+
+  /**
+   * Budgets that apply to a call
+   * @param {string} [agent] - Agent name
+   * @returns {Array<Object>} [{ scope, period, limit }] ("total" scope for the overall budgets)
+   */
+  getLimits(agent) {
+    const { budgets } = this.config;
+    const agentBudget = (agent && budgets.agents[agent]) || {};
+
+    return [
+      { scope: 'total', period: 'daily', limit: budgets.daily },
+      { scope: 'total', period: 'monthly', limit: budgets.monthly },
+      { scope: agent, period: 'daily', limit: agentBudget.daily },
+      { scope: agent, period: 'monthly', limit: agentBudget.monthly },
+    ].filter(budget => budget.scope && budget.limit > 0);
+  }
+
+  /**
+   * Check the budgets for a call
+   * @param {string} [agent] - Agent making the call
+   * @returns {Promise<Object>} { status: ok|downgrade|exceeded, scope, period, spend, limit }
+   *   (scope and the rest describe the budget closest to its limit)
+   */
+  async checkBudget(agent) {
+    const limits = this.getLimits(agent);
+    if (!this.config.enabled || limits.length === 0) {
+      return { status: 'ok' };
+    }
+
+    const spend = await this.getSpend();
+
+    const checks = limits.map(({ scope, period, limit }) => {
+      const totals = spend[period];
+      const used = scope === 'total' ? totals.total : totals.agents[scope] || 0;
+      metricsService.updateAIBudget(scope, period, used, limit);
+      return { scope, period, spend: Math.round(used * 1e6) / 1e6, limit, ratio: used / limit };
+    });
+
+    const { ratio, ...worst } = checks.sort((a, b) => b.ratio - a.ratio)[0];
+    let status = 'ok';
+    if (ratio >= 1) status = 'exceeded';
+    else if (ratio >= this.config.budgets.downgradeAt) status = 'downgrade';
+
+    return { status, ...worst };
+  }
+
+  /**
+   * Count a budget action (for stats and metrics)
+   * @param {string} action - downgraded or refused
+   * @param {string} scope - Budget scope
+   */
+  recordBudgetAction(action, scope) {
+    this.stats[action]++;
+    metricsService.recordAIBudgetAction(action, scope);
+  }
+
+  /**
+   * Record a provider call
+   * Storage failures are logged, never thrown: accounting must not fail the call.
+   * @param {Object} call - Call details
+   * @param {string} call.provider - Provider name
+   * @param {string} call.model - Model that answered
+   * @param {string} call.operation - unifiedAIService method
+   * @param {Object} call.usage - { inputTokens, outputTokens }
+   * @param {boolean} [call.fallbackUsed=false] - Answered by a provider other than the preferred one
+   * @returns {Promise<Object>} { cost, agent, workflowRunId, articleId }
+   */
+  async record({ provider, model, operation, usage, fallbackUsed = false }) {
+    const { agent = null, workflowRunId = null, articleId = null } = getUsageContext();
+    const inputTokens = usage?.inputTokens || 0;
+    const outputTokens = usage?.outputTokens || 0;
+    const cost = this.calculateCost(model, { inputTokens, outputTokens });
+
+    this.stats.recorded++;
+    this.stats.costUsd = Math.round((this.stats.costUsd + cost) * 1e6) / 1e6;
+    this.addSpend(agent, cost);
+    metricsService.recordAIUsage({ provider, model, agent, inputTokens, outputTokens, cost });
+
+    if (this.config.enabled) {
+      try {
+        await query(
+          `INSERT INTO ai_usage (provider, model, operation, agent_name, workflow_run_id,
+                                 article_id, input_tokens, output_tokens, cost_usd, fallback_used)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+          [
+            provider,
+            model,
+            operation,
+            agent,
+            workflowRunId,
+            articleId,
+            inputTokens,
+            outputTokens,
+            cost,
+            fallbackUsed,
+          ]
+        );
+      } catch (error) {
+        this.stats.persistFailures++;
+        this.logger.warn('[AIUsage] Failed to store usage:', error.message);
+      }
+    }
+
+    return { cost, agent, workflowRunId, articleId };
+  }
+
+  /**
+   * Attribute a workflow run's calls made before its article existed
+   * @param {string} articleId - Article ID
+   * @param {Object} [options] - Options
+   * @param {string} [options.workflowRunId] - Workflow run (default: current usage context)
+   * @returns {Promise<number>} Calls attributed
+   */
+  async assignArticle(articleId, { workflowRunId = getUsageContext().workflowRunId } = {}) {
+    if (!this.config.enabled || !workflowRunId) return 0;
+
+    const result = await query(
+      `UPDATE ai_usage SET article_id = $1
+       WHERE workflow_run_id = $2 AND article_id IS NULL`,
+      [articleId, workflowRunId]
+    );
+
+    return result.rowCount;
+  }
+
+  /**
+   * Usage report
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.groupBy='agent'] - agent, provider, model, article, workflow or day
+   * @param {string} [filters.from] - Start date (inclusive)
+   * @param {string} [filters.to] - End date (exclusive)
+   * @param {string} [filters.agent] - Agent name
+   * @param {string} [filters.articleId] - Article ID
+   * @param {string} [filters.workflowRunId] - Workflow run ID
+   * @returns {Promise<Object>} { groups: [{ key, requests, inputTokens, outputTokens, costUsd }], totals }
+   */
+  async getUsage({ groupBy = 'agent', from, to, agent, articleId, workflowRunId } = {}) {
+    const conditions = [];
+    const values = [];
+    const add = (condition, value) => {
+      values.push(value);
+      conditions.push(condition.replace('?', `$${values.length}`));
+    };
+
+    if (from) add('u.created_at >= ?', from);
+    if (to) add('u.created_at < ?', to);
+    if (agent) add('u.agent_name = ?', agent);
+    if (articleId) add('u.article_id = ?', articleId);
+    if (workflowRunId) add('u.workflow_run_id = ?', workflowRunId);
+
+    const key = USAGE_GROUPS[groupBy] || USAGE_GROUPS.agent;
+    const result = await query(
+      `SELECT ${key} AS key,
+              COUNT(*)::int AS requests,
+              COALESCE(SUM(u.input_tokens), 0)::bigint AS input_tokens,
+              COALESCE(SUM(u.output_tokens), 0)::bigint AS output_tokens,
+              COALESCE(SUM(u.cost_usd), 0) AS cost_usd
+       FROM ai_usage u
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       GROUP BY 1
+       ORDER BY cost_usd DESC, key`,
+      values
+    );
+
+    const groups = result.rows.map(row => ({
+      key: row.key,
+      requests: row.requests,
+      inputTokens: parseInt(row.input_tokens, 10),
+      outputTokens: parseInt(row.output_tokens, 10),
+      costUsd: parseFloat(row.cost_usd),
+    }));
+
+    const totals = groups.reduce(
+      (sum, group) => ({
+        requests: sum.requests + group.requests,
+        inputTokens: sum.inputTokens + group.inputTokens,
+        outputTokens: sum.outputTokens + group.outputTokens,
+        costUsd: Math.round((sum.costUsd + group.costUsd) * 1e6) / 1e6,
+      }),
+      { requests: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 }
+    );
+
+    return { groups, totals };
+  }
+
+  /**
+   * Spend against every configured budget
+   * @returns {Promise<Array<Object>>} [{ scope, period, spend, limit, remaining }]
+   */
+  async getBudgets() {
+    const spend = await this.getSpend();
+    const agents = Object.keys(this.config.budgets.agents);
+
+    const limits = [
+      ...this.getLimits(null),
+      ...agents.flatMap(agent => this.getLimits(agent).filter(limit => limit.scope === agent)),
+    ];
+
+    return limits.map(({ scope, period, limit }) => {
+      const used = scope === 'total' ? spend[period].total : spend[period].agents[scope] || 0;
+      return {
+        scope,
+        period,
+        spend: Math.round(used * 1e6) / 1e6,
+        limit,
+        remaining: Math.max(0, Math.round((limit - used) * 1e6) / 1e6),
+      };
+    });
+  }
+
+  /**
+   * Get service statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      enabled: this.config.enabled,
+      ...this.stats,
+    };
+  }
+}
+
+// Export singleton instance
+const aiUsageService = new AIUsageService();
+export default aiUsageService;
+export { AIUsageService };
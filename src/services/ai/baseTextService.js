@@ -0,0 +1,309 @@
+/**
+ * Base Text Generation Service
+ * Writing tasks shared by the text providers behind unifiedAIService
+ * (article generation, rewriting, headlines, consistency, multimedia and
+ * readability). Each task renders its prompt from promptRegistry and parses
+ * the reply; JSON replies are validated against a schema and repaired by
+ * re-prompting (structuredOutput). Providers only implement the transport.
+ * Results record the prompt version used (metadata.prompt or prompt).
+ *
+ * Provider contract:
+ * - initialize(): Promise<boolean> - connect, false if not configured
+ * - isAvailable(): boolean
+ * - generate({ prompt, maxTokens, temperature }): Promise<Object>
+ *     { text, usage: { inputTokens, outputTokens, totalTokens }, model, responseTime, finishReason }
+ *   and reports each completed call with reportGeneration() for usage accounting
+ * - generateStream({ prompt, maxTokens, temperature, onToken }) (optional): like generate(),
+ *   calling onToken(text) with each chunk as it arrives (default: the whole text at the end)
+ * - getStats(): Object
+ */
+
+import Joi from 'joi';
+import promptRegistry from './promptRegistry.js';
+import { generateStructured } from './structuredOutput.js';
+
+const score = Joi.number().min(0).max(100);
+
+// Replies of the JSON tasks (see prompts/editing.js)
+const CONSISTENCY_SCHEMA = Joi.object({
+  consistencyScore: score.required(),
+  toneConsistency: Joi.object({ score, issues: Joi.array().items(Joi.string()).default([]) }),
+  voiceConsistency: Joi.object({ score, issues: Joi.array().items(Joi.string()).default([]) }),
+  styleIssues: Joi.array().items(Joi.object()).default([]),
+  overallAssessment: Joi.string().allow('').required(),
+  recommendations: Joi.array().items(Joi.string()).default([]),
+});
+
+const MULTIMEDIA_SCHEMA = Joi.object({
+  featuredImage: Joi.object({ description: Joi.string().required() }).required(),
+  additionalImages: Joi.array().items(Joi.object()).default([]),
+  videoSuggestions: Joi.array().items(Joi.object()).default([]),
+  infographicIdeas: Joi.array().items(Joi.object()).default([]),
+  interactiveElements: Joi.array().items(Joi.object()).default([]),
+});
+
+const READABILITY_SCHEMA = Joi.object({
+  optimizedContent: Joi.string().required(),
+  changes: Joi.array().items(Joi.object()).default([]),
+  summary: Joi.string().allow('').default(''),
+});
+
+class BaseTextService {
+  /**
+   * @param {string} providerName - unifiedAIService provider name (selects prompt variants)
+   */
+  constructor(providerName) {
+    this.providerName = providerName;
+  }
+
+  /**
+   * Render a task prompt for this provider
+   * @param {string} name - Template name
+   * @param {Object} variables - Template variables
+   * @returns {Object} Rendered prompt ({ text, id, ... })
+   */
+  renderPrompt(name, variables) {
+    return promptRegistry.render(name, variables, { provider: this.providerName });
+  }
+
+  /**
+   * Generate text from a prompt
+   * @param {Object} params - Generation parameters
+   * @param {string} params.prompt - Prompt
+   * @param {number} [params.maxTokens] - Maximum tokens to generate
+   * @param {number} [params.temperature] - Sampling temperature
+   * @returns {Promise<Object>} Generated text and metadata
+   */
+  async generate(_params) {
+    throw new Error(`generate() must be implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Generate text, passing chunks to onToken as they arrive
+   * Providers that cannot stream send the whole text as one chunk.
+   * @param {Object} params - generate() parameters and onToken(text)
+   * @returns {Promise<Object>} Generated text and metadata (as generate())
+   */
+  async generateStream({ onToken, ...params }) {
+    const result = await this.generate(params);
+    onToken(result.text);
+    return result;
+  }
+
+  /**
+   * Generate JSON matching a schema with this provider (see structuredOutput)
+   * @param {Object} params - { prompt, schema, name, maxAttempts, maxTokens, temperature }
+   * @returns {Promise<Object>} Generated text and metadata with data and attempts
+   * @throws {StructuredOutputError} If no attempt produced valid JSON
+   */
+  async generateStructured(params) {
+    return generateStructured(request => this.generate(request), params);
+  }
+
+  /**
+   * Generate article content
+   * @param {Object} params - Article generation parameters
+   * @param {Function} [params.onToken] - Receives the article text in chunks as it is written
+   * @returns {Promise<Object>} Generated article
+   */
+  async generateArticle({
+    topic,
+    context = '',
+    style = 'professional',
+    length = 'medium',
+    keywords = [],
+    targetAudience = 'general',
+    onToken = null,
+  }) {
+    const lengthGuidelines = {
+      short: '300-500 words',
+      medium: '600-900 words',
+      long: '1000-1500 words',
+      extended: '1500-2500 words',
+    };
+
+    const styleGuidelines = {
+      professional: 'Use professional, objective tone with clear structure and formal language.',
+      casual:
+        'Use conversational, friendly tone with relatable examples and approachable language.',
+      technical:
+        'Use precise, detailed technical language with specific terminology and accurate explanations.',
+      editorial: 'Use engaging, opinion-driven tone with strong voice and clear perspective.',
+      narrative: 'Use storytelling approach with descriptive language and engaging narrative flow.',
+    };
+
+    const prompt = this.renderPrompt('article.generate', {
+      topic,
+      length,
+      style,
+      lengthGuideline: lengthGuidelines[length] || '600-900 words',
+      styleGuideline: styleGuidelines[style] || styleGuidelines.professional,
+      targetAudience,
+      keywords,
+      context,
+    });
+
+    const request = { prompt: prompt.text, maxTokens: 8192, temperature: 0.7 };
+    const result = onToken
+      ? await this.generateStream({ ...request, onToken })
+      : await this.generate(request);
+
+    // Calculate additional metrics
+    const wordCount = result.text.split(/\s+/).length;
+    const readTime = Math.ceil(wordCount / 200); // 200 words per minute
+
+    return {
+      content: result.text,
+      metadata: {
+        wordCount,
+        readTime,
+        style,
+        length,
+        tokensUsed: result.usage.totalTokens,
+        model: result.model,
+        responseTime: result.responseTime,
+        prompt: prompt.id,
+      },
+    };
+  }
+
+  /**
+   * Rewrite article content
+   * @param {Object} params - Rewrite parameters
+   * @returns {Promise<Object>} Rewritten article
+   */
+  async rewriteArticle({
+    content,
+    targetStyle = 'professional',
+    targetAngle = null,
+    preserveFactsOnly = false,
+    instructions = null,
+  }) {
+    const preservationLevel = preserveFactsOnly
+      ? 'facts and data only. You can change phrasing, structure, and examples.'
+      : 'facts, key quotes, and main data points. You can adjust tone and style.';
+
+    const angleInstruction = targetAngle
+      ? `Change the angle/perspective to: ${targetAngle}`
+      : 'Maintain the same general perspective but improve the presentation';
+
+    const prompt = this.renderPrompt('article.rewrite', {
+      content,
+      targetStyle,
+      angleInstruction,
+      preservationLevel,
+      instructions: instructions || '',
+    });
+
+    const result = await this.generate({
+      prompt: prompt.text,
+      maxTokens: 8192,
+      temperature: 0.7,
+    });
+
+    return {
+      content: result.text,
+      originalLength: content.split(/\s+/).length,
+      newLength: result.text.split(/\s+/).length,
+      style: targetStyle,
+      tokensUsed: result.usage.totalTokens,
+      responseTime: result.responseTime,
+      prompt: prompt.id,
+    };
+  }
+
+  /**
+   * Generate multiple headline options
+   * @param {Object} params - Headline generation parameters
+   * @returns {Promise<Object>} { headlines, prompt }
+   */
+  async generateHeadlines({ topic, style = 'professional', count = 5 }) {
+    const prompt = this.renderPrompt('headlines.generate', { topic, style, count });
+
+    const result = await this.generate({
+      prompt: prompt.text,
+      maxTokens: 500,
+      temperature: 0.8,
+    });
+
+    // Parse headlines from response
+    const headlines = result.text
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => line.replace(/^\d+\.\s*/, '').trim())
+      .filter(line => line.length > 0);
+
+    return { headlines: headlines.slice(0, count), prompt: prompt.id };
+  }
+
+  /**
+   * Check content consistency
+   * @param {Object} params - Consistency check parameters
+   * @returns {Promise<Object>} Consistency analysis
+   */
+  async checkConsistency({
+    content,
+    targetStyle = 'professional',
+    targetPersonality = 'balanced',
+  }) {
+    const prompt = this.renderPrompt('content.consistency', {
+      content,
+      targetStyle,
+      targetPersonality,
+    });
+
+    const result = await this.generateStructured({
+      prompt: prompt.text,
+      schema: CONSISTENCY_SCHEMA,
+      name: prompt.name,
+      maxTokens: 2000,
+      temperature: 0.3,
+    });
+
+    return { ...result.data, prompt: prompt.id };
+  }
+
+  /**
+   * Suggest multimedia content
+   * @param {Object} params - Multimedia suggestion parameters
+   * @returns {Promise<Object>} Multimedia suggestions
+   */
+  async suggestMultimedia({ topic, content, targetAudience = 'general' }) {
+    const prompt = this.renderPrompt('multimedia.suggest', {
+      topic,
+      targetAudience,
+      excerpt: content.substring(0, 500),
+    });
+
+    const result = await this.generateStructured({
+      prompt: prompt.text,
+      schema: MULTIMEDIA_SCHEMA,
+      name: prompt.name,
+      maxTokens: 2000,
+      temperature: 0.7,
+    });
+
+    return { ...result.data, prompt: prompt.id };
+  }
+
+  /**
+   * Optimize content readability
+   * @param {Object} params - Readability optimization parameters
+   * @returns {Promise<Object>} Optimized content with metrics
+   */
+  async optimizeReadability({ content, targetAudience = 'general' }) {
+    const prompt = this.renderPrompt('readability.optimize', { content, targetAudience });
+
+    const result = await this.generateStructured({
+      prompt: prompt.text,
+      schema: READABILITY_SCHEMA,
+      name: prompt.name,
+      maxTokens: 8192,
+      temperature: 0.5,
+    });
+
+    return { ...result.data, prompt: prompt.id };
+  }
+}
+
+export default BaseTextService;
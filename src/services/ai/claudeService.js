@@ -5,15 +5,192 @@
  */
 
 import Anthropic from '@anthropic-ai/sdk';
+import Joi from 'joi';
 import config from '../../config/index.js';
-
-class ClaudeService {
+import BaseTextService from './baseTextService.js';
+import { reportGeneration } from './usageContext.js';
+import { StructuredOutputError } from './structuredOutput.js';
+
+const stringList = Joi.array().items(Joi.string());
+
+// Replies of the analysis tasks (validated and repaired by generateStructured)
+const SENTIMENT_SCHEMA = Joi.object({
+  sentiment: Joi.string().valid('positive', 'negative', 'neutral').insensitive().required(),
+  confidence: Joi.number().min(0).max(1).required(),
+  tone: Joi.string().required(),
+  emotionalImpact: Joi.string().valid('high', 'medium', 'low').insensitive().required(),
+  reasoning: Joi.string().allow('').default(''),
+});
+
+const KEY_POINTS_SCHEMA = stringList.min(1).required();
+
+const CATEGORY_SCHEMA = Joi.object({
+  primaryCategory: Joi.string().required(),
+  confidence: Joi.number().min(0).max(1).required(),
+  secondaryCategories: stringList.default([]),
+  reasoning: Joi.string().allow('').default(''),
+});
+
+const ENTITIES_SCHEMA = Joi.object({
+  people: stringList.default([]),
+  organizations: stringList.default([]),
+  locations: stringList.default([]),
+  events: stringList.default([]),
+  topics: stringList.default([]),
+});
+
+const TAGS_SCHEMA = stringList.required();
+
+class ClaudeService extends BaseTextService {
   constructor() {
+    super('anthropic');
     this.client = new Anthropic({
       apiKey: config.ai.anthropic.apiKey,
     });
     this.model = config.ai.anthropic.model || 'claude-3-opus-20240229';
     this.maxTokens = 4096;
+    this.requestCount = 0;
+    this.tokenCount = 0;
+  }
+
+  /**
+   * Initialize for unifiedAIService (the client is created with the service)
+   * @returns {Promise<boolean>} Whether an API key is configured
+   */
+  async initialize() {
+    if (!config.ai.anthropic.apiKey) {
+      console.warn('⚠️  Anthropic API key not configured. Set ANTHROPIC_API_KEY in .env');
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Check if service is available
+   */
+  isAvailable() {
+    return Boolean(config.ai.anthropic.apiKey);
+  }
+
+  /**
+   * Generate text (unifiedAIService writing tasks)
+   * @param {Object} params - Generation parameters
+   * @param {string} params.prompt - The prompt
+   * @param {number} params.maxTokens - Maximum tokens to generate (default: 4096)
+   * @param {number} params.temperature - Temperature (default: 0.7)
+   * @returns {Promise<Object>} Generated text and metadata
+   */
+  async generate({ prompt, maxTokens = this.maxTokens, temperature = 0.7 }) {
+    try {
+      const startTime = Date.now();
+
+      const response = await this.client.messages.create({
+        model: this.model,
+        max_tokens: maxTokens,
+        temperature,
+        messages: [{ role: 'user', content: prompt }],
+      });
+
+      const text = response.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      const inputTokens = response.usage.input_tokens;
+      const outputTokens = response.usage.output_tokens;
+
+      this.requestCount++;
+      this.tokenCount += inputTokens + outputTokens;
+
+      const generation = {
+        text,
+        usage: {
+          inputTokens,
+          outputTokens,
+          totalTokens: inputTokens + outputTokens,
+        },
+        model: this.model,
+        responseTime: Date.now() - startTime,
+        finishReason: response.stop_reason,
+      };
+      reportGeneration('anthropic', generation);
+
+      return generation;
+    } catch (error) {
+      throw this.handleError(error, 'generate');
+    }
+  }
+
+  /**
+   * Generate text, streaming it as it is written
+   * @param {Object} params - Generation parameters (see generate)
+   * @param {Function} params.onToken - Receives each text delta
+   * @returns {Promise<Object>} Generated text and metadata (as generate)
+   */
+  async generateStream({ prompt, maxTokens = this.maxTokens, temperature = 0.7, onToken }) {
+    let streaming = false;
+    let text = '';
+    let inputTokens = 0;
+    let outputTokens = 0;
+
+    try {
+      const startTime = Date.now();
+
+      const stream = await this.client.messages.create({
+        model: this.model,
+        max_tokens: maxTokens,
+        temperature,
+        messages: [{ role: 'user', content: prompt }],
+        stream: true,
+      });
+      streaming = true;
+
+      let stopReason = null;
+
+      for await (const event of stream) {
+        if (event.type === 'message_start') {
+          inputTokens = event.message.usage.input_tokens;
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          text += event.delta.text;
+          onToken(event.delta.text);
+        } else if (event.type === 'message_delta') {
+          outputTokens = event.usage.output_tokens;
+          stopReason = event.delta.stop_reason;
+        }
+      }
+
+      this.requestCount++;
+      this.tokenCount += inputTokens + outputTokens;
+
+      const generation = {
+        text,
+        usage: {
+          inputTokens,
+          outputTokens,
+          totalTokens: inputTokens + outputTokens,
+        },
+        model: this.model,
+        responseTime: Date.now() - startTime,
+        finishReason: stopReason,
+      };
+      reportGeneration('anthropic', generation);
+
+      return generation;
+    } catch (error) {
+      // A stream that broke off is still billed for what it generated
+      if (streaming) {
+        const partialInput = inputTokens || Math.ceil(prompt.length / 4);
+        const partialOutput = Math.max(outputTokens, Math.ceil(text.length / 4));
+        reportGeneration('anthropic', {
+          usage: {
+            inputTokens: partialInput,
+            outputTokens: partialOutput,
+            totalTokens: partialInput + partialOutput,
+          },
+          model: this.model,
+        });
+      }
+      throw this.handleError(error, 'generateStream');
+    }
   }
 
   /**
@@ -105,19 +282,15 @@ Provide only the JSON, no additional text.`;
     try {
       const startTime = Date.now();
 
-      const response = await this.client.messages.create({
-        model: this.model,
-        max_tokens: 1024,
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
+      const response = await this.generateStructured({
+        prompt,
+        schema: SENTIMENT_SCHEMA,
+        name: 'sentiment',
+        maxTokens: 1024,
       });
 
       const duration = Date.now() - startTime;
-      const result = JSON.parse(response.content[0].text);
+      const result = response.data;
 
       return {
         sentiment: result.sentiment,
@@ -127,7 +300,8 @@ Provide only the JSON, no additional text.`;
         reasoning: result.reasoning,
         metadata: {
           model: this.model,
-          tokensUsed: response.usage.input_tokens + response.usage.output_tokens,
+          tokensUsed: response.usage.totalTokens,
+          attempts: response.attempts,
           duration,
         },
       };
@@ -161,26 +335,23 @@ Provide only the JSON array, no additional text.`;
     try {
       const startTime = Date.now();
 
-      const response = await this.client.messages.create({
-        model: this.model,
-        max_tokens: 2048,
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
+      const response = await this.generateStructured({
+        prompt,
+        schema: KEY_POINTS_SCHEMA,
+        name: 'keyPoints',
+        maxTokens: 2048,
       });
 
       const duration = Date.now() - startTime;
-      const keyPoints = JSON.parse(response.content[0].text);
+      const keyPoints = response.data.slice(0, maxPoints);
 
       return {
         keyPoints,
         count: keyPoints.length,
         metadata: {
           model: this.model,
-          tokensUsed: response.usage.input_tokens + response.usage.output_tokens,
+          tokensUsed: response.usage.totalTokens,
+          attempts: response.attempts,
           duration,
         },
       };
@@ -233,31 +404,36 @@ ${content}
 
 Provide only the JSON, no additional text.`;
 
+    // Only the offered categories are accepted
+    const schema = CATEGORY_SCHEMA.keys({
+      primaryCategory: Joi.string()
+        .valid(...categories)
+        .insensitive()
+        .required(),
+    });
+
     try {
       const startTime = Date.now();
 
-      const response = await this.client.messages.create({
-        model: this.model,
-        max_tokens: 1024,
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
+      const response = await this.generateStructured({
+        prompt,
+        schema,
+        name: 'category',
+        maxTokens: 1024,
       });
 
       const duration = Date.now() - startTime;
-      const result = JSON.parse(response.content[0].text);
+      const result = response.data;
 
       return {
         primaryCategory: result.primaryCategory,
         confidence: result.confidence,
-        secondaryCategories: result.secondaryCategories || [],
+        secondaryCategories: result.secondaryCategories,
         reasoning: result.reasoning,
         metadata: {
           model: this.model,
-          tokensUsed: response.usage.input_tokens + response.usage.output_tokens,
+          tokensUsed: response.usage.totalTokens,
+          attempts: response.attempts,
           duration,
         },
       };
@@ -296,35 +472,28 @@ Provide only the JSON, no additional text.`;
     try {
       const startTime = Date.now();
 
-      const response = await this.client.messages.create({
-        model: this.model,
-        max_tokens: 2048,
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
+      const response = await this.generateStructured({
+        prompt,
+        schema: ENTITIES_SCHEMA,
+        name: 'entities',
+        maxTokens: 2048,
       });
 
       const duration = Date.now() - startTime;
-      const entities = JSON.parse(response.content[0].text);
+      const { people, organizations, locations, events, topics } = response.data;
 
       return {
-        people: entities.people || [],
-        organizations: entities.organizations || [],
-        locations: entities.locations || [],
-        events: entities.events || [],
-        topics: entities.topics || [],
+        people,
+        organizations,
+        locations,
+        events,
+        topics,
         totalEntities:
-          (entities.people?.length || 0) +
-          (entities.organizations?.length || 0) +
-          (entities.locations?.length || 0) +
-          (entities.events?.length || 0) +
-          (entities.topics?.length || 0),
+          people.length + organizations.length + locations.length + events.length + topics.length,
         metadata: {
           model: this.model,
-          tokensUsed: response.usage.input_tokens + response.usage.output_tokens,
+          tokensUsed: response.usage.totalTokens,
+          attempts: response.attempts,
           duration,
         },
       };
@@ -358,26 +527,23 @@ Provide only the JSON array, no additional text.`;
     try {
       const startTime = Date.now();
 
-      const response = await this.client.messages.create({
-        model: this.model,
-        max_tokens: 1024,
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
+      const response = await this.generateStructured({
+        prompt,
+        schema: TAGS_SCHEMA,
+        name: 'tags',
+        maxTokens: 1024,
       });
 
       const duration = Date.now() - startTime;
-      const tags = JSON.parse(response.content[0].text);
+      const tags = response.data.slice(0, maxTags);
 
       return {
         tags,
         count: tags.length,
         metadata: {
           model: this.model,
-          tokensUsed: response.usage.input_tokens + response.usage.output_tokens,
+          tokensUsed: response.usage.totalTokens,
+          attempts: response.attempts,
           duration,
         },
       };
@@ -519,6 +685,18 @@ Provide only the JSON array, no additional text.`;
     }
   }
 
+  /**
+   * Get service statistics
+   */
+  getStats() {
+    return {
+      isAvailable: this.isAvailable(),
+      requestCount: this.requestCount,
+      tokenCount: this.tokenCount,
+      model: this.model,
+    };
+  }
+
   /**
    * Handle API errors
    * @param {Error} error - Original error
@@ -528,6 +706,11 @@ Provide only the JSON array, no additional text.`;
   handleError(error, operation) {
     const baseMessage = `Claude AI error in ${operation}`;
 
+    // Replies that stayed invalid after repair keep their type (code, attempts, rawResponse)
+    if (error instanceof StructuredOutputError) {
+      return error;
+    }
+
     if (error.status === 401) {
       return new Error(`${baseMessage}: Invalid API key`);
     }
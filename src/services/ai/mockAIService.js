@@ -0,0 +1,287 @@
+/**
+ * Mock AI Service
+ * Deterministic text provider for running agents offline (development, demos
+ * and CI) without API keys or network access. Select it with AI_PROVIDER=mock.
+ *
+ * Modes:
+ * - replay: answer from recorded responses, keyed by a hash of the prompt.
+ *   Unknown prompts get a canned response that fits the requested format
+ *   (JSON templates are filled in, numbered lists get numbered lines), or fail
+ *   with AI_MOCK_STRICT=true.
+ * - record: forward prompts to a real provider (AI_MOCK_RECORD_PROVIDER) and
+ *   save its responses for later replay.
+ *
+ * Recordings file format:
+ * {
+ *   "<sha256 of prompt>": { "text": "...", "model": "...", "prompt": "<first 200 chars>",
+ *                           "recordedAt": "..." }
+ * }
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import config from '../../config/index.js';
+import BaseTextService from './baseTextService.js';
+import { reportGeneration } from './usageContext.js';
+
+const DEFAULT_FIXTURES_PATH = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  'fixtures',
+  'mock-responses.json'
+);
+
+// Characters of the prompt kept next to a recording, to tell recordings apart
+const PROMPT_PREVIEW_LENGTH = 200;
+
+class MockAIService extends BaseTextService {
+  /**
+   * @param {Object} [options] - Service options (defaults from config.ai.mock)
+   */
+  constructor(options = {}) {
+    super('mock');
+    this.config = {
+      ...config.ai.mock,
+      ...options,
+    };
+    this.fixturesPath = this.config.fixturesPath || DEFAULT_FIXTURES_PATH;
+
+    this.responses = null; // Loaded on initialize
+    this.recorder = null; // Provider used in record mode (set by unifiedAIService)
+    this.saving = Promise.resolve();
+    this.isInitialized = false;
+
+    this.stats = {
+      requestCount: 0,
+      replayed: 0,
+      canned: 0,
+      recorded: 0,
+    };
+  }
+
+  /**
+   * Load recorded responses
+   * @returns {Promise<boolean>} Whether the service is ready
+   */
+  async initialize() {
+    if (this.config.mode !== 'replay' && this.config.mode !== 'record') {
+      console.error(`❌ Unknown mock AI mode: ${this.config.mode} (use replay or record)`);
+      return false;
+    }
+
+    try {
+      this.responses = JSON.parse(await fs.readFile(this.fixturesPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Invalid mock AI recordings ${this.fixturesPath}:`, error.message);
+        return false;
+      }
+      this.responses = {};
+    }
+
+    this.isInitialized = true;
+    console.log(
+      `✅ Mock AI service initialized (${this.config.mode}, ` +
+        `${Object.keys(this.responses).length} recorded responses)`
+    );
+    return true;
+  }
+
+  /**
+   * Set the provider whose responses are recorded
+   * @param {Object} service - Text provider (see BaseTextService)
+   */
+  setRecorder(service) {
+    this.recorder = service;
+  }
+
+  /**
+   * Check if service is available
+   */
+  isAvailable() {
+    return this.isInitialized && (this.config.mode === 'replay' || this.recorder !== null);
+  }
+
+  /**
+   * Key of a prompt in the recordings
+   * @param {string} prompt - Prompt
+   * @returns {string} SHA-256 hex digest
+   */
+  responseKey(prompt) {
+    return crypto.createHash('sha256').update(prompt).digest('hex');
+  }
+
+  /**
+   * Generate text: replay a recorded response, record a real one, or answer with a canned one
+   * @param {Object} params - Generation parameters
+   * @param {string} params.prompt - The prompt
+   * @param {number} [params.maxTokens] - Passed to the recorded provider
+   * @param {number} [params.temperature] - Passed to the recorded provider
+   * @returns {Promise<Object>} Generated text and metadata
+   */
+  async generate(params) {
+    if (!this.isAvailable()) {
+      throw new Error('Mock AI service not available');
+    }
+
+    const { prompt } = params;
+    const key = this.responseKey(prompt);
+    this.stats.requestCount++;
+
+    if (this.config.mode === 'record') {
+      const result = await this.recorder.generate(params);
+      this.responses[key] = {
+        text: result.text,
+        model: result.model,
+        prompt: prompt.slice(0, PROMPT_PREVIEW_LENGTH),
+        recordedAt: new Date().toISOString(),
+      };
+      this.stats.recorded++;
+      await this.saveResponses();
+      return result;
+    }
+
+    let text;
+    if (this.responses[key]) {
+      text = this.responses[key].text;
+      this.stats.replayed++;
+    } else if (this.config.strict) {
+      throw new Error(
+        `No recorded response for prompt ${key.slice(0, 12)} ` +
+          `("${prompt.slice(0, 60)}..."); record it with AI_MOCK_MODE=record`
+      );
+    } else {
+      text = this.cannedResponse(prompt);
+      this.stats.canned++;
+    }
+
+    const inputTokens = Math.ceil(prompt.length / 4);
+    const outputTokens = Math.ceil(text.length / 4);
+
+    // Replayed responses are free, whichever model recorded them
+    const generation = {
+      text,
+      usage: {
+        inputTokens,
+        outputTokens,
+        totalTokens: inputTokens + outputTokens,
+      },
+      model: this.responses[key]?.model || 'mock',
+      responseTime: 0,
+      finishReason: 'complete',
+    };
+    reportGeneration('mock', { ...generation, model: 'mock' });
+
+    return generation;
+  }
+
+  /**
+   * Generate text and send it to onToken word by word, like a streaming provider
+   * @param {Object} params - Generation parameters (see generate)
+   * @param {Function} params.onToken - Receives each chunk
+   * @returns {Promise<Object>} Generated text and metadata (as generate)
+   */
+  async generateStream({ onToken, ...params }) {
+    const result = await this.generate(params);
+    (result.text.match(/\s*\S+/g) || []).forEach(chunk => onToken(chunk));
+    return result;
+  }
+
+  /**
+   * Write the recordings file (writes are queued, so concurrent recordings are all kept)
+   * @returns {Promise<void>}
+   */
+  async saveResponses() {
+    const write = async () => {
+      const sorted = Object.fromEntries(
+        Object.keys(this.responses)
+          .sort()
+          .map(key => [key, this.responses[key]])
+      );
+      await fs.mkdir(path.dirname(this.fixturesPath), { recursive: true });
+      await fs.writeFile(this.fixturesPath, `${JSON.stringify(sorted, null, 2)}\n`);
+    };
+
+    this.saving = this.saving.then(write, write);
+    await this.saving;
+  }
+
+  /**
+   * Canned response in the format a prompt asks for
+   * @param {string} prompt - Prompt
+   * @returns {string} Response text
+   */
+  cannedResponse(prompt) {
+    const firstLine = prompt.trim().split('\n')[0];
+    const subject = (firstLine.includes(': ') ? firstLine.split(': ').pop() : firstLine)
+      .replace(/[."]+$/, '')
+      .slice(0, 80);
+
+    const jsonStart = prompt.search(/JSON/i);
+    const template = jsonStart >= 0 ? prompt.slice(jsonStart).match(/^\{$[\s\S]*?^\}$/m) : null;
+    if (template) {
+      return this.fillJsonTemplate(template[0]);
+    }
+
+    const numbered = prompt.match(/numbered 1-(\d+)/);
+    if (numbered) {
+      return Array.from(
+        { length: parseInt(numbered[1], 10) },
+        (_, i) => `${i + 1}. ${subject}: mock option ${i + 1}`
+      ).join('\n');
+    }
+
+    return [
+      `${subject}.`,
+      'This is a mock response from the offline AI provider. It contains no real reporting: ' +
+        'it stands in for model output so the pipeline can run without API keys.',
+      'The same prompt always produces the same text, so runs are reproducible. ' +
+        'Record real responses with AI_MOCK_MODE=record to replay them instead.',
+    ].join('\n\n');
+  }
+
+  /**
+   * Turn a prompt's JSON template into valid JSON with placeholder values
+   * Placeholders: <number 0-100> becomes 75, numeric ranges their midpoint,
+   * "a|b|c" alternatives the first one, true/false true, number 5; ", ..." is dropped.
+   * @param {string} template - JSON template from a prompt
+   * @returns {string} JSON text ("{}" if the template cannot be filled)
+   */
+  fillJsonTemplate(template) {
+    const filled = template
+      .replace(/<number[^>]*>/g, '75')
+      .replace(
+        /(:\s*)(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)/g,
+        (match, prefix, low, high) => `${prefix}${(parseFloat(low) + parseFloat(high)) / 2}`
+      )
+      .replace(/"([\w-]+)(?:[|/][\w-]+)+"/g, '"$1"')
+      .replace(/\btrue\/false\b/g, 'true')
+      .replace(/:\s*number(?:_in_\w+)?\b/g, ': 5')
+      .replace(/,\s*\.\.\.\s*(?=[\]}])/g, '');
+
+    try {
+      return JSON.stringify(JSON.parse(filled), null, 2);
+    } catch (error) {
+      return '{}';
+    }
+  }
+
+  /**
+   * Get service statistics
+   */
+  getStats() {
+    return {
+      isAvailable: this.isAvailable(),
+      mode: this.config.mode,
+      recordedResponses: this.responses ? Object.keys(this.responses).length : 0,
+      fixturesPath: this.fixturesPath,
+      ...this.stats,
+    };
+  }
+}
+
+// Export singleton instance
+const mockAIService = new MockAIService();
+export default mockAIService;
+export { MockAIService };
@@ -0,0 +1,221 @@
+/**
+ * OpenAI-Compatible AI Service
+ * Text generation over the chat completions API: OpenAI itself, or any
+ * compatible server (llama.cpp, Ollama, vLLM, LM Studio) via OPENAI_BASE_URL
+ */
+
+import OpenAI from 'openai';
+import config from '../../config/index.js';
+import BaseTextService from './baseTextService.js';
+import { reportGeneration } from './usageContext.js';
+
+class OpenAIService extends BaseTextService {
+  constructor() {
+    super('openai');
+    this.client = null;
+    this.isInitialized = false;
+    this.requestCount = 0;
+    this.tokenCount = 0;
+  }
+
+  /**
+   * Initialize the client
+   * An API key is required for api.openai.com; local servers usually ignore it.
+   */
+  async initialize() {
+    const { apiKey, baseUrl, requestTimeout } = config.ai.openai;
+
+    if (!apiKey && !baseUrl) {
+      console.warn('⚠️  OpenAI not configured. Set OPENAI_API_KEY or OPENAI_BASE_URL in .env');
+      return false;
+    }
+
+    try {
+      this.client = new OpenAI({
+        apiKey: apiKey || 'not-needed',
+        baseURL: baseUrl || undefined,
+        timeout: requestTimeout,
+        maxRetries: 1,
+      });
+
+      this.isInitialized = true;
+      console.log(`✅ OpenAI-compatible service initialized (${baseUrl || 'api.openai.com'})`);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to initialize OpenAI service:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Check if service is available
+   */
+  isAvailable() {
+    return this.isInitialized && this.client !== null;
+  }
+
+  /**
+   * Generate text with a chat completion
+   * @param {Object} params - Generation parameters
+   * @param {string} params.prompt - The prompt (sent as the user message)
+   * @param {number} params.maxTokens - Maximum tokens to generate (default: OPENAI_MAX_TOKENS)
+   * @param {number} params.temperature - Temperature (default: OPENAI_TEMPERATURE)
+   * @returns {Promise<Object>} Generated text and metadata
+   */
+  async generate({
+    prompt,
+    maxTokens = config.ai.openai.maxTokens,
+    temperature = config.ai.openai.temperature,
+  }) {
+    if (!this.isAvailable()) {
+      await this.initialize();
+      if (!this.isAvailable()) {
+        throw new Error('OpenAI service not available');
+      }
+    }
+
+    try {
+      const startTime = Date.now();
+
+      const response = await this.client.chat.completions.create({
+        model: config.ai.openai.model,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: maxTokens,
+        temperature,
+      });
+
+      const choice = response.choices?.[0];
+      const text = choice?.message?.content || '';
+      const responseTime = Date.now() - startTime;
+
+      // Some local servers omit usage; estimate like the Gemini service does
+      const inputTokens = response.usage?.prompt_tokens ?? Math.ceil(prompt.length / 4);
+      const outputTokens = response.usage?.completion_tokens ?? Math.ceil(text.length / 4);
+
+      this.requestCount++;
+      this.tokenCount += inputTokens + outputTokens;
+
+      const generation = {
+        text,
+        usage: {
+          inputTokens,
+          outputTokens,
+          totalTokens: inputTokens + outputTokens,
+        },
+        model: response.model || config.ai.openai.model,
+        responseTime,
+        finishReason: choice?.finish_reason || 'complete',
+      };
+      reportGeneration('openai', generation);
+
+      return generation;
+    } catch (error) {
+      console.error('OpenAI generation error:', error.message);
+      throw new Error(`OpenAI generation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate text with a streamed chat completion
+   * @param {Object} params - Generation parameters (see generate)
+   * @param {Function} params.onToken - Receives each content delta
+   * @returns {Promise<Object>} Generated text and metadata (as generate)
+   */
+  async generateStream({
+    prompt,
+    maxTokens = config.ai.openai.maxTokens,
+    temperature = config.ai.openai.temperature,
+    onToken,
+  }) {
+    if (!this.isAvailable()) {
+      await this.initialize();
+      if (!this.isAvailable()) {
+        throw new Error('OpenAI service not available');
+      }
+    }
+
+    let streaming = false;
+    let text = '';
+    let usage = null;
+    let model = null;
+
+    try {
+      const startTime = Date.now();
+
+      const stream = await this.client.chat.completions.create({
+        model: config.ai.openai.model,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: maxTokens,
+        temperature,
+        stream: true,
+        stream_options: { include_usage: true },
+      });
+      streaming = true;
+
+      let finishReason = null;
+
+      for await (const chunk of stream) {
+        const choice = chunk.choices?.[0];
+        const delta = choice?.delta?.content;
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+        finishReason = choice?.finish_reason || finishReason;
+        usage = chunk.usage || usage;
+        model = chunk.model || model;
+      }
+
+      // The usage chunk is optional on local servers; estimate like generate() does
+      const inputTokens = usage?.prompt_tokens ?? Math.ceil(prompt.length / 4);
+      const outputTokens = usage?.completion_tokens ?? Math.ceil(text.length / 4);
+
+      this.requestCount++;
+      this.tokenCount += inputTokens + outputTokens;
+
+      const generation = {
+        text,
+        usage: {
+          inputTokens,
+          outputTokens,
+          totalTokens: inputTokens + outputTokens,
+        },
+        model: model || config.ai.openai.model,
+        responseTime: Date.now() - startTime,
+        finishReason: finishReason || 'complete',
+      };
+      reportGeneration('openai', generation);
+
+      return generation;
+    } catch (error) {
+      // A stream that broke off is still billed for what it generated
+      if (streaming) {
+        const inputTokens = usage?.prompt_tokens ?? Math.ceil(prompt.length / 4);
+        const outputTokens = usage?.completion_tokens ?? Math.ceil(text.length / 4);
+        reportGeneration('openai', {
+          usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens },
+          model: model || config.ai.openai.model,
+        });
+      }
+      console.error('OpenAI streaming error:', error.message);
+      throw new Error(`OpenAI generation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get service statistics
+   */
+  getStats() {
+    return {
+      isAvailable: this.isAvailable(),
+      requestCount: this.requestCount,
+      tokenCount: this.tokenCount,
+      model: config.ai.openai.model,
+      baseUrl: config.ai.openai.baseUrl || 'https://api.openai.com/v1',
+    };
+  }
+}
+
+// Export singleton instance
+const openaiService = new OpenAIService();
+export default openaiService;
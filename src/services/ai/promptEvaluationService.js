@@ -0,0 +1,283 @@
+/**
+ * Prompt Evaluation Service
+ * A/B comparison of two versions of a prompt template: every sample is
+ * written by the shared Writer once with each version and both drafts are scored
+ * by QualityControlAgent (validation score, optionally its AI review rating).
+ *
+ * Samples are topics ({ title, summary, content, keywords }), by default the
+ * most recently published articles. Runs go through the normal agents, so
+ * their AI usage is recorded (and budgeted) like any other Writer work.
+ */
+
+import config from '../../config/index.js';
+import { query } from '../../database/queries.js';
+import promptRegistry from './promptRegistry.js';
+import AgentRunner from '../editorial/agentRunner.js';
+import writerRunner from '../editorial/writerRunner.js';
+import QualityControlAgent from '../../agents/specialized/QualityControlAgent.js';
+
+// Writer task that exercises each evaluable template, built from a sample
+const TEMPLATE_TASKS = {
+  'article.generate': (sample, { style, length }) => ({
+    type: 'write',
+    params: {
+      topic: sample.title,
+      sources: sample.summary ? [{ title: sample.title, content: sample.summary }] : [],
+      keywords: sample.keywords || [],
+      style,
+      length,
+    },
+  }),
+  'article.rewrite': (sample, { style }) => ({
+    type: 'rewrite',
+    params: {
+      originalTitle: sample.title,
+      originalContent: sample.content,
+      newStyle: style,
+    },
+  }),
+};
+
+const round = value => Math.round(value * 1000) / 1000;
+const mean = values =>
+  values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+
+class PromptEvaluationService {
+  constructor() {
+    this.qualityControl = new AgentRunner(
+      'qualityControl',
+      () => new QualityControlAgent(config.agents.qualityControl)
+    );
+    this.logger = console;
+  }
+
+  /**
+   * Templates that can be evaluated
+   * @returns {Array<string>} Template names
+   */
+  getEvaluableTemplates() {
+    return Object.keys(TEMPLATE_TASKS);
+  }
+
+  /**
+   * Compare two versions of a template on a sample
+   * @param {Object} options - Evaluation options
+   * @param {string} options.template - Template name (see getEvaluableTemplates)
+   * @param {Array<string>} options.versions - The two versions to compare, e.g. ['v1', 'v2']
+   * @param {Array<Object>} [options.samples] - Samples: { title, summary, content, keywords }
+   * @param {number} [options.sampleSize=5] - Recent published articles to use when no samples are given
+   * @param {string} [options.style='professional'] - Writer style
+   * @param {string} [options.length='medium'] - Writer length (article.generate)
+   * @param {boolean} [options.includeReview=false] - Also ask QualityControl for an AI review rating (1-10)
+   * @returns {Promise<Object>} { template, versions, summary, comparison, samples }
+   * @throws {Error} If the template cannot be evaluated, a version is unknown or there are no samples
+   */
+  async compare({
+    template,
+    versions,
+    samples,
+    sampleSize = 5,
+    style = 'professional',
+    length = 'medium',
+    includeReview = false,
+  }) {
+    const buildTask = TEMPLATE_TASKS[template];
+    if (!buildTask) {
+      throw new Error(
+        `Prompt ${template} cannot be evaluated (supported: ${this.getEvaluableTemplates().join(', ')})`
+      );
+    }
+
+    const [versionA, versionB] = versions || [];
+    const known = Object.keys(promptRegistry.getTemplate(template).versions);
+    if (!versionA || !versionB || versionA === versionB) {
+      throw new Error('Compare two different versions');
+    }
+    [versionA, versionB].forEach(version => {
+      if (!known.includes(version)) {
+        throw new Error(
+          `Unknown version ${version} of prompt ${template} (have: ${known.join(', ')})`
+        );
+      }
+    });
+
+    const items = samples || (await this.loadSamples(sampleSize, template));
+    if (items.length === 0) {
+      throw new Error('No samples to evaluate');
+    }
+
+    this.logger.info(
+      `[PromptEvaluation] Comparing ${template} ${versionA} vs ${versionB} on ${items.length} samples`
+    );
+
+    const results = [];
+    for (const sample of items) {
+      const task = buildTask(sample, { style, length });
+      const runs = {};
+
+      // Versions run one after the other on the same sample, so they see the same conditions
+      for (const version of [versionA, versionB]) {
+        runs[version] = await this.evaluateSample(template, version, task, { includeReview });
+      }
+
+      results.push({
+        title: sample.title,
+        runs,
+        winner: this.pickWinner(runs, versionA, versionB),
+      });
+    }
+
+    return {
+      template,
+      versions: [versionA, versionB],
+      evaluatedAt: new Date().toISOString(),
+      summary: {
+        [versionA]: this.summarize(results.map(result => result.runs[versionA])),
+        [versionB]: this.summarize(results.map(result => result.runs[versionB])),
+      },
+      comparison: this.compareResults(results, versionA, versionB),
+      samples: results,
+    };
+  }
+
+  /**
+   * Write a sample with one version and score the draft
+   * Failures are returned as { error } so one bad sample does not end the run.
+   * @param {string} template - Template name
+   * @param {string} version - Template version
+   * @param {Object} task - Writer task
+   * @param {Object} options - { includeReview }
+   * @returns {Promise<Object>} Scores ({ qualityScore, recommendation, issues, warnings,
+   *   reviewRating }) and draft details ({ wordCount, tokensUsed, prompts })
+   */
+  async evaluateSample(template, version, task, { includeReview }) {
+    try {
+      const draft = await promptRegistry.runWithVersions({ [template]: version }, () =>
+        writerRunner.run(task)
+      );
+
+      const params = {
+        title: draft.headline,
+        content: draft.content,
+        excerpt: draft.excerpt,
+      };
+      const validation = await this.qualityControl.run({ type: 'validate', params });
+      const review = includeReview
+        ? await this.qualityControl.run({ type: 'review', params })
+        : null;
+
+      return {
+        qualityScore: validation.qualityScore,
+        recommendation: validation.recommendation,
+        issues: validation.issues.length,
+        warnings: validation.warnings.length,
+        reviewRating: review?.overallRating ?? null,
+        wordCount: draft.content.split(/\s+/).length,
+        tokensUsed: draft.metadata?.tokensUsed || 0,
+        prompts: draft.metadata?.prompts || [],
+      };
+    } catch (error) {
+      this.logger.warn(`[PromptEvaluation] ${template}@${version} failed:`, error.message);
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Version whose draft scored higher on a sample (review rating breaks ties)
+   * @returns {string|null} Version, 'tie', or null if either run failed
+   */
+  pickWinner(runs, versionA, versionB) {
+    const a = runs[versionA];
+    const b = runs[versionB];
+    if (a.error || b.error) return null;
+
+    const difference =
+      b.qualityScore - a.qualityScore || (b.reviewRating ?? 0) - (a.reviewRating ?? 0);
+    if (difference === 0) return 'tie';
+    return difference > 0 ? versionB : versionA;
+  }
+
+  /**
+   * Aggregate one version's runs
+   * @param {Array<Object>} runs - evaluateSample results
+   * @returns {Object} Means, approvals and failures
+   */
+  summarize(runs) {
+    const scored = runs.filter(run => !run.error);
+    const ratings = scored.map(run => run.reviewRating).filter(rating => rating !== null);
+
+    return {
+      evaluated: scored.length,
+      failed: runs.length - scored.length,
+      meanQualityScore: mean(scored.map(run => run.qualityScore)),
+      meanReviewRating: mean(ratings),
+      approved: scored.filter(run => run.recommendation === 'approve').length,
+      meanIssues: mean(scored.map(run => run.issues)),
+      meanWordCount: mean(scored.map(run => run.wordCount)),
+      tokensUsed: scored.reduce((sum, run) => sum + run.tokensUsed, 0),
+    };
+  }
+
+  /**
+   * Head-to-head comparison over samples where both versions succeeded
+   * @returns {Object} { wins, ties, meanScoreDifference (B - A), leader }
+   */
+  compareResults(results, versionA, versionB) {
+    const paired = results.filter(result => result.winner !== null);
+    const differences = paired.map(
+      result => result.runs[versionB].qualityScore - result.runs[versionA].qualityScore
+    );
+    const wins = {
+      [versionA]: paired.filter(result => result.winner === versionA).length,
+      [versionB]: paired.filter(result => result.winner === versionB).length,
+    };
+
+    let leader = null;
+    if (wins[versionA] !== wins[versionB]) {
+      leader = wins[versionA] > wins[versionB] ? versionA : versionB;
+    }
+
+    return {
+      paired: paired.length,
+      wins,
+      ties: paired.filter(result => result.winner === 'tie').length,
+      meanScoreDifference: mean(differences),
+      leader,
+    };
+  }
+
+  /**
+   * Recently published articles as samples
+   * @param {number} size - Number of samples
+   * @param {string} template - Template being evaluated (rewrites need content)
+   * @returns {Promise<Array<Object>>} Samples
+   */
+  async loadSamples(size, template) {
+    const result = await query(
+      `SELECT a.title, a.summary, ${template === 'article.rewrite' ? 'a.content' : 'NULL AS content'},
+              COALESCE(array_agg(t.name) FILTER (WHERE t.name IS NOT NULL), '{}') AS keywords
+       FROM articles a
+       LEFT JOIN article_tags at ON at.article_id = a.id
+       LEFT JOIN tags t ON t.id = at.tag_id
+       WHERE a.status = 'published'
+       GROUP BY a.id
+       ORDER BY a.published_at DESC
+       LIMIT $1`,
+      [size]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Stop the evaluation agent (the shared Writer is stopped by its owner)
+   */
+  async cleanup() {
+    await this.qualityControl.stop();
+  }
+}
+
+// Export singleton instance
+const promptEvaluationService = new PromptEvaluationService();
+export default promptEvaluationService;
+export { PromptEvaluationService };
@@ -0,0 +1,220 @@
+/**
+ * Prompt Registry
+ * Versioned prompt templates for the AI tasks (src/services/ai/prompts).
+ *
+ * A template declares the variables its callers provide and one or more
+ * versions. A version has a default text and optional provider-specific
+ * variants (e.g. XML-structured prompts for anthropic). Texts use
+ * {{variable}} placeholders and {{#variable}}...{{/variable}} sections, which
+ * are dropped when the variable is empty.
+ *
+ * The version used is, in order: the one passed to render(), one set with
+ * runWithVersions() (A/B evaluations), PROMPT_VERSIONS, or the template's
+ * active version. Rendered prompts carry an id ("article.generate@v2:anthropic")
+ * that generated artifacts record in their metadata.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import config from '../../config/index.js';
+import articlePrompts from './prompts/articles.js';
+import editingPrompts from './prompts/editing.js';
+import structuredPrompts from './prompts/structured.js';
+
+const SECTION = /\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g;
+const VARIABLE = /\{\{(\w+)\}\}/g;
+const PLACEHOLDER = /\{\{[#/]?(\w+)\}\}/g;
+
+const isEmpty = value =>
+  value === '' || value === null || value === false || (Array.isArray(value) && value.length === 0);
+
+const format = value => {
+  if (Array.isArray(value)) return value.join(', ');
+  if (value === null || value === false) return '';
+  return String(value);
+};
+
+class PromptRegistry {
+  /**
+   * @param {Object} [options] - Registry options (defaults from config.ai.prompts)
+   * @param {Array<Object>} [templates] - Template definitions (default: src/services/ai/prompts)
+   */
+  constructor(
+    options = {},
+    templates = [...articlePrompts, ...editingPrompts, ...structuredPrompts]
+  ) {
+    this.config = {
+      ...config.ai.prompts,
+      ...options,
+    };
+    this.templates = new Map();
+    this.overrides = new AsyncLocalStorage();
+    this.logger = console;
+
+    templates.forEach(template => this.register(template));
+
+    Object.entries(this.config.versions).forEach(([name, version]) => {
+      if (!this.templates.get(name)?.versions[version]) {
+        this.logger.warn(`[Prompts] Ignoring PROMPT_VERSIONS entry ${name}:${version} (unknown)`);
+      }
+    });
+  }
+
+  /**
+   * Add a template
+   * @param {Object} template - { name, description, active, variables, versions }
+   * @throws {Error} If the template is malformed or uses undeclared variables
+   */
+  register(template) {
+    const { name, active, variables = [], versions = {} } = template;
+
+    if (!name || Object.keys(versions).length === 0) {
+      throw new Error('Prompt templates need a name and at least one version');
+    }
+    if (!versions[active]) {
+      throw new Error(`Prompt ${name}: active version ${active} does not exist`);
+    }
+
+    Object.entries(versions).forEach(([version, definition]) => {
+      const texts = [definition.text, ...Object.values(definition.providers || {})];
+      const undeclared = texts
+        .flatMap(text => [...text.matchAll(PLACEHOLDER)].map(([, variable]) => variable))
+        .filter(variable => !variables.includes(variable));
+
+      if (undeclared.length > 0) {
+        throw new Error(
+          `Prompt ${name}@${version} uses undeclared variables: ${[...new Set(undeclared)].join(', ')}`
+        );
+      }
+    });
+
+    this.templates.set(name, template);
+  }
+
+  /**
+   * Get a template definition
+   * @param {string} name - Template name
+   * @returns {Object} Template
+   * @throws {Error} If there is no such template
+   */
+  getTemplate(name) {
+    const template = this.templates.get(name);
+    if (!template) {
+      throw new Error(`Unknown prompt template: ${name}`);
+    }
+    return template;
+  }
+
+  /**
+   * Version of a template used by the current call
+   * @param {string} name - Template name
+   * @returns {string} Version
+   */
+  getVersion(name) {
+    const template = this.getTemplate(name);
+    const override = this.overrides.getStore()?.[name];
+    const pinned = this.config.versions[name];
+
+    if (override) return override;
+    if (pinned && template.versions[pinned]) return pinned;
+    return template.active;
+  }
+
+  /**
+   * Run a function with template versions overridden (e.g. one side of an A/B evaluation)
+   * @param {Object} versions - { templateName: version }
+   * @param {Function} fn - Function to run
+   * @returns {*} Result of fn
+   * @throws {Error} If a template or version does not exist
+   */
+  runWithVersions(versions, fn) {
+    Object.entries(versions).forEach(([name, version]) => {
+      if (!this.getTemplate(name).versions[version]) {
+        throw new Error(`Unknown version ${version} of prompt ${name}`);
+      }
+    });
+
+    return this.overrides.run({ ...this.overrides.getStore(), ...versions }, fn);
+  }
+
+  /**
+   * Render a prompt
+   * @param {string} name - Template name
+   * @param {Object} variables - Values for every variable the template declares
+   *   (arrays are joined with ", "; use '' or [] for absent optional values)
+   * @param {Object} [options] - Options
+   * @param {string} [options.version] - Version (default: see getVersion)
+   * @param {string} [options.provider] - Provider rendering the prompt, to pick its variant
+   * @returns {Object} { text, id, name, version, variant }
+   * @throws {Error} If the version does not exist or variables are missing
+   */
+  render(name, variables, { version, provider } = {}) {
+    const template = this.getTemplate(name);
+    const selected = version || this.getVersion(name);
+    const definition = template.versions[selected];
+
+    if (!definition) {
+      throw new Error(`Unknown version ${selected} of prompt ${name}`);
+    }
+
+    const missing = template.variables.filter(variable => variables[variable] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Prompt ${name} is missing variables: ${missing.join(', ')}`);
+    }
+
+    const variant = provider && definition.providers?.[provider] ? provider : null;
+    const text = (variant ? definition.providers[variant] : definition.text)
+      .replace(SECTION, (match, variable, inner) => (isEmpty(variables[variable]) ? '' : inner))
+      .replace(VARIABLE, (match, variable) => format(variables[variable]));
+
+    return {
+      text,
+      id: `${name}@${selected}${variant ? `:${variant}` : ''}`,
+      name,
+      version: selected,
+      variant,
+    };
+  }
+
+  /**
+   * Summary of every template: versions and which one is in use
+   * @returns {Array<Object>} [{ name, description, active, current, variables, versions }]
+   */
+  list() {
+    return [...this.templates.values()].map(template => ({
+      name: template.name,
+      description: template.description,
+      active: template.active,
+      current: this.getVersion(template.name),
+      variables: template.variables,
+      versions: Object.entries(template.versions).map(([version, definition]) => ({
+        version,
+        notes: definition.notes,
+        providers: Object.keys(definition.providers || {}),
+      })),
+    }));
+  }
+
+  /**
+   * A template with the text of every version
+   * @param {string} name - Template name
+   * @returns {Object} Template summary with versions[].text and versions[].variants
+   */
+  describe(name) {
+    const template = this.getTemplate(name);
+    const summary = this.list().find(entry => entry.name === name);
+
+    return {
+      ...summary,
+      versions: summary.versions.map(entry => ({
+        ...entry,
+        text: template.versions[entry.version].text,
+        variants: template.versions[entry.version].providers || {},
+      })),
+    };
+  }
+}
+
+// Export singleton instance
+const promptRegistry = new PromptRegistry();
+export default promptRegistry;
+export { PromptRegistry };
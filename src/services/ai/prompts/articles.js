@@ -0,0 +1,292 @@
+/**
+ * Article Prompts
+ * Writing prompts: generating, rewriting, expanding and summarizing articles,
+ * headlines, length suggestions and structured (template-based) articles.
+ *
+ * Lists (keywords) are joined with ", "; {{#name}}...{{/name}} sections are
+ * only included when the variable is non-empty. See promptRegistry.
+ */
+
+export default [
+  {
+    name: 'article.generate',
+    description: 'Write an article from a topic and optional background',
+    active: 'v1',
+    variables: [
+      'topic',
+      'length',
+      'style',
+      'lengthGuideline',
+      'styleGuideline',
+      'targetAudience',
+      'keywords',
+      'context',
+    ],
+    versions: {
+      v1: {
+        notes: 'Original general-purpose article prompt',
+        text: `Write a {{length}} {{style}} article about: {{topic}}
+
+Target Length: {{lengthGuideline}}
+Writing Style: {{styleGuideline}}
+Target Audience: {{targetAudience}}
+{{#keywords}}Keywords to include: {{keywords}}{{/keywords}}
+{{#context}}Context/Background: {{context}}{{/context}}
+
+Requirements:
+- Write a compelling, well-structured article
+- Include relevant examples and explanations
+- Maintain consistent tone throughout
+- Use proper grammar and punctuation
+- Make it engaging and informative
+
+Return only the article content, no meta-commentary.`,
+      },
+      v2: {
+        notes: 'News structure (inverted pyramid), attribution and no invented details',
+        text: `You are a reporter for DigitalTide, a news site that values accuracy over flourish.
+
+Write a {{length}} news article about: {{topic}}
+
+Target Length: {{lengthGuideline}}
+Writing Style: {{styleGuideline}}
+Target Audience: {{targetAudience}}
+{{#keywords}}Keywords to work in naturally: {{keywords}}{{/keywords}}
+{{#context}}Reporting to draw on:
+{{context}}{{/context}}
+
+Structure:
+- Open with the most important facts (who, what, when, where, why) in the first paragraph
+- Follow with context, then supporting detail, in order of importance
+- Attribute claims to their sources; never invent quotes, figures or names
+- Say what is not yet known instead of speculating
+- Keep paragraphs to 2-4 sentences
+
+Return only the article text: no headline, no meta-commentary.`,
+        providers: {
+          anthropic: `You are a reporter for DigitalTide, a news site that values accuracy over flourish.
+
+<assignment>
+Write a {{length}} news article about: {{topic}}
+Target length: {{lengthGuideline}}
+Writing style: {{styleGuideline}}
+Target audience: {{targetAudience}}{{#keywords}}
+Keywords to work in naturally: {{keywords}}{{/keywords}}
+</assignment>
+{{#context}}
+<reporting>
+{{context}}
+</reporting>
+{{/context}}
+<rules>
+- Open with the most important facts (who, what, when, where, why) in the first paragraph
+- Follow with context, then supporting detail, in order of importance
+- Attribute claims to their sources; never invent quotes, figures or names
+- Say what is not yet known instead of speculating
+- Keep paragraphs to 2-4 sentences
+</rules>
+
+Return only the article text, without tags: no headline, no meta-commentary.`,
+        },
+      },
+    },
+  },
+  {
+    name: 'article.rewrite',
+    description: 'Rewrite an article in another style or angle, optionally following editor notes',
+    active: 'v1',
+    variables: ['content', 'targetStyle', 'angleInstruction', 'preservationLevel', 'instructions'],
+    versions: {
+      v1: {
+        notes: 'Original rewrite prompt',
+        text: `Rewrite the following article in a {{targetStyle}} style.
+
+{{angleInstruction}}
+
+Preserve: {{preservationLevel}}
+{{#instructions}}
+Editor's notes to address:
+{{instructions}}
+{{/instructions}}
+Original Article:
+{{content}}
+
+Requirements:
+- Rewrite in {{targetStyle}} style
+- {{angleInstruction}}{{#instructions}}
+- Address every point in the editor's notes{{/instructions}}
+- Keep the core information accurate
+- Improve clarity and engagement
+- Maintain proper structure
+
+Return only the rewritten article, no commentary.`,
+      },
+    },
+  },
+  {
+    name: 'article.expand',
+    description: 'Add a section to an existing article (JSON)',
+    active: 'v1',
+    variables: ['originalTitle', 'originalContent', 'expansionTopic', 'minWords', 'maxWords'],
+    versions: {
+      v1: {
+        notes: 'Original expansion prompt',
+        text: `Expand the following article by adding a new section on: {{expansionTopic}}
+
+Original Article:
+Title: {{originalTitle}}
+Content:
+{{originalContent}}
+
+Requirements:
+- Add {{minWords}}-{{maxWords}} words of new content
+- Maintain the same style and tone as the original
+- Integrate the new section smoothly
+- Preserve all original content
+
+Provide the expanded article in JSON format:
+{
+  "content": "Full expanded content including original and new sections",
+  "newSection": "Just the new content added",
+  "integrationPoints": "Where and how new content was integrated"
+}`,
+      },
+    },
+  },
+  {
+    name: 'article.summarize',
+    description: 'Summarize an article (sent as article.generate context)',
+    active: 'v1',
+    variables: ['content', 'maxLength'],
+    versions: {
+      v1: {
+        notes: 'Original summary instruction',
+        text: `Summarize the following article in no more than {{maxLength}} words:
+
+{{content}}`,
+      },
+    },
+  },
+  {
+    name: 'article.lengthSuggestions',
+    description: 'Suggest how to bring an article to its target length (JSON)',
+    active: 'v1',
+    variables: [
+      'content',
+      'contentType',
+      'assessment',
+      'action',
+      'currentWordCount',
+      'targetWordCount',
+    ],
+    versions: {
+      v1: {
+        notes: 'Original length optimization prompt',
+        text: `The following article is {{assessment}} for its content type ({{contentType}}).
+
+Current length: {{currentWordCount}} words
+Target length: {{targetWordCount}} words
+Action needed: {{action}}
+
+Content:
+{{content}}
+
+Provide specific suggestions in JSON format:
+{
+  "suggestions": [
+    {"section": "which part", "action": "what to do", "reasoning": "why"},
+    ...
+  ],
+  "priority": "which suggestions are most important",
+  "estimatedImpact": "how this improves the article"
+}`,
+      },
+    },
+  },
+  {
+    name: 'article.fromTemplate',
+    description: 'Write an article following a WriterAgent structure template (JSON)',
+    active: 'v1',
+    variables: [
+      'topic',
+      'templateType',
+      'templateName',
+      'structure',
+      'guidelines',
+      'tone',
+      'voice',
+      'styleStructure',
+      'sources',
+      'keyPoints',
+      'context',
+    ],
+    versions: {
+      v1: {
+        notes: 'Original structured article prompt',
+        text: `Write a {{templateName}} article following this exact structure:
+
+Template Structure: {{structure}}
+
+Guidelines:
+{{guidelines}}
+
+Writing Style:
+- Tone: {{tone}}
+- Voice: {{voice}}
+- Structure: {{styleStructure}}
+
+Topic: {{topic}}
+
+{{#sources}}Sources:
+{{sources}}{{/sources}}
+{{#keyPoints}}Key Points:
+{{keyPoints}}{{/keyPoints}}
+{{#context}}Context:
+{{context}}{{/context}}
+
+Provide the complete article in JSON format:
+{
+  "headline": "article headline",
+  "excerpt": "2-3 sentence summary",
+  "sections": [
+    {
+      "heading": "section title",
+      "content": "section content"
+    },
+    ...
+  ],
+  "fullContent": "complete article text with all sections",
+  "metadata": {
+    "template": "{{templateType}}",
+    "estimatedReadTime": number_in_minutes,
+    "wordCount": number,
+    "suggestedTags": ["tag1", "tag2"]
+  }
+}`,
+      },
+    },
+  },
+  {
+    name: 'headlines.generate',
+    description: 'Numbered headline options for a topic',
+    active: 'v1',
+    variables: ['topic', 'style', 'count'],
+    versions: {
+      v1: {
+        notes: 'Original headline prompt',
+        text: `Generate {{count}} compelling headline options for an article about: {{topic}}
+
+Style: {{style}}
+
+Requirements for each headline:
+- 50-70 characters (ideal length for SEO)
+- Include power words that grab attention
+- Make it clear and specific
+- Avoid clickbait
+- Each headline should take a different approach (question, statement, number-based, etc.)
+
+Return only the headlines, one per line, numbered 1-{{count}}.`,
+      },
+    },
+  },
+];
@@ -0,0 +1,160 @@
+/**
+ * Editing Prompts
+ * Analysis prompts that return JSON: tone and style consistency, multimedia
+ * suggestions and readability optimization. See promptRegistry.
+ */
+
+export default [
+  {
+    name: 'content.consistency',
+    description: 'Score tone, voice and style consistency against a target style (JSON)',
+    active: 'v1',
+    variables: ['content', 'targetStyle', 'targetPersonality'],
+    versions: {
+      v1: {
+        notes: 'Original consistency prompt',
+        text: `Analyze the following article for tone and style consistency.
+
+Target Style: {{targetStyle}}
+Target Personality: {{targetPersonality}}
+
+Article:
+{{content}}
+
+Analyze:
+1. Overall consistency score (0-100)
+2. Tone consistency issues
+3. Voice consistency issues
+4. Specific style problems with line references
+5. Recommendations for improvement
+
+Return your analysis in this JSON format:
+{
+  "consistencyScore": <number 0-100>,
+  "toneConsistency": {
+    "score": <number 0-100>,
+    "issues": ["<issue>", ...]
+  },
+  "voiceConsistency": {
+    "score": <number 0-100>,
+    "issues": ["<issue>", ...]
+  },
+  "styleIssues": [
+    {
+      "line": "<problematic text>",
+      "issue": "<description>",
+      "suggestion": "<how to fix>"
+    }
+  ],
+  "overallAssessment": "<brief summary>",
+  "recommendations": ["<recommendation>", ...]
+}`,
+      },
+    },
+  },
+  {
+    name: 'multimedia.suggest',
+    description: 'Images, video, infographics and interactive elements for an article (JSON)',
+    active: 'v1',
+    variables: ['topic', 'targetAudience', 'excerpt'],
+    versions: {
+      v1: {
+        notes: 'Original multimedia prompt',
+        text: `Suggest multimedia content to enhance an article about: {{topic}}
+
+Target Audience: {{targetAudience}}
+
+Article Context:
+{{excerpt}}...
+
+Suggest:
+1. Featured image (description, style, keywords)
+2. Additional images (2-3 with descriptions and placement)
+3. Video suggestions (type, description, duration, placement)
+4. Infographic ideas (title, data points, visual style)
+5. Interactive elements (quizzes, polls, calculators)
+
+Return your suggestions in this JSON format:
+{
+  "featuredImage": {
+    "description": "<detailed description>",
+    "style": "photo|illustration|graphic",
+    "keywords": ["<keyword>", ...],
+    "placement": "top"
+  },
+  "additionalImages": [
+    {
+      "description": "<description>",
+      "purpose": "<why this image>",
+      "placement": "<where in article>"
+    }
+  ],
+  "videoSuggestions": [
+    {
+      "type": "explainer|interview|tutorial|documentary",
+      "description": "<what video should show>",
+      "duration": "<suggested length>",
+      "placement": "<where in article>"
+    }
+  ],
+  "infographicIdeas": [
+    {
+      "title": "<infographic title>",
+      "dataPoints": ["<data point>", ...],
+      "visualStyle": "<suggested style>"
+    }
+  ],
+  "interactiveElements": [
+    {
+      "type": "quiz|poll|calculator|interactive graphic",
+      "description": "<what it does>",
+      "purpose": "<engagement goal>"
+    }
+  ]
+}`,
+      },
+    },
+  },
+  {
+    name: 'readability.optimize',
+    description: 'Rewrite an article for readability targets and list the changes (JSON)',
+    active: 'v1',
+    variables: ['content', 'targetAudience'],
+    versions: {
+      v1: {
+        notes: 'Original readability prompt',
+        text: `Improve the readability of the following article for a {{targetAudience}} audience.
+
+Original Article:
+{{content}}
+
+Optimize for:
+- Average sentence length: 15-20 words
+- Average paragraph length: 3-5 sentences
+- Passive voice: Less than 10%
+- Complex words: Less than 15%
+- Flesch Reading Ease: 60-70 (8th-9th grade level)
+
+Make changes to:
+1. Simplify complex sentences
+2. Break up long paragraphs
+3. Replace passive voice with active voice
+4. Use simpler word alternatives where appropriate
+5. Improve overall flow and clarity
+
+Return your response in this JSON format:
+{
+  "optimizedContent": "<improved article>",
+  "changes": [
+    {
+      "original": "<original text>",
+      "improved": "<improved text>",
+      "reason": "<why this change>"
+    }
+  ],
+  "summary": "<brief summary of improvements>"
+}`,
+      },
+    },
+  },
+];
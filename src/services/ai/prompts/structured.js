@@ -0,0 +1,28 @@
+/**
+ * Structured Output Prompts
+ * Follow-up prompt sent when a reply does not match the JSON a task asked
+ * for. See structuredOutput and promptRegistry.
+ */
+
+export default [
+  {
+    name: 'structured.repair',
+    description: 'Ask again for JSON after an invalid reply, quoting the errors',
+    active: 'v1',
+    variables: ['prompt', 'response', 'errors'],
+    versions: {
+      v1: {
+        notes: 'Original prompt repeated with the previous reply and its errors',
+        text: `{{prompt}}
+
+Your previous reply could not be used:
+{{errors}}
+
+Previous reply:
+{{response}}
+
+Reply again with only the corrected JSON, no other text.`,
+      },
+    },
+  },
+];
@@ -0,0 +1,155 @@
+/**
+ * Structured Output
+ * Schema-validated JSON generation for AI tasks that ask the model for data.
+ *
+ * A task declares a Joi schema for the reply. The JSON is read from the reply
+ * (the whole text, a ```json fence, or the outermost object or array) and
+ * validated; when either step fails the model is asked again with the errors
+ * and its previous reply (prompt structured.repair), up to maxAttempts calls
+ * in total. Attempts are ordinary generate() calls, so repairs are recorded
+ * and budgeted like any other call. Validated data has Joi's conversions and
+ * defaults applied; keys the schema does not declare are kept.
+ */
+
+import config from '../../config/index.js';
+import promptRegistry from './promptRegistry.js';
+import metricsService from '../monitoring/metricsService.js';
+
+// Longest previous reply quoted back to the model in a repair prompt
+const MAX_QUOTED_RESPONSE = 4000;
+
+/**
+ * Error raised when no attempt produced valid output
+ * (code INVALID_JSON: the last reply was not JSON; SCHEMA_MISMATCH: it did not match the schema)
+ */
+export class StructuredOutputError extends Error {
+  constructor(message, { code, schema, attempts, details = [], rawResponse = null }) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.statusCode = 502;
+    this.code = code;
+    this.schema = schema;
+    this.attempts = attempts;
+    this.details = details;
+    this.rawResponse = rawResponse;
+  }
+}
+
+/**
+ * Read JSON from a model reply
+ * @param {string} text - Reply text
+ * @returns {Object} { value } or { error }
+ */
+export function parseJson(text) {
+  const candidates = [text.trim()];
+
+  const fenced = text.match(/```(?:json)?\s*\n([\s\S]*?)\n\s*```/i);
+  if (fenced) candidates.push(fenced[1]);
+
+  const start = text.search(/[[{]/);
+  const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+  if (start >= 0 && end > start) candidates.push(text.slice(start, end + 1));
+
+  let error = 'The reply contains no JSON';
+  for (const candidate of candidates) {
+    try {
+      return { value: JSON.parse(candidate) };
+    } catch (parseError) {
+      if (start >= 0) error = `The reply is not valid JSON (${parseError.message})`;
+    }
+  }
+  return { error };
+}
+
+/**
+ * Parse and validate a model reply
+ * @param {Object} schema - Joi schema
+ * @param {string} text - Reply text
+ * @returns {Object} { value } or { code, details }
+ */
+export function checkResponse(schema, text) {
+  const parsed = parseJson(text);
+  if (parsed.error) {
+    return { code: 'INVALID_JSON', details: [parsed.error] };
+  }
+
+  const { value, error } = schema.validate(parsed.value, { abortEarly: false, allowUnknown: true });
+  if (error) {
+    return { code: 'SCHEMA_MISMATCH', details: error.details.map(detail => detail.message) };
+  }
+  return { value };
+}
+
+/**
+ * Generate JSON that matches a schema, re-prompting with the errors when it does not
+ * @param {Function} generate - ({ prompt, maxTokens, temperature }) => Promise<{ text, usage, ... }>
+ * @param {Object} params - Generation parameters
+ * @param {string} params.prompt - Prompt asking for JSON
+ * @param {Object} params.schema - Joi schema of the reply
+ * @param {string} [params.name='output'] - What is generated (errors, logs and metrics)
+ * @param {number} [params.maxAttempts] - Calls before giving up (default: AI_STRUCTURED_MAX_ATTEMPTS)
+ * @param {number} [params.maxTokens] - Maximum tokens per call
+ * @param {number} [params.temperature] - Sampling temperature
+ * @param {Function} [params.onToken] - Stream each attempt's reply (passed on to generate)
+ * @param {Function} [params.onRepair] - Called with { attempt, details } before a re-prompt, so
+ *   streaming consumers can discard the invalid reply
+ * @returns {Promise<Object>} The last generate() result with data (validated JSON), attempts
+ *   and usage summed over every attempt
+ * @throws {TypeError} If maxAttempts is not a positive integer
+ * @throws {StructuredOutputError} If every attempt failed parsing or validation
+ */
+export async function generateStructured(
+  generate,
+  {
+    prompt,
+    schema,
+    name = 'output',
+    maxAttempts = config.ai.structuredOutput.maxAttempts,
+    onRepair = null,
+    ...params
+  }
+) {
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+    throw new TypeError(`maxAttempts must be a positive integer (got ${maxAttempts})`);
+  }
+
+  const usage = { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+  let request = prompt;
+  let failure;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const response = await generate({ ...params, prompt: request });
+    Object.keys(usage).forEach(key => {
+      usage[key] += response.usage?.[key] || 0;
+    });
+
+    const result = checkResponse(schema, response.text);
+    if (!result.code) {
+      metricsService.recordAIStructuredOutput(name, attempt === 1 ? 'valid' : 'repaired');
+      return { ...response, data: result.value, attempts: attempt, usage };
+    }
+
+    failure = { ...result, rawResponse: response.text };
+    console.warn(
+      `[StructuredOutput] Invalid ${name} (attempt ${attempt}/${maxAttempts}): ${result.details.join('; ')}`
+    );
+
+    if (attempt < maxAttempts) {
+      if (onRepair) {
+        onRepair({ attempt: attempt + 1, details: result.details });
+      }
+
+      request = promptRegistry.render('structured.repair', {
+        prompt,
+        response: response.text.slice(0, MAX_QUOTED_RESPONSE),
+        errors: result.details.map(detail => `- ${detail}`).join('\n'),
+      }).text;
+    }
+  }
+
+  metricsService.recordAIStructuredOutput(name, 'failed');
+  throw new StructuredOutputError(
+    `No valid ${name} after ${maxAttempts} attempts: ${failure.details.join('; ')}`,
+    { ...failure, schema: name, attempts: maxAttempts }
+  );
+}
@@ -2,15 +2,39 @@
  * Unified AI Service
  * Provides intelligent multi-provider AI integration with automatic fallback
  *
- * Provider Priority:
+ * Providers are tried in order: the preferred one (AI_PROVIDER), then
+ * AI_FALLBACK_ORDER (default):
  * 1. Gemini (Free tier - 15 req/min)
  * 2. Claude (Paid - Best quality)
- * 3. OpenAI (Paid - Alternative)
+ * 3. OpenAI (Paid - Alternative), or a local OpenAI-compatible server
+ *
+ * The mock provider (AI_PROVIDER=mock) answers deterministically without
+ * network access, so agents run offline and in CI.
+ *
+ * Every call is priced and recorded by aiUsageService. Near a budget the
+ * cheapest providers are tried first; past it only free providers are used.
+ *
+ * Tasks that need JSON use generateStructured(): the reply is validated
+ * against a schema and the model re-prompted with the errors (structuredOutput).
  */
 
 import config from '../../config/index.js';
 import geminiService from './geminiService.js';
 import claudeService from './claudeService.js';
+import openaiService from './openaiService.js';
+import mockAIService from './mockAIService.js';
+import aiUsageService from './aiUsageService.js';
+import AIBudgetExceededError from './AIBudgetExceededError.js';
+import { runWithUsageContext, getUsageContext } from './usageContext.js';
+import { generateStructured, StructuredOutputError } from './structuredOutput.js';
+
+// Whether each provider has the settings it needs
+const PROVIDER_CONFIGURED = {
+  gemini: () => Boolean(config.ai.gemini.apiKey),
+  anthropic: () => Boolean(config.ai.anthropic.apiKey),
+  openai: () => Boolean(config.ai.openai.apiKey || config.ai.openai.baseUrl),
+  mock: () => true,
+};
 
 class UnifiedAIService {
   constructor() {
@@ -18,10 +42,12 @@ class UnifiedAIService {
       gemini: geminiService,
       anthropic: claudeService,
       claude: claudeService, // Alias
+      openai: openaiService,
+      mock: mockAIService,
     };
 
     this.preferredProvider = config.ai.preferredProvider || 'gemini';
-    this.fallbackOrder = ['gemini', 'anthropic', 'openai'];
+    this.fallbackOrder = config.ai.fallbackOrder;
     this.providerStatus = {};
     this.stats = {
       totalRequests: 0,
@@ -31,50 +57,65 @@ class UnifiedAIService {
     };
   }
 
+  /**
+   * Providers in the order they are tried: preferred first, then the fallback order
+   * @returns {Array<string>} Provider names
+   */
+  getProviderOrder() {
+    const canonical = name => (name === 'claude' ? 'anthropic' : name);
+    return [...new Set([this.preferredProvider, ...this.fallbackOrder].map(canonical))].filter(
+      name => this.providers[name]
+    );
+  }
+
   /**
    * Initialize all available providers
    */
   async initialize() {
     const results = {};
+    const order = this.getProviderOrder();
+
+    for (const name of order) {
+      if (!PROVIDER_CONFIGURED[name]()) {
+        results[name] = 'not_configured';
+        this.providerStatus[name] = false;
+        continue;
+      }
 
-    // Initialize Gemini (free tier)
-    if (config.ai.gemini.apiKey) {
       try {
-        const success = await geminiService.initialize();
-        results.gemini = success ? 'available' : 'unavailable';
-        this.providerStatus.gemini = success;
+        const success = await this.providers[name].initialize();
+        results[name] = success ? 'available' : 'unavailable';
+        this.providerStatus[name] = success;
       } catch (error) {
-        console.warn('Gemini initialization failed:', error.message);
-        results.gemini = 'unavailable';
-        this.providerStatus.gemini = false;
+        console.warn(`${name} initialization failed:`, error.message);
+        results[name] = 'unavailable';
+        this.providerStatus[name] = false;
       }
-    } else {
-      results.gemini = 'not_configured';
-      this.providerStatus.gemini = false;
     }
 
-    // Initialize Claude (paid)
-    if (config.ai.anthropic.apiKey) {
-      try {
-        const success = await claudeService.initialize();
-        results.anthropic = success ? 'available' : 'unavailable';
-        this.providerStatus.anthropic = success;
-      } catch (error) {
-        console.warn('Claude initialization failed:', error.message);
-        results.anthropic = 'unavailable';
-        this.providerStatus.anthropic = false;
+    // In record mode the mock forwards prompts to a real provider and saves the replies
+    if (this.providerStatus.mock && config.ai.mock.mode === 'record') {
+      const recordProvider = config.ai.mock.recordProvider;
+      if (recordProvider !== 'mock' && this.providerStatus[recordProvider]) {
+        mockAIService.setRecorder(this.providers[recordProvider]);
+      } else {
+        console.warn(`Mock AI record mode needs an available ${recordProvider} provider`);
+        results.mock = 'unavailable';
+        this.providerStatus.mock = false;
       }
-    } else {
-      results.anthropic = 'not_configured';
-      this.providerStatus.anthropic = false;
     }
 
     // Log initialization results
+    const labels = {
+      gemini: 'Gemini (Free): ',
+      anthropic: 'Claude (Paid): ',
+      openai: 'OpenAI:        ',
+      mock: 'Mock (Offline):',
+    };
     console.log('\n🤖 AI Services Status:');
-    console.log(`   Gemini (Free):  ${this.getStatusEmoji(results.gemini)} ${results.gemini}`);
-    console.log(
-      `   Claude (Paid):  ${this.getStatusEmoji(results.anthropic)} ${results.anthropic}`
-    );
+    order.forEach(name => {
+      console.log(`   ${labels[name]} ${this.getStatusEmoji(results[name])} ${results[name]}`);
+    });
     console.log(`   Preferred:      ${this.preferredProvider}\n`);
 
     return results;
@@ -105,7 +146,7 @@ class UnifiedAIService {
     }
 
     // Try fallback order
-    for (const providerName of this.fallbackOrder) {
+    for (const providerName of this.getProviderOrder()) {
       if (this.providerStatus[providerName]) {
         const provider = this.providers[providerName];
         if (provider && provider.isAvailable()) {
@@ -120,21 +161,105 @@ class UnifiedAIService {
     throw new Error('No AI providers available');
   }
 
+  /**
+   * Price of a provider's model (input + output USD per million tokens)
+   * @param {string} providerName - Provider name
+   * @returns {number|null} Price, or null if the model has no configured price
+   */
+  getProviderPrice(providerName) {
+    const model = this.providers[providerName].getStats().model || providerName;
+    const price = aiUsageService.getPrice(model);
+    return price ? price.input + price.output : null;
+  }
+
+  /**
+   * Providers to try under the current budgets
+   * @param {Object} budget - aiUsageService.checkBudget() result
+   * @returns {Array<string>} Provider names
+   */
+  getBudgetedProviderOrder(budget) {
+    const order = this.getProviderOrder();
+    if (budget.status === 'ok') return order;
+
+    const prices = Object.fromEntries(order.map(name => [name, this.getProviderPrice(name)]));
+
+    if (budget.status === 'exceeded') {
+      return order.filter(name => prices[name] === 0);
+    }
+
+    // Cheapest first; unpriced providers last, in their configured order
+    return [...order].sort((a, b) => (prices[a] ?? Infinity) - (prices[b] ?? Infinity));
+  }
+
+  /**
+   * Record the provider calls made for a request
+   * @param {Array<Object>} calls - Reported generations: { provider, usage, model }
+   * @param {string} method - unifiedAIService method
+   * @param {string} providerName - Provider that served the request
+   */
+  async recordUsage(calls, method, providerName) {
+    for (const call of calls) {
+      await aiUsageService.record({
+        provider: call.provider,
+        model: call.model,
+        operation: method,
+        usage: call.usage,
+        fallbackUsed: providerName !== this.preferredProvider,
+      });
+    }
+  }
+
   /**
    * Execute with automatic fallback
    */
   async executeWithFallback(method, params) {
     const errors = [];
+    const invalidOutputs = [];
+
+    const { agent } = getUsageContext();
+    const budget = await aiUsageService.checkBudget(agent);
+    const order = this.getBudgetedProviderOrder(budget);
+
+    if (budget.status === 'exceeded' && order.length === 0) {
+      this.stats.failedRequests++;
+      aiUsageService.recordBudgetAction('refused', budget.scope);
+      throw new AIBudgetExceededError(
+        `AI budget exceeded (${budget.scope} ${budget.period}: ` +
+          `$${budget.spend} of $${budget.limit}) and no free provider is available`,
+        budget
+      );
+    }
+    if (budget.status !== 'ok') {
+      aiUsageService.recordBudgetAction('downgraded', budget.scope);
+    }
 
     // Try each provider in order
-    for (const providerName of this.fallbackOrder) {
+    for (const providerName of order) {
       if (!this.providerStatus[providerName]) continue;
 
       const provider = this.providers[providerName];
-      if (!provider || !provider.isAvailable()) continue;
+      if (!provider || !provider.isAvailable() || typeof provider[method] !== 'function') continue;
+
+      // Calls are recorded whether or not the task succeeds: failed parsing is still billed
+      const calls = [];
+
+      // Text already streamed cannot be taken back, so a stream that fails part-way is not retried
+      let streamed = false;
+      const request = params.onToken
+        ? {
+            ...params,
+            onToken: text => {
+              streamed = true;
+              params.onToken(text);
+            },
+          }
+        : params;
 
       try {
-        const result = await provider[method](params);
+        const result = await runWithUsageContext({ generations: calls }, () =>
+          provider[method](request)
+        );
+        await this.recordUsage(calls, method, providerName);
 
         // Track success
         this.stats.totalRequests++;
@@ -146,7 +271,15 @@ class UnifiedAIService {
           fallbackUsed: providerName !== this.preferredProvider,
         };
       } catch (error) {
+        await this.recordUsage(calls, method, providerName);
         errors.push({ provider: providerName, error: error.message });
+        if (error instanceof StructuredOutputError) invalidOutputs.push(error);
+
+        if (streamed) {
+          this.stats.failedRequests++;
+          throw new Error(`${providerName} failed while streaming: ${error.message}`);
+        }
+
         console.warn(`${providerName} failed, trying next provider:`, error.message);
         continue;
       }
@@ -154,12 +287,52 @@ class UnifiedAIService {
 
     // All providers failed
     this.stats.failedRequests++;
+
+    // Every provider answered, but never with valid JSON: keep the typed error
+    if (invalidOutputs.length > 0 && invalidOutputs.length === errors.length) {
+      throw invalidOutputs[invalidOutputs.length - 1];
+    }
+
     const errorMsg = errors.map(e => `${e.provider}: ${e.error}`).join('; ');
     throw new Error(`All AI providers failed: ${errorMsg}`);
   }
 
   /**
-   * Generate article content
+   * Generate text from a free-form prompt
+   * @param {Object} params - { prompt, maxTokens, temperature }
+   * @returns {Promise<Object>} { text, usage, model, responseTime, finishReason, provider }
+   */
+  async generate(params) {
+    return this.executeWithFallback('generate', params);
+  }
+
+  /**
+   * Generate text from a prompt, passing chunks to onToken as they arrive
+   * Falls back to the next provider only until the first chunk has been sent.
+   * @param {Object} params - { prompt, maxTokens, temperature, onToken }
+   * @returns {Promise<Object>} { text, usage, model, responseTime, finishReason, provider }
+   */
+  async generateStream(params) {
+    return this.executeWithFallback('generateStream', params);
+  }
+
+  /**
+   * Generate JSON matching a schema; every attempt is a generate() call with fallback
+   * @param {Object} params - { prompt, schema, name, maxAttempts, maxTokens, temperature }
+   *   (schema: Joi schema of the reply; name: what is generated, for errors and metrics)
+   *   With onToken, attempts are streamed (see structuredOutput for onRepair).
+   * @returns {Promise<Object>} { data, attempts, text, usage (all attempts), model, provider, ... }
+   * @throws {StructuredOutputError} If no attempt produced valid JSON
+   */
+  async generateStructured(params) {
+    return generateStructured(
+      request => (request.onToken ? this.generateStream(request) : this.generate(request)),
+      params
+    );
+  }
+
+  /**
+   * Generate article content (streamed to params.onToken when given)
    */
   async generateArticle(params) {
     return this.executeWithFallback('generateArticle', params);
@@ -211,7 +384,10 @@ class UnifiedAIService {
       providers: {
         gemini: this.providerStatus.gemini ? geminiService.getStats() : null,
         anthropic: this.providerStatus.anthropic ? claudeService.getStats() : null,
+        openai: this.providerStatus.openai ? openaiService.getStats() : null,
+        mock: this.providerStatus.mock ? mockAIService.getStats() : null,
       },
+      accounting: aiUsageService.getStats(),
     };
   }
 
@@ -244,12 +420,20 @@ class UnifiedAIService {
         status: this.providerStatus.anthropic ? 'available' : 'unavailable',
       },
       openai: {
-        name: 'OpenAI GPT-4',
-        cost: 'PAID ($2.50-10 per million tokens)',
+        name: config.ai.openai.baseUrl ? 'OpenAI-compatible server' : 'OpenAI GPT-4',
+        cost: config.ai.openai.baseUrl ? 'Self-hosted' : 'PAID ($2.50-10 per million tokens)',
         quality: 'Excellent',
         speed: 'Fast',
-        bestFor: 'General purpose, coding, analysis',
-        status: 'not_implemented',
+        bestFor: 'General purpose, coding, analysis; local models for offline work',
+        status: this.providerStatus.openai ? 'available' : 'unavailable',
+      },
+      mock: {
+        name: 'Mock (record/replay)',
+        cost: 'FREE (no network access)',
+        quality: 'Canned or recorded responses',
+        speed: 'Instant',
+        bestFor: 'Offline development, CI, reproducible agent runs',
+        status: this.providerStatus.mock ? 'available' : 'unavailable',
       },
     };
   }
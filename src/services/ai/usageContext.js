@@ -0,0 +1,41 @@
+/**
+ * AI Usage Context
+ * Carries who an AI call is made for (agent, workflow run, article) through
+ * async code, so unifiedAIService can attribute usage without every agent
+ * method passing it along. Nested contexts inherit the fields they do not set.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with usage attribution
+ * @param {Object} context - Fields to set: { agent, workflowRunId, articleId }
+ *   (undefined and null fields are inherited from the enclosing context)
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export const runWithUsageContext = (context, fn) => {
+  const fields = Object.fromEntries(
+    Object.entries(context).filter(([, value]) => value !== undefined && value !== null)
+  );
+  return storage.run({ ...storage.getStore(), ...fields }, fn);
+};
+
+/**
+ * Current usage attribution
+ * @returns {Object} { agent, workflowRunId, articleId } (fields may be missing)
+ */
+export const getUsageContext = () => storage.getStore() || {};
+
+/**
+ * Report a completed provider call to the enclosing unifiedAIService request
+ * Providers call this from generate(), so requests that make several calls
+ * (or forward to another provider) are all counted.
+ * @param {string} provider - Provider name
+ * @param {Object} result - generate() result: { usage, model }
+ */
+export const reportGeneration = (provider, { usage, model }) => {
+  getUsageContext().generations?.push({ provider, usage, model });
+};
@@ -13,9 +13,17 @@
  * - 0.70-0.89: Tier 2 Reliable sources
  * - 0.50-0.69: Tier 3 Supplementary sources
  * - 0.00-0.49: Unacceptable sources
+ *
+ * Evaluations, article quality signals, admin tier overrides and the blocklist
+ * are persisted in Postgres (migration 005). initialize() loads them at startup,
+ * before the first crawl; load() reloads them.
  */
 
 import redisCache from '../cache/redisCache.js';
+import { query } from '../../database/queries.js';
+
+// Tiers an admin can assign with an override
+const OVERRIDE_TIERS = ['1', '2', '3', 'unknown', 'blocked'];
 
 class CredibilityService {
   constructor() {
@@ -136,6 +144,10 @@ class CredibilityService {
     // Source history tracking
     this.sourceHistory = new Map();
 
+    // Admin overrides by domain: { tier, score, reason }
+    this.overrides = new Map();
+    this.loaded = false;
+
     // Statistics
     this.stats = {
       evaluationsPerformed: 0,
@@ -181,7 +193,7 @@ class CredibilityService {
     } else if (this.sourceHistory.has(sourceDomain)) {
       const history = this.sourceHistory.get(sourceDomain);
       if (history.articles.length >= this.config.minArticlesForHistory) {
-        historicalScore = this.calculateHistoricalScore(history);
+        historicalScore = this.calculateHistoricalScore(this.getHistoryMetrics(history));
       }
     }
 
@@ -202,15 +214,17 @@ class CredibilityService {
       recencyFactor * this.config.weights.recencyFactor +
       baseScore * this.config.weights.communityTrust; // Community trust placeholder
 
-    // Clamp to 0-1 range
-    const clampedScore = Math.max(0, Math.min(1, finalScore));
+    // Clamp to 0-1 range (an admin score override wins)
+    const override = this.overrides.get(sourceDomain) || null;
+    const clampedScore = override?.score ?? Math.max(0, Math.min(1, finalScore));
 
     const result = {
       score: Math.round(clampedScore * 100) / 100,
       tier: tierEvaluation.tier,
       domain: sourceDomain,
       name: name || sourceDomain,
-      confidence: this.calculateConfidence(sourceDomain, recentArticles.length),
+      confidence: override ? 1.0 : this.calculateConfidence(sourceDomain, recentArticles.length),
+      override,
       factors: {
         tierClassification: Math.round(tierEvaluation.baseScore * 100) / 100,
         historicalPerformance: Math.round(historicalScore * 100) / 100,
@@ -242,7 +256,7 @@ class CredibilityService {
     const domainLower = domain.toLowerCase();
     const nameLower = name.toLowerCase();
 
-    // Check blocked first
+    // Check blocked first; a tier override does not unblock a domain
     if (this.isBlocked(domainLower)) {
       this.stats.blockedCount++;
       return {
@@ -252,6 +266,12 @@ class CredibilityService {
       };
     }
 
+    // Admin tier override replaces the built-in classification
+    const override = this.overrides.get(domainLower);
+    if (override?.tier) {
+      return this.classifyOverride(override);
+    }
+
     // Tier 1: Premium sources
     if (this.isTier1(domainLower, nameLower)) {
       this.stats.tier1Count++;
@@ -290,6 +310,28 @@ class CredibilityService {
     };
   }
 
+  /**
+   * Tier classification for an admin override
+   * @param {Object} override - Override ({ tier, reason })
+   * @returns {Object} Tier classification
+   */
+  classifyOverride(override) {
+    const baseScores = {
+      1: this.config.tier1BaseScore,
+      2: this.config.tier2BaseScore,
+      3: this.config.tier3BaseScore,
+      unknown: this.config.unknownBaseScore,
+      blocked: 0.0,
+    };
+    const tier = ['1', '2', '3'].includes(override.tier) ? Number(override.tier) : override.tier;
+
+    return {
+      tier,
+      baseScore: baseScores[tier],
+      reason: `Manual override${override.reason ? `: ${override.reason}` : ''}`,
+    };
+  }
+
   /**
    * Calculate historical performance score
    * @param {Object} historicalData - Historical metrics
@@ -316,6 +358,23 @@ class CredibilityService {
     return Math.max(0, Math.min(1, performanceScore));
   }
 
+  /**
+   * Summarize tracked source history as historical metrics
+   * @param {Object} history - Source history entry
+   * @returns {Object} Metrics for calculateHistoricalScore
+   */
+  getHistoryMetrics(history) {
+    const { articles } = history;
+    const successful = articles.filter(article => article.success).length;
+
+    return {
+      articleCount: articles.length,
+      successRate: articles.length > 0 ? successful / articles.length : 1.0,
+      avgQuality: history.avgQuality,
+      errorRate: articles.length > 0 ? 1 - successful / articles.length : 0.0,
+    };
+  }
+
   /**
    * Calculate content quality score from recent articles
    * @param {Array} articles - Recent articles
@@ -452,6 +511,25 @@ class CredibilityService {
     const domain = this.extractDomain(article.url || article.link);
     if (!domain) return;
 
+    this.addToHistory(domain, {
+      timestamp: Date.now(),
+      quality: article.quality || article.curationScore || 0.5,
+      success: article.success !== false,
+    });
+
+    // Clear cache for this domain
+    if (this.config.cacheEnabled) {
+      this.clearCachedCredibility(domain);
+    }
+  }
+
+  /**
+   * Add a quality signal to a domain's in-memory history
+   * @param {string} domain - Source domain
+   * @param {Object} entry - Signal ({ timestamp, quality, success })
+   * @returns {void}
+   */
+  addToHistory(domain, entry) {
     if (!this.sourceHistory.has(domain)) {
       this.sourceHistory.set(domain, {
         domain,
@@ -468,15 +546,11 @@ class CredibilityService {
     const history = this.sourceHistory.get(domain);
 
     // Add article to history
-    history.articles.push({
-      timestamp: Date.now(),
-      quality: article.quality || article.curationScore || 0.5,
-      success: article.success !== false,
-    });
+    history.articles.push(entry);
 
     // Update counters
     history.totalArticles++;
-    if (article.success !== false) {
+    if (entry.success) {
       history.successfulArticles++;
     } else {
       history.failedArticles++;
@@ -491,11 +565,6 @@ class CredibilityService {
     // Keep only recent articles (performance window)
     const cutoff = Date.now() - this.config.performanceWindow;
     history.articles = history.articles.filter(a => a.timestamp > cutoff);
-
-    // Clear cache for this domain
-    if (this.config.cacheEnabled) {
-      this.clearCachedCredibility(domain);
-    }
   }
 
   /**
@@ -594,6 +663,485 @@ class CredibilityService {
     redisCache.del(cacheKey);
   }
 
+  /**
+   * Normalize a domain or URL to a bare lowercase hostname
+   * @param {string} input - Domain or URL
+   * @returns {string} Domain
+   */
+  normalizeDomain(input) {
+    if (!input) return '';
+    if (input.includes('://')) return this.extractDomain(input).toLowerCase();
+    return input
+      .toLowerCase()
+      .trim()
+      .replace(/^www\./, '');
+  }
+
+  /**
+   * Load the blocklist, overrides and recent quality signals from the database
+   * Replaces in-memory history with the persisted signals in the performance window.
+   * @returns {Promise<Object>} Counts of loaded records
+   */
+  async load() {
+    const windowSeconds = Math.floor(this.config.performanceWindow / 1000);
+
+    const [blocklistResult, overridesResult, signalsResult] = await Promise.all([
+      query('SELECT domain FROM source_blocklist'),
+      query(
+        `SELECT domain, override_tier, override_score, override_reason
+         FROM source_credibility
+         WHERE override_tier IS NOT NULL OR override_score IS NOT NULL`
+      ),
+      query(
+        `SELECT domain, quality, success, recorded_at
+         FROM source_quality_signals
+         WHERE recorded_at > NOW() - make_interval(secs => $1)
+         ORDER BY recorded_at`,
+        [windowSeconds]
+      ),
+    ]);
+
+    // The table is seeded with the built-in list, so it replaces it
+    this.blockedSources = new Set(blocklistResult.rows.map(row => row.domain));
+
+    this.overrides.clear();
+    overridesResult.rows.forEach(row => {
+      this.overrides.set(row.domain, this.formatOverride(row));
+    });
+
+    this.sourceHistory.clear();
+    this.stats.sourcesTracked = 0;
+    signalsResult.rows.forEach(row => {
+      this.addToHistory(row.domain, {
+        timestamp: new Date(row.recorded_at).getTime(),
+        quality: parseFloat(row.quality),
+        success: row.success,
+      });
+    });
+
+    this.loaded = true;
+
+    return {
+      blocked: blocklistResult.rows.length,
+      overrides: overridesResult.rows.length,
+      signals: signalsResult.rows.length,
+    };
+  }
+
+  /**
+   * Load persisted state at startup (failures are logged; loading is retried on first use)
+   * @returns {Promise<boolean>} Whether the persisted state was loaded
+   */
+  async initialize() {
+    try {
+      const counts = await this.load();
+      this.logger.log(
+        `✅ Credibility service initialized (${counts.blocked} blocked, ` +
+          `${counts.overrides} overrides, ${counts.signals} signals)`
+      );
+      return true;
+    } catch (error) {
+      this.logger.error('❌ Failed to load source credibility state:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Load persisted state once
+   * @returns {Promise<void>}
+   */
+  async ensureLoaded() {
+    if (!this.loaded) {
+      await this.load();
+    }
+  }
+
+  /**
+   * Record article quality signals in history and the database
+   * @param {Array<Object>} articles - Articles with url/link and quality or curationScore
+   * @returns {Promise<number>} Number of signals recorded
+   */
+  async recordSignals(articles) {
+    await this.ensureLoaded();
+
+    const signals = articles
+      .map(article => ({
+        domain: this.extractDomain(article.url || article.link),
+        url: article.url || article.link,
+        quality: Math.max(0, Math.min(1, article.quality || article.curationScore || 0.5)),
+        success: article.success !== false,
+      }))
+      .filter(signal => signal.domain);
+
+    if (signals.length === 0) {
+      return 0;
+    }
+
+    signals.forEach(signal => this.updateSourceHistory(signal));
+
+    const values = [];
+    const placeholders = signals.map((signal, index) => {
+      const offset = index * 4;
+      values.push(signal.domain, signal.url, signal.quality.toFixed(2), signal.success);
+      return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4})`;
+    });
+
+    await query(
+      `INSERT INTO source_quality_signals (domain, article_url, quality, success)
+       VALUES ${placeholders.join(', ')}`,
+      values
+    );
+
+    return signals.length;
+  }
+
+  /**
+   * Evaluate a domain and persist the result
+   * @param {string} domain - Source domain
+   * @param {Object} [options] - Options
+   * @param {string} [options.name] - Source name (used for name-based tier matching)
+   * @returns {Promise<Object>} Credibility evaluation
+   */
+  async evaluateDomain(domain, { name = '' } = {}) {
+    await this.ensureLoaded();
+
+    const evaluation = this.calculateCredibility({ domain: this.normalizeDomain(domain), name });
+    await this.persistEvaluation(evaluation);
+
+    return evaluation;
+  }
+
+  /**
+   * Store an evaluation and sync sources.credibility_score for the domain
+   * @param {Object} evaluation - Result of calculateCredibility
+   * @returns {Promise<void>}
+   */
+  async persistEvaluation(evaluation) {
+    const history = this.sourceHistory.get(evaluation.domain);
+
+    await query(
+      `INSERT INTO source_credibility (
+         domain, name, tier, score, confidence, factors, articles_tracked, last_evaluated_at
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+       ON CONFLICT (domain) DO UPDATE
+       SET name = COALESCE(EXCLUDED.name, source_credibility.name),
+           tier = EXCLUDED.tier,
+           score = EXCLUDED.score,
+           confidence = EXCLUDED.confidence,
+           factors = EXCLUDED.factors,
+           articles_tracked = EXCLUDED.articles_tracked,
+           last_evaluated_at = NOW()`,
+      [
+        evaluation.domain,
+        evaluation.name !== evaluation.domain ? evaluation.name : null,
+        String(evaluation.tier),
+        evaluation.score,
+        evaluation.confidence,
+        JSON.stringify(evaluation.factors),
+        history ? history.articles.length : 0,
+      ]
+    );
+
+    await query(
+      `UPDATE sources SET credibility_score = $2
+       WHERE domain = $1 OR domain = 'www.' || $1`,
+      [evaluation.domain, evaluation.score]
+    );
+  }
+
+  /**
+   * Recompute and persist credibility for every known domain
+   * Known domains are previous evaluations, domains with recent signals and active sources.
+   * @returns {Promise<Object>} { evaluated, failed, duration }
+   */
+  async recomputeAll() {
+    const startTime = Date.now();
+    await this.load();
+
+    const windowSeconds = Math.floor(this.config.performanceWindow / 1000);
+    const result = await query(
+      `SELECT domain, MAX(name) as name FROM (
+         SELECT domain, name FROM source_credibility
+         UNION ALL
+         SELECT DISTINCT domain, NULL FROM source_quality_signals
+         WHERE recorded_at > NOW() - make_interval(secs => $1)
+         UNION ALL
+         SELECT domain, name FROM sources WHERE domain IS NOT NULL AND is_active = true
+       ) known
+       GROUP BY domain`,
+      [windowSeconds]
+    );
+
+    // Collapse www. variants from the sources table onto one domain
+    const domains = new Map();
+    result.rows.forEach(row => {
+      const domain = this.normalizeDomain(row.domain);
+      if (domain && !domains.has(domain)) {
+        domains.set(domain, row.name || '');
+      }
+    });
+
+    let evaluated = 0;
+    let failed = 0;
+
+    for (const [domain, name] of domains) {
+      try {
+        await this.persistEvaluation(this.calculateCredibility({ domain, name }));
+        evaluated++;
+      } catch (error) {
+        failed++;
+        this.logger.error(`[Credibility] Failed to recompute ${domain}:`, error.message);
+      }
+    }
+
+    const duration = Date.now() - startTime;
+    this.logger.info(
+      `[Credibility] Recomputed ${evaluated} domains (${failed} failed) in ${duration}ms`
+    );
+
+    return { evaluated, failed, duration };
+  }
+
+  /**
+   * List persisted evaluations
+   * @param {Object} [options] - Filter and pagination options
+   * @param {string} [options.tier] - Only this tier
+   * @param {string} [options.search] - Domain or name contains
+   * @param {boolean} [options.overridden] - Only domains with an override
+   * @param {number} [options.page] - Page number (default: 1)
+   * @param {number} [options.limit] - Page size (default: 20)
+   * @returns {Promise<Object>} { sources, total }
+   */
+  async listEvaluations({ tier, search, overridden, page = 1, limit = 20 } = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (tier) {
+      values.push(String(tier));
+      conditions.push(`COALESCE(override_tier, tier) = $${values.length}`);
+    }
+
+    if (search) {
+      values.push(`%${search}%`);
+      conditions.push(`(domain ILIKE $${values.length} OR name ILIKE $${values.length})`);
+    }
+
+    if (overridden) {
+      conditions.push('(override_tier IS NOT NULL OR override_score IS NOT NULL)');
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [sourcesResult, countResult] = await Promise.all([
+      query(
+        `SELECT * FROM source_credibility ${where}
+         ORDER BY score DESC NULLS LAST, domain
+         LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, (page - 1) * limit]
+      ),
+      query(`SELECT COUNT(*) FROM source_credibility ${where}`, values),
+    ]);
+
+    return {
+      sources: sourcesResult.rows,
+      total: parseInt(countResult.rows[0].count),
+    };
+  }
+
+  /**
+   * Get a domain's persisted evaluation, blocklist entry and signal summary
+   * @param {string} domain - Source domain
+   * @returns {Promise<Object>} Domain details (evaluation is null if never evaluated)
+   */
+  async getDomainDetails(domain) {
+    const normalized = this.normalizeDomain(domain);
+    const windowSeconds = Math.floor(this.config.performanceWindow / 1000);
+
+    const [evaluationResult, blockResult, summaryResult, recentResult] = await Promise.all([
+      query('SELECT * FROM source_credibility WHERE domain = $1', [normalized]),
+      query('SELECT * FROM source_blocklist WHERE domain = $1', [normalized]),
+      query(
+        `SELECT COUNT(*) as count,
+                AVG(quality) as avg_quality,
+                AVG(CASE WHEN success THEN 1 ELSE 0 END) as success_rate
+         FROM source_quality_signals
+         WHERE domain = $1 AND recorded_at > NOW() - make_interval(secs => $2)`,
+        [normalized, windowSeconds]
+      ),
+      query(
+        `SELECT article_url, quality, success, recorded_at
+         FROM source_quality_signals
+         WHERE domain = $1
+         ORDER BY recorded_at DESC
+         LIMIT 20`,
+        [normalized]
+      ),
+    ]);
+
+    const summary = summaryResult.rows[0];
+
+    return {
+      domain: normalized,
+      evaluation: evaluationResult.rows[0] || null,
+      blocked: blockResult.rows[0] || null,
+      signals: {
+        count: parseInt(summary.count),
+        avgQuality: summary.avg_quality !== null ? parseFloat(summary.avg_quality) : null,
+        successRate: summary.success_rate !== null ? parseFloat(summary.success_rate) : null,
+        recent: recentResult.rows,
+      },
+    };
+  }
+
+  /**
+   * Override a domain's tier and/or score, then re-evaluate it
+   * @param {string} domain - Source domain
+   * @param {Object} override - Override values
+   * @param {string|number} [override.tier] - 1, 2, 3, unknown or blocked
+   * @param {number} [override.score] - Fixed score (0-1)
+   * @param {string} [override.reason] - Reason for the override
+   * @param {string} [userId] - Admin applying the override
+   * @returns {Promise<Object>} Updated credibility evaluation
+   */
+  async setOverride(domain, { tier = null, score = null, reason = null } = {}, userId = null) {
+    const normalized = this.normalizeDomain(domain);
+    const overrideTier = tier !== null ? String(tier) : null;
+
+    if (overrideTier !== null && !OVERRIDE_TIERS.includes(overrideTier)) {
+      throw new Error(`Invalid tier override: ${tier}`);
+    }
+
+    await this.ensureLoaded();
+
+    const result = await query(
+      `INSERT INTO source_credibility (
+         domain, override_tier, override_score, override_reason, overridden_by, overridden_at
+       )
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       ON CONFLICT (domain) DO UPDATE
+       SET override_tier = EXCLUDED.override_tier,
+           override_score = EXCLUDED.override_score,
+           override_reason = EXCLUDED.override_reason,
+           overridden_by = EXCLUDED.overridden_by,
+           overridden_at = NOW()
+       RETURNING domain, override_tier, override_score, override_reason`,
+      [normalized, overrideTier, score, reason, userId]
+    );
+
+    this.overrides.set(normalized, this.formatOverride(result.rows[0]));
+    this.logger.info(
+      `[Credibility] Override set for ${normalized} (tier: ${overrideTier}, score: ${score})`
+    );
+
+    return this.evaluateDomain(normalized);
+  }
+
+  /**
+   * Remove a domain's override, then re-evaluate it
+   * @param {string} domain - Source domain
+   * @returns {Promise<Object|null>} Updated evaluation, or null if there was no override
+   */
+  async clearOverride(domain) {
+    const normalized = this.normalizeDomain(domain);
+
+    await this.ensureLoaded();
+
+    const result = await query(
+      `UPDATE source_credibility
+       SET override_tier = NULL, override_score = NULL, override_reason = NULL,
+           overridden_by = NULL, overridden_at = NULL
+       WHERE domain = $1 AND (override_tier IS NOT NULL OR override_score IS NOT NULL)
+       RETURNING domain`,
+      [normalized]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    this.overrides.delete(normalized);
+    this.logger.info(`[Credibility] Override cleared for ${normalized}`);
+
+    return this.evaluateDomain(normalized);
+  }
+
+  /**
+   * List blocklisted domains
+   * @returns {Promise<Array>} Blocklist entries
+   */
+  async listBlocklist() {
+    const result = await query(
+      `SELECT b.domain, b.reason, b.added_by, u.email as added_by_email, b.created_at
+       FROM source_blocklist b
+       LEFT JOIN users u ON b.added_by = u.id
+       ORDER BY b.domain`
+    );
+    return result.rows;
+  }
+
+  /**
+   * Add a domain to the blocklist, then re-evaluate it
+   * @param {string} domain - Source domain
+   * @param {string} [reason] - Reason for blocking
+   * @param {string} [userId] - Admin adding the entry
+   * @returns {Promise<Object>} Updated credibility evaluation
+   */
+  async blockDomain(domain, reason = null, userId = null) {
+    const normalized = this.normalizeDomain(domain);
+
+    await this.ensureLoaded();
+
+    await query(
+      `INSERT INTO source_blocklist (domain, reason, added_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (domain) DO UPDATE SET reason = EXCLUDED.reason, added_by = EXCLUDED.added_by`,
+      [normalized, reason, userId]
+    );
+
+    this.blockedSources.add(normalized);
+    this.logger.info(`[Credibility] Blocked ${normalized}`);
+
+    return this.evaluateDomain(normalized);
+  }
+
+  /**
+   * Remove a domain from the blocklist, then re-evaluate it
+   * @param {string} domain - Source domain
+   * @returns {Promise<Object|null>} Updated evaluation, or null if the domain was not blocked
+   */
+  async unblockDomain(domain) {
+    const normalized = this.normalizeDomain(domain);
+
+    await this.ensureLoaded();
+
+    const result = await query('DELETE FROM source_blocklist WHERE domain = $1 RETURNING domain', [
+      normalized,
+    ]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    this.blockedSources.delete(normalized);
+    this.logger.info(`[Credibility] Unblocked ${normalized}`);
+
+    return this.evaluateDomain(normalized);
+  }
+
+  /**
+   * Convert an override row to its in-memory form
+   * @param {Object} row - source_credibility row
+   * @returns {Object} Override ({ tier, score, reason })
+   */
+  formatOverride(row) {
+    return {
+      tier: row.override_tier,
+      score: row.override_score !== null ? parseFloat(row.override_score) : null,
+      reason: row.override_reason,
+    };
+  }
+
   /**
    * Get service statistics
    * @returns {Object} Statistics
@@ -606,6 +1154,8 @@ class CredibilityService {
       tier2Sources: this.tier2Sources.size,
       tier3Sources: this.tier3Sources.size,
       blockedSources: this.blockedSources.size,
+      overrides: this.overrides.size,
+      loaded: this.loaded,
     };
   }
 
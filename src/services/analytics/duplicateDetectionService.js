@@ -9,12 +9,14 @@
  * - Near-duplicate detection (multiple factors)
  * - Image URL comparison
  * - Best article selection from duplicate groups
+ * - Archive-wide near-duplicate lookup (MinHash + LSH index of stored articles)
  * - Configurable similarity thresholds
  *
  * @module services/analytics/duplicateDetectionService
  */
 
 import crypto from 'crypto';
+import minHashIndex from './minHashIndex.js';
 
 class DuplicateDetectionService {
   constructor() {
@@ -24,6 +26,8 @@ class DuplicateDetectionService {
       nearDuplicate: 0.6, // 60-99% similar (high similarity) - realistic for cross-source stories
       similar: 0.4, // 40-59% similar (related articles) - realistic threshold
       different: 0.4, // <40% = different articles
+      jaccardNearDuplicate: 0.8, // Archive lookup: estimated shingle Jaccard for near-duplicates
+      jaccardSimilar: 0.5, // Archive lookup: estimated shingle Jaccard for related articles
     };
 
     // Weights for similarity factors
@@ -45,6 +49,8 @@ class DuplicateDetectionService {
       similarArticles: 0,
       uniqueArticles: 0,
       avgSimilarityScore: 0,
+      archiveLookups: 0,
+      archiveDuplicates: 0,
     };
 
     // Cache for TF-IDF vectors (for performance)
@@ -231,6 +237,69 @@ class DuplicateDetectionService {
     return groups;
   }
 
+  /**
+   * Find stored articles similar to an article using the MinHash index
+   * Sub-linear in archive size: only articles sharing an LSH bucket are compared.
+   * @param {Object} article - Article to check (stored or newly crawled)
+   * @param {Object} options - Lookup options
+   * @param {number} options.threshold - Minimum Jaccard similarity (default: jaccardSimilar)
+   * @param {string} options.excludeId - Stored article ID to leave out
+   * @param {number} options.limit - Max matches (default: 10)
+   * @returns {Promise<Array>} Matches with similarity and reason ('near-duplicate' or 'similar')
+   */
+  async findArchiveDuplicates(article, options = {}) {
+    const { threshold = this.thresholds.jaccardSimilar, excludeId = null, limit = 10 } = options;
+
+    const matches = await minHashIndex.findSimilar(article, { threshold, excludeId, limit });
+    this.stats.archiveLookups++;
+
+    return matches.map(match => ({
+      ...match,
+      reason:
+        match.similarity >= this.thresholds.jaccardNearDuplicate ? 'near-duplicate' : 'similar',
+    }));
+  }
+
+  /**
+   * Split crawled articles into ones new to the archive and near-duplicates of stored articles
+   * @param {Array} articles - Articles to check
+   * @param {Object} options - Filter options
+   * @param {number} options.threshold - Minimum Jaccard similarity (default: jaccardNearDuplicate)
+   * @returns {Promise<Object>} { unique, duplicates } where duplicates carry duplicateOf
+   */
+  async filterArchiveDuplicates(articles, options = {}) {
+    const { threshold = this.thresholds.jaccardNearDuplicate } = options;
+    const unique = [];
+    const duplicates = [];
+
+    for (const article of articles) {
+      const [match] = await this.findArchiveDuplicates(article, { threshold, limit: 1 });
+
+      if (match) {
+        duplicates.push({
+          article,
+          duplicateOf: { id: match.articleId, title: match.title, slug: match.slug },
+          similarityScore: match.similarity,
+          reason: 'archive-near-duplicate',
+        });
+      } else {
+        unique.push(article);
+      }
+    }
+
+    this.stats.archiveDuplicates += duplicates.length;
+    return { unique, duplicates };
+  }
+
+  /**
+   * Add or refresh a stored article in the archive index
+   * @param {Object} article - Stored article (id, title, content)
+   * @returns {Promise<boolean>} True if indexed
+   */
+  async indexArticle(article) {
+    return minHashIndex.indexArticle(article);
+  }
+
   /**
    * Calculate similarity between two articles
    * @param {Object} article1 - First article
@@ -842,6 +911,7 @@ class DuplicateDetectionService {
       ...this.stats,
       cacheSize: this.vectorCache.size,
       cacheMaxSize: this.cacheMaxSize,
+      archiveIndex: minHashIndex.getStats(),
     };
   }
 
@@ -863,6 +933,8 @@ class DuplicateDetectionService {
       similarArticles: 0,
       uniqueArticles: 0,
       avgSimilarityScore: 0,
+      archiveLookups: 0,
+      archiveDuplicates: 0,
     };
   }
 
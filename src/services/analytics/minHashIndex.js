@@ -0,0 +1,316 @@
+/**
+ * MinHash LSH Index
+ *
+ * Persists a MinHash signature and LSH band buckets for every stored article
+ * (article_signatures, article_lsh_buckets) so a new article can be checked
+ * against the whole archive by looking up only the articles that share a
+ * bucket, instead of comparing it with every stored article.
+ *
+ * Signatures cover an article's title and summary, the fields crawled items
+ * have too (their description), so stored and crawled articles are compared
+ * like for like. Buckets record the band configuration that produced them and
+ * lookups only use buckets of the current one; rebuild after changing it.
+ * Soft-deleted articles never match.
+ *
+ * @module services/analytics/minHashIndex
+ */
+
+import { query, transaction } from '../../database/queries.js';
+import {
+  shingle,
+  computeSignature,
+  estimateJaccard,
+  bandBuckets,
+  lshThreshold,
+} from '../../utils/minhash.js';
+
+// Opening words of the body used when an article has no summary or description
+const LEAD_WORDS = 60;
+
+class MinHashIndex {
+  /**
+   * @param {Object} [options] - Index options
+   * @param {number} [options.numHashes] - Signature length (default: 128)
+   * @param {number} [options.bands] - LSH bands; must divide numHashes (default: 32)
+   * @param {number} [options.shingleSize] - Words per shingle (default: 3)
+   * @param {number} [options.seed] - Hash family seed (default: 42)
+   * @param {number} [options.maxCandidates] - Max candidates verified per lookup (default: 200)
+   */
+  constructor(options = {}) {
+    this.config = {
+      numHashes: 128,
+      bands: 32, // 4 rows per band: ~50% candidate probability at Jaccard 0.42
+      shingleSize: 3,
+      seed: 42,
+      maxCandidates: 200,
+      ...options,
+    };
+
+    this.stats = {
+      indexed: 0,
+      lookups: 0,
+      candidatesChecked: 0,
+      matchesFound: 0,
+    };
+
+    this.logger = console;
+  }
+
+  /**
+   * Text used for an article's signature
+   * @param {Object} article - Article (stored or crawled)
+   * @returns {string} Title and summary (description, or the opening words of the body)
+   */
+  getText(article) {
+    const lead =
+      article.summary ||
+      article.description ||
+      (article.content || '').split(/\s+/).slice(0, LEAD_WORDS).join(' ');
+    return `${article.title || ''} ${lead}`;
+  }
+
+  /**
+   * Compute an article's signature and band buckets
+   * @param {Object} article - Article
+   * @returns {Object|null} { signature, buckets, shingleCount }, or null if the article has no text
+   */
+  computeEntry(article) {
+    const shingles = shingle(this.getText(article), this.config.shingleSize);
+    const signature = computeSignature(shingles, {
+      numHashes: this.config.numHashes,
+      seed: this.config.seed,
+    });
+
+    if (!signature) {
+      return null;
+    }
+
+    return {
+      signature,
+      buckets: bandBuckets(signature, this.config.bands),
+      shingleCount: shingles.size,
+    };
+  }
+
+  /**
+   * Add or refresh a stored article in the index
+   * @param {Object} article - Article row (id, title, content)
+   * @returns {Promise<boolean>} True if indexed, false if the article has no text
+   */
+  async indexArticle(article) {
+    const entry = this.computeEntry(article);
+
+    if (!entry) {
+      await this.removeArticle(article.id);
+      return false;
+    }
+
+    await transaction(async client => {
+      await client.query(
+        `INSERT INTO article_signatures (article_id, signature, num_hashes, shingle_size, shingle_count)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (article_id) DO UPDATE
+         SET signature = EXCLUDED.signature,
+             num_hashes = EXCLUDED.num_hashes,
+             shingle_size = EXCLUDED.shingle_size,
+             shingle_count = EXCLUDED.shingle_count`,
+        [
+          article.id,
+          entry.signature,
+          this.config.numHashes,
+          this.config.shingleSize,
+          entry.shingleCount,
+        ]
+      );
+
+      await client.query('DELETE FROM article_lsh_buckets WHERE article_id = $1', [article.id]);
+
+      await client.query(
+        `INSERT INTO article_lsh_buckets (num_bands, rows_per_band, band, bucket, article_id)
+         SELECT $3, $4, band - 1, bucket, $2
+         FROM unnest($1::int[]) WITH ORDINALITY AS b(bucket, band)
+         ON CONFLICT DO NOTHING`,
+        [entry.buckets, article.id, this.config.bands, this.getRowsPerBand()]
+      );
+    });
+
+    this.stats.indexed++;
+    return true;
+  }
+
+  /**
+   * Load a stored article and (re)index its current content
+   * @param {string} articleId - Article ID
+   * @returns {Promise<boolean>} True if indexed, false if missing, deleted or without text
+   */
+  async indexArticleById(articleId) {
+    const result = await query(
+      'SELECT id, title, summary, content FROM articles WHERE id = $1 AND deleted_at IS NULL',
+      [articleId]
+    );
+
+    if (result.rows.length === 0) {
+      await this.removeArticle(articleId);
+      return false;
+    }
+
+    return this.indexArticle(result.rows[0]);
+  }
+
+  /**
+   * Remove an article from the index
+   * @param {string} articleId - Article ID
+   * @returns {Promise<void>}
+   */
+  async removeArticle(articleId) {
+    await query('DELETE FROM article_signatures WHERE article_id = $1', [articleId]);
+    await query('DELETE FROM article_lsh_buckets WHERE article_id = $1', [articleId]);
+  }
+
+  /**
+   * Find indexed articles similar to an article
+   * @param {Object} article - Article to check (does not need to be stored)
+   * @param {Object} [options] - Lookup options
+   * @param {number} [options.threshold] - Minimum estimated Jaccard similarity (default: 0.5)
+   * @param {string} [options.excludeId] - Article ID to leave out (the article itself)
+   * @param {number} [options.limit] - Max matches (default: 10)
+   * @returns {Promise<Array>} Matches ({ articleId, title, slug, status, publishedAt, similarity }),
+   *   most similar first
+   */
+  async findSimilar(article, { threshold = 0.5, excludeId = null, limit = 10 } = {}) {
+    const entry = this.computeEntry(article);
+    this.stats.lookups++;
+
+    if (!entry) {
+      return [];
+    }
+
+    const candidatesResult = await query(
+      `SELECT article_id, COUNT(*) AS shared_bands
+       FROM article_lsh_buckets
+       WHERE num_bands = $4 AND rows_per_band = $5
+       AND (band, bucket) IN (
+         SELECT band - 1, bucket FROM unnest($1::int[]) WITH ORDINALITY AS b(bucket, band)
+       )
+       AND ($2::uuid IS NULL OR article_id <> $2)
+       GROUP BY article_id
+       ORDER BY shared_bands DESC
+       LIMIT $3`,
+      [
+        entry.buckets,
+        excludeId,
+        this.config.maxCandidates,
+        this.config.bands,
+        this.getRowsPerBand(),
+      ]
+    );
+
+    if (candidatesResult.rows.length === 0) {
+      return [];
+    }
+
+    const signaturesResult = await query(
+      `SELECT s.article_id, s.signature, a.title, a.slug, a.status, a.published_at
+       FROM article_signatures s
+       JOIN articles a ON a.id = s.article_id AND a.deleted_at IS NULL
+       WHERE s.article_id = ANY($1::uuid[]) AND s.num_hashes = $2 AND s.shingle_size = $3`,
+      [
+        candidatesResult.rows.map(row => row.article_id),
+        this.config.numHashes,
+        this.config.shingleSize,
+      ]
+    );
+
+    this.stats.candidatesChecked += signaturesResult.rows.length;
+
+    const matches = signaturesResult.rows
+      .map(row => ({
+        articleId: row.article_id,
+        title: row.title,
+        slug: row.slug,
+        status: row.status,
+        publishedAt: row.published_at,
+        similarity: Math.round(estimateJaccard(entry.signature, row.signature) * 100) / 100,
+      }))
+      .filter(match => match.similarity >= threshold)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+
+    this.stats.matchesFound += matches.length;
+    return matches;
+  }
+
+  /**
+   * Index every stored article (backfill, or after changing index options)
+   * @param {Object} [options] - Rebuild options
+   * @param {number} [options.batchSize] - Articles per batch (default: 200)
+   * @returns {Promise<Object>} { indexed, skipped, failed, duration }
+   */
+  async rebuild({ batchSize = 200 } = {}) {
+    const startTime = Date.now();
+    const totals = { indexed: 0, skipped: 0, failed: 0 };
+    let lastId = null;
+
+    for (;;) {
+      const result = await query(
+        `SELECT id, title, summary, content
+         FROM articles
+         WHERE ($1::uuid IS NULL OR id > $1) AND deleted_at IS NULL
+         ORDER BY id
+         LIMIT $2`,
+        [lastId, batchSize]
+      );
+
+      if (result.rows.length === 0) break;
+
+      for (const article of result.rows) {
+        try {
+          const indexed = await this.indexArticle(article);
+          totals[indexed ? 'indexed' : 'skipped']++;
+        } catch (error) {
+          totals.failed++;
+          this.logger.error(`[MinHashIndex] Failed to index article ${article.id}:`, error.message);
+        }
+      }
+
+      lastId = result.rows[result.rows.length - 1].id;
+      this.logger.info(`[MinHashIndex] Rebuild progress: ${totals.indexed} articles indexed`);
+    }
+
+    const duration = Date.now() - startTime;
+    this.logger.info(
+      `[MinHashIndex] Rebuild complete: ${totals.indexed} indexed, ${totals.skipped} skipped, ` +
+        `${totals.failed} failed in ${duration}ms`
+    );
+
+    return { ...totals, duration };
+  }
+
+  /**
+   * Signature rows per LSH band
+   * @returns {number} numHashes / bands
+   */
+  getRowsPerBand() {
+    return this.config.numHashes / this.config.bands;
+  }
+
+  /**
+   * Get index statistics
+   * @returns {Object} Statistics and configuration
+   */
+  getStats() {
+    const rows = this.getRowsPerBand();
+
+    return {
+      ...this.stats,
+      config: { ...this.config },
+      rowsPerBand: rows,
+      candidateThreshold: Math.round(lshThreshold(this.config.bands, rows) * 100) / 100,
+    };
+  }
+}
+
+// Export singleton instance
+const minHashIndex = new MinHashIndex();
+export default minHashIndex;
+export { MinHashIndex };
@@ -0,0 +1,729 @@
+/**
+ * Story Clustering Service
+ *
+ * Groups coverage of the same event across sources into persistent stories:
+ * - Incoming articles are grouped with duplicateDetectionService, then linked to
+ *   a recent story covering the same event or used to start a new one
+ * - Story keywords come from trendingService.clusterTopics, so keyword variants
+ *   collapse into one topic and candidate stories can be found by keyword overlap
+ * - Timeline of every story (story_events): creation, new coverage, status changes
+ * - Lifecycle: developing -> dormant (no new coverage) -> archived
+ * - Synthesis of one article from the whole story by the Writer agent
+ *
+ * @module services/analytics/storyService
+ */
+
+import { query, transaction } from '../../database/queries.js';
+import duplicateDetectionService from './duplicateDetectionService.js';
+import TrendingService from './trendingService.js';
+import minHashIndex from './minHashIndex.js';
+import revisionService from '../editorial/revisionService.js';
+import searchService from '../search/searchService.js';
+import embeddingService from '../embeddings/embeddingService.js';
+import writerRunner from '../editorial/writerRunner.js';
+
+const STORY_SORT_COLUMNS = {
+  last_article_at: 's.last_article_at',
+  first_seen_at: 's.first_seen_at',
+  article_count: 's.article_count',
+  source_count: 's.source_count',
+};
+
+class StoryService {
+  constructor() {
+    this.config = {
+      activeWindowHours: 72, // Stories with coverage this recent can gain articles
+      dormantAfterHours: 48, // Developing stories without new coverage become dormant
+      archiveAfterDays: 14, // Dormant stories are archived
+      maxKeywords: 10,
+      candidateStories: 50, // Max stories compared with each incoming group
+      comparisonArticles: 10, // Latest articles of a candidate story compared
+    };
+
+    this.trendingService = new TrendingService();
+    this.logger = console;
+  }
+
+  /**
+   * Normalize a crawled article (RSS, API or fixture) for clustering and storage
+   * @param {Object} article - Crawled article
+   * @returns {Object|null} { url, title, description, source, publishedAt, category }, or null
+   */
+  normalizeArticle(article) {
+    const url = article.url || article.link;
+
+    if (!url || !article.title) {
+      return null;
+    }
+
+    const description = article.description || article.summary || article.content || '';
+
+    return {
+      url,
+      title: article.title.substring(0, 500),
+      description: description.substring(0, 1000),
+      source: typeof article.source === 'string' ? article.source : article.source?.name || null,
+      publishedAt: article.publishedAt || null,
+      category: article.category || null,
+    };
+  }
+
+  /**
+   * Story keywords: the main topics of the articles' keyword clusters
+   * @param {Array} articles - Normalized articles
+   * @returns {Array<string>} Keywords, most mentioned first
+   */
+  extractKeywords(articles) {
+    const counts = new Map();
+
+    for (const article of articles) {
+      const words = new Set(
+        this.trendingService.extractKeywords(`${article.title} ${article.description}`)
+      );
+      words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+    }
+
+    const topics = Array.from(counts.entries())
+      .map(([keyword, mentions]) => ({ keyword, mentions, trendScore: mentions }))
+      .sort((a, b) => b.mentions - a.mentions);
+
+    return this.trendingService
+      .clusterTopics(topics)
+      .slice(0, this.config.maxKeywords)
+      .map(cluster => cluster.mainTopic);
+  }
+
+  /**
+   * Link crawled articles to stories, starting new stories where needed
+   * Articles already linked to a story are skipped, including ones a concurrent run
+   * links first (story_articles.url is unique).
+   * @param {Array} articles - Crawled articles
+   * @returns {Promise<Object>} { processed, linked, created, stories }
+   */
+  async linkArticles(articles) {
+    const summary = { processed: 0, linked: 0, created: 0, stories: [] };
+
+    const normalized = articles.map(article => this.normalizeArticle(article)).filter(Boolean);
+    if (normalized.length === 0) {
+      return summary;
+    }
+
+    const existing = await query('SELECT DISTINCT url FROM story_articles WHERE url = ANY($1)', [
+      normalized.map(article => article.url),
+    ]);
+    const known = new Set(existing.rows.map(row => row.url));
+    const seen = new Set();
+    const fresh = normalized.filter(article => {
+      if (known.has(article.url) || seen.has(article.url)) return false;
+      seen.add(article.url);
+      return true;
+    });
+
+    const groups = duplicateDetectionService.groupSimilarArticles(
+      fresh,
+      duplicateDetectionService.thresholds.similar
+    );
+
+    for (const group of groups) {
+      const keywords = this.extractKeywords(group.articles);
+      const match = await this.findMatchingStory(group.articles, keywords);
+
+      if (match) {
+        const added = await this.addArticles(match.story, group.articles, {
+          similarity: match.similarity,
+          keywords,
+        });
+        summary.linked += added;
+        summary.stories.push(match.story.id);
+      } else {
+        const story = await this.createStory(group.articles, keywords);
+        if (story) {
+          summary.created++;
+          summary.stories.push(story.id);
+        }
+      }
+
+      summary.processed += group.articles.length;
+    }
+
+    this.logger.info(
+      `[Stories] ${summary.processed} articles: ${summary.linked} linked to existing stories, ` +
+        `${summary.created} new stories`
+    );
+
+    return summary;
+  }
+
+  /**
+   * Find the recent story most similar to a group of articles
+   * @param {Array} articles - Normalized articles covering one event
+   * @param {Array<string>} keywords - Group keywords
+   * @returns {Promise<Object|null>} { story, similarity }, or null if no story is similar enough
+   */
+  async findMatchingStory(articles, keywords) {
+    if (keywords.length === 0) {
+      return null;
+    }
+
+    const candidates = await query(
+      `SELECT id, title, status, keywords
+       FROM stories
+       WHERE status IN ('developing', 'dormant')
+         AND last_article_at > NOW() - make_interval(hours => $2)
+         AND keywords && $1
+       ORDER BY last_article_at DESC
+       LIMIT $3`,
+      [keywords, this.config.activeWindowHours, this.config.candidateStories]
+    );
+
+    if (candidates.rows.length === 0) {
+      return null;
+    }
+
+    const coverage = await query(
+      `SELECT story_id, url, title, summary, source_name, published_at
+       FROM (
+         SELECT sa.*, ROW_NUMBER() OVER (
+           PARTITION BY story_id ORDER BY published_at DESC NULLS LAST
+         ) AS position
+         FROM story_articles sa
+         WHERE story_id = ANY($1)
+       ) ranked
+       WHERE position <= $2`,
+      [candidates.rows.map(story => story.id), this.config.comparisonArticles]
+    );
+
+    let best = null;
+
+    for (const story of candidates.rows) {
+      const storyArticles = coverage.rows
+        .filter(row => row.story_id === story.id)
+        .map(row => ({
+          url: row.url,
+          title: row.title,
+          description: row.summary || '',
+          source: row.source_name,
+          publishedAt: row.published_at,
+        }));
+
+      for (const article of articles) {
+        for (const storyArticle of storyArticles) {
+          const similarity = duplicateDetectionService.calculateSimilarity(article, storyArticle);
+          if (!best || similarity > best.similarity) {
+            best = { story, similarity };
+          }
+        }
+      }
+    }
+
+    if (!best || best.similarity < duplicateDetectionService.thresholds.similar) {
+      return null;
+    }
+
+    best.similarity = Math.round(best.similarity * 100) / 100;
+    return best;
+  }
+
+  /**
+   * Start a story from a group of articles
+   * @param {Array} articles - Normalized articles covering one event
+   * @param {Array<string>} keywords - Story keywords
+   * @returns {Promise<Object|null>} Created story, or null if every article was already
+   *   linked to another story
+   */
+  async createStory(articles, keywords) {
+    const lead = duplicateDetectionService.selectBestArticle(articles);
+    const firstSeen = this.earliest(articles);
+
+    return transaction(async client => {
+      const result = await client.query(
+        `INSERT INTO stories (title, summary, keywords, category, first_seen_at, last_article_at)
+         VALUES ($1, $2, $3, $4, $5, $5)
+         RETURNING *`,
+        [lead.title, lead.description || null, keywords, lead.category, firstSeen]
+      );
+      const story = result.rows[0];
+
+      await this.recordEvent(
+        {
+          storyId: story.id,
+          type: 'created',
+          description: `Story started from ${articles.length} article(s)`,
+          metadata: { sources: this.sourcesOf(articles) },
+          occurredAt: firstSeen,
+        },
+        client
+      );
+      const added = await this.insertArticles(client, story.id, articles, null);
+      if (added === 0) {
+        // A concurrent run linked every article to another story first
+        await client.query('DELETE FROM stories WHERE id = $1', [story.id]);
+        return null;
+      }
+      await this.refreshCounts(client, story.id);
+
+      return story;
+    });
+  }
+
+  /**
+   * Link articles to an existing story
+   * A dormant story that receives new coverage is developing again.
+   * @param {Object} story - Story row (id, status, keywords)
+   * @param {Array} articles - Normalized articles
+   * @param {Object} options - Link options
+   * @param {number} options.similarity - Similarity of the articles to the story
+   * @param {Array<string>} options.keywords - Keywords of the articles
+   * @returns {Promise<number>} Number of articles added
+   */
+  async addArticles(story, articles, { similarity, keywords }) {
+    return transaction(async client => {
+      const added = await this.insertArticles(client, story.id, articles, similarity);
+      if (added === 0) {
+        return 0;
+      }
+
+      const merged = Array.from(new Set([...story.keywords, ...keywords])).slice(
+        0,
+        this.config.maxKeywords
+      );
+      await client.query('UPDATE stories SET keywords = $2 WHERE id = $1', [story.id, merged]);
+
+      if (story.status === 'dormant') {
+        await client.query("UPDATE stories SET status = 'developing' WHERE id = $1", [story.id]);
+        await this.recordEvent(
+          {
+            storyId: story.id,
+            type: 'status_changed',
+            description: 'New coverage; story is developing again',
+            metadata: { from: 'dormant', to: 'developing' },
+          },
+          client
+        );
+      }
+
+      await this.refreshCounts(client, story.id);
+      return added;
+    });
+  }
+
+  /**
+   * Insert story articles and their timeline events
+   * An article URL belongs to at most one story; URLs linked elsewhere are skipped.
+   * @param {Object} client - Transaction client
+   * @param {string} storyId - Story ID
+   * @param {Array} articles - Normalized articles
+   * @param {number|null} similarity - Similarity to the story (null for founding articles)
+   * @returns {Promise<number>} Number of articles inserted
+   */
+  async insertArticles(client, storyId, articles, similarity) {
+    let added = 0;
+
+    for (const article of articles) {
+      const result = await client.query(
+        `INSERT INTO story_articles (story_id, url, title, summary, source_name, published_at, similarity)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (url) DO NOTHING
+         RETURNING id`,
+        [
+          storyId,
+          article.url,
+          article.title,
+          article.description || null,
+          article.source,
+          article.publishedAt,
+          similarity,
+        ]
+      );
+
+      if (result.rows.length === 0) continue;
+
+      added++;
+      await this.recordEvent(
+        {
+          storyId,
+          type: 'article_added',
+          description: article.source ? `${article.source}: ${article.title}` : article.title,
+          metadata: { url: article.url, similarity },
+          occurredAt: article.publishedAt,
+        },
+        client
+      );
+    }
+
+    return added;
+  }
+
+  /**
+   * Recalculate a story's article and source counts and latest coverage time
+   * @param {Object} client - Transaction client
+   * @param {string} storyId - Story ID
+   */
+  async refreshCounts(client, storyId) {
+    await client.query(
+      `UPDATE stories s
+       SET article_count = agg.article_count,
+           source_count = agg.source_count,
+           last_article_at = GREATEST(s.last_article_at, agg.last_article_at)
+       FROM (
+         SELECT COUNT(*) AS article_count,
+                COUNT(DISTINCT LOWER(source_name)) AS source_count,
+                MAX(COALESCE(published_at, linked_at)) AS last_article_at
+         FROM story_articles
+         WHERE story_id = $1
+       ) agg
+       WHERE s.id = $1`,
+      [storyId]
+    );
+  }
+
+  /**
+   * Record a story timeline event
+   * @param {Object} event - Event details
+   * @param {string} event.storyId - Story ID
+   * @param {string} event.type - created, article_added, status_changed or synthesized
+   * @param {string} [event.description] - Description
+   * @param {Object} [event.metadata] - Extra details
+   * @param {Date|string} [event.occurredAt] - When it happened (default: now)
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<Object>} Created event
+   */
+  async recordEvent(
+    { storyId, type, description = null, metadata = {}, occurredAt = null },
+    client = null
+  ) {
+    const run = client ? client.query.bind(client) : query;
+    const result = await run(
+      `INSERT INTO story_events (story_id, event_type, description, metadata, occurred_at)
+       VALUES ($1, $2, $3, $4, COALESCE($5, NOW()))
+       RETURNING *`,
+      [storyId, type, description, JSON.stringify(metadata), occurredAt]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * List stories
+   * @param {Object} options - List options
+   * @param {string} [options.status] - Status filter
+   * @param {string} [options.search] - Title or keyword search
+   * @param {number} [options.minSources] - Minimum number of distinct sources
+   * @param {string} [options.sortBy] - last_article_at, first_seen_at, article_count or source_count
+   * @param {string} [options.order] - ASC or DESC (default: DESC)
+   * @param {number} [options.page] - Page number (default: 1)
+   * @param {number} [options.limit] - Page size (default: 20)
+   * @returns {Promise<Object>} { stories, total }
+   */
+  async listStories(options = {}) {
+    const {
+      status,
+      search,
+      minSources,
+      sortBy = 'last_article_at',
+      order = 'DESC',
+      page = 1,
+      limit = 20,
+    } = options;
+
+    const conditions = [];
+    const params = [];
+    let paramIndex = 1;
+
+    if (status) {
+      conditions.push(`s.status = $${paramIndex++}`);
+      params.push(status);
+    }
+
+    if (search) {
+      conditions.push(`(s.title ILIKE $${paramIndex} OR $${paramIndex + 1} = ANY(s.keywords))`);
+      params.push(`%${search}%`, search.toLowerCase());
+      paramIndex += 2;
+    }
+
+    if (minSources) {
+      conditions.push(`s.source_count >= $${paramIndex++}`);
+      params.push(minSources);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const sortColumn = STORY_SORT_COLUMNS[sortBy] || STORY_SORT_COLUMNS.last_article_at;
+    const sortOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+    const countResult = await query(`SELECT COUNT(*) FROM stories s ${whereClause}`, params);
+
+    const offset = (page - 1) * limit;
+    const result = await query(
+      `SELECT s.*
+       FROM stories s
+       ${whereClause}
+       ORDER BY ${sortColumn} ${sortOrder}
+       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      stories: result.rows,
+      total: parseInt(countResult.rows[0].count),
+    };
+  }
+
+  /**
+   * Get a story
+   * @param {string} storyId - Story ID
+   * @returns {Promise<Object|null>} Story row
+   */
+  async getStory(storyId) {
+    const result = await query('SELECT * FROM stories WHERE id = $1', [storyId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get a story's articles, newest first
+   * @param {string} storyId - Story ID
+   * @returns {Promise<Array>} Story articles
+   */
+  async getArticles(storyId) {
+    const result = await query(
+      `SELECT id, url, title, summary, source_name, published_at, similarity, linked_at
+       FROM story_articles
+       WHERE story_id = $1
+       ORDER BY published_at DESC NULLS LAST, linked_at DESC`,
+      [storyId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get a story's timeline, oldest first
+   * @param {string} storyId - Story ID
+   * @returns {Promise<Array>} Timeline events
+   */
+  async getTimeline(storyId) {
+    const result = await query(
+      `SELECT id, event_type, description, metadata, occurred_at
+       FROM story_events
+       WHERE story_id = $1
+       ORDER BY occurred_at ASC, created_at ASC`,
+      [storyId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Edit a story's title, summary or status
+   * @param {Object} story - Story row
+   * @param {Object} changes - { title, summary, status }
+   * @param {string} [actorId] - User making the change
+   * @returns {Promise<Object>} Updated story
+   */
+  async updateStory(story, { title, summary, status }, actorId = null) {
+    return transaction(async client => {
+      const result = await client.query(
+        `UPDATE stories
+         SET title = COALESCE($2, title),
+             summary = COALESCE($3, summary),
+             status = COALESCE($4, status)
+         WHERE id = $1
+         RETURNING *`,
+        [story.id, title ?? null, summary ?? null, status ?? null]
+      );
+
+      if (status && status !== story.status) {
+        await this.recordEvent(
+          {
+            storyId: story.id,
+            type: 'status_changed',
+            description: `Story marked ${status}`,
+            metadata: { from: story.status, to: status, actorId },
+          },
+          client
+        );
+      }
+
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Move stories along their lifecycle: developing stories without new coverage
+   * become dormant, and long-dormant stories are archived
+   * @returns {Promise<Object>} { dormant, archived }
+   */
+  async updateLifecycle() {
+    const transitions = [
+      {
+        from: 'developing',
+        to: 'dormant',
+        interval: `make_interval(hours => ${this.config.dormantAfterHours})`,
+        description: 'No new coverage; story is dormant',
+      },
+      {
+        from: 'dormant',
+        to: 'archived',
+        interval: `make_interval(days => ${this.config.archiveAfterDays})`,
+        description: 'Story archived',
+      },
+    ];
+    const counts = {};
+
+    for (const { from, to, interval, description } of transitions) {
+      const result = await query(
+        `WITH moved AS (
+           UPDATE stories SET status = $2
+           WHERE status = $1 AND last_article_at < NOW() - ${interval}
+           RETURNING id
+         )
+         INSERT INTO story_events (story_id, event_type, description, metadata)
+         SELECT id, 'status_changed', $3, jsonb_build_object('from', $1::text, 'to', $2::text)
+         FROM moved
+         RETURNING story_id`,
+        [from, to, description]
+      );
+      counts[to] = result.rowCount;
+    }
+
+    this.logger.info(
+      `[Stories] Lifecycle updated: ${counts.dormant} dormant, ${counts.archived} archived`
+    );
+
+    return { dormant: counts.dormant, archived: counts.archived };
+  }
+
+  /**
+   * Have the Writer agent synthesize one draft article from a story's coverage
+   * @param {Object} story - Story row
+   * @param {Object} options - Synthesis options
+   * @param {string} options.authorId - Author of the draft
+   * @param {string} [options.style] - Writer style
+   * @param {string} [options.length] - short, medium or long
+   * @returns {Promise<Object|null>} Draft article, or null if synthesis failed
+   */
+  async synthesize(story, { authorId, style, length }) {
+    try {
+      const articles = await this.getArticles(story.id);
+
+      const written = await writerRunner.run({
+        type: 'synthesize',
+        params: {
+          title: story.title,
+          keywords: story.keywords,
+          articles: articles.map(article => ({
+            title: article.title,
+            summary: article.summary,
+            sourceName: article.source_name,
+            url: article.url,
+          })),
+          style,
+          length,
+        },
+      });
+
+      const wordCount = written.content.split(/\s+/).length;
+      const slug = `${this.slugify(written.headline)}-${Date.now().toString(36)}`;
+
+      const article = await transaction(async client => {
+        const result = await client.query(
+          `INSERT INTO articles (title, slug, content, summary, author_id, status, metadata,
+                                 agent_created, word_count, reading_time)
+           VALUES ($1, $2, $3, $4, $5, 'draft', $6, 'writer', $7, $8)
+           RETURNING *`,
+          [
+            written.headline,
+            slug,
+            written.content,
+            written.excerpt,
+            authorId,
+            JSON.stringify({
+              storyId: story.id,
+              keywords: story.keywords,
+              sources: written.metadata.sources,
+              model: written.metadata.model || null,
+              prompts: written.metadata.prompts || [],
+            }),
+            wordCount,
+            Math.ceil(wordCount / 200),
+          ]
+        );
+        const draft = result.rows[0];
+
+        await revisionService.createRevision(
+          draft,
+          { authorId, agentName: 'writer', changeType: 'create' },
+          client
+        );
+        await client.query('UPDATE stories SET synthesized_article_id = $2 WHERE id = $1', [
+          story.id,
+          draft.id,
+        ]);
+        await this.recordEvent(
+          {
+            storyId: story.id,
+            type: 'synthesized',
+            description: `Draft "${draft.title}" written from ${articles.length} article(s)`,
+            metadata: { articleId: draft.id, authorId },
+          },
+          client
+        );
+
+        return draft;
+      });
+
+      minHashIndex.indexArticle(article).catch(error => {
+        this.logger.warn('[Stories] Failed to index synthesized article:', error.message);
+      });
+      searchService.syncArticle(article.id).catch(error => {
+        this.logger.warn('[Stories] Failed to add synthesized article to search:', error.message);
+      });
+      embeddingService.embedArticle(article.id).catch(error => {
+        this.logger.warn('[Stories] Failed to embed synthesized article:', error.message);
+      });
+
+      this.logger.info(`[Stories] Story ${story.id} synthesized into article ${article.id}`);
+      return article;
+    } catch (error) {
+      this.logger.error(`[Stories] Synthesis of story ${story.id} failed:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Earliest publication time of a group of articles
+   * @param {Array} articles - Normalized articles
+   * @returns {Date} Earliest publishedAt (now if none are dated)
+   */
+  earliest(articles) {
+    const times = articles
+      .map(article => new Date(article.publishedAt).getTime())
+      .filter(time => !Number.isNaN(time));
+    return times.length > 0 ? new Date(Math.min(...times)) : new Date();
+  }
+
+  /**
+   * Distinct source names of a group of articles
+   * @param {Array} articles - Normalized articles
+   * @returns {Array<string>} Source names
+   */
+  sourcesOf(articles) {
+    return Array.from(new Set(articles.map(article => article.source).filter(Boolean)));
+  }
+
+  /**
+   * URL-friendly slug
+   * @param {string} text - Text to convert
+   * @returns {string} Slug
+   */
+  slugify(text) {
+    return text
+      .toLowerCase()
+      .trim()
+      .replace(/[^\w\s-]/g, '')
+      .replace(/\s+/g, '-')
+      .replace(/-+/g, '-')
+      .substring(0, 80)
+      .replace(/^-+|-+$/g, '');
+  }
+}
+
+// Export singleton instance
+const storyService = new StoryService();
+export default storyService;
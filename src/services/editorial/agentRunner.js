@@ -0,0 +1,76 @@
+/**
+ * Agent Runner
+ *
+ * One shared agent that services hand tasks to outside the orchestrator. An
+ * agent runs one task at a time, so tasks are queued and run in order; the
+ * agent is started on first use and its events go to the event stream like
+ * any other agent's.
+ *
+ * @module services/editorial/agentRunner
+ */
+
+import eventStream from '../events/eventStream.js';
+
+class AgentRunner {
+  /**
+   * @param {string} name - Agent name (event stream source)
+   * @param {Function} createAgent - () => Agent, called on first use
+   */
+  constructor(name, createAgent) {
+    this.name = name;
+    this.createAgent = createAgent;
+    this.agent = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * The agent, started on first use
+   * @returns {Promise<Agent>} Running agent
+   */
+  async getAgent() {
+    if (!this.agent) {
+      const agent = this.createAgent();
+      eventStream.attachAgent(this.name, agent);
+      if (!(await agent.start())) {
+        throw new Error(`Failed to start agent: ${this.name}`);
+      }
+      this.agent = agent;
+    }
+
+    return this.agent;
+  }
+
+  /**
+   * Run a task on the agent after the tasks queued before it
+   * @param {Object} task - Agent task ({ type, params })
+   * @returns {Promise<*>} Task result
+   */
+  async run(task) {
+    const current = this.queue
+      .catch(() => {})
+      .then(async () => {
+        const agent = await this.getAgent();
+        const response = await agent.run(task);
+        return response.result;
+      });
+
+    this.queue = current;
+    return current;
+  }
+
+  /**
+   * Stop the agent once the queued tasks have finished (it is restarted on next use)
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    await this.queue.catch(() => {});
+
+    if (this.agent) {
+      const { agent } = this;
+      this.agent = null;
+      await agent.stop();
+    }
+  }
+}
+
+export default AgentRunner;
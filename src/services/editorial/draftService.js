@@ -0,0 +1,275 @@
+/**
+ * Draft Service
+ *
+ * Writes and expands draft articles with the Writer agent, passing the text to
+ * a callback as the model generates it so editors can watch a draft being
+ * written. The draft is saved (with a revision, search entry and embedding)
+ * once generation completes, whether or not anyone is still watching.
+ *
+ * @module services/editorial/draftService
+ */
+
+import { query, transaction } from '../../database/queries.js';
+import revisionService from './revisionService.js';
+import minHashIndex from '../analytics/minHashIndex.js';
+import searchService from '../search/searchService.js';
+import embeddingService from '../embeddings/embeddingService.js';
+import writerRunner from './writerRunner.js';
+
+// Words read per minute, for reading_time
+const WORDS_PER_MINUTE = 200;
+
+class DraftService {
+  constructor() {
+    this.logger = console;
+  }
+
+  /**
+   * Get an article
+   * @param {string} articleId - Article ID
+   * @returns {Promise<Object|null>} Article row
+   */
+  async getArticle(articleId) {
+    const result = await query('SELECT * FROM articles WHERE id = $1', [articleId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Write a new draft article
+   * @param {Object} params - Writer parameters
+   * @param {string} params.topic - Article topic (also the draft's title)
+   * @param {Array} [params.sources] - Reference sources ({ title, content })
+   * @param {Array<string>} [params.keywords] - Keywords to include
+   * @param {string} [params.style] - Writer style
+   * @param {string} [params.length] - short, medium or long
+   * @param {string} [params.targetAudience] - Intended readers
+   * @param {string} [params.categoryId] - Category of the draft
+   * @param {Object} options - Draft options
+   * @param {string} options.authorId - Author of the draft
+   * @param {Function} [options.onToken] - Receives the article text as it is generated
+   * @returns {Promise<Object>} { article, stats }
+   */
+  async writeDraft({ categoryId = null, ...params }, { authorId, onToken = null }) {
+    const startTime = Date.now();
+    const tracker = this.trackTokens(onToken);
+
+    const written = await writerRunner.run({
+      type: 'write',
+      params: { ...params, onToken: tracker.onToken },
+    });
+
+    const wordCount = this.countWords(written.content);
+    const slug = `${this.slugify(written.headline)}-${Date.now().toString(36)}`;
+
+    const article = await transaction(async client => {
+      const result = await client.query(
+        `INSERT INTO articles (title, slug, content, summary, author_id, category_id, status,
+                               metadata, agent_created, word_count, reading_time)
+         VALUES ($1, $2, $3, $4, $5, $6, 'draft', $7, 'writer', $8, $9)
+         RETURNING *`,
+        [
+          written.headline,
+          slug,
+          written.content,
+          written.excerpt,
+          authorId,
+          categoryId,
+          JSON.stringify({
+            keywords: params.keywords || [],
+            style: written.metadata.style,
+            length: written.metadata.length,
+            model: written.metadata.model || null,
+            prompts: written.metadata.prompts || [],
+          }),
+          wordCount,
+          Math.ceil(wordCount / WORDS_PER_MINUTE),
+        ]
+      );
+      const draft = result.rows[0];
+
+      await revisionService.createRevision(
+        draft,
+        { authorId, agentName: 'writer', changeType: 'create' },
+        client
+      );
+
+      return draft;
+    });
+
+    this.syncArticle(article);
+    this.logger.info(`[Drafts] Draft ${article.id} written (${wordCount} words)`);
+
+    return {
+      article,
+      stats: this.buildStats(written.metadata, {
+        wordCount,
+        startTime,
+        chunks: tracker.count(),
+      }),
+    };
+  }
+
+  /**
+   * Expand a draft with more content on a topic
+   * @param {Object} article - Article row
+   * @param {Object} options - Expansion options
+   * @param {string} options.expansionTopic - What to add
+   * @param {string} [options.length] - Target length: short, medium or long (default: long)
+   * @param {string} [options.actorId] - User requesting the expansion
+   * @param {Function} [options.onToken] - Receives the raw reply as it is generated
+   * @param {Function} [options.onRepair] - Called when an invalid reply is re-requested
+   * @returns {Promise<Object>} { article, stats }
+   */
+  async expandDraft(
+    article,
+    { expansionTopic, length = 'long', actorId = null, onToken = null, onRepair = null }
+  ) {
+    const startTime = Date.now();
+    const tracker = this.trackTokens(onToken);
+
+    const expanded = await writerRunner.run({
+      type: 'expand',
+      articleId: article.id,
+      params: {
+        originalTitle: article.title,
+        originalContent: article.content,
+        expansionTopic,
+        targetLength: length,
+        onToken: tracker.onToken,
+        onRepair,
+      },
+    });
+
+    const wordCount = this.countWords(expanded.content);
+
+    const updated = await transaction(async client => {
+      const result = await client.query(
+        `UPDATE articles
+         SET content = $2,
+             word_count = $3,
+             reading_time = $4,
+             metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('prompts', $5::jsonb)
+         WHERE id = $1
+         RETURNING *`,
+        [
+          article.id,
+          expanded.content,
+          wordCount,
+          Math.ceil(wordCount / WORDS_PER_MINUTE),
+          JSON.stringify(expanded.metadata.prompts || []),
+        ]
+      );
+      const row = result.rows[0];
+
+      await revisionService.createRevision(
+        row,
+        {
+          authorId: actorId,
+          agentName: 'writer',
+          changeType: 'expand',
+          changeSummary: `Expanded on ${expansionTopic}`.substring(0, 500),
+        },
+        client
+      );
+
+      return row;
+    });
+
+    this.syncArticle(updated);
+    this.logger.info(
+      `[Drafts] Draft ${article.id} expanded (${article.word_count || 0} -> ${wordCount} words)`
+    );
+
+    return {
+      article: updated,
+      stats: this.buildStats(expanded.metadata, {
+        wordCount,
+        startTime,
+        chunks: tracker.count(),
+      }),
+    };
+  }
+
+  /**
+   * Count the chunks passed on to a token callback
+   * @param {Function|null} onToken - Callback (may be null)
+   * @returns {Object} { onToken, count } (onToken is null when there is no callback)
+   */
+  trackTokens(onToken) {
+    let chunks = 0;
+    return {
+      onToken: onToken
+        ? text => {
+            chunks++;
+            onToken(text);
+          }
+        : null,
+      count: () => chunks,
+    };
+  }
+
+  /**
+   * Generation stats reported with a finished draft
+   * @param {Object} metadata - Writer result metadata
+   * @param {Object} details - { wordCount, startTime, chunks }
+   * @returns {Object} Stats
+   */
+  buildStats(metadata, { wordCount, startTime, chunks }) {
+    return {
+      wordCount,
+      readingTime: Math.ceil(wordCount / WORDS_PER_MINUTE),
+      tokensUsed: metadata.tokensUsed || 0,
+      provider: metadata.provider || 'unknown',
+      model: metadata.model || 'unknown',
+      fallbackUsed: metadata.fallbackUsed || false,
+      prompts: metadata.prompts || [],
+      chunks,
+      durationMs: Date.now() - startTime,
+    };
+  }
+
+  /**
+   * Update the duplicate index, search index and embedding of a saved draft
+   * @param {Object} article - Article row
+   */
+  syncArticle(article) {
+    minHashIndex.indexArticle(article).catch(error => {
+      this.logger.warn('[Drafts] Failed to index draft:', error.message);
+    });
+    searchService.syncArticle(article.id).catch(error => {
+      this.logger.warn('[Drafts] Failed to add draft to search:', error.message);
+    });
+    embeddingService.embedArticle(article.id).catch(error => {
+      this.logger.warn('[Drafts] Failed to embed draft:', error.message);
+    });
+  }
+
+  /**
+   * Number of words in a text
+   * @param {string} text - Text
+   * @returns {number} Word count
+   */
+  countWords(text) {
+    return text.split(/\s+/).filter(Boolean).length;
+  }
+
+  /**
+   * URL-friendly slug
+   * @param {string} text - Text to convert
+   * @returns {string} Slug
+   */
+  slugify(text) {
+    return text
+      .toLowerCase()
+      .trim()
+      .replace(/[^\w\s-]/g, '')
+      .replace(/\s+/g, '-')
+      .replace(/-+/g, '-')
+      .substring(0, 80)
+      .replace(/^-+|-+$/g, '');
+  }
+}
+
+// Export singleton instance
+const draftService = new DraftService();
+export default draftService;
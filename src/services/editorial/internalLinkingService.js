@@ -0,0 +1,322 @@
+/**
+ * Internal Linking Service
+ *
+ * Cross-links the archive: finds published articles related to a draft (full-
+ * text match on articles.search_vector plus shared tags), asks the SEO agent
+ * for anchor text and insertion points, and inserts a bounded number of links
+ * when an article is published.
+ *
+ * @module services/editorial/internalLinkingService
+ */
+
+import config from '../../config/index.js';
+import { query, transaction } from '../../database/queries.js';
+import revisionService from './revisionService.js';
+import syndicationService from '../syndication/syndicationService.js';
+import SEOAgent from '../../agents/specialized/SEOAgent.js';
+
+// Draft keywords used to search the archive
+const QUERY_KEYWORDS = 10;
+
+class InternalLinkingService {
+  /**
+   * @param {Object} [options] - Service options (defaults from config.internalLinking)
+   */
+  constructor(options = {}) {
+    this.config = {
+      ...config.internalLinking,
+      ...options,
+    };
+
+    // Linking only uses the agent's text analysis, so the agent is used without starting it
+    this.seoAgent = new SEOAgent(config.agents.seo);
+
+    this.stats = {
+      suggested: 0,
+      linksInserted: 0,
+      articlesLinked: 0,
+    };
+
+    this.logger = console;
+  }
+
+  /**
+   * Published articles related to a draft, most relevant first
+   * @param {Object} draft - Draft article
+   * @param {string} draft.title - Title
+   * @param {string} draft.content - Content
+   * @param {Array<string>} [draft.tags] - Tag names
+   * @param {string} [draft.id] - Article ID (excluded from the results)
+   * @returns {Promise<Array<Object>>} [{ id, title, url, tags, score, sharedTags }]
+   */
+  async findCandidates(draft) {
+    const keywords = this.seoAgent
+      .extractTopWords(`${draft.title} ${draft.title} ${draft.content}`, QUERY_KEYWORDS)
+      .filter(word => /^[a-z0-9]+$/.test(word));
+    const tags = (draft.tags || []).map(tag => tag.toLowerCase());
+
+    if (keywords.length === 0 && tags.length === 0) {
+      return [];
+    }
+
+    const result = await query(
+      `SELECT id, title, slug, tag_names, shared_tags,
+              text_rank + $4::float * shared_tags AS score
+       FROM (
+         SELECT a.id, a.title, a.slug,
+                CASE WHEN $1 = '' THEN 0
+                     ELSE ts_rank(a.search_vector, to_tsquery('english', $1)) END AS text_rank,
+                (SELECT COUNT(*)::int FROM article_tags st JOIN tags t ON t.id = st.tag_id
+                 WHERE st.article_id = a.id AND LOWER(t.name) = ANY($2)) AS shared_tags,
+                COALESCE(
+                  (SELECT ARRAY_AGG(t.name) FROM article_tags at JOIN tags t ON t.id = at.tag_id
+                   WHERE at.article_id = a.id),
+                  '{}'
+                ) AS tag_names
+         FROM articles a
+         WHERE a.status = 'published'
+           AND a.deleted_at IS NULL
+           AND a.published_at <= NOW()
+           AND ($3::uuid IS NULL OR a.id <> $3)
+           AND (
+             ($1 <> '' AND a.search_vector @@ to_tsquery('english', $1))
+             OR EXISTS (
+               SELECT 1 FROM article_tags st JOIN tags t ON t.id = st.tag_id
+               WHERE st.article_id = a.id AND LOWER(t.name) = ANY($2)
+             )
+           )
+       ) related
+       ORDER BY score DESC, id
+       LIMIT $5`,
+      [
+        keywords.join(' | '),
+        tags,
+        draft.id || null,
+        this.config.tagWeight,
+        this.config.candidateLimit,
+      ]
+    );
+
+    return result.rows.map(row => ({
+      id: row.id,
+      title: row.title,
+      url: syndicationService.articleUrl(row.slug),
+      tags: row.tag_names || [],
+      score: Math.round(parseFloat(row.score) * 1000) / 1000,
+      sharedTags: row.shared_tags,
+    }));
+  }
+
+  /**
+   * Suggest internal links for a draft
+   * @param {Object} draft - { id, title, content, tags }
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxLinks] - Maximum suggestions (default: config maxSuggestions)
+   * @returns {Promise<Object>} { suggestions, candidates } (candidates: related articles considered)
+   */
+  async suggest(draft, { maxLinks = this.config.maxSuggestions } = {}) {
+    const candidates = await this.findCandidates(draft);
+    const { suggestions } = this.seoAgent.suggestInternalLinks({
+      content: draft.content,
+      candidates,
+      maxLinks,
+    });
+
+    this.stats.suggested += suggestions.length;
+
+    return { suggestions, candidates: candidates.length };
+  }
+
+  /**
+   * Load an article with its tag names
+   * @param {string} articleId - Article ID
+   * @returns {Promise<Object|null>} { id, title, content, status, tags }
+   */
+  async loadArticle(articleId) {
+    const result = await query(
+      `SELECT a.id, a.title, a.content, a.status,
+              COALESCE(
+                (SELECT ARRAY_AGG(t.name) FROM article_tags at JOIN tags t ON t.id = at.tag_id
+                 WHERE at.article_id = a.id),
+                '{}'
+              ) AS tags
+       FROM articles a
+       WHERE a.id = $1 AND a.deleted_at IS NULL`,
+      [articleId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Suggest internal links for a stored article
+   * @param {string} articleId - Article ID
+   * @param {Object} [options] - suggest options
+   * @returns {Promise<Object|null>} suggest result, or null if the article does not exist
+   */
+  async suggestForArticle(articleId, options = {}) {
+    const article = await this.loadArticle(articleId);
+    if (!article) return null;
+
+    return this.suggest(article, options);
+  }
+
+  /**
+   * Number of links to our own articles already in content
+   * @param {string} content - Content
+   * @returns {number} Link count
+   */
+  countInternalLinks(content) {
+    const prefix = syndicationService.articleUrl('');
+    return content.split(prefix).length - 1;
+  }
+
+  /**
+   * Add internal links to content, up to the auto-link budget
+   * Links already in the content count towards the budget.
+   * @param {Object} draft - { id, title, content, tags }
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxLinks] - Link budget (default: config maxAutoLinks)
+   * @param {Array<string>} [options.articleIds] - Only link to these articles
+   * @returns {Promise<Object>} { content, links } (links: inserted suggestions)
+   */
+  async linkContent(draft, { maxLinks = this.config.maxAutoLinks, articleIds = null } = {}) {
+    if (this.countInternalLinks(draft.content) >= maxLinks) {
+      return { content: draft.content, links: [] };
+    }
+
+    const candidates = await this.findLinkCandidates(draft, articleIds);
+    return this.applyLinks(draft.content, candidates, maxLinks);
+  }
+
+  /**
+   * Related published articles that a draft may link to
+   * @param {Object} draft - { id, title, content, tags }
+   * @param {Array<string>} [articleIds] - Only these articles
+   * @returns {Promise<Array>} Candidates
+   */
+  async findLinkCandidates(draft, articleIds = null) {
+    const candidates = await this.findCandidates(draft);
+    return articleIds
+      ? candidates.filter(candidate => articleIds.includes(candidate.id))
+      : candidates;
+  }
+
+  /**
+   * Insert links to candidates into content, up to the link budget
+   * @param {string} content - Content
+   * @param {Array} candidates - Link candidates
+   * @param {number} maxLinks - Link budget, including links already in the content
+   * @returns {Object} { content, links }
+   */
+  applyLinks(content, candidates, maxLinks) {
+    const budget = maxLinks - this.countInternalLinks(content);
+    if (budget <= 0 || candidates.length === 0) {
+      return { content, links: [] };
+    }
+
+    const { suggestions } = this.seoAgent.suggestInternalLinks({
+      content,
+      candidates,
+      maxLinks: budget,
+    });
+
+    return {
+      content: this.seoAgent.insertInternalLinks(content, suggestions),
+      links: suggestions,
+    };
+  }
+
+  /**
+   * Insert internal links into a stored article and record the revision
+   * Candidates are looked up first; the links are then inserted into the article's
+   * current content while its row is locked, so an edit saved in between is kept.
+   * @param {string} articleId - Article ID
+   * @param {Object} [options] - linkContent options, plus:
+   * @param {string} [options.actorId] - User who requested the links (omit for automatic linking)
+   * @returns {Promise<Object|null>} { links }, or null if the article does not exist
+   */
+  async linkArticle(
+    articleId,
+    { actorId = null, maxLinks = this.config.maxAutoLinks, articleIds = null } = {}
+  ) {
+    const article = await this.loadArticle(articleId);
+    if (!article) return null;
+
+    if (this.countInternalLinks(article.content) >= maxLinks) {
+      return { links: [] };
+    }
+
+    const candidates = await this.findLinkCandidates(article, articleIds);
+
+    const links = await transaction(async client => {
+      const current = await client.query(
+        'SELECT content FROM articles WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [articleId]
+      );
+      if (current.rows.length === 0) return null;
+
+      const { content, links: inserted } = this.applyLinks(
+        current.rows[0].content,
+        candidates,
+        maxLinks
+      );
+      if (inserted.length === 0) return inserted;
+
+      const result = await client.query(
+        'UPDATE articles SET content = $2 WHERE id = $1 RETURNING *',
+        [articleId, content]
+      );
+      await revisionService.createRevision(
+        result.rows[0],
+        {
+          authorId: actorId,
+          agentName: actorId ? null : 'seo',
+          changeSummary: `Added ${inserted.length} internal link${inserted.length === 1 ? '' : 's'}`,
+        },
+        client
+      );
+
+      return inserted;
+    });
+
+    if (!links) return null;
+
+    if (links.length > 0) {
+      this.stats.linksInserted += links.length;
+      this.stats.articlesLinked++;
+      this.logger.log(`[InternalLinking] Added ${links.length} internal links to ${articleId}`);
+    }
+
+    return { links };
+  }
+
+  /**
+   * Automatic linking on publish (no-op when disabled; never throws)
+   * @param {string} articleId - Published article ID
+   * @returns {Promise<Object|null>} linkArticle result, or null when skipped or failed
+   */
+  async autoLinkArticle(articleId) {
+    if (!this.config.autoInsert) return null;
+
+    try {
+      return await this.linkArticle(articleId);
+    } catch (error) {
+      this.logger.warn(`[InternalLinking] Auto-linking failed for ${articleId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get service statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+// Export singleton instance
+const internalLinkingService = new InternalLinkingService();
+export default internalLinkingService;
+export { InternalLinkingService };
@@ -0,0 +1,500 @@
+/**
+ * Editorial Review Queue Service
+ *
+ * Human-in-the-loop review for articles in the `pending_review` status:
+ * - Queue of articles awaiting review with QualityControl and SEO scores
+ * - Approve / reject decisions with reviewer comments
+ * - Writer rewrites driven by reviewer notes, re-scored and returned to the queue
+ * - Audit trail of every status transition (article_review_events)
+ */
+
+import config from '../../config/index.js';
+import { query, transaction } from '../../database/queries.js';
+import revisionService from './revisionService.js';
+import minHashIndex from '../analytics/minHashIndex.js';
+import syndicationService from '../syndication/syndicationService.js';
+import sitemapService from '../syndication/sitemapService.js';
+import structuredDataService from './structuredDataService.js';
+import internalLinkingService from './internalLinkingService.js';
+import searchService from '../search/searchService.js';
+import embeddingService from '../embeddings/embeddingService.js';
+import AgentRunner from './agentRunner.js';
+import writerRunner from './writerRunner.js';
+import QualityControlAgent from '../../agents/specialized/QualityControlAgent.js';
+import SEOAgent from '../../agents/specialized/SEOAgent.js';
+
+// Scoring agents of the review workflow, started on first use; rewrites use the shared Writer
+const qualityControlRunner = new AgentRunner(
+  'qualityControl',
+  () => new QualityControlAgent(config.agents.qualityControl)
+);
+const seoRunner = new AgentRunner('seo', () => new SEOAgent(config.agents.seo));
+
+const QUEUE_SORT_COLUMNS = {
+  submitted_at: 'submitted_at',
+  quality_score: 'a.quality_score',
+  seo_score: 'a.seo_score',
+  created_at: 'a.created_at',
+};
+
+class ReviewQueueService {
+  constructor() {
+    this.logger = console;
+  }
+
+  /**
+   * Get articles awaiting review
+   * @param {Object} options - Queue options
+   * @param {number} [options.page] - Page number (default: 1)
+   * @param {number} [options.limit] - Page size (default: 20)
+   * @param {string} [options.category] - Category ID filter
+   * @param {number} [options.minQualityScore] - Minimum quality score (0-1)
+   * @param {string} [options.sortBy] - submitted_at, quality_score, seo_score or created_at
+   * @param {string} [options.order] - ASC or DESC (default: ASC, oldest first)
+   * @returns {Promise<Object>} { articles, total }
+   */
+  async getQueue(options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      category,
+      minQualityScore,
+      sortBy = 'submitted_at',
+      order = 'ASC',
+    } = options;
+
+    const conditions = ["a.status = 'pending_review'", 'a.deleted_at IS NULL'];
+    const params = [];
+
+    if (category) {
+      params.push(category);
+      conditions.push(`a.category_id = $${params.length}`);
+    }
+    if (minQualityScore !== undefined) {
+      params.push(minQualityScore);
+      conditions.push(`a.quality_score >= $${params.length}`);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+    const sortColumn = QUEUE_SORT_COLUMNS[sortBy] || QUEUE_SORT_COLUMNS.submitted_at;
+    const sortOrder = String(order).toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+    const offset = (page - 1) * limit;
+
+    const countResult = await query(`SELECT COUNT(*) FROM articles a ${whereClause}`, params);
+
+    const result = await query(
+      `SELECT
+         a.id, a.title, a.slug, a.summary, a.status, a.word_count, a.agent_created,
+         a.quality_score, a.fact_check_score, a.seo_score, a.readability_score,
+         a.metadata->'review' as review,
+         a.category_id, c.name as category_name,
+         a.author_id, u.first_name as author_first_name, u.last_name as author_last_name,
+         a.created_at, a.updated_at,
+         COALESCE(submitted.created_at, a.updated_at) as submitted_at,
+         last_event.action as last_action,
+         last_event.comment as last_comment
+       FROM articles a
+       LEFT JOIN categories c ON a.category_id = c.id
+       LEFT JOIN users u ON a.author_id = u.id
+       LEFT JOIN LATERAL (
+         SELECT created_at FROM article_review_events
+         WHERE article_id = a.id AND to_status = 'pending_review'
+         ORDER BY created_at DESC LIMIT 1
+       ) submitted ON true
+       LEFT JOIN LATERAL (
+         SELECT action, comment FROM article_review_events
+         WHERE article_id = a.id
+         ORDER BY created_at DESC LIMIT 1
+       ) last_event ON true
+       ${whereClause}
+       ORDER BY ${sortColumn} ${sortOrder}
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      articles: result.rows.map(row => this.formatQueueItem(row)),
+      total: parseInt(countResult.rows[0].count),
+    };
+  }
+
+  /**
+   * Shape a queue row, grouping the agent scores
+   * @param {Object} row - Database row
+   * @returns {Object} Queue item
+   */
+  formatQueueItem(row) {
+    const {
+      quality_score: qualityScore,
+      fact_check_score: factCheckScore,
+      seo_score: seoScore,
+      readability_score: readabilityScore,
+      review,
+      ...article
+    } = row;
+
+    return {
+      ...article,
+      scores: {
+        quality: parseFloat(qualityScore),
+        factCheck: parseFloat(factCheckScore),
+        seo: parseFloat(seoScore),
+        readability: parseFloat(readabilityScore),
+        scoredAt: review?.scoredAt || null,
+      },
+      qualityControl: review?.qualityControl || null,
+      seo: review?.seo || null,
+    };
+  }
+
+  /**
+   * Get an article with the fields the review workflow needs
+   * @param {string} articleId - Article ID
+   * @returns {Promise<Object|null>} Article or null
+   */
+  async getArticle(articleId) {
+    const result = await query(
+      `SELECT id, title, slug, summary, content, status, metadata, category_id, author_id,
+              quality_score, seo_score, published_at
+       FROM articles
+       WHERE id = $1 AND deleted_at IS NULL`,
+      [articleId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the review history of an article, newest first
+   * @param {string} articleId - Article ID
+   * @returns {Promise<Array>} Review events
+   */
+  async getHistory(articleId) {
+    const result = await query(
+      `SELECT e.id, e.action, e.from_status, e.to_status, e.comment, e.metadata, e.created_at,
+              e.actor_id, u.email as actor_email,
+              u.first_name as actor_first_name, u.last_name as actor_last_name
+       FROM article_review_events e
+       LEFT JOIN users u ON e.actor_id = u.id
+       WHERE e.article_id = $1
+       ORDER BY e.created_at DESC`,
+      [articleId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Record a review event without changing the article
+   * @param {Object} event - Event data
+   * @param {string} event.articleId - Article ID
+   * @param {string} event.action - review_action value
+   * @param {string} [event.actorId] - User ID (omit for agents)
+   * @param {string} [event.fromStatus] - Status before the action
+   * @param {string} [event.toStatus] - Status after the action
+   * @param {string} [event.comment] - Reviewer comment
+   * @param {Object} [event.metadata] - Additional details
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<Object>} Inserted event
+   */
+  async recordEvent(event, client = null) {
+    const {
+      articleId,
+      action,
+      actorId = null,
+      fromStatus = null,
+      toStatus = null,
+      comment = null,
+      metadata = {},
+    } = event;
+    const run = client ? client.query.bind(client) : query;
+
+    const result = await run(
+      `INSERT INTO article_review_events
+         (article_id, actor_id, action, from_status, to_status, comment, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [articleId, actorId, action, fromStatus, toStatus, comment, JSON.stringify(metadata)]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Move an article to a new status and record who did it
+   * The update only applies while the article still has the status it was loaded
+   * with, so two reviewers acting on the same article cannot both succeed.
+   * @param {Object} article - Current article row
+   * @param {string} toStatus - New status
+   * @param {Object} options - Transition options
+   * @param {string} options.action - review_action value
+   * @param {string} [options.actorId] - User ID (omit for agents)
+   * @param {string} [options.comment] - Reviewer comment
+   * @param {Object} [options.metadata] - Additional details
+   * @returns {Promise<Object|null>} { article, event }, or null if the article's status
+   *   changed since it was loaded
+   */
+  async transition(article, toStatus, { action, actorId = null, comment = null, metadata = {} }) {
+    const outcome = await transaction(async client => {
+      const result = await client.query(
+        `UPDATE articles
+         SET status = $2::article_status,
+             published_at = CASE WHEN $2::article_status = 'published'
+                                 THEN COALESCE(published_at, NOW())
+                                 ELSE published_at END
+         WHERE id = $1 AND status = $3::article_status
+         RETURNING id, title, slug, status, published_at, updated_at`,
+        [article.id, toStatus, article.status]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const event = await this.recordEvent(
+        {
+          articleId: article.id,
+          action,
+          actorId,
+          fromStatus: article.status,
+          toStatus,
+          comment,
+          metadata,
+        },
+        client
+      );
+
+      this.logger.info(
+        `[ReviewQueue] Article ${article.id}: ${article.status} -> ${toStatus} (${action})`
+      );
+
+      return { article: result.rows[0], event };
+    });
+
+    if (!outcome) {
+      this.logger.warn(
+        `[ReviewQueue] Article ${article.id} is no longer ${article.status}; ${action} not applied`
+      );
+      return null;
+    }
+
+    // Link the new article into the archive before feeds and structured data pick up its content
+    if (toStatus === 'published' && article.status !== 'published') {
+      await internalLinkingService.autoLinkArticle(article.id);
+    }
+
+    searchService.syncArticle(article.id).catch(error => {
+      this.logger.warn(
+        `[ReviewQueue] Failed to update search index for ${article.id}:`,
+        error.message
+      );
+    });
+
+    if (toStatus === 'published' || article.status === 'published') {
+      this.refreshSyndication(article.id, toStatus === 'published');
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Refresh outbound feeds, sitemaps and (on publish) structured data after a status change
+   * Never fails the transition.
+   * @param {string} articleId - Article ID
+   * @param {boolean} published - True if the article was just published (pings WebSub hubs)
+   */
+  refreshSyndication(articleId, published) {
+    const refresh = published
+      ? syndicationService.notifyPublished(articleId)
+      : syndicationService.invalidate();
+
+    refresh.catch(error => {
+      this.logger.warn(`[ReviewQueue] Failed to refresh feeds for ${articleId}:`, error.message);
+    });
+
+    sitemapService.refreshArticle(articleId).catch(error => {
+      this.logger.warn(`[ReviewQueue] Failed to refresh sitemaps for ${articleId}:`, error.message);
+    });
+
+    if (published) {
+      structuredDataService.refreshArticle(articleId).catch(error => {
+        this.logger.warn(
+          `[ReviewQueue] Failed to generate structured data for ${articleId}:`,
+          error.message
+        );
+      });
+    }
+  }
+
+  /**
+   * Run QualityControl and SEO over an article and store the scores
+   * @param {Object} article - Article row (with content)
+   * @param {Object} [options] - Options
+   * @param {string} [options.actorId] - User who requested scoring
+   * @returns {Promise<Object>} Review details stored under metadata.review
+   */
+  async scoreArticle(article, { actorId = null } = {}) {
+    const params = {
+      title: article.title,
+      content: article.content,
+      excerpt: article.summary,
+    };
+
+    const qualityControl = await qualityControlRunner.run({
+      type: 'validate',
+      articleId: article.id,
+      params,
+    });
+    const seo = await seoRunner.run({
+      type: 'optimize',
+      articleId: article.id,
+      params: { ...params, keywords: article.metadata?.keywords || [] },
+    });
+
+    const review = {
+      scoredAt: new Date().toISOString(),
+      qualityControl: {
+        qualityScore: qualityControl.qualityScore,
+        recommendation: qualityControl.recommendation,
+        isValid: qualityControl.isValid,
+        issues: qualityControl.issues,
+        warnings: qualityControl.warnings,
+      },
+      seo: {
+        seoScore: seo.seoScore,
+        recommendations: seo.recommendations,
+        suggestedKeywords: seo.suggestedKeywords,
+        metaTags: seo.metaTags,
+      },
+    };
+
+    await query(
+      `UPDATE articles
+       SET quality_score = $2, seo_score = $3,
+           metadata = jsonb_set(COALESCE(metadata, '{}'::jsonb), '{review}', $4::jsonb)
+       WHERE id = $1`,
+      [
+        article.id,
+        this.toScore(qualityControl.qualityScore),
+        this.toScore(seo.seoScore),
+        JSON.stringify(review),
+      ]
+    );
+
+    await this.recordEvent({
+      articleId: article.id,
+      action: 'scored',
+      actorId,
+      metadata: {
+        qualityScore: review.qualityControl.qualityScore,
+        seoScore: review.seo.seoScore,
+        recommendation: review.qualityControl.recommendation,
+      },
+    });
+
+    return review;
+  }
+
+  /**
+   * Rewrite an article with the Writer agent following reviewer notes,
+   * re-score it and return it to the review queue
+   * The article should already be out of the queue (see requestRewrite in the controller).
+   * @param {Object} article - Article row (with content), as it was when the rewrite was requested
+   * @param {Object} options - Rewrite options
+   * @param {string} options.notes - Reviewer notes for the writer
+   * @param {string} [options.style] - Writer style
+   * @returns {Promise<Object|null>} Rewrite result, or null if the rewrite failed
+   */
+  async rewriteArticle(article, { notes, style }) {
+    try {
+      const rewritten = await writerRunner.run({
+        type: 'rewrite',
+        articleId: article.id,
+        params: {
+          originalTitle: article.title,
+          originalContent: article.content,
+          newStyle: style,
+          instructions: notes,
+        },
+      });
+
+      const wordCount = rewritten.content.split(/\s+/).length;
+      const current = await this.getArticle(article.id);
+
+      if (!current) {
+        this.logger.warn(`[ReviewQueue] Article ${article.id} was deleted during rewrite`);
+        return null;
+      }
+
+      await query(
+        `UPDATE articles
+         SET content = $2, word_count = $3, reading_time = $4
+         WHERE id = $1`,
+        [article.id, rewritten.content, wordCount, Math.ceil(wordCount / 200)]
+      );
+      await revisionService.recordCurrent(article.id, {
+        agentName: 'writer',
+        changeType: 'rewrite',
+        changeSummary: notes,
+      });
+      await minHashIndex
+        .indexArticle({ ...current, content: rewritten.content })
+        .catch(error =>
+          this.logger.warn('[ReviewQueue] Re-indexing after rewrite failed:', error.message)
+        );
+      embeddingService.embedArticle(article.id).catch(error => {
+        this.logger.warn('[ReviewQueue] Re-embedding after rewrite failed:', error.message);
+      });
+
+      const updated = { ...current, content: rewritten.content };
+      let review = null;
+      try {
+        review = await this.scoreArticle(updated);
+      } catch (error) {
+        this.logger.error('[ReviewQueue] Scoring after rewrite failed:', error.message);
+      }
+
+      await this.transition(current, 'pending_review', {
+        action: 'rewrite_completed',
+        comment: rewritten.changes,
+        metadata: {
+          ...rewritten.metadata,
+          qualityScore: review?.qualityControl.qualityScore,
+          seoScore: review?.seo.seoScore,
+        },
+      });
+
+      return { article: updated, review, changes: rewritten.changes };
+    } catch (error) {
+      this.logger.error(`[ReviewQueue] Rewrite of article ${article.id} failed:`, error.message);
+
+      // Put the original back in front of the reviewers with the failure noted
+      const current = await this.getArticle(article.id).catch(() => null);
+      if (current) {
+        await this.transition(current, 'pending_review', {
+          action: 'rewrite_failed',
+          comment: error.message,
+        }).catch(err => {
+          this.logger.error('[ReviewQueue] Failed to record rewrite failure:', err.message);
+        });
+      }
+
+      return null;
+    }
+  }
+
+  /**
+   * Clamp an agent score into the 0-1 range stored on articles
+   * @param {number} score - Score
+   * @returns {number} Score rounded to two decimals
+   */
+  toScore(score) {
+    const value = Number(score);
+    if (!Number.isFinite(value)) return 0;
+    return Math.round(Math.min(Math.max(value, 0), 1) * 100) / 100;
+  }
+}
+
+// Export singleton instance
+const reviewQueueService = new ReviewQueueService();
+export default reviewQueueService;
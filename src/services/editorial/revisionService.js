@@ -0,0 +1,376 @@
+/**
+ * Article Revision Service
+ *
+ * Stores every content change to an article as an immutable revision
+ * (article_revisions) with user or agent attribution, and supports
+ * word-level diffs and rollback to any previous revision.
+ */
+
+import config from '../../config/index.js';
+import { query, transaction } from '../../database/queries.js';
+import { diffWords, tokenizeWords } from '../../utils/diff.js';
+
+// Article fields captured in each revision
+const TRACKED_FIELDS = [
+  'title',
+  'slug',
+  'summary',
+  'content',
+  'featured_image_url',
+  'category_id',
+  'metadata',
+];
+
+// Fields compared in revision diffs
+const DIFF_FIELDS = ['title', 'summary', 'content'];
+
+// Metadata written by the editorial workflow rather than by edits; a rollback keeps
+// the current values (review record, generation prompts) instead of restoring old ones
+const WORKFLOW_METADATA_KEYS = ['review', 'prompts'];
+
+class RevisionService {
+  constructor() {
+    this.logger = console;
+  }
+
+  /**
+   * Snapshot an article as a new revision
+   * No revision is created when the tracked fields match the latest revision.
+   * Revisions of an article are created one at a time: the article row is locked
+   * until the transaction commits, so pass the client of the transaction that
+   * changed the article to snapshot exactly that change.
+   * @param {Object} article - Article row (must include every tracked field)
+   * @param {Object} [options] - Revision options
+   * @param {string} [options.authorId] - User who made the change
+   * @param {string} [options.agentName] - Agent that made the change
+   * @param {string} [options.changeType] - create, update, rewrite, expand or rollback (default: update)
+   * @param {string} [options.changeSummary] - Short description of the change
+   * @param {number} [options.restoredFrom] - Revision number restored by a rollback
+   * @param {Object} [client] - Transaction client (default: a transaction of its own)
+   * @returns {Promise<Object|null>} Created revision, or null if nothing changed
+   */
+  async createRevision(article, options = {}, client = null) {
+    if (!client) {
+      return transaction(tx => this.createRevision(article, options, tx));
+    }
+
+    const {
+      authorId = null,
+      agentName = null,
+      changeType = 'update',
+      changeSummary = null,
+      restoredFrom = null,
+    } = options;
+    await client.query('SELECT id FROM articles WHERE id = $1 FOR UPDATE', [article.id]);
+
+    const latestResult = await client.query(
+      `SELECT ${TRACKED_FIELDS.join(', ')}
+       FROM article_revisions
+       WHERE article_id = $1
+       ORDER BY revision_number DESC
+       LIMIT 1`,
+      [article.id]
+    );
+    const latest = latestResult.rows[0];
+
+    if (latest && changeType !== 'rollback' && !this.hasChanges(latest, article)) {
+      return null;
+    }
+
+    const result = await client.query(
+      `INSERT INTO article_revisions (
+         article_id, revision_number, title, slug, summary, content, featured_image_url,
+         category_id, metadata, word_count, author_id, agent_name, change_type,
+         change_summary, restored_from
+       )
+       SELECT $1, COALESCE(MAX(revision_number), 0) + 1, $2, $3, $4, $5, $6, $7, $8, $9,
+              $10, $11, $12, $13, $14
+       FROM article_revisions
+       WHERE article_id = $1
+       RETURNING id, article_id, revision_number, change_type, created_at`,
+      [
+        article.id,
+        article.title,
+        article.slug,
+        article.summary || null,
+        article.content,
+        article.featured_image_url || null,
+        article.category_id || null,
+        JSON.stringify(article.metadata || {}),
+        article.content ? article.content.split(/\s+/).length : 0,
+        authorId,
+        agentName,
+        changeType,
+        changeSummary,
+        restoredFrom,
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Snapshot the current state of an article by ID
+   * Use after an UPDATE that did not return the full row.
+   * @param {string} articleId - Article ID
+   * @param {Object} [options] - Revision options (see createRevision)
+   * @returns {Promise<Object|null>} Created revision, or null if nothing changed
+   */
+  async recordCurrent(articleId, options = {}) {
+    return transaction(async client => {
+      const result = await client.query(
+        `SELECT id, ${TRACKED_FIELDS.join(', ')} FROM articles WHERE id = $1 FOR UPDATE`,
+        [articleId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return this.createRevision(result.rows[0], options, client);
+    });
+  }
+
+  /**
+   * Check whether an article differs from a revision in any tracked field
+   * @param {Object} revision - Revision row
+   * @param {Object} article - Article row
+   * @returns {boolean} True if any tracked field changed
+   */
+  hasChanges(revision, article) {
+    return TRACKED_FIELDS.some(field => this.fieldChanged(revision, article, field));
+  }
+
+  /**
+   * List revisions of an article, newest first (without content)
+   * @param {string} articleId - Article ID
+   * @param {Object} [options] - Pagination options
+   * @param {number} [options.page] - Page number (default: 1)
+   * @param {number} [options.limit] - Page size (default: 20)
+   * @returns {Promise<Object>} { revisions, total }
+   */
+  async listRevisions(articleId, { page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const [revisionsResult, countResult] = await Promise.all([
+      query(
+        `SELECT r.id, r.revision_number, r.title, r.word_count, r.change_type,
+                r.change_summary, r.restored_from, r.agent_name, r.author_id,
+                u.first_name as author_first_name, u.last_name as author_last_name,
+                r.created_at
+         FROM article_revisions r
+         LEFT JOIN users u ON r.author_id = u.id
+         WHERE r.article_id = $1
+         ORDER BY r.revision_number DESC
+         LIMIT $2 OFFSET $3`,
+        [articleId, limit, offset]
+      ),
+      query('SELECT COUNT(*) FROM article_revisions WHERE article_id = $1', [articleId]),
+    ]);
+
+    return {
+      revisions: revisionsResult.rows,
+      total: parseInt(countResult.rows[0].count),
+    };
+  }
+
+  /**
+   * Get a single revision
+   * @param {string} articleId - Article ID
+   * @param {number} revisionNumber - Revision number
+   * @returns {Promise<Object|null>} Revision or null
+   */
+  async getRevision(articleId, revisionNumber) {
+    const result = await query(
+      `SELECT r.*, u.first_name as author_first_name, u.last_name as author_last_name
+       FROM article_revisions r
+       LEFT JOIN users u ON r.author_id = u.id
+       WHERE r.article_id = $1 AND r.revision_number = $2`,
+      [articleId, revisionNumber]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Word-level diff between two revisions
+   * Revisions longer than config.revisions.maxDiffWords (together) are not diffed.
+   * @param {string} articleId - Article ID
+   * @param {number} fromRevision - Older revision number
+   * @param {number} toRevision - Newer revision number
+   * @returns {Promise<Object|null>} Diff, { tooLarge: true, words, maxWords } if the
+   *   revisions are too long to diff, or null if either revision is missing
+   */
+  async diffRevisions(articleId, fromRevision, toRevision) {
+    const [from, to] = await Promise.all([
+      this.getRevision(articleId, fromRevision),
+      this.getRevision(articleId, toRevision),
+    ]);
+
+    if (!from || !to) {
+      return null;
+    }
+
+    const { maxDiffWords, maxDiffEdits } = config.revisions;
+    const words = DIFF_FIELDS.reduce(
+      (total, field) => total + tokenizeWords(from[field]).length + tokenizeWords(to[field]).length,
+      0
+    );
+
+    if (words > maxDiffWords) {
+      return { tooLarge: true, words, maxWords: maxDiffWords };
+    }
+
+    const fields = {};
+    const stats = { added: 0, removed: 0, unchanged: 0 };
+    let approximate = false;
+
+    DIFF_FIELDS.forEach(field => {
+      const diff = diffWords(from[field] || '', to[field] || '', { maxEdits: maxDiffEdits });
+      fields[field] = diff;
+      stats.added += diff.stats.added;
+      stats.removed += diff.stats.removed;
+      stats.unchanged += diff.stats.unchanged;
+      approximate = approximate || diff.approximate;
+    });
+
+    return {
+      from: this.describe(from),
+      to: this.describe(to),
+      changedFields: TRACKED_FIELDS.filter(field => this.fieldChanged(from, to, field)),
+      fields,
+      stats,
+      approximate,
+    };
+  }
+
+  /**
+   * Restore an article to a previous revision
+   * The restore is itself recorded as a new revision, so history is never rewritten.
+   * If another article has taken the revision's slug since, the current slug is kept.
+   * The revision's metadata is merged into the current metadata, and workflow state
+   * such as the editorial review record is left as it is.
+   * @param {string} articleId - Article ID
+   * @param {number} revisionNumber - Revision to restore
+   * @param {Object} [options] - Options
+   * @param {string} [options.authorId] - User performing the rollback
+   * @param {string} [options.reason] - Reason for the rollback
+   * @returns {Promise<Object|null>} { article, revision, slugConflict }, or null if the
+   *   revision is missing
+   */
+  async rollback(articleId, revisionNumber, { authorId = null, reason = null } = {}) {
+    const target = await this.getRevision(articleId, revisionNumber);
+
+    if (!target) {
+      return null;
+    }
+
+    return transaction(async client => {
+      const currentResult = await client.query(
+        'SELECT slug FROM articles WHERE id = $1 FOR UPDATE',
+        [articleId]
+      );
+
+      if (currentResult.rows.length === 0) {
+        return null;
+      }
+
+      const conflictResult = await client.query(
+        'SELECT id FROM articles WHERE slug = $1 AND id != $2',
+        [target.slug, articleId]
+      );
+      const slugConflict = conflictResult.rows.length > 0;
+
+      if (slugConflict) {
+        this.logger.warn(
+          `[Revisions] Slug "${target.slug}" of revision ${revisionNumber} is taken by another ` +
+            `article; article ${articleId} keeps "${currentResult.rows[0].slug}"`
+        );
+      }
+
+      const result = await client.query(
+        `UPDATE articles
+         SET title = $2, slug = $3, summary = $4, content = $5, featured_image_url = $6,
+             category_id = $7, metadata = COALESCE(metadata, '{}'::jsonb) || $8::jsonb,
+             word_count = $9, reading_time = $10
+         WHERE id = $1
+         RETURNING *`,
+        [
+          articleId,
+          target.title,
+          slugConflict ? currentResult.rows[0].slug : target.slug,
+          target.summary,
+          target.content,
+          target.featured_image_url,
+          target.category_id,
+          JSON.stringify(this.restorableMetadata(target.metadata)),
+          target.word_count,
+          Math.ceil((target.word_count || 0) / 200),
+        ]
+      );
+
+      const article = result.rows[0];
+      const revision = await this.createRevision(
+        article,
+        {
+          authorId,
+          changeType: 'rollback',
+          changeSummary: reason || `Rolled back to revision ${revisionNumber}`,
+          restoredFrom: revisionNumber,
+        },
+        client
+      );
+
+      this.logger.info(
+        `[Revisions] Article ${articleId} rolled back to revision ${revisionNumber}`
+      );
+
+      return { article, revision, slugConflict };
+    });
+  }
+
+  /**
+   * Metadata of a revision without the keys owned by the editorial workflow
+   * @param {Object} [metadata] - Revision metadata
+   * @returns {Object} Metadata to merge into the article on rollback
+   */
+  restorableMetadata(metadata) {
+    return Object.fromEntries(
+      Object.entries(metadata || {}).filter(([key]) => !WORKFLOW_METADATA_KEYS.includes(key))
+    );
+  }
+
+  /**
+   * Check whether a single tracked field differs between two snapshots
+   * @param {Object} from - Older revision or article
+   * @param {Object} to - Newer revision or article
+   * @param {string} field - Field name
+   * @returns {boolean} True if the field changed
+   */
+  fieldChanged(from, to, field) {
+    if (field === 'metadata') {
+      return JSON.stringify(from.metadata || {}) !== JSON.stringify(to.metadata || {});
+    }
+    return (from[field] ?? null) !== (to[field] ?? null);
+  }
+
+  /**
+   * Revision header used in diffs
+   * @param {Object} revision - Revision row
+   * @returns {Object} Revision summary
+   */
+  describe(revision) {
+    return {
+      revisionNumber: revision.revision_number,
+      changeType: revision.change_type,
+      changeSummary: revision.change_summary,
+      authorId: revision.author_id,
+      agentName: revision.agent_name,
+      createdAt: revision.created_at,
+    };
+  }
+}
+
+// Export singleton instance
+const revisionService = new RevisionService();
+export default revisionService;
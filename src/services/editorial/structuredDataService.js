@@ -0,0 +1,147 @@
+/**
+ * Structured Data Service
+ *
+ * Generates an article's schema.org JSON-LD with the SEO agent and stores it
+ * with the article (article_structured_data), together with the fields Google
+ * would reject, so the frontend can embed it without rebuilding it. Runs when
+ * a published article is created, updated or published.
+ *
+ * @module services/editorial/structuredDataService
+ */
+
+import config from '../../config/index.js';
+import { query } from '../../database/queries.js';
+import syndicationService from '../syndication/syndicationService.js';
+import SEOAgent from '../../agents/specialized/SEOAgent.js';
+
+class StructuredDataService {
+  constructor() {
+    this.config = {
+      ...config.structuredData,
+      siteUrl: syndicationService.config.siteUrl.replace(/\/$/, ''),
+      organizationName: config.structuredData.organizationName || config.syndication.title,
+      language: config.syndication.language,
+    };
+
+    // generateStructuredData is deterministic, so the agent is used without starting it
+    this.seoAgent = new SEOAgent({
+      ...config.agents.seo,
+      site: {
+        name: this.config.organizationName,
+        url: this.config.siteUrl,
+        logo: this.config.organizationLogoUrl,
+        sameAs: this.config.organizationSameAs,
+      },
+    });
+
+    this.stats = {
+      generated: 0,
+      invalid: 0,
+    };
+
+    this.logger = console;
+  }
+
+  /**
+   * Load an article with its author, category and tags
+   * @param {string} articleId - Article ID
+   * @returns {Promise<Object|null>} Article row
+   */
+  async loadArticle(articleId) {
+    const result = await query(
+      `SELECT a.id, a.title, a.slug, a.summary, a.content, a.featured_image_url,
+              a.word_count, a.published_at, a.updated_at,
+              c.name AS category_name, c.slug AS category_slug,
+              NULLIF(TRIM(CONCAT_WS(' ', u.first_name, u.last_name)), '') AS author_name,
+              COALESCE(
+                (SELECT ARRAY_AGG(t.name ORDER BY t.name)
+                 FROM article_tags at JOIN tags t ON t.id = at.tag_id
+                 WHERE at.article_id = a.id),
+                '{}'
+              ) AS tag_names
+       FROM articles a
+       LEFT JOIN categories c ON c.id = a.category_id
+       LEFT JOIN users u ON u.id = a.author_id
+       WHERE a.id = $1`,
+      [articleId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Build structured data for an article row
+   * @param {Object} article - loadArticle row
+   * @returns {Object} { jsonLd, validation }
+   */
+  build(article) {
+    return this.seoAgent.generateStructuredData({
+      title: article.title,
+      url: syndicationService.articleUrl(article.slug),
+      excerpt: article.summary,
+      images: [article.featured_image_url],
+      publishedAt: article.published_at,
+      modifiedAt: article.updated_at,
+      author: article.author_name ? { name: article.author_name } : null,
+      category: article.category_slug
+        ? {
+            name: article.category_name,
+            url: `${this.config.siteUrl}/category/${article.category_slug}`,
+          }
+        : null,
+      tags: article.tag_names || [],
+      wordCount: article.word_count || (article.content || '').split(/\s+/).filter(Boolean).length,
+      language: this.config.language,
+    });
+  }
+
+  /**
+   * Generate and store an article's structured data
+   * @param {string} articleId - Article ID
+   * @returns {Promise<Object|null>} { jsonLd, validation }, or null when disabled or not found
+   */
+  async refreshArticle(articleId) {
+    if (!this.config.enabled) return null;
+
+    const article = await this.loadArticle(articleId);
+    if (!article) return null;
+
+    const { jsonLd, validation } = this.build(article);
+
+    await query(
+      `INSERT INTO article_structured_data (article_id, json_ld, errors, warnings)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (article_id) DO UPDATE
+       SET json_ld = EXCLUDED.json_ld, errors = EXCLUDED.errors, warnings = EXCLUDED.warnings`,
+      [
+        articleId,
+        JSON.stringify(jsonLd),
+        JSON.stringify(validation.errors),
+        JSON.stringify(validation.warnings),
+      ]
+    );
+
+    this.stats.generated++;
+    if (!validation.valid) {
+      this.stats.invalid++;
+      this.logger.warn(
+        `[StructuredData] Article ${articleId} is missing required fields: ${validation.errors.join('; ')}`
+      );
+    }
+
+    return { jsonLd, validation };
+  }
+
+  /**
+   * Get service statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+// Export singleton instance
+const structuredDataService = new StructuredDataService();
+export default structuredDataService;
+export { StructuredDataService };
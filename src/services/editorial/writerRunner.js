@@ -0,0 +1,17 @@
+/**
+ * Writer Runner
+ *
+ * The one Writer agent that services (drafts, story synthesis, editorial
+ * rewrites, prompt evaluation) hand writing tasks to, queued through an
+ * AgentRunner.
+ *
+ * @module services/editorial/writerRunner
+ */
+
+import config from '../../config/index.js';
+import AgentRunner from './agentRunner.js';
+import WriterAgent from '../../agents/specialized/WriterAgent.js';
+
+// Export singleton instance
+const writerRunner = new AgentRunner('writer', () => new WriterAgent(config.agents.writer));
+export default writerRunner;
@@ -0,0 +1,346 @@
+/**
+ * Embedding Service
+ *
+ * Embeds articles (title, summary and content) when they are saved and keeps
+ * the vectors in the configured vector store, for semantic search and related
+ * articles (see searchService.semanticSearch and searchService.findRelated).
+ *
+ * The store only holds vectors keyed by article ID: status, filters and
+ * deletion are applied when results are loaded from PostgreSQL, so only
+ * content changes need re-embedding. `npm run db:index-embeddings` rebuilds
+ * the store (add `-- --recreate` after changing provider or model).
+ *
+ * @module services/embeddings/embeddingService
+ */
+
+import config from '../../config/index.js';
+import { query } from '../../database/queries.js';
+import HashingEmbeddingProvider from './providers/HashingEmbeddingProvider.js';
+import OpenAIEmbeddingProvider from './providers/OpenAIEmbeddingProvider.js';
+import GeminiEmbeddingProvider from './providers/GeminiEmbeddingProvider.js';
+import MemoryVectorStore from './stores/MemoryVectorStore.js';
+import QdrantVectorStore from './stores/QdrantVectorStore.js';
+import PineconeVectorStore from './stores/PineconeVectorStore.js';
+
+class EmbeddingService {
+  /**
+   * @param {Object} [options] - Service options (defaults from config.embeddings)
+   * @param {string} [options.store] - Vector store type (default: config.vectorDb.type)
+   */
+  constructor(options = {}) {
+    this.config = {
+      ...config.embeddings,
+      store: config.vectorDb.type,
+      ...options,
+    };
+
+    // Created on first use, so a misconfigured provider only fails embedding calls
+    this.provider = null;
+    this.store = null;
+
+    // Collection creation runs once per process
+    this.collectionReady = null;
+
+    this.stats = {
+      embedded: 0,
+      removed: 0,
+      queries: 0,
+      failures: 0,
+    };
+
+    this.logger = console;
+  }
+
+  /**
+   * Create an embedding provider
+   * @param {string} name - hashing, openai or gemini
+   * @returns {EmbeddingProvider} Provider
+   */
+  createProvider(name) {
+    switch (name) {
+      case 'hashing':
+        return new HashingEmbeddingProvider({ dimensions: this.config.dimensions });
+      case 'openai':
+        return new OpenAIEmbeddingProvider({
+          apiKey: config.ai.openai.apiKey,
+          baseUrl: this.config.baseUrl,
+          model: this.config.model,
+          dimensions: this.config.dimensions,
+        });
+      case 'gemini':
+        return new GeminiEmbeddingProvider({
+          apiKey: config.ai.gemini.apiKey,
+          model: this.config.model,
+        });
+      default:
+        throw new Error(`Unknown embedding provider: ${name}`);
+    }
+  }
+
+  /**
+   * Create a vector store
+   * @param {string} type - qdrant, pinecone or memory
+   * @returns {VectorStore} Store
+   */
+  createStore(type) {
+    switch (type) {
+      case 'qdrant':
+        return new QdrantVectorStore({
+          ...config.vectorDb.qdrant,
+          requestTimeout: config.vectorDb.requestTimeout,
+        });
+      case 'pinecone':
+        return new PineconeVectorStore({
+          ...config.vectorDb.pinecone,
+          requestTimeout: config.vectorDb.requestTimeout,
+        });
+      case 'memory':
+        return new MemoryVectorStore();
+      default:
+        throw new Error(`Unknown vector store: ${type}`);
+    }
+  }
+
+  /**
+   * Embedding provider and vector store, created on first use
+   * @returns {Object} { provider, store }
+   */
+  getBackends() {
+    if (!this.config.enabled) {
+      throw new Error('Embeddings are disabled (EMBEDDINGS_ENABLED=false)');
+    }
+
+    this.provider = this.provider || this.createProvider(this.config.provider);
+    this.store = this.store || this.createStore(this.config.store);
+
+    return { provider: this.provider, store: this.store };
+  }
+
+  /**
+   * Text embedded for an article
+   * @param {Object} article - { title, summary, content }
+   * @returns {string} Text (at most maxInputChars)
+   */
+  articleText(article) {
+    return [article.title, article.summary, article.content]
+      .filter(Boolean)
+      .join('\n\n')
+      .slice(0, this.config.maxInputChars);
+  }
+
+  /**
+   * Embed texts
+   * @param {Array<string>} texts - Texts
+   * @returns {Promise<Array<Array<number>>>} Vectors
+   */
+  async embed(texts) {
+    const { provider } = this.getBackends();
+    return provider.embed(texts);
+  }
+
+  /**
+   * Create the store's collection for a vector size (once per process, retried after a failure)
+   * @param {number} dimensions - Vector size
+   * @returns {Promise<void>}
+   */
+  async ensureCollection(dimensions) {
+    const { store } = this.getBackends();
+
+    if (!this.collectionReady) {
+      this.collectionReady = store.ensureCollection(dimensions).catch(error => {
+        this.collectionReady = null;
+        throw error;
+      });
+    }
+
+    await this.collectionReady;
+  }
+
+  /**
+   * Load articles to embed
+   * @param {Object} [options] - Options
+   * @param {Array<string>} [options.ids] - Only these articles
+   * @param {string} [options.afterId] - Only articles with a greater ID (for paging)
+   * @param {number} [options.limit] - Maximum articles
+   * @returns {Promise<Array<Object>>} [{ id, title, summary, content }] ordered by ID
+   */
+  async loadArticles({ ids = null, afterId = null, limit = null } = {}) {
+    const result = await query(
+      `SELECT a.id, a.title, a.summary, a.content
+       FROM articles a
+       WHERE a.deleted_at IS NULL
+         AND ($1::uuid[] IS NULL OR a.id = ANY($1))
+         AND ($2::uuid IS NULL OR a.id > $2)
+       ORDER BY a.id
+       LIMIT $3`,
+      [ids, afterId, limit]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Embed and store article vectors
+   * @param {Array<Object>} articles - [{ id, title, summary, content }]
+   * @returns {Promise<Array<Array<number>>>} Vectors (same order)
+   */
+  async storeArticles(articles) {
+    if (articles.length === 0) return [];
+
+    const { store } = this.getBackends();
+    const vectors = await this.embed(articles.map(article => this.articleText(article)));
+
+    await this.ensureCollection(vectors[0].length);
+    await store.upsert(
+      articles.map((article, index) => ({ id: article.id, vector: vectors[index] }))
+    );
+    this.stats.embedded += articles.length;
+
+    return vectors;
+  }
+
+  /**
+   * Embed an article after its content changed (or drop its vector once deleted)
+   * @param {string} articleId - Article ID
+   * @returns {Promise<Object|null>} { embedded } or { removed }, or null when embeddings are disabled
+   */
+  async embedArticle(articleId) {
+    if (!this.config.enabled) return null;
+
+    const [article] = await this.loadArticles({ ids: [articleId] });
+
+    if (!article) {
+      await this.removeArticle(articleId);
+      return { removed: true };
+    }
+
+    try {
+      await this.storeArticles([article]);
+    } catch (error) {
+      this.stats.failures++;
+      throw error;
+    }
+
+    return { embedded: true };
+  }
+
+  /**
+   * Drop an article's vector
+   * @param {string} articleId - Article ID
+   * @returns {Promise<void>}
+   */
+  async removeArticle(articleId) {
+    if (!this.config.enabled) return;
+
+    const { store } = this.getBackends();
+    await store.delete([articleId]);
+    this.stats.removed++;
+  }
+
+  /**
+   * Articles closest to a text
+   * @param {string} text - Query text
+   * @param {Object} [options] - Options
+   * @param {number} [options.limit=10] - Maximum articles
+   * @returns {Promise<Array<Object>>} [{ id, score }], closest first (score: cosine similarity)
+   */
+  async searchSimilar(text, { limit = 10 } = {}) {
+    const { store } = this.getBackends();
+    const [vector] = await this.embed([text]);
+
+    this.stats.queries++;
+    return store.query(vector, { limit });
+  }
+
+  /**
+   * Articles closest to an article (embedding it first if it has no stored vector)
+   * @param {string} articleId - Article ID
+   * @param {Object} [options] - Options
+   * @param {number} [options.limit=10] - Maximum articles
+   * @returns {Promise<Array<Object>>} [{ id, score }], closest first, without the article itself
+   */
+  async findSimilar(articleId, { limit = 10 } = {}) {
+    const { store } = this.getBackends();
+    let vector = await store.getVector(articleId);
+
+    if (!vector) {
+      const [article] = await this.loadArticles({ ids: [articleId] });
+      if (!article) return [];
+      [vector] = await this.storeArticles([article]);
+    }
+
+    this.stats.queries++;
+    const neighbours = await store.query(vector, { limit: limit + 1 });
+
+    return neighbours.filter(neighbour => neighbour.id !== articleId).slice(0, limit);
+  }
+
+  /**
+   * Re-embed every article
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.recreate=false] - Drop the collection first (needed after
+   *   changing provider, model or dimensions)
+   * @returns {Promise<Object>} { embedded, failed }
+   */
+  async reindex({ recreate = false } = {}) {
+    const { store } = this.getBackends();
+
+    if (recreate) {
+      await store.deleteCollection();
+      this.collectionReady = null;
+    }
+
+    const totals = { embedded: 0, failed: 0 };
+    let afterId = null;
+
+    for (;;) {
+      const articles = await this.loadArticles({ afterId, limit: this.config.batchSize });
+      if (articles.length === 0) break;
+
+      try {
+        await this.storeArticles(articles);
+        totals.embedded += articles.length;
+      } catch (error) {
+        totals.failed += articles.length;
+        this.logger.warn(`[Embeddings] Batch after ${afterId || 'start'} failed:`, error.message);
+      }
+
+      afterId = articles[articles.length - 1].id;
+      this.logger.log(
+        `[Embeddings] Embedded ${totals.embedded} articles (${totals.failed} failed)`
+      );
+    }
+
+    return totals;
+  }
+
+  /**
+   * Check the vector store is reachable
+   * @returns {Promise<boolean>} Health status
+   */
+  async healthCheck() {
+    try {
+      return await this.getBackends().store.healthCheck();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get service statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      enabled: this.config.enabled,
+      provider: this.provider?.getInfo() || { name: this.config.provider },
+      store: this.store?.getInfo() || { name: this.config.store },
+      ...this.stats,
+    };
+  }
+}
+
+// Export singleton instance
+const embeddingService = new EmbeddingService();
+export default embeddingService;
+export { EmbeddingService };
@@ -0,0 +1,51 @@
+/**
+ * Embedding Provider
+ * Base contract for text embedding models used by embeddingService
+ *
+ * Subclasses implement:
+ * - embed(texts)    Embed a batch of texts, one vector per text (same order)
+ *
+ * Vectors from different providers or models are not comparable: switching
+ * provider means rebuilding the vector store (npm run db:index-embeddings -- --recreate).
+ */
+
+class EmbeddingProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.name - Provider name (config value of EMBEDDINGS_PROVIDER)
+   * @param {string} options.model - Model name
+   * @param {number} [options.dimensions] - Vector size, when known before the first call
+   */
+  constructor(options = {}) {
+    if (!options.name || !options.model) {
+      throw new Error('Embedding provider requires a name and a model');
+    }
+
+    this.name = options.name;
+    this.model = options.model;
+    this.dimensions = options.dimensions || null;
+  }
+
+  /**
+   * Embed texts
+   * @param {Array<string>} texts - Texts
+   * @returns {Promise<Array<Array<number>>>} Vectors
+   */
+  async embed(_texts) {
+    throw new Error(`embed() must be implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Describe the provider
+   * @returns {Object} Provider details
+   */
+  getInfo() {
+    return {
+      name: this.name,
+      model: this.model,
+      dimensions: this.dimensions,
+    };
+  }
+}
+
+export default EmbeddingProvider;
@@ -0,0 +1,45 @@
+/**
+ * Gemini Embedding Provider
+ * Embeddings from Google's Gemini API (same key as the Gemini text models)
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import EmbeddingProvider from './EmbeddingProvider.js';
+
+const DEFAULT_MODEL = 'text-embedding-004';
+
+class GeminiEmbeddingProvider extends EmbeddingProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - Gemini API key
+   * @param {string} [options.model] - Embedding model
+   */
+  constructor({ apiKey, model } = {}) {
+    super({ name: 'gemini', model: model || DEFAULT_MODEL });
+
+    if (!apiKey) {
+      throw new Error('Gemini embeddings require GEMINI_API_KEY');
+    }
+
+    this.client = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model: this.model });
+  }
+
+  /**
+   * Embed texts
+   * @param {Array<string>} texts - Texts
+   * @returns {Promise<Array<Array<number>>>} Vectors
+   */
+  async embed(texts) {
+    if (texts.length === 0) return [];
+
+    const response = await this.client.batchEmbedContents({
+      requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } })),
+    });
+
+    const vectors = response.embeddings.map(embedding => embedding.values);
+    this.dimensions = vectors[0]?.length || this.dimensions;
+    return vectors;
+  }
+}
+
+export default GeminiEmbeddingProvider;
@@ -0,0 +1,75 @@
+/**
+ * Hashing Embedding Provider
+ * Local, deterministic embeddings by feature hashing: word unigrams and
+ * bigrams are hashed into a fixed number of signed buckets, weighted by log
+ * term frequency and L2-normalized. Texts sharing vocabulary get a high cosine
+ * similarity. No semantics beyond shared words, but no API calls either, and
+ * identical input always gives an identical vector (development and tests).
+ */
+
+import { hashString } from '../../../utils/hash32.js';
+import EmbeddingProvider from './EmbeddingProvider.js';
+
+const DEFAULT_DIMENSIONS = 384;
+
+// Bigrams carry phrase information but are rarer, so they count less
+const BIGRAM_WEIGHT = 0.5;
+
+class HashingEmbeddingProvider extends EmbeddingProvider {
+  /**
+   * @param {Object} [options] - Provider options
+   * @param {number} [options.dimensions=384] - Vector size
+   */
+  constructor({ dimensions } = {}) {
+    const size = dimensions || DEFAULT_DIMENSIONS;
+    super({ name: 'hashing', model: `hashing-${size}`, dimensions: size });
+  }
+
+  /**
+   * Weighted features of a text
+   * @param {string} text - Text
+   * @returns {Map<string, number>} Feature -> weight
+   */
+  features(text) {
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const features = new Map();
+    const add = (feature, weight) => features.set(feature, (features.get(feature) || 0) + weight);
+
+    words.forEach((word, index) => {
+      add(word, 1);
+      if (index > 0) add(`${words[index - 1]} ${word}`, BIGRAM_WEIGHT);
+    });
+
+    return features;
+  }
+
+  /**
+   * Embed one text
+   * @param {string} text - Text
+   * @returns {Array<number>} Unit vector (all zeros for text without words)
+   */
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+
+    this.features(text).forEach((count, feature) => {
+      const hash = hashString(feature);
+      // The top bit picks the sign, the remainder the bucket
+      const sign = hash >= 0x80000000 ? -1 : 1;
+      vector[hash % this.dimensions] += sign * (1 + Math.log(count));
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  /**
+   * Embed texts
+   * @param {Array<string>} texts - Texts
+   * @returns {Promise<Array<Array<number>>>} Vectors
+   */
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+}
+
+export default HashingEmbeddingProvider;
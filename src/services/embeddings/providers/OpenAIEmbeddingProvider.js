@@ -0,0 +1,58 @@
+/**
+ * OpenAI Embedding Provider
+ * Embeddings from the OpenAI API, or any OpenAI-compatible endpoint
+ * (EMBEDDINGS_BASE_URL: Azure OpenAI, Ollama, vLLM, LocalAI, ...)
+ */
+
+import OpenAI from 'openai';
+import EmbeddingProvider from './EmbeddingProvider.js';
+
+const DEFAULT_MODEL = 'text-embedding-3-small';
+
+class OpenAIEmbeddingProvider extends EmbeddingProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} [options.apiKey] - API key (optional for local endpoints)
+   * @param {string} [options.baseUrl] - API base URL (default: api.openai.com)
+   * @param {string} [options.model] - Embedding model
+   * @param {number} [options.dimensions] - Shorten vectors to this size (text-embedding-3 models)
+   */
+  constructor({ apiKey, baseUrl, model, dimensions } = {}) {
+    super({ name: 'openai', model: model || DEFAULT_MODEL, dimensions });
+
+    if (!apiKey && !baseUrl) {
+      throw new Error('OpenAI embeddings require OPENAI_API_KEY (or EMBEDDINGS_BASE_URL)');
+    }
+
+    // Only send dimensions when configured: most compatible servers reject it
+    this.requestDimensions = dimensions || null;
+    this.client = new OpenAI({
+      apiKey: apiKey || 'not-required',
+      baseURL: baseUrl || undefined,
+    });
+  }
+
+  /**
+   * Embed texts
+   * @param {Array<string>} texts - Texts
+   * @returns {Promise<Array<Array<number>>>} Vectors
+   */
+  async embed(texts) {
+    if (texts.length === 0) return [];
+
+    const response = await this.client.embeddings.create({
+      model: this.model,
+      input: texts,
+      ...(this.requestDimensions && { dimensions: this.requestDimensions }),
+    });
+
+    const vectors = [...response.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+
+    this.dimensions = vectors[0]?.length || this.dimensions;
+    return vectors;
+  }
+}
+
+export default OpenAIEmbeddingProvider;
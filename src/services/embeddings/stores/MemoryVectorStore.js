@@ -0,0 +1,73 @@
+/**
+ * Memory Vector Store
+ * In-process vectors with brute-force cosine search. Not persisted and not
+ * shared between processes, so only for development and tests: vectors
+ * refill as articles are saved.
+ */
+
+import VectorStore from './VectorStore.js';
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector of the same size
+ * @returns {number} Similarity (0 when either vector is all zeros)
+ */
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+class MemoryVectorStore extends VectorStore {
+  constructor() {
+    super({ name: 'memory' });
+    this.vectors = new Map();
+    this.dimensions = null;
+  }
+
+  async ensureCollection(dimensions) {
+    if (this.dimensions === dimensions) return false;
+
+    this.dimensions = dimensions;
+    return true;
+  }
+
+  async upsert(points) {
+    points.forEach(point => this.vectors.set(point.id, point.vector));
+  }
+
+  async delete(ids) {
+    ids.forEach(id => this.vectors.delete(id));
+  }
+
+  async query(vector, { limit = 10 } = {}) {
+    return [...this.vectors.entries()]
+      .map(([id, stored]) => ({ id, score: cosineSimilarity(vector, stored) }))
+      .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id))
+      .slice(0, limit);
+  }
+
+  async getVector(id) {
+    return this.vectors.get(id) || null;
+  }
+
+  async deleteCollection() {
+    this.vectors.clear();
+    this.dimensions = null;
+  }
+
+  getInfo() {
+    return { ...super.getInfo(), vectors: this.vectors.size, dimensions: this.dimensions };
+  }
+}
+
+export default MemoryVectorStore;
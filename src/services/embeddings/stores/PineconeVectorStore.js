@@ -0,0 +1,112 @@
+/**
+ * Pinecone Vector Store
+ * Article vectors in a namespace of an existing Pinecone index (create the
+ * index with cosine metric and the embedding dimension first), over the
+ * data plane REST API
+ */
+
+import axios from 'axios';
+import VectorStore from './VectorStore.js';
+
+class PineconeVectorStore extends VectorStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.apiKey - Pinecone API key
+   * @param {string} options.indexHost - Index data plane URL
+   * @param {string} [options.namespace='articles'] - Namespace
+   * @param {number} [options.requestTimeout=5000] - Request timeout (ms)
+   */
+  constructor({ apiKey, indexHost, namespace, requestTimeout } = {}) {
+    super({ name: 'pinecone' });
+
+    if (!apiKey || !indexHost) {
+      throw new Error('Pinecone store requires PINECONE_API_KEY and PINECONE_INDEX_HOST');
+    }
+
+    this.namespace = namespace || 'articles';
+    this.client = axios.create({
+      baseURL: (/^https?:\/\//.test(indexHost) ? indexHost : `https://${indexHost}`).replace(
+        /\/$/,
+        ''
+      ),
+      timeout: requestTimeout || 5000,
+      headers: { 'Api-Key': apiKey },
+    });
+  }
+
+  /**
+   * Send a request to the index
+   * @param {string} method - HTTP method
+   * @param {string} path - Path
+   * @param {Object} [data] - Request body
+   * @param {Object} [options] - Extra axios options
+   * @returns {Promise<Object>} axios response
+   */
+  async request(method, path, data, options = {}) {
+    try {
+      return await this.client.request({ method, url: path, data, ...options });
+    } catch (error) {
+      const reason = error.response?.data?.message || error.message;
+      throw new Error(`Pinecone ${method.toUpperCase()} ${path} failed: ${reason}`);
+    }
+  }
+
+  // The index is created (with its dimension) in the Pinecone console or control plane API
+  async ensureCollection() {
+    return false;
+  }
+
+  async upsert(points) {
+    if (points.length === 0) return;
+
+    await this.request('post', '/vectors/upsert', {
+      namespace: this.namespace,
+      vectors: points.map(point => ({ id: point.id, values: point.vector })),
+    });
+  }
+
+  async delete(ids) {
+    if (ids.length === 0) return;
+
+    await this.request('post', '/vectors/delete', { namespace: this.namespace, ids });
+  }
+
+  async query(vector, { limit = 10 } = {}) {
+    const response = await this.request('post', '/query', {
+      namespace: this.namespace,
+      vector,
+      topK: limit,
+      includeValues: false,
+      includeMetadata: false,
+    });
+
+    return (response.data.matches || []).map(match => ({ id: match.id, score: match.score }));
+  }
+
+  async getVector(id) {
+    const response = await this.request('get', '/vectors/fetch', undefined, {
+      params: { ids: id, namespace: this.namespace },
+    });
+
+    return response.data.vectors?.[id]?.values || null;
+  }
+
+  async deleteCollection() {
+    await this.request('post', '/vectors/delete', { namespace: this.namespace, deleteAll: true });
+  }
+
+  async healthCheck() {
+    try {
+      await this.request('post', '/describe_index_stats', {});
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  getInfo() {
+    return { ...super.getInfo(), namespace: this.namespace };
+  }
+}
+
+export default PineconeVectorStore;
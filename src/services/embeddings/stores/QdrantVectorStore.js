@@ -0,0 +1,126 @@
+/**
+ * Qdrant Vector Store
+ * Article vectors in a Qdrant collection (cosine distance), over the REST API
+ */
+
+import axios from 'axios';
+import VectorStore from './VectorStore.js';
+
+class QdrantVectorStore extends VectorStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.url - Qdrant URL
+   * @param {string} [options.apiKey] - API key (Qdrant Cloud)
+   * @param {string} options.collection - Collection name
+   * @param {number} [options.requestTimeout=5000] - Request timeout (ms)
+   */
+  constructor({ url, apiKey, collection, requestTimeout } = {}) {
+    super({ name: 'qdrant' });
+
+    if (!url || !collection) {
+      throw new Error('Qdrant store requires a url and a collection');
+    }
+
+    this.collection = collection;
+    this.client = axios.create({
+      baseURL: `${url.replace(/\/$/, '')}/collections/${encodeURIComponent(collection)}`,
+      timeout: requestTimeout || 5000,
+      headers: apiKey ? { 'api-key': apiKey } : {},
+    });
+  }
+
+  /**
+   * Send a request to the collection
+   * @param {string} method - HTTP method
+   * @param {string} path - Path (relative to the collection)
+   * @param {Object} [data] - Request body
+   * @param {Object} [options] - Extra axios options
+   * @returns {Promise<Object>} axios response
+   */
+  async request(method, path, data, options = {}) {
+    try {
+      return await this.client.request({ method, url: path, data, ...options });
+    } catch (error) {
+      const reason = error.response?.data?.status?.error || error.message;
+      throw new Error(`Qdrant ${method.toUpperCase()} ${path || '/'} failed: ${reason}`);
+    }
+  }
+
+  async ensureCollection(dimensions) {
+    const existing = await this.request('get', '', undefined, {
+      validateStatus: status => status === 200 || status === 404,
+    });
+
+    if (existing.status === 200) {
+      const size = existing.data.result?.config?.params?.vectors?.size;
+      if (size && size !== dimensions) {
+        throw new Error(
+          `Qdrant collection ${this.collection} holds ${size}-dimensional vectors, ` +
+            `embeddings have ${dimensions}: rebuild with npm run db:index-embeddings -- --recreate`
+        );
+      }
+      return false;
+    }
+
+    await this.request('put', '', { vectors: { size: dimensions, distance: 'Cosine' } });
+    return true;
+  }
+
+  async upsert(points) {
+    if (points.length === 0) return;
+
+    await this.request(
+      'put',
+      '/points',
+      { points: points.map(point => ({ id: point.id, vector: point.vector })) },
+      { params: { wait: true } }
+    );
+  }
+
+  async delete(ids) {
+    if (ids.length === 0) return;
+
+    await this.request('post', '/points/delete', { points: ids }, { params: { wait: true } });
+  }
+
+  async query(vector, { limit = 10 } = {}) {
+    const response = await this.request('post', '/points/search', {
+      vector,
+      limit,
+      with_payload: false,
+    });
+
+    return response.data.result.map(point => ({ id: String(point.id), score: point.score }));
+  }
+
+  async getVector(id) {
+    const response = await this.request('get', `/points/${encodeURIComponent(id)}`, undefined, {
+      validateStatus: status => status === 200 || status === 404,
+    });
+
+    return response.status === 200 ? response.data.result.vector : null;
+  }
+
+  async deleteCollection() {
+    await this.request('delete', '', undefined, {
+      validateStatus: status => status === 200 || status === 404,
+    });
+  }
+
+  async healthCheck() {
+    try {
+      await this.request('get', '', undefined, {
+        validateStatus: status => status === 200 || status === 404,
+      });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  getInfo() {
+    return { ...super.getInfo(), collection: this.collection };
+  }
+}
+
+export default QdrantVectorStore;
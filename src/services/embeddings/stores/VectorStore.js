@@ -0,0 +1,102 @@
+/**
+ * Vector Store
+ * Base contract for the article vector stores used by embeddingService
+ *
+ * Subclasses implement:
+ * - ensureCollection(dimensions)   Create the collection if it does not exist
+ * - upsert(points)                 Add or replace [{ id, vector }]
+ * - delete(ids)                    Remove vectors
+ * - query(vector, { limit })       Nearest neighbours by cosine similarity: [{ id, score }]
+ * - getVector(id)                  Stored vector, or null
+ * - deleteCollection()             Drop every vector (before a full rebuild)
+ * - healthCheck()                  Check the store is reachable
+ *
+ * IDs are article UUIDs. Scores are cosine similarities (-1 to 1, higher is closer).
+ */
+
+class VectorStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.name - Store name (config value of VECTOR_DB_TYPE)
+   */
+  constructor(options = {}) {
+    if (!options.name) {
+      throw new Error('Vector store requires a name');
+    }
+
+    this.name = options.name;
+  }
+
+  /**
+   * Create the collection if it does not exist
+   * @param {number} dimensions - Vector size
+   * @returns {Promise<boolean>} True if the collection was created
+   */
+  async ensureCollection(_dimensions) {
+    throw new Error(`ensureCollection() must be implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Add or replace vectors
+   * @param {Array<Object>} points - [{ id, vector }]
+   * @returns {Promise<void>}
+   */
+  async upsert(_points) {
+    throw new Error(`upsert() must be implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Remove vectors
+   * @param {Array<string>} ids - Article IDs
+   * @returns {Promise<void>}
+   */
+  async delete(_ids) {
+    throw new Error(`delete() must be implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Nearest neighbours of a vector
+   * @param {Array<number>} vector - Query vector
+   * @param {Object} [options] - Options
+   * @param {number} [options.limit=10] - Maximum neighbours
+   * @returns {Promise<Array<Object>>} [{ id, score }], closest first
+   */
+  async query(_vector, _options = {}) {
+    throw new Error(`query() must be implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Stored vector of an article
+   * @param {string} id - Article ID
+   * @returns {Promise<Array<number>|null>} Vector, or null if not stored
+   */
+  async getVector(_id) {
+    throw new Error(`getVector() must be implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Drop every vector
+   * @returns {Promise<void>}
+   */
+  async deleteCollection() {
+    throw new Error(`deleteCollection() must be implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Check the store is reachable
+   * @returns {Promise<boolean>} Health status
+   */
+  async healthCheck() {
+    return true;
+  }
+
+  /**
+   * Describe the store
+   * @returns {Object} Store details
+   */
+  getInfo() {
+    return { name: this.name };
+  }
+}
+
+export default VectorStore;
@@ -0,0 +1,506 @@
+/**
+ * Real-time Event Stream
+ *
+ * In-process event bus behind the /events SSE endpoint. Services and agents
+ * publish events to channels; connected clients subscribe to channels and
+ * receive matching events as they happen.
+ *
+ * Channels are hierarchical: subscribing to `news` receives `news:technology`
+ * and `news:breaking:technology`. The available roots are listed in CHANNELS.
+ *
+ * Every event gets an increasing numeric ID and is kept in a bounded replay
+ * buffer, so a reconnecting client that sends Last-Event-ID receives what it
+ * missed. The buffer is per process: events published by a separate worker
+ * process are only streamed by that process.
+ *
+ * Browser EventSource cannot send an Authorization header, so clients first
+ * exchange their access token for a stream ticket: a random, single-use value
+ * that expires after a few seconds and is safe to pass in the stream URL.
+ * Tickets are kept per process, like the replay buffer.
+ *
+ * @module services/events/eventStream
+ */
+
+import crypto from 'crypto';
+import config from '../../config/index.js';
+
+// Channel roots and the roles allowed to subscribe (null: any authenticated user)
+const CHANNELS = {
+  news: {
+    description: 'Newly discovered articles (news:<category>, news:breaking:<category>)',
+    roles: null,
+  },
+  agents: {
+    description: 'Agent lifecycle, task and health events (agents:<name>)',
+    roles: ['admin', 'super_admin'],
+  },
+  jobs: {
+    description: 'Task queue jobs (jobs:queue:<priority>) and scheduled jobs (jobs:scheduler)',
+    roles: ['admin', 'super_admin'],
+  },
+  workflows: {
+    description: 'Workflow runs and steps (workflows:<runId>)',
+    roles: ['admin', 'super_admin'],
+  },
+};
+
+const AGENT_EVENTS = {
+  started: 'agent.started',
+  stopped: 'agent.stopped',
+  paused: 'agent.paused',
+  resumed: 'agent.resumed',
+  'heartbeat:degraded': 'agent.degraded',
+  'heartbeat:critical': 'agent.critical',
+};
+
+const WORKFLOW_EVENTS = {
+  workflowStarted: 'workflow.started',
+  workflowResumed: 'workflow.resumed',
+  workflowCompleted: 'workflow.completed',
+  workflowFailed: 'workflow.failed',
+  workflowStepStarted: 'workflow.step.started',
+  workflowStepCompleted: 'workflow.step.completed',
+  workflowStepFailed: 'workflow.step.failed',
+  workflowStepSkipped: 'workflow.step.skipped',
+  workflowStepRetrying: 'workflow.step.retrying',
+};
+
+class EventStream {
+  /**
+   * @param {Object} [options] - Stream options (defaults from config.events)
+   * @param {number} [options.replayBufferSize] - Events kept for replay
+   * @param {number} [options.breakingWindowMinutes] - Max age of a breaking article
+   * @param {number} [options.ticketTtl] - Stream ticket lifetime (ms)
+   */
+  constructor(options = {}) {
+    this.config = {
+      replayBufferSize: config.events.replayBufferSize,
+      breakingWindowMinutes: config.events.breakingWindowMinutes,
+      ticketTtl: config.events.ticketTtl,
+      ...options,
+    };
+
+    // Millisecond-based start keeps IDs increasing across restarts, so a
+    // client holding an ID from a previous process replays the whole buffer
+    this.lastId = Date.now() * 1000;
+    this.buffer = [];
+    this.subscribers = new Set();
+    this.attached = new WeakSet();
+    this.tickets = new Map();
+
+    this.stats = {
+      published: 0,
+      delivered: 0,
+      replayed: 0,
+    };
+
+    this.logger = console;
+  }
+
+  /**
+   * Root of a channel name (`news:technology` -> `news`)
+   * @param {string} channel - Channel name
+   * @returns {string} Channel root
+   */
+  getRoot(channel) {
+    return channel.split(':')[0];
+  }
+
+  /**
+   * Check a channel name against the known roots
+   * @param {string} channel - Channel name
+   * @returns {boolean} True if the channel exists
+   */
+  isValidChannel(channel) {
+    return /^[a-z0-9_-]+(:[a-z0-9_-]+)*$/i.test(channel) && this.getRoot(channel) in CHANNELS;
+  }
+
+  /**
+   * Check whether a role may subscribe to a channel
+   * @param {string} channel - Channel name
+   * @param {string} role - User role
+   * @returns {boolean} True if allowed
+   */
+  canSubscribe(channel, role) {
+    const { roles } = CHANNELS[this.getRoot(channel)];
+    return !roles || roles.includes(role);
+  }
+
+  /**
+   * Channels available to a role
+   * @param {string} role - User role
+   * @returns {Array<Object>} Channel roots ({ name, description })
+   */
+  getChannels(role) {
+    return Object.entries(CHANNELS)
+      .filter(([name]) => this.canSubscribe(name, role))
+      .map(([name, { description }]) => ({ name, description }));
+  }
+
+  /**
+   * Check whether an event matches any subscribed channel
+   * @param {Object} event - Event
+   * @param {Array<string>} channels - Subscribed channels
+   * @returns {boolean} True if the event should be delivered
+   */
+  matches(event, channels) {
+    return event.channels.some(channel =>
+      channels.some(sub => channel === sub || channel.startsWith(`${sub}:`))
+    );
+  }
+
+  /**
+   * Publish an event
+   * @param {string|Array<string>} channels - Channel(s) the event belongs to
+   * @param {string} type - Event type (e.g. article.discovered)
+   * @param {Object} data - Event payload (must be JSON-serializable)
+   * @returns {Object} Published event ({ id, type, channels, data, timestamp })
+   */
+  publish(channels, type, data = {}) {
+    const event = {
+      id: String(++this.lastId),
+      type,
+      channels: Array.isArray(channels) ? channels : [channels],
+      data,
+      timestamp: new Date().toISOString(),
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.config.replayBufferSize) {
+      this.buffer.shift();
+    }
+    this.stats.published++;
+
+    for (const subscriber of this.subscribers) {
+      if (!this.matches(event, subscriber.channels)) continue;
+
+      try {
+        subscriber.listener(event);
+        this.stats.delivered++;
+      } catch (error) {
+        this.logger.error('[EventStream] Subscriber failed:', error.message);
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * Subscribe to channels
+   * @param {Array<string>} channels - Channels to receive
+   * @param {Function} listener - Called with each matching event
+   * @param {Object} [meta] - Subscriber details (userId, and close() used on shutdown)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(channels, listener, meta = {}) {
+    const subscriber = { channels, listener, meta, since: new Date().toISOString() };
+    this.subscribers.add(subscriber);
+
+    return () => this.subscribers.delete(subscriber);
+  }
+
+  /**
+   * Close every open subscription (server shutdown)
+   * @returns {number} Subscriptions closed
+   */
+  closeAll() {
+    const subscribers = [...this.subscribers];
+    this.subscribers.clear();
+
+    subscribers.forEach(subscriber => {
+      try {
+        subscriber.meta.close?.();
+      } catch (error) {
+        this.logger.error('[EventStream] Failed to close subscriber:', error.message);
+      }
+    });
+
+    return subscribers.length;
+  }
+
+  /**
+   * Events published after a given event ID
+   * @param {string} lastEventId - Last event ID the client received
+   * @param {Array<string>} channels - Subscribed channels
+   * @returns {Object} { events, complete } - complete is false when older events
+   *   were already dropped from the buffer, so the client may have missed some
+   */
+  replay(lastEventId, channels) {
+    const lastId = Number(lastEventId);
+
+    if (!Number.isFinite(lastId)) {
+      return { events: [], complete: false };
+    }
+
+    const oldest = this.buffer[0];
+    const complete = !oldest || Number(oldest.id) <= lastId + 1;
+    const events = this.buffer.filter(
+      event => Number(event.id) > lastId && this.matches(event, channels)
+    );
+
+    this.stats.replayed += events.length;
+    return { events, complete };
+  }
+
+  /**
+   * Number of open subscriptions for a user
+   * @param {string} userId - User ID
+   * @returns {number} Open subscriptions
+   */
+  countSubscriptions(userId) {
+    let count = 0;
+    for (const subscriber of this.subscribers) {
+      if (subscriber.meta.userId === userId) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Issue a single-use stream ticket for a user
+   * @param {string} userId - User ID
+   * @returns {Object} Ticket ({ ticket, expiresIn } with expiresIn in seconds)
+   */
+  issueTicket(userId) {
+    const now = Date.now();
+    for (const [ticket, entry] of this.tickets) {
+      if (entry.expiresAt <= now) this.tickets.delete(ticket);
+    }
+
+    const ticket = crypto.randomBytes(32).toString('base64url');
+    this.tickets.set(ticket, { userId, expiresAt: now + this.config.ticketTtl });
+
+    return { ticket, expiresIn: Math.ceil(this.config.ticketTtl / 1000) };
+  }
+
+  /**
+   * Redeem a stream ticket; each ticket works once
+   * @param {string} ticket - Ticket from issueTicket()
+   * @returns {string|null} User ID, or null if the ticket is unknown or expired
+   */
+  redeemTicket(ticket) {
+    const entry = this.tickets.get(ticket);
+    if (!entry) return null;
+
+    this.tickets.delete(ticket);
+    return entry.expiresAt > Date.now() ? entry.userId : null;
+  }
+
+  /**
+   * Publish newly discovered articles to their category channels
+   * Articles published within the breaking window also go to news:breaking:<category>.
+   * @param {Array} articles - Crawled articles
+   * @param {Object} [options] - Publish options
+   * @param {string} [options.category] - Category for articles without one
+   * @param {string} [options.discoveredBy] - Agent or job that found the articles
+   * @returns {number} Events published
+   */
+  publishArticles(articles, { category = null, discoveredBy = null } = {}) {
+    const breakingSince = Date.now() - this.config.breakingWindowMinutes * 60 * 1000;
+    let published = 0;
+
+    for (const article of articles || []) {
+      const url = article.url || article.link;
+      if (!url || !article.title) continue;
+
+      const articleCategory = (article.category || category || 'general')
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '-');
+      const publishedAt = article.publishedAt ? new Date(article.publishedAt) : null;
+      const breaking = Boolean(publishedAt && publishedAt.getTime() >= breakingSince);
+      const channels = [`news:${articleCategory}`];
+      if (breaking) {
+        channels.push(`news:breaking:${articleCategory}`);
+      }
+
+      this.publish(channels, 'article.discovered', {
+        url,
+        title: article.title,
+        description: article.description || article.summary || null,
+        source: typeof article.source === 'string' ? article.source : article.source?.name || null,
+        category: articleCategory,
+        publishedAt: publishedAt ? publishedAt.toISOString() : null,
+        imageUrl: article.imageUrl || article.image || null,
+        breaking,
+        discoveredBy,
+      });
+      published++;
+    }
+
+    return published;
+  }
+
+  /**
+   * Stream an agent's lifecycle, task and health events (agents:<name>)
+   * Crawler `articles:discovered` events are published to the news channels.
+   * @param {string} name - Agent name
+   * @param {Agent} agent - Agent instance
+   */
+  attachAgent(name, agent) {
+    if (this.attached.has(agent)) return;
+    this.attached.add(agent);
+
+    const channel = `agents:${name}`;
+
+    Object.entries(AGENT_EVENTS).forEach(([event, type]) => {
+      agent.on(event, (payload = {}) => {
+        this.publish(channel, type, {
+          agent: name,
+          status: agent.status,
+          missedHeartbeats: payload.missedHeartbeats,
+        });
+      });
+    });
+
+    agent.on('taskStarted', (task = {}) => {
+      this.publish(channel, 'agent.task.started', {
+        agent: name,
+        taskId: task.id || null,
+        taskType: task.type || null,
+      });
+    });
+
+    agent.on('taskCompleted', ({ task = {}, duration }) => {
+      this.publish(channel, 'agent.task.completed', {
+        agent: name,
+        taskId: task.id || null,
+        taskType: task.type || null,
+        duration,
+      });
+    });
+
+    agent.on('taskFailed', ({ task = {}, error, duration }) => {
+      this.publish(channel, 'agent.task.failed', {
+        agent: name,
+        taskId: task.id || null,
+        taskType: task.type || null,
+        error: error?.message || null,
+        duration,
+      });
+    });
+
+    agent.on('articles:discovered', articles => {
+      this.publishArticles(articles, { discoveredBy: name });
+    });
+  }
+
+  /**
+   * Stream an orchestrator's agents, queued tasks and workflows
+   * @param {AgentOrchestrator} orchestrator - Initialized orchestrator
+   */
+  attachOrchestrator(orchestrator) {
+    if (this.attached.has(orchestrator)) return;
+    this.attached.add(orchestrator);
+
+    for (const [name, agent] of orchestrator.agents) {
+      this.attachAgent(name, agent);
+    }
+
+    orchestrator.on('queuedTaskCompleted', ({ id, agentName, task }) => {
+      this.publish(`agents:${agentName}`, 'agent.queuedTask.completed', {
+        agent: agentName,
+        taskId: id,
+        taskType: task?.type || null,
+      });
+    });
+
+    orchestrator.on('queuedTaskFailed', ({ id, agentName, task, error }) => {
+      this.publish(`agents:${agentName}`, 'agent.queuedTask.failed', {
+        agent: agentName,
+        taskId: id,
+        taskType: task?.type || null,
+        error: error?.message || null,
+      });
+    });
+
+    Object.entries(WORKFLOW_EVENTS).forEach(([event, type]) => {
+      orchestrator.on(event, (payload = {}) => {
+        // Step results can be large; clients fetch them from the workflow run
+        const details = { ...payload };
+        delete details.result;
+        this.publish(`workflows:${payload.runId}`, type, details);
+      });
+    });
+  }
+
+  /**
+   * Stream task queue job progress (jobs:queue:<priority>)
+   * @param {TaskQueueService} taskQueue - Task queue service
+   */
+  attachTaskQueue(taskQueue) {
+    if (this.attached.has(taskQueue)) return;
+    this.attached.add(taskQueue);
+
+    const summarize = (priority, job) => ({
+      queue: priority,
+      jobId: job.id,
+      agent: job.data?.receiver || null,
+      type: job.data?.type || null,
+      attemptsMade: job.attemptsMade,
+    });
+
+    taskQueue.on('jobActive', ({ priority, job }) => {
+      this.publish(`jobs:queue:${priority}`, 'job.active', summarize(priority, job));
+    });
+
+    taskQueue.on('jobProgress', ({ priority, job, progress }) => {
+      this.publish(`jobs:queue:${priority}`, 'job.progress', {
+        ...summarize(priority, job),
+        progress,
+      });
+    });
+
+    taskQueue.on('jobCompleted', ({ priority, job }) => {
+      this.publish(`jobs:queue:${priority}`, 'job.completed', summarize(priority, job));
+    });
+
+    taskQueue.on('jobFailed', ({ priority, job, error }) => {
+      this.publish(`jobs:queue:${priority}`, 'job.failed', {
+        ...summarize(priority, job),
+        error: error?.message || null,
+        errorClass: taskQueue.classifyError(error?.message),
+      });
+    });
+
+    taskQueue.on('jobStalled', ({ priority, job }) => {
+      this.publish(`jobs:queue:${priority}`, 'job.stalled', summarize(priority, job));
+    });
+
+    taskQueue.on('jobDeadLettered', ({ priority, jobId, deadLetterId }) => {
+      this.publish(`jobs:queue:${priority}`, 'job.deadLettered', {
+        queue: priority,
+        jobId,
+        deadLetterId,
+      });
+    });
+
+    taskQueue.on('jobReplayed', ({ priority, jobId }) => {
+      this.publish(`jobs:queue:${priority}`, 'job.replayed', { queue: priority, jobId });
+    });
+  }
+
+  /**
+   * Get stream statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    const channels = {};
+    for (const subscriber of this.subscribers) {
+      subscriber.channels.forEach(channel => {
+        channels[channel] = (channels[channel] || 0) + 1;
+      });
+    }
+
+    return {
+      ...this.stats,
+      subscribers: this.subscribers.size,
+      channels,
+      buffered: this.buffer.length,
+      lastEventId: String(this.lastId),
+    };
+  }
+}
+
+// Export singleton instance
+const eventStream = new EventStream();
+export default eventStream;
+export { EventStream };
@@ -5,12 +5,19 @@
 
 import cron from 'node-cron';
 import newsService from '../news/newsService.js';
+import feedService from '../news/feedService.js';
+import credibilityService from '../analytics/credibilityService.js';
+import storyService from '../analytics/storyService.js';
+import eventStream from '../events/eventStream.js';
+import articleExtractor from '../news/articleExtractor.js';
 import articleStorageService from '../storage/articleStorageService.js';
 import config from '../../config/index.js';
 
 class JobScheduler {
   constructor() {
     this.jobs = new Map();
+    // Jobs whose previous run is still in progress
+    this.running = new Set();
     this.stats = {
       totalRuns: 0,
       successfulRuns: 0,
@@ -34,12 +41,21 @@ class JobScheduler {
     // Hourly news fetch job
     this.scheduleNewsFetch();
 
+    // RSS feed poll (each feed on its own interval)
+    this.scheduleFeedPoll();
+
     // Daily cache cleanup job
     this.scheduleCacheCleanup();
 
     // Daily quota reset job (at midnight)
     this.scheduleQuotaReset();
 
+    // Daily source credibility recompute
+    this.scheduleCredibilityRecompute();
+
+    // Hourly story lifecycle update
+    this.scheduleStoryLifecycle();
+
     console.log('✅ Job Scheduler started successfully');
     console.log(`📋 ${this.jobs.size} jobs scheduled`);
     console.log('');
@@ -68,6 +84,29 @@ class JobScheduler {
     console.log('  ✓ News Fetch: Hourly at minute 0');
   }
 
+  /**
+   * Schedule RSS feed polling
+   * Runs often; each run only polls the feeds whose poll interval has elapsed.
+   */
+  scheduleFeedPoll() {
+    // Run every 5 minutes
+    const cronExpression = '*/5 * * * *';
+
+    const job = cron.schedule(
+      cronExpression,
+      async () => {
+        await this.runFeedPoll();
+      },
+      {
+        scheduled: true,
+        timezone: 'America/New_York',
+      }
+    );
+
+    this.jobs.set('feed-poll', job);
+    console.log('  ✓ Feed Poll: Every 5 minutes (feeds that are due)');
+  }
+
   /**
    * Schedule daily cache cleanup
    */
@@ -112,6 +151,50 @@ class JobScheduler {
     console.log('  ✓ Quota Reset: Monthly on 1st at midnight');
   }
 
+  /**
+   * Schedule daily source credibility recompute
+   */
+  scheduleCredibilityRecompute() {
+    // Run daily at 4 AM, after cache cleanup
+    const cronExpression = '0 4 * * *';
+
+    const job = cron.schedule(
+      cronExpression,
+      async () => {
+        await this.runCredibilityRecompute();
+      },
+      {
+        scheduled: true,
+        timezone: 'America/New_York',
+      }
+    );
+
+    this.jobs.set('credibility-recompute', job);
+    console.log('  ✓ Credibility Recompute: Daily at 4:00 AM');
+  }
+
+  /**
+   * Schedule hourly story lifecycle update
+   */
+  scheduleStoryLifecycle() {
+    // Run every hour at minute 30, between news fetches
+    const cronExpression = '30 * * * *';
+
+    const job = cron.schedule(
+      cronExpression,
+      async () => {
+        await this.runStoryLifecycle();
+      },
+      {
+        scheduled: true,
+        timezone: 'America/New_York',
+      }
+    );
+
+    this.jobs.set('story-lifecycle', job);
+    console.log('  ✓ Story Lifecycle: Hourly at minute 30');
+  }
+
   /**
    * Run news fetch job
    */
@@ -131,6 +214,7 @@ class JobScheduler {
     try {
       // Fetch news from multiple categories
       const categories = ['technology', 'business', 'science'];
+      this.publishJobEvent(jobName, 'job.started', { categories });
       let totalFetched = 0;
       let totalSaved = 0;
       let totalDuplicates = 0;
@@ -143,9 +227,22 @@ class JobScheduler {
           const newsResult = await newsService.fetchByCategory(category, 10);
           console.log(`  ✓ Fetched: ${newsResult.articles.length} articles`);
           totalFetched += newsResult.articles.length;
+          eventStream.publishArticles(newsResult.articles, { category, discoveredBy: jobName });
+
+          const articles = await this.extractFullText(newsResult.articles);
+
+          // Group coverage of the same event into stories
+          try {
+            const storyResult = await storyService.linkArticles(articles);
+            console.log(
+              `  ✓ Stories: ${storyResult.linked} linked, ${storyResult.created} new stories`
+            );
+          } catch (error) {
+            console.error('  ✗ Story clustering failed:', error.message);
+          }
 
           // Save to database with AI enrichment
-          const saveResult = await articleStorageService.saveArticles(newsResult.articles, {
+          const saveResult = await articleStorageService.saveArticles(articles, {
             enrichWithAI: true,
             autoPublish: false, // Save as drafts for review
             defaultAuthorId: null,
@@ -162,6 +259,12 @@ class JobScheduler {
         } catch (error) {
           console.error(`  ✗ Error fetching ${category}:`, error.message);
         }
+
+        this.publishJobEvent(jobName, 'job.progress', {
+          category,
+          completed: categories.indexOf(category) + 1,
+          total: categories.length,
+        });
       }
 
       // Update stats
@@ -182,12 +285,20 @@ class JobScheduler {
       console.log(`⏱️  Duration: ${duration}ms`);
       console.log('═══════════════════════════════════════════════════');
       console.log('');
+
+      this.publishJobEvent(jobName, 'job.completed', {
+        articlesFetched: totalFetched,
+        articlesSaved: totalSaved,
+        duplicates: totalDuplicates,
+        duration,
+      });
     } catch (error) {
       this.stats.failedRuns++;
       this.stats.lastError = {
         timestamp: new Date().toISOString(),
         error: error.message,
       };
+      this.publishJobEvent(jobName, 'job.failed', { error: error.message });
 
       console.error('');
       console.error('═══════════════════════════════════════════════════');
@@ -198,6 +309,105 @@ class JobScheduler {
     }
   }
 
+  /**
+   * Replace feed snippets with the full article text
+   * Extraction never fails a job: on error the articles are returned as they were.
+   * @param {Array} articles - Crawled articles
+   * @returns {Promise<Array>} Articles, enriched where extraction succeeded
+   */
+  async extractFullText(articles) {
+    if (!config.extraction.enabled || articles.length === 0) {
+      return articles;
+    }
+
+    try {
+      const result = await articleExtractor.enrichArticles(articles);
+      console.log(`  ✓ Full text: ${result.extracted} extracted, ${result.failed} failed`);
+      return result.articles;
+    } catch (error) {
+      console.error('  ✗ Full-text extraction failed:', error.message);
+      return articles;
+    }
+  }
+
+  /**
+   * Run RSS feed poll job
+   * Full-text extraction and AI enrichment can outlast the 5-minute schedule, so a run
+   * is skipped while the previous one is still going.
+   */
+  async runFeedPoll() {
+    const jobName = 'feed-poll';
+
+    if (this.running.has(jobName)) {
+      console.log(`⏭️  Skipping ${jobName}: previous run still in progress`);
+      this.publishJobEvent(jobName, 'job.skipped', { reason: 'previous run still in progress' });
+      return;
+    }
+
+    this.running.add(jobName);
+    try {
+      await this.pollFeeds(jobName);
+    } finally {
+      this.running.delete(jobName);
+    }
+  }
+
+  /**
+   * Poll due feeds, then extract, cluster and save the new articles
+   * @param {string} jobName - Job name used in logs and events
+   */
+  async pollFeeds(jobName) {
+    console.log('');
+    console.log('═══════════════════════════════════════════════════');
+    console.log(`📡 Running Job: ${jobName}`);
+    console.log('═══════════════════════════════════════════════════');
+
+    this.publishJobEvent(jobName, 'job.started');
+
+    try {
+      const result = await feedService.pollFeeds({ dueOnly: true });
+      console.log(
+        `✅ Polled ${result.totalFeeds} feeds: ${result.uniqueArticles} articles, ` +
+          `${result.unchangedFeeds} unchanged, ${result.failedFeeds} failed`
+      );
+
+      if (result.articles.length > 0) {
+        eventStream.publishArticles(result.articles, { discoveredBy: jobName });
+
+        const articles = await this.extractFullText(result.articles);
+
+        try {
+          const storyResult = await storyService.linkArticles(articles);
+          console.log(
+            `  ✓ Stories: ${storyResult.linked} linked, ${storyResult.created} new stories`
+          );
+        } catch (error) {
+          console.error('  ✗ Story clustering failed:', error.message);
+        }
+
+        const saveResult = await articleStorageService.saveArticles(articles, {
+          enrichWithAI: true,
+          autoPublish: false, // Save as drafts for review
+          defaultAuthorId: null,
+        });
+        console.log(`  ✓ Saved: ${saveResult.saved} articles`);
+      }
+
+      this.publishJobEvent(jobName, 'job.completed', {
+        feeds: result.totalFeeds,
+        unchangedFeeds: result.unchangedFeeds,
+        failedFeeds: result.failedFeeds,
+        articles: result.uniqueArticles,
+      });
+    } catch (error) {
+      console.error(`❌ Feed poll failed: ${error.message}`);
+      this.publishJobEvent(jobName, 'job.failed', { error: error.message });
+    }
+
+    console.log('═══════════════════════════════════════════════════');
+    console.log('');
+  }
+
   /**
    * Run cache cleanup job
    */
@@ -208,11 +418,15 @@ class JobScheduler {
     console.log(`🧹 Running Job: ${jobName}`);
     console.log('═══════════════════════════════════════════════════');
 
+    this.publishJobEvent(jobName, 'job.started');
+
     try {
       const deleted = await newsService.invalidateCache();
       console.log(`✅ Cache cleaned: ${deleted} keys deleted`);
+      this.publishJobEvent(jobName, 'job.completed', { deleted });
     } catch (error) {
       console.error(`❌ Cache cleanup failed: ${error.message}`);
+      this.publishJobEvent(jobName, 'job.failed', { error: error.message });
     }
 
     console.log('═══════════════════════════════════════════════════');
@@ -229,17 +443,90 @@ class JobScheduler {
     console.log(`🔄 Running Job: ${jobName}`);
     console.log('═══════════════════════════════════════════════════');
 
+    this.publishJobEvent(jobName, 'job.started');
+
     try {
       newsService.resetAllQuotas();
       console.log('✅ API quotas reset for new month');
+      this.publishJobEvent(jobName, 'job.completed');
     } catch (error) {
       console.error(`❌ Quota reset failed: ${error.message}`);
+      this.publishJobEvent(jobName, 'job.failed', { error: error.message });
+    }
+
+    console.log('═══════════════════════════════════════════════════');
+    console.log('');
+  }
+
+  /**
+   * Run source credibility recompute job
+   */
+  async runCredibilityRecompute() {
+    const jobName = 'credibility-recompute';
+    console.log('');
+    console.log('═══════════════════════════════════════════════════');
+    console.log(`⚖️  Running Job: ${jobName}`);
+    console.log('═══════════════════════════════════════════════════');
+
+    this.publishJobEvent(jobName, 'job.started');
+
+    try {
+      const result = await credibilityService.recomputeAll();
+      console.log(`✅ Credibility recomputed for ${result.evaluated} domains`);
+      if (result.failed > 0) {
+        console.log(`  ⚠ Failed: ${result.failed}`);
+      }
+      this.publishJobEvent(jobName, 'job.completed', {
+        evaluated: result.evaluated,
+        failed: result.failed,
+      });
+    } catch (error) {
+      console.error(`❌ Credibility recompute failed: ${error.message}`);
+      this.publishJobEvent(jobName, 'job.failed', { error: error.message });
+    }
+
+    console.log('═══════════════════════════════════════════════════');
+    console.log('');
+  }
+
+  /**
+   * Run story lifecycle job (developing -> dormant -> archived)
+   */
+  async runStoryLifecycle() {
+    const jobName = 'story-lifecycle';
+    console.log('');
+    console.log('═══════════════════════════════════════════════════');
+    console.log(`📚 Running Job: ${jobName}`);
+    console.log('═══════════════════════════════════════════════════');
+
+    this.publishJobEvent(jobName, 'job.started');
+
+    try {
+      const result = await storyService.updateLifecycle();
+      console.log(`✅ Stories updated: ${result.dormant} dormant, ${result.archived} archived`);
+      this.publishJobEvent(jobName, 'job.completed', {
+        dormant: result.dormant,
+        archived: result.archived,
+      });
+    } catch (error) {
+      console.error(`❌ Story lifecycle update failed: ${error.message}`);
+      this.publishJobEvent(jobName, 'job.failed', { error: error.message });
     }
 
     console.log('═══════════════════════════════════════════════════');
     console.log('');
   }
 
+  /**
+   * Publish a scheduled job event to the jobs:scheduler channel
+   * @param {string} jobName - Job name
+   * @param {string} type - Event type (job.started, job.progress, job.completed, job.failed)
+   * @param {Object} [data] - Event details
+   */
+  publishJobEvent(jobName, type, data = {}) {
+    eventStream.publish('jobs:scheduler', type, { job: jobName, ...data });
+  }
+
   /**
    * Stop all scheduled jobs
    */
@@ -275,12 +562,21 @@ class JobScheduler {
       case 'news-fetch':
         await this.runNewsFetch();
         break;
+      case 'feed-poll':
+        await this.runFeedPoll();
+        break;
       case 'cache-cleanup':
         await this.runCacheCleanup();
         break;
       case 'quota-reset':
         await this.runQuotaReset();
         break;
+      case 'credibility-recompute':
+        await this.runCredibilityRecompute();
+        break;
+      case 'story-lifecycle':
+        await this.runStoryLifecycle();
+        break;
       default:
         throw new Error(`Unknown job: ${jobName}`);
     }
@@ -306,12 +602,21 @@ class JobScheduler {
         case 'news-fetch':
           await this.runNewsFetch();
           break;
+        case 'feed-poll':
+          await this.runFeedPoll();
+          break;
         case 'cache-cleanup':
           await this.runCacheCleanup();
           break;
         case 'quota-reset':
           await this.runQuotaReset();
           break;
+        case 'credibility-recompute':
+          await this.runCredibilityRecompute();
+          break;
+        case 'story-lifecycle':
+          await this.runStoryLifecycle();
+          break;
       }
     });
 
@@ -102,6 +102,49 @@ const apiEndpointCalls = new promClient.Counter({
   labelNames: ['endpoint', 'method'],
 });
 
+// AI usage metrics (agent: agent that made the call, "none" outside agents)
+const aiRequestsTotal = new promClient.Counter({
+  name: 'ai_requests_total',
+  help: 'Total number of AI provider calls',
+  labelNames: ['provider', 'model', 'agent'],
+});
+
+const aiTokensTotal = new promClient.Counter({
+  name: 'ai_tokens_total',
+  help: 'Total number of AI tokens used',
+  labelNames: ['provider', 'model', 'agent', 'type'],
+});
+
+const aiCostUsdTotal = new promClient.Counter({
+  name: 'ai_cost_usd_total',
+  help: 'Estimated AI spend in US dollars',
+  labelNames: ['provider', 'model', 'agent'],
+});
+
+const aiBudgetSpendUsd = new promClient.Gauge({
+  name: 'ai_budget_spend_usd',
+  help: 'AI spend in the current budget period in US dollars',
+  labelNames: ['scope', 'period'],
+});
+
+const aiBudgetLimitUsd = new promClient.Gauge({
+  name: 'ai_budget_limit_usd',
+  help: 'AI budget for the period in US dollars',
+  labelNames: ['scope', 'period'],
+});
+
+const aiBudgetActionsTotal = new promClient.Counter({
+  name: 'ai_budget_actions_total',
+  help: 'AI calls downgraded to cheaper providers or refused by a budget',
+  labelNames: ['action', 'scope'],
+});
+
+const aiStructuredOutputsTotal = new promClient.Counter({
+  name: 'ai_structured_outputs_total',
+  help: 'AI JSON replies valid on the first attempt, repaired by re-prompting, or failed',
+  labelNames: ['schema', 'outcome'],
+});
+
 // Register all custom metrics
 register.registerMetric(httpRequestDuration);
 register.registerMetric(httpRequestsTotal);
@@ -117,6 +160,13 @@ register.registerMetric(agentTasksProcessed);
 register.registerMetric(agentTasksFailed);
 register.registerMetric(agentTaskDuration);
 register.registerMetric(apiEndpointCalls);
+register.registerMetric(aiRequestsTotal);
+register.registerMetric(aiTokensTotal);
+register.registerMetric(aiCostUsdTotal);
+register.registerMetric(aiBudgetSpendUsd);
+register.registerMetric(aiBudgetLimitUsd);
+register.registerMetric(aiBudgetActionsTotal);
+register.registerMetric(aiStructuredOutputsTotal);
 
 /**
  * Metrics Service
@@ -139,6 +189,13 @@ class MetricsService {
       agentTasksFailed,
       agentTaskDuration,
       apiEndpointCalls,
+      aiRequestsTotal,
+      aiTokensTotal,
+      aiCostUsdTotal,
+      aiBudgetSpendUsd,
+      aiBudgetLimitUsd,
+      aiBudgetActionsTotal,
+      aiStructuredOutputsTotal,
     };
   }
 
@@ -235,6 +292,39 @@ class MetricsService {
   recordApiEndpointCall(endpoint, method) {
     this.metrics.apiEndpointCalls.inc({ endpoint, method });
   }
+
+  /**
+   * Record an AI provider call
+   */
+  recordAIUsage({ provider, model, agent, inputTokens, outputTokens, cost }) {
+    const labels = { provider, model, agent: agent || 'none' };
+    this.metrics.aiRequestsTotal.inc(labels);
+    this.metrics.aiTokensTotal.inc({ ...labels, type: 'input' }, inputTokens);
+    this.metrics.aiTokensTotal.inc({ ...labels, type: 'output' }, outputTokens);
+    this.metrics.aiCostUsdTotal.inc(labels, cost);
+  }
+
+  /**
+   * Update AI spend against a budget (scope: "total" or an agent name; period: daily, monthly)
+   */
+  updateAIBudget(scope, period, spend, limit) {
+    this.metrics.aiBudgetSpendUsd.set({ scope, period }, spend);
+    this.metrics.aiBudgetLimitUsd.set({ scope, period }, limit);
+  }
+
+  /**
+   * Record an AI call downgraded or refused by a budget
+   */
+  recordAIBudgetAction(action, scope) {
+    this.metrics.aiBudgetActionsTotal.inc({ action, scope });
+  }
+
+  /**
+   * Record a structured (JSON) AI reply: valid, repaired or failed
+   */
+  recordAIStructuredOutput(schema, outcome) {
+    this.metrics.aiStructuredOutputsTotal.inc({ schema, outcome });
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,16 @@
+/**
+ * Extraction Error
+ * Raised when an article page may not or cannot be extracted; `code` is machine
+ * readable (ROBOTS_DISALLOWED, RATE_LIMITED, NOT_HTML, INVALID_URL, TOO_MANY_REDIRECTS,
+ * NO_CONTENT)
+ */
+
+class ExtractionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ExtractionError';
+    this.code = code;
+  }
+}
+
+export default ExtractionError;
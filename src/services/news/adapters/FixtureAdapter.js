@@ -0,0 +1,169 @@
+/**
+ * Fixture Source Adapter
+ * Serves articles from local JSON files so ingestion can run offline
+ * (development, demos and CI) without API keys or network access.
+ *
+ * Fixture file format:
+ * {
+ *   "source": { "name": "...", "url": "...", "credibility": 0.9 },
+ *   "category": "technology",
+ *   "articles": [
+ *     { "title": "...", "description": "...", "content": "...", "url": "...",
+ *       "imageUrl": "...", "author": "...", "minutesAgo": 30 }
+ *   ]
+ * }
+ *
+ * Articles may set an absolute "publishedAt" instead of "minutesAgo". Relative
+ * timestamps keep fixtures inside age filters such as CrawlerAgent.maxArticleAge.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import SourceAdapter from './SourceAdapter.js';
+
+const DEFAULT_FIXTURES_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+class FixtureAdapter extends SourceAdapter {
+  /**
+   * @param {Object} options - Adapter options (see SourceAdapter)
+   * @param {string} [options.fixturesPath] - Directory of fixture JSON files
+   */
+  constructor(options = {}) {
+    super({
+      name: 'fixture',
+      displayName: 'Local Fixtures',
+      type: 'fixture',
+      priority: 60,
+      credibility: 0.85,
+      costPerRequest: 0,
+      categories: [
+        'general',
+        'business',
+        'technology',
+        'entertainment',
+        'sports',
+        'science',
+        'health',
+      ],
+      countries: ['global'],
+      languages: ['en'],
+      ...options,
+    });
+
+    this.fixturesPath = options.fixturesPath || DEFAULT_FIXTURES_PATH;
+    this.fixtures = null; // Loaded lazily
+    this.requestCount = 0;
+  }
+
+  /**
+   * Load and cache fixture files
+   * @param {boolean} [reload] - Re-read files from disk
+   * @returns {Promise<Array>} Fixture sets
+   */
+  async loadFixtures(reload = false) {
+    if (this.fixtures && !reload) {
+      return this.fixtures;
+    }
+
+    const files = (await fs.readdir(this.fixturesPath)).filter(file => file.endsWith('.json'));
+
+    this.fixtures = await Promise.all(
+      files.sort().map(async file => {
+        const raw = await fs.readFile(path.join(this.fixturesPath, file), 'utf8');
+        try {
+          return { file, ...JSON.parse(raw) };
+        } catch (error) {
+          throw new Error(`Invalid fixture file ${file}: ${error.message}`);
+        }
+      })
+    );
+
+    return this.fixtures;
+  }
+
+  async fetch(options = {}) {
+    const { query, category, limit = 10 } = options;
+
+    const fixtures = await this.loadFixtures();
+    this.requestCount++;
+
+    const terms = query ? query.toLowerCase().split(/\s+/).filter(Boolean) : [];
+
+    const articles = fixtures
+      .flatMap(fixture =>
+        (fixture.articles || []).map(item =>
+          this.normalize(item, {
+            source: fixture.source,
+            category: fixture.category,
+            file: fixture.file,
+          })
+        )
+      )
+      .filter(article => !category || article.category === category)
+      .filter(article => {
+        if (terms.length === 0) return true;
+        const text = `${article.title} ${article.description}`.toLowerCase();
+        return terms.some(term => text.includes(term));
+      })
+      .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+
+    return articles.slice(0, limit);
+  }
+
+  /**
+   * @param {Object} item - Fixture article
+   * @param {Object} [fixture] - Fixture file context ({ source, category, file })
+   */
+  normalize(item, fixture = {}) {
+    const source = item.source || fixture.source || {};
+    const publishedAt =
+      item.publishedAt || new Date(Date.now() - (item.minutesAgo || 0) * 60 * 1000).toISOString();
+
+    return {
+      title: item.title,
+      description: item.description || '',
+      content: item.content || item.description || '',
+      url: item.url,
+      link: item.url,
+      imageUrl: item.imageUrl || null,
+      publishedAt,
+      author: item.author || null,
+      category: item.category || fixture.category || 'general',
+      source: {
+        name: source.name || this.displayName,
+        url: source.url || null,
+        credibility: source.credibility ?? this.credibility,
+      },
+      metadata: {
+        provider: this.name,
+        fixture: fixture.file || null,
+      },
+      fingerprint: crypto
+        .createHash('md5')
+        .update(`${item.title}${item.url}`.toLowerCase().trim())
+        .digest('hex'),
+    };
+  }
+
+  getQuota() {
+    return { limit: Infinity, used: this.requestCount, remaining: Infinity };
+  }
+
+  resetQuota() {
+    this.requestCount = 0;
+  }
+
+  async healthCheck() {
+    try {
+      const fixtures = await this.loadFixtures(true);
+      return fixtures.some(fixture => (fixture.articles || []).length > 0);
+    } catch (error) {
+      console.error('Fixture adapter health check failed:', error.message);
+      return false;
+    }
+  }
+}
+
+export default FixtureAdapter;
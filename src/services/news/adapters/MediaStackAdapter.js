@@ -0,0 +1,70 @@
+/**
+ * MediaStack Source Adapter
+ * Live news from the MediaStack API
+ */
+
+import SourceAdapter from './SourceAdapter.js';
+import mediaStackClient from '../mediaStackClient.js';
+
+class MediaStackAdapter extends SourceAdapter {
+  constructor(options = {}) {
+    super({
+      name: 'mediastack',
+      displayName: 'MediaStack',
+      type: 'api',
+      priority: 80, // Good priority
+      credibility: 0.8,
+      costPerRequest: 0.005,
+      categories: [
+        'general',
+        'business',
+        'technology',
+        'entertainment',
+        'sports',
+        'science',
+        'health',
+      ],
+      countries: ['us', 'gb', 'ca', 'au', 'de', 'fr'],
+      languages: ['en', 'de', 'fr'],
+      ...options,
+    });
+
+    this.client = options.client || mediaStackClient;
+  }
+
+  async fetch(options = {}) {
+    const { query, category, country, language, limit = 25 } = options;
+
+    const response = await this.client.fetchNews({
+      query,
+      categories: category,
+      countries: country,
+      languages: language,
+      limit,
+    });
+
+    return response.articles || [];
+  }
+
+  normalize(item) {
+    return this.client.normalizeArticles([item])[0];
+  }
+
+  getQuota() {
+    return {
+      limit: this.client.maxRequests,
+      used: this.client.requestCount,
+      remaining: this.client.getRemainingQuota(),
+    };
+  }
+
+  resetQuota() {
+    this.client.resetQuota();
+  }
+
+  async healthCheck() {
+    return this.client.healthCheck();
+  }
+}
+
+export default MediaStackAdapter;
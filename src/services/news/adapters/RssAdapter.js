@@ -0,0 +1,64 @@
+/**
+ * RSS Source Adapter
+ * Feeds from the sources table, polled through feedService and parsed by rssService
+ */
+
+import SourceAdapter from './SourceAdapter.js';
+import rssService from '../rssService.js';
+import feedService from '../feedService.js';
+
+class RssAdapter extends SourceAdapter {
+  constructor(options = {}) {
+    super({
+      name: 'rss',
+      displayName: 'RSS Feeds',
+      type: 'rss',
+      priority: 70, // Good priority - free and reliable
+      credibility: 0.9, // High credibility (curated feeds)
+      costPerRequest: 0, // Free
+      categories: ['general', 'business', 'technology', 'science', 'health'],
+      countries: ['us', 'uk', 'global'],
+      languages: ['en'],
+      ...options,
+    });
+
+    this.service = options.service || rssService;
+    this.feeds = options.feeds || feedService;
+  }
+
+  /**
+   * Fetch articles from the feeds matching the category
+   * @param {Object} options - Fetch options
+   * @param {Array<Object>} [options.feeds] - Feeds to parse (default: enabled feeds in the sources table)
+   * @param {boolean} [options.dueOnly] - Only poll feeds whose next poll time has passed
+   * @returns {Promise<Array>} Normalized articles
+   */
+  async fetch(options = {}) {
+    const { category, limit, feeds, dueOnly = false } = options;
+
+    let result;
+    if (feeds) {
+      const categoryFeeds = category ? feeds.filter(feed => feed.category === category) : feeds;
+      result = await this.service.parseMultipleFeeds(categoryFeeds);
+    } else {
+      result = await this.feeds.pollFeeds({ category, dueOnly });
+    }
+    const articles = result.articles || [];
+
+    return limit ? articles.slice(0, limit) : articles;
+  }
+
+  /**
+   * @param {Object} item - RSS feed item
+   * @param {Object} [metadata] - Feed metadata (source, feedUrl, category, credibility)
+   */
+  normalize(item, metadata = {}) {
+    return this.service.normalizeArticle(item, metadata);
+  }
+
+  async healthCheck() {
+    return this.service.healthCheck();
+  }
+}
+
+export default RssAdapter;
@@ -0,0 +1,60 @@
+/**
+ * SerpAPI Source Adapter
+ * Google News results via SerpAPI
+ */
+
+import SourceAdapter from './SourceAdapter.js';
+import serpApiClient from '../serpApiClient.js';
+
+class SerpApiAdapter extends SourceAdapter {
+  constructor(options = {}) {
+    super({
+      name: 'serpapi',
+      displayName: 'Google News (via SerpAPI)',
+      type: 'api',
+      priority: 90, // High priority - good quality
+      credibility: 0.85,
+      costPerRequest: 0.01, // Estimated cost
+      categories: ['general', 'business', 'technology', 'science', 'health'],
+      countries: ['us', 'uk', 'ca', 'au'],
+      languages: ['en'],
+      ...options,
+    });
+
+    this.client = options.client || serpApiClient;
+  }
+
+  async fetch(options = {}) {
+    const { query, category, country = 'us', language = 'en', limit = 10 } = options;
+
+    // Google News has no category filter, so search for the category instead
+    return this.client.fetchNews({
+      query: query || category || 'latest news',
+      country,
+      language,
+      limit,
+    });
+  }
+
+  normalize(item) {
+    return this.client.normalizeArticles([item])[0];
+  }
+
+  getQuota() {
+    return {
+      limit: this.client.maxRequests,
+      used: this.client.requestCount,
+      remaining: this.client.getRemainingQuota(),
+    };
+  }
+
+  resetQuota() {
+    this.client.resetQuota();
+  }
+
+  async healthCheck() {
+    return this.client.healthCheck();
+  }
+}
+
+export default SerpApiAdapter;
@@ -0,0 +1,126 @@
+/**
+ * News Source Adapter
+ * Base contract for news providers used by newsService, newsAggregator and CrawlerAgent
+ *
+ * Subclasses implement:
+ * - fetch(options)     Fetch and normalize articles
+ * - normalize(item)    Map one provider item to the standard article format
+ * - getQuota()         Report request quota usage
+ * - healthCheck()      Check the provider is reachable
+ *
+ * Standard article format:
+ * { title, description, content, url, imageUrl, publishedAt, author, category,
+ *   source: { name, url, credibility }, metadata: { provider }, fingerprint }
+ */
+
+class SourceAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.name - Unique source name (registry key)
+   * @param {string} [options.displayName] - Human readable name
+   * @param {string} [options.type] - Source type: api, rss or fixture
+   * @param {number} [options.priority] - Selection priority (0-100)
+   * @param {number} [options.credibility] - Default credibility (0-1)
+   * @param {number} [options.costPerRequest] - Estimated cost per request (USD)
+   * @param {boolean} [options.enabled] - Whether the source can be used
+   * @param {Array<string>} [options.categories] - Supported categories
+   * @param {Array<string>} [options.countries] - Supported countries ('global' for any)
+   * @param {Array<string>} [options.languages] - Supported languages
+   */
+  constructor(options = {}) {
+    if (!options.name) {
+      throw new Error('Source adapter requires a name');
+    }
+
+    this.name = options.name;
+    this.displayName = options.displayName || options.name;
+    this.type = options.type || 'api';
+    this.priority = options.priority ?? 50;
+    this.credibility = options.credibility ?? 0.75;
+    this.costPerRequest = options.costPerRequest ?? 0;
+    this.enabled = options.enabled !== false;
+    this.categories = options.categories || ['general'];
+    this.countries = options.countries || ['global'];
+    this.languages = options.languages || ['en'];
+  }
+
+  /**
+   * Fetch normalized articles
+   * @param {Object} options - Fetch options
+   * @param {string} [options.query] - Search keywords
+   * @param {string} [options.category] - Category
+   * @param {string} [options.country] - Country code
+   * @param {string} [options.language] - Language code
+   * @param {number} [options.limit] - Maximum articles
+   * @returns {Promise<Array>} Normalized articles
+   */
+  async fetch(_options = {}) {
+    throw new Error(`fetch() must be implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Normalize one provider item to the standard article format
+   * @param {Object} item - Provider item
+   * @returns {Object} Normalized article
+   */
+  normalize(_item) {
+    throw new Error(`normalize() must be implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Get request quota usage
+   * @returns {Object} { limit, used, remaining } (limit is Infinity when unmetered)
+   */
+  getQuota() {
+    return { limit: Infinity, used: 0, remaining: Infinity };
+  }
+
+  /**
+   * Reset request quota (call at the start of a new billing period)
+   */
+  resetQuota() {}
+
+  /**
+   * Check the provider is reachable
+   * @returns {Promise<boolean>} Health status
+   */
+  async healthCheck() {
+    throw new Error(`healthCheck() must be implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Check whether the adapter can serve a request
+   * @param {Object} criteria - { category, country, language }
+   * @returns {boolean} True if supported
+   */
+  supports({ category, country, language } = {}) {
+    if (category && !this.categories.includes(category)) return false;
+    if (country && !this.countries.includes(country) && !this.countries.includes('global')) {
+      return false;
+    }
+    if (language && !this.languages.includes(language)) return false;
+    return true;
+  }
+
+  /**
+   * Describe the adapter
+   * @returns {Object} Adapter details
+   */
+  getInfo() {
+    return {
+      name: this.name,
+      displayName: this.displayName,
+      type: this.type,
+      enabled: this.enabled,
+      priority: this.priority,
+      credibility: this.credibility,
+      costPerRequest: this.costPerRequest,
+      categories: this.categories,
+      countries: this.countries,
+      languages: this.languages,
+      quota: this.getQuota(),
+    };
+  }
+}
+
+export default SourceAdapter;
@@ -0,0 +1,733 @@
+/**
+ * Article Extractor
+ *
+ * Fetches article pages and extracts the main body text, byline, publish
+ * date, lead image and canonical URL, so duplicate detection, research and
+ * writing work from full text instead of feed snippets.
+ *
+ * Metadata comes from <link rel=canonical>, Open Graph / article meta tags and
+ * schema.org JSON-LD. The body is found readability-style: paragraphs score
+ * their parent containers by length and commas, containers are weighted by
+ * class/id hints and link density, and the best container plus related
+ * siblings becomes the article text.
+ *
+ * Fetching respects robots.txt (robotsService) and spaces requests to each
+ * domain by domainInterval or the site's Crawl-delay, whichever is longer.
+ * Redirects are followed one hop at a time, so both checks also apply to the
+ * host a page redirects to.
+ *
+ * @module services/news/articleExtractor
+ */
+
+import axios from 'axios';
+import config from '../../config/index.js';
+import robotsService from './robotsService.js';
+import ExtractionError from './ExtractionError.js';
+import { parseHtml, find, findAll, getText, getRawText, walk } from '../../utils/html.js';
+
+// Elements that never hold the article body
+const STRIPPED_TAGS = new Set([
+  'script',
+  'style',
+  'noscript',
+  'template',
+  'nav',
+  'header',
+  'footer',
+  'aside',
+  'form',
+  'iframe',
+  'svg',
+  'button',
+  'select',
+  'input',
+  'textarea',
+]);
+
+const UNLIKELY_CANDIDATES = new RegExp(
+  [
+    'ad-|advert|banner|breadcrumb|comment|cookie|disqus|footer|header|menu|modal|nav',
+    'newsletter|outbrain|popup|promo|related|share|sidebar|social|sponsor|subscribe',
+    'taboola|tags|widget',
+  ].join('|'),
+  'i'
+);
+const LIKELY_CANDIDATES = /and|article|body|column|content|entry|main|page|post|story|text/i;
+
+const POSITIVE_HINTS = /article|body|content|entry|main|post|story|text/i;
+const NEGATIVE_HINTS =
+  /ad-|comment|footer|footnote|masthead|meta|outbrain|promo|related|share|shopping|sidebar|sponsor|taboola|widget/i;
+
+const TAG_SCORES = {
+  article: 10,
+  div: 5,
+  section: 3,
+  pre: 3,
+  td: 3,
+  blockquote: 3,
+  address: -3,
+  ol: -3,
+  ul: -3,
+  dl: -3,
+  dd: -3,
+  dt: -3,
+  li: -3,
+  h1: -5,
+  h2: -5,
+  h3: -5,
+  h4: -5,
+  h5: -5,
+  h6: -5,
+  th: -5,
+};
+
+const ARTICLE_TYPES =
+  /^(Article|NewsArticle|ReportageNewsArticle|AnalysisNewsArticle|BlogPosting|Report)$/;
+
+const MIN_PARAGRAPH_LENGTH = 25;
+
+// Redirects followed per page; each hop is checked like the original URL
+const MAX_REDIRECTS = 5;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class ArticleExtractor {
+  /**
+   * @param {Object} [options] - Extractor options (defaults from config.extraction)
+   * @param {Object} [options.robots] - robots.txt checker (default: robotsService)
+   */
+  constructor(options = {}) {
+    const { robots, ...settings } = options;
+
+    this.config = {
+      ...config.extraction,
+      // Articles with less content than this are enriched
+      minContentLength: 500,
+      ...settings,
+    };
+
+    this.robots = robots || robotsService;
+
+    // hostname -> earliest time the next request may start
+    this.nextRequestAt = new Map();
+
+    this.stats = {
+      fetched: 0,
+      extracted: 0,
+      failed: 0,
+      robotsDisallowed: 0,
+      rateLimited: 0,
+    };
+
+    this.logger = console;
+  }
+
+  /**
+   * Resolve a possibly relative URL
+   * @param {string} value - URL
+   * @param {string} base - Base URL
+   * @returns {string|null} Absolute http(s) URL
+   */
+  resolveUrl(value, base) {
+    if (!value) return null;
+
+    try {
+      const resolved = new URL(value.trim(), base);
+      return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Normalize a date string to ISO 8601
+   * @param {string} value - Date
+   * @returns {string|null} ISO date, or null if unparseable
+   */
+  normalizeDate(value) {
+    if (!value) return null;
+
+    const date = new Date(String(value).trim());
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  /**
+   * Meta tag values by lowercased name/property
+   * @param {Object} document - Parsed document
+   * @returns {Object} Name -> content (first occurrence wins)
+   */
+  readMeta(document) {
+    const meta = {};
+
+    findAll(document, 'meta').forEach(element => {
+      const key = (element.attrs.property || element.attrs.name || element.attrs.itemprop || '')
+        .trim()
+        .toLowerCase();
+      const content = element.attrs.content;
+
+      if (key && content && !(key in meta)) {
+        meta[key] = content.trim();
+      }
+    });
+
+    return meta;
+  }
+
+  /**
+   * The schema.org article object from JSON-LD, if any
+   * @param {Object} document - Parsed document
+   * @returns {Object|null} JSON-LD Article/NewsArticle
+   */
+  readJsonLd(document) {
+    const scripts = findAll(
+      document,
+      element => element.tag === 'script' && /ld\+json/i.test(element.attrs.type || '')
+    );
+
+    const candidates = [];
+    const collect = value => {
+      if (Array.isArray(value)) {
+        value.forEach(collect);
+      } else if (value && typeof value === 'object') {
+        candidates.push(value);
+        if (value['@graph']) collect(value['@graph']);
+      }
+    };
+
+    scripts.forEach(script => {
+      try {
+        collect(JSON.parse(getRawText(script)));
+      } catch {
+        // Malformed JSON-LD is common; ignore it
+      }
+    });
+
+    return (
+      candidates.find(item => {
+        const types = Array.isArray(item['@type']) ? item['@type'] : [item['@type']];
+        return types.some(type => ARTICLE_TYPES.test(String(type)));
+      }) || null
+    );
+  }
+
+  /**
+   * Names from a JSON-LD author value
+   * @param {*} author - String, Person, or array of either
+   * @returns {string|null} Comma separated names
+   */
+  jsonLdNames(author) {
+    const names = (Array.isArray(author) ? author : [author])
+      .map(entry => (typeof entry === 'string' ? entry : entry && entry.name))
+      .filter(name => typeof name === 'string' && name.trim());
+
+    return names.length > 0 ? names.join(', ') : null;
+  }
+
+  /**
+   * URL from a JSON-LD image value
+   * @param {*} image - String, ImageObject, or array of either
+   * @returns {string|null} URL
+   */
+  jsonLdImage(image) {
+    const first = Array.isArray(image) ? image[0] : image;
+    if (!first) return null;
+    return typeof first === 'string' ? first : first.url || first.contentUrl || null;
+  }
+
+  /**
+   * Byline from the page markup (rel=author, itemprop=author, byline classes)
+   * @param {Object} document - Parsed document
+   * @returns {string|null} Byline
+   */
+  findBylineElement(document) {
+    const element = find(document, candidate => {
+      const hints = `${candidate.attrs.class || ''} ${candidate.attrs.id || ''}`;
+      return (
+        candidate.attrs.rel === 'author' ||
+        candidate.attrs.itemprop === 'author' ||
+        /byline|author/i.test(hints)
+      );
+    });
+
+    if (!element) return null;
+
+    const text = getText(element)
+      .replace(/\s+/g, ' ')
+      .replace(/^by\s+/i, '')
+      .trim();
+
+    return text && text.length <= 100 ? text : null;
+  }
+
+  /**
+   * Whether a node's class/id mark it as page furniture
+   * @param {Object} element - Element
+   * @returns {boolean} True if unlikely to be content
+   */
+  isUnlikely(element) {
+    const hints = `${element.attrs.class || ''} ${element.attrs.id || ''}`;
+    if (!hints.trim() || ['body', 'article', 'main'].includes(element.tag)) return false;
+    return UNLIKELY_CANDIDATES.test(hints) && !LIKELY_CANDIDATES.test(hints);
+  }
+
+  /**
+   * Remove elements that cannot be content
+   * @param {Object} node - Subtree root (modified in place)
+   */
+  prune(node) {
+    walk(node, current => {
+      if (!current.children) return;
+
+      current.children = current.children.filter(
+        child =>
+          child.type === 'text' ||
+          (!STRIPPED_TAGS.has(child.tag) &&
+            child.attrs.hidden === undefined &&
+            child.attrs['aria-hidden'] !== 'true' &&
+            !this.isUnlikely(child))
+      );
+    });
+  }
+
+  /**
+   * Share of a node's text that is link text
+   * @param {Object} node - Element
+   * @returns {number} 0-1
+   */
+  linkDensity(node) {
+    const textLength = getText(node).length;
+    if (textLength === 0) return 0;
+
+    const linkLength = findAll(node, 'a').reduce((sum, link) => sum + getText(link).length, 0);
+    return Math.min(1, linkLength / textLength);
+  }
+
+  /**
+   * Class/id weight of an element
+   * @param {Object} element - Element
+   * @returns {number} Weight
+   */
+  classWeight(element) {
+    let weight = 0;
+
+    [element.attrs.class, element.attrs.id].forEach(hint => {
+      if (!hint) return;
+      if (NEGATIVE_HINTS.test(hint)) weight -= 25;
+      if (POSITIVE_HINTS.test(hint)) weight += 25;
+    });
+
+    return weight;
+  }
+
+  /**
+   * Find the element holding the article body
+   * @param {Object} root - Pruned body
+   * @returns {Array<Object>} Elements making up the article, in document order
+   */
+  findContent(root) {
+    const scores = new Map();
+
+    const initialize = element => {
+      if (!scores.has(element)) {
+        scores.set(element, (TAG_SCORES[element.tag] || 0) + this.classWeight(element));
+      }
+    };
+
+    findAll(root, element => ['p', 'pre', 'td', 'blockquote'].includes(element.tag)).forEach(
+      paragraph => {
+        const text = getText(paragraph);
+        if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+        const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+        const parent = paragraph.parent;
+        const grandparent = parent && parent.parent;
+
+        if (parent && parent.type === 'element' && parent.tag !== '#document') {
+          initialize(parent);
+          scores.set(parent, scores.get(parent) + score);
+        }
+
+        if (grandparent && grandparent.type === 'element' && grandparent.tag !== '#document') {
+          initialize(grandparent);
+          scores.set(grandparent, scores.get(grandparent) + score / 2);
+        }
+      }
+    );
+
+    let top = null;
+    let topScore = 0;
+
+    scores.forEach((score, element) => {
+      const adjusted = score * (1 - this.linkDensity(element));
+      scores.set(element, adjusted);
+
+      if (adjusted > topScore) {
+        top = element;
+        topScore = adjusted;
+      }
+    });
+
+    if (!top) return [];
+
+    // Siblings that continue the article (split containers, trailing paragraphs)
+    const threshold = Math.max(10, topScore * 0.2);
+    const siblings = top.parent ? top.parent.children : [top];
+
+    return siblings.filter(sibling => {
+      if (sibling === top) return true;
+      if (sibling.type !== 'element') return false;
+      if ((scores.get(sibling) || 0) >= threshold) return true;
+
+      if (sibling.tag === 'p') {
+        const text = getText(sibling);
+        const density = this.linkDensity(sibling);
+        return (
+          (text.length > 80 && density < 0.25) ||
+          (text.length > 0 && density === 0 && /\.( |$)/.test(text))
+        );
+      }
+
+      return false;
+    });
+  }
+
+  /**
+   * Extract an article from HTML
+   * @param {string} html - Page HTML
+   * @param {string} url - Page URL (resolves relative links)
+   * @returns {Object} { url, canonicalUrl, title, byline, publishedAt, modifiedAt,
+   *   leadImage, siteName, excerpt, language, content, wordCount }
+   */
+  extract(html, url) {
+    const document = parseHtml(html);
+    const meta = this.readMeta(document);
+    const jsonLd = this.readJsonLd(document) || {};
+
+    const canonicalLink = find(
+      document,
+      element => element.tag === 'link' && /(^|\s)canonical(\s|$)/i.test(element.attrs.rel || '')
+    );
+    const mainEntity = jsonLd.mainEntityOfPage;
+    const canonicalUrl =
+      this.resolveUrl(canonicalLink?.attrs.href, url) ||
+      this.resolveUrl(meta['og:url'], url) ||
+      this.resolveUrl(
+        jsonLd.url || (typeof mainEntity === 'string' ? mainEntity : mainEntity?.['@id']),
+        url
+      ) ||
+      url;
+
+    const titleElement = find(document, 'title');
+    const headline = find(document, 'h1');
+    const title =
+      meta['og:title'] ||
+      meta['twitter:title'] ||
+      jsonLd.headline ||
+      (titleElement && getText(titleElement)) ||
+      (headline && getText(headline)) ||
+      null;
+
+    const metaAuthor = meta.author || meta['article:author'] || meta['parsely-author'];
+    const byline =
+      (metaAuthor && !/^https?:\/\//.test(metaAuthor) ? metaAuthor : null) ||
+      this.jsonLdNames(jsonLd.author) ||
+      this.findBylineElement(document);
+
+    const timeElement = find(document, element => element.tag === 'time' && element.attrs.datetime);
+    const publishedAt =
+      this.normalizeDate(meta['article:published_time']) ||
+      this.normalizeDate(jsonLd.datePublished) ||
+      this.normalizeDate(
+        meta['parsely-pub-date'] ||
+          meta.pubdate ||
+          meta.publishdate ||
+          meta.date ||
+          meta['dc.date'] ||
+          meta['dc.date.issued'] ||
+          meta['sailthru.date']
+      ) ||
+      this.normalizeDate(timeElement?.attrs.datetime);
+
+    const modifiedAt =
+      this.normalizeDate(meta['article:modified_time']) ||
+      this.normalizeDate(jsonLd.dateModified) ||
+      null;
+
+    const htmlElement = find(document, 'html');
+    const body = find(document, 'body') || document;
+
+    this.prune(body);
+    const contentNodes = this.findContent(body);
+    let content = contentNodes
+      .map(node => getText(node))
+      .filter(Boolean)
+      .join('\n\n');
+
+    // Sites that render the body client-side often still ship it in JSON-LD
+    if (typeof jsonLd.articleBody === 'string' && jsonLd.articleBody.length > content.length) {
+      content = jsonLd.articleBody.replace(/[ \t]+/g, ' ').trim();
+    }
+
+    const contentImage = contentNodes
+      .flatMap(node => findAll(node, 'img'))
+      .map(image => image.attrs.src || image.attrs['data-src'])
+      .find(Boolean);
+
+    const leadImage =
+      this.resolveUrl(meta['og:image'], url) ||
+      this.resolveUrl(meta['twitter:image'], url) ||
+      this.resolveUrl(this.jsonLdImage(jsonLd.image), url) ||
+      this.resolveUrl(contentImage, url);
+
+    return {
+      url,
+      canonicalUrl,
+      title: title ? title.replace(/\s+/g, ' ').trim() : null,
+      byline: byline ? byline.replace(/\s+/g, ' ').trim() : null,
+      publishedAt,
+      modifiedAt,
+      leadImage,
+      siteName: meta['og:site_name'] || null,
+      excerpt: meta['og:description'] || meta.description || jsonLd.description || null,
+      language: htmlElement?.attrs.lang || meta['og:locale'] || null,
+      content,
+      wordCount: content ? content.split(/\s+/).length : 0,
+    };
+  }
+
+  /**
+   * Wait for this domain's next request slot
+   * Slots are reserved synchronously so concurrent callers queue in order.
+   * @param {string} hostname - Domain
+   * @param {number} interval - Minimum ms between requests
+   * @returns {Promise<void>}
+   * @throws {ExtractionError} RATE_LIMITED if the wait would exceed maxDomainWait
+   */
+  async acquireDomainSlot(hostname, interval) {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextRequestAt.get(hostname) || 0);
+    const wait = slot - now;
+
+    if (wait > this.config.maxDomainWait) {
+      this.stats.rateLimited++;
+      throw new ExtractionError(`Rate limit: ${hostname} is busy for ${wait}ms`, 'RATE_LIMITED');
+    }
+
+    this.nextRequestAt.set(hostname, slot + interval);
+
+    if (wait > 0) {
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * Parse and validate a page URL
+   * @param {string} url - Page URL
+   * @param {string} [base] - Base URL (for redirect locations)
+   * @returns {URL} Parsed http(s) URL
+   * @throws {ExtractionError} INVALID_URL
+   */
+  parseTarget(url, base) {
+    let target;
+    try {
+      target = new URL(url, base);
+    } catch {
+      throw new ExtractionError(`Invalid URL: ${url}`, 'INVALID_URL');
+    }
+
+    if (!['http:', 'https:'].includes(target.protocol)) {
+      throw new ExtractionError(`Unsupported URL scheme: ${target.protocol}`, 'INVALID_URL');
+    }
+
+    return target;
+  }
+
+  /**
+   * Check robots.txt for a URL and wait for its domain's request slot
+   * @param {URL} target - Page URL
+   * @returns {Promise<void>}
+   * @throws {ExtractionError} ROBOTS_DISALLOWED or RATE_LIMITED
+   */
+  async acquireRequest(target) {
+    let crawlDelay = null;
+    if (this.config.respectRobots) {
+      const robots = await this.robots.check(target.href);
+
+      if (!robots.allowed) {
+        this.stats.robotsDisallowed++;
+        throw new ExtractionError(`Disallowed by robots.txt: ${target.href}`, 'ROBOTS_DISALLOWED');
+      }
+
+      crawlDelay = robots.crawlDelay;
+    }
+
+    const interval = Math.max(this.config.domainInterval, (crawlDelay || 0) * 1000);
+    await this.acquireDomainSlot(target.hostname, interval);
+  }
+
+  /**
+   * Fetch a page and extract its article
+   * Redirects are followed manually so every hop passes robots.txt and the
+   * per-domain rate limit of its own host.
+   * @param {string} url - Article URL
+   * @returns {Promise<Object>} extract() result
+   * @throws {ExtractionError|Error} When the page may not or cannot be fetched
+   */
+  async fetchArticle(url) {
+    let target = this.parseTarget(url);
+
+    try {
+      let response;
+      for (let redirects = 0; ; redirects++) {
+        await this.acquireRequest(target);
+
+        response = await axios.get(target.href, {
+          timeout: this.config.timeout,
+          maxContentLength: this.config.maxContentLength,
+          maxRedirects: 0,
+          validateStatus: status => status >= 200 && status < 400,
+          responseType: 'text',
+          transformResponse: data => data,
+          headers: {
+            'User-Agent': this.config.userAgent,
+            Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5',
+          },
+        });
+
+        const { location } = response.headers;
+        if (response.status < 300 || !location) break;
+
+        if (redirects >= MAX_REDIRECTS) {
+          throw new ExtractionError(
+            `Too many redirects (over ${MAX_REDIRECTS}) from ${url}`,
+            'TOO_MANY_REDIRECTS'
+          );
+        }
+
+        target = this.parseTarget(location, target.href);
+      }
+      this.stats.fetched++;
+
+      const contentType = response.headers['content-type'] || '';
+      if (contentType && !/html/i.test(contentType)) {
+        throw new ExtractionError(`Not an HTML page: ${contentType}`, 'NOT_HTML');
+      }
+
+      const article = this.extract(String(response.data || ''), target.href);
+
+      if (!article.content) {
+        throw new ExtractionError(`No article content found at ${target.href}`, 'NO_CONTENT');
+      }
+
+      this.stats.extracted++;
+      return article;
+    } catch (error) {
+      // robots.txt refusals and rate limits have their own counters
+      if (!['ROBOTS_DISALLOWED', 'RATE_LIMITED'].includes(error.code)) {
+        this.stats.failed++;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Merge an extraction into a crawled article
+   * Full text replaces a shorter snippet; existing author, image and date are kept.
+   * @param {Object} article - Normalized article (RSS or source adapter shape)
+   * @param {Object} extracted - extract() result
+   * @returns {Object} Enriched copy
+   */
+  mergeExtraction(article, extracted) {
+    const enriched = { ...article };
+    const currentContent = article.content || '';
+
+    if (extracted.content.length > currentContent.length) {
+      enriched.content = extracted.content;
+    }
+
+    if ((!article.author || article.author === 'Unknown') && extracted.byline) {
+      enriched.author = extracted.byline;
+    }
+
+    if (extracted.leadImage) {
+      if ('imageUrl' in article && !article.imageUrl) enriched.imageUrl = extracted.leadImage;
+      if ('image' in article && !article.image) enriched.image = extracted.leadImage;
+    }
+
+    enriched.canonicalUrl = extracted.canonicalUrl;
+    enriched.extraction = {
+      extractedAt: new Date().toISOString(),
+      byline: extracted.byline,
+      publishedAt: extracted.publishedAt,
+      leadImage: extracted.leadImage,
+      canonicalUrl: extracted.canonicalUrl,
+      wordCount: extracted.wordCount,
+    };
+
+    return enriched;
+  }
+
+  /**
+   * Add full text to crawled articles that only carry a snippet
+   * Failures (robots.txt, rate limits, network) leave the article unchanged.
+   * @param {Array<Object>} articles - Normalized articles
+   * @param {Object} [options] - Enrichment options
+   * @param {number} [options.limit] - Most pages to fetch (default: maxArticlesPerRun)
+   * @param {number} [options.concurrency] - Pages fetched in parallel (default: concurrency)
+   * @returns {Promise<Object>} { articles, extracted, skipped, failed }
+   */
+  async enrichArticles(articles, options = {}) {
+    const { limit = this.config.maxArticlesPerRun, concurrency = this.config.concurrency } =
+      options;
+
+    const result = { articles: [...articles], extracted: 0, skipped: 0, failed: 0 };
+
+    const pending = [];
+    articles.forEach((article, index) => {
+      const url = article.url || article.link;
+      const needsText = (article.content || '').length < this.config.minContentLength;
+
+      if (url && needsText && !article.extraction && pending.length < limit) {
+        pending.push({ index, url });
+      } else {
+        result.skipped++;
+      }
+    });
+
+    const worker = async () => {
+      while (pending.length > 0) {
+        const { index, url } = pending.shift();
+
+        try {
+          const extracted = await this.fetchArticle(url);
+          result.articles[index] = this.mergeExtraction(articles[index], extracted);
+          result.extracted++;
+        } catch (error) {
+          result.failed++;
+          this.logger.warn(`[ArticleExtractor] ${url}: ${error.message}`);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+
+    return result;
+  }
+
+  /**
+   * Get extractor statistics
+   * @returns {Object} Statistics, robots.txt cache and configuration
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      robots: this.robots.getStats(),
+      config: { ...this.config },
+    };
+  }
+}
+
+// Export singleton instance
+const articleExtractor = new ArticleExtractor();
+export default articleExtractor;
+export { ArticleExtractor, ExtractionError };
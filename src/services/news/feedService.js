@@ -0,0 +1,630 @@
+/**
+ * RSS Feed Service
+ *
+ * RSS feeds are the rows of the sources table that have a feed_url (in any
+ * format rssService parses: RSS, Atom, JSON Feed or news sitemap). This
+ * service manages them for the admin API, selects the feeds that are due for
+ * a poll (next_poll_at has passed) and records each poll: last crawl and
+ * success times, success rate and consecutive failures. A feed that fails
+ * feedMaxFailures polls in a row is disabled until an admin re-enables it.
+ *
+ * Polls are conditional: the ETag, Last-Modified and body hash of the last
+ * response are stored and sent back, so unchanged feeds cost a 304 and are
+ * not re-parsed. With adaptive_polling each feed's interval follows how often
+ * it publishes: about half the average gap between its items when it has new
+ * ones, backing off while it has none, within feedMinPollInterval and
+ * feedMaxPollInterval. Failed polls are retried with exponential backoff.
+ *
+ * @module services/news/feedService
+ */
+
+import config from '../../config/index.js';
+import { query } from '../../database/queries.js';
+import rssService from './rssService.js';
+
+// API field -> sources column for admin updates
+const UPDATABLE_FIELDS = {
+  name: 'name',
+  url: 'url',
+  feedUrl: 'feed_url',
+  format: 'feed_format',
+  category: 'category',
+  pollInterval: 'crawl_frequency',
+  adaptivePolling: 'adaptive_polling',
+  credibility: 'credibility_score',
+  isActive: 'is_active',
+};
+
+const SORT_COLUMNS = {
+  name: 'name',
+  last_crawled: 'last_crawled',
+  consecutive_failures: 'consecutive_failures',
+  success_rate: 'success_rate',
+  next_poll_at: 'next_poll_at',
+  created_at: 'created_at',
+};
+
+// Item dates used to estimate a feed's publishing rate
+const MAX_RATE_SAMPLES = 20;
+
+class FeedService {
+  /**
+   * @param {Object} [options] - Service options (defaults from config.news)
+   * @param {number} [options.maxFailures] - Consecutive failures before a feed is disabled
+   * @param {number} [options.defaultPollInterval] - Poll interval in seconds for new feeds
+   * @param {number} [options.minPollInterval] - Shortest adaptive poll interval in seconds
+   * @param {number} [options.maxPollInterval] - Longest adaptive or backoff interval in seconds
+   * @param {number} [options.backoffFactor] - Interval multiplier after a poll with nothing new
+   * @param {number} [options.gapWeight] - Weight of the latest estimate in avg_item_gap
+   * @param {number} [options.successRateWeight] - Weight of the latest poll in success_rate
+   */
+  constructor(options = {}) {
+    this.config = {
+      maxFailures: config.news.feedMaxFailures,
+      defaultPollInterval: config.news.feedPollInterval,
+      minPollInterval: config.news.feedMinPollInterval,
+      maxPollInterval: config.news.feedMaxPollInterval,
+      backoffFactor: 1.5,
+      gapWeight: 0.5,
+      successRateWeight: 0.1,
+      ...options,
+    };
+
+    this.stats = {
+      polls: 0,
+      notModified: 0,
+      failures: 0,
+      autoDisabled: 0,
+    };
+
+    this.logger = console;
+  }
+
+  /**
+   * Convert a sources row to the feed shape rssService parses
+   * @param {Object} row - sources row
+   * @returns {Object} { id, name, url, format, category, credibility, pollInterval, baseInterval,
+   *   adaptivePolling, avgItemGap, lastItemAt, etag, lastModified, contentHash }
+   */
+  toFeed(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      url: row.feed_url,
+      format: row.feed_format || 'auto',
+      category: row.category,
+      credibility: row.credibility_score !== null ? parseFloat(row.credibility_score) : undefined,
+      pollInterval: row.poll_interval || row.crawl_frequency,
+      baseInterval: row.crawl_frequency,
+      adaptivePolling: row.adaptive_polling !== false,
+      avgItemGap: row.avg_item_gap || null,
+      lastItemAt: row.last_item_at || null,
+      etag: row.etag || null,
+      lastModified: row.last_modified || null,
+      contentHash: row.content_hash || null,
+    };
+  }
+
+  /**
+   * Domain of a URL without the www. prefix
+   * @param {string} url - URL
+   * @returns {string|null} Domain, or null for invalid URLs
+   */
+  getDomain(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * List feeds
+   * @param {Object} [options] - Filter and pagination options
+   * @param {string} [options.category] - Only this category
+   * @param {string} [options.status] - active, disabled or failing (failed its last poll)
+   * @param {string} [options.search] - Name, domain or feed URL contains
+   * @param {string} [options.sortBy] - name, last_crawled, consecutive_failures, success_rate,
+   *   next_poll_at or created_at
+   * @param {string} [options.order] - ASC or DESC (default: ASC)
+   * @param {number} [options.page] - Page number (default: 1)
+   * @param {number} [options.limit] - Page size (default: 20)
+   * @returns {Promise<Object>} { feeds, total }
+   */
+  async listFeeds({
+    category,
+    status,
+    search,
+    sortBy = 'name',
+    order = 'ASC',
+    page = 1,
+    limit = 20,
+  } = {}) {
+    const conditions = ['feed_url IS NOT NULL'];
+    const values = [];
+
+    if (category) {
+      values.push(category);
+      conditions.push(`category = $${values.length}`);
+    }
+
+    if (status === 'active') {
+      conditions.push('is_active = true');
+    } else if (status === 'disabled') {
+      conditions.push('is_active = false');
+    } else if (status === 'failing') {
+      conditions.push('consecutive_failures > 0');
+    }
+
+    if (search) {
+      values.push(`%${search}%`);
+      conditions.push(
+        `(name ILIKE $${values.length} OR domain ILIKE $${values.length} OR feed_url ILIKE $${values.length})`
+      );
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const sortColumn = SORT_COLUMNS[sortBy] || 'name';
+    const sortOrder = String(order).toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+
+    const [feedsResult, countResult] = await Promise.all([
+      query(
+        `SELECT * FROM sources ${where}
+         ORDER BY ${sortColumn} ${sortOrder} NULLS LAST, name
+         LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, (page - 1) * limit]
+      ),
+      query(`SELECT COUNT(*) FROM sources ${where}`, values),
+    ]);
+
+    return {
+      feeds: feedsResult.rows,
+      total: parseInt(countResult.rows[0].count),
+    };
+  }
+
+  /**
+   * Get a feed
+   * @param {string} id - Source ID
+   * @returns {Promise<Object|null>} sources row, or null if missing or not a feed
+   */
+  async getFeed(id) {
+    const result = await query('SELECT * FROM sources WHERE id = $1 AND feed_url IS NOT NULL', [
+      id,
+    ]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find the feed with a feed URL
+   * @param {string} feedUrl - Feed URL
+   * @returns {Promise<Object|null>} sources row
+   */
+  async findByFeedUrl(feedUrl) {
+    const result = await query('SELECT * FROM sources WHERE feed_url = $1', [feedUrl]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Add a feed
+   * @param {Object} feed - Feed details
+   * @param {string} feed.name - Display name
+   * @param {string} feed.feedUrl - Feed URL
+   * @param {string} [feed.format] - rss, atom, jsonfeed, sitemap or auto (default: auto)
+   * @param {string} [feed.url] - Site URL (default: the feed's origin)
+   * @param {string} [feed.category] - Category for crawled articles (default: general)
+   * @param {number} [feed.pollInterval] - Poll interval in seconds (the starting point when adaptive)
+   * @param {boolean} [feed.adaptivePolling] - Adapt the interval to the feed's publishing rate (default: true)
+   * @param {number} [feed.credibility] - Credibility score (0-1)
+   * @param {boolean} [feed.isActive] - Poll the feed (default: true)
+   * @returns {Promise<Object>} Created sources row
+   */
+  async createFeed({
+    name,
+    feedUrl,
+    format = 'auto',
+    url,
+    category = 'general',
+    pollInterval = this.config.defaultPollInterval,
+    adaptivePolling = true,
+    credibility = 0.5,
+    isActive = true,
+  }) {
+    const siteUrl = url || new URL(feedUrl).origin;
+
+    const result = await query(
+      `INSERT INTO sources (
+         name, url, domain, source_type, feed_url, feed_format, category, crawl_frequency,
+         adaptive_polling, credibility_score, is_active
+       )
+       VALUES ($1, $2, $3, 'rss_feed', $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        name,
+        siteUrl,
+        this.getDomain(siteUrl),
+        feedUrl,
+        format,
+        category,
+        pollInterval,
+        adaptivePolling,
+        credibility,
+        isActive,
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Update a feed
+   * Re-enabling a feed clears its failure count; disabling records when and why.
+   * A new feed URL or format drops the stored validators, and a new poll interval or
+   * polling mode restarts the schedule so it applies from the next poll.
+   * @param {string} id - Source ID
+   * @param {Object} updates - Fields to change (name, url, feedUrl, format, category,
+   *   pollInterval, adaptivePolling, credibility, isActive)
+   * @returns {Promise<Object|null>} Updated sources row, or null if not found
+   */
+  async updateFeed(id, updates) {
+    const assignments = [];
+    const values = [id];
+
+    Object.entries(UPDATABLE_FIELDS).forEach(([field, column]) => {
+      if (updates[field] !== undefined) {
+        values.push(updates[field]);
+        assignments.push(`${column} = $${values.length}`);
+      }
+    });
+
+    if (updates.url !== undefined) {
+      values.push(this.getDomain(updates.url));
+      assignments.push(`domain = $${values.length}`);
+    }
+
+    if (updates.isActive === true) {
+      assignments.push('consecutive_failures = 0', 'disabled_reason = NULL', 'disabled_at = NULL');
+    } else if (updates.isActive === false) {
+      assignments.push("disabled_reason = 'Disabled by an administrator'", 'disabled_at = NOW()');
+    }
+
+    if (updates.feedUrl !== undefined || updates.format !== undefined) {
+      assignments.push('etag = NULL', 'last_modified = NULL', 'content_hash = NULL');
+    }
+
+    if (
+      updates.feedUrl !== undefined ||
+      updates.pollInterval !== undefined ||
+      updates.adaptivePolling !== undefined
+    ) {
+      assignments.push('poll_interval = NULL', 'next_poll_at = NULL');
+    }
+
+    if (assignments.length === 0) {
+      return this.getFeed(id);
+    }
+
+    const result = await query(
+      `UPDATE sources SET ${assignments.join(', ')}
+       WHERE id = $1 AND feed_url IS NOT NULL
+       RETURNING *`,
+      values
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Remove a feed
+   * The source row is deleted unless articles cite it; then only its feed URL
+   * is cleared so the citations survive and the source is no longer polled.
+   * @param {string} id - Source ID
+   * @returns {Promise<Object|null>} { deleted } (false when the source was kept), or null if not found
+   */
+  async deleteFeed(id) {
+    const deleted = await query(
+      `DELETE FROM sources
+       WHERE id = $1 AND feed_url IS NOT NULL
+         AND NOT EXISTS (SELECT 1 FROM article_sources WHERE source_id = $1)
+       RETURNING id`,
+      [id]
+    );
+
+    if (deleted.rows.length > 0) {
+      return { deleted: true };
+    }
+
+    const detached = await query(
+      `UPDATE sources SET feed_url = NULL
+       WHERE id = $1 AND feed_url IS NOT NULL
+       RETURNING id`,
+      [id]
+    );
+
+    return detached.rows.length > 0 ? { deleted: false } : null;
+  }
+
+  /**
+   * Enabled feeds
+   * @param {Object} [options] - Selection options
+   * @param {string} [options.category] - Only this category
+   * @param {boolean} [options.dueOnly] - Only feeds whose next poll time has passed
+   *   (feeds never scheduled fall back to crawl_frequency after last_crawled)
+   * @returns {Promise<Array>} Feeds (see toFeed)
+   */
+  async getActiveFeeds({ category, dueOnly = false } = {}) {
+    const conditions = ['feed_url IS NOT NULL', 'is_active = true'];
+    const values = [];
+
+    if (category) {
+      values.push(category);
+      conditions.push(`category = $${values.length}`);
+    }
+
+    if (dueOnly) {
+      conditions.push(
+        'COALESCE(next_poll_at, last_crawled + make_interval(secs => crawl_frequency), NOW()) <= NOW()'
+      );
+    }
+
+    const result = await query(
+      `SELECT * FROM sources
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY next_poll_at ASC NULLS FIRST, last_crawled ASC NULLS FIRST`,
+      values
+    );
+
+    return result.rows.map(row => this.toFeed(row));
+  }
+
+  /**
+   * Poll enabled feeds and record the outcome of each
+   * @param {Object} [options] - Poll options
+   * @param {string} [options.category] - Only this category
+   * @param {boolean} [options.dueOnly] - Only feeds whose next poll time has passed
+   * @returns {Promise<Object>} rssService.parseMultipleFeeds result
+   */
+  async pollFeeds({ category, dueOnly = false } = {}) {
+    const feeds = await this.getActiveFeeds({ category, dueOnly });
+    const result = await rssService.parseMultipleFeeds(feeds);
+    const feedsById = new Map(feeds.map(feed => [feed.id, feed]));
+
+    await Promise.all(
+      result.feedResults.map(feedResult =>
+        this.recordResult(feedResult, feedsById.get(feedResult.feedId))
+      )
+    );
+
+    return result;
+  }
+
+  /**
+   * Poll one feed now, whether or not it is due or enabled
+   * @param {string} id - Source ID
+   * @returns {Promise<Object|null>} rssService.parseFeed result, or null if not found
+   */
+  async pollFeed(id) {
+    const row = await this.getFeed(id);
+
+    if (!row) {
+      return null;
+    }
+
+    const feed = this.toFeed(row);
+    const result = await rssService.parseFeed(
+      feed.url,
+      {
+        feedId: feed.id,
+        name: feed.name,
+        category: feed.category,
+        credibility: feed.credibility,
+        format: feed.format,
+      },
+      {
+        etag: feed.etag,
+        lastModified: feed.lastModified,
+        contentHash: feed.contentHash,
+      }
+    );
+
+    await this.recordResult(result, feed);
+    return result;
+  }
+
+  /**
+   * Record a parse result against its feed
+   * Recording errors are logged so a poll never fails because of them.
+   * @param {Object} result - rssService.parseFeed result (with feedId)
+   * @param {Object} [feed] - The polled feed (toFeed shape), used for scheduling
+   * @returns {Promise<void>}
+   */
+  async recordResult(result, feed) {
+    if (!result.feedId) return;
+
+    try {
+      if (result.success) {
+        await this.recordSuccess(feed || { id: result.feedId }, result);
+      } else {
+        await this.recordFailure(result.feedId, result.error);
+      }
+    } catch (error) {
+      this.logger.error(`[FeedService] Failed to record poll of ${result.feedUrl}:`, error.message);
+    }
+  }
+
+  /**
+   * Work out when to poll a feed next from a successful poll
+   *
+   * The publishing rate is the average gap between the feed's newest dated
+   * items, smoothed with the previous estimate. A poll with new items sets
+   * the interval to half that gap; a poll with nothing new (including an
+   * unchanged feed) stretches the current interval by backoffFactor.
+   *
+   * @param {Object} feed - The polled feed (toFeed shape)
+   * @param {Object} result - rssService.parseFeed result
+   * @returns {Object} { interval, avgItemGap, lastItemAt, newItems }
+   */
+  computeSchedule(feed, result) {
+    const { minPollInterval, maxPollInterval, backoffFactor, gapWeight } = this.config;
+    const now = Date.now();
+    const previousLastItem = feed.lastItemAt ? new Date(feed.lastItemAt).getTime() : 0;
+
+    const itemTimes = (result.itemDates || [])
+      .map(date => new Date(date).getTime())
+      .filter(time => Number.isFinite(time) && time <= now)
+      .sort((a, b) => b - a);
+
+    const newItems = itemTimes.filter(time => time > previousLastItem).length;
+    const lastItemAt =
+      itemTimes.length > 0 && itemTimes[0] > previousLastItem
+        ? new Date(itemTimes[0])
+        : feed.lastItemAt || null;
+
+    let avgItemGap = feed.avgItemGap || null;
+    const samples = itemTimes.slice(0, MAX_RATE_SAMPLES);
+
+    if (samples.length >= 2) {
+      const gap = (samples[0] - samples[samples.length - 1]) / (samples.length - 1) / 1000;
+      avgItemGap = Math.round(avgItemGap ? avgItemGap * (1 - gapWeight) + gap * gapWeight : gap);
+    }
+
+    const baseInterval = feed.baseInterval || this.config.defaultPollInterval;
+
+    if (feed.adaptivePolling === false) {
+      return { interval: baseInterval, avgItemGap, lastItemAt, newItems };
+    }
+
+    const current = feed.pollInterval || baseInterval;
+    let interval;
+
+    if (newItems > 0) {
+      interval = avgItemGap ? avgItemGap / 2 : current;
+    } else {
+      interval = current * backoffFactor;
+    }
+
+    interval = Math.round(Math.min(maxPollInterval, Math.max(minPollInterval, interval)));
+
+    return { interval, avgItemGap, lastItemAt, newItems };
+  }
+
+  /**
+   * Record a successful poll: validators for the next conditional request and
+   * the next poll time
+   * @param {Object} feed - The polled feed (toFeed shape)
+   * @param {Object} [result] - rssService.parseFeed result
+   * @returns {Promise<Object>} computeSchedule result
+   */
+  async recordSuccess(feed, result = {}) {
+    this.stats.polls++;
+
+    if (result.notModified) {
+      this.stats.notModified++;
+    }
+
+    const schedule = this.computeSchedule(feed, result);
+    const cache = result.cache || {};
+
+    await query(
+      `UPDATE sources
+       SET last_crawled = NOW(),
+           last_success_at = NOW(),
+           consecutive_failures = 0,
+           success_rate = ROUND(COALESCE(success_rate, 1) * (1 - $2::numeric) + $2::numeric, 2),
+           etag = COALESCE($3, etag),
+           last_modified = COALESCE($4, last_modified),
+           content_hash = COALESCE($5, content_hash),
+           not_modified_count = not_modified_count + $6,
+           poll_interval = $7,
+           avg_item_gap = $8,
+           last_item_at = $9,
+           next_poll_at = NOW() + make_interval(secs => $7)
+       WHERE id = $1`,
+      [
+        feed.id,
+        this.config.successRateWeight,
+        cache.etag || null,
+        cache.lastModified || null,
+        cache.contentHash || null,
+        result.notModified ? 1 : 0,
+        schedule.interval,
+        schedule.avgItemGap,
+        schedule.lastItemAt,
+      ]
+    );
+
+    return schedule;
+  }
+
+  /**
+   * Record a failed poll, disabling the feed once it reaches maxFailures in a row
+   * The next attempt is pushed back exponentially, up to maxPollInterval.
+   * @param {string} feedId - Source ID
+   * @param {string} message - Error message
+   * @returns {Promise<boolean>} True if the feed was disabled by this failure
+   */
+  async recordFailure(feedId, message) {
+    this.stats.polls++;
+    this.stats.failures++;
+
+    const { maxFailures } = this.config;
+    const reason = `Disabled after ${maxFailures} consecutive failures: ${message}`;
+
+    // SET expressions read the row as it was before the update
+    const result = await query(
+      `UPDATE sources
+       SET last_crawled = NOW(),
+           last_error = $2,
+           last_error_at = NOW(),
+           error_count = error_count + 1,
+           consecutive_failures = consecutive_failures + 1,
+           success_rate = ROUND(COALESCE(success_rate, 1) * (1 - $3::numeric), 2),
+           is_active = is_active AND consecutive_failures + 1 < $4,
+           disabled_reason = CASE WHEN is_active AND consecutive_failures + 1 >= $4
+                                  THEN $5 ELSE disabled_reason END,
+           disabled_at = CASE WHEN is_active AND consecutive_failures + 1 >= $4
+                              THEN NOW() ELSE disabled_at END,
+           next_poll_at = NOW() + make_interval(secs => LEAST(
+             COALESCE(poll_interval, crawl_frequency) * POWER(2, consecutive_failures), $6
+           ))
+       WHERE id = $1
+       RETURNING name, feed_url, is_active, consecutive_failures, disabled_reason = $5 AS auto_disabled`,
+      [
+        feedId,
+        message,
+        this.config.successRateWeight,
+        maxFailures,
+        reason,
+        this.config.maxPollInterval,
+      ]
+    );
+
+    const row = result.rows[0];
+    const autoDisabled = Boolean(
+      row && row.auto_disabled && row.consecutive_failures === maxFailures
+    );
+
+    if (autoDisabled) {
+      this.stats.autoDisabled++;
+      this.logger.warn(`[FeedService] Feed ${row.name} (${row.feed_url}) disabled: ${reason}`);
+    }
+
+    return autoDisabled;
+  }
+
+  /**
+   * Get service statistics
+   * @returns {Object} Statistics and configuration
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      config: { ...this.config },
+    };
+  }
+}
+
+// Export singleton instance
+const feedService = new FeedService();
+export default feedService;
+export { FeedService };
@@ -4,61 +4,14 @@
  * and intelligent article selection
  */
 
-import serpApiClient from './serpApiClient.js';
-import mediaStackClient from './mediaStackClient.js';
-import rssService from './rssService.js';
+import sourceRegistry from './sourceRegistry.js';
 import redisCache from '../cache/redisCache.js';
 import config from '../../config/index.js';
 
 class NewsAggregator {
   constructor() {
-    // Register all available news sources
-    this.sources = {
-      serpapi: {
-        client: serpApiClient,
-        type: 'api',
-        priority: 90, // High priority - good quality
-        credibility: 0.85,
-        costPerRequest: 0.01, // Estimated cost
-        quotaLimit: 100, // Monthly limit
-        enabled: !!config.news.serpApiKey,
-        categories: ['general', 'business', 'technology', 'science', 'health'],
-        countries: ['us', 'uk', 'ca', 'au'],
-        languages: ['en'],
-      },
-      mediastack: {
-        client: mediaStackClient,
-        type: 'api',
-        priority: 80, // Good priority
-        credibility: 0.8,
-        costPerRequest: 0.005,
-        quotaLimit: 500,
-        enabled: !!config.news.mediaStackApiKey,
-        categories: [
-          'general',
-          'business',
-          'technology',
-          'entertainment',
-          'sports',
-          'science',
-          'health',
-        ],
-        countries: ['us', 'gb', 'ca', 'au', 'de', 'fr'],
-        languages: ['en', 'de', 'fr'],
-      },
-      rss: {
-        client: rssService,
-        type: 'rss',
-        priority: 70, // Good priority - free and reliable
-        credibility: 0.9, // High credibility (curated feeds)
-        costPerRequest: 0, // Free
-        quotaLimit: Infinity,
-        enabled: true,
-        categories: ['general', 'business', 'technology', 'science', 'health'],
-        countries: ['us', 'uk', 'global'],
-        languages: ['en'],
-      },
-    };
+    // News sources are adapters from the shared registry
+    this.registry = sourceRegistry;
 
     // Source reputation tracking
     this.sourceReputation = new Map();
@@ -81,19 +34,39 @@ class NewsAggregator {
    * Initialize reputation scores for all sources
    */
   initializeReputations() {
-    Object.keys(this.sources).forEach(sourceName => {
-      this.sourceReputation.set(sourceName, {
-        successRate: 1.0,
-        avgResponseTime: 1000,
-        avgArticleQuality: 0.8,
-        totalRequests: 0,
-        failedRequests: 0,
-        lastFailure: null,
-        consecutiveFailures: 0,
-      });
+    this.registry.names().forEach(sourceName => {
+      this.sourceReputation.set(sourceName, this.createReputation());
     });
   }
 
+  /**
+   * Create a fresh reputation record
+   * @returns {Object} Reputation
+   */
+  createReputation() {
+    return {
+      successRate: 1.0,
+      avgResponseTime: 1000,
+      avgArticleQuality: 0.8,
+      totalRequests: 0,
+      failedRequests: 0,
+      lastFailure: null,
+      consecutiveFailures: 0,
+    };
+  }
+
+  /**
+   * Get reputation for a source, creating it for adapters registered later
+   * @param {string} sourceName - Source name
+   * @returns {Object} Reputation
+   */
+  getReputation(sourceName) {
+    if (!this.sourceReputation.has(sourceName)) {
+      this.sourceReputation.set(sourceName, this.createReputation());
+    }
+    return this.sourceReputation.get(sourceName);
+  }
+
   /**
    * Fetch news from multiple sources with intelligent prioritization
    * @param {Object} options - Aggregation options
@@ -112,6 +85,7 @@ class NewsAggregator {
       deduplication = true,
       minCredibility = 0.0,
       sortBy = 'publishedAt', // 'publishedAt', 'relevance', 'quality'
+      dueOnly = false, // RSS: only poll feeds whose next poll time has passed
     } = options;
 
     const startTime = Date.now();
@@ -162,6 +136,7 @@ class NewsAggregator {
       country,
       language,
       limit: Math.ceil(limit / selectedSources.length), // Distribute limit across sources
+      dueOnly,
     });
 
     // Aggregate results
@@ -229,43 +204,29 @@ class NewsAggregator {
     const { enabledSources, category, country, language, sourcePriority } = options;
 
     // Filter available sources
-    let availableSources = Object.entries(this.sources)
-      .filter(([name, source]) => {
-        // Check if source is enabled
-        if (!source.enabled) return false;
-
+    let availableSources = this.registry
+      .list({ enabledOnly: true })
+      .filter(adapter => {
         // Check if source is in enabledSources list
-        if (enabledSources && !enabledSources.includes(name)) return false;
-
-        // Check if source supports requested category
-        if (category && !source.categories.includes(category)) return false;
-
-        // Check if source supports requested country
-        if (
-          country &&
-          !source.countries.includes(country) &&
-          !source.countries.includes('global')
-        ) {
-          return false;
-        }
+        if (enabledSources && !enabledSources.includes(adapter.name)) return false;
 
-        // Check if source supports requested language
-        if (language && !source.languages.includes(language)) return false;
+        // Check if source supports requested category, country and language
+        if (!adapter.supports({ category, country, language })) return false;
 
         // Check reputation (skip if too many consecutive failures)
-        const reputation = this.sourceReputation.get(name);
+        const reputation = this.getReputation(adapter.name);
         if (reputation.consecutiveFailures >= 3) return false;
 
         return true;
       })
-      .map(([name, source]) => ({
-        name,
-        ...source,
+      .map(adapter => ({
+        ...adapter.getInfo(),
+        adapter,
       }));
 
     // Calculate effective priority based on strategy
     availableSources = availableSources.map(source => {
-      const reputation = this.sourceReputation.get(source.name);
+      const reputation = this.getReputation(source.name);
       let effectivePriority = source.priority;
 
       switch (sourcePriority) {
@@ -335,17 +296,9 @@ class NewsAggregator {
     // Fetch from all sources in parallel
     const fetchPromises = sources.map(async source => {
       const startTime = Date.now();
-      const reputation = this.sourceReputation.get(source.name);
 
       try {
-        let articles = [];
-
-        // Fetch based on source type
-        if (source.type === 'api') {
-          articles = await this.fetchFromApiSource(source, options);
-        } else if (source.type === 'rss') {
-          articles = await this.fetchFromRssSource(source, options);
-        }
+        const articles = await source.adapter.fetch(options);
 
         // Update reputation on success
         const responseTime = Date.now() - startTime;
@@ -396,60 +349,6 @@ class NewsAggregator {
     return results;
   }
 
-  /**
-   * Fetch from API-based source
-   * @param {Object} source - Source configuration
-   * @param {Object} options - Fetch options
-   * @returns {Promise<Array>} Articles
-   */
-  async fetchFromApiSource(source, options) {
-    const { query, category, country, language, limit } = options;
-
-    if (source.name === 'serpapi') {
-      return await source.client.fetchNews({
-        query: query || category || 'latest news',
-        country,
-        language,
-        limit,
-      });
-    }
-
-    if (source.name === 'mediastack') {
-      const response = await source.client.fetchNews({
-        query,
-        categories: category,
-        countries: country,
-        languages: language,
-        limit,
-      });
-      return response.articles || [];
-    }
-
-    throw new Error(`Unknown API source: ${source.name}`);
-  }
-
-  /**
-   * Fetch from RSS-based source
-   * @param {Object} source - Source configuration
-   * @param {Object} options - Fetch options
-   * @returns {Promise<Array>} Articles
-   */
-  async fetchFromRssSource(source, options) {
-    const { category, limit } = options;
-
-    // Get feeds matching category
-    const feeds = source.client.getDefaultFeeds();
-    const categoryFeeds = category ? feeds.filter(feed => feed.category === category) : feeds;
-
-    // Parse multiple feeds
-    const result = await source.client.parseMultipleFeeds(
-      categoryFeeds.map(feed => feed.url),
-      { maxArticles: limit }
-    );
-
-    return result.articles || [];
-  }
-
   /**
    * Update source reputation based on performance
    * @param {string} sourceName - Source name
@@ -589,7 +488,7 @@ class NewsAggregator {
     return {
       ...this.stats,
       sourceReputations: Object.fromEntries(this.sourceReputation),
-      availableSources: Object.keys(this.sources).filter(name => this.sources[name].enabled),
+      availableSources: this.registry.names({ enabledOnly: true }),
     };
   }
 
@@ -598,18 +497,10 @@ class NewsAggregator {
    * @returns {Object} Source details
    */
   getSourceInfo() {
-    return Object.entries(this.sources).map(([name, source]) => ({
-      name,
-      type: source.type,
-      enabled: source.enabled,
-      priority: source.priority,
-      credibility: source.credibility,
-      costPerRequest: source.costPerRequest,
-      quotaLimit: source.quotaLimit,
-      categories: source.categories,
-      countries: source.countries,
-      languages: source.languages,
-      reputation: this.sourceReputation.get(name),
+    return this.registry.list().map(adapter => ({
+      ...adapter.getInfo(),
+      quotaLimit: adapter.getQuota().limit,
+      reputation: this.getReputation(adapter.name),
     }));
   }
 
@@ -619,17 +510,8 @@ class NewsAggregator {
    */
   resetReputation(sourceName = null) {
     if (sourceName) {
-      const source = this.sources[sourceName];
-      if (source) {
-        this.sourceReputation.set(sourceName, {
-          successRate: 1.0,
-          avgResponseTime: 1000,
-          avgArticleQuality: 0.8,
-          totalRequests: 0,
-          failedRequests: 0,
-          lastFailure: null,
-          consecutiveFailures: 0,
-        });
+      if (this.registry.has(sourceName)) {
+        this.sourceReputation.set(sourceName, this.createReputation());
       }
     } else {
       this.initializeReputations();
@@ -674,6 +556,7 @@ class NewsAggregator {
           sourcePriority,
           useCache: false, // Always fetch fresh for monitoring
           minCredibility,
+          dueOnly: true, // Each RSS feed follows its own adaptive schedule
         });
 
         // Filter for truly new articles
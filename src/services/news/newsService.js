@@ -1,19 +1,15 @@
 /**
  * News Service Orchestrator
- * Coordinates multiple news API clients and manages article aggregation
+ * Coordinates news source adapters and manages article aggregation
  */
 
-import serpApiClient from './serpApiClient.js';
-import mediaStackClient from './mediaStackClient.js';
+import sourceRegistry from './sourceRegistry.js';
 import redisCache from '../cache/redisCache.js';
 import config from '../../config/index.js';
 
 class NewsService {
   constructor() {
-    this.clients = {
-      serpapi: serpApiClient,
-      mediastack: mediaStackClient,
-    };
+    this.registry = sourceRegistry;
     this.cacheTTL = config.news.cacheTTL || 300; // 5 minutes default
   }
 
@@ -25,7 +21,7 @@ class NewsService {
    * @param {string} options.country - Country code
    * @param {string} options.language - Language code
    * @param {number} options.limit - Max results per source
-   * @param {Array<string>} options.sources - Specific sources to use (default: all)
+   * @param {Array<string>} options.sources - Specific sources to use (default: enabled non-RSS sources)
    * @param {boolean} options.useCache - Whether to use cache (default: true)
    * @returns {Promise<Object>} Aggregated articles with metadata
    */
@@ -36,7 +32,7 @@ class NewsService {
       country = 'us',
       language = 'en',
       limit = 10,
-      sources = ['serpapi', 'mediastack'],
+      sources = this.getDefaultSources(),
       useCache = true,
     } = options;
 
@@ -81,36 +77,13 @@ class NewsService {
     // Fetch from each source in parallel
     const fetchPromises = sources.map(async source => {
       try {
-        const client = this.clients[source];
-        if (!client) {
-          throw new Error(`Unknown news source: ${source}`);
-        }
-
-        let fetchedArticles = [];
-
-        // Prepare options based on source
-        if (source === 'serpapi') {
-          fetchedArticles = await client.fetchNews({
-            query: query || category || 'latest news',
-            country,
-            language,
-            limit,
-          });
-        } else if (source === 'mediastack') {
-          const response = await client.fetchNews({
-            query,
-            categories: category,
-            countries: country,
-            languages: language,
-            limit,
-          });
-          fetchedArticles = response.articles;
-        }
+        const adapter = this.getAdapter(source);
+        const fetchedArticles = await adapter.fetch({ query, category, country, language, limit });
 
         results.metadata.sources[source] = {
           count: fetchedArticles.length,
           status: 'success',
-          quota: client.getRemainingQuota(),
+          quota: adapter.getQuota().remaining,
         };
 
         return fetchedArticles;
@@ -157,29 +130,44 @@ class NewsService {
 
   /**
    * Fetch news from a single source
-   * @param {string} source - Source name ('serpapi' or 'mediastack')
-   * @param {Object} options - Query options
+   * @param {string} source - Registered source name (e.g. 'serpapi', 'mediastack', 'fixture')
+   * @param {Object} options - Query options (query, category, country, language, limit)
    * @returns {Promise<Array>} Articles from specified source
    */
   async fetchFromSource(source, options = {}) {
-    const client = this.clients[source];
-    if (!client) {
-      throw new Error(`Unknown news source: ${source}`);
-    }
+    const adapter = this.getAdapter(source);
 
     try {
-      if (source === 'serpapi') {
-        return await client.fetchNews(options);
-      }
-      if (source === 'mediastack') {
-        const response = await client.fetchNews(options);
-        return response.articles;
-      }
+      return await adapter.fetch(options);
     } catch (error) {
       throw new Error(`Failed to fetch from ${source}: ${error.message}`);
     }
   }
 
+  /**
+   * Get an enabled source adapter
+   * @param {string} source - Source name
+   * @returns {SourceAdapter} Adapter
+   */
+  getAdapter(source) {
+    const adapter = this.registry.get(source);
+    if (!adapter) {
+      throw new Error(`Unknown news source: ${source}`);
+    }
+    if (!adapter.enabled) {
+      throw new Error(`News source is disabled: ${source}`);
+    }
+    return adapter;
+  }
+
+  /**
+   * Default sources for aggregation (RSS feeds are crawled separately)
+   * @returns {Array<string>} Source names
+   */
+  getDefaultSources() {
+    return this.registry.names({ type: ['api', 'fixture'], enabledOnly: true });
+  }
+
   /**
    * Deduplicate articles based on fingerprint
    * @param {Array} articles - Articles to deduplicate
@@ -203,13 +191,15 @@ class NewsService {
   async getSourcesHealth() {
     const health = {};
 
-    for (const [source, client] of Object.entries(this.clients)) {
+    for (const adapter of this.registry.list({ type: ['api', 'fixture'], enabledOnly: true })) {
+      const source = adapter.name;
       try {
-        const isHealthy = await client.healthCheck();
+        const isHealthy = await adapter.healthCheck();
+        const quota = adapter.getQuota();
         health[source] = {
           status: isHealthy ? 'healthy' : 'unhealthy',
-          quota: client.getRemainingQuota(),
-          maxRequests: client.maxRequests,
+          quota: quota.remaining,
+          maxRequests: quota.limit,
         };
       } catch (error) {
         health[source] = {
@@ -227,36 +217,24 @@ class NewsService {
    * @returns {Array} List of available sources with details
    */
   getAvailableSources() {
-    return Object.keys(this.clients).map(source => {
-      const client = this.clients[source];
+    return this.registry.list({ type: ['api', 'fixture'] }).map(adapter => {
+      const quota = adapter.getQuota();
       return {
-        id: source,
-        name: this.getSourceDisplayName(source),
-        quota: client.getRemainingQuota(),
-        maxRequests: client.maxRequests,
+        id: adapter.name,
+        name: adapter.displayName,
+        type: adapter.type,
+        enabled: adapter.enabled,
+        quota: quota.remaining,
+        maxRequests: quota.limit,
       };
     });
   }
 
-  /**
-   * Get display name for source
-   * @param {string} source - Source ID
-   * @returns {string} Display name
-   */
-  getSourceDisplayName(source) {
-    const names = {
-      serpapi: 'Google News (via SerpAPI)',
-      mediastack: 'MediaStack',
-      newsapi: 'NewsAPI.org',
-    };
-    return names[source] || source;
-  }
-
   /**
    * Reset quota for all sources (call at start of month)
    */
   resetAllQuotas() {
-    Object.values(this.clients).forEach(client => client.resetQuota());
+    this.registry.list().forEach(adapter => adapter.resetQuota());
   }
 
   /**
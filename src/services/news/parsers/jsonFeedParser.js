@@ -0,0 +1,102 @@
+/**
+ * JSON Feed Parser
+ *
+ * Parses JSON Feed 1.0/1.1 (https://jsonfeed.org/version/1.1) into the feed
+ * shape rss-parser produces, so items go through RSSService.normalizeArticle
+ * and get the same article format and fingerprint as RSS and Atom items.
+ *
+ * @module services/news/parsers/jsonFeedParser
+ */
+
+const VERSION_PREFIX = 'https://jsonfeed.org/version/';
+
+/**
+ * Whether a response looks like a JSON Feed
+ * @param {string} body - Response body
+ * @param {string} [contentType] - Content-Type header
+ * @returns {boolean} True for JSON Feed content
+ */
+export const isJsonFeed = (body, contentType = '') => {
+  if (/application\/feed\+json/i.test(contentType)) return true;
+
+  const start = String(body || '').trimStart();
+  return start.startsWith('{') && start.includes(VERSION_PREFIX);
+};
+
+/**
+ * Author names of an item (1.1 authors array, or the 1.0 author object)
+ * @param {Object} item - JSON Feed item
+ * @param {Object} feed - JSON Feed document (feed-level authors apply to all items)
+ * @returns {string|undefined} Comma separated names
+ */
+const getAuthor = (item, feed) => {
+  const authors = item.authors || (item.author ? [item.author] : null) || feed.authors || [];
+  const names = authors.map(author => author && author.name).filter(Boolean);
+
+  if (names.length > 0) return names.join(', ');
+  return feed.author?.name;
+};
+
+/**
+ * Image for an item as an rss-parser style enclosure
+ * @param {Object} item - JSON Feed item
+ * @returns {Object|undefined} { url, type, length }
+ */
+const getEnclosure = item => {
+  const image = item.image || item.banner_image;
+  if (image) return { url: image };
+
+  const attachment = (item.attachments || []).find(
+    entry => entry && entry.url && /^image\//i.test(entry.mime_type || '')
+  );
+
+  return attachment
+    ? { url: attachment.url, type: attachment.mime_type, length: attachment.size_in_bytes }
+    : undefined;
+};
+
+/**
+ * Parse a JSON Feed document
+ * @param {string|Object} body - JSON text or parsed document
+ * @returns {Object} { title, description, link, language, items } with rss-parser style items
+ * @throws {Error} If the body is not a JSON Feed
+ */
+export const parseJsonFeed = body => {
+  const feed = typeof body === 'string' ? JSON.parse(body) : body;
+
+  if (!feed || typeof feed !== 'object' || !Array.isArray(feed.items)) {
+    throw new Error('Not a JSON Feed: missing items array');
+  }
+
+  if (feed.version && !String(feed.version).startsWith(VERSION_PREFIX)) {
+    throw new Error(`Unsupported JSON Feed version: ${feed.version}`);
+  }
+
+  const items = feed.items
+    .filter(item => item && (item.url || item.external_url || item.id))
+    .map(item => {
+      const link = item.url || item.external_url || '';
+
+      return {
+        title: item.title || item.summary || '',
+        link,
+        guid: item.id !== undefined ? String(item.id) : link,
+        pubDate: item.date_published,
+        isoDate: item.date_published,
+        updated: item.date_modified,
+        content: item.content_html || item.content_text || '',
+        contentSnippet: item.summary || item.content_text || '',
+        creator: getAuthor(item, feed),
+        categories: Array.isArray(item.tags) ? item.tags : [],
+        enclosure: getEnclosure(item),
+      };
+    });
+
+  return {
+    title: feed.title,
+    description: feed.description,
+    link: feed.home_page_url,
+    language: feed.language,
+    items,
+  };
+};
@@ -0,0 +1,103 @@
+/**
+ * News Sitemap Parser
+ *
+ * Parses Google News sitemaps (<url> entries with a news:news block) into the
+ * feed shape rss-parser produces, so entries go through
+ * RSSService.normalizeArticle and get the same article format and fingerprint
+ * as RSS and Atom items. Entries without news:news are skipped: a plain
+ * sitemap lists pages, not articles.
+ *
+ * @module services/news/parsers/newsSitemapParser
+ */
+
+import xml2js from 'xml2js';
+
+const parser = new xml2js.Parser({
+  explicitArray: false,
+  trim: true,
+  // Publishers do not all use the news:/image: prefixes
+  tagNameProcessors: [xml2js.processors.stripPrefix],
+});
+
+/**
+ * Ensure a value parsed with explicitArray: false is an array
+ * @param {*} value - Parsed value
+ * @returns {Array} Values
+ */
+const toArray = value => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Text content of a parsed element (elements with attributes parse to { _ })
+ * @param {*} value - Parsed element
+ * @returns {string|undefined} Text
+ */
+const text = value => {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === 'object') return value._;
+  return String(value);
+};
+
+/**
+ * Whether a response looks like a sitemap
+ * @param {string} body - Response body
+ * @returns {boolean} True for <urlset> or <sitemapindex> documents
+ */
+export const isSitemap = body => /<(?:\w+:)?(?:urlset|sitemapindex)[\s>]/.test(String(body || ''));
+
+/**
+ * Parse a news sitemap
+ * @param {string} xml - Sitemap XML
+ * @returns {Promise<Object>} { title, language, items } with rss-parser style items;
+ *   title is the publication name of the first entry
+ * @throws {Error} If the document is not a urlset (sitemap indexes are rejected
+ *   so each child news sitemap is added as its own feed)
+ */
+export const parseNewsSitemap = async xml => {
+  const document = await parser.parseStringPromise(xml);
+
+  if (document?.sitemapindex) {
+    throw new Error('Sitemap index: add its news sitemaps as separate feeds');
+  }
+
+  if (!document?.urlset) {
+    throw new Error('Not a sitemap: missing urlset');
+  }
+
+  const items = toArray(document.urlset.url)
+    .filter(entry => entry && entry.loc && entry.news)
+    .map(entry => {
+      const news = toArray(entry.news)[0];
+      const link = text(entry.loc);
+      const image = toArray(entry.image)[0];
+      const keywords = text(news.keywords);
+
+      return {
+        title: text(news.title) || '',
+        link,
+        guid: link,
+        pubDate: text(news.publication_date),
+        isoDate: text(news.publication_date),
+        updated: text(entry.lastmod),
+        content: '',
+        contentSnippet: '',
+        creator: text(news.publication?.name),
+        categories: keywords
+          ? keywords
+              .split(',')
+              .map(keyword => keyword.trim())
+              .filter(Boolean)
+          : [],
+        enclosure: image && image.loc ? { url: text(image.loc) } : undefined,
+        language: text(news.publication?.language),
+      };
+    });
+
+  return {
+    title: items.find(item => item.creator)?.creator,
+    language: items.find(item => item.language)?.language,
+    items,
+  };
+};
@@ -0,0 +1,252 @@
+/**
+ * Robots.txt Service
+ *
+ * Fetches, caches and evaluates robots.txt for the origins we fetch article
+ * pages from. Rules come from the group naming our user agent token, falling
+ * back to the * group; the longest matching Allow/Disallow path wins (Allow
+ * on ties), with * and $ wildcards. A missing robots.txt (4xx) allows
+ * everything; an unreachable one (5xx, network error) disallows the origin
+ * until the cache entry expires.
+ *
+ * @module services/news/robotsService
+ */
+
+import axios from 'axios';
+import config from '../../config/index.js';
+
+/**
+ * Compile a robots.txt path pattern
+ * @param {string} pattern - Path pattern with * and $ wildcards
+ * @returns {RegExp} Anchored pattern
+ */
+const compilePattern = pattern => {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+class RobotsService {
+  /**
+   * @param {Object} [options] - Service options (defaults from config.extraction)
+   * @param {string} [options.userAgent] - User-Agent header for robots.txt requests
+   * @param {string} [options.agentToken] - Token matched against User-agent lines
+   * @param {number} [options.cacheTTL] - Seconds to cache a robots.txt
+   * @param {number} [options.errorTTL] - Seconds to cache an unreachable robots.txt
+   * @param {number} [options.timeout] - Request timeout in ms
+   * @param {number} [options.maxEntries] - Cached origins before the oldest is dropped
+   */
+  constructor(options = {}) {
+    this.config = {
+      userAgent: config.extraction.userAgent,
+      agentToken: config.extraction.robotsAgentToken,
+      cacheTTL: config.extraction.robotsCacheTTL,
+      errorTTL: 300,
+      timeout: 5000,
+      maxEntries: 1000,
+      ...options,
+    };
+
+    // origin -> { rules, crawlDelay, expiresAt }
+    this.cache = new Map();
+    this.pending = new Map();
+
+    this.stats = {
+      fetched: 0,
+      cacheHits: 0,
+      errors: 0,
+      disallowed: 0,
+    };
+
+    this.logger = console;
+  }
+
+  /**
+   * Parse robots.txt into the rules that apply to us
+   * @param {string} text - robots.txt content
+   * @returns {Object} { rules: [{ allow, path, pattern }], crawlDelay }
+   */
+  parse(text) {
+    const token = this.config.agentToken.toLowerCase();
+    const groups = [];
+    let group = null;
+    let lastWasAgent = false;
+
+    String(text || '')
+      .split(/\r?\n/)
+      .forEach(rawLine => {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+
+        const field = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (field === 'user-agent') {
+          // Consecutive User-agent lines share one group
+          if (!lastWasAgent) {
+            group = { agents: [], rules: [], crawlDelay: null };
+            groups.push(group);
+          }
+          group.agents.push(value.toLowerCase());
+          lastWasAgent = true;
+          return;
+        }
+
+        lastWasAgent = false;
+        if (!group) return;
+
+        if ((field === 'allow' || field === 'disallow') && value) {
+          group.rules.push({
+            allow: field === 'allow',
+            path: value,
+            pattern: compilePattern(value),
+          });
+        } else if (field === 'crawl-delay') {
+          const delay = parseFloat(value);
+          if (Number.isFinite(delay) && delay >= 0) group.crawlDelay = delay;
+        }
+      });
+
+    const matching = groups.filter(entry => entry.agents.includes(token));
+    const selected =
+      matching.length > 0 ? matching : groups.filter(entry => entry.agents.includes('*'));
+
+    return {
+      rules: selected.flatMap(entry => entry.rules),
+      crawlDelay: selected.map(entry => entry.crawlDelay).find(delay => delay !== null) ?? null,
+    };
+  }
+
+  /**
+   * Rules for an origin, fetching robots.txt when not cached
+   * @param {string} origin - URL origin (scheme://host[:port])
+   * @returns {Promise<Object>} { rules, crawlDelay, disallowAll }
+   */
+  async getRules(origin) {
+    const cached = this.cache.get(origin);
+    if (cached && cached.expiresAt > Date.now()) {
+      this.stats.cacheHits++;
+      return cached;
+    }
+
+    if (!this.pending.has(origin)) {
+      this.pending.set(
+        origin,
+        this.fetchRules(origin).finally(() => this.pending.delete(origin))
+      );
+    }
+
+    return this.pending.get(origin);
+  }
+
+  /**
+   * Fetch and cache robots.txt for an origin
+   * @param {string} origin - URL origin
+   * @returns {Promise<Object>} { rules, crawlDelay, disallowAll }
+   */
+  async fetchRules(origin) {
+    let entry;
+
+    try {
+      const response = await axios.get(`${origin}/robots.txt`, {
+        timeout: this.config.timeout,
+        headers: { 'User-Agent': this.config.userAgent },
+        responseType: 'text',
+        transformResponse: data => data,
+        maxContentLength: 512 * 1024,
+        validateStatus: () => true,
+      });
+      this.stats.fetched++;
+
+      if (response.status >= 200 && response.status < 300) {
+        entry = { ...this.parse(response.data), disallowAll: false, ttl: this.config.cacheTTL };
+      } else if (response.status >= 400 && response.status < 500) {
+        entry = { rules: [], crawlDelay: null, disallowAll: false, ttl: this.config.cacheTTL };
+      } else {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    } catch (error) {
+      this.stats.errors++;
+      this.logger.warn(`[Robots] robots.txt unavailable for ${origin}: ${error.message}`);
+      entry = { rules: [], crawlDelay: null, disallowAll: true, ttl: this.config.errorTTL };
+    }
+
+    const { ttl, ...rules } = entry;
+    const cached = { ...rules, expiresAt: Date.now() + ttl * 1000 };
+
+    if (this.cache.size >= this.config.maxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(origin, cached);
+
+    return cached;
+  }
+
+  /**
+   * Whether rules allow a path
+   * @param {Object} robots - getRules result
+   * @param {string} path - Path with query string
+   * @returns {boolean} True if allowed
+   */
+  isPathAllowed(robots, path) {
+    if (robots.disallowAll) return false;
+
+    let best = null;
+    robots.rules.forEach(rule => {
+      if (!rule.pattern.test(path)) return;
+
+      if (
+        !best ||
+        rule.path.length > best.path.length ||
+        (rule.path.length === best.path.length && rule.allow)
+      ) {
+        best = rule;
+      }
+    });
+
+    return !best || best.allow;
+  }
+
+  /**
+   * Check whether we may fetch a URL
+   * @param {string} url - Page URL
+   * @returns {Promise<Object>} { allowed, crawlDelay } (crawlDelay in seconds or null)
+   */
+  async check(url) {
+    const target = new URL(url);
+
+    // robots.txt itself is always fetchable
+    if (target.pathname === '/robots.txt') {
+      return { allowed: true, crawlDelay: null };
+    }
+
+    const robots = await this.getRules(target.origin);
+    const allowed = this.isPathAllowed(robots, `${target.pathname}${target.search}`);
+
+    if (!allowed) {
+      this.stats.disallowed++;
+    }
+
+    return { allowed, crawlDelay: robots.crawlDelay };
+  }
+
+  /**
+   * Get service statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      cachedOrigins: this.cache.size,
+    };
+  }
+}
+
+// Export singleton instance
+const robotsService = new RobotsService();
+export default robotsService;
+export { RobotsService };
@@ -1,106 +1,152 @@
 /**
  * RSS Feed Service
  * Handles RSS feed parsing and monitoring for news aggregation
+ * Feeds are managed in the sources table (see feedService)
  */
 
+import axios from 'axios';
 import Parser from 'rss-parser';
 import crypto from 'crypto';
+import { isJsonFeed, parseJsonFeed } from './parsers/jsonFeedParser.js';
+import { isSitemap, parseNewsSitemap } from './parsers/newsSitemapParser.js';
+
+// Feed formats a source can be set to; auto detects from the response
+export const FEED_FORMATS = ['auto', 'rss', 'atom', 'jsonfeed', 'sitemap'];
 
 class RSSService {
   constructor() {
-    this.parser = new Parser({
+    this.parser = new Parser();
+    this.requestConfig = {
       timeout: 10000, // 10 second timeout
       headers: {
         'User-Agent': 'DigitalTide/1.0 (News Aggregator)',
+        Accept:
+          'application/rss+xml, application/atom+xml, application/feed+json, ' +
+          'application/xml;q=0.9, application/json;q=0.9, */*;q=0.8',
       },
+    };
+  }
+
+  /**
+   * Download a feed, conditionally when validators from the previous poll are given
+   * @param {string} feedUrl - Feed URL
+   * @param {Object} [validators] - Values from the previous poll
+   * @param {string} [validators.etag] - Sent as If-None-Match
+   * @param {string} [validators.lastModified] - Sent as If-Modified-Since
+   * @param {string} [validators.contentHash] - Body hash; an identical body counts as unchanged
+   * @returns {Promise<Object>} { notModified, body, contentType, etag, lastModified, contentHash }
+   */
+  async fetchFeed(feedUrl, { etag, lastModified, contentHash } = {}) {
+    const headers = { ...this.requestConfig.headers };
+    if (etag) headers['If-None-Match'] = etag;
+    if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+    const response = await axios.get(feedUrl, {
+      ...this.requestConfig,
+      headers,
+      responseType: 'text',
+      transformResponse: data => data, // Keep the raw XML
+      validateStatus: status => (status >= 200 && status < 300) || status === 304,
     });
 
-    // Common news RSS feeds
-    this.defaultFeeds = [
-      {
-        name: 'BBC News',
-        url: 'http://feeds.bbci.co.uk/news/rss.xml',
-        category: 'general',
-        credibility: 0.95,
-      },
-      {
-        name: 'Reuters Top News',
-        url: 'https://www.reutersagency.com/feed/?taxonomy=best-topics&post_type=best',
-        category: 'general',
-        credibility: 0.98,
-      },
-      {
-        name: 'TechCrunch',
-        url: 'https://techcrunch.com/feed/',
-        category: 'technology',
-        credibility: 0.85,
-      },
-      {
-        name: 'Ars Technica',
-        url: 'http://feeds.arstechnica.com/arstechnica/index',
-        category: 'technology',
-        credibility: 0.9,
-      },
-      {
-        name: 'The Verge',
-        url: 'https://www.theverge.com/rss/index.xml',
-        category: 'technology',
-        credibility: 0.85,
-      },
-      {
-        name: 'Hacker News',
-        url: 'https://news.ycombinator.com/rss',
-        category: 'technology',
-        credibility: 0.8,
-      },
-      {
-        name: 'CNBC Top News',
-        url: 'https://www.cnbc.com/id/100003114/device/rss/rss.html',
-        category: 'business',
-        credibility: 0.9,
-      },
-      {
-        name: 'Financial Times',
-        url: 'https://www.ft.com/?format=rss',
-        category: 'business',
-        credibility: 0.95,
-      },
-      {
-        name: 'NPR News',
-        url: 'https://feeds.npr.org/1001/rss.xml',
-        category: 'general',
-        credibility: 0.92,
-      },
-      {
-        name: 'The Guardian World News',
-        url: 'https://www.theguardian.com/world/rss',
-        category: 'general',
-        credibility: 0.9,
-      },
-      {
-        name: 'Science Daily',
-        url: 'https://www.sciencedaily.com/rss/all.xml',
-        category: 'science',
-        credibility: 0.93,
-      },
-      {
-        name: 'Wired',
-        url: 'https://www.wired.com/feed/rss',
-        category: 'technology',
-        credibility: 0.87,
-      },
-    ];
+    // A 304 may omit the validators; keep the ones we sent
+    const validators = {
+      etag: response.headers.etag || etag || null,
+      lastModified: response.headers['last-modified'] || lastModified || null,
+    };
+
+    if (response.status === 304) {
+      return {
+        notModified: true,
+        body: null,
+        contentType: null,
+        ...validators,
+        contentHash: contentHash || null,
+      };
+    }
+
+    // Servers without validators: compare the body itself
+    const body = String(response.data || '');
+    const hash = crypto.createHash('sha256').update(body).digest('hex');
+
+    return {
+      notModified: hash === contentHash,
+      body,
+      contentType: response.headers['content-type'] || '',
+      ...validators,
+      contentHash: hash,
+    };
   }
 
   /**
-   * Parse a single RSS feed
-   * @param {string} feedUrl - RSS feed URL
-   * @param {Object} feedMetadata - Additional feed metadata
-   * @returns {Promise<Object>} Parsed feed with articles
+   * Detect the format of a feed response
+   * @param {string} body - Response body
+   * @param {string} [contentType] - Content-Type header
+   * @returns {string} jsonfeed, sitemap or rss (rss-parser also reads Atom and RDF)
    */
-  async parseFeed(feedUrl, feedMetadata = {}) {
+  detectFormat(body, contentType = '') {
+    if (isJsonFeed(body, contentType)) return 'jsonfeed';
+    if (isSitemap(body)) return 'sitemap';
+    return 'rss';
+  }
+
+  /**
+   * Parse a feed document into rss-parser's feed shape
+   * @param {string} body - Response body
+   * @param {string} [format] - One of FEED_FORMATS (default: auto)
+   * @param {string} [contentType] - Content-Type header, used by auto detection
+   * @returns {Promise<Object>} { title, description, link, language, items }
+   */
+  async parseDocument(body, format = 'auto', contentType = '') {
+    const resolved = format === 'auto' ? this.detectFormat(body, contentType) : format;
+
+    switch (resolved) {
+      case 'jsonfeed':
+        return parseJsonFeed(body);
+      case 'sitemap':
+        return parseNewsSitemap(body);
+      default:
+        return this.parser.parseString(body);
+    }
+  }
+
+  /**
+   * Parse a single feed (RSS, Atom, JSON Feed or news sitemap)
+   * @param {string} feedUrl - Feed URL
+   * @param {Object} feedMetadata - Additional feed metadata (format selects the
+   *   parser, see FEED_FORMATS; default: auto)
+   * @param {Object} [validators] - etag, lastModified and contentHash from the previous poll
+   * @returns {Promise<Object>} Parsed feed with articles; notModified is true (and articles
+   *   empty) when the feed has not changed since the previous poll
+   */
+  async parseFeed(feedUrl, feedMetadata = {}, validators = {}) {
     try {
-      const feed = await this.parser.parseURL(feedUrl);
+      const response = await this.fetchFeed(feedUrl, validators);
+      const cache = {
+        etag: response.etag,
+        lastModified: response.lastModified,
+        contentHash: response.contentHash,
+      };
+
+      if (response.notModified) {
+        return {
+          success: true,
+          notModified: true,
+          feedId: feedMetadata.feedId,
+          source: feedMetadata.name,
+          feedUrl,
+          totalArticles: 0,
+          articles: [],
+          itemDates: [],
+          cache,
+        };
+      }
+
+      const feed = await this.parseDocument(
+        response.body,
+        feedMetadata.format,
+        response.contentType
+      );
 
       const articles = feed.items.map(item =>
         this.normalizeArticle(item, {
@@ -112,10 +158,15 @@ class RSSService {
 
       return {
         success: true,
+        notModified: false,
+        feedId: feedMetadata.feedId,
         source: feed.title || feedMetadata.name,
         feedUrl,
         totalArticles: articles.length,
         articles,
+        // Publication dates the feed actually provides (articles default missing ones to now)
+        itemDates: feed.items.map(item => item.isoDate || item.pubDate).filter(Boolean),
+        cache,
         feedMetadata: {
           title: feed.title,
           description: feed.description,
@@ -127,6 +178,7 @@ class RSSService {
     } catch (error) {
       return {
         success: false,
+        feedId: feedMetadata.feedId,
         source: feedMetadata.name || 'Unknown',
         feedUrl,
         error: error.message,
@@ -138,22 +190,35 @@ class RSSService {
   /**
    * Parse multiple RSS feeds in parallel
    * @param {Array<Object>} feeds - Array of feed objects with url and metadata
+   *   (id is the sources row, used to record the poll; etag, lastModified and
+   *   contentHash make the request conditional)
    * @returns {Promise<Object>} Aggregated results from all feeds
    */
-  async parseMultipleFeeds(feeds = this.defaultFeeds) {
+  async parseMultipleFeeds(feeds = []) {
     const startTime = Date.now();
 
     const feedPromises = feeds.map(feed =>
-      this.parseFeed(feed.url, {
-        name: feed.name,
-        category: feed.category,
-        credibility: feed.credibility,
-      })
+      this.parseFeed(
+        feed.url,
+        {
+          feedId: feed.id,
+          name: feed.name,
+          category: feed.category,
+          credibility: feed.credibility,
+          format: feed.format,
+        },
+        {
+          etag: feed.etag,
+          lastModified: feed.lastModified,
+          contentHash: feed.contentHash,
+        }
+      )
     );
 
     const results = await Promise.all(feedPromises);
 
     const successfulFeeds = results.filter(r => r.success);
+    const unchangedFeeds = results.filter(r => r.notModified);
     const failedFeeds = results.filter(r => !r.success);
     const allArticles = successfulFeeds.flatMap(r => r.articles);
 
@@ -165,6 +230,7 @@ class RSSService {
       totalFeeds: feeds.length,
       successfulFeeds: successfulFeeds.length,
       failedFeeds: failedFeeds.length,
+      unchangedFeeds: unchangedFeeds.length,
       totalArticles: allArticles.length,
       uniqueArticles: uniqueArticles.length,
       duplicatesRemoved: allArticles.length - uniqueArticles.length,
@@ -180,8 +246,9 @@ class RSSService {
   }
 
   /**
-   * Normalize RSS article to common format
-   * @param {Object} item - RSS feed item
+   * Normalize a feed item to the common article format
+   * JSON Feed and news sitemap items are mapped to rss-parser's item shape first.
+   * @param {Object} item - Feed item
    * @param {Object} metadata - Feed metadata
    * @returns {Object} Normalized article
    */
@@ -192,7 +259,7 @@ class RSSService {
       description: this.cleanText(item.contentSnippet || item.description || item.content || ''),
       content: this.cleanText(item.content || item.description || ''),
       link: item.link || '',
-      guid: item.guid || item.link || '',
+      guid: item.guid || item.id || item.link || '',
 
       // Dates
       publishedAt: item.pubDate || item.isoDate || new Date().toISOString(),
@@ -326,34 +393,6 @@ class RSSService {
     return articles.filter(article => article.source.credibility >= minCredibility);
   }
 
-  /**
-   * Get default RSS feeds
-   * @returns {Array} Default feeds configuration
-   */
-  getDefaultFeeds() {
-    return this.defaultFeeds;
-  }
-
-  /**
-   * Add a custom RSS feed
-   * @param {Object} feed - Feed configuration
-   * @returns {boolean} Success status
-   */
-  addCustomFeed(feed) {
-    if (!feed.url || !feed.name) {
-      throw new Error('Feed must have url and name');
-    }
-
-    this.defaultFeeds.push({
-      name: feed.name,
-      url: feed.url,
-      category: feed.category || 'general',
-      credibility: feed.credibility || 0.75,
-    });
-
-    return true;
-  }
-
   /**
    * Health check - test parsing a simple feed
    * @returns {Promise<boolean>} Health status
@@ -0,0 +1,163 @@
+/**
+ * News Source Registry
+ * Central registry of news source adapters shared by newsService,
+ * newsAggregator and CrawlerAgent
+ *
+ * Built-in adapters are registered according to config.news.sourceMode:
+ * - live:    SerpAPI and MediaStack (when keys are set) and RSS
+ * - fixture: local fixtures only, no network access
+ * - mixed:   live sources plus local fixtures
+ */
+
+import SourceAdapter from './adapters/SourceAdapter.js';
+import SerpApiAdapter from './adapters/SerpApiAdapter.js';
+import MediaStackAdapter from './adapters/MediaStackAdapter.js';
+import RssAdapter from './adapters/RssAdapter.js';
+import FixtureAdapter from './adapters/FixtureAdapter.js';
+import config from '../../config/index.js';
+
+const SOURCE_MODES = ['live', 'fixture', 'mixed'];
+
+class SourceRegistry {
+  constructor() {
+    this.adapters = new Map();
+    this.logger = console;
+
+    this.mode = SOURCE_MODES.includes(config.news.sourceMode) ? config.news.sourceMode : 'live';
+    if (this.mode !== config.news.sourceMode) {
+      this.logger.warn(
+        `[SourceRegistry] Unknown NEWS_SOURCE_MODE "${config.news.sourceMode}", using "live"`
+      );
+    }
+
+    this.registerDefaults();
+  }
+
+  /**
+   * Register the built-in adapters for the configured source mode
+   */
+  registerDefaults() {
+    const live = this.mode !== 'fixture';
+
+    this.register(new SerpApiAdapter({ enabled: live && !!config.news.serpApiKey }));
+    this.register(new MediaStackAdapter({ enabled: live && !!config.news.mediaStackApiKey }));
+    this.register(new RssAdapter({ enabled: live }));
+    this.register(
+      new FixtureAdapter({
+        enabled: this.mode !== 'live',
+        fixturesPath: config.news.fixturesPath,
+      })
+    );
+  }
+
+  /**
+   * Register an adapter (replaces any adapter with the same name)
+   * @param {SourceAdapter} adapter - Adapter instance
+   * @returns {SourceAdapter} Registered adapter
+   */
+  register(adapter) {
+    if (!(adapter instanceof SourceAdapter)) {
+      throw new Error('News sources must extend SourceAdapter');
+    }
+
+    this.adapters.set(adapter.name, adapter);
+    return adapter;
+  }
+
+  /**
+   * Remove an adapter
+   * @param {string} name - Source name
+   * @returns {boolean} True if an adapter was removed
+   */
+  unregister(name) {
+    return this.adapters.delete(name);
+  }
+
+  /**
+   * Get an adapter by name
+   * @param {string} name - Source name
+   * @returns {SourceAdapter|undefined} Adapter
+   */
+  get(name) {
+    return this.adapters.get(name);
+  }
+
+  /**
+   * Check whether an adapter is registered
+   * @param {string} name - Source name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this.adapters.has(name);
+  }
+
+  /**
+   * Check whether an adapter is registered and enabled
+   * @param {string} name - Source name
+   * @returns {boolean} True if enabled
+   */
+  isEnabled(name) {
+    return !!this.adapters.get(name)?.enabled;
+  }
+
+  /**
+   * List adapters
+   * @param {Object} [filter] - Filter options
+   * @param {string|Array<string>} [filter.type] - Only adapters of this type
+   * @param {boolean} [filter.enabledOnly] - Only enabled adapters (default: false)
+   * @returns {Array<SourceAdapter>} Adapters
+   */
+  list({ type = null, enabledOnly = false } = {}) {
+    const types = type ? [].concat(type) : null;
+
+    return Array.from(this.adapters.values()).filter(adapter => {
+      if (enabledOnly && !adapter.enabled) return false;
+      if (types && !types.includes(adapter.type)) return false;
+      return true;
+    });
+  }
+
+  /**
+   * List adapter names
+   * @param {Object} [filter] - Filter options (see list)
+   * @returns {Array<string>} Source names
+   */
+  names(filter = {}) {
+    return this.list(filter).map(adapter => adapter.name);
+  }
+
+  /**
+   * Run health checks on adapters
+   * @param {Object} [filter] - Filter options (see list, default: enabled only)
+   * @returns {Promise<Object>} Health status keyed by source name
+   */
+  async checkHealth(filter = { enabledOnly: true }) {
+    const health = {};
+
+    await Promise.all(
+      this.list(filter).map(async adapter => {
+        try {
+          const isHealthy = await adapter.healthCheck();
+          health[adapter.name] = {
+            status: isHealthy ? 'healthy' : 'unhealthy',
+            type: adapter.type,
+            quota: adapter.getQuota(),
+          };
+        } catch (error) {
+          health[adapter.name] = {
+            status: 'error',
+            type: adapter.type,
+            error: error.message,
+          };
+        }
+      })
+    );
+
+    return health;
+  }
+}
+
+// Export singleton instance
+const sourceRegistry = new SourceRegistry();
+export default sourceRegistry;
+export { SourceRegistry, SOURCE_MODES };
@@ -2,14 +2,39 @@
  * Task Queue Service
  * Redis-backed task queue using Bull.js for robust agent task management
  * Provides priority queues, automatic retry, and comprehensive monitoring
+ * Jobs that exhaust their attempts are moved to a dead-letter queue, where they
+ * can be inspected, replayed or discarded.
  */
 
 import Queue from 'bull';
 import EventEmitter from 'events';
 import config from '../../config/index.js';
 import AgentMessage from '../../agents/protocol/AgentMessage.js';
+import eventStream from '../events/eventStream.js';
 
 class TaskQueueService extends EventEmitter {
+  // Failure categories, matched against a job's failure reason in order
+  static ERROR_CLASS = {
+    STALLED: 'stalled',
+    TIMEOUT: 'timeout',
+    NETWORK: 'network',
+    RATE_LIMIT: 'rate_limit',
+    AUTH: 'auth',
+    VALIDATION: 'validation',
+    NOT_FOUND: 'not_found',
+    UNKNOWN: 'unknown',
+  };
+
+  static ERROR_PATTERNS = [
+    ['stalled', /stalled/i],
+    ['timeout', /timed? ?out|timeout|ETIMEDOUT/i],
+    ['network', /ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN|EPIPE|socket hang up|network/i],
+    ['rate_limit', /\b429\b|rate.?limit|quota|too many requests/i],
+    ['auth', /\b40[13]\b|unauthori[sz]ed|forbidden|api key|authenticat/i],
+    ['validation', /invalid|required|must (be|have)|validation|malformed/i],
+    ['not_found', /not found|unknown (agent|task)|\b404\b/i],
+  ];
+
   constructor() {
     super();
 
@@ -72,6 +97,18 @@ class TaskQueueService extends EventEmitter {
       }),
     };
 
+    // Poison messages: jobs that exhausted their attempts. Never processed, only
+    // inspected, replayed into their original queue or discarded.
+    this.deadLetterQueue = new Queue('agent-tasks-dead-letter', {
+      redis: this.redisConfig,
+      defaultJobOptions: {
+        removeOnComplete: false,
+        removeOnFail: false,
+      },
+    });
+    this.deadLetterEnabled = config.queue.deadLetterEnabled;
+    this.inspectLimit = config.queue.inspectLimit;
+
     this.initialized = false;
     this.logger = console;
     this.stats = {
@@ -79,6 +116,7 @@ class TaskQueueService extends EventEmitter {
       totalCompleted: 0,
       totalFailed: 0,
       totalStalled: 0,
+      totalDeadLettered: 0,
       queueSizes: {},
     };
 
@@ -97,7 +135,9 @@ class TaskQueueService extends EventEmitter {
 
     try {
       // Test Redis connection
-      await Promise.all(Object.values(this.queues).map(queue => queue.isReady()));
+      await Promise.all(
+        [...Object.values(this.queues), this.deadLetterQueue].map(queue => queue.isReady())
+      );
 
       // Set up event listeners after Redis connection is verified
       this.setupEventListeners();
@@ -128,6 +168,15 @@ class TaskQueueService extends EventEmitter {
         this.stats.totalFailed++;
         this.logger.error(`[TaskQueue:${priority}] Job ${job.id} failed:`, error.message);
         this.emit('jobFailed', { priority, job, error });
+
+        if (this.deadLetterEnabled && this.isExhausted(job)) {
+          this.moveToDeadLetter(priority, job).catch(err => {
+            this.logger.error(
+              `[TaskQueue:${priority}] Failed to dead-letter job ${job.id}:`,
+              err.message
+            );
+          });
+        }
       });
 
       // Job stalled (worker took too long or crashed)
@@ -306,6 +355,7 @@ class TaskQueueService extends EventEmitter {
     return {
       ...this.stats,
       queueSizes: queueStats,
+      deadLetter: await this.deadLetterQueue.getJobCounts(),
     };
   }
 
@@ -485,6 +535,452 @@ class TaskQueueService extends EventEmitter {
     return waitingJobs;
   }
 
+  /**
+   * Categorize a failure reason
+   * @param {string} reason - Job failure reason
+   * @returns {string} Error class (from TaskQueueService.ERROR_CLASS)
+   */
+  classifyError(reason) {
+    if (!reason) {
+      return TaskQueueService.ERROR_CLASS.UNKNOWN;
+    }
+
+    const match = TaskQueueService.ERROR_PATTERNS.find(([, pattern]) => pattern.test(reason));
+    return match ? match[0] : TaskQueueService.ERROR_CLASS.UNKNOWN;
+  }
+
+  /**
+   * Check whether a job has used all of its attempts
+   * @param {Object} job - Bull job
+   * @returns {boolean} True if no attempts remain
+   */
+  isExhausted(job) {
+    return job.attemptsMade >= (job.opts.attempts || 1);
+  }
+
+  /**
+   * Summarize a failed job for listing
+   * @param {string} priority - Queue priority
+   * @param {Object} job - Bull job
+   * @returns {Object} Job summary
+   */
+  summarizeFailedJob(priority, job) {
+    return {
+      id: job.id,
+      priority,
+      agent: job.data?.receiver || null,
+      sender: job.data?.sender || null,
+      type: job.data?.type || null,
+      errorClass: this.classifyError(job.failedReason),
+      failedReason: job.failedReason,
+      attemptsMade: job.attemptsMade,
+      maxAttempts: job.opts.attempts || 1,
+      enqueuedAt: job.timestamp,
+      failedAt: job.finishedOn,
+    };
+  }
+
+  /**
+   * Summarize a dead-letter job for listing
+   * @param {Object} job - Dead-letter Bull job
+   * @returns {Object} Job summary
+   */
+  summarizeDeadLetterJob(job) {
+    const { priority, originalJobId, payload, errorClass, failedReason, attemptsMade } = job.data;
+
+    return {
+      id: job.id,
+      originalJobId,
+      priority,
+      agent: payload?.receiver || null,
+      sender: payload?.sender || null,
+      type: payload?.type || null,
+      errorClass,
+      failedReason,
+      attemptsMade,
+      enqueuedAt: job.data.enqueuedAt,
+      failedAt: job.data.failedAt,
+      deadLetteredAt: job.timestamp,
+    };
+  }
+
+  /**
+   * Check a job summary against list/selection filters
+   * @param {Object} summary - Job summary
+   * @param {Object} filters - { priority, agent, errorClass }
+   * @returns {boolean} True if the summary matches every given filter
+   */
+  matchesFilters(summary, { priority, agent, errorClass } = {}) {
+    return (
+      (!priority || summary.priority === priority) &&
+      (!agent || summary.agent === agent) &&
+      (!errorClass || summary.errorClass === errorClass)
+    );
+  }
+
+  /**
+   * Fetch a queue's jobs in pages of inspectLimit
+   * @param {Function} fetchPage - async (start, end) => jobs in that index range
+   * @param {boolean} all - Page through every job instead of stopping after the first page
+   * @returns {Promise<Array>} Jobs, each at most once
+   */
+  async fetchJobs(fetchPage, all) {
+    const jobs = new Map();
+    let start = 0;
+    let page;
+
+    do {
+      page = await fetchPage(start, start + this.inspectLimit - 1);
+      page.filter(Boolean).forEach(job => jobs.set(job.id, job));
+      start += this.inspectLimit;
+    } while (all && page.length === this.inspectLimit);
+
+    return Array.from(jobs.values());
+  }
+
+  /**
+   * Failed jobs of the priority queues, with summaries
+   * Only the first inspectLimit jobs per queue are read unless all is set.
+   * @param {string} [priority] - Only this queue
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.all] - Read every failed job (bulk actions)
+   * @returns {Promise<Array>} [{ priority, job, summary }]
+   */
+  async collectFailedJobs(priority, { all = false } = {}) {
+    const entries = [];
+
+    for (const [name, queue] of this.failedQueues(priority)) {
+      const jobs = await this.fetchJobs((start, end) => queue.getFailed(start, end), all);
+      entries.push(
+        ...jobs.map(job => ({
+          priority: name,
+          job,
+          summary: this.summarizeFailedJob(name, job),
+        }))
+      );
+    }
+
+    return entries;
+  }
+
+  /**
+   * Jobs in the dead-letter queue, with summaries
+   * Only the first inspectLimit jobs are read unless all is set.
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.all] - Read every dead-letter job (bulk actions)
+   * @returns {Promise<Array>} [{ job, summary }]
+   */
+  async collectDeadLetterJobs({ all = false } = {}) {
+    const jobs = await this.fetchJobs(
+      (start, end) => this.deadLetterQueue.getWaiting(start, end),
+      all
+    );
+
+    return jobs.map(job => ({ job, summary: this.summarizeDeadLetterJob(job) }));
+  }
+
+  /**
+   * Priority queues to read failed jobs from
+   * @param {string} [priority] - Only this queue
+   * @returns {Array} [[priority, queue]]
+   */
+  failedQueues(priority) {
+    if (priority && !this.queues[priority]) {
+      throw new Error(`Invalid priority: ${priority}`);
+    }
+
+    return priority ? [[priority, this.queues[priority]]] : Object.entries(this.queues);
+  }
+
+  /**
+   * Filter, sort (most recent failure first) and paginate collected jobs
+   * When the queue holds more jobs than were collected, an unfiltered total is the
+   * queue's real count and a filtered total only covers the collected jobs; truncated
+   * tells the two cases apart.
+   * @param {Array} entries - Collected jobs
+   * @param {number} available - Jobs in the queue(s), from getJobCounts
+   * @param {Object} options - { agent, errorClass, priority (dead-letter only), page, limit }
+   * @returns {Object} { jobs, total, truncated }
+   */
+  pageJobs(entries, available, { page = 1, limit = 20, ...filters } = {}) {
+    const matching = entries
+      .map(entry => entry.summary)
+      .filter(summary => this.matchesFilters(summary, filters))
+      .sort((a, b) => (b.failedAt || 0) - (a.failedAt || 0));
+    const truncated = available > entries.length;
+    const hasFilter = Object.values(filters).some(Boolean);
+
+    return {
+      jobs: matching.slice((page - 1) * limit, page * limit),
+      total: truncated && !hasFilter ? available : matching.length,
+      truncated,
+    };
+  }
+
+  /**
+   * Browse failed jobs (stalled jobs fail with error class 'stalled')
+   * @param {Object} [options] - Filter and page options
+   * @param {string} [options.priority] - Queue priority
+   * @param {string} [options.agent] - Receiving agent
+   * @param {string} [options.errorClass] - Error class
+   * @param {number} [options.page] - Page number (default: 1)
+   * @param {number} [options.limit] - Page size (default: 20)
+   * @returns {Promise<Object>} { jobs, total, truncated } - truncated when a queue holds
+   *   more than QUEUE_INSPECT_LIMIT failed jobs and only the first ones were listed
+   */
+  async listFailedJobs(options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const { priority, ...pageOptions } = options;
+    const entries = await this.collectFailedJobs(priority);
+    let available = 0;
+
+    for (const [, queue] of this.failedQueues(priority)) {
+      available += (await queue.getJobCounts()).failed;
+    }
+
+    return this.pageJobs(entries, available, pageOptions);
+  }
+
+  /**
+   * Browse the dead-letter queue
+   * @param {Object} [options] - Same filter and page options as listFailedJobs
+   * @returns {Promise<Object>} { jobs, total, truncated }
+   */
+  async listDeadLetterJobs(options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const entries = await this.collectDeadLetterJobs();
+    const { waiting } = await this.deadLetterQueue.getJobCounts();
+
+    return this.pageJobs(entries, waiting, options);
+  }
+
+  /**
+   * Full details of a job, including its payload, in any queue
+   * @param {string} jobId - Job ID (priority queue or dead-letter)
+   * @returns {Promise<Object|null>} Job details or null if not found
+   */
+  async getJobDetails(jobId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    for (const [priority, queue] of Object.entries(this.queues)) {
+      const job = await queue.getJob(jobId);
+      if (job) {
+        return {
+          queue: priority,
+          state: await job.getState(),
+          ...this.summarizeFailedJob(priority, job),
+          errorClass: job.failedReason ? this.classifyError(job.failedReason) : null,
+          payload: job.data,
+          stacktrace: job.stacktrace,
+          options: job.opts,
+        };
+      }
+    }
+
+    const deadLetter = await this.deadLetterQueue.getJob(jobId);
+    if (deadLetter) {
+      return {
+        queue: 'dead-letter',
+        state: 'dead-letter',
+        ...this.summarizeDeadLetterJob(deadLetter),
+        payload: deadLetter.data.payload,
+        stacktrace: deadLetter.data.stacktrace,
+        options: deadLetter.data.options,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Move a failed job to the dead-letter queue
+   * @param {string} priority - Queue the job failed in
+   * @param {Object} job - Bull job
+   * @returns {Promise<Object>} Dead-letter job
+   */
+  async moveToDeadLetter(priority, job) {
+    const deadLetter = await this.deadLetterQueue.add(
+      {
+        priority,
+        originalJobId: job.id,
+        payload: job.data,
+        errorClass: this.classifyError(job.failedReason),
+        failedReason: job.failedReason,
+        stacktrace: job.stacktrace,
+        attemptsMade: job.attemptsMade,
+        options: { timeout: job.opts.timeout },
+        enqueuedAt: job.timestamp,
+        failedAt: job.finishedOn || Date.now(),
+      },
+      { jobId: `${priority}-${job.id}` }
+    );
+
+    await job.remove();
+    this.stats.totalDeadLettered++;
+
+    this.logger.warn(
+      `[TaskQueue:${priority}] Job ${job.id} moved to dead-letter queue after ` +
+        `${job.attemptsMade} attempts`
+    );
+    this.emit('jobDeadLettered', { priority, jobId: job.id, deadLetterId: deadLetter.id });
+
+    return deadLetter;
+  }
+
+  /**
+   * Select jobs for a bulk action: explicit IDs, filters, or everything (all: true)
+   * @param {Array} entries - Collected jobs
+   * @param {Object} selection - { jobIds, priority, agent, errorClass, all }
+   * @returns {Array} Selected entries
+   */
+  selectJobs(entries, { jobIds, all = false, ...filters } = {}) {
+    const hasFilter = Object.values(filters).some(Boolean);
+
+    if (!jobIds && !hasFilter && !all) {
+      throw new Error('Select jobs by jobIds, a filter, or all');
+    }
+
+    const ids = jobIds ? new Set(jobIds.map(String)) : null;
+
+    return entries.filter(
+      entry =>
+        (!ids || ids.has(String(entry.summary.id))) && this.matchesFilters(entry.summary, filters)
+    );
+  }
+
+  /**
+   * Run an action over selected jobs, collecting per-job errors
+   * @param {Array} entries - Selected entries
+   * @param {Function} action - async entry => void
+   * @returns {Promise<Object>} { matched, processed, errors }
+   */
+  async runBulk(entries, action) {
+    const result = { matched: entries.length, processed: 0, errors: [] };
+
+    for (const entry of entries) {
+      try {
+        await action(entry);
+        result.processed++;
+      } catch (error) {
+        result.errors.push({ jobId: entry.summary.id, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Retry selected failed jobs
+   * @param {Object} selection - { jobIds, priority, agent, errorClass, all }
+   * @returns {Promise<Object>} { matched, processed, errors }
+   */
+  async retryFailedJobs(selection) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const entries = this.selectJobs(
+      await this.collectFailedJobs(selection.priority, { all: true }),
+      selection
+    );
+    const result = await this.runBulk(entries, ({ job }) => job.retry());
+
+    this.logger.info(`[TaskQueue] Retried ${result.processed}/${result.matched} failed jobs`);
+    return result;
+  }
+
+  /**
+   * Discard selected failed jobs
+   * @param {Object} selection - { jobIds, priority, agent, errorClass, all }
+   * @returns {Promise<Object>} { matched, processed, errors }
+   */
+  async discardFailedJobs(selection) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const entries = this.selectJobs(
+      await this.collectFailedJobs(selection.priority, { all: true }),
+      selection
+    );
+    const result = await this.runBulk(entries, ({ job }) => job.remove());
+
+    this.logger.info(`[TaskQueue] Discarded ${result.processed}/${result.matched} failed jobs`);
+    return result;
+  }
+
+  /**
+   * Move selected failed jobs to the dead-letter queue
+   * @param {Object} selection - { jobIds, priority, agent, errorClass, all }
+   * @returns {Promise<Object>} { matched, processed, errors }
+   */
+  async deadLetterFailedJobs(selection) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const entries = this.selectJobs(
+      await this.collectFailedJobs(selection.priority, { all: true }),
+      selection
+    );
+    return this.runBulk(entries, ({ priority, job }) => this.moveToDeadLetter(priority, job));
+  }
+
+  /**
+   * Replay selected dead-letter jobs into their original queue with fresh attempts
+   * @param {Object} selection - { jobIds, priority, agent, errorClass, all }
+   * @returns {Promise<Object>} { matched, processed, errors }
+   */
+  async replayDeadLetterJobs(selection) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const entries = this.selectJobs(await this.collectDeadLetterJobs({ all: true }), selection);
+    const result = await this.runBulk(entries, async ({ job }) => {
+      const { priority, originalJobId, payload, options } = job.data;
+      const queue = this.queues[priority];
+
+      if (await queue.getJob(originalJobId)) {
+        throw new Error(`Job ${originalJobId} is still in the ${priority} queue`);
+      }
+
+      await queue.add(payload, { jobId: originalJobId, timeout: options?.timeout });
+      await job.remove();
+      this.emit('jobReplayed', { priority, jobId: originalJobId });
+    });
+
+    this.logger.info(`[TaskQueue] Replayed ${result.processed}/${result.matched} dead-letter jobs`);
+    return result;
+  }
+
+  /**
+   * Discard selected dead-letter jobs
+   * @param {Object} selection - { jobIds, priority, agent, errorClass, all }
+   * @returns {Promise<Object>} { matched, processed, errors }
+   */
+  async discardDeadLetterJobs(selection) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const entries = this.selectJobs(await this.collectDeadLetterJobs({ all: true }), selection);
+    const result = await this.runBulk(entries, ({ job }) => job.remove());
+
+    this.logger.info(
+      `[TaskQueue] Discarded ${result.processed}/${result.matched} dead-letter jobs`
+    );
+    return result;
+  }
+
   /**
    * Close all queue connections
    * @returns {Promise<void>}
@@ -492,7 +988,9 @@ class TaskQueueService extends EventEmitter {
   async close() {
     this.logger.info('[TaskQueue] Closing task queue service...');
 
-    await Promise.all(Object.values(this.queues).map(queue => queue.close()));
+    await Promise.all(
+      [...Object.values(this.queues), this.deadLetterQueue].map(queue => queue.close())
+    );
 
     this.initialized = false;
     this.logger.info('[TaskQueue] Task queue service closed');
@@ -521,6 +1019,11 @@ class TaskQueueService extends EventEmitter {
           counts,
         };
       }
+
+      health.deadLetter = {
+        name: this.deadLetterQueue.name,
+        size: await this.deadLetterQueue.count(),
+      };
     } catch (error) {
       health.status = 'unhealthy';
       health.error = error.message;
@@ -536,6 +1039,7 @@ let taskQueueInstance = null;
 export const getTaskQueue = () => {
   if (!taskQueueInstance) {
     taskQueueInstance = new TaskQueueService();
+    eventStream.attachTaskQueue(taskQueueInstance);
   }
   return taskQueueInstance;
 };
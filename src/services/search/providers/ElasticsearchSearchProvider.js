@@ -0,0 +1,391 @@
+/**
+ * Elasticsearch Search Provider
+ * Article search on an Elasticsearch (7+/8) or OpenSearch index, with typo
+ * tolerance (fuzzy matching), highlighting and aggregations for facets.
+ *
+ * Talks to the REST API directly: the official Elasticsearch client refuses
+ * to connect to OpenSearch clusters.
+ */
+
+import axios from 'axios';
+import SearchProvider, {
+  DATE_BUCKETS,
+  FRAGMENT_DELIMITER,
+  HIGHLIGHT_POST_TAG,
+  HIGHLIGHT_PRE_TAG,
+} from './SearchProvider.js';
+
+const KEYWORD_OBJECT = {
+  properties: {
+    id: { type: 'keyword' },
+    name: { type: 'keyword' },
+    slug: { type: 'keyword' },
+  },
+};
+
+const INDEX_MAPPINGS = {
+  properties: {
+    id: { type: 'keyword' },
+    title: { type: 'text', analyzer: 'english' },
+    slug: { type: 'keyword' },
+    summary: { type: 'text', analyzer: 'english' },
+    content: { type: 'text', analyzer: 'english' },
+    featured_image_url: { type: 'keyword', index: false },
+    status: { type: 'keyword' },
+    published_at: { type: 'date' },
+    created_at: { type: 'date' },
+    updated_at: { type: 'date' },
+    reading_time: { type: 'integer' },
+    view_count: { type: 'integer' },
+    author: {
+      properties: {
+        id: { type: 'keyword' },
+        first_name: { type: 'keyword' },
+        last_name: { type: 'keyword' },
+      },
+    },
+    category: KEYWORD_OBJECT,
+    tags: KEYWORD_OBJECT,
+    sources: KEYWORD_OBJECT,
+  },
+};
+
+// Title matches rank above summary matches, which rank above body matches
+const SEARCH_FIELDS = ['title^3', 'summary^2', 'content'];
+
+const SORT_ORDERS = {
+  relevance: ['_score', { published_at: { order: 'desc', missing: '_last' } }, { id: 'asc' }],
+  date: [{ published_at: { order: 'desc', missing: '_last' } }, { id: 'asc' }],
+  popularity: [
+    { view_count: 'desc' },
+    { published_at: { order: 'desc', missing: '_last' } },
+    { id: 'asc' },
+  ],
+};
+
+class ElasticsearchSearchProvider extends SearchProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.url - Cluster URL
+   * @param {string} [options.username] - Basic auth user
+   * @param {string} [options.password] - Basic auth password
+   * @param {string} options.index - Article index name
+   * @param {number} [options.requestTimeout=5000] - Request timeout (ms)
+   * @param {number} [options.facetSize=10] - Values returned per facet
+   */
+  constructor(options = {}) {
+    super({ name: 'elasticsearch', requiresIndexing: true });
+
+    if (!options.url || !options.index) {
+      throw new Error('Elasticsearch provider requires a url and an index');
+    }
+
+    this.index = options.index;
+    this.facetSize = options.facetSize || 10;
+    this.client = axios.create({
+      baseURL: options.url.replace(/\/$/, ''),
+      auth: options.username ? { username: options.username, password: options.password } : null,
+      timeout: options.requestTimeout || 5000,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  /**
+   * Send a request to the cluster
+   * @param {string} method - HTTP method
+   * @param {string} path - Path (relative to the cluster URL)
+   * @param {Object|string} [data] - Request body
+   * @param {Object} [options] - Extra axios options
+   * @returns {Promise<Object>} axios response
+   */
+  async request(method, path, data, options = {}) {
+    try {
+      return await this.client.request({ method, url: path, data, ...options });
+    } catch (error) {
+      const reason = error.response?.data?.error?.reason || error.message;
+      throw new Error(`Elasticsearch ${method.toUpperCase()} ${path} failed: ${reason}`);
+    }
+  }
+
+  /**
+   * Create the article index if it does not exist
+   * @returns {Promise<boolean>} True if the index was created
+   */
+  async ensureIndex() {
+    const exists = await this.request('head', `/${this.index}`, undefined, {
+      validateStatus: status => status === 200 || status === 404,
+    });
+
+    if (exists.status === 200) return false;
+
+    await this.request('put', `/${this.index}`, { mappings: INDEX_MAPPINGS });
+    return true;
+  }
+
+  /**
+   * Drop the article index
+   * @returns {Promise<boolean>} True if an index was dropped
+   */
+  async deleteIndex() {
+    const response = await this.request('delete', `/${this.index}`, undefined, {
+      validateStatus: status => status === 200 || status === 404,
+    });
+
+    return response.status === 200;
+  }
+
+  /**
+   * Add or replace article documents
+   * @param {Array<Object>} documents - Article documents
+   * @returns {Promise<Object>} { indexed, failed }
+   */
+  async indexArticles(documents) {
+    if (documents.length === 0) {
+      return { indexed: 0, failed: 0 };
+    }
+
+    const body = documents
+      .map(document =>
+        [
+          JSON.stringify({ index: { _index: this.index, _id: document.id } }),
+          JSON.stringify(document),
+        ].join('\n')
+      )
+      .join('\n');
+
+    const response = await this.request('post', '/_bulk', `${body}\n`, {
+      headers: { 'Content-Type': 'application/x-ndjson' },
+    });
+
+    const failed = response.data.errors
+      ? response.data.items.filter(item => item.index?.error).length
+      : 0;
+
+    return { indexed: documents.length - failed, failed };
+  }
+
+  /**
+   * Remove an article document
+   * @param {string} articleId - Article ID
+   * @returns {Promise<boolean>} True if a document was removed
+   */
+  async removeArticle(articleId) {
+    const response = await this.request(
+      'delete',
+      `/${this.index}/_doc/${encodeURIComponent(articleId)}`,
+      undefined,
+      { validateStatus: status => status === 200 || status === 404 }
+    );
+
+    return response.status === 200;
+  }
+
+  /**
+   * Filter clauses for the search filters
+   * @param {Object} params - Search params
+   * @returns {Array<Object>} Query DSL filters
+   */
+  buildFilters(params) {
+    const filters = [];
+    const range = (field, { gte, lte }) => {
+      if (gte || lte) {
+        filters.push({ range: { [field]: { ...(gte && { gte }), ...(lte && { lte }) } } });
+      }
+    };
+
+    if (params.status) filters.push({ term: { status: params.status } });
+    if (params.categoryId) filters.push({ term: { 'category.id': params.categoryId } });
+    if (params.tagId) filters.push({ term: { 'tags.id': params.tagId } });
+    if (params.authorId) filters.push({ term: { 'author.id': params.authorId } });
+    if (params.sourceId) filters.push({ term: { 'sources.id': params.sourceId } });
+    range('published_at', { gte: params.fromDate, lte: params.toDate });
+    range('reading_time', { gte: params.minReadingTime, lte: params.maxReadingTime });
+
+    return filters;
+  }
+
+  /**
+   * Aggregations for the facets
+   * Categories, tags and sources are bucketed on ID; one matching document
+   * supplies the display name.
+   * @returns {Object} Query DSL aggregations
+   */
+  buildAggregations() {
+    const terms = field => ({
+      terms: { field: `${field}.id`, size: this.facetSize },
+      aggs: { sample: { top_hits: { size: 1, _source: [field] } } },
+    });
+
+    return {
+      categories: terms('category'),
+      tags: terms('tags'),
+      sources: terms('sources'),
+      dates: {
+        date_range: {
+          field: 'published_at',
+          keyed: true,
+          ranges: DATE_BUCKETS.map(bucket => ({ key: bucket.key, from: `now-${bucket.hours}h` })),
+        },
+      },
+    };
+  }
+
+  /**
+   * Search articles
+   * @param {Object} params - Search params (see SearchProvider)
+   * @returns {Promise<Object>} { articles, total, facets }
+   */
+  async search(params) {
+    const { page = 1, limit = 20, sort = 'relevance', facets = true, highlight = true } = params;
+
+    const body = {
+      from: (page - 1) * limit,
+      size: limit,
+      track_total_hits: true,
+      _source: { excludes: ['content'] },
+      query: {
+        bool: {
+          must: [
+            {
+              multi_match: {
+                query: params.query,
+                fields: SEARCH_FIELDS,
+                fuzziness: 'AUTO',
+                prefix_length: 1,
+                operator: 'and',
+              },
+            },
+          ],
+          filter: this.buildFilters(params),
+        },
+      },
+      sort: SORT_ORDERS[sort] || SORT_ORDERS.relevance,
+      // Keep relevance scores when sorting by date or popularity
+      track_scores: true,
+    };
+
+    if (highlight) {
+      body.highlight = {
+        encoder: 'html',
+        pre_tags: [HIGHLIGHT_PRE_TAG],
+        post_tags: [HIGHLIGHT_POST_TAG],
+        fields: {
+          title: { number_of_fragments: 0 },
+          summary: { number_of_fragments: 0 },
+          content: { fragment_size: 160, number_of_fragments: 2, no_match_size: 200 },
+        },
+      };
+    }
+
+    if (facets) {
+      body.aggs = this.buildAggregations();
+    }
+
+    const response = await this.request('post', `/${this.index}/_search`, body);
+    const { hits, aggregations } = response.data;
+
+    return {
+      articles: hits.hits.map(hit => this.toArticle(hit, highlight)),
+      total: typeof hits.total === 'number' ? hits.total : hits.total.value,
+      facets: facets ? this.toFacets(aggregations) : null,
+    };
+  }
+
+  /**
+   * Map a hit to the search result article format
+   * @param {Object} hit - Search hit
+   * @param {boolean} highlight - Highlighting was requested
+   * @returns {Object} Article
+   */
+  toArticle(hit, highlight) {
+    const { author, category, ...document } = hit._source;
+    const fragments = hit.highlight || {};
+
+    return {
+      ...document,
+      author_id: author?.id || null,
+      author_first_name: author?.first_name || null,
+      author_last_name: author?.last_name || null,
+      category_id: category?.id || null,
+      category_name: category?.name || null,
+      category_slug: category?.slug || null,
+      tags: document.tags || [],
+      sources: document.sources || [],
+      relevance_score: hit._score,
+      excerpt: highlight ? (fragments.content || []).join(FRAGMENT_DELIMITER) : document.summary,
+      highlight: highlight
+        ? {
+            title: fragments.title || [],
+            summary: fragments.summary || [],
+            // no_match_size returns the start of the content when nothing matched
+            content: this.hasMatch(fragments.content) ? fragments.content : [],
+          }
+        : null,
+    };
+  }
+
+  /**
+   * Check highlight fragments contain a match
+   * @param {Array<string>} [fragments] - Fragments
+   * @returns {boolean} True if a fragment has a highlighted term
+   */
+  hasMatch(fragments) {
+    return (fragments || []).some(fragment => fragment.includes(HIGHLIGHT_PRE_TAG));
+  }
+
+  /**
+   * Map aggregations to facets
+   * @param {Object} aggregations - Search response aggregations
+   * @returns {Object} { categories, tags, sources, dates }
+   */
+  toFacets(aggregations) {
+    const terms = (name, field) =>
+      aggregations[name].buckets.map(bucket => {
+        const source = bucket.sample.hits.hits[0]?._source[field];
+        // Tags and sources are arrays: pick the bucket's own entry
+        const value = Array.isArray(source)
+          ? source.find(entry => entry.id === bucket.key)
+          : source;
+
+        return { ...value, id: bucket.key, count: bucket.doc_count };
+      });
+
+    return {
+      categories: terms('categories', 'category'),
+      tags: terms('tags', 'tags'),
+      sources: terms('sources', 'sources'),
+      dates: DATE_BUCKETS.map(bucket => ({
+        key: bucket.key,
+        label: bucket.label,
+        count: aggregations.dates.buckets[bucket.key]?.doc_count || 0,
+      })),
+    };
+  }
+
+  /**
+   * Check the cluster is reachable
+   * @returns {Promise<boolean>} Health status
+   */
+  async healthCheck() {
+    try {
+      const response = await this.request('get', '/_cluster/health');
+      return response.data.status !== 'red';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Describe the provider
+   * @returns {Object} Provider details
+   */
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      url: this.client.defaults.baseURL,
+      index: this.index,
+    };
+  }
+}
+
+export default ElasticsearchSearchProvider;
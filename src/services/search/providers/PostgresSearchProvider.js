@@ -0,0 +1,327 @@
+/**
+ * PostgreSQL Search Provider
+ * Full-text search on articles.search_vector (maintained by PostgreSQL, so
+ * there is nothing to index). No typo tolerance: terms are stemmed, not fuzzed.
+ */
+
+import { query } from '../../../database/queries.js';
+import { escapeXml } from '../../../utils/xml.js';
+import SearchProvider, {
+  DATE_BUCKETS,
+  FRAGMENT_DELIMITER,
+  HIGHLIGHT_POST_TAG,
+  HIGHLIGHT_PRE_TAG,
+} from './SearchProvider.js';
+
+// ts_headline markers (private-use characters never found in article text),
+// swapped for <mark> tags after the text is escaped
+const START_SEL = '\uE000';
+const STOP_SEL = '\uE001';
+const FRAGMENT_SEL = '\uE002';
+
+const MARKERS = `StartSel=${START_SEL}, StopSel=${STOP_SEL}`;
+const FIELD_HEADLINE_OPTIONS = `${MARKERS}, HighlightAll=TRUE`;
+const CONTENT_HEADLINE_OPTIONS =
+  `${MARKERS}, MaxWords=35, MinWords=15, ShortWord=3, MaxFragments=2, ` +
+  `FragmentDelimiter=${FRAGMENT_SEL}`;
+
+// $1 is always the search text
+const TS_QUERY = "plainto_tsquery('english', $1)";
+
+const SORT_ORDERS = {
+  relevance: 'relevance_score DESC, a.published_at DESC NULLS LAST, a.id',
+  date: 'a.published_at DESC NULLS LAST, a.id',
+  popularity: 'a.view_count DESC, a.published_at DESC NULLS LAST, a.id',
+};
+
+/**
+ * Escape a ts_headline fragment and turn its markers into <mark> tags
+ * @param {string} fragment - ts_headline output
+ * @returns {string} HTML
+ */
+const toHighlight = fragment =>
+  escapeXml(fragment)
+    .split(START_SEL)
+    .join(HIGHLIGHT_PRE_TAG)
+    .split(STOP_SEL)
+    .join(HIGHLIGHT_POST_TAG);
+
+class PostgresSearchProvider extends SearchProvider {
+  /**
+   * @param {Object} [options] - Provider options
+   * @param {number} [options.facetSize=10] - Values returned per facet
+   */
+  constructor({ facetSize = 10 } = {}) {
+    super({ name: 'postgres', requiresIndexing: false });
+    this.facetSize = facetSize;
+  }
+
+  /**
+   * WHERE conditions for the search text and filters
+   * @param {Object} params - Search params
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.matchText=true] - Only articles matching the search text
+   * @param {boolean} [options.bindText=matchText] - Bind the search text as $1 (PostgreSQL
+   *   rejects parameters the statement never uses)
+   * @returns {Object} { conditions, values }
+   */
+  buildConditions(params, { matchText = true, bindText = matchText } = {}) {
+    const conditions = ['a.deleted_at IS NULL'];
+    const values = bindText ? [params.query || ''] : [];
+
+    if (matchText) conditions.push(`a.search_vector @@ ${TS_QUERY}`);
+
+    const add = (condition, value) => {
+      values.push(value);
+      conditions.push(condition.replace('?', `$${values.length}`));
+    };
+
+    if (params.status) add('a.status = ?', params.status);
+    if (params.categoryId) add('a.category_id = ?', params.categoryId);
+    if (params.authorId) add('a.author_id = ?', params.authorId);
+    if (params.tagId) {
+      add(
+        'EXISTS (SELECT 1 FROM article_tags at WHERE at.article_id = a.id AND at.tag_id = ?)',
+        params.tagId
+      );
+    }
+    if (params.sourceId) {
+      add(
+        `EXISTS (SELECT 1 FROM article_sources asrc
+                 WHERE asrc.article_id = a.id AND asrc.source_id = ?)`,
+        params.sourceId
+      );
+    }
+    if (params.fromDate) add('a.published_at >= ?', params.fromDate);
+    if (params.toDate) add('a.published_at <= ?', params.toDate);
+    if (params.minReadingTime) add('a.reading_time >= ?', params.minReadingTime);
+    if (params.maxReadingTime) add('a.reading_time <= ?', params.maxReadingTime);
+
+    return { conditions, values };
+  }
+
+  /**
+   * Result columns (needs articles a, users u and categories c)
+   * @param {number|null} headlineParam - Index of the headline options parameter
+   *   (content options follow it), or null for no highlighting
+   * @returns {string} SELECT list
+   */
+  selectColumns(headlineParam) {
+    const headlines = headlineParam
+      ? `ts_headline('english', a.title, ${TS_QUERY}, $${headlineParam}) AS title_headline,
+         ts_headline('english', COALESCE(a.summary, ''), ${TS_QUERY}, $${headlineParam})
+           AS summary_headline,
+         ts_headline('english', a.content, ${TS_QUERY}, $${headlineParam + 1}) AS content_headline`
+      : 'NULL AS title_headline, NULL AS summary_headline, NULL AS content_headline';
+
+    return `a.id, a.title, a.slug, a.summary, a.featured_image_url, a.status,
+            a.published_at, a.reading_time, a.view_count,
+            a.author_id, u.first_name AS author_first_name, u.last_name AS author_last_name,
+            a.category_id, c.name AS category_name, c.slug AS category_slug,
+            COALESCE(
+              (SELECT json_agg(jsonb_build_object('id', t.id, 'name', t.name, 'slug', t.slug)
+                               ORDER BY t.name)
+               FROM article_tags at JOIN tags t ON t.id = at.tag_id
+               WHERE at.article_id = a.id),
+              '[]'
+            ) AS tags,
+            COALESCE(
+              (SELECT json_agg(DISTINCT jsonb_build_object('id', s.id, 'name', s.name))
+               FROM article_sources asrc JOIN sources s ON s.id = asrc.source_id
+               WHERE asrc.article_id = a.id),
+              '[]'
+            ) AS sources,
+            ${headlines}`;
+  }
+
+  /**
+   * Search articles
+   * @param {Object} params - Search params (see SearchProvider)
+   * @returns {Promise<Object>} { articles, total, facets }
+   */
+  async search(params) {
+    const { page = 1, limit = 20, sort = 'relevance', facets = true, highlight = true } = params;
+    const { conditions, values } = this.buildConditions(params);
+    const where = conditions.join(' AND ');
+    const orderBy = SORT_ORDERS[sort] || SORT_ORDERS.relevance;
+    const n = values.length;
+
+    // Rank and page first, so headlines are only generated for the returned page
+    const articlesPromise = query(
+      `SELECT ${this.selectColumns(highlight ? n + 3 : null)}, ranked.relevance_score
+       FROM (
+         SELECT a.id, ts_rank(a.search_vector, ${TS_QUERY}) AS relevance_score
+         FROM articles a
+         WHERE ${where}
+         ORDER BY ${orderBy}
+         LIMIT $${n + 1} OFFSET $${n + 2}
+       ) ranked
+       JOIN articles a ON a.id = ranked.id
+       LEFT JOIN users u ON u.id = a.author_id
+       LEFT JOIN categories c ON c.id = a.category_id
+       ORDER BY ${orderBy}`,
+      [
+        ...values,
+        limit,
+        (page - 1) * limit,
+        ...(highlight ? [FIELD_HEADLINE_OPTIONS, CONTENT_HEADLINE_OPTIONS] : []),
+      ]
+    );
+
+    const countPromise = query(
+      `SELECT COUNT(*)::int AS total FROM articles a WHERE ${where}`,
+      values
+    );
+
+    const [articlesResult, countResult, facetCounts] = await Promise.all([
+      articlesPromise,
+      countPromise,
+      facets ? this.getFacets(where, values) : null,
+    ]);
+
+    return {
+      articles: articlesResult.rows.map(row => this.toArticle(row, highlight)),
+      total: countResult.rows[0].total,
+      facets: facetCounts,
+    };
+  }
+
+  /**
+   * Load articles by ID, keeping those that pass the search filters
+   * The search text does not have to match; it is only used for highlighting.
+   * @param {Array<string>} ids - Article IDs
+   * @param {Object} [params] - Search params (filters, query, highlight)
+   * @returns {Promise<Array<Object>>} Articles in no particular order (relevance_score: null)
+   */
+  async fetchArticles(ids, params = {}) {
+    if (ids.length === 0) return [];
+
+    const highlight = Boolean(params.highlight && params.query);
+    const { conditions, values } = this.buildConditions(params, {
+      matchText: false,
+      bindText: highlight,
+    });
+    values.push(ids);
+    conditions.push(`a.id = ANY($${values.length}::uuid[])`);
+
+    const result = await query(
+      `SELECT ${this.selectColumns(highlight ? values.length + 1 : null)},
+              NULL::float AS relevance_score
+       FROM articles a
+       LEFT JOIN users u ON u.id = a.author_id
+       LEFT JOIN categories c ON c.id = a.category_id
+       WHERE ${conditions.join(' AND ')}`,
+      [...values, ...(highlight ? [FIELD_HEADLINE_OPTIONS, CONTENT_HEADLINE_OPTIONS] : [])]
+    );
+
+    return result.rows.map(row => this.toArticle(row, highlight));
+  }
+
+  /**
+   * Facet counts over the matching articles
+   * @param {string} where - WHERE clause
+   * @param {Array} values - Query values
+   * @returns {Promise<Object>} { categories, tags, sources, dates }
+   */
+  async getFacets(where, values) {
+    const size = values.length + 1;
+    const facetValues = [...values, this.facetSize];
+
+    const [categories, tags, sources, dates] = await Promise.all([
+      query(
+        `SELECT c.id, c.name, c.slug, COUNT(*)::int AS count
+         FROM articles a JOIN categories c ON c.id = a.category_id
+         WHERE ${where}
+         GROUP BY c.id
+         ORDER BY count DESC, c.name
+         LIMIT $${size}`,
+        facetValues
+      ),
+      query(
+        `SELECT t.id, t.name, t.slug, COUNT(*)::int AS count
+         FROM articles a
+         JOIN article_tags tag_link ON tag_link.article_id = a.id
+         JOIN tags t ON t.id = tag_link.tag_id
+         WHERE ${where}
+         GROUP BY t.id
+         ORDER BY count DESC, t.name
+         LIMIT $${size}`,
+        facetValues
+      ),
+      query(
+        `SELECT s.id, s.name, COUNT(DISTINCT a.id)::int AS count
+         FROM articles a
+         JOIN article_sources source_link ON source_link.article_id = a.id
+         JOIN sources s ON s.id = source_link.source_id
+         WHERE ${where}
+         GROUP BY s.id
+         ORDER BY count DESC, s.name
+         LIMIT $${size}`,
+        facetValues
+      ),
+      query(
+        `SELECT ${DATE_BUCKETS.map(
+          bucket =>
+            `COUNT(*) FILTER (WHERE a.published_at >= NOW() - INTERVAL '${bucket.hours} hours')::int
+               AS ${bucket.key}`
+        ).join(', ')}
+         FROM articles a
+         WHERE ${where}`,
+        values
+      ),
+    ]);
+
+    return {
+      categories: categories.rows,
+      tags: tags.rows,
+      sources: sources.rows,
+      dates: DATE_BUCKETS.map(bucket => ({
+        key: bucket.key,
+        label: bucket.label,
+        count: dates.rows[0][bucket.key],
+      })),
+    };
+  }
+
+  /**
+   * Map a result row to the search result article format
+   * @param {Object} row - Query row
+   * @param {boolean} highlight - Headlines were generated
+   * @returns {Object} Article
+   */
+  toArticle(row, highlight) {
+    const { title_headline, summary_headline, content_headline, ...article } = row;
+    const matched = headline => (headline && headline.includes(START_SEL) ? [headline] : []);
+    const contentFragments = content_headline
+      ? content_headline.split(FRAGMENT_SEL).map(toHighlight)
+      : [];
+
+    return {
+      ...article,
+      relevance_score: row.relevance_score === null ? null : parseFloat(row.relevance_score),
+      excerpt: highlight ? contentFragments.join(FRAGMENT_DELIMITER) : row.summary,
+      highlight: highlight
+        ? {
+            title: matched(title_headline).map(toHighlight),
+            summary: matched(summary_headline).map(toHighlight),
+            content: content_headline?.includes(START_SEL) ? contentFragments : [],
+          }
+        : null,
+    };
+  }
+
+  /**
+   * Check the database is reachable
+   * @returns {Promise<boolean>} Health status
+   */
+  async healthCheck() {
+    try {
+      await query('SELECT 1');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+export default PostgresSearchProvider;
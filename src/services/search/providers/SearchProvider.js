@@ -0,0 +1,117 @@
+/**
+ * Search Provider
+ * Base contract for article search backends used by searchService
+ *
+ * Subclasses implement:
+ * - search(params)        Ranked, filtered and faceted article search
+ * - healthCheck()         Check the backend is reachable
+ *
+ * Backends with their own index (requiresIndexing = true) also implement:
+ * - ensureIndex()         Create the index if it does not exist
+ * - indexArticles(docs)   Add or replace article documents
+ * - removeArticle(id)     Remove an article document
+ * - deleteIndex()         Drop the index (before a full rebuild)
+ *
+ * Search params:
+ * { query, page, limit, status, categoryId, tagId, authorId, sourceId, fromDate, toDate,
+ *   sort: relevance | date | popularity, minReadingTime, maxReadingTime, facets, highlight }
+ *
+ * Search result:
+ * { articles, total, facets: { categories, tags, sources, dates } | null }
+ * Each article carries highlight: { title, summary, content } with matches in <mark> tags
+ * (text is HTML-escaped) and an excerpt built from the content fragments.
+ */
+
+// Publication date facet buckets (each counts articles newer than its cut-off)
+export const DATE_BUCKETS = [
+  { key: 'past_day', label: 'Past 24 hours', hours: 24 },
+  { key: 'past_week', label: 'Past week', hours: 24 * 7 },
+  { key: 'past_month', label: 'Past month', hours: 24 * 30 },
+  { key: 'past_year', label: 'Past year', hours: 24 * 365 },
+];
+
+export const HIGHLIGHT_PRE_TAG = '<mark>';
+export const HIGHLIGHT_POST_TAG = '</mark>';
+
+// Separator between content fragments in an excerpt
+export const FRAGMENT_DELIMITER = ' ... ';
+
+class SearchProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.name - Provider name (config value of SEARCH_PROVIDER)
+   * @param {boolean} [options.requiresIndexing] - Articles must be pushed to the backend
+   */
+  constructor(options = {}) {
+    if (!options.name) {
+      throw new Error('Search provider requires a name');
+    }
+
+    this.name = options.name;
+    this.requiresIndexing = options.requiresIndexing === true;
+  }
+
+  /**
+   * Search articles
+   * @param {Object} params - Search params (see module docs)
+   * @returns {Promise<Object>} { articles, total, facets }
+   */
+  async search(_params) {
+    throw new Error(`search() must be implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Check the backend is reachable
+   * @returns {Promise<boolean>} Health status
+   */
+  async healthCheck() {
+    throw new Error(`healthCheck() must be implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Create the index if it does not exist
+   * @returns {Promise<boolean>} True if the index was created
+   */
+  async ensureIndex() {
+    return false;
+  }
+
+  /**
+   * Add or replace article documents
+   * @param {Array<Object>} documents - Article documents (see searchService.loadDocuments)
+   * @returns {Promise<Object>} { indexed, failed }
+   */
+  async indexArticles(documents) {
+    return { indexed: 0, failed: 0, skipped: documents.length };
+  }
+
+  /**
+   * Remove an article document
+   * @param {string} articleId - Article ID
+   * @returns {Promise<boolean>} True if a document was removed
+   */
+  async removeArticle(_articleId) {
+    return false;
+  }
+
+  /**
+   * Drop the index
+   * @returns {Promise<boolean>} True if an index was dropped
+   */
+  async deleteIndex() {
+    return false;
+  }
+
+  /**
+   * Describe the provider
+   * @returns {Object} Provider details
+   */
+  getInfo() {
+    return {
+      name: this.name,
+      requiresIndexing: this.requiresIndexing,
+    };
+  }
+}
+
+export default SearchProvider;
@@ -0,0 +1,404 @@
+/**
+ * Search Service
+ *
+ * Article search behind GET /search, served by the configured provider:
+ * - postgres: full-text search on articles.search_vector (default)
+ * - elasticsearch: Elasticsearch or OpenSearch index with typo tolerance
+ *
+ * Both return the same result format, with facet counts (category, tag,
+ * source, publication date) and highlighted matches. When the cluster fails,
+ * searches are answered from PostgreSQL instead (SEARCH_FALLBACK_TO_POSTGRES).
+ *
+ * With mode=semantic, text matches and nearest neighbours of the query
+ * embedding (embeddingService) are ranked together: see blendScores.
+ *
+ * Providers with their own index are kept in sync as articles are created,
+ * updated, published and deleted (syncArticle). View counts only change in
+ * the index when an article is re-synced; `npm run db:index-search` rebuilds
+ * the whole index.
+ *
+ * @module services/search/searchService
+ */
+
+import config from '../../config/index.js';
+import { query } from '../../database/queries.js';
+import embeddingService from '../embeddings/embeddingService.js';
+import internalLinkingService from '../editorial/internalLinkingService.js';
+import PostgresSearchProvider from './providers/PostgresSearchProvider.js';
+import ElasticsearchSearchProvider from './providers/ElasticsearchSearchProvider.js';
+
+// Orders for semantic results sorted by something other than relevance
+const SEMANTIC_SORTS = {
+  date: (a, b) => new Date(b.published_at || 0) - new Date(a.published_at || 0),
+  popularity: (a, b) =>
+    b.view_count - a.view_count || new Date(b.published_at || 0) - new Date(a.published_at || 0),
+};
+
+/**
+ * Hybrid ranking: blend text relevance with vector similarity
+ * Text scores (BM25 or ts_rank) have no fixed scale, so they are divided by
+ * the best text score; cosine similarities are clamped to 0-1. An article
+ * found by only one side scores 0 on the other.
+ * @param {Array<Object>} textHits - [{ id, score }]
+ * @param {Array<Object>} vectorHits - [{ id, score }]
+ * @param {number} weight - Weight of vector similarity (0-1)
+ * @returns {Array<Object>} [{ id, score, textScore, vectorScore }], best first
+ */
+const blendScores = (textHits, vectorHits, weight) => {
+  const maxText = Math.max(0, ...textHits.map(hit => hit.score || 0));
+  const blended = new Map();
+  const entry = id => {
+    if (!blended.has(id)) blended.set(id, { id, textScore: 0, vectorScore: 0 });
+    return blended.get(id);
+  };
+
+  textHits.forEach(hit => {
+    entry(hit.id).textScore = maxText > 0 ? (hit.score || 0) / maxText : 0;
+  });
+  vectorHits.forEach(hit => {
+    entry(hit.id).vectorScore = Math.min(Math.max(hit.score, 0), 1);
+  });
+
+  return [...blended.values()]
+    .map(hit => ({ ...hit, score: weight * hit.vectorScore + (1 - weight) * hit.textScore }))
+    .sort((a, b) => b.score - a.score || String(a.id).localeCompare(String(b.id)));
+};
+
+class SearchService {
+  /**
+   * @param {Object} [options] - Service options (defaults from config.search)
+   */
+  constructor(options = {}) {
+    this.config = {
+      ...config.search,
+      ...options,
+    };
+
+    this.postgres = new PostgresSearchProvider({ facetSize: this.config.facetSize });
+    this.provider = this.createProvider(this.config.provider);
+
+    // Index creation runs once per process
+    this.indexReady = null;
+
+    this.stats = {
+      searches: 0,
+      fallbacks: 0,
+      indexed: 0,
+      removed: 0,
+      indexFailures: 0,
+    };
+
+    this.logger = console;
+  }
+
+  /**
+   * Create a search provider
+   * @param {string} name - Provider name: postgres, elasticsearch (or opensearch)
+   * @returns {SearchProvider} Provider
+   */
+  createProvider(name) {
+    switch (name) {
+      case 'postgres':
+        return this.postgres;
+      case 'elasticsearch':
+      case 'opensearch':
+        return new ElasticsearchSearchProvider({
+          ...config.elasticsearch,
+          facetSize: this.config.facetSize,
+        });
+      default:
+        throw new Error(`Unknown search provider: ${name}`);
+    }
+  }
+
+  /**
+   * Search articles
+   * @param {Object} params - Search params (see SearchProvider)
+   * @returns {Promise<Object>} { articles, total, facets, provider }
+   */
+  async search(params) {
+    this.stats.searches++;
+
+    try {
+      const result = await this.provider.search(params);
+      return { ...result, provider: this.provider.name };
+    } catch (error) {
+      if (this.provider === this.postgres || !this.config.fallbackToPostgres) {
+        throw error;
+      }
+
+      this.stats.fallbacks++;
+      this.logger.warn(
+        `[Search] ${this.provider.name} search failed, falling back to PostgreSQL:`,
+        error.message
+      );
+
+      const result = await this.postgres.search(params);
+      return { ...result, provider: this.postgres.name };
+    }
+  }
+
+  /**
+   * Semantic search: text matches and nearest neighbours of the query, ranked
+   * by blended text and vector scores (search filters apply to both)
+   * Falls back to text-only ranking when the embeddings are unavailable.
+   * Facets are not computed.
+   * @param {Object} params - Search params (see SearchProvider)
+   * @returns {Promise<Object>} { articles, total, facets: null, provider }
+   *   (articles carry text_score and vector_score)
+   */
+  async semanticSearch(params) {
+    const { page = 1, limit = 20, sort = 'relevance' } = params;
+    const candidates = this.config.semanticCandidates;
+
+    const [text, vectorHits] = await Promise.all([
+      this.search({
+        ...params,
+        sort: 'relevance',
+        page: 1,
+        limit: candidates,
+        facets: false,
+        highlight: false,
+      }),
+      embeddingService.searchSimilar(params.query, { limit: candidates }).catch(error => {
+        this.logger.warn('[Search] Vector search failed, ranking on text only:', error.message);
+        return null;
+      }),
+    ]);
+
+    const ranked = await this.rankHybrid(
+      text.articles.map(article => ({ id: article.id, score: article.relevance_score })),
+      vectorHits,
+      params
+    );
+
+    if (SEMANTIC_SORTS[sort]) {
+      ranked.sort(SEMANTIC_SORTS[sort]);
+    }
+
+    return {
+      articles: ranked.slice((page - 1) * limit, page * limit),
+      total: ranked.length,
+      facets: null,
+      provider: text.provider,
+    };
+  }
+
+  /**
+   * Published articles related to an article: nearest neighbours of its
+   * embedding blended with full-text and shared-tag matches
+   * @param {string} articleId - Article ID
+   * @param {Object} [options] - Options
+   * @param {number} [options.limit=5] - Maximum articles
+   * @returns {Promise<Array<Object>|null>} Articles (with text_score and vector_score),
+   *   or null if the article does not exist
+   */
+  async findRelated(articleId, { limit = 5 } = {}) {
+    const article = await internalLinkingService.loadArticle(articleId);
+    if (!article) return null;
+
+    const candidates = this.config.semanticCandidates;
+    const [textHits, vectorHits] = await Promise.all([
+      internalLinkingService.findCandidates(article),
+      embeddingService.findSimilar(articleId, { limit: candidates }).catch(error => {
+        this.logger.warn(
+          `[Search] Vector search failed for ${articleId}, relating on text only:`,
+          error.message
+        );
+        return null;
+      }),
+    ]);
+
+    const ranked = await this.rankHybrid(
+      textHits,
+      vectorHits && vectorHits.filter(hit => hit.id !== articleId),
+      { status: 'published' }
+    );
+
+    return ranked.slice(0, limit);
+  }
+
+  /**
+   * Blend text and vector hits, then load the articles that pass the filters
+   * @param {Array<Object>} textHits - [{ id, score }]
+   * @param {Array<Object>|null} vectorHits - [{ id, score }], or null when vector search
+   *   failed (text scores then count in full)
+   * @param {Object} params - Search params (filters, query and highlight)
+   * @returns {Promise<Array<Object>>} Articles, best first
+   */
+  async rankHybrid(textHits, vectorHits, params) {
+    const scores = vectorHits
+      ? blendScores(textHits, vectorHits, this.config.semanticWeight)
+      : blendScores(textHits, [], 0);
+    const articles = await this.postgres.fetchArticles(
+      scores.map(hit => hit.id),
+      params
+    );
+    const byId = new Map(articles.map(article => [article.id, article]));
+
+    return scores
+      .filter(hit => byId.has(hit.id))
+      .map(hit => ({
+        ...byId.get(hit.id),
+        relevance_score: Math.round(hit.score * 10000) / 10000,
+        text_score: Math.round(hit.textScore * 10000) / 10000,
+        vector_score: Math.round(hit.vectorScore * 10000) / 10000,
+      }));
+  }
+
+  /**
+   * Create the provider's index if needed (once per process, retried after a failure)
+   * @returns {Promise<void>}
+   */
+  async ensureIndex() {
+    if (!this.indexReady) {
+      this.indexReady = this.provider.ensureIndex().catch(error => {
+        this.indexReady = null;
+        throw error;
+      });
+    }
+
+    await this.indexReady;
+  }
+
+  /**
+   * Load articles as search documents
+   * @param {Object} [options] - Options
+   * @param {Array<string>} [options.ids] - Only these articles
+   * @param {string} [options.afterId] - Only articles with a greater ID (for paging)
+   * @param {number} [options.limit] - Maximum documents
+   * @returns {Promise<Array<Object>>} Documents, ordered by ID (deleted articles excluded)
+   */
+  async loadDocuments({ ids = null, afterId = null, limit = null } = {}) {
+    const result = await query(
+      `SELECT a.id, a.title, a.slug, a.summary, a.content, a.featured_image_url, a.status,
+              a.published_at, a.created_at, a.updated_at, a.reading_time, a.view_count,
+              CASE WHEN u.id IS NULL THEN NULL
+                   ELSE jsonb_build_object('id', u.id, 'first_name', u.first_name,
+                                           'last_name', u.last_name) END AS author,
+              CASE WHEN c.id IS NULL THEN NULL
+                   ELSE jsonb_build_object('id', c.id, 'name', c.name, 'slug', c.slug) END
+                AS category,
+              COALESCE(
+                (SELECT json_agg(jsonb_build_object('id', t.id, 'name', t.name, 'slug', t.slug)
+                                 ORDER BY t.name)
+                 FROM article_tags at JOIN tags t ON t.id = at.tag_id
+                 WHERE at.article_id = a.id),
+                '[]'
+              ) AS tags,
+              COALESCE(
+                (SELECT json_agg(DISTINCT jsonb_build_object('id', s.id, 'name', s.name))
+                 FROM article_sources asrc JOIN sources s ON s.id = asrc.source_id
+                 WHERE asrc.article_id = a.id),
+                '[]'
+              ) AS sources
+       FROM articles a
+       LEFT JOIN users u ON u.id = a.author_id
+       LEFT JOIN categories c ON c.id = a.category_id
+       WHERE a.deleted_at IS NULL
+         AND ($1::uuid[] IS NULL OR a.id = ANY($1))
+         AND ($2::uuid IS NULL OR a.id > $2)
+       ORDER BY a.id
+       LIMIT $3`,
+      [ids, afterId, limit]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Bring an article's search document up to date (indexed, or removed once deleted)
+   * No-op for providers without their own index.
+   * @param {string} articleId - Article ID
+   * @returns {Promise<Object|null>} { indexed } or { removed }, or null when not needed
+   */
+  async syncArticle(articleId) {
+    if (!this.provider.requiresIndexing) return null;
+
+    await this.ensureIndex();
+    const [document] = await this.loadDocuments({ ids: [articleId] });
+
+    if (!document) {
+      const removed = await this.provider.removeArticle(articleId);
+      if (removed) this.stats.removed++;
+      return { removed };
+    }
+
+    const { indexed, failed } = await this.provider.indexArticles([document]);
+    this.stats.indexed += indexed;
+    this.stats.indexFailures += failed;
+
+    if (failed > 0) {
+      throw new Error(`Search index rejected article ${articleId}`);
+    }
+
+    return { indexed: indexed > 0 };
+  }
+
+  /**
+   * Rebuild the search index from the database
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.recreate=false] - Drop the index first (clears stale documents
+   *   and applies mapping changes)
+   * @returns {Promise<Object>} { indexed, failed } (skipped: true for providers without an index)
+   */
+  async reindex({ recreate = false } = {}) {
+    if (!this.provider.requiresIndexing) {
+      return { indexed: 0, failed: 0, skipped: true };
+    }
+
+    if (recreate) {
+      await this.provider.deleteIndex();
+      this.indexReady = null;
+    }
+    await this.ensureIndex();
+
+    const totals = { indexed: 0, failed: 0 };
+    let afterId = null;
+
+    for (;;) {
+      const documents = await this.loadDocuments({
+        afterId,
+        limit: this.config.reindexBatchSize,
+      });
+      if (documents.length === 0) break;
+
+      const { indexed, failed } = await this.provider.indexArticles(documents);
+      totals.indexed += indexed;
+      totals.failed += failed;
+      afterId = documents[documents.length - 1].id;
+
+      this.logger.log(`[Search] Re-indexed ${totals.indexed} articles (${totals.failed} failed)`);
+    }
+
+    this.stats.indexed += totals.indexed;
+    this.stats.indexFailures += totals.failed;
+
+    return totals;
+  }
+
+  /**
+   * Check the search backend is reachable
+   * @returns {Promise<boolean>} Health status
+   */
+  async healthCheck() {
+    return this.provider.healthCheck();
+  }
+
+  /**
+   * Get service statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      provider: this.provider.getInfo(),
+      fallbackToPostgres: this.config.fallbackToPostgres,
+      ...this.stats,
+    };
+  }
+}
+
+// Export singleton instance
+const searchService = new SearchService();
+export default searchService;
+export { SearchService };
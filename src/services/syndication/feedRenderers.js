@@ -0,0 +1,173 @@
+/**
+ * Feed Renderers
+ *
+ * Render a feed model as RSS 2.0, Atom 1.0 or JSON Feed 1.1. Each format
+ * advertises its WebSub hubs and its own URL so subscribers can discover the
+ * hub and subscribe to the right topic.
+ *
+ * Feed model:
+ * { title, description, homeUrl, selfUrls: { rss, atom, json }, hubs, language,
+ *   updatedAt, items: [{ id, url, title, summary, content, author, category,
+ *   tags, image, publishedAt, updatedAt }] }
+ *
+ * @module services/syndication/feedRenderers
+ */
+
+import { escapeXml, cdata, element } from '../../utils/xml.js';
+
+// Output formats: route file name and Content-Type
+export const FORMATS = {
+  rss: { file: 'rss.xml', contentType: 'application/rss+xml; charset=utf-8' },
+  atom: { file: 'atom.xml', contentType: 'application/atom+xml; charset=utf-8' },
+  json: { file: 'feed.json', contentType: 'application/feed+json; charset=utf-8' },
+};
+
+const RSS_NAMESPACES = [
+  'xmlns:atom="http://www.w3.org/2005/Atom"',
+  'xmlns:content="http://purl.org/rss/1.0/modules/content/"',
+  'xmlns:dc="http://purl.org/dc/elements/1.1/"',
+  'xmlns:media="http://search.yahoo.com/mrss/"',
+].join(' ');
+
+const toDate = value => (value ? new Date(value) : new Date());
+
+/**
+ * Render RSS 2.0
+ * @param {Object} feed - Feed model
+ * @returns {string} XML
+ */
+export const renderRss = feed => {
+  const items = feed.items.map(item =>
+    [
+      '<item>',
+      element('title', item.title),
+      element('link', item.url),
+      `<guid isPermaLink="${item.id === item.url}">${escapeXml(item.id)}</guid>`,
+      element('pubDate', toDate(item.publishedAt).toUTCString()),
+      element('dc:creator', item.author),
+      element('category', item.category),
+      ...item.tags.map(tag => element('category', tag)),
+      item.summary ? `<description>${cdata(item.summary)}</description>` : '',
+      item.content ? `<content:encoded>${cdata(item.content)}</content:encoded>` : '',
+      item.image ? `<media:content url="${escapeXml(item.image)}" medium="image"/>` : '',
+      '</item>',
+    ].join('')
+  );
+
+  const hubs = feed.hubs.map(hub => `<atom:link rel="hub" href="${escapeXml(hub)}"/>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<rss version="2.0" ${RSS_NAMESPACES}>`,
+    '<channel>',
+    element('title', feed.title),
+    element('link', feed.homeUrl),
+    element('description', feed.description),
+    element('language', feed.language),
+    element('lastBuildDate', toDate(feed.updatedAt).toUTCString()),
+    element('generator', feed.generator),
+    `<atom:link rel="self" type="application/rss+xml" href="${escapeXml(feed.selfUrls.rss)}"/>`,
+    ...hubs,
+    ...items,
+    '</channel>',
+    '</rss>',
+  ]
+    .filter(Boolean)
+    .join('\n');
+};
+
+/**
+ * Render Atom 1.0
+ * @param {Object} feed - Feed model
+ * @returns {string} XML
+ */
+export const renderAtom = feed => {
+  const entries = feed.items.map(item =>
+    [
+      '<entry>',
+      element('id', item.id),
+      `<title type="text">${escapeXml(item.title)}</title>`,
+      `<link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+      element('published', toDate(item.publishedAt).toISOString()),
+      element('updated', toDate(item.updatedAt || item.publishedAt).toISOString()),
+      item.author ? `<author><name>${escapeXml(item.author)}</name></author>` : '',
+      ...[item.category, ...item.tags]
+        .filter(Boolean)
+        .map(term => `<category term="${escapeXml(term)}"/>`),
+      item.summary ? `<summary type="html">${escapeXml(item.summary)}</summary>` : '',
+      item.content ? `<content type="html">${escapeXml(item.content)}</content>` : '',
+      item.image ? `<link rel="enclosure" href="${escapeXml(item.image)}"/>` : '',
+      '</entry>',
+    ].join('')
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom"${feed.language ? ` xml:lang="${escapeXml(feed.language)}"` : ''}>`,
+    element('id', feed.selfUrls.atom),
+    `<title type="text">${escapeXml(feed.title)}</title>`,
+    feed.description ? `<subtitle type="text">${escapeXml(feed.description)}</subtitle>` : '',
+    element('updated', toDate(feed.updatedAt).toISOString()),
+    element('generator', feed.generator),
+    `<link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>`,
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrls.atom)}"/>`,
+    ...feed.hubs.map(hub => `<link rel="hub" href="${escapeXml(hub)}"/>`),
+    ...entries,
+    '</feed>',
+  ]
+    .filter(Boolean)
+    .join('\n');
+};
+
+/**
+ * Render JSON Feed 1.1
+ * @param {Object} feed - Feed model
+ * @returns {string} JSON
+ */
+export const renderJsonFeed = feed => {
+  const document = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.selfUrls.json,
+    description: feed.description || undefined,
+    language: feed.language || undefined,
+    hubs: feed.hubs.length > 0 ? feed.hubs.map(url => ({ type: 'WebSub', url })) : undefined,
+    items: feed.items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary || undefined,
+      content_html: item.content || undefined,
+      image: item.image || undefined,
+      date_published: toDate(item.publishedAt).toISOString(),
+      date_modified: item.updatedAt ? toDate(item.updatedAt).toISOString() : undefined,
+      authors: item.author ? [{ name: item.author }] : undefined,
+      tags: [item.category, ...item.tags].filter(Boolean),
+    })),
+  };
+
+  return JSON.stringify(document);
+};
+
+const RENDERERS = {
+  rss: renderRss,
+  atom: renderAtom,
+  json: renderJsonFeed,
+};
+
+/**
+ * Render a feed model in a format
+ * @param {string} format - rss, atom or json
+ * @param {Object} feed - Feed model
+ * @returns {string} Feed document
+ */
+export const renderFeed = (format, feed) => {
+  const render = RENDERERS[format];
+
+  if (!render) {
+    throw new Error(`Unknown feed format: ${format}`);
+  }
+
+  return render(feed);
+};
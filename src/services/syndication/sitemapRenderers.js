@@ -0,0 +1,99 @@
+/**
+ * Sitemap Renderers
+ *
+ * Render sitemap index files, URL sitemaps with image entries, and Google
+ * News sitemaps (sitemaps.org protocol 0.9 with the image 1.1 and news 0.9
+ * extensions).
+ *
+ * @module services/syndication/sitemapRenderers
+ */
+
+import { escapeXml, element } from '../../utils/xml.js';
+
+const SITEMAP_NS = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+const IMAGE_NS = 'http://www.google.com/schemas/sitemap-image/1.1';
+const NEWS_NS = 'http://www.google.com/schemas/sitemap-news/0.9';
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+
+const toIsoDate = value => (value ? new Date(value).toISOString() : null);
+
+/**
+ * Image entries of a URL
+ * @param {Array<string>} images - Image URLs
+ * @returns {Array<string>} XML lines
+ */
+const renderImages = images =>
+  images
+    .filter(Boolean)
+    .map(image => `<image:image><image:loc>${escapeXml(image)}</image:loc></image:image>`);
+
+/**
+ * Render a sitemap index
+ * @param {Array<Object>} sitemaps - [{ loc, lastmod }]
+ * @returns {string} XML
+ */
+export const renderSitemapIndex = sitemaps =>
+  [
+    XML_DECLARATION,
+    `<sitemapindex xmlns="${SITEMAP_NS}">`,
+    ...sitemaps.map(sitemap =>
+      [
+        '<sitemap>',
+        element('loc', sitemap.loc),
+        element('lastmod', toIsoDate(sitemap.lastmod)),
+        '</sitemap>',
+      ].join('')
+    ),
+    '</sitemapindex>',
+  ].join('\n');
+
+/**
+ * Render a URL sitemap
+ * @param {Array<Object>} urls - [{ loc, lastmod, images }]
+ * @returns {string} XML
+ */
+export const renderUrlSet = urls =>
+  [
+    XML_DECLARATION,
+    `<urlset xmlns="${SITEMAP_NS}" xmlns:image="${IMAGE_NS}">`,
+    ...urls.map(url =>
+      [
+        '<url>',
+        element('loc', url.loc),
+        element('lastmod', toIsoDate(url.lastmod)),
+        ...renderImages(url.images || []),
+        '</url>',
+      ].join('')
+    ),
+    '</urlset>',
+  ].join('\n');
+
+/**
+ * Render a Google News sitemap
+ * @param {Object} publication - { name, language }
+ * @param {Array<Object>} urls - [{ loc, title, publishedAt, images }]
+ * @returns {string} XML
+ */
+export const renderNewsSitemap = (publication, urls) =>
+  [
+    XML_DECLARATION,
+    `<urlset xmlns="${SITEMAP_NS}" xmlns:news="${NEWS_NS}" xmlns:image="${IMAGE_NS}">`,
+    ...urls.map(url =>
+      [
+        '<url>',
+        element('loc', url.loc),
+        '<news:news>',
+        '<news:publication>',
+        element('news:name', publication.name),
+        element('news:language', publication.language),
+        '</news:publication>',
+        element('news:publication_date', toIsoDate(url.publishedAt)),
+        element('news:title', url.title),
+        '</news:news>',
+        ...renderImages(url.images || []),
+        '</url>',
+      ].join('')
+    ),
+    '</urlset>',
+  ].join('\n');
@@ -0,0 +1,275 @@
+/**
+ * Sitemap Service
+ *
+ * Maintains the sitemaps search engines crawl: a /sitemap.xml index, article
+ * sitemaps of at most 50,000 URLs each (with image entries from the featured
+ * image), and a rolling Google News sitemap of the last 48 hours.
+ *
+ * Article sitemaps page through published articles oldest first, so a new
+ * article only ever lands on the last page. When an article is published,
+ * updated or archived only the page it sits on (and, if it entered or left
+ * the sitemaps, the pages after it) are dropped from the cache and
+ * re-rendered on the next request.
+ *
+ * @module services/syndication/sitemapService
+ */
+
+import crypto from 'crypto';
+import config from '../../config/index.js';
+import { query } from '../../database/queries.js';
+import redisCache from '../cache/redisCache.js';
+import syndicationService from './syndicationService.js';
+import { renderNewsSitemap, renderSitemapIndex, renderUrlSet } from './sitemapRenderers.js';
+
+const CACHE_PREFIX = 'sitemap';
+const CONTENT_TYPE = 'application/xml; charset=utf-8';
+
+// Articles that belong in the sitemaps
+const LIVE_CONDITION =
+  "a.status = 'published' AND a.deleted_at IS NULL AND a.published_at <= NOW()";
+
+class SitemapService {
+  /**
+   * @param {Object} [options] - Service options (defaults from config.sitemap)
+   */
+  constructor(options = {}) {
+    this.config = {
+      ...config.sitemap,
+      baseUrl: config.sitemap.baseUrl || config.syndication.feedBaseUrl || config.app.url,
+      publicationName: config.sitemap.publicationName || config.syndication.title,
+      language: config.syndication.language,
+      ...options,
+    };
+
+    this.stats = {
+      rendered: 0,
+      cacheHits: 0,
+      pagesInvalidated: 0,
+    };
+
+    this.logger = console;
+  }
+
+  /**
+   * Absolute URL of a sitemap
+   * @param {string} name - 'index', 'news' or 'articles-N'
+   * @returns {string} URL
+   */
+  sitemapUrl(name) {
+    const base = this.config.baseUrl.replace(/\/$/, '');
+    return name === 'index' ? `${base}/sitemap.xml` : `${base}/sitemaps/${name}.xml`;
+  }
+
+  /**
+   * Cache key of a rendered sitemap
+   * @param {string} name - 'index', 'news' or 'articles-N'
+   * @returns {string} Redis key
+   */
+  cacheKey(name) {
+    return `${CACHE_PREFIX}:${name}`;
+  }
+
+  /**
+   * Article sitemap pages with their URL count and last modification
+   * @returns {Promise<Array<Object>>} [{ page, urls, lastmod }]
+   */
+  async getPages() {
+    const result = await query(
+      `SELECT page, COUNT(*)::int AS urls, MAX(modified_at) AS lastmod
+       FROM (
+         SELECT (ROW_NUMBER() OVER (ORDER BY a.published_at, a.id) - 1) / $1 AS page,
+                GREATEST(a.published_at, a.updated_at) AS modified_at
+         FROM articles a
+         WHERE ${LIVE_CONDITION}
+       ) ranked
+       GROUP BY page
+       ORDER BY page`,
+      [this.config.urlsPerSitemap]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Render the sitemap index
+   * @returns {Promise<string>} XML
+   */
+  async renderIndex() {
+    const pages = await this.getPages();
+
+    // Page 0 is listed even before anything is published
+    const sitemaps = (pages.length > 0 ? pages : [{ page: 0, lastmod: null }]).map(page => ({
+      loc: this.sitemapUrl(`articles-${page.page}`),
+      lastmod: page.lastmod,
+    }));
+
+    return renderSitemapIndex([...sitemaps, { loc: this.sitemapUrl('news'), lastmod: null }]);
+  }
+
+  /**
+   * Render one article sitemap page
+   * @param {number} page - Page number (0-based)
+   * @returns {Promise<string|null>} XML, or null past the last page
+   */
+  async renderArticlePage(page) {
+    const result = await query(
+      `SELECT a.slug, a.featured_image_url, GREATEST(a.published_at, a.updated_at) AS modified_at
+       FROM articles a
+       WHERE ${LIVE_CONDITION}
+       ORDER BY a.published_at, a.id
+       OFFSET $1 LIMIT $2`,
+      [page * this.config.urlsPerSitemap, this.config.urlsPerSitemap]
+    );
+
+    if (result.rows.length === 0 && page > 0) return null;
+
+    return renderUrlSet(
+      result.rows.map(article => ({
+        loc: syndicationService.articleUrl(article.slug),
+        lastmod: article.modified_at,
+        images: [article.featured_image_url],
+      }))
+    );
+  }
+
+  /**
+   * Render the Google News sitemap
+   * @returns {Promise<string>} XML
+   */
+  async renderNews() {
+    const result = await query(
+      `SELECT a.slug, a.title, a.featured_image_url, a.published_at
+       FROM articles a
+       WHERE ${LIVE_CONDITION}
+         AND a.published_at >= NOW() - make_interval(hours => $1)
+       ORDER BY a.published_at DESC
+       LIMIT $2`,
+      [this.config.newsWindowHours, this.config.newsMaxUrls]
+    );
+
+    return renderNewsSitemap(
+      { name: this.config.publicationName, language: this.config.language },
+      result.rows.map(article => ({
+        loc: syndicationService.articleUrl(article.slug),
+        title: article.title,
+        publishedAt: article.published_at,
+        images: [article.featured_image_url],
+      }))
+    );
+  }
+
+  /**
+   * Get a rendered sitemap, from cache when possible
+   * @param {string} name - 'index', 'news' or 'articles-N'
+   * @returns {Promise<Object|null>} { body, contentType, etag, lastModified },
+   *   or null for an article page past the last one
+   */
+  async getSitemap(name) {
+    const key = this.cacheKey(name);
+    const cached = await redisCache.get(key);
+
+    if (cached) {
+      this.stats.cacheHits++;
+      return cached;
+    }
+
+    let body;
+    if (name === 'index') {
+      body = await this.renderIndex();
+    } else if (name === 'news') {
+      body = await this.renderNews();
+    } else {
+      const match = /^articles-(\d+)$/.exec(name);
+      if (!match) {
+        throw new Error(`Unknown sitemap: ${name}`);
+      }
+      body = await this.renderArticlePage(parseInt(match[1], 10));
+    }
+
+    if (body === null) return null;
+
+    // Sitemaps are only re-rendered after a change (or expiry), so render time
+    // never moves Last-Modified backwards when an article is removed
+    const rendered = {
+      body,
+      contentType: CONTENT_TYPE,
+      etag: `"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+      lastModified: new Date().toUTCString(),
+    };
+
+    this.stats.rendered++;
+    await redisCache.set(
+      key,
+      rendered,
+      name === 'news' ? this.config.newsCacheTTL : this.config.cacheTTL
+    );
+
+    return rendered;
+  }
+
+  /**
+   * Drop the cached sitemaps an article change affects
+   * @param {string} articleId - Article ID
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.membershipChanged=true] - The article was published, unpublished,
+   *   archived or deleted (shifts the pages after it); false for an edit of a live article
+   * @returns {Promise<Object>} { pages } - Article pages invalidated
+   */
+  async refreshArticle(articleId, { membershipChanged = true } = {}) {
+    const result = await query(
+      `SELECT
+         (SELECT COUNT(*)::int FROM articles a
+          WHERE ${LIVE_CONDITION}
+            AND (a.published_at, a.id) < (target.published_at, target.id)) AS position,
+         (SELECT COUNT(*)::int FROM articles a WHERE ${LIVE_CONDITION}) AS total
+       FROM articles target
+       WHERE target.id = $1 AND target.published_at IS NOT NULL`,
+      [articleId]
+    );
+
+    const keys = [this.cacheKey('index'), this.cacheKey('news')];
+    const pages = [];
+
+    if (result.rows.length > 0) {
+      const { position, total } = result.rows[0];
+      const first = Math.floor(position / this.config.urlsPerSitemap);
+      // One past the current last page: a removal can empty the old last page
+      const last = membershipChanged ? Math.floor(total / this.config.urlsPerSitemap) + 1 : first;
+
+      for (let page = first; page <= last; page++) {
+        pages.push(page);
+        keys.push(this.cacheKey(`articles-${page}`));
+      }
+    }
+
+    await Promise.all(keys.map(key => redisCache.del(key)));
+    this.stats.pagesInvalidated += pages.length;
+
+    this.logger.log(
+      `[Sitemap] Article ${articleId} changed: ${pages.length} article sitemap pages invalidated`
+    );
+
+    return { pages };
+  }
+
+  /**
+   * Drop every cached sitemap
+   * @returns {Promise<number>} Keys deleted
+   */
+  async invalidate() {
+    return redisCache.delPattern(`${CACHE_PREFIX}:*`);
+  }
+
+  /**
+   * Get service statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+// Export singleton instance
+const sitemapService = new SitemapService();
+export default sitemapService;
+export { SitemapService };
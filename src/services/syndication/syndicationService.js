@@ -0,0 +1,350 @@
+/**
+ * Syndication Service
+ *
+ * Builds our outbound RSS, Atom and JSON feeds of published articles:
+ * site-wide, per category and per tag. Rendered feeds are cached in Redis
+ * with an ETag and Last-Modified so the routes can answer conditional
+ * requests; publishing an article drops the cached feeds and pings the
+ * configured WebSub hubs for every feed the article appears in.
+ *
+ * @module services/syndication/syndicationService
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import config from '../../config/index.js';
+import { query } from '../../database/queries.js';
+import redisCache from '../cache/redisCache.js';
+import { FORMATS, renderFeed } from './feedRenderers.js';
+
+const CACHE_PREFIX = 'syndication:feed';
+
+class SyndicationService {
+  /**
+   * @param {Object} [options] - Service options (defaults from config.syndication)
+   */
+  constructor(options = {}) {
+    this.config = {
+      ...config.syndication,
+      siteUrl: config.syndication.siteUrl || config.app.frontendUrl,
+      feedBaseUrl: config.syndication.feedBaseUrl || config.app.url,
+      ...options,
+    };
+
+    this.stats = {
+      rendered: 0,
+      cacheHits: 0,
+      pings: 0,
+      pingFailures: 0,
+    };
+
+    this.logger = console;
+  }
+
+  /**
+   * Public URL of an article
+   * @param {string} slug - Article slug
+   * @returns {string} URL
+   */
+  articleUrl(slug) {
+    return `${this.config.siteUrl.replace(/\/$/, '')}/articles/${slug}`;
+  }
+
+  /**
+   * Path of a feed below /feeds
+   * @param {string} format - rss, atom or json
+   * @param {Object} [scope] - { type: 'category'|'tag', slug }
+   * @returns {string} Path, e.g. /feeds/category/technology/rss.xml
+   */
+  feedPath(format, scope = null) {
+    const prefix = scope ? `/feeds/${scope.type}/${scope.slug}` : '/feeds';
+    return `${prefix}/${FORMATS[format].file}`;
+  }
+
+  /**
+   * Absolute URL of a feed (the WebSub topic)
+   * @param {string} format - rss, atom or json
+   * @param {Object} [scope] - { type, slug }
+   * @returns {string} URL
+   */
+  feedUrl(format, scope = null) {
+    return `${this.config.feedBaseUrl.replace(/\/$/, '')}${this.feedPath(format, scope)}`;
+  }
+
+  /**
+   * Cache key of a rendered feed
+   * @param {string} format - rss, atom or json
+   * @param {Object} [scope] - { type, slug }
+   * @returns {string} Redis key
+   */
+  cacheKey(format, scope = null) {
+    return scope
+      ? `${CACHE_PREFIX}:${scope.type}:${scope.slug}:${format}`
+      : `${CACHE_PREFIX}:all:${format}`;
+  }
+
+  /**
+   * Resolve a feed scope to its category or tag
+   * @param {Object} [scope] - { type, slug }
+   * @returns {Promise<Object|null>} { id, name, slug, description }, or null if not found
+   */
+  async getScopeTarget(scope) {
+    if (scope.type === 'category') {
+      const result = await query(
+        `SELECT id, name, slug, description FROM categories
+         WHERE slug = $1 AND is_active = true`,
+        [scope.slug]
+      );
+      return result.rows[0] || null;
+    }
+
+    const result = await query('SELECT id, name, slug FROM tags WHERE slug = $1', [scope.slug]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Latest published articles for a feed
+   * @param {Object} [target] - { type, id } to restrict to a category or tag
+   * @returns {Promise<Array>} Article rows with category name, author name and tag names
+   */
+  async getArticles(target = null) {
+    const conditions = [
+      "a.status = 'published'",
+      'a.deleted_at IS NULL',
+      'a.published_at <= NOW()',
+    ];
+    const values = [];
+
+    if (target && target.type === 'category') {
+      values.push(target.id);
+      conditions.push(`a.category_id = $${values.length}`);
+    } else if (target && target.type === 'tag') {
+      values.push(target.id);
+      conditions.push(
+        `EXISTS (SELECT 1 FROM article_tags at WHERE at.article_id = a.id AND at.tag_id = $${values.length})`
+      );
+    }
+
+    values.push(this.config.itemLimit);
+
+    const result = await query(
+      `SELECT a.id, a.title, a.slug, a.summary, a.content, a.featured_image_url,
+              a.agent_created, a.published_at, a.updated_at,
+              c.name AS category_name,
+              NULLIF(TRIM(CONCAT_WS(' ', u.first_name, u.last_name)), '') AS author_name,
+              COALESCE(
+                (SELECT ARRAY_AGG(t.name ORDER BY t.name)
+                 FROM article_tags at JOIN tags t ON t.id = at.tag_id
+                 WHERE at.article_id = a.id),
+                '{}'
+              ) AS tag_names
+       FROM articles a
+       LEFT JOIN categories c ON c.id = a.category_id
+       LEFT JOIN users u ON u.id = a.author_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY a.published_at DESC
+       LIMIT $${values.length}`,
+      values
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Build the format-independent feed model
+   * @param {Object} [scope] - { type, slug }
+   * @returns {Promise<Object|null>} Feed model (see feedRenderers), or null if the scope does not exist
+   */
+  async buildFeed(scope = null) {
+    let target = null;
+    let title = this.config.title;
+    let description = this.config.description;
+    let homeUrl = this.config.siteUrl;
+
+    if (scope) {
+      target = await this.getScopeTarget(scope);
+      if (!target) return null;
+
+      title = `${this.config.title}: ${target.name}`;
+      description = target.description || `${target.name} articles from ${this.config.title}`;
+      homeUrl = `${this.config.siteUrl.replace(/\/$/, '')}/${scope.type}/${target.slug}`;
+    }
+
+    const articles = await this.getArticles(target ? { type: scope.type, id: target.id } : null);
+
+    const items = articles.map(article => ({
+      id: this.articleUrl(article.slug),
+      url: this.articleUrl(article.slug),
+      title: article.title,
+      summary: article.summary,
+      content: this.config.fullContent ? article.content : null,
+      author: article.author_name || article.agent_created || null,
+      category: article.category_name,
+      tags: article.tag_names || [],
+      image: article.featured_image_url,
+      publishedAt: article.published_at,
+      updatedAt: article.updated_at,
+    }));
+
+    const updatedAt = items.reduce((latest, item) => {
+      const time = new Date(item.updatedAt || item.publishedAt).getTime();
+      return time > latest ? time : latest;
+    }, 0);
+
+    return {
+      title,
+      description,
+      homeUrl,
+      selfUrls: Object.fromEntries(
+        Object.keys(FORMATS).map(format => [format, this.feedUrl(format, scope)])
+      ),
+      hubs: this.config.websubEnabled ? this.config.websubHubs : [],
+      language: this.config.language,
+      generator: config.app.name,
+      updatedAt: updatedAt ? new Date(updatedAt) : null,
+      items,
+    };
+  }
+
+  /**
+   * Get a rendered feed, from cache when possible
+   * @param {string} format - rss, atom or json
+   * @param {Object} [scope] - { type: 'category'|'tag', slug }
+   * @returns {Promise<Object|null>} { body, contentType, etag, lastModified, hubs, selfUrl },
+   *   or null if the category or tag does not exist
+   */
+  async getFeed(format, scope = null) {
+    if (!FORMATS[format]) {
+      throw new Error(`Unknown feed format: ${format}`);
+    }
+
+    const key = this.cacheKey(format, scope);
+    const cached = await redisCache.get(key);
+
+    if (cached) {
+      this.stats.cacheHits++;
+      return cached;
+    }
+
+    const feed = await this.buildFeed(scope);
+    if (!feed) return null;
+
+    const body = renderFeed(format, feed);
+    const rendered = {
+      body,
+      contentType: FORMATS[format].contentType,
+      etag: `"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+      lastModified: (feed.updatedAt || new Date()).toUTCString(),
+      hubs: feed.hubs,
+      selfUrl: feed.selfUrls[format],
+    };
+
+    this.stats.rendered++;
+    await redisCache.set(key, rendered, this.config.cacheTTL);
+
+    return rendered;
+  }
+
+  /**
+   * Drop cached feeds
+   * @returns {Promise<number>} Keys deleted
+   */
+  async invalidate() {
+    return redisCache.delPattern(`${CACHE_PREFIX}:*`);
+  }
+
+  /**
+   * Feeds (WebSub topics) an article appears in
+   * @param {string} articleId - Article ID
+   * @returns {Promise<Array<string>>} Feed URLs in every format
+   */
+  async getArticleTopics(articleId) {
+    const result = await query(
+      `SELECT c.slug AS category_slug,
+              COALESCE(
+                (SELECT ARRAY_AGG(t.slug) FROM article_tags at JOIN tags t ON t.id = at.tag_id
+                 WHERE at.article_id = a.id),
+                '{}'
+              ) AS tag_slugs
+       FROM articles a
+       LEFT JOIN categories c ON c.id = a.category_id
+       WHERE a.id = $1`,
+      [articleId]
+    );
+
+    const row = result.rows[0];
+    const scopes = [null];
+
+    if (row && row.category_slug) {
+      scopes.push({ type: 'category', slug: row.category_slug });
+    }
+    (row ? row.tag_slugs : []).forEach(slug => scopes.push({ type: 'tag', slug }));
+
+    return scopes.flatMap(scope => Object.keys(FORMATS).map(format => this.feedUrl(format, scope)));
+  }
+
+  /**
+   * Notify WebSub hubs that topics have new content
+   * @param {Array<string>} topics - Feed URLs
+   * @returns {Promise<Object>} { pinged, failed }
+   */
+  async pingHubs(topics) {
+    if (!this.config.websubEnabled || this.config.websubHubs.length === 0 || topics.length === 0) {
+      return { pinged: 0, failed: 0 };
+    }
+
+    const body = new URLSearchParams({ 'hub.mode': 'publish' });
+    topics.forEach(topic => body.append('hub.url', topic));
+
+    const results = await Promise.allSettled(
+      this.config.websubHubs.map(hub =>
+        axios.post(hub, body.toString(), {
+          timeout: 10000,
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        })
+      )
+    );
+
+    const failed = results.filter(result => result.status === 'rejected');
+    this.stats.pings += results.length - failed.length;
+    this.stats.pingFailures += failed.length;
+
+    failed.forEach(result => {
+      this.logger.warn('[Syndication] WebSub ping failed:', result.reason.message);
+    });
+
+    return { pinged: results.length - failed.length, failed: failed.length };
+  }
+
+  /**
+   * Refresh feeds after an article is published
+   * Drops cached feeds and pings the hubs for every feed the article is in.
+   * @param {string} articleId - Published article ID
+   * @returns {Promise<Object>} pingHubs result
+   */
+  async notifyPublished(articleId) {
+    await this.invalidate();
+
+    const topics = await this.getArticleTopics(articleId);
+    const result = await this.pingHubs(topics);
+
+    this.logger.log(
+      `[Syndication] Article ${articleId} published: ${topics.length} topics, ${result.pinged} hub pings`
+    );
+
+    return result;
+  }
+
+  /**
+   * Get service statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+// Export singleton instance
+const syndicationService = new SyndicationService();
+export default syndicationService;
+export { SyndicationService };
@@ -0,0 +1,242 @@
+/**
+ * Diff Utilities
+ * Word-level text diff (Myers' O(ND) algorithm, linear-space variant)
+ */
+
+/**
+ * Split text into word tokens, keeping trailing whitespace with each word
+ * so joining the tokens reproduces the original text
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens
+ */
+export function tokenizeWords(text) {
+  if (!text) return [];
+  return text.match(/^\s+|\S+\s*/g) || [];
+}
+
+/**
+ * Find the middle snake of the shortest edit script between a[aLo, aHi) and b[bLo, bHi)
+ * Searches forwards from the start and backwards from the end at the same time,
+ * keeping only the furthest-reaching x of each diagonal (linear space).
+ * @param {Array<string>} a - Old tokens
+ * @param {number} aLo - Start of the old range
+ * @param {number} aHi - End of the old range (exclusive)
+ * @param {Array<string>} b - New tokens
+ * @param {number} bLo - Start of the new range
+ * @param {number} bHi - End of the new range (exclusive)
+ * @param {number} maxEdits - Give up once the edit distance is known to exceed this
+ * @returns {Object|null} Split point { x, y } relative to the ranges, or null if there is
+ *   no common token or the edit distance exceeds maxEdits
+ */
+function middleSnake(a, aLo, aHi, b, bLo, bHi, maxEdits) {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const maxD = Math.ceil((n + m) / 2);
+  const limit = Math.min(maxD, Math.ceil(maxEdits / 2));
+  const offset = maxD + 1;
+  const forward = new Int32Array(2 * maxD + 3).fill(-1);
+  const backward = new Int32Array(2 * maxD + 3).fill(-1);
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+
+  const delta = n - m;
+  // With an odd delta the paths meet during a forward step, otherwise during a backward one
+  const meetsForward = delta % 2 !== 0;
+
+  // Diagonals that ran off the edges of the grid are not searched again
+  let forwardStart = 0;
+  let forwardEnd = 0;
+  let backwardStart = 0;
+  let backwardEnd = 0;
+
+  for (let d = 0; d <= limit; d++) {
+    for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+      let x =
+        k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+          ? forward[offset + k + 1]
+          : forward[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+
+      if (x > n) {
+        forwardEnd += 2;
+      } else if (y > m) {
+        forwardStart += 2;
+      } else if (meetsForward) {
+        const reverseIndex = offset + delta - k;
+        if (
+          reverseIndex >= 0 &&
+          reverseIndex < backward.length &&
+          backward[reverseIndex] !== -1 &&
+          x >= n - backward[reverseIndex]
+        ) {
+          return { x, y };
+        }
+      }
+    }
+
+    for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+      let x =
+        k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+          ? backward[offset + k + 1]
+          : backward[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[aHi - x - 1] === b[bHi - y - 1]) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+
+      if (x > n) {
+        backwardEnd += 2;
+      } else if (y > m) {
+        backwardStart += 2;
+      } else if (!meetsForward) {
+        const forwardIndex = offset + delta - k;
+        if (
+          forwardIndex >= 0 &&
+          forwardIndex < forward.length &&
+          forward[forwardIndex] !== -1 &&
+          forward[forwardIndex] >= n - x
+        ) {
+          const forwardX = forward[forwardIndex];
+          return { x: forwardX, y: forwardX - (forwardIndex - offset) };
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Append the shortest edit script between a[aLo, aHi) and b[bLo, bHi) to ops
+ * @param {Array<string>} a - Old tokens
+ * @param {number} aLo - Start of the old range
+ * @param {number} aHi - End of the old range (exclusive)
+ * @param {Array<string>} b - New tokens
+ * @param {number} bLo - Start of the new range
+ * @param {number} bHi - End of the new range (exclusive)
+ * @param {Array<Object>} ops - Operations ({ type: 'equal' | 'removed' | 'added', token })
+ * @param {number} maxEdits - Edit distance above which the search gives up
+ * @returns {boolean} False if the edit distance exceeds maxEdits (ops is then incomplete)
+ */
+function diffRange(a, aLo, aHi, b, bLo, bHi, ops, maxEdits) {
+  // Trim the common prefix and suffix so the edit search only covers the changed region
+  let start = 0;
+  while (aLo + start < aHi && bLo + start < bHi && a[aLo + start] === b[bLo + start]) {
+    start++;
+  }
+  let endA = aHi;
+  let endB = bHi;
+  while (endA > aLo + start && endB > bLo + start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  for (let i = 0; i < start; i++) {
+    ops.push({ type: 'equal', token: a[aLo + i] });
+  }
+
+  const fromA = aLo + start;
+  const fromB = bLo + start;
+
+  if (fromA === endA || fromB === endB) {
+    for (let i = fromA; i < endA; i++) ops.push({ type: 'removed', token: a[i] });
+    for (let i = fromB; i < endB; i++) ops.push({ type: 'added', token: b[i] });
+  } else {
+    const split = middleSnake(a, fromA, endA, b, fromB, endB, maxEdits);
+
+    if (split) {
+      const ok =
+        diffRange(a, fromA, fromA + split.x, b, fromB, fromB + split.y, ops, maxEdits) &&
+        diffRange(a, fromA + split.x, endA, b, fromB + split.y, endB, ops, maxEdits);
+      if (!ok) return false;
+    } else if (endA - fromA + (endB - fromB) <= maxEdits) {
+      // No token in common: everything in the region changed
+      for (let i = fromA; i < endA; i++) ops.push({ type: 'removed', token: a[i] });
+      for (let i = fromB; i < endB; i++) ops.push({ type: 'added', token: b[i] });
+    } else {
+      return false;
+    }
+  }
+
+  for (let i = endA; i < aHi; i++) {
+    ops.push({ type: 'equal', token: a[i] });
+  }
+
+  return true;
+}
+
+/**
+ * Append an approximate edit script to ops: the common start and end of the
+ * texts are kept and everything between them is replaced
+ * @param {Array<string>} a - Old tokens
+ * @param {Array<string>} b - New tokens
+ * @param {Array<Object>} ops - Operations ({ type: 'equal' | 'removed' | 'added', token })
+ */
+function replaceRange(a, b, ops) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  a.slice(0, start).forEach(token => ops.push({ type: 'equal', token }));
+  a.slice(start, endA).forEach(token => ops.push({ type: 'removed', token }));
+  b.slice(start, endB).forEach(token => ops.push({ type: 'added', token }));
+  a.slice(endA).forEach(token => ops.push({ type: 'equal', token }));
+}
+
+/**
+ * Word-level diff between two texts
+ * When the texts differ in more than maxEdits words, the diff is approximate:
+ * the common start and end are kept and everything between them is shown as replaced.
+ * @param {string} oldText - Old text
+ * @param {string} newText - New text
+ * @param {Object} [options] - Diff options
+ * @param {number} [options.maxEdits] - Edit distance above which the diff is approximate
+ *   (default: unlimited)
+ * @returns {Object} { changes: [{ type, value }], stats: { added, removed, unchanged }, approximate }
+ */
+export function diffWords(oldText = '', newText = '', { maxEdits = Infinity } = {}) {
+  const a = tokenizeWords(oldText || '');
+  const b = tokenizeWords(newText || '');
+
+  const ops = [];
+  const exact = diffRange(a, 0, a.length, b, 0, b.length, ops, maxEdits);
+
+  if (!exact) {
+    ops.length = 0;
+    replaceRange(a, b, ops);
+  }
+
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  const changes = [];
+
+  ops.forEach(({ type, token }) => {
+    stats[type === 'equal' ? 'unchanged' : type]++;
+
+    const last = changes[changes.length - 1];
+    if (last && last.type === type) {
+      last.value += token;
+    } else {
+      changes.push({ type, value: token });
+    }
+  });
+
+  return { changes, stats, approximate: !exact };
+}
+
+export default { diffWords, tokenizeWords };
@@ -0,0 +1,72 @@
+/**
+ * 32-bit Hash Utilities
+ * Integer hashing behind MinHash signatures and feature-hashed embeddings
+ *
+ * These functions need 32-bit bitwise arithmetic (xor, shifts, Math.imul),
+ * which the lint config disallows elsewhere; keeping it in this one module
+ * keeps the exception small. Results are deterministic across processes.
+ */
+
+/* eslint-disable no-bitwise -- 32-bit integer hashing */
+
+/**
+ * FNV-1a 32-bit hash of a string
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * MurmurHash3 32-bit finalizer of a value combined with a seed
+ * @param {number} value - 32-bit integer
+ * @param {number} [seed] - 32-bit seed (default: 0)
+ * @returns {number} Mixed unsigned 32-bit integer
+ */
+export function mix32(value, seed = 0) {
+  let h = value ^ seed;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * Deterministic pseudo-random 32-bit seeds (mulberry32)
+ * @param {number} count - Number of seeds
+ * @param {number} seed - Generator seed
+ * @returns {Uint32Array} Seeds
+ */
+export function generateSeeds(count, seed) {
+  const seeds = new Uint32Array(count);
+  let state = seed >>> 0;
+
+  for (let i = 0; i < count; i++) {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    seeds[i] = (t ^ (t >>> 14)) >>> 0;
+  }
+
+  return seeds;
+}
+
+/**
+ * Reinterpret an unsigned 32-bit integer as signed (for Postgres INTEGER columns)
+ * @param {number} value - Unsigned 32-bit integer
+ * @returns {number} Signed 32-bit integer
+ */
+export function toInt32(value) {
+  return value | 0;
+}
+
+export default { hashString, mix32, generateSeeds, toInt32 };
@@ -0,0 +1,335 @@
+/**
+ * HTML Utilities
+ *
+ * A small, forgiving HTML parser for server-side content extraction. It builds
+ * a plain tree of element and text nodes, recovers from unclosed and
+ * mis-nested tags the way real pages need, and keeps script/style contents as
+ * raw text (JSON-LD is read from them). It is not a spec-compliant HTML5
+ * parser and does not need to be: extraction only reads the tree.
+ *
+ * @module utils/html
+ */
+
+const VOID_ELEMENTS = new Set([
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'param',
+  'source',
+  'track',
+  'wbr',
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'noscript', 'template']);
+
+// Raw text elements whose contents are still text (entities decoded)
+const ESCAPABLE_RAW_TEXT_ELEMENTS = new Set(['textarea', 'title']);
+
+// Elements whose contents are never article text
+const NON_TEXT_ELEMENTS = new Set(['script', 'style', 'noscript', 'template']);
+
+// Elements that close an open <p>
+const CLOSES_PARAGRAPH = new Set([
+  'address',
+  'article',
+  'aside',
+  'blockquote',
+  'div',
+  'dl',
+  'fieldset',
+  'figure',
+  'footer',
+  'form',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'header',
+  'hr',
+  'main',
+  'nav',
+  'ol',
+  'p',
+  'pre',
+  'section',
+  'table',
+  'ul',
+]);
+
+// Elements that close an open element of the same kind (<li><li>, <td><td> ...)
+const SELF_CLOSING_SIBLINGS = new Set(['li', 'dt', 'dd', 'tr', 'td', 'th', 'option']);
+
+export const BLOCK_ELEMENTS = new Set([
+  ...CLOSES_PARAGRAPH,
+  'br',
+  'dd',
+  'dt',
+  'figcaption',
+  'li',
+  'td',
+  'th',
+  'tr',
+]);
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  hellip: '…',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  euro: '€',
+  pound: '£',
+  middot: '·',
+  bull: '•',
+};
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+/**
+ * Decode HTML entities (named entities common in article text, decimal and hex)
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+export const decodeEntities = text => {
+  if (!text || !text.includes('&')) return text || '';
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code =
+        entity[1].toLowerCase() === 'x'
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch {
+        return match;
+      }
+    }
+
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+};
+
+/**
+ * Parse tag attributes
+ * @param {string} source - Attribute source of a start tag
+ * @returns {Object} Attribute name (lowercase) -> decoded value
+ */
+const parseAttributes = source => {
+  const attrs = {};
+
+  for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = match[1].toLowerCase();
+    if (!(name in attrs)) {
+      attrs[name] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+  }
+
+  return attrs;
+};
+
+const createElement = (tag, attrs, parent) => ({
+  type: 'element',
+  tag,
+  attrs,
+  children: [],
+  parent,
+});
+
+/**
+ * Parse an HTML document
+ * @param {string} html - HTML source
+ * @returns {Object} Root node ({ type: 'element', tag: '#document', children })
+ */
+export const parseHtml = html => {
+  const source = String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '')
+    .replace(/<![^>]*>/g, '');
+
+  const root = createElement('#document', {}, null);
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+
+  const addText = text => {
+    if (text) {
+      current().children.push({ type: 'text', text: decodeEntities(text), parent: current() });
+    }
+  };
+
+  const closeTo = index => {
+    stack.length = index;
+  };
+
+  const lastIndexOf = tag => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].tag === tag) return i;
+    }
+    return -1;
+  };
+
+  let position = 0;
+  let resumeAt = 0;
+
+  // Tags inside raw text elements are not parsed: the scan stops at the element
+  // and restarts after its closing tag (matchAll starts at the pattern's lastIndex)
+  while (resumeAt !== null) {
+    TAG_PATTERN.lastIndex = resumeAt;
+    resumeAt = null;
+
+    for (const match of source.matchAll(TAG_PATTERN)) {
+      addText(source.slice(position, match.index));
+      position = match.index + match[0].length;
+
+      const [, closing, rawTag, attributeSource] = match;
+      const tag = rawTag.toLowerCase();
+
+      if (closing) {
+        const index = lastIndexOf(tag);
+        if (index > 0) closeTo(index);
+        continue;
+      }
+
+      if (current().tag === 'p' && CLOSES_PARAGRAPH.has(tag)) {
+        stack.pop();
+      }
+
+      if (SELF_CLOSING_SIBLINGS.has(tag) && current().tag === tag) {
+        stack.pop();
+      }
+
+      const element = createElement(tag, parseAttributes(attributeSource), current());
+      current().children.push(element);
+
+      if (VOID_ELEMENTS.has(tag) || attributeSource.trim().endsWith('/')) {
+        continue;
+      }
+
+      if (RAW_TEXT_ELEMENTS.has(tag)) {
+        const end = source.toLowerCase().indexOf(`</${tag}`, position);
+        const text = source.slice(position, end === -1 ? source.length : end);
+        if (text) {
+          element.children.push({
+            type: 'text',
+            text: ESCAPABLE_RAW_TEXT_ELEMENTS.has(tag) ? decodeEntities(text) : text,
+            parent: element,
+          });
+        }
+
+        position = end === -1 ? source.length : source.indexOf('>', end) + 1 || source.length;
+        resumeAt = position;
+        break;
+      }
+
+      stack.push(element);
+    }
+  }
+
+  addText(source.slice(position));
+  return root;
+};
+
+/**
+ * Visit every node depth-first
+ * Return false from the visitor to skip a node's children.
+ * @param {Object} node - Start node
+ * @param {Function} visitor - (node) => boolean|void
+ */
+export const walk = (node, visitor) => {
+  if (visitor(node) === false || !node.children) return;
+  node.children.forEach(child => walk(child, visitor));
+};
+
+/**
+ * Find all elements matching a predicate
+ * @param {Object} node - Start node
+ * @param {Function|string} predicate - (element) => boolean, or a tag name
+ * @returns {Array<Object>} Matching elements in document order
+ */
+export const findAll = (node, predicate) => {
+  const test = typeof predicate === 'string' ? element => element.tag === predicate : predicate;
+  const found = [];
+
+  walk(node, current => {
+    if (current.type === 'element' && test(current)) found.push(current);
+  });
+
+  return found;
+};
+
+/**
+ * Find the first element matching a predicate
+ * @param {Object} node - Start node
+ * @param {Function|string} predicate - (element) => boolean, or a tag name
+ * @returns {Object|null} Element
+ */
+export const find = (node, predicate) => findAll(node, predicate)[0] || null;
+
+/**
+ * Text of a node
+ * Block elements become line breaks and whitespace is collapsed, so the result
+ * reads as paragraphs separated by blank lines. Script and style are skipped.
+ * @param {Object} node - Node
+ * @returns {string} Text
+ */
+export const getText = node => {
+  const parts = [];
+
+  const visit = current => {
+    if (current.type === 'text') {
+      parts.push(current.text);
+      return;
+    }
+
+    if (current !== node && NON_TEXT_ELEMENTS.has(current.tag)) return;
+
+    const block = BLOCK_ELEMENTS.has(current.tag);
+    if (block) parts.push('\n\n');
+    current.children.forEach(visit);
+    if (block) parts.push('\n\n');
+  };
+
+  visit(node);
+
+  return parts
+    .join('')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n\n');
+};
+
+/**
+ * Raw text of a node (script contents included, no block formatting)
+ * @param {Object} node - Node
+ * @returns {string} Text
+ */
+export const getRawText = node => {
+  const parts = [];
+  walk(node, current => {
+    if (current.type === 'text') parts.push(current.text);
+  });
+  return parts.join('');
+};
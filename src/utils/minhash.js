@@ -0,0 +1,118 @@
+/**
+ * MinHash Utilities
+ * Shingling, MinHash signatures and LSH banding for near-duplicate detection
+ *
+ * Signatures are arrays of signed 32-bit integers so they can be stored in a
+ * Postgres INTEGER[] column. Hash functions are derived from a fixed seed, so
+ * signatures computed with the same options stay comparable across restarts.
+ */
+
+import { hashString, mix32, generateSeeds, toInt32 } from './hash32.js';
+
+export { hashString };
+
+/**
+ * Split normalized text into hashed word shingles
+ * Texts shorter than the shingle size produce a single shingle of all words.
+ * @param {string} text - Text to shingle
+ * @param {number} [size] - Words per shingle (default: 3)
+ * @returns {Set<number>} Shingle hashes
+ */
+export function shingle(text, size = 3) {
+  const words = (text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const shingles = new Set();
+  if (words.length === 0) return shingles;
+
+  if (words.length < size) {
+    shingles.add(hashString(words.join(' ')));
+    return shingles;
+  }
+
+  for (let i = 0; i <= words.length - size; i++) {
+    shingles.add(hashString(words.slice(i, i + size).join(' ')));
+  }
+
+  return shingles;
+}
+
+/**
+ * Compute a MinHash signature
+ * @param {Set<number>|Array<number>} shingles - Shingle hashes
+ * @param {Object} [options] - Signature options
+ * @param {number} [options.numHashes] - Signature length (default: 128)
+ * @param {number} [options.seed] - Hash family seed (default: 42)
+ * @returns {Array<number>|null} Signature, or null if there are no shingles
+ */
+export function computeSignature(shingles, { numHashes = 128, seed = 42 } = {}) {
+  const values = Array.from(shingles);
+  if (values.length === 0) return null;
+
+  const seeds = generateSeeds(numHashes, seed);
+  const signature = new Array(numHashes);
+
+  for (let i = 0; i < numHashes; i++) {
+    let min = 0xffffffff;
+    for (const value of values) {
+      const hashed = mix32(value, seeds[i]);
+      if (hashed < min) min = hashed;
+    }
+    signature[i] = toInt32(min);
+  }
+
+  return signature;
+}
+
+/**
+ * Estimate Jaccard similarity from two signatures
+ * @param {Array<number>} a - First signature
+ * @param {Array<number>} b - Second signature
+ * @returns {number} Estimated Jaccard similarity (0-1)
+ */
+export function estimateJaccard(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) matches++;
+  }
+
+  return matches / a.length;
+}
+
+/**
+ * Split a signature into LSH band bucket keys
+ * Two signatures share a bucket in some band with probability 1 - (1 - s^r)^b
+ * for Jaccard similarity s, r rows per band and b bands.
+ * @param {Array<number>} signature - MinHash signature
+ * @param {number} bands - Number of bands (must divide the signature length)
+ * @returns {Array<number>} One signed 32-bit bucket key per band
+ */
+export function bandBuckets(signature, bands) {
+  if (signature.length % bands !== 0) {
+    throw new Error(`Signature length ${signature.length} is not divisible by ${bands} bands`);
+  }
+
+  const rows = signature.length / bands;
+  const buckets = new Array(bands);
+
+  for (let band = 0; band < bands; band++) {
+    buckets[band] = toInt32(hashString(signature.slice(band * rows, (band + 1) * rows).join(',')));
+  }
+
+  return buckets;
+}
+
+/**
+ * Jaccard similarity at which LSH candidate probability is 50%
+ * @param {number} bands - Number of bands
+ * @param {number} rows - Rows per band
+ * @returns {number} Approximate threshold ((1/b)^(1/r))
+ */
+export function lshThreshold(bands, rows) {
+  return (1 / bands) ** (1 / rows);
+}
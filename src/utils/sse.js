@@ -0,0 +1,103 @@
+/**
+ * Server-Sent Events Utilities
+ *
+ * Turns an Express response into a text/event-stream: frames events, sends
+ * heartbeat comments so proxies keep the connection open, flushes through the
+ * compression middleware and cleans up when the client disconnects.
+ *
+ * @module utils/sse
+ */
+
+/**
+ * Format one SSE frame
+ * @param {Object} event - Event to send
+ * @param {string|number} [event.id] - Event ID (echoed back by clients as Last-Event-ID)
+ * @param {string} [event.event] - Event type (the client's addEventListener name)
+ * @param {*} event.data - Payload; non-strings are sent as JSON
+ * @returns {string} SSE frame
+ */
+export const formatEvent = ({ id, event, data }) => {
+  const lines = [];
+
+  if (id !== undefined && id !== null) lines.push(`id: ${id}`);
+  if (event) lines.push(`event: ${event}`);
+
+  const payload = typeof data === 'string' ? data : JSON.stringify(data ?? null);
+  payload.split(/\r?\n/).forEach(line => lines.push(`data: ${line}`));
+
+  return `${lines.join('\n')}\n\n`;
+};
+
+/**
+ * Last event ID a reconnecting client has seen
+ * Browsers send the Last-Event-ID header; clients that cannot set headers
+ * may pass ?lastEventId= instead.
+ * @param {Object} req - Express request
+ * @returns {string|null} Last event ID
+ */
+export const getLastEventId = req => {
+  const value = req.get('Last-Event-ID') || req.query?.lastEventId;
+  return value ? String(value) : null;
+};
+
+/**
+ * Open an event stream on a response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} [options] - Stream options
+ * @param {number} [options.heartbeatInterval] - Heartbeat comment interval in ms (default: 25000)
+ * @param {number} [options.retry] - Reconnection delay advertised to the client, in ms
+ * @returns {Object} Stream ({ send, comment, onClose, close, isClosed })
+ */
+export const openEventStream = (req, res, { heartbeatInterval = 25000, retry } = {}) => {
+  let closed = false;
+  const closeHandlers = [];
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable nginx response buffering
+  });
+  res.flushHeaders();
+
+  const write = chunk => {
+    if (closed) return false;
+
+    res.write(chunk);
+    // compression() buffers output until flushed
+    if (typeof res.flush === 'function') res.flush();
+    return true;
+  };
+
+  const heartbeat = setInterval(() => write(': heartbeat\n\n'), heartbeatInterval);
+  heartbeat.unref();
+
+  const cleanup = () => {
+    if (closed) return;
+
+    closed = true;
+    clearInterval(heartbeat);
+    closeHandlers.forEach(handler => handler());
+  };
+
+  // The response closes when the client disconnects; the request already closes once its
+  // body is read, which would end POST streams immediately
+  res.on('close', cleanup);
+
+  if (retry) {
+    write(`retry: ${retry}\n\n`);
+  }
+
+  return {
+    send: event => write(formatEvent(event)),
+    comment: text => write(`: ${text}\n\n`),
+    onClose: handler => closeHandlers.push(handler),
+    close: () => {
+      if (closed) return;
+      cleanup();
+      res.end();
+    },
+    isClosed: () => closed,
+  };
+};
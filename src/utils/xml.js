@@ -0,0 +1,58 @@
+/**
+ * XML Utilities
+ *
+ * Escaping helpers for the XML documents we generate (syndication feeds,
+ * sitemaps).
+ *
+ * @module utils/xml
+ */
+
+// Character ranges XML 1.0 does not allow, even escaped
+const INVALID_XML_RANGES = [
+  [0x00, 0x08],
+  [0x0b, 0x0c],
+  [0x0e, 0x1f],
+  [0xfffe, 0xffff],
+];
+
+// Built from the code points, so the source holds no control-character pattern
+const toUnicodeEscape = code => `\\u${code.toString(16).padStart(4, '0')}`;
+const INVALID_XML_CHARS = new RegExp(
+  `[${INVALID_XML_RANGES.map(range => range.map(toUnicodeEscape).join('-')).join('')}]`,
+  'g'
+);
+
+/**
+ * Escape text for an XML element or attribute value
+ * @param {*} value - Text (null and undefined become '')
+ * @returns {string} Escaped text
+ */
+export const escapeXml = value =>
+  String(value ?? '')
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Wrap text in a CDATA section (splitting any ]]> it contains)
+ * @param {*} value - Text
+ * @returns {string} CDATA section
+ */
+export const cdata = value =>
+  `<![CDATA[${String(value ?? '')
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+/**
+ * Element with escaped text, or '' when the value is empty
+ * @param {string} name - Element name
+ * @param {*} value - Text
+ * @returns {string} XML element
+ */
+export const element = (name, value) =>
+  value === undefined || value === null || value === ''
+    ? ''
+    : `<${name}>${escapeXml(value)}</${name}>`;